@@ -0,0 +1,249 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { Pool } = require('pg');
+const Mailer = require('./mail-transport');
+
+const TOKEN_TTL_MINUTES = {
+    password_reset: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60,
+    email_verification: parseInt(process.env.EMAIL_VERIFICATION_TTL_MINUTES) || 48 * 60
+};
+
+// Mínimo entre dos correos del mismo tipo al mismo usuario
+const RESEND_INTERVAL_SECONDS = 60;
+const MIN_PASSWORD_LENGTH = 6;
+
+function accountError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
+// Enlace a la página del frontend que recoge el token y llama a la API
+function frontendLink(pathname, token) {
+    const base = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/+$/, '');
+    return `${base}${pathname}?token=${encodeURIComponent(token)}`;
+}
+
+// Recuperación de contraseña y verificación de email con tokens de un solo uso que caducan.
+// Solo se guarda el hash del token; el token en claro viaja únicamente en el enlace del correo
+class AccountRecovery {
+    constructor(sessions, mailer = Mailer.shared()) {
+        this.pool = new Pool({
+            connectionString: process.env.DATABASE_URL,
+            ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+        });
+        this.sessions = sessions;
+        this.mailer = mailer;
+    }
+
+    static get MIN_PASSWORD_LENGTH() {
+        return MIN_PASSWORD_LENGTH;
+    }
+
+    // ==================== TOKENS ====================
+
+    // Un token vigente por usuario y propósito: emitir uno nuevo anula los anteriores
+    async createToken(userId, purpose, email) {
+        const token = crypto.randomBytes(32).toString('base64url');
+
+        await this.pool.query(`
+            WITH discarded AS (
+                DELETE FROM user_account_tokens
+                WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL
+            )
+            INSERT INTO user_account_tokens (user_id, purpose, token_hash, email, expires_at)
+            VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + make_interval(mins => $5))
+        `, [userId, purpose, hashToken(token), email, TOKEN_TTL_MINUTES[purpose]]);
+
+        return token;
+    }
+
+    async sentRecently(userId, purpose) {
+        const result = await this.pool.query(`
+            SELECT 1 FROM user_account_tokens
+            WHERE user_id = $1 AND purpose = $2
+              AND created_at > CURRENT_TIMESTAMP - make_interval(secs => $3)
+            LIMIT 1
+        `, [userId, purpose, RESEND_INTERVAL_SECONDS]);
+        return result.rows.length > 0;
+    }
+
+    // Marca el token como usado en la misma sentencia que lo valida, así dos peticiones no pueden usarlo a la vez
+    async consumeToken(client, token, purpose) {
+        if (!token) throw accountError('Token is required');
+
+        const result = await client.query(`
+            UPDATE user_account_tokens
+            SET used_at = CURRENT_TIMESTAMP
+            WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+            RETURNING user_id, email
+        `, [hashToken(token), purpose]);
+
+        if (result.rows.length === 0) throw accountError('Invalid or expired token');
+        return result.rows[0];
+    }
+
+    // ==================== CONTRASEÑA ====================
+
+    // Valida y vuelve enseguida; la búsqueda y el envío siguen en segundo plano para que ni el tiempo
+    // de respuesta ni un fallo del SMTP revelen si existe una cuenta con ese email o nickname
+    requestPasswordReset(identifier) {
+        const value = String(identifier || '').trim();
+        if (!value) throw accountError('Email or nickname is required');
+
+        this.sendPasswordReset(value)
+            .catch(error => console.error('Error sending password reset email:', error.message));
+    }
+
+    // Orden fijo: email exacto, email sin distinguir mayúsculas y, por último, nickname. Si el mejor
+    // criterio coincide con varias cuentas (emails que solo cambian en mayúsculas) no se envía nada
+    async sendPasswordReset(value) {
+        const result = await this.pool.query(`
+            SELECT id, nickname, email,
+                CASE WHEN email = $1 THEN 0 WHEN LOWER(email) = LOWER($1) THEN 1 ELSE 2 END as match_rank
+            FROM users
+            WHERE LOWER(email) = LOWER($1) OR nickname = $1
+            ORDER BY match_rank, id
+        `, [value]);
+
+        const user = result.rows[0];
+        if (!user || !user.email) return { sent: false };
+        if (result.rows.filter(row => row.match_rank === user.match_rank).length > 1) {
+            console.warn(`🔑 Password reset identifier matches ${result.rows.length} accounts; nothing sent`);
+            return { sent: false };
+        }
+        if (await this.sentRecently(user.id, 'password_reset')) return { sent: false };
+
+        const token = await this.createToken(user.id, 'password_reset', user.email);
+        const link = frontendLink('/reset-password', token);
+        const minutes = TOKEN_TTL_MINUTES.password_reset;
+
+        await this.mailer.send({
+            to: user.email,
+            subject: 'PlayTest: restablecer contraseña',
+            text: `Hola ${user.nickname},\n\nPara elegir una contraseña nueva abre este enlace (caduca en ${minutes} minutos):\n${link}\n\nSi no lo has pedido tú, ignora este correo: tu contraseña no cambia.`,
+            html: `<p>Hola ${escapeHtml(user.nickname)},</p><p>Para elegir una contraseña nueva abre este enlace (caduca en ${minutes} minutos):</p><p><a href="${escapeHtml(link)}">Restablecer contraseña</a></p><p>Si no lo has pedido tú, ignora este correo: tu contraseña no cambia.</p>`
+        });
+
+        console.log(`🔑 Password reset requested for user ${user.id}`);
+        return { sent: true };
+    }
+
+    async resetPassword(token, newPassword) {
+        if (!newPassword || String(newPassword).length < MIN_PASSWORD_LENGTH) {
+            throw accountError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+        }
+
+        const passwordHash = await bcrypt.hash(String(newPassword), 10);
+        const client = await this.pool.connect();
+        let userId;
+
+        try {
+            await client.query('BEGIN');
+
+            const consumed = await this.consumeToken(client, token, 'password_reset');
+            userId = consumed.user_id;
+
+            // Recibir el enlace en esa dirección demuestra que es del usuario: también queda verificada
+            await client.query(`
+                UPDATE users
+                SET password_hash = $1,
+                    email_verified_at = CASE WHEN email = $3 THEN COALESCE(email_verified_at, CURRENT_TIMESTAMP) ELSE email_verified_at END,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $2
+            `, [passwordHash, userId, consumed.email]);
+
+            await client.query(`
+                UPDATE user_profiles
+                SET preferences = COALESCE(preferences, '{}'::jsonb) - 'must_change_password'
+                WHERE user_id = $1
+            `, [userId]);
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        // Quien tuviera la contraseña anterior pierde sus sesiones
+        await this.sessions.revokeAllSessions(userId, { reason: 'password_reset' });
+
+        console.log(`🔑 Password reset completed for user ${userId}`);
+        return { userId };
+    }
+
+    // ==================== EMAIL ====================
+
+    async sendEmailVerification(userId, { force = false } = {}) {
+        const result = await this.pool.query(
+            'SELECT id, nickname, email, email_verified_at FROM users WHERE id = $1',
+            [userId]
+        );
+
+        const user = result.rows[0];
+        if (!user) throw accountError('User not found', 404);
+        if (!user.email) throw accountError('User has no email address');
+        if (user.email_verified_at) throw accountError('Email already verified', 409);
+        if (!force && await this.sentRecently(user.id, 'email_verification')) {
+            throw accountError('Verification email sent recently, try again in a minute', 429);
+        }
+
+        const token = await this.createToken(user.id, 'email_verification', user.email);
+        const link = frontendLink('/verify-email', token);
+
+        await this.mailer.send({
+            to: user.email,
+            subject: 'PlayTest: confirma tu email',
+            text: `Hola ${user.nickname},\n\nConfirma tu dirección de correo abriendo este enlace:\n${link}\n\nSi no has creado una cuenta en PlayTest, ignora este correo.`,
+            html: `<p>Hola ${escapeHtml(user.nickname)},</p><p>Confirma tu dirección de correo abriendo este enlace:</p><p><a href="${escapeHtml(link)}">Confirmar email</a></p><p>Si no has creado una cuenta en PlayTest, ignora este correo.</p>`
+        });
+
+        return { sent: true, email: user.email };
+    }
+
+    async verifyEmail(token) {
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const consumed = await this.consumeToken(client, token, 'email_verification');
+
+            const result = await client.query(`
+                UPDATE users
+                SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP)
+                WHERE id = $1 AND email = $2
+                RETURNING id, email, email_verified_at
+            `, [consumed.user_id, consumed.email]);
+
+            if (result.rows.length === 0) {
+                throw accountError('The email address has changed since this link was sent');
+            }
+
+            await client.query('COMMIT');
+            return result.rows[0];
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async close() {
+        await this.pool.end();
+    }
+}
+
+module.exports = AccountRecovery;
@@ -0,0 +1,265 @@
+const { Pool } = require('pg');
+
+const ADAPTIVE_GAME_TYPE = 'adaptive';
+
+const DEFAULT_MASTERY_THRESHOLD = 80;
+const DEFAULT_MAX_QUESTIONS = 40;
+const MAX_QUESTIONS_LIMIT = 200;
+
+// Para dar un tema por dominado, además de superar el umbral, hacen falta respuestas de la
+// propia partida (aunque la consolidación previa ya lo supere) y que las últimas sean aciertos
+const MIN_TOPIC_ANSWERS = 3;
+const MIN_TOPIC_STREAK = 2;
+
+// Acierto esperado = logística de (dominio - nivel de dificultad), ambos en 0-1
+const SLOPE = 4;
+// Se busca la pregunta con la que el jugador acertaría el 70% de las veces
+const TARGET_SUCCESS = 0.7;
+// Paso de la estimación: grande con las primeras respuestas del tema, después más estable
+const INITIAL_STEP = 0.5;
+const MIN_STEP = 0.12;
+// No repetir tema seguido si hay otro pendiente casi igual de flojo (puntos de dominio)
+const INTERLEAVE_MARGIN = 10;
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+function topicKey(blockId, topic) {
+    return `${blockId}_${topic || ''}`;
+}
+
+// Práctica adaptativa: estima el dominio de cada tema a partir de stats.consolidation.byTopic
+// y de las respuestas de la partida, y elige la siguiente pregunta del tema más flojo con la
+// dificultad adecuada hasta que todos los temas alcanzan el umbral
+class AdaptivePracticeEngine {
+    constructor() {
+        this.pool = new Pool({
+            connectionString: process.env.DATABASE_URL,
+            ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+        });
+    }
+
+    static get GAME_TYPE() {
+        return ADAPTIVE_GAME_TYPE;
+    }
+
+    // ==================== ESTIMACIÓN DEL DOMINIO ====================
+
+    static expectedSuccess(mastery, level) {
+        return 1 / (1 + Math.exp(-SLOPE * (mastery - level)));
+    }
+
+    static stepSize(answered) {
+        return Math.max(MIN_STEP, INITIAL_STEP / (1 + answered / 3));
+    }
+
+    // Nivel de la pregunta que da TARGET_SUCCESS con el dominio actual (0-1)
+    static targetLevel(mastery) {
+        return mastery - Math.log(TARGET_SUCCESS / (1 - TARGET_SUCCESS)) / SLOPE;
+    }
+
+    static topicMastered(topic, state) {
+        return topic.mastery >= state.threshold
+            && topic.answered >= state.minAnswers
+            && topic.streak >= state.minStreak;
+    }
+
+    // outcome: crédito de la respuesta (0-1; el crédito parcial cuenta como fracción)
+    static applyAnswer(state, question, outcome) {
+        const topic = state.topics[question.key];
+        if (!topic) return state;
+
+        const mastery = topic.mastery / 100;
+        const expected = AdaptivePracticeEngine.expectedSuccess(mastery, question.level);
+        const next = clamp(mastery + AdaptivePracticeEngine.stepSize(topic.answered) * (outcome - expected), 0, 1);
+
+        topic.mastery = round(next * 100);
+        topic.answered++;
+        if (outcome >= 1) {
+            topic.correct++;
+            topic.streak++;
+        } else {
+            topic.streak = 0;
+        }
+        state.lastTopic = question.key;
+        state.answered++;
+        return state;
+    }
+
+    // Todos los temas del bloque en la partida alcanzan el umbral indicado (el de la asignación)
+    static isBlockMastered(state, blockId, threshold) {
+        if (!state) return false;
+        const topics = Object.values(state.topics).filter(topic => topic.blockId === blockId);
+        return topics.length > 0 && topics.every(topic =>
+            AdaptivePracticeEngine.topicMastered(topic, { ...state, threshold: parseFloat(threshold) })
+        );
+    }
+
+    // ==================== SELECCIÓN DE PREGUNTAS ====================
+
+    // Preguntas candidatas con su tema y su nivel de dificultad normalizado (0-1) dentro de la selección
+    async loadCandidates(selection, client = this.pool) {
+        let rows = [];
+        for (const { blockId, topics } of selection) {
+            const result = await client.query(`
+                SELECT id, block_id, topic, difficulty FROM questions
+                WHERE block_id = $1
+                  AND (cardinality($2::text[]) = 0 OR topic = ANY($2::text[]))
+            `, [blockId, topics]);
+            rows = rows.concat(result.rows);
+        }
+
+        const difficulties = rows.map(row => parseInt(row.difficulty) || 1);
+        const min = Math.min(...difficulties);
+        const max = Math.max(...difficulties);
+
+        return rows.map((row, index) => ({
+            id: row.id,
+            blockId: row.block_id,
+            topic: row.topic,
+            key: topicKey(row.block_id, row.topic),
+            difficulty: difficulties[index],
+            level: max > min ? (difficulties[index] - min) / (max - min) : 0.5
+        }));
+    }
+
+    // Siguiente pregunta sin servir del tema más flojo que no esté dominado; actualiza state.status
+    static nextQuestion(state, candidates, servedIds) {
+        if (state.answered >= state.maxQuestions) {
+            state.status = 'max_questions';
+            return null;
+        }
+
+        const served = new Set(servedIds);
+        const available = candidates.filter(question => !served.has(question.id));
+
+        const pending = Object.entries(state.topics)
+            .filter(([, topic]) => !AdaptivePracticeEngine.topicMastered(topic, state))
+            .map(([key, topic]) => ({ key, ...topic }));
+
+        if (pending.length === 0) {
+            state.status = 'mastered';
+            return null;
+        }
+
+        const open = pending
+            .filter(topic => available.some(question => question.key === topic.key))
+            .sort((a, b) => a.mastery - b.mastery || a.answered - b.answered);
+
+        if (open.length === 0) {
+            state.status = 'exhausted';
+            return null;
+        }
+
+        let chosen = open[0];
+        if (open.length > 1 && chosen.key === state.lastTopic && open[1].mastery - chosen.mastery < INTERLEAVE_MARGIN) {
+            chosen = open[1];
+        }
+
+        const target = AdaptivePracticeEngine.targetLevel(chosen.mastery / 100);
+        const inTopic = available.filter(question => question.key === chosen.key);
+        const distance = question => Math.abs(question.level - target);
+        const best = Math.min(...inTopic.map(distance));
+        const closest = inTopic.filter(question => distance(question) - best < 1e-9);
+
+        state.status = 'practicing';
+        return closest[Math.floor(Math.random() * closest.length)];
+    }
+
+    // ==================== PARTIDA ====================
+
+    // Estado inicial: un tema por (bloque, tema) de la selección, con la consolidación previa como dominio
+    async start(userId, selection, { threshold, maxQuestions } = {}) {
+        const candidates = await this.loadCandidates(selection);
+        if (candidates.length === 0) {
+            return { state: null, questionId: null };
+        }
+
+        const profile = await this.pool.query(
+            "SELECT stats->'consolidation'->'byTopic' as by_topic FROM user_profiles WHERE user_id = $1",
+            [userId]
+        );
+        const byTopic = profile.rows[0]?.by_topic || {};
+
+        const topics = {};
+        for (const question of candidates) {
+            if (topics[question.key]) continue;
+            const prior = round(clamp(parseFloat(byTopic[question.key]) || 0, 0, 100));
+            topics[question.key] = {
+                blockId: question.blockId,
+                topic: question.topic,
+                prior,
+                mastery: prior,
+                answered: 0,
+                correct: 0,
+                streak: 0
+            };
+        }
+
+        const state = {
+            threshold: clamp(parseFloat(threshold) || DEFAULT_MASTERY_THRESHOLD, 1, 100),
+            maxQuestions: clamp(parseInt(maxQuestions) || DEFAULT_MAX_QUESTIONS, 1, MAX_QUESTIONS_LIMIT),
+            minAnswers: MIN_TOPIC_ANSWERS,
+            minStreak: MIN_TOPIC_STREAK,
+            answered: 0,
+            lastTopic: null,
+            status: 'practicing',
+            topics
+        };
+
+        const first = AdaptivePracticeEngine.nextQuestion(state, candidates, []);
+        return { state, questionId: first ? first.id : null };
+    }
+
+    // Aplica la respuesta a questionId y elige la siguiente (null cuando la práctica termina)
+    async advance(selection, session, questionId, outcome, client = this.pool) {
+        const state = session.adaptive_state;
+        const candidates = await this.loadCandidates(selection, client);
+
+        const question = candidates.find(candidate => candidate.id === questionId);
+        if (question) {
+            AdaptivePracticeEngine.applyAnswer(state, question, outcome);
+        } else {
+            state.answered++;
+        }
+
+        const next = AdaptivePracticeEngine.nextQuestion(state, candidates, session.question_ids || []);
+        return { state, questionId: next ? next.id : null };
+    }
+
+    // Vista para el cliente: temas de más flojo a más dominado
+    static summary(state) {
+        const topics = Object.values(state.topics)
+            .map(topic => ({
+                blockId: topic.blockId,
+                topic: topic.topic,
+                prior: topic.prior,
+                mastery: topic.mastery,
+                answered: topic.answered,
+                correct: topic.correct,
+                mastered: AdaptivePracticeEngine.topicMastered(topic, state)
+            }))
+            .sort((a, b) => a.mastery - b.mastery);
+
+        return {
+            status: state.status,
+            threshold: state.threshold,
+            maxQuestions: state.maxQuestions,
+            answered: state.answered,
+            mastered: state.status === 'mastered',
+            topicsMastered: topics.filter(topic => topic.mastered).length,
+            topics
+        };
+    }
+
+    async close() {
+        await this.pool.end();
+    }
+}
+
+module.exports = AdaptivePracticeEngine;
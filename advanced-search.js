@@ -1,5 +1,37 @@
 const { Pool } = require('pg');
 
+const SEARCH_TYPES = ['users', 'blocks', 'questions', 'games', 'challenges'];
+const ADMIN_ROLES = ['administrador_principal'];
+
+// Consulta de texto completo: frase con los diccionarios español e inglés, más prefijos
+// ('simple') para que "matem" encuentre "matemáticas" mientras se escribe
+function tsQuery(textParam, prefixParam) {
+    return `(websearch_to_tsquery('spanish', ${textParam}) || websearch_to_tsquery('english', ${textParam}) || to_tsquery('simple', ${prefixParam}))`;
+}
+
+// "álgebra lineal" -> "álgebra:* & lineal:*"; sin palabras útiles devuelve null
+function buildPrefixQuery(query) {
+    const words = String(query || '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(word => word.length > 0)
+        .slice(0, 8);
+
+    if (words.length === 0) return null;
+    return words.map(word => `${word}:*`).join(' & ');
+}
+
+// Texto literal para ILIKE (escapa % y _)
+function likePattern(text) {
+    return `%${String(text).replace(/[\\%_]/g, '\\$&')}%`;
+}
+
+function searchError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
 // Sistema de búsqueda avanzada para PLAYTEST
 class AdvancedSearchSystem {
     constructor() {
@@ -9,506 +41,393 @@ class AdvancedSearchSystem {
         });
     }
 
+    static get SEARCH_TYPES() {
+        return SEARCH_TYPES;
+    }
+
     // Búsqueda avanzada con múltiples filtros
     async performAdvancedSearch(params) {
-        try {
-            const {
-                query,
-                filters = {},
-                sort_by = 'relevance',
-                sort_order = 'desc',
-                limit = 50,
-                offset = 0,
-                user_id,
-                user_roles = []
-            } = params;
-
-            const results = {
-                users: [],
-                blocks: [],
-                questions: [],
-                games: [],
-                challenges: [],
-                total_count: 0
-            };
-
-            // Búsqueda de usuarios con filtros avanzados
-            if (!filters.exclude_users) {
-                results.users = await this.searchUsersAdvanced({
-                    query,
-                    filters: filters.users || {},
-                    limit: Math.floor(limit / 5),
-                    offset,
-                    requesting_user_id: user_id
-                });
-            }
-
-            // Búsqueda de bloques con filtros avanzados
-            if (!filters.exclude_blocks) {
-                results.blocks = await this.searchBlocksAdvanced({
-                    query,
-                    filters: filters.blocks || {},
-                    limit: Math.floor(limit / 5),
-                    offset,
-                    user_id,
-                    user_roles
-                });
-            }
-
-            // Búsqueda de preguntas con filtros avanzados
-            if (!filters.exclude_questions) {
-                results.questions = await this.searchQuestionsAdvanced({
-                    query,
-                    filters: filters.questions || {},
-                    limit: Math.floor(limit / 5),
-                    offset,
-                    user_id
-                });
-            }
-
-            // Búsqueda de juegos con filtros avanzados
-            if (!filters.exclude_games) {
-                results.games = await this.searchGamesAdvanced({
-                    query,
-                    filters: filters.games || {},
-                    limit: Math.floor(limit / 5),
-                    offset,
-                    user_id
-                });
-            }
-
-            // Búsqueda de challenges con filtros avanzados
-            if (!filters.exclude_challenges) {
-                results.challenges = await this.searchChallengesAdvanced({
-                    query,
-                    filters: filters.challenges || {},
-                    limit: Math.floor(limit / 5),
-                    offset,
-                    user_id
-                });
-            }
-
-            // Calcular total y aplicar ordenamiento global
-            const allResults = [
-                ...results.users.map(r => ({ ...r, type: 'user' })),
-                ...results.blocks.map(r => ({ ...r, type: 'block' })),
-                ...results.questions.map(r => ({ ...r, type: 'question' })),
-                ...results.games.map(r => ({ ...r, type: 'game' })),
-                ...results.challenges.map(r => ({ ...r, type: 'challenge' }))
-            ];
-
-            // Ordenamiento global
-            const sortedResults = this.applySorting(allResults, sort_by, sort_order);
-
-            results.total_count = sortedResults.length;
-            results.sorted_results = sortedResults.slice(offset, offset + limit);
-
-            return results;
-
-        } catch (error) {
-            console.error('Error en búsqueda avanzada:', error);
-            throw error;
+        const {
+            query,
+            filters = {},
+            sort_by = 'relevance',
+            sort_order = 'desc',
+            limit = 50,
+            offset = 0,
+            user_id,
+            user_roles = []
+        } = params;
+
+        const prefixQuery = buildPrefixQuery(query);
+        if (!prefixQuery) {
+            throw searchError('La búsqueda necesita al menos una palabra');
         }
-    }
-
-    async searchUsersAdvanced({ query, filters, limit, offset, requesting_user_id }) {
-        try {
-            let sql = `
-                SELECT DISTINCT
-                    u.id,
-                    u.nickname,
-                    u.email,
-                    u.created_at,
-                    ur.role_name,
-                    ul.current_balance as luminarias,
-                    ualevel.level_name as user_level,
-                    crlevel.level_name as creator_level,
-                    trlevel.level_name as teacher_level,
-                    ts_rank(
-                        to_tsvector('spanish', COALESCE(u.nickname, '') || ' ' || COALESCE(u.email, '')),
-                        plainto_tsquery('spanish', $1)
-                    ) as relevance_score
-                FROM users u
-                LEFT JOIN user_roles ur ON u.id = ur.user_id
-                LEFT JOIN user_luminarias ul ON u.id = ul.user_id
-                LEFT JOIN user_levels ualevel_join ON u.id = ualevel_join.user_id AND ualevel_join.level_type = 'user'
-                LEFT JOIN level_definitions ualevel ON ualevel_join.current_level_id = ualevel.id
-                LEFT JOIN user_levels crlevel_join ON u.id = crlevel_join.user_id AND crlevel_join.level_type = 'creator'
-                LEFT JOIN level_definitions crlevel ON crlevel_join.current_level_id = crlevel.id
-                LEFT JOIN user_levels trlevel_join ON u.id = trlevel_join.user_id AND trlevel_join.level_type = 'teacher'
-                LEFT JOIN level_definitions trlevel ON trlevel_join.current_level_id = trlevel.id
-                WHERE (
-                    u.nickname ILIKE $2 OR 
-                    u.email ILIKE $2 OR
-                    to_tsvector('spanish', COALESCE(u.nickname, '') || ' ' || COALESCE(u.email, '')) @@ plainto_tsquery('spanish', $1)
-                )
-            `;
-
-            const params = [query, `%${query}%`];
-            let paramIndex = 3;
-
-            // Filtros específicos
-            if (filters.role) {
-                sql += ` AND ur.role_name = $${paramIndex}`;
-                params.push(filters.role);
-                paramIndex++;
-            }
-
-            if (filters.min_luminarias) {
-                sql += ` AND ul.current_balance >= $${paramIndex}`;
-                params.push(parseInt(filters.min_luminarias));
-                paramIndex++;
-            }
 
-            if (filters.level_type && filters.level_name) {
-                if (filters.level_type === 'user') {
-                    sql += ` AND ualevel.level_name = $${paramIndex}`;
-                } else if (filters.level_type === 'creator') {
-                    sql += ` AND crlevel.level_name = $${paramIndex}`;
-                } else if (filters.level_type === 'teacher') {
-                    sql += ` AND trlevel.level_name = $${paramIndex}`;
-                }
-                params.push(filters.level_name);
-                paramIndex++;
-            }
-
-            if (filters.created_after) {
-                sql += ` AND u.created_at >= $${paramIndex}`;
-                params.push(filters.created_after);
-                paramIndex++;
-            }
-
-            if (filters.exclude_inactive) {
-                sql += ` AND ul.last_activity >= NOW() - INTERVAL '30 days'`;
-            }
+        // Cada tipo trae offset + limit filas ordenadas por relevancia: así la página global
+        // (mezcla de todos los tipos) se puede cortar después sin perder resultados
+        const common = { query, prefixQuery, limit: offset + limit, user_id };
+        const isAdmin = user_roles.some(role => ADMIN_ROLES.includes(role));
+
+        const searches = {
+            users: () => this.searchUsersAdvanced({ ...common, filters: filters.users || {} }),
+            blocks: () => this.searchBlocksAdvanced({ ...common, filters: filters.blocks || {}, isAdmin }),
+            questions: () => this.searchQuestionsAdvanced({ ...common, filters: filters.questions || {}, isAdmin }),
+            games: () => this.searchGamesAdvanced({ ...common, filters: filters.games || {} }),
+            challenges: () => this.searchChallengesAdvanced({ ...common, filters: filters.challenges || {}, isAdmin })
+        };
+
+        const results = { total_count: 0, counts: {} };
+
+        for (const type of SEARCH_TYPES) {
+            if (filters[`exclude_${type}`]) {
+                results[type] = [];
+                results.counts[type] = 0;
+                continue;
+            }
+
+            // Un tipo que falla (p. ej. sin la migración de índices) no anula el resto de resultados
+            let rows = [];
+            try {
+                rows = await searches[type]();
+            } catch (error) {
+                console.error(`Error en búsqueda avanzada de ${type}:`, error);
+            }
+
+            results.counts[type] = rows.length > 0 ? parseInt(rows[0].total_count) : 0;
+            results[type] = rows.map(({ total_count, ...row }) => ({
+                ...row,
+                relevance_score: parseFloat(row.relevance_score) || 0
+            }));
+            results.total_count += results.counts[type];
+        }
 
-            sql += ` ORDER BY relevance_score DESC, u.created_at DESC LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
-            params.push(limit, offset);
+        // Ordenamiento global
+        const allResults = [
+            ...results.users.map(r => ({ ...r, type: 'user' })),
+            ...results.blocks.map(r => ({ ...r, type: 'block' })),
+            ...results.questions.map(r => ({ ...r, type: 'question' })),
+            ...results.games.map(r => ({ ...r, type: 'game' })),
+            ...results.challenges.map(r => ({ ...r, type: 'challenge' }))
+        ];
 
-            const result = await this.pool.query(sql, params);
-            return result.rows;
+        const sortedResults = this.applySorting(allResults, sort_by, sort_order);
+        results.sorted_results = sortedResults.slice(offset, offset + limit);
 
-        } catch (error) {
-            console.error('Error en búsqueda avanzada de usuarios:', error);
-            return [];
-        }
+        return results;
     }
 
-    async searchBlocksAdvanced({ query, filters, limit, offset, user_id, user_roles }) {
-        try {
-            let sql = `
-                SELECT DISTINCT
-                    b.id,
-                    b.title,
-                    b.description,
-                    b.difficulty,
-                    b.category,
-                    b.visibility,
-                    b.created_at,
-                    u.nickname as creator_nickname,
-                    COUNT(DISTINCT q.id) as question_count,
-                    COUNT(DISTINCT g.id) as games_played,
-                    COALESCE(AVG(
-                        CASE WHEN ua.is_correct THEN 1.0 ELSE 0.0 END
-                    ), 0) as success_rate,
-                    ts_rank(
-                        to_tsvector('spanish', COALESCE(b.title, '') || ' ' || COALESCE(b.description, '')),
-                        plainto_tsquery('spanish', $1)
-                    ) as relevance_score
-                FROM blocks b
-                LEFT JOIN users u ON b.creator_id = u.id
-                LEFT JOIN questions q ON b.id = q.block_id
-                LEFT JOIN games g ON b.id = g.block_id AND g.status = 'completed'
-                LEFT JOIN user_answers ua ON q.id = ua.question_id
-                WHERE (
-                    b.title ILIKE $2 OR 
-                    b.description ILIKE $2 OR
-                    to_tsvector('spanish', COALESCE(b.title, '') || ' ' || COALESCE(b.description, '')) @@ plainto_tsquery('spanish', $1)
-                )
-            `;
-
-            const params = [query, `%${query}%`];
-            let paramIndex = 3;
-
-            // Filtros de visibilidad basados en permisos
-            if (!user_roles.includes('admin_principal')) {
-                sql += ` AND (b.visibility = 'public' OR b.creator_id = $${paramIndex})`;
-                params.push(user_id);
-                paramIndex++;
-            }
-
-            // Filtros específicos
-            if (filters.difficulty) {
-                sql += ` AND b.difficulty = $${paramIndex}`;
-                params.push(filters.difficulty);
-                paramIndex++;
-            }
+    async searchUsersAdvanced({ query, prefixQuery, filters, limit }) {
+        let sql = `
+            SELECT
+                u.id,
+                u.nickname,
+                u.created_at,
+                ul.current_balance as luminarias,
+                ts_rank_cd(u.search_vector, q.query) as relevance_score,
+                COUNT(*) OVER() as total_count
+            FROM users u
+            CROSS JOIN (SELECT ${tsQuery('$1', '$2')} as query) q
+            LEFT JOIN user_luminarias ul ON u.id = ul.user_id
+            WHERE (u.search_vector @@ q.query OR u.nickname ILIKE $3)
+        `;
+
+        const params = [query, prefixQuery, likePattern(query)];
+        let paramIndex = 4;
+
+        // Filtros específicos
+        if (filters.role) {
+            sql += ` AND EXISTS (
+                SELECT 1 FROM user_roles ur JOIN roles r ON ur.role_id = r.id
+                WHERE ur.user_id = u.id AND r.name = $${paramIndex}
+            )`;
+            params.push(filters.role);
+            paramIndex++;
+        }
 
-            if (filters.category) {
-                sql += ` AND b.category = $${paramIndex}`;
-                params.push(filters.category);
-                paramIndex++;
-            }
+        if (filters.min_luminarias) {
+            sql += ` AND ul.current_balance >= $${paramIndex}`;
+            params.push(parseInt(filters.min_luminarias));
+            paramIndex++;
+        }
 
-            if (filters.creator_id) {
-                sql += ` AND b.creator_id = $${paramIndex}`;
-                params.push(filters.creator_id);
-                paramIndex++;
-            }
+        if (filters.created_after) {
+            sql += ` AND u.created_at >= $${paramIndex}`;
+            params.push(filters.created_after);
+            paramIndex++;
+        }
 
-            if (filters.min_questions) {
-                sql += ` AND (SELECT COUNT(*) FROM questions WHERE block_id = b.id) >= $${paramIndex}`;
-                params.push(parseInt(filters.min_questions));
-                paramIndex++;
-            }
+        sql += ` ORDER BY relevance_score DESC, u.nickname ASC LIMIT $${paramIndex}`;
+        params.push(limit);
 
-            if (filters.created_after) {
-                sql += ` AND b.created_at >= $${paramIndex}`;
-                params.push(filters.created_after);
-                paramIndex++;
-            }
+        const result = await this.pool.query(sql, params);
+        return result.rows;
+    }
 
-            if (filters.min_success_rate) {
-                sql += ` AND COALESCE(AVG(CASE WHEN ua.is_correct THEN 1.0 ELSE 0.0 END), 0) >= $${paramIndex}`;
-                params.push(parseFloat(filters.min_success_rate) / 100);
-                paramIndex++;
-            }
+    async searchBlocksAdvanced({ query, prefixQuery, filters, limit, user_id, isAdmin }) {
+        let sql = `
+            SELECT
+                b.id,
+                b.name,
+                b.description,
+                b.is_public,
+                b.image_url,
+                b.created_at,
+                u.id as creator_id,
+                u.nickname as creator_nickname,
+                (SELECT COUNT(*) FROM questions WHERE block_id = b.id) as question_count,
+                (SELECT COUNT(DISTINCT user_id) FROM answer_events WHERE block_id = b.id) as players_count,
+                ts_rank_cd(b.search_vector, q.query) as relevance_score,
+                COUNT(*) OVER() as total_count
+            FROM blocks b
+            CROSS JOIN (SELECT ${tsQuery('$1', '$2')} as query) q
+            LEFT JOIN user_roles ur ON b.user_role_id = ur.id
+            LEFT JOIN users u ON ur.user_id = u.id
+            WHERE (b.search_vector @@ q.query OR b.name ILIKE $3)
+        `;
+
+        const params = [query, prefixQuery, likePattern(query)];
+        let paramIndex = 4;
+
+        // Filtros de visibilidad basados en permisos
+        if (!isAdmin) {
+            sql += ` AND (b.is_public = true OR ur.user_id = $${paramIndex})`;
+            params.push(user_id);
+            paramIndex++;
+        }
 
-            sql += ` GROUP BY b.id, u.nickname ORDER BY relevance_score DESC, b.created_at DESC LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
-            params.push(limit, offset);
+        // Filtros específicos
+        if (filters.creator_id) {
+            sql += ` AND ur.user_id = $${paramIndex}`;
+            params.push(parseInt(filters.creator_id));
+            paramIndex++;
+        }
 
-            const result = await this.pool.query(sql, params);
-            return result.rows;
+        if (filters.min_questions) {
+            sql += ` AND (SELECT COUNT(*) FROM questions WHERE block_id = b.id) >= $${paramIndex}`;
+            params.push(parseInt(filters.min_questions));
+            paramIndex++;
+        }
 
-        } catch (error) {
-            console.error('Error en búsqueda avanzada de bloques:', error);
-            return [];
+        if (filters.created_after) {
+            sql += ` AND b.created_at >= $${paramIndex}`;
+            params.push(filters.created_after);
+            paramIndex++;
         }
-    }
 
-    async searchQuestionsAdvanced({ query, filters, limit, offset, user_id }) {
-        try {
-            let sql = `
-                SELECT DISTINCT
-                    q.id,
-                    q.question_text,
-                    q.correct_answer,
-                    q.difficulty,
-                    q.topic,
-                    q.created_at,
-                    b.title as block_title,
-                    u.nickname as creator_nickname,
-                    COUNT(DISTINCT ua.id) as answer_count,
-                    COALESCE(AVG(
-                        CASE WHEN ua.is_correct THEN 1.0 ELSE 0.0 END
-                    ), 0) as success_rate,
-                    ts_rank(
-                        to_tsvector('spanish', COALESCE(q.question_text, '') || ' ' || COALESCE(q.topic, '')),
-                        plainto_tsquery('spanish', $1)
-                    ) as relevance_score
-                FROM questions q
-                LEFT JOIN blocks b ON q.block_id = b.id
-                LEFT JOIN users u ON b.creator_id = u.id
-                LEFT JOIN user_answers ua ON q.id = ua.question_id
-                WHERE (
-                    q.question_text ILIKE $2 OR 
-                    q.topic ILIKE $2 OR
-                    to_tsvector('spanish', COALESCE(q.question_text, '') || ' ' || COALESCE(q.topic, '')) @@ plainto_tsquery('spanish', $1)
-                )
-                AND (b.visibility = 'public' OR b.creator_id = $3)
-            `;
-
-            const params = [query, `%${query}%`, user_id];
-            let paramIndex = 4;
-
-            // Filtros específicos
-            if (filters.difficulty) {
-                sql += ` AND q.difficulty = $${paramIndex}`;
-                params.push(filters.difficulty);
-                paramIndex++;
-            }
+        sql += ` ORDER BY relevance_score DESC, b.created_at DESC LIMIT $${paramIndex}`;
+        params.push(limit);
 
-            if (filters.block_id) {
-                sql += ` AND q.block_id = $${paramIndex}`;
-                params.push(filters.block_id);
-                paramIndex++;
-            }
+        const result = await this.pool.query(sql, params);
+        return result.rows;
+    }
 
-            if (filters.topic) {
-                sql += ` AND q.topic ILIKE $${paramIndex}`;
-                params.push(`%${filters.topic}%`);
-                paramIndex++;
-            }
+    async searchQuestionsAdvanced({ query, prefixQuery, filters, limit, user_id, isAdmin }) {
+        let sql = `
+            SELECT
+                qs.id,
+                qs.text_question,
+                qs.topic,
+                qs.difficulty,
+                qs.created_at,
+                qs.block_id,
+                b.name as block_name,
+                u.nickname as creator_nickname,
+                stats.answer_count,
+                stats.success_rate,
+                ts_rank_cd(qs.search_vector, q.query) as relevance_score,
+                COUNT(*) OVER() as total_count
+            FROM questions qs
+            CROSS JOIN (SELECT ${tsQuery('$1', '$2')} as query) q
+            JOIN blocks b ON qs.block_id = b.id
+            LEFT JOIN user_roles ur ON b.user_role_id = ur.id
+            LEFT JOIN users u ON ur.user_id = u.id
+            LEFT JOIN LATERAL (
+                SELECT
+                    COUNT(*) as answer_count,
+                    COALESCE(AVG(CASE WHEN ae.result = 'ACIERTO' THEN 1.0 ELSE 0.0 END), 0) as success_rate
+                FROM answer_events ae
+                WHERE ae.question_id = qs.id
+            ) stats ON true
+            WHERE (qs.search_vector @@ q.query OR qs.topic ILIKE $3)
+        `;
+
+        const params = [query, prefixQuery, likePattern(query)];
+        let paramIndex = 4;
+
+        if (!isAdmin) {
+            sql += ` AND (b.is_public = true OR ur.user_id = $${paramIndex})`;
+            params.push(user_id);
+            paramIndex++;
+        }
 
-            if (filters.min_answers) {
-                sql += ` AND (SELECT COUNT(*) FROM user_answers WHERE question_id = q.id) >= $${paramIndex}`;
-                params.push(parseInt(filters.min_answers));
-                paramIndex++;
-            }
+        // Filtros específicos
+        if (filters.difficulty) {
+            sql += ` AND qs.difficulty = $${paramIndex}`;
+            params.push(parseInt(filters.difficulty));
+            paramIndex++;
+        }
 
-            if (filters.created_after) {
-                sql += ` AND q.created_at >= $${paramIndex}`;
-                params.push(filters.created_after);
-                paramIndex++;
-            }
+        if (filters.block_id) {
+            sql += ` AND qs.block_id = $${paramIndex}`;
+            params.push(parseInt(filters.block_id));
+            paramIndex++;
+        }
 
-            sql += ` GROUP BY q.id, b.title, u.nickname ORDER BY relevance_score DESC, q.created_at DESC LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
-            params.push(limit, offset);
+        if (filters.topic) {
+            sql += ` AND qs.topic ILIKE $${paramIndex}`;
+            params.push(`%${filters.topic}%`);
+            paramIndex++;
+        }
 
-            const result = await this.pool.query(sql, params);
-            return result.rows;
+        if (filters.min_answers) {
+            sql += ` AND stats.answer_count >= $${paramIndex}`;
+            params.push(parseInt(filters.min_answers));
+            paramIndex++;
+        }
 
-        } catch (error) {
-            console.error('Error en búsqueda avanzada de preguntas:', error);
-            return [];
+        if (filters.created_after) {
+            sql += ` AND qs.created_at >= $${paramIndex}`;
+            params.push(filters.created_after);
+            paramIndex++;
         }
-    }
 
-    async searchGamesAdvanced({ query, filters, limit, offset, user_id }) {
-        try {
-            let sql = `
-                SELECT DISTINCT
-                    g.id,
-                    g.game_type,
-                    g.status,
-                    g.created_at,
-                    g.completed_at,
-                    b.title as block_title,
-                    creator.nickname as creator_nickname,
-                    player.nickname as player_nickname,
-                    g.final_score,
-                    g.total_questions,
-                    g.correct_answers,
-                    ts_rank(
-                        to_tsvector('spanish', COALESCE(b.title, '') || ' ' || COALESCE(g.game_type, '')),
-                        plainto_tsquery('spanish', $1)
-                    ) as relevance_score
-                FROM games g
-                LEFT JOIN blocks b ON g.block_id = b.id
-                LEFT JOIN users creator ON g.created_by = creator.id
-                LEFT JOIN users player ON g.player_id = player.id
-                WHERE (
-                    b.title ILIKE $2 OR 
-                    g.game_type ILIKE $2 OR
-                    to_tsvector('spanish', COALESCE(b.title, '') || ' ' || COALESCE(g.game_type, '')) @@ plainto_tsquery('spanish', $1)
-                )
-                AND (g.created_by = $3 OR g.player_id = $3 OR b.visibility = 'public')
-            `;
-
-            const params = [query, `%${query}%`, user_id];
-            let paramIndex = 4;
-
-            // Filtros específicos
-            if (filters.game_type) {
-                sql += ` AND g.game_type = $${paramIndex}`;
-                params.push(filters.game_type);
-                paramIndex++;
-            }
+        sql += ` ORDER BY relevance_score DESC, qs.created_at DESC LIMIT $${paramIndex}`;
+        params.push(limit);
 
-            if (filters.status) {
-                sql += ` AND g.status = $${paramIndex}`;
-                params.push(filters.status);
-                paramIndex++;
-            }
+        const result = await this.pool.query(sql, params);
+        return result.rows;
+    }
 
-            if (filters.min_score) {
-                sql += ` AND g.final_score >= $${paramIndex}`;
-                params.push(parseInt(filters.min_score));
-                paramIndex++;
-            }
+    // Solo partidas propias; se encuentran por el modo de juego o por los bloques de su configuración
+    async searchGamesAdvanced({ query, prefixQuery, filters, limit, user_id }) {
+        let sql = `
+            SELECT
+                g.id,
+                g.game_type,
+                g.status,
+                g.created_at,
+                matched.block_names,
+                creator.nickname as creator_nickname,
+                (SELECT MAX((gs.score_data->>'score')::numeric)
+                 FROM game_scores gs
+                 WHERE gs.game_id = g.id AND gs.score_data->>'score' ~ '^[0-9]+(\\.[0-9]+)?$') as final_score,
+                GREATEST(COALESCE(matched.rank, 0), CASE WHEN g.game_type ILIKE $3 THEN 0.1 ELSE 0 END) as relevance_score,
+                COUNT(*) OVER() as total_count
+            FROM games g
+            CROSS JOIN (SELECT ${tsQuery('$1', '$2')} as query) q
+            LEFT JOIN users creator ON g.created_by = creator.id
+            LEFT JOIN LATERAL (
+                SELECT
+                    ARRAY_AGG(b.name ORDER BY b.name) as block_names,
+                    MAX(ts_rank_cd(b.search_vector, q.query)) FILTER (WHERE b.search_vector @@ q.query) as rank
+                FROM jsonb_object_keys(CASE WHEN jsonb_typeof(g.config) = 'object' THEN g.config ELSE '{}'::jsonb END) as k(key)
+                JOIN blocks b ON k.key ~ '^[0-9]+$' AND b.id = k.key::int
+            ) matched ON true
+            WHERE (matched.rank IS NOT NULL OR g.game_type ILIKE $3)
+              AND (g.created_by = $4 OR EXISTS (
+                  SELECT 1 FROM game_players gp WHERE gp.game_id = g.id AND gp.user_id = $4
+              ))
+        `;
+
+        const params = [query, prefixQuery, likePattern(query), user_id];
+        let paramIndex = 5;
+
+        // Filtros específicos
+        if (filters.game_type) {
+            sql += ` AND g.game_type = $${paramIndex}`;
+            params.push(filters.game_type);
+            paramIndex++;
+        }
 
-            if (filters.created_after) {
-                sql += ` AND g.created_at >= $${paramIndex}`;
-                params.push(filters.created_after);
-                paramIndex++;
-            }
+        if (filters.status) {
+            sql += ` AND g.status = $${paramIndex}`;
+            params.push(filters.status);
+            paramIndex++;
+        }
 
-            if (filters.completed_only) {
-                sql += ` AND g.status = 'completed'`;
-            }
+        if (filters.created_after) {
+            sql += ` AND g.created_at >= $${paramIndex}`;
+            params.push(filters.created_after);
+            paramIndex++;
+        }
 
-            sql += ` ORDER BY relevance_score DESC, g.created_at DESC LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
-            params.push(limit, offset);
+        if (filters.completed_only) {
+            sql += ` AND g.status = 'completed'`;
+        }
 
-            const result = await this.pool.query(sql, params);
-            return result.rows;
+        sql += ` ORDER BY relevance_score DESC, g.created_at DESC LIMIT $${paramIndex}`;
+        params.push(limit);
 
-        } catch (error) {
-            console.error('Error en búsqueda avanzada de juegos:', error);
-            return [];
-        }
+        const result = await this.pool.query(sql, params);
+        return result.rows;
     }
 
-    async searchChallengesAdvanced({ query, filters, limit, offset, user_id }) {
-        try {
-            let sql = `
-                SELECT DISTINCT
-                    c.id,
-                    c.challenge_name,
-                    c.challenge_type,
-                    c.status,
-                    c.start_date,
-                    c.end_date,
-                    c.prize_luminarias,
-                    creator.nickname as creator_nickname,
-                    COUNT(DISTINCT cp.id) as participants_count,
-                    ts_rank(
-                        to_tsvector('spanish', COALESCE(c.challenge_name, '') || ' ' || COALESCE(c.challenge_type, '')),
-                        plainto_tsquery('spanish', $1)
-                    ) as relevance_score
-                FROM challenges c
-                LEFT JOIN users creator ON c.created_by = creator.id
-                LEFT JOIN challenge_participants cp ON c.id = cp.challenge_id
-                WHERE (
-                    c.challenge_name ILIKE $2 OR 
-                    c.challenge_type ILIKE $2 OR
-                    to_tsvector('spanish', COALESCE(c.challenge_name, '') || ' ' || COALESCE(c.challenge_type, '')) @@ plainto_tsquery('spanish', $1)
-                )
-                AND (c.visibility = 'public' OR c.created_by = $3)
-            `;
-
-            const params = [query, `%${query}%`, user_id];
-            let paramIndex = 4;
-
-            // Filtros específicos
-            if (filters.challenge_type) {
-                sql += ` AND c.challenge_type = $${paramIndex}`;
-                params.push(filters.challenge_type);
-                paramIndex++;
-            }
+    // Los borradores solo los ve su creador
+    async searchChallengesAdvanced({ query, prefixQuery, filters, limit, user_id, isAdmin }) {
+        let sql = `
+            SELECT
+                c.id,
+                c.title,
+                c.description,
+                c.challenge_type,
+                c.status,
+                c.start_date,
+                c.end_date,
+                c.prize_luminarias,
+                c.created_at,
+                creator.nickname as creator_nickname,
+                (SELECT COUNT(*) FROM challenge_participants cp WHERE cp.challenge_id = c.id) as participants_count,
+                ts_rank_cd(c.search_vector, q.query) as relevance_score,
+                COUNT(*) OVER() as total_count
+            FROM challenges c
+            CROSS JOIN (SELECT ${tsQuery('$1', '$2')} as query) q
+            LEFT JOIN users creator ON c.creator_id = creator.id
+            WHERE (c.search_vector @@ q.query OR c.title ILIKE $3)
+        `;
+
+        const params = [query, prefixQuery, likePattern(query)];
+        let paramIndex = 4;
+
+        if (!isAdmin) {
+            sql += ` AND (c.status <> 'draft' OR c.creator_id = $${paramIndex})`;
+            params.push(user_id);
+            paramIndex++;
+        }
 
-            if (filters.status) {
-                sql += ` AND c.status = $${paramIndex}`;
-                params.push(filters.status);
-                paramIndex++;
-            }
+        // Filtros específicos
+        if (filters.challenge_type) {
+            sql += ` AND c.challenge_type = $${paramIndex}`;
+            params.push(filters.challenge_type);
+            paramIndex++;
+        }
 
-            if (filters.min_prize) {
-                sql += ` AND c.prize_luminarias >= $${paramIndex}`;
-                params.push(parseInt(filters.min_prize));
-                paramIndex++;
-            }
+        if (filters.status) {
+            sql += ` AND c.status = $${paramIndex}`;
+            params.push(filters.status);
+            paramIndex++;
+        }
 
-            if (filters.active_only) {
-                sql += ` AND c.status = 'active' AND c.start_date <= NOW() AND c.end_date >= NOW()`;
-            }
+        if (filters.min_prize) {
+            sql += ` AND c.prize_luminarias >= $${paramIndex}`;
+            params.push(parseInt(filters.min_prize));
+            paramIndex++;
+        }
 
-            if (filters.created_after) {
-                sql += ` AND c.created_at >= $${paramIndex}`;
-                params.push(filters.created_after);
-                paramIndex++;
-            }
+        if (filters.active_only) {
+            sql += ` AND c.status = 'active' AND c.start_date <= NOW() AND (c.end_date IS NULL OR c.end_date >= NOW())`;
+        }
 
-            sql += ` GROUP BY c.id, creator.nickname ORDER BY relevance_score DESC, c.created_at DESC LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
-            params.push(limit, offset);
+        if (filters.created_after) {
+            sql += ` AND c.created_at >= $${paramIndex}`;
+            params.push(filters.created_after);
+            paramIndex++;
+        }
 
-            const result = await this.pool.query(sql, params);
-            return result.rows;
+        sql += ` ORDER BY relevance_score DESC, c.created_at DESC LIMIT $${paramIndex}`;
+        params.push(limit);
 
-        } catch (error) {
-            console.error('Error en búsqueda avanzada de challenges:', error);
-            return [];
-        }
+        const result = await this.pool.query(sql, params);
+        return result.rows;
     }
 
     applySorting(results, sort_by, sort_order) {
@@ -525,13 +444,13 @@ class AdvancedSearchSystem {
                     comparison = new Date(a.created_at) - new Date(b.created_at);
                     break;
                 case 'popularity':
-                    const aPopularity = a.games_played || a.participants_count || a.answer_count || 0;
-                    const bPopularity = b.games_played || b.participants_count || b.answer_count || 0;
+                    const aPopularity = parseInt(a.players_count || a.participants_count || a.answer_count) || 0;
+                    const bPopularity = parseInt(b.players_count || b.participants_count || b.answer_count) || 0;
                     comparison = aPopularity - bPopularity;
                     break;
                 case 'rating':
-                    const aRating = a.success_rate || a.final_score || 0;
-                    const bRating = b.success_rate || b.final_score || 0;
+                    const aRating = parseFloat(a.success_rate || a.final_score) || 0;
+                    const bRating = parseFloat(b.success_rate || b.final_score) || 0;
                     comparison = aRating - bRating;
                     break;
                 default:
@@ -546,18 +465,17 @@ class AdvancedSearchSystem {
     async getSearchAnalytics(user_id, timeframe = 30) {
         try {
             const analytics = await this.pool.query(`
-                SELECT 
-                    COUNT(*) as total_searches,
-                    COUNT(DISTINCT search_query) as unique_queries,
-                    AVG(results_count) as avg_results_per_search,
+                SELECT
                     search_context,
-                    COUNT(*) as context_count
-                FROM user_search_history 
-                WHERE user_id = $1 
-                AND created_at >= NOW() - INTERVAL '${timeframe} days'
+                    COUNT(*) as unique_queries,
+                    SUM(search_count) as total_searches,
+                    AVG(results_count) as avg_results_per_search
+                FROM user_search_history
+                WHERE user_id = $1
+                AND last_searched_at >= NOW() - ($2::int * INTERVAL '1 day')
                 GROUP BY search_context
-                ORDER BY context_count DESC
-            `, [user_id]);
+                ORDER BY total_searches DESC
+            `, [user_id, timeframe]);
 
             return analytics.rows;
 
@@ -572,4 +490,4 @@ class AdvancedSearchSystem {
     }
 }
 
-module.exports = AdvancedSearchSystem;
\ No newline at end of file
+module.exports = AdvancedSearchSystem;
@@ -0,0 +1,124 @@
+const { Pool } = require('pg');
+
+// Almacén normalizado del historial de respuestas (tabla answer_events)
+class AnswerEventStore {
+    constructor() {
+        this.pool = new Pool({
+            connectionString: process.env.DATABASE_URL,
+            ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+        });
+    }
+
+    normalizeResult(result) {
+        if (result === 'ACIERTO' || result === 'FALLO') return result;
+        return 'BLANCO';
+    }
+
+    // Formato compatible con las entradas del antiguo user_profiles.answer_history
+    toHistoryEntry(row) {
+        return {
+            gameId: row.game_id,
+            questionId: row.question_id,
+            blockId: row.block_id,
+            topicName: row.topic,
+            result: row.result,
+            responseTime: row.response_time_ms,
+            timestamp: row.answered_at
+        };
+    }
+
+    // ==================== ESCRITURA ====================
+
+    async recordAnswers(userId, gameId, answers) {
+        const valid = answers.filter(answer => Number.isInteger(parseInt(answer.questionId)));
+        if (valid.length === 0) return 0;
+
+        const numericGameId = /^\d+$/.test(String(gameId)) ? parseInt(gameId) : null;
+
+        // Inserción en bloque; block_id y topic se completan desde questions si el cliente no los envía
+        const result = await this.pool.query(`
+            INSERT INTO answer_events (user_id, question_id, block_id, topic, game_id, result, response_time_ms)
+            SELECT $1, q.id, COALESCE(input.block_id, q.block_id), COALESCE(input.topic, q.topic), $2,
+                input.result, input.response_time_ms
+            FROM unnest($3::int[], $4::int[], $5::text[], $6::text[], $7::int[])
+                AS input(question_id, block_id, topic, result, response_time_ms)
+            JOIN questions q ON q.id = input.question_id
+        `, [
+            userId,
+            numericGameId,
+            valid.map(answer => parseInt(answer.questionId)),
+            valid.map(answer => parseInt(answer.blockId) || null),
+            valid.map(answer => answer.topicName || null),
+            valid.map(answer => this.normalizeResult(answer.result)),
+            valid.map(answer => Number.isFinite(Number(answer.responseTime)) ? Math.round(answer.responseTime) : null)
+        ]);
+
+        return result.rowCount;
+    }
+
+    // ==================== CONSULTAS ====================
+
+    async getRecentHistory(userId, limit = 1000) {
+        const result = await this.pool.query(`
+            SELECT question_id, block_id, topic, game_id, result, response_time_ms, answered_at
+            FROM answer_events
+            WHERE user_id = $1
+            ORDER BY answered_at DESC
+            LIMIT $2
+        `, [userId, limit]);
+
+        return result.rows.map(row => this.toHistoryEntry(row));
+    }
+
+    // Respuestas ya registradas de una partida (las de duel-engine.js o de una llamada anterior a /stats)
+    async getGameAnswers(userId, gameId) {
+        const result = await this.pool.query(`
+            SELECT question_id, block_id, topic, game_id, result, response_time_ms, answered_at
+            FROM answer_events
+            WHERE user_id = $1 AND game_id = $2
+            ORDER BY answered_at ASC
+        `, [userId, gameId]);
+
+        return result.rows.map(row => this.toHistoryEntry(row));
+    }
+
+    // Todo el historial del más antiguo al más reciente (reconstrucción de la cola de repaso)
+    async getChronologicalHistory(userId) {
+        const result = await this.pool.query(`
+            SELECT question_id, block_id, topic, game_id, result, response_time_ms, answered_at
+            FROM answer_events
+            WHERE user_id = $1
+            ORDER BY answered_at ASC
+        `, [userId]);
+
+        return result.rows.map(row => this.toHistoryEntry(row));
+    }
+
+    // Últimos N intentos de cada pregunta del bloque, del más reciente al más antiguo
+    async getRecentAttemptsByQuestion(userId, blockId, perQuestion = 10) {
+        const result = await this.pool.query(`
+            SELECT question_id, block_id, topic, game_id, result, response_time_ms, answered_at
+            FROM (
+                SELECT ae.*,
+                    ROW_NUMBER() OVER (PARTITION BY ae.question_id ORDER BY ae.answered_at DESC) as attempt_rank
+                FROM answer_events ae
+                WHERE ae.user_id = $1 AND ae.block_id = $2
+            ) ranked
+            WHERE attempt_rank <= $3
+            ORDER BY question_id, answered_at DESC
+        `, [userId, blockId, perQuestion]);
+
+        const byQuestion = {};
+        for (const row of result.rows) {
+            if (!byQuestion[row.question_id]) byQuestion[row.question_id] = [];
+            byQuestion[row.question_id].push(this.toHistoryEntry(row));
+        }
+        return byQuestion;
+    }
+
+    async close() {
+        await this.pool.end();
+    }
+}
+
+module.exports = AnswerEventStore;
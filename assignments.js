@@ -0,0 +1,665 @@
+const { Pool } = require('pg');
+const AdaptivePracticeEngine = require('./adaptive-practice');
+
+const LATE_POLICIES = ['accept', 'penalize', 'reject'];
+const GRADING_METHODS = ['best', 'latest', 'average'];
+const COMPLETION_MODES = ['score', 'mastery'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let sharedAssignments = null;
+
+function assignmentError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function toNumber(value) {
+    return value === null || value === undefined ? null : parseFloat(value);
+}
+
+// Ciclo de vida de las asignaciones de bloques (block_assignments): una entrega por alumno
+// (assignment_submissions) y un intento por cada partida terminada sobre el bloque asignado
+// (assignment_attempts). Las notas van de 0 a 10, como score_data.score de las partidas
+class AssignmentService {
+    constructor() {
+        this.pool = new Pool({
+            connectionString: process.env.DATABASE_URL,
+            ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+        });
+    }
+
+    static shared() {
+        if (!sharedAssignments) sharedAssignments = new AssignmentService();
+        return sharedAssignments;
+    }
+
+    // Valida los campos de política que llegan en el cuerpo (snake_case, como due_date y notes).
+    // Solo devuelve las columnas presentes, para poder actualizar parcialmente
+    static normalizePolicy(body = {}) {
+        const policy = {};
+
+        if (body.max_attempts !== undefined) {
+            const maxAttempts = body.max_attempts === null || body.max_attempts === '' ? null : Number(body.max_attempts);
+            if (maxAttempts !== null && (!Number.isInteger(maxAttempts) || maxAttempts < 1)) {
+                throw assignmentError('max_attempts must be a positive integer or null');
+            }
+            policy.max_attempts = maxAttempts;
+        }
+
+        if (body.late_policy !== undefined) {
+            if (!LATE_POLICIES.includes(body.late_policy)) {
+                throw assignmentError(`late_policy must be one of: ${LATE_POLICIES.join(', ')}`);
+            }
+            policy.late_policy = body.late_policy;
+        }
+
+        if (body.late_penalty_percent !== undefined) {
+            const penalty = Number(body.late_penalty_percent);
+            if (!Number.isFinite(penalty) || penalty < 0 || penalty > 100) {
+                throw assignmentError('late_penalty_percent must be between 0 and 100');
+            }
+            policy.late_penalty_percent = penalty;
+        }
+
+        if (body.grading_method !== undefined) {
+            if (!GRADING_METHODS.includes(body.grading_method)) {
+                throw assignmentError(`grading_method must be one of: ${GRADING_METHODS.join(', ')}`);
+            }
+            policy.grading_method = body.grading_method;
+        }
+
+        if (body.completion_mode !== undefined) {
+            if (!COMPLETION_MODES.includes(body.completion_mode)) {
+                throw assignmentError(`completion_mode must be one of: ${COMPLETION_MODES.join(', ')}`);
+            }
+            policy.completion_mode = body.completion_mode;
+        }
+
+        if (body.mastery_threshold !== undefined) {
+            const threshold = Number(body.mastery_threshold);
+            if (!Number.isFinite(threshold) || threshold <= 0 || threshold > 100) {
+                throw assignmentError('mastery_threshold must be greater than 0 and at most 100');
+            }
+            policy.mastery_threshold = threshold;
+        }
+
+        return policy;
+    }
+
+    // Retraso de una entrega: con 'penalize' se descuenta late_penalty_percent por día empezado, hasta el 100%
+    static lateness(assignment, submittedAt) {
+        if (!assignment.due_date || new Date(submittedAt) <= new Date(assignment.due_date)) {
+            return { isLate: false, penaltyPercent: 0 };
+        }
+
+        if (assignment.late_policy !== 'penalize') {
+            return { isLate: true, penaltyPercent: 0 };
+        }
+
+        const daysLate = Math.ceil((new Date(submittedAt) - new Date(assignment.due_date)) / DAY_MS);
+        const penaltyPercent = Math.min(100, daysLate * parseFloat(assignment.late_penalty_percent));
+        return { isLate: true, penaltyPercent: round(penaltyPercent) };
+    }
+
+    // ==================== ASIGNACIONES ====================
+
+    // Crea la asignación y una entrega por cada destinatario actual (alumnos del grupo o el alumno indicado)
+    async createAssignment({ blockId, groupId = null, userId = null, dueDate = null, notes = null, assignedBy, policy = {} }) {
+        const client = await this.pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const result = await client.query(`
+                INSERT INTO block_assignments (
+                    block_id, assigned_by, group_id, assigned_to_user, due_date, notes,
+                    max_attempts, late_policy, late_penalty_percent, grading_method,
+                    completion_mode, mastery_threshold
+                )
+                VALUES (
+                    $1, $2, $3, $4, $5, $6, $7, COALESCE($8, 'accept'), COALESCE($9, 0), COALESCE($10, 'best'),
+                    COALESCE($11, 'score'), COALESCE($12, 80)
+                )
+                RETURNING *
+            `, [
+                blockId, assignedBy, groupId, userId, dueDate, notes,
+                policy.max_attempts ?? null, policy.late_policy ?? null,
+                policy.late_penalty_percent ?? null, policy.grading_method ?? null,
+                policy.completion_mode ?? null, policy.mastery_threshold ?? null
+            ]);
+
+            const assignment = result.rows[0];
+
+            await client.query(`
+                INSERT INTO assignment_submissions (assignment_id, user_id)
+                SELECT $1::int, gm.user_id FROM group_members gm WHERE gm.group_id = $2 AND gm.role_in_group = 'ALUMNO'
+                UNION
+                SELECT $1::int, $3::int WHERE $3::int IS NOT NULL
+                ON CONFLICT (assignment_id, user_id) DO NOTHING
+            `, [assignment.id, groupId, userId]);
+
+            await client.query('COMMIT');
+            return assignment;
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // La asignación si la hizo este profesor o es del grupo que creó
+    async getManagedAssignment(assignmentId, teacherId) {
+        const result = await this.pool.query(`
+            SELECT ba.*, g.created_by as group_created_by
+            FROM block_assignments ba
+            LEFT JOIN groups g ON ba.group_id = g.id
+            WHERE ba.id = $1
+        `, [assignmentId]);
+
+        if (result.rows.length === 0) {
+            throw assignmentError('Assignment not found', 404);
+        }
+
+        const assignment = result.rows[0];
+        if (assignment.assigned_by !== teacherId && assignment.group_created_by !== teacherId) {
+            throw assignmentError('Only the assigner or the group creator can manage this assignment', 403);
+        }
+        return assignment;
+    }
+
+    // Cambia fecha límite, notas o política y recalcula retrasos y notas de los intentos ya registrados
+    async updateAssignment(assignmentId, { dueDate, notes, policy = {} }) {
+        const client = await this.pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const result = await client.query(`
+                UPDATE block_assignments
+                SET due_date = CASE WHEN $2 THEN $3::timestamp ELSE due_date END,
+                    notes = COALESCE($4, notes),
+                    max_attempts = CASE WHEN $5 THEN $6::int ELSE max_attempts END,
+                    late_policy = COALESCE($7, late_policy),
+                    late_penalty_percent = COALESCE($8, late_penalty_percent),
+                    grading_method = COALESCE($9, grading_method),
+                    completion_mode = COALESCE($10, completion_mode),
+                    mastery_threshold = COALESCE($11, mastery_threshold),
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+                RETURNING *
+            `, [
+                assignmentId,
+                dueDate !== undefined, dueDate || null,
+                notes ?? null,
+                policy.max_attempts !== undefined, policy.max_attempts ?? null,
+                policy.late_policy ?? null, policy.late_penalty_percent ?? null, policy.grading_method ?? null,
+                policy.completion_mode ?? null, policy.mastery_threshold ?? null
+            ]);
+
+            const assignment = result.rows[0];
+
+            const attempts = await client.query(`
+                SELECT aa.id, aa.raw_score, aa.submitted_at
+                FROM assignment_attempts aa
+                JOIN assignment_submissions sub ON aa.submission_id = sub.id
+                WHERE sub.assignment_id = $1
+            `, [assignmentId]);
+
+            for (const attempt of attempts.rows) {
+                const { isLate, penaltyPercent } = AssignmentService.lateness(assignment, attempt.submitted_at);
+                await client.query(`
+                    UPDATE assignment_attempts
+                    SET is_late = $2, penalty_percent = $3, score = $4
+                    WHERE id = $1
+                `, [attempt.id, isLate, penaltyPercent, round(parseFloat(attempt.raw_score) * (1 - penaltyPercent / 100))]);
+            }
+
+            const submissions = await client.query(
+                'SELECT id FROM assignment_submissions WHERE assignment_id = $1',
+                [assignmentId]
+            );
+            for (const submission of submissions.rows) {
+                await this.recomputeSubmission(client, submission.id);
+            }
+
+            await client.query('COMMIT');
+            return assignment;
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // ==================== INTENTOS ====================
+
+    // Registra la sesión terminada como intento en cada asignación abierta del alumno sobre los bloques
+    // jugados. Devuelve los intentos creados; los que excede el límite o rechaza la política se ignoran
+    async recordSession(sessionId) {
+        const sessionResult = await this.pool.query(`
+            SELECT id, game_id, user_id, finished_at, adaptive_state
+            FROM game_sessions
+            WHERE id = $1 AND status = 'completed'
+        `, [sessionId]);
+
+        if (sessionResult.rows.length === 0) return [];
+        const session = sessionResult.rows[0];
+
+        // Nota por bloque: solo cuentan las preguntas de ese bloque que tocaron en la sesión
+        const blocks = await this.pool.query(`
+            SELECT
+                q.block_id,
+                COUNT(*) as total_questions,
+                COUNT(gsa.id) FILTER (WHERE gsa.result = 'ACIERTO') as correct,
+                COALESCE(SUM(COALESCE(gsa.credit, CASE WHEN gsa.result = 'ACIERTO' THEN 1 ELSE 0 END)), 0) as points
+            FROM game_sessions s
+            CROSS JOIN LATERAL jsonb_array_elements_text(s.question_ids) qid
+            JOIN questions q ON q.id = qid::int
+            LEFT JOIN game_session_answers gsa ON gsa.session_id = s.id AND gsa.question_id = q.id
+            WHERE s.id = $1
+            GROUP BY q.block_id
+        `, [sessionId]);
+
+        if (blocks.rows.length === 0) return [];
+        const byBlock = new Map(blocks.rows.map(row => [row.block_id, row]));
+
+        // Entregas que falten (alumnos que entraron al grupo después de asignar)
+        await this.pool.query(`
+            INSERT INTO assignment_submissions (assignment_id, user_id)
+            SELECT ba.id, $1::int
+            FROM block_assignments ba
+            WHERE ba.block_id = ANY($2::int[])
+              AND (ba.assigned_to_user = $1::int OR ba.group_id IN (SELECT group_id FROM group_members WHERE user_id = $1::int))
+            ON CONFLICT (assignment_id, user_id) DO NOTHING
+        `, [session.user_id, [...byBlock.keys()]]);
+
+        const submissions = await this.pool.query(`
+            SELECT sub.id
+            FROM assignment_submissions sub
+            JOIN block_assignments ba ON sub.assignment_id = ba.id
+            WHERE sub.user_id = $1 AND ba.block_id = ANY($2::int[]) AND ba.assigned_at <= $3
+        `, [session.user_id, [...byBlock.keys()], session.finished_at]);
+
+        const recorded = [];
+        for (const { id } of submissions.rows) {
+            const attempt = await this.recordAttempt(id, session, byBlock);
+            if (attempt) recorded.push(attempt);
+        }
+        return recorded;
+    }
+
+    // Como recordSession, pero un fallo aquí no debe romper el final de la partida
+    recordSessionSafely(sessionId) {
+        return this.recordSession(sessionId).catch(error => {
+            console.error(`Error recording assignment attempts for session ${sessionId}:`, error);
+            return [];
+        });
+    }
+
+    async recordAttempt(submissionId, session, byBlock) {
+        const client = await this.pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const result = await client.query(`
+                SELECT sub.id, sub.attempts_count, ba.id as assignment_id, ba.block_id, ba.due_date,
+                    ba.max_attempts, ba.late_policy, ba.late_penalty_percent, ba.mastery_threshold
+                FROM assignment_submissions sub
+                JOIN block_assignments ba ON sub.assignment_id = ba.id
+                WHERE sub.id = $1
+                FOR UPDATE OF sub
+            `, [submissionId]);
+
+            const submission = result.rows[0];
+            const { isLate, penaltyPercent } = AssignmentService.lateness(submission, session.finished_at);
+
+            const duplicate = await client.query(
+                'SELECT 1 FROM assignment_attempts WHERE submission_id = $1 AND session_id = $2',
+                [submissionId, session.id]
+            );
+
+            if (duplicate.rows.length > 0
+                || (submission.max_attempts && submission.attempts_count >= submission.max_attempts)
+                || (isLate && submission.late_policy === 'reject')) {
+                await client.query('COMMIT');
+                return null;
+            }
+
+            const block = byBlock.get(submission.block_id);
+            const totalQuestions = parseInt(block.total_questions);
+            const rawScore = totalQuestions > 0 ? round((parseFloat(block.points) / totalQuestions) * 10) : 0;
+
+            // Solo las partidas adaptive pueden dominar el bloque, con el umbral de esta asignación
+            const mastered = AdaptivePracticeEngine.isBlockMastered(
+                session.adaptive_state, submission.block_id, submission.mastery_threshold
+            );
+
+            const attemptResult = await client.query(`
+                INSERT INTO assignment_attempts (
+                    submission_id, attempt_number, game_id, session_id, correct, total_questions,
+                    raw_score, penalty_percent, score, is_late, submitted_at, mastered
+                )
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+                RETURNING *
+            `, [
+                submissionId, submission.attempts_count + 1, session.game_id, session.id,
+                parseInt(block.correct), totalQuestions, rawScore, penaltyPercent,
+                round(rawScore * (1 - penaltyPercent / 100)), isLate, session.finished_at, mastered
+            ]);
+
+            await this.recomputeSubmission(client, submissionId);
+
+            await client.query('COMMIT');
+            return { assignmentId: submission.assignment_id, ...attemptResult.rows[0] };
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Resumen de la entrega a partir de sus intentos según grading_method. Con completion_mode = mastery
+    // la entrega se completa con el primer intento que domina el bloque, no con el primero
+    async recomputeSubmission(client, submissionId) {
+        await client.query(`
+            UPDATE assignment_submissions sub
+            SET attempts_count = a.attempts,
+                best_score = a.best,
+                computed_score = CASE ba.grading_method
+                    WHEN 'latest' THEN a.latest
+                    WHEN 'average' THEN ROUND(a.average, 2)
+                    ELSE a.best
+                END,
+                is_late = COALESCE(a.any_late, false),
+                first_completed_at = a.first_at,
+                last_attempt_at = a.last_at,
+                mastered_at = a.mastered_at,
+                status = CASE
+                    WHEN ba.completion_mode = 'mastery' THEN CASE WHEN a.mastered_at IS NOT NULL THEN 'completed' ELSE 'assigned' END
+                    WHEN a.attempts > 0 THEN 'completed'
+                    ELSE 'assigned'
+                END,
+                updated_at = CURRENT_TIMESTAMP
+            FROM block_assignments ba, (
+                SELECT
+                    COUNT(*) as attempts,
+                    MAX(score) as best,
+                    AVG(score) as average,
+                    (array_agg(score ORDER BY attempt_number DESC))[1] as latest,
+                    bool_or(is_late) as any_late,
+                    MIN(submitted_at) as first_at,
+                    MAX(submitted_at) as last_at,
+                    MIN(submitted_at) FILTER (WHERE mastered) as mastered_at
+                FROM assignment_attempts
+                WHERE submission_id = $1
+            ) a
+            WHERE sub.id = $1 AND ba.id = sub.assignment_id
+        `, [submissionId]);
+    }
+
+    async getAttempts(assignmentId, userId) {
+        const result = await this.pool.query(`
+            SELECT aa.*
+            FROM assignment_attempts aa
+            JOIN assignment_submissions sub ON aa.submission_id = sub.id
+            WHERE sub.assignment_id = $1 AND sub.user_id = $2
+            ORDER BY aa.attempt_number
+        `, [assignmentId, userId]);
+        return result.rows;
+    }
+
+    // Umbral más exigente de las asignaciones "hasta dominarlo" del alumno sobre estos bloques,
+    // o null si no tiene ninguna pendiente
+    async getMasteryThreshold(userId, blockIds) {
+        const result = await this.pool.query(`
+            SELECT MAX(ba.mastery_threshold) as threshold
+            FROM block_assignments ba
+            LEFT JOIN assignment_submissions sub ON sub.assignment_id = ba.id AND sub.user_id = $1
+            WHERE ba.block_id = ANY($2::int[])
+              AND ba.completion_mode = 'mastery'
+              AND sub.mastered_at IS NULL
+              AND (ba.assigned_to_user = $1 OR ba.group_id IN (SELECT group_id FROM group_members WHERE user_id = $1))
+        `, [userId, blockIds]);
+        return toNumber(result.rows[0].threshold);
+    }
+
+    // ==================== NOTAS ====================
+
+    // score = null quita la nota manual y vuelve a valer la calculada
+    async overrideGrade(assignment, userId, { score, comment = null }, teacherId) {
+        const overrideScore = score === null || score === undefined ? null : Number(score);
+        if (overrideScore !== null && (!Number.isFinite(overrideScore) || overrideScore < 0 || overrideScore > 10)) {
+            throw assignmentError('score must be between 0 and 10, or null to clear the override');
+        }
+
+        const target = await this.pool.query(`
+            SELECT 1
+            WHERE $2::int = $3::int
+               OR EXISTS (SELECT 1 FROM group_members WHERE group_id = $1 AND user_id = $2)
+        `, [assignment.group_id, userId, assignment.assigned_to_user]);
+
+        if (target.rows.length === 0) {
+            throw assignmentError('The student is not a recipient of this assignment', 404);
+        }
+
+        const result = await this.pool.query(`
+            INSERT INTO assignment_submissions (
+                assignment_id, user_id, override_score, override_comment, overridden_by, overridden_at
+            )
+            VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP)
+            ON CONFLICT (assignment_id, user_id) DO UPDATE SET
+                override_score = EXCLUDED.override_score,
+                override_comment = EXCLUDED.override_comment,
+                overridden_by = EXCLUDED.overridden_by,
+                overridden_at = EXCLUDED.overridden_at,
+                updated_at = CURRENT_TIMESTAMP
+            RETURNING *
+        `, [assignment.id, userId, overrideScore, overrideScore === null ? null : comment, teacherId]);
+
+        return AssignmentService.formatSubmission(result.rows[0], assignment);
+    }
+
+    // Estado de una celda del cuaderno: completed, overdue (vencida sin completar) o assigned.
+    // Con completion_mode = mastery solo cuenta como completada si algún intento dominó el bloque
+    static formatSubmission(submission, assignment, now = new Date()) {
+        const sub = submission || {};
+        const attempts = sub.attempts_count || 0;
+        const completed = assignment.completion_mode === 'mastery' ? Boolean(sub.mastered_at) : attempts > 0;
+        const overdue = !completed && assignment.due_date && new Date(assignment.due_date) < now;
+        const computed = toNumber(sub.computed_score);
+        const override = toNumber(sub.override_score);
+
+        return {
+            status: completed ? 'completed' : overdue ? 'overdue' : 'assigned',
+            attempts,
+            score: override !== null ? override : computed,
+            computed_score: computed,
+            best_score: toNumber(sub.best_score),
+            overridden: override !== null,
+            override_comment: sub.override_comment || null,
+            is_late: sub.is_late || false,
+            completed_at: sub.first_completed_at || null,
+            last_attempt_at: sub.last_attempt_at || null,
+            mastered_at: sub.mastered_at || null
+        };
+    }
+
+    // Cuaderno de notas del grupo: asignaciones del grupo × alumnos, con resúmenes por fila y columna
+    async getGradebook(groupId) {
+        const [assignmentsResult, studentsResult, submissionsResult] = await Promise.all([
+            this.pool.query(`
+                SELECT ba.id, ba.block_id, b.name as block_name, ba.due_date, ba.notes, ba.assigned_at,
+                    ba.max_attempts, ba.late_policy, ba.late_penalty_percent, ba.grading_method,
+                    ba.completion_mode, ba.mastery_threshold
+                FROM block_assignments ba
+                JOIN blocks b ON ba.block_id = b.id
+                WHERE ba.group_id = $1
+                ORDER BY ba.assigned_at, ba.id
+            `, [groupId]),
+            this.pool.query(`
+                SELECT gm.user_id, u.nickname, u.first_name, u.last_name
+                FROM group_members gm
+                JOIN users u ON gm.user_id = u.id
+                WHERE gm.group_id = $1 AND gm.role_in_group = 'ALUMNO'
+                ORDER BY u.nickname
+            `, [groupId]),
+            this.pool.query(`
+                SELECT sub.*
+                FROM assignment_submissions sub
+                JOIN block_assignments ba ON sub.assignment_id = ba.id
+                WHERE ba.group_id = $1
+            `, [groupId])
+        ]);
+
+        const submissions = new Map(submissionsResult.rows.map(sub => [`${sub.assignment_id}:${sub.user_id}`, sub]));
+        const average = scores => scores.length > 0 ? round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : null;
+        const now = new Date();
+
+        const students = studentsResult.rows.map(student => {
+            const grades = {};
+            for (const assignment of assignmentsResult.rows) {
+                grades[assignment.id] = AssignmentService.formatSubmission(
+                    submissions.get(`${assignment.id}:${student.user_id}`), assignment, now
+                );
+            }
+
+            const cells = Object.values(grades);
+            return {
+                ...student,
+                grades,
+                completed: cells.filter(cell => cell.status === 'completed').length,
+                overdue: cells.filter(cell => cell.status === 'overdue').length,
+                average_score: average(cells.filter(cell => cell.score !== null).map(cell => cell.score))
+            };
+        });
+
+        const assignments = assignmentsResult.rows.map(assignment => {
+            const cells = students.map(student => student.grades[assignment.id]);
+            return {
+                ...assignment,
+                late_penalty_percent: toNumber(assignment.late_penalty_percent),
+                mastery_threshold: toNumber(assignment.mastery_threshold),
+                completed: cells.filter(cell => cell.status === 'completed').length,
+                overdue: cells.filter(cell => cell.status === 'overdue').length,
+                late: cells.filter(cell => cell.is_late).length,
+                average_score: average(cells.filter(cell => cell.score !== null).map(cell => cell.score))
+            };
+        });
+
+        return { assignments, students };
+    }
+
+    // Cuaderno en CSV: una fila por alumno y una columna de nota por asignación (vacía si no hay nota)
+    static gradebookCsv({ assignments, students }) {
+        const quote = value => {
+            const text = String(value ?? '');
+            return /[",\n;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const header = ['alumno', 'nombre', 'apellidos'];
+        for (const assignment of assignments) header.push(`${assignment.block_name} (#${assignment.id})`);
+        header.push('completadas', 'vencidas', 'media');
+
+        const rows = [header.map(quote).join(',')];
+        for (const student of students) {
+            rows.push([
+                student.nickname, student.first_name, student.last_name,
+                ...assignments.map(assignment => student.grades[assignment.id].score),
+                student.completed, student.overdue, student.average_score
+            ].map(quote).join(','));
+        }
+
+        return rows.join('\n') + '\n';
+    }
+
+    // Asignaciones del alumno (directas o de sus grupos) con su progreso
+    async getStudentAssignments(userId) {
+        const result = await this.pool.query(`
+            SELECT
+                b.id,
+                b.name,
+                b.description,
+                b.image_url,
+                ba.id as assignment_id,
+                ba.due_date,
+                ba.notes,
+                ba.assigned_at,
+                ba.max_attempts,
+                ba.late_policy,
+                ba.late_penalty_percent,
+                ba.grading_method,
+                ba.completion_mode,
+                ba.mastery_threshold,
+                CASE
+                    WHEN ba.group_id IS NOT NULL THEN 'GROUP'
+                    ELSE 'INDIVIDUAL'
+                END as assignment_type,
+                g.name as group_name,
+                u.nickname as assigned_by_nickname,
+                sub.attempts_count,
+                sub.computed_score,
+                sub.best_score,
+                sub.override_score,
+                sub.override_comment,
+                sub.is_late,
+                sub.first_completed_at,
+                sub.last_attempt_at,
+                sub.mastered_at
+            FROM block_assignments ba
+            JOIN blocks b ON ba.block_id = b.id
+            LEFT JOIN groups g ON ba.group_id = g.id
+            LEFT JOIN users u ON ba.assigned_by = u.id
+            LEFT JOIN assignment_submissions sub ON sub.assignment_id = ba.id AND sub.user_id = $1
+            WHERE
+                ba.assigned_to_user = $1
+                OR ba.group_id IN (SELECT group_id FROM group_members WHERE user_id = $1)
+            ORDER BY ba.assigned_at DESC
+        `, [userId]);
+
+        const now = new Date();
+        return result.rows.map(row => {
+            const progress = AssignmentService.formatSubmission(row, row, now);
+            const attemptsLeft = row.max_attempts ? Math.max(0, row.max_attempts - progress.attempts) : null;
+            return {
+                id: row.id,
+                name: row.name,
+                description: row.description,
+                image_url: row.image_url,
+                assignment_id: row.assignment_id,
+                due_date: row.due_date,
+                notes: row.notes,
+                assigned_at: row.assigned_at,
+                assignment_type: row.assignment_type,
+                group_name: row.group_name,
+                assigned_by_nickname: row.assigned_by_nickname,
+                max_attempts: row.max_attempts,
+                attempts_left: attemptsLeft,
+                late_policy: row.late_policy,
+                late_penalty_percent: toNumber(row.late_penalty_percent),
+                grading_method: row.grading_method,
+                completion_mode: row.completion_mode,
+                mastery_threshold: toNumber(row.mastery_threshold),
+                ...progress
+            };
+        });
+    }
+
+    async close() {
+        await this.pool.end();
+    }
+}
+
+module.exports = AssignmentService;
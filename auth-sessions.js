@@ -0,0 +1,232 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Pool } = require('pg');
+const { normalizeRole } = require('./middleware/policy');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Las sesiones cerradas o caducadas se conservan un tiempo para que el usuario vea la actividad reciente
+const SESSION_RETENTION_DAYS = 30;
+
+function sessionError(message, status = 401, code = 'INVALID_REFRESH_TOKEN') {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Sesiones de usuario: access tokens JWT de vida corta ligados (claim sid) a una sesión por dispositivo
+// con refresh token rotatorio guardado como hash. Revocar la sesión invalida también sus access tokens
+class SessionManager {
+    constructor() {
+        this.pool = new Pool({
+            connectionString: process.env.DATABASE_URL,
+            ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+        });
+    }
+
+    static get ACCESS_TOKEN_TTL() {
+        return ACCESS_TOKEN_TTL;
+    }
+
+    // Datos del dispositivo que abre o renueva la sesión
+    static requestMetadata(req) {
+        const deviceName = req.body && typeof req.body.deviceName === 'string' ? req.body.deviceName.trim() : '';
+        return {
+            deviceName: deviceName.slice(0, 100) || null,
+            ipAddress: (req.ip || '').slice(0, 45) || null,
+            userAgent: req.headers['user-agent'] || null
+        };
+    }
+
+    // ==================== TOKENS ====================
+
+    // Roles que viajan en el token (el frontend los lee para elegir panel); los permisos se comprueban contra la BD
+    async getTokenRoles(userId) {
+        const result = await this.pool.query(`
+            SELECT r.name as role_name
+            FROM user_roles ur
+            JOIN roles r ON ur.role_id = r.id
+            WHERE ur.user_id = $1
+        `, [userId]);
+
+        return [...new Set(result.rows.map(row => normalizeRole(row.role_name)))];
+    }
+
+    async issueAccessToken(user, sessionId) {
+        const roles = await this.getTokenRoles(user.id);
+
+        return jwt.sign(
+            { userId: user.id, nickname: user.nickname, roles, sid: sessionId },
+            process.env.JWT_SECRET,
+            { expiresIn: ACCESS_TOKEN_TTL }
+        );
+    }
+
+    newRefreshToken() {
+        return crypto.randomBytes(48).toString('base64url');
+    }
+
+    tokenPair(accessToken, refreshToken, session) {
+        return {
+            token: accessToken,
+            refreshToken,
+            expiresIn: ACCESS_TOKEN_TTL,
+            refreshExpiresAt: session.expires_at,
+            sessionId: session.id
+        };
+    }
+
+    // ==================== SESIONES ====================
+
+    // Inicio de sesión: nueva sesión para el dispositivo y primer par de tokens
+    async createSession(user, metadata = {}) {
+        const refreshToken = this.newRefreshToken();
+
+        const result = await this.pool.query(`
+            INSERT INTO user_sessions (user_id, refresh_token_hash, device_name, ip_address, user_agent, expires_at)
+            VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP + make_interval(days => $6))
+            RETURNING id, expires_at
+        `, [user.id, hashToken(refreshToken), metadata.deviceName || null, metadata.ipAddress || null,
+            metadata.userAgent || null, REFRESH_TOKEN_TTL_DAYS]);
+
+        await this.pruneSessions(user.id);
+
+        const session = result.rows[0];
+        return this.tokenPair(await this.issueAccessToken(user, session.id), refreshToken, session);
+    }
+
+    // Rotación: el refresh token presentado se sustituye por uno nuevo. Si llega uno ya rotado
+    // alguien más lo tiene, así que se revoca la sesión entera
+    async refreshSession(refreshToken, metadata = {}) {
+        if (!refreshToken) throw sessionError('Refresh token required', 400);
+
+        const tokenHash = hashToken(refreshToken);
+        const nextToken = this.newRefreshToken();
+
+        const result = await this.pool.query(`
+            UPDATE user_sessions s
+            SET previous_token_hash = s.refresh_token_hash,
+                refresh_token_hash = $2,
+                last_used_at = CURRENT_TIMESTAMP,
+                expires_at = CURRENT_TIMESTAMP + make_interval(days => $3),
+                ip_address = COALESCE($4, s.ip_address),
+                user_agent = COALESCE($5, s.user_agent)
+            FROM users u
+            WHERE s.refresh_token_hash = $1
+              AND u.id = s.user_id
+              AND s.revoked_at IS NULL
+              AND s.expires_at > CURRENT_TIMESTAMP
+            RETURNING s.id, s.expires_at, u.id as user_id, u.nickname
+        `, [tokenHash, hashToken(nextToken), REFRESH_TOKEN_TTL_DAYS, metadata.ipAddress || null, metadata.userAgent || null]);
+
+        if (result.rows.length === 0) {
+            const reused = await this.pool.query(`
+                UPDATE user_sessions
+                SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = 'refresh_token_reuse'
+                WHERE previous_token_hash = $1 AND revoked_at IS NULL
+                RETURNING id, user_id
+            `, [tokenHash]);
+
+            if (reused.rows.length > 0) {
+                console.warn(`⚠️ Refresh token reutilizado: sesión ${reused.rows[0].id} del usuario ${reused.rows[0].user_id} revocada`);
+            }
+            throw sessionError('Invalid or expired refresh token');
+        }
+
+        const session = result.rows[0];
+        const user = { id: session.user_id, nickname: session.nickname };
+        return this.tokenPair(await this.issueAccessToken(user, session.id), nextToken, session);
+    }
+
+    // ¿Sigue siendo válido un access token ya verificado? Los tokens con sid dependen de su sesión;
+    // los antiguos, de que no se hayan cerrado todas las sesiones después de emitirlos
+    async isTokenActive(decoded) {
+        const result = await this.pool.query(`
+            SELECT u.sessions_revoked_at,
+                s.id as session_id,
+                s.revoked_at IS NULL AND s.expires_at > CURRENT_TIMESTAMP as session_active
+            FROM users u
+            LEFT JOIN user_sessions s ON s.id = $2 AND s.user_id = u.id
+            WHERE u.id = $1
+        `, [decoded.userId, Number.isInteger(decoded.sid) ? decoded.sid : null]);
+
+        if (result.rows.length === 0) return false;
+        const row = result.rows[0];
+
+        if (decoded.sid !== undefined) {
+            return row.session_id !== null && row.session_active;
+        }
+
+        return !row.sessions_revoked_at || decoded.iat * 1000 >= new Date(row.sessions_revoked_at).getTime();
+    }
+
+    async listSessions(userId, currentSessionId = null) {
+        const result = await this.pool.query(`
+            SELECT id, device_name, ip_address, user_agent, created_at, last_used_at, expires_at
+            FROM user_sessions
+            WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+            ORDER BY last_used_at DESC
+        `, [userId]);
+
+        return result.rows.map(session => ({ ...session, current: session.id === currentSessionId }));
+    }
+
+    async revokeSession(userId, sessionId, reason = 'logout') {
+        const result = await this.pool.query(`
+            UPDATE user_sessions
+            SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $3
+            WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+            RETURNING id
+        `, [sessionId, userId, reason]);
+
+        return { revoked: result.rowCount > 0 };
+    }
+
+    // "Cerrar sesión en todos los dispositivos". Con exceptSessionId se conserva la sesión actual
+    // (p. ej. tras cambiar la contraseña); sin él caen también los tokens antiguos sin sesión
+    async revokeAllSessions(userId, { exceptSessionId = null, reason = 'logout_all' } = {}) {
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const result = await client.query(`
+                UPDATE user_sessions
+                SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $3
+                WHERE user_id = $1 AND revoked_at IS NULL AND ($2::int IS NULL OR id <> $2)
+            `, [userId, exceptSessionId, reason]);
+
+            await client.query(
+                'UPDATE users SET sessions_revoked_at = CURRENT_TIMESTAMP WHERE id = $1',
+                [userId]
+            );
+
+            await client.query('COMMIT');
+            return { revoked: result.rowCount };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async pruneSessions(userId) {
+        await this.pool.query(`
+            DELETE FROM user_sessions
+            WHERE user_id = $1
+              AND COALESCE(revoked_at, expires_at) < CURRENT_TIMESTAMP - make_interval(days => $2)
+        `, [userId, SESSION_RETENTION_DAYS]);
+    }
+
+    async close() {
+        await this.pool.end();
+    }
+}
+
+module.exports = SessionManager;
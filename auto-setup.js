@@ -1,9 +1,10 @@
-const pool = require('./database/connection');
+const { pool } = require('./database/connection');
 const bcrypt = require('bcrypt');
+const MigrationRunner = require('./migration-runner');
 
 /**
  * Configuración automática que se ejecuta al iniciar el servidor
- * Solo se ejecuta si es necesario (no reinicia cada vez)
+ * Aplica las migraciones pendientes de migrations/ y crea AdminPrincipal si no existe
  */
 
 class AutoSetup {
@@ -113,23 +114,27 @@ class AutoSetup {
         }
     }
 
-    async ensureBlockImageColumnExists() {
-        try {
-            // Verificar si la columna image_url existe en blocks
-            const columnCheck = await pool.query(`
-                SELECT column_name 
-                FROM information_schema.columns 
-                WHERE table_name = 'blocks' AND column_name = 'image_url'
-            `);
-            
-            if (columnCheck.rows.length === 0) {
-                console.log('🔧 Agregando columna image_url a tabla blocks...');
-                await pool.query('ALTER TABLE blocks ADD COLUMN IF NOT EXISTS image_url TEXT');
-                console.log('✅ Columna image_url agregada');
+    // Las migraciones se aplican con "npm run migrate". Al arrancar solo se aplican con
+    // MIGRATE_ON_START=true; si no, se avisa de las pendientes
+    async applyPendingMigrations() {
+        const runner = new MigrationRunner({ pool });
+
+        if (process.env.MIGRATE_ON_START !== 'true') {
+            const status = await runner.status();
+            if (status.pending > 0) {
+                console.warn(`⚠️ ${status.pending} migraciones pendientes: ejecuta "npm run migrate" (o arranca con MIGRATE_ON_START=true)`);
+            } else {
+                console.log('✅ Esquema de base de datos al día');
             }
-            
-        } catch (error) {
-            console.warn('⚠️ Error agregando columna image_url (no crítico):', error.message);
+            return;
+        }
+
+        const result = await runner.up();
+
+        if (result.migrations.length > 0) {
+            console.log(`✅ ${result.migrations.length} migraciones aplicadas`);
+        } else {
+            console.log('✅ Esquema de base de datos al día');
         }
     }
 
@@ -144,9 +149,9 @@ class AutoSetup {
             // Verificar que la base de datos esté disponible
             await pool.query('SELECT 1');
             
-            // Ejecutar configuraciones necesarias
+            // El esquema primero: AdminPrincipal necesita users, roles y user_roles
+            await this.applyPendingMigrations();
             await this.ensureAdminPrincipalExists();
-            await this.ensureBlockImageColumnExists();
             
             this.setupCompleted = true;
             console.log('✅ Configuración automática completada');
@@ -0,0 +1,570 @@
+const zlib = require('zlib');
+const QuestionTypes = require('./question-types');
+
+const CHOICE_TYPES = QuestionTypes.CHOICE_TYPES;
+
+// Exportación de bloques a formatos de LMS (GIFT, Moodle XML, QTI 2.1) y copias de seguridad (CSV, JSON)
+class BlockExporter {
+    constructor(block, questions) {
+        this.block = block;
+        this.questions = questions;
+        // Preguntas que el formato elegido no puede representar
+        this.skipped = [];
+    }
+
+    static get FORMATS() {
+        return {
+            gift: { extension: 'gift', contentType: 'text/plain; charset=utf-8' },
+            'moodle-xml': { extension: 'xml', contentType: 'application/xml; charset=utf-8' },
+            qti: { extension: 'zip', contentType: 'application/zip' },
+            csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+            json: { extension: 'json', contentType: 'application/json; charset=utf-8' }
+        };
+    }
+
+    export(format) {
+        switch (format) {
+            case 'gift': return this.toGIFT();
+            case 'moodle-xml': return this.toMoodleXML();
+            case 'qti': return this.toQTIPackage();
+            case 'csv': return this.toCSV();
+            case 'json': return this.toJSON();
+            default: throw new Error(`Formato de exportación no soportado: ${format}`);
+        }
+    }
+
+    filename(format) {
+        const slug = (this.block.name || `bloque-${this.block.id}`)
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-zA-Z0-9]+/g, '-').replace(/^-|-$/g, '')
+            .toLowerCase();
+        return `${slug || 'bloque'}-${this.block.id}.${BlockExporter.FORMATS[format].extension}`;
+    }
+
+    // Preguntas agrupadas por tema, conservando el orden de creación
+    groupByTopic() {
+        const topics = new Map();
+        for (const question of this.questions) {
+            const topic = question.topic || 'Sin tema';
+            if (!topics.has(topic)) topics.set(topic, []);
+            topics.get(topic).push(question);
+        }
+        return topics;
+    }
+
+    correctCount(question) {
+        return question.answers.filter(answer => answer.isCorrect).length;
+    }
+
+    // ==================== GIFT ====================
+
+    escapeGIFT(value) {
+        return String(value || '').replace(/([~=#{}:\\])/g, '\\$1').replace(/\n/g, ' ');
+    }
+
+    // Cuerpo {...} de la pregunta según su tipo; null si GIFT no puede representarla
+    giftAnswers(question) {
+        const answers = question.answers;
+
+        switch (question.type) {
+            case 'true_false': {
+                const correct = answers.find(answer => answer.isCorrect);
+                const isTrue = /^(verdadero|true|cierto|v|t)$/i.test((correct?.text || '').trim());
+                // Respuestas que no son "Verdadero/Falso" se exportan como opción única
+                if (isTrue || /^(falso|false|f)$/i.test((correct?.text || '').trim())) {
+                    return [isTrue ? 'TRUE' : 'FALSE'];
+                }
+                break;
+            }
+            case 'numeric':
+                return [`#${question.config.value}:${question.config.tolerance || 0}`];
+            case 'short_text':
+                return answers.map(answer => `=${this.escapeGIFT(answer.text)}`);
+            case 'matching':
+                return answers.map(answer => `=${this.escapeGIFT(answer.text)} -> ${this.escapeGIFT(answer.match)}`);
+            case 'ordering':
+                return null;
+        }
+
+        const correct = this.correctCount(question);
+        // Con varias correctas GIFT necesita pesos que sumen 100%
+        const weight = correct > 1 ? Math.floor(100 / correct * 100000) / 100000 : null;
+
+        return answers.map(answer => {
+            if (weight === null) return `${answer.isCorrect ? '=' : '~'}${this.escapeGIFT(answer.text)}`;
+            return `~%${answer.isCorrect ? weight : -100}%${this.escapeGIFT(answer.text)}`;
+        });
+    }
+
+    toGIFT() {
+        const lines = [`// Bloque: ${this.block.name}`, `// Exportado desde PlayTest el ${new Date().toISOString()}`, ''];
+
+        for (const [topic, questions] of this.groupByTopic()) {
+            lines.push(`$CATEGORY: $course$/${this.escapeGIFT(this.block.name)}/${this.escapeGIFT(topic)}`, '');
+
+            for (const question of questions) {
+                const body = this.giftAnswers(question);
+                if (!body) {
+                    this.skipped.push({ id: question.id, type: question.type });
+                    continue;
+                }
+
+                lines.push(`::Q${question.id}::${this.escapeGIFT(question.text)} {`, ...body);
+                if (question.explanation) {
+                    lines.push(`####${this.escapeGIFT(question.explanation)}`);
+                }
+                lines.push('}', '');
+            }
+        }
+
+        return lines.join('\n');
+    }
+
+    // ==================== MOODLE XML ====================
+
+    escapeXML(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    moodleAnswer(fraction, text, indent = '    ') {
+        return [
+            `${indent}<answer fraction="${fraction}" format="plain_text">`,
+            `${indent}  <text>${this.escapeXML(text)}</text>`,
+            `${indent}</answer>`
+        ];
+    }
+
+    // Elementos específicos de cada qtype de Moodle (ordering es el plugin qtype_ordering)
+    moodleQuestionBody(question) {
+        const answers = question.answers;
+
+        switch (question.type) {
+            case 'true_false':
+                return {
+                    qtype: 'truefalse',
+                    body: answers.flatMap(answer => this.moodleAnswer(
+                        answer.isCorrect ? 100 : 0,
+                        /^(verdadero|true|cierto|v|t)$/i.test(answer.text.trim()) ? 'true' : 'false'
+                    ))
+                };
+            case 'numeric':
+                return {
+                    qtype: 'numerical',
+                    body: [
+                        '    <answer fraction="100" format="plain_text">',
+                        `      <text>${question.config.value}</text>`,
+                        `      <tolerance>${question.config.tolerance || 0}</tolerance>`,
+                        '    </answer>'
+                    ]
+                };
+            case 'short_text':
+                return {
+                    qtype: 'shortanswer',
+                    body: [
+                        `    <usecase>${question.config.caseSensitive ? 1 : 0}</usecase>`,
+                        ...answers.flatMap(answer => this.moodleAnswer(100, answer.text))
+                    ]
+                };
+            case 'matching':
+                return {
+                    qtype: 'matching',
+                    body: [
+                        '    <shuffleanswers>true</shuffleanswers>',
+                        ...answers.flatMap(answer => [
+                            '    <subquestion format="plain_text">',
+                            `      <text>${this.escapeXML(answer.text)}</text>`,
+                            `      <answer><text>${this.escapeXML(answer.match)}</text></answer>`,
+                            '    </subquestion>'
+                        ])
+                    ]
+                };
+            case 'ordering':
+                return {
+                    qtype: 'ordering',
+                    body: [
+                        '    <layouttype>VERTICAL</layouttype>',
+                        '    <selecttype>ALL</selecttype>',
+                        '    <gradingtype>ABSOLUTE_POSITION</gradingtype>',
+                        ...[...answers].sort((a, b) => a.order - b.order)
+                            .flatMap((answer, index) => this.moodleAnswer(index + 1, answer.text))
+                    ]
+                };
+        }
+
+        const correct = this.correctCount(question);
+        const fraction = correct > 1 ? Math.floor(100 / correct * 100000) / 100000 : 100;
+
+        return {
+            qtype: 'multichoice',
+            body: [
+                `    <single>${correct > 1 ? 'false' : 'true'}</single>`,
+                '    <shuffleanswers>true</shuffleanswers>',
+                '    <answernumbering>abc</answernumbering>',
+                ...answers.flatMap(answer => this.moodleAnswer(
+                    answer.isCorrect ? fraction : (correct > 1 ? -100 : 0),
+                    answer.text
+                ))
+            ]
+        };
+    }
+
+    toMoodleXML() {
+        const xml = ['<?xml version="1.0" encoding="UTF-8"?>', '<quiz>'];
+
+        for (const [topic, questions] of this.groupByTopic()) {
+            xml.push(
+                '  <question type="category">',
+                `    <category><text>$course$/${this.escapeXML(this.block.name)}/${this.escapeXML(topic)}</text></category>`,
+                '  </question>'
+            );
+
+            for (const question of questions) {
+                const { qtype, body } = this.moodleQuestionBody(question);
+
+                xml.push(
+                    `  <question type="${qtype}">`,
+                    `    <name><text>Q${question.id}</text></name>`,
+                    `    <questiontext format="plain_text"><text>${this.escapeXML(question.text)}</text></questiontext>`,
+                    `    <generalfeedback format="plain_text"><text>${this.escapeXML(question.explanation || '')}</text></generalfeedback>`,
+                    '    <defaultgrade>1</defaultgrade>',
+                    ...body,
+                    '    <tags>',
+                    `      <tag><text>dificultad-${question.difficulty || 1}</text></tag>`,
+                    '    </tags>',
+                    '  </question>'
+                );
+            }
+        }
+
+        xml.push('</quiz>', '');
+        return xml.join('\n');
+    }
+
+    // ==================== QTI 2.1 ====================
+
+    // responseDeclaration, interacción y procesamiento de respuesta de cada tipo
+    qtiInteraction(question) {
+        const prompt = `      <prompt>${this.escapeXML(question.text)}</prompt>`;
+        const choices = (tag = 'simpleChoice', indent = '      ') => question.answers.map(answer =>
+            `${indent}<${tag} identifier="A${answer.id}">${this.escapeXML(answer.text)}</${tag}>`
+        );
+        const matchCorrect = '  <responseProcessing template="http://www.imsglobal.org/question/qti_v2p1/rptemplates/match_correct"/>';
+        const mapResponse = '  <responseProcessing template="http://www.imsglobal.org/question/qti_v2p1/rptemplates/map_response"/>';
+
+        switch (question.type) {
+            case 'numeric': {
+                const tolerance = question.config.tolerance || 0;
+                return {
+                    declaration: [
+                        '  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="float">',
+                        `    <correctResponse><value>${question.config.value}</value></correctResponse>`,
+                        '  </responseDeclaration>'
+                    ],
+                    body: [
+                        `    <p>${this.escapeXML(question.text)}</p>`,
+                        '    <p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="10"/></p>'
+                    ],
+                    processing: [
+                        '  <responseProcessing>',
+                        '    <responseCondition>',
+                        '      <responseIf>',
+                        `        <equal toleranceMode="absolute" tolerance="${tolerance} ${tolerance}">`,
+                        '          <variable identifier="RESPONSE"/>',
+                        '          <correct identifier="RESPONSE"/>',
+                        '        </equal>',
+                        '        <setOutcomeValue identifier="SCORE"><baseValue baseType="float">1</baseValue></setOutcomeValue>',
+                        '      </responseIf>',
+                        '    </responseCondition>',
+                        '  </responseProcessing>'
+                    ]
+                };
+            }
+            case 'short_text':
+                return {
+                    declaration: [
+                        '  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string">',
+                        `    <correctResponse><value>${this.escapeXML(question.answers[0]?.text)}</value></correctResponse>`,
+                        '    <mapping defaultValue="0">',
+                        ...question.answers.map(answer =>
+                            `      <mapEntry mapKey="${this.escapeXML(answer.text)}" mappedValue="1" caseSensitive="${question.config.caseSensitive ? 'true' : 'false'}"/>`
+                        ),
+                        '    </mapping>',
+                        '  </responseDeclaration>'
+                    ],
+                    body: [
+                        `    <p>${this.escapeXML(question.text)}</p>`,
+                        '    <p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="30"/></p>'
+                    ],
+                    processing: [mapResponse]
+                };
+            case 'ordering':
+                return {
+                    declaration: [
+                        '  <responseDeclaration identifier="RESPONSE" cardinality="ordered" baseType="identifier">',
+                        '    <correctResponse>',
+                        ...[...question.answers].sort((a, b) => a.order - b.order).map(answer => `      <value>A${answer.id}</value>`),
+                        '    </correctResponse>',
+                        '  </responseDeclaration>'
+                    ],
+                    body: [
+                        '    <orderInteraction responseIdentifier="RESPONSE" shuffle="true">',
+                        prompt,
+                        ...choices(),
+                        '    </orderInteraction>'
+                    ],
+                    processing: [matchCorrect]
+                };
+            case 'matching':
+                return {
+                    declaration: [
+                        '  <responseDeclaration identifier="RESPONSE" cardinality="multiple" baseType="directedPair">',
+                        '    <correctResponse>',
+                        ...question.answers.map(answer => `      <value>A${answer.id} M${answer.id}</value>`),
+                        '    </correctResponse>',
+                        '  </responseDeclaration>'
+                    ],
+                    body: [
+                        `    <matchInteraction responseIdentifier="RESPONSE" shuffle="true" maxAssociations="${question.answers.length}">`,
+                        prompt,
+                        '      <simpleMatchSet>',
+                        ...question.answers.map(answer =>
+                            `        <simpleAssociableChoice identifier="A${answer.id}" matchMax="1">${this.escapeXML(answer.text)}</simpleAssociableChoice>`
+                        ),
+                        '      </simpleMatchSet>',
+                        '      <simpleMatchSet>',
+                        ...question.answers.map(answer =>
+                            `        <simpleAssociableChoice identifier="M${answer.id}" matchMax="1">${this.escapeXML(answer.match)}</simpleAssociableChoice>`
+                        ),
+                        '      </simpleMatchSet>',
+                        '    </matchInteraction>'
+                    ],
+                    processing: [matchCorrect]
+                };
+        }
+
+        const correctIds = question.answers.filter(answer => answer.isCorrect).map(answer => `A${answer.id}`);
+        const multiple = question.type === 'multiple_choice' || correctIds.length > 1;
+
+        return {
+            declaration: [
+                `  <responseDeclaration identifier="RESPONSE" cardinality="${multiple ? 'multiple' : 'single'}" baseType="identifier">`,
+                '    <correctResponse>',
+                ...correctIds.map(id => `      <value>${id}</value>`),
+                '    </correctResponse>',
+                '  </responseDeclaration>'
+            ],
+            body: [
+                `    <choiceInteraction responseIdentifier="RESPONSE" shuffle="${question.type === 'true_false' ? 'false' : 'true'}" maxChoices="${multiple ? 0 : 1}">`,
+                prompt,
+                ...choices(),
+                '    </choiceInteraction>'
+            ],
+            processing: [matchCorrect]
+        };
+    }
+
+    qtiItem(question) {
+        const identifier = `Q${question.id}`;
+        const { declaration, body, processing } = this.qtiInteraction(question);
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<assessmentItem xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1"',
+            '  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+            '  xsi:schemaLocation="http://www.imsglobal.org/xsd/imsqti_v2p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd"',
+            `  identifier="${identifier}" title="${this.escapeXML(question.topic || identifier)}" adaptive="false" timeDependent="false">`,
+            ...declaration,
+            '  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float">',
+            '    <defaultValue><value>0</value></defaultValue>',
+            '  </outcomeDeclaration>',
+            '  <itemBody>',
+            ...body,
+            '  </itemBody>',
+            ...processing,
+            ...(question.explanation ? [
+                `  <modalFeedback outcomeIdentifier="SCORE" showHide="hide" identifier="FEEDBACK">${this.escapeXML(question.explanation)}</modalFeedback>`
+            ] : []),
+            '</assessmentItem>',
+            ''
+        ].join('\n');
+    }
+
+    toQTIPackage() {
+        const files = [];
+        const resources = [];
+
+        for (const question of this.questions) {
+            const href = `items/Q${question.id}.xml`;
+            files.push({ name: href, content: this.qtiItem(question) });
+            resources.push([
+                `    <resource identifier="RES-Q${question.id}" type="imsqti_item_xmlv2p1" href="${href}">`,
+                '      <metadata>',
+                `        <lom xmlns="http://ltsc.ieee.org/xsd/LOM"><general><keyword><string>${this.escapeXML(question.topic || '')}</string></keyword></general><educational><difficulty><value>${question.difficulty || 1}</value></difficulty></educational></lom>`,
+                '      </metadata>',
+                `      <file href="${href}"/>`,
+                '    </resource>'
+            ].join('\n'));
+        }
+
+        const manifest = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" identifier="PLAYTEST-BLOCK-${this.block.id}">`,
+            '  <metadata>',
+            '    <schema>QTIv2.1 Package</schema>',
+            '    <schemaversion>1.0.0</schemaversion>',
+            '  </metadata>',
+            '  <organizations/>',
+            '  <resources>',
+            ...resources,
+            '  </resources>',
+            '</manifest>',
+            ''
+        ].join('\n');
+
+        return createZip([{ name: 'imsmanifest.xml', content: manifest }, ...files]);
+    }
+
+    // ==================== CSV / JSON ====================
+
+    // Mismas columnas que acepta POST /api/questions/import; solo tipos de opción
+    toCSV() {
+        const exportable = this.questions.filter(question => CHOICE_TYPES.includes(question.type));
+        this.skipped.push(...this.questions
+            .filter(question => !CHOICE_TYPES.includes(question.type))
+            .map(question => ({ id: question.id, type: question.type })));
+
+        const maxAnswers = Math.max(2, ...exportable.map(question => question.answers.length));
+        const quote = value => {
+            const text = String(value ?? '');
+            return /[",\n;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const header = ['pregunta', 'tema', 'correcta'];
+        for (let i = 1; i <= maxAnswers; i++) header.push(`respuesta${i}`);
+        header.push('dificultad', 'explicacion');
+
+        const rows = [header.join(',')];
+        for (const question of exportable) {
+            const correct = question.answers
+                .map((answer, index) => (answer.isCorrect ? String.fromCharCode(65 + index) : null))
+                .filter(Boolean)
+                .join('|');
+            const answers = question.answers.map(answer => answer.text);
+            while (answers.length < maxAnswers) answers.push('');
+
+            rows.push([
+                question.text, question.topic, correct, ...answers,
+                question.difficulty || 1, question.explanation || ''
+            ].map(quote).join(','));
+        }
+
+        return rows.join('\n') + '\n';
+    }
+
+    // Mismo formato que POST /api/questions/bulk
+    toJSON() {
+        return JSON.stringify({
+            block: {
+                id: this.block.id,
+                name: this.block.name,
+                description: this.block.description,
+                observaciones: this.block.observaciones,
+                state: this.block.block_state,
+                exportedAt: new Date().toISOString()
+            },
+            topics: [...this.groupByTopic().keys()],
+            questions: this.questions.map(question => ({
+                textoPregunta: question.text,
+                tema: question.topic,
+                tipoPregunta: question.type,
+                configuracionTipo: question.config,
+                difficulty: question.difficulty || 1,
+                explicacionRespuesta: question.explanation,
+                respuestas: question.answers.map(answer => ({
+                    textoRespuesta: answer.text,
+                    esCorrecta: answer.isCorrect,
+                    ...(answer.order !== null && answer.order !== undefined ? { orden: answer.order } : {}),
+                    ...(answer.match ? { pareja: answer.match } : {})
+                }))
+            }))
+        }, null, 2);
+    }
+}
+
+// ==================== ZIP (paquetes QTI) ====================
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// ZIP mínimo con compresión deflate, suficiente para paquetes de contenido IMS
+function createZip(entries) {
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const name = Buffer.from(entry.name, 'utf8');
+        const data = Buffer.from(entry.content, 'utf8');
+        const compressed = zlib.deflateRawSync(data);
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(0x0800, 6); // nombres en UTF-8
+        local.writeUInt16LE(8, 8); // deflate
+        local.writeUInt32LE(0, 10); // hora/fecha
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        local.writeUInt16LE(0, 28);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt32LE(0, 12);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        localParts.push(local, name, compressed);
+        centralParts.push(central, name);
+        offset += local.length + name.length + compressed.length;
+    }
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+module.exports = BlockExporter;
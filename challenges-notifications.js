@@ -1,4 +1,20 @@
 const { Pool } = require('pg');
+const Mailer = require('./mail-transport');
+const NotificationDispatcher = require('./notification-dispatcher');
+
+// Avisos con fecha límite: el email no espera al resumen
+const URGENT_TYPES = ['deadline_reminder', 'streak_break_alert'];
+
+const DEFAULT_PREFERENCES = {
+    email_notifications: false,
+    push_notifications: true,
+    deadline_reminders: true,
+    milestone_notifications: true,
+    inactivity_reminders: true,
+    completion_celebrations: true,
+    new_challenge_alerts: true,
+    streak_break_alerts: true
+};
 
 // Sistema de notificaciones avanzado para retos
 class ChallengesNotificationSystem {
@@ -7,6 +23,7 @@ class ChallengesNotificationSystem {
             connectionString: process.env.DATABASE_URL,
             ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
         });
+        this.dispatcher = NotificationDispatcher.shared();
     }
 
     // ==================== TIPOS DE NOTIFICACIONES ====================
@@ -330,14 +347,18 @@ class ChallengesNotificationSystem {
 
     async createNotification(userId, challengeId, type, title, message, data = {}) {
         try {
-            await this.pool.query(`
-                INSERT INTO challenge_notifications (
-                    user_id, challenge_id, notification_type, title, message, data
-                ) VALUES ($1, $2, $3, $4, $5, $6)
-            `, [userId, challengeId, type, title, message, JSON.stringify(data)]);
-
-            // Enviar notificación push si está habilitada
-            await this.sendPushNotification(userId, title, message, data);
+            // Guarda en challenge_notifications y entrega por socket, push y email según las preferencias
+            await this.dispatcher.dispatch({
+                userId,
+                source: 'challenges',
+                type,
+                title,
+                message,
+                data,
+                challengeId,
+                priority: URGENT_TYPES.includes(type) ? 'high' : 'medium',
+                actionUrl: challengeId ? `/challenges/${challengeId}` : null
+            });
 
         } catch (error) {
             console.error('Error creating notification:', error);
@@ -368,24 +389,6 @@ class ChallengesNotificationSystem {
         }
     }
 
-    async sendPushNotification(userId, title, message, data = {}) {
-        try {
-            // Aquí se implementaría la lógica de push notifications
-            // Por ejemplo, usando Firebase Cloud Messaging, OneSignal, etc.
-            
-            // Simulación de envío de push notification
-            console.log(`Push notification sent to user ${userId}: ${title}`);
-            
-            // En una implementación real:
-            // 1. Obtener token de dispositivo del usuario
-            // 2. Enviar notificación push usando el servicio elegido
-            // 3. Manejar errores y tokens expirados
-
-        } catch (error) {
-            console.error('Error sending push notification:', error);
-        }
-    }
-
     async getChallengeData(challengeId) {
         try {
             const result = await this.pool.query(`
@@ -484,6 +487,7 @@ class ChallengesNotificationSystem {
 
         } catch (error) {
             console.error('Error in periodic notifications:', error);
+            throw error;
         }
     }
 
@@ -491,49 +495,13 @@ class ChallengesNotificationSystem {
 
     async updateUserNotificationPreferences(userId, preferences) {
         try {
-            // Crear tabla de preferencias si no existe
-            await this.pool.query(`
-                CREATE TABLE IF NOT EXISTS user_notification_preferences (
-                    user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
-                    email_notifications BOOLEAN DEFAULT true,
-                    push_notifications BOOLEAN DEFAULT true,
-                    deadline_reminders BOOLEAN DEFAULT true,
-                    milestone_notifications BOOLEAN DEFAULT true,
-                    inactivity_reminders BOOLEAN DEFAULT true,
-                    completion_celebrations BOOLEAN DEFAULT true,
-                    new_challenge_alerts BOOLEAN DEFAULT true,
-                    streak_break_alerts BOOLEAN DEFAULT true,
-                    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
-                )
-            `);
+            // Mismo JSONB que niveles y soporte: solo se tocan las opciones de retos
+            const changes = {};
+            for (const key of Object.keys(DEFAULT_PREFERENCES)) {
+                if (preferences[key] !== undefined) changes[key] = preferences[key] !== false;
+            }
 
-            // Actualizar o insertar preferencias
-            await this.pool.query(`
-                INSERT INTO user_notification_preferences (user_id, email_notifications, push_notifications, 
-                    deadline_reminders, milestone_notifications, inactivity_reminders, completion_celebrations,
-                    new_challenge_alerts, streak_break_alerts)
-                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-                ON CONFLICT (user_id) DO UPDATE SET
-                    email_notifications = EXCLUDED.email_notifications,
-                    push_notifications = EXCLUDED.push_notifications,
-                    deadline_reminders = EXCLUDED.deadline_reminders,
-                    milestone_notifications = EXCLUDED.milestone_notifications,
-                    inactivity_reminders = EXCLUDED.inactivity_reminders,
-                    completion_celebrations = EXCLUDED.completion_celebrations,
-                    new_challenge_alerts = EXCLUDED.new_challenge_alerts,
-                    streak_break_alerts = EXCLUDED.streak_break_alerts,
-                    updated_at = CURRENT_TIMESTAMP
-            `, [
-                userId,
-                preferences.email_notifications !== false,
-                preferences.push_notifications !== false,
-                preferences.deadline_reminders !== false,
-                preferences.milestone_notifications !== false,
-                preferences.inactivity_reminders !== false,
-                preferences.completion_celebrations !== false,
-                preferences.new_challenge_alerts !== false,
-                preferences.streak_break_alerts !== false
-            ]);
+            await this.dispatcher.updatePreferences(userId, changes);
 
             return true;
         } catch (error) {
@@ -544,20 +512,13 @@ class ChallengesNotificationSystem {
 
     async getUserNotificationPreferences(userId) {
         try {
-            const result = await this.pool.query(`
-                SELECT * FROM user_notification_preferences WHERE user_id = $1
-            `, [userId]);
+            const preferences = await this.dispatcher.getPreferences(userId);
 
-            return result.rows[0] || {
-                email_notifications: true,
-                push_notifications: true,
-                deadline_reminders: true,
-                milestone_notifications: true,
-                inactivity_reminders: true,
-                completion_celebrations: true,
-                new_challenge_alerts: true,
-                streak_break_alerts: true
-            };
+            const result = {};
+            for (const [key, value] of Object.entries(DEFAULT_PREFERENCES)) {
+                result[key] = preferences[key] !== undefined ? preferences[key] !== false : value;
+            }
+            return result;
         } catch (error) {
             console.error('Error getting notification preferences:', error);
             return {};
@@ -570,7 +531,7 @@ class ChallengesNotificationSystem {
         try {
             // Obtener datos del usuario
             const userResult = await this.pool.query(`
-                SELECT u.email, u.nickname, unp.email_notifications
+                SELECT u.email, u.nickname, (unp.preferences->>'email_notifications')::boolean as email_notifications
                 FROM users u
                 LEFT JOIN user_notification_preferences unp ON u.id = unp.user_id
                 WHERE u.id = $1
@@ -581,17 +542,13 @@ class ChallengesNotificationSystem {
                 return false;
             }
 
-            // Aquí se implementaría el envío de email
-            // Por ejemplo, usando SendGrid, AWS SES, Nodemailer, etc.
-            
-            console.log(`Email notification sent to ${user.email}: ${title}`);
-            
-            // En una implementación real:
-            // 1. Configurar servicio de email
-            // 2. Crear template HTML atractivo
-            // 3. Enviar email con datos personalizados
-            // 4. Manejar errores y bounces
+            await Mailer.shared().send({
+                to: user.email,
+                subject: `PlayTest: ${title}`,
+                text: `Hola ${user.nickname},\n\n${message}`
+            });
 
+            console.log(`Email notification sent to ${user.email}: ${title}`);
             return true;
         } catch (error) {
             console.error('Error sending email notification:', error);
@@ -1,4 +1,5 @@
 const ChallengesDatabase = require('./challenges-database');
+const MigrationRunner = require('./migration-runner');
 const ChallengesValidator = require('./challenges-validator');
 const ChallengesNotificationSystem = require('./challenges-notifications');
 
@@ -14,9 +15,9 @@ class ChallengesSetup {
         try {
             console.log('🚀 Iniciando configuración del sistema de retos PLAYTEST...');
 
-            // 1. Crear esquema de base de datos
+            // 1. Aplicar migraciones pendientes (tablas de retos en 0004_challenges.sql)
             console.log('\n📊 Configurando base de datos...');
-            await this.db.createChallengesSchema();
+            await new MigrationRunner({ pool: this.db.pool }).up();
 
             // 2. Crear plantillas predefinidas
             console.log('\n📝 Creando plantillas predefinidas...');
@@ -187,73 +188,11 @@ class ChallengesSetup {
     }
 
     async setupCronJobs() {
-        try {
-            // Configurar tareas periódicas usando node-cron si está disponible
-            try {
-                const cron = require('node-cron');
-                
-                // Validaciones automáticas cada 10 minutos
-                cron.schedule('*/10 * * * *', async () => {
-                    console.log('🔄 Ejecutando validaciones automáticas...');
-                    try {
-                        await this.validator.runPeriodicValidations();
-                    } catch (error) {
-                        console.error('Error en validaciones automáticas:', error);
-                    }
-                });
-
-                // Notificaciones cada 30 minutos
-                cron.schedule('*/30 * * * *', async () => {
-                    console.log('📨 Ejecutando notificaciones automáticas...');
-                    try {
-                        await this.notificationSystem.runPeriodicNotifications();
-                    } catch (error) {
-                        console.error('Error en notificaciones automáticas:', error);
-                    }
-                });
-
-                // Métricas diarias a las 2 AM
-                cron.schedule('0 2 * * *', async () => {
-                    console.log('📊 Actualizando métricas diarias...');
-                    try {
-                        await this.updateDailyMetrics();
-                    } catch (error) {
-                        console.error('Error actualizando métricas:', error);
-                    }
-                });
-
-                console.log('   ✓ Tareas automáticas configuradas:');
-                console.log('     - Validaciones cada 10 minutos');
-                console.log('     - Notificaciones cada 30 minutos');
-                console.log('     - Métricas diarias a las 2 AM');
-
-            } catch (cronError) {
-                console.log('   ⚠️  node-cron no disponible, configurando intervalos básicos...');
-                
-                // Fallback con setInterval
-                setInterval(async () => {
-                    try {
-                        await this.validator.runPeriodicValidations();
-                    } catch (error) {
-                        console.error('Error en validaciones:', error);
-                    }
-                }, 10 * 60 * 1000); // 10 minutos
-
-                setInterval(async () => {
-                    try {
-                        await this.notificationSystem.runPeriodicNotifications();
-                    } catch (error) {
-                        console.error('Error en notificaciones:', error);
-                    }
-                }, 30 * 60 * 1000); // 30 minutos
-
-                console.log('   ✓ Intervalos básicos configurados');
-            }
-
-        } catch (error) {
-            console.error('Error configurando cron jobs:', error);
-            throw error;
-        }
+        // Las tareas periódicas se registran en scheduled-jobs.js y las ejecuta la cola de trabajos del servidor
+        console.log('   ✓ Tareas automáticas gestionadas por la cola de trabajos (scheduled-jobs.js):');
+        console.log('     - challenges.validations cada 10 minutos');
+        console.log('     - challenges.notifications cada 30 minutos');
+        console.log('     - challenges.daily_metrics a las 2 AM');
     }
 
     async createSampleChallenges() {
@@ -351,11 +290,7 @@ class ChallengesSetup {
 
     async updateDailyMetrics() {
         try {
-            const { Pool } = require('pg');
-            const pool = new Pool({
-                connectionString: process.env.DATABASE_URL,
-                ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
-            });
+            const pool = this.db.pool;
 
             // Actualizar métricas para todos los retos activos
             const activeChallenges = await pool.query(`
@@ -408,6 +343,7 @@ class ChallengesSetup {
 
         } catch (error) {
             console.error('Error actualizando métricas diarias:', error);
+            throw error;
         }
     }
 
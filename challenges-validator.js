@@ -1,4 +1,6 @@
 const { Pool } = require('pg');
+const LuminariasLedger = require('./luminarias-ledger');
+const NotificationDispatcher = require('./notification-dispatcher');
 
 // Sistema de validaciones y transferencias automáticas para retos
 class ChallengesValidator {
@@ -7,6 +9,7 @@ class ChallengesValidator {
             connectionString: process.env.DATABASE_URL,
             ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
         });
+        this.ledger = new LuminariasLedger();
     }
 
     // ==================== VALIDADORES POR TIPO DE RETO ====================
@@ -539,12 +542,23 @@ class ChallengesValidator {
             const participant = participantResult.rows[0];
             const totalPrize = participant.prize_luminarias + (participant.bonus_luminarias || 0);
 
-            // Transferir premio al usuario
+            // Transferir premio al usuario a través del libro mayor (actualiza luminarias_actuales)
+            await this.ledger.transfer({
+                from: 'challenge_prizes',
+                to: participant.user_id,
+                amount: totalPrize,
+                entryType: 'challenge_prize',
+                description: `Premio del reto #${participant.challenge_id}`,
+                referenceType: 'challenge_participants',
+                referenceId: participantId,
+                metadata: { challenge_id: participant.challenge_id, creator_id: participant.creator_id },
+                idempotencyKey: `challenge_prize:${participantId}`,
+                legacy: { category: 'challenges', subcategory: 'prize', actionType: 'challenge_prize' }
+            }, client);
+
             await client.query(`
                 UPDATE user_profiles 
-                SET 
-                    luminarias_actuales = COALESCE(luminarias_actuales, 0) + $1,
-                    luminarias_ganadas = COALESCE(luminarias_ganadas, 0) + $1
+                SET luminarias_ganadas = COALESCE(luminarias_ganadas, 0) + $1
                 WHERE user_id = $2
             `, [totalPrize, participant.user_id]);
 
@@ -571,20 +585,20 @@ class ChallengesValidator {
                 WHERE id = $2
             `, [totalPrize, participantId]);
 
-            // Enviar notificación
-            await client.query(`
-                INSERT INTO challenge_notifications (
-                    user_id, challenge_id, notification_type, title, message, data
-                ) VALUES ($1, $2, 'challenge_completed', 'Reto Completado', $3, $4)
-            `, [
-                participant.user_id,
-                participant.challenge_id,
-                `¡Felicidades! Has completado el reto y ganado ${totalPrize} Luminarias.`,
-                JSON.stringify({ prize_awarded: totalPrize })
-            ]);
-
             await client.query('COMMIT');
 
+            // Notificar una vez entregado el premio
+            await NotificationDispatcher.shared().dispatch({
+                userId: participant.user_id,
+                source: 'challenges',
+                type: 'challenge_completed',
+                title: 'Reto Completado',
+                message: `¡Felicidades! Has completado el reto y ganado ${totalPrize} Luminarias.`,
+                data: { prize_awarded: totalPrize },
+                challengeId: participant.challenge_id,
+                actionUrl: `/challenges/${participant.challenge_id}`
+            }).catch(error => console.error('Error notifying challenge completion:', error));
+
             console.log(`Prize awarded: ${totalPrize} Luminarias to user ${participant.user_id} for challenge ${participant.challenge_id}`);
 
         } catch (error) {
@@ -629,11 +643,13 @@ class ChallengesValidator {
 
         } catch (error) {
             console.error('Error in periodic validations:', error);
+            throw error;
         }
     }
 
     async close() {
         await this.pool.end();
+        await this.ledger.close();
     }
 }
 
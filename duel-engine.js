@@ -0,0 +1,596 @@
+const { Pool } = require('pg');
+const GameSessionManager = require('./game-sessions');
+const QuestionTypes = require('./question-types');
+const AnswerEventStore = require('./answer-events');
+const LeaderboardService = require('./leaderboards');
+
+// Reglas por modo; games.config.questionCount / timeLimit (segundos) las sobrescriben
+const MODE_RULES = {
+    duel: { questionCount: 10, timeLimitMs: 20000 },
+    trivial: { questionCount: 12, timeLimitMs: 30000 }
+};
+
+const COUNTDOWN_MS = 3000;
+const REVEAL_MS = 4000;
+const ANSWER_GRACE_MS = 500;
+const RECONNECT_GRACE_MS = 60000;
+const BASE_POINTS = 100;
+const SPEED_BONUS = 50;
+const BOT_USER_ID = -1;
+
+// Motor de partidas en directo (duelo y trivial): el servidor sincroniza las preguntas,
+// mide los tiempos, corrige y publica el resultado final
+class DuelMatchEngine {
+    constructor(io, auth) {
+        this.io = io;
+        this.auth = auth;
+        this.pool = new Pool({
+            connectionString: process.env.DATABASE_URL,
+            ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+        });
+        this.sessionManager = GameSessionManager.shared();
+        this.questionTypes = new QuestionTypes();
+        this.answerEvents = new AnswerEventStore();
+        this.leaderboards = LeaderboardService.shared();
+
+        this.matches = new Map(); // gameId -> estado de la partida
+        this.loading = new Map(); // gameId -> promesa de carga (evita cargas duplicadas)
+    }
+
+    static get MODES() {
+        return Object.keys(MODE_RULES);
+    }
+
+    room(gameId) {
+        return `match_${gameId}`;
+    }
+
+    // ==================== CARGA Y PERSISTENCIA ====================
+
+    async getMatch(gameId) {
+        if (this.matches.has(gameId)) return this.matches.get(gameId);
+        if (!this.loading.has(gameId)) {
+            this.loading.set(gameId, this.loadMatch(gameId).finally(() => this.loading.delete(gameId)));
+        }
+        return this.loading.get(gameId);
+    }
+
+    async loadMatch(gameId) {
+        const gameResult = await this.pool.query(`
+            SELECT g.id, g.game_type, g.status, g.config, g.practice_bot,
+                json_agg(
+                    json_build_object('userId', gp.user_id, 'nickname', COALESCE(gp.nickname, u.nickname), 'playerIndex', gp.player_index)
+                    ORDER BY gp.player_index
+                ) as players
+            FROM games g
+            JOIN game_players gp ON g.id = gp.game_id
+            LEFT JOIN users u ON gp.user_id = u.id
+            WHERE g.id = $1
+            GROUP BY g.id
+        `, [gameId]);
+
+        if (gameResult.rows.length === 0) throw new Error('Partida no encontrada');
+        const game = gameResult.rows[0];
+
+        if (!MODE_RULES[game.game_type]) throw new Error('Esta partida no se juega en directo');
+        if (game.status === 'completed') throw new Error('La partida ya está finalizada');
+
+        // Reanudar una partida interrumpida (reinicio del servidor) desde persistent_game_states
+        const saved = await this.pool.query(`
+            SELECT current_state FROM persistent_game_states
+            WHERE game_id = $1 AND session_id = $2
+            ORDER BY updated_at DESC
+            LIMIT 1
+        `, [gameId, this.room(gameId)]);
+
+        const config = game.config || {};
+        const rules = MODE_RULES[game.game_type];
+        let match;
+
+        if (saved.rows.length > 0) {
+            match = saved.rows[0].current_state;
+            match.status = match.status === 'finished' ? 'finished' : (match.status === 'lobby' ? 'lobby' : 'paused');
+        } else {
+            const questionIds = await this.sessionManager.selectQuestions(config, config.questionCount || rules.questionCount);
+            if (questionIds.length === 0) throw new Error('La configuración de la partida no contiene preguntas');
+
+            match = {
+                gameId,
+                gameType: game.game_type,
+                status: 'lobby',
+                questionIds,
+                timeLimitMs: parseInt(config.timeLimit) > 0 ? parseInt(config.timeLimit) * 1000 : rules.timeLimitMs,
+                currentIndex: -1,
+                players: game.players.map(player => ({
+                    userId: player.userId,
+                    nickname: player.nickname,
+                    playerIndex: player.playerIndex,
+                    isBot: false,
+                    points: 0,
+                    correct: 0,
+                    incorrect: 0,
+                    blank: 0,
+                    answers: []
+                }))
+            };
+
+            // Partida contra el bot de práctica (fallback del emparejamiento). Solo cuenta games.practice_bot,
+            // que escribe matchmaking.js; un practiceBot en config lo habría puesto el cliente
+            if (game.practice_bot) {
+                match.players.push({
+                    userId: BOT_USER_ID,
+                    nickname: game.practice_bot.nickname || 'PlayBot',
+                    playerIndex: match.players.length,
+                    isBot: true,
+                    accuracy: parseFloat(game.practice_bot.accuracy) || 0.5,
+                    points: 0,
+                    correct: 0,
+                    incorrect: 0,
+                    blank: 0,
+                    answers: []
+                });
+            }
+        }
+
+        // Datos que no se persisten: preguntas públicas, claves de corrección y conexiones
+        match.questions = await this.sessionManager.getPublicQuestions(match.questionIds);
+        match.questionIds = match.questions.map(question => question.id);
+        match.answerKeys = await this.loadAnswerKeys(match.questionIds);
+        match.connected = new Set();
+        match.ready = new Set();
+        match.roundAnswers = new Map();
+        match.timers = {};
+
+        this.matches.set(gameId, match);
+        return match;
+    }
+
+    async loadAnswerKeys(questionIds) {
+        const result = await this.pool.query(`
+            SELECT q.id, q.question_type, q.type_config,
+                json_agg(
+                    json_build_object(
+                        'id', a.id, 'answer_text', a.answer_text, 'is_correct', a.is_correct,
+                        'answer_order', a.answer_order, 'match_text', a.match_text
+                    ) ORDER BY a.id
+                ) FILTER (WHERE a.id IS NOT NULL) as answers
+            FROM questions q
+            LEFT JOIN answers a ON q.id = a.question_id
+            WHERE q.id = ANY($1::int[])
+            GROUP BY q.id
+        `, [questionIds]);
+
+        return new Map(result.rows.map(row => [row.id, {
+            type: row.question_type,
+            config: row.type_config || {},
+            answers: row.answers || []
+        }]));
+    }
+
+    // Instantánea serializable en persistent_game_states (una fila por jugador humano)
+    async persist(match) {
+        const state = {
+            gameId: match.gameId,
+            gameType: match.gameType,
+            status: match.status,
+            questionIds: match.questionIds,
+            timeLimitMs: match.timeLimitMs,
+            currentIndex: match.currentIndex,
+            players: match.players
+        };
+
+        try {
+            for (const player of match.players.filter(p => !p.isBot)) {
+                await this.pool.query(`
+                    INSERT INTO persistent_game_states (
+                        user_id, game_id, session_id, game_type, current_state, progress, auto_saved, last_checkpoint
+                    )
+                    VALUES ($1, $2, $3, $4, $5, $6, true, CURRENT_TIMESTAMP)
+                    ON CONFLICT (user_id, game_id, session_id) DO UPDATE SET
+                        current_state = EXCLUDED.current_state,
+                        progress = EXCLUDED.progress,
+                        last_checkpoint = CURRENT_TIMESTAMP,
+                        updated_at = CURRENT_TIMESTAMP
+                `, [
+                    player.userId, match.gameId, this.room(match.gameId), match.gameType,
+                    JSON.stringify(state),
+                    JSON.stringify({ currentIndex: match.currentIndex, points: player.points })
+                ]);
+            }
+        } catch (error) {
+            console.error(`Error persisting match ${match.gameId}:`, error);
+        }
+    }
+
+    // ==================== LOBBY ====================
+
+    async join(socket, user, gameId) {
+        const match = await this.getMatch(gameId);
+        const player = match.players.find(p => p.userId === user.id);
+        if (!player) throw new Error('No eres jugador de esta partida');
+
+        socket.join(this.room(gameId));
+        match.connected.add(user.id);
+
+        if (match.timers[`reconnect_${user.id}`]) {
+            clearTimeout(match.timers[`reconnect_${user.id}`]);
+            delete match.timers[`reconnect_${user.id}`];
+            socket.to(this.room(gameId)).emit('match_player_reconnected', { gameId, userId: user.id });
+        } else {
+            socket.to(this.room(gameId)).emit('player_joined', { userId: user.id, nickname: user.nickname });
+        }
+
+        socket.emit('match_state', this.publicState(match, user.id));
+
+        // Partida interrumpida: se reanuda en la primera ronda sin cerrar cuando vuelven todos los jugadores
+        if (match.status === 'paused' && this.allConnected(match)) {
+            this.startRound(match, match.players[0].answers.length);
+        } else if (match.status === 'lobby') {
+            this.emitLobby(match);
+        }
+
+        return match;
+    }
+
+    setReady(user, gameId) {
+        const match = this.matches.get(gameId);
+        if (!match || match.status !== 'lobby') return;
+        if (!match.players.some(p => p.userId === user.id)) return;
+
+        match.ready.add(user.id);
+        this.emitLobby(match);
+
+        const humans = match.players.filter(p => !p.isBot);
+        if (match.players.length >= 2 && humans.every(p => match.ready.has(p.userId) && match.connected.has(p.userId))) {
+            this.startMatch(match);
+        }
+    }
+
+    emitLobby(match) {
+        this.io.to(this.room(match.gameId)).emit('match_lobby', {
+            gameId: match.gameId,
+            gameType: match.gameType,
+            totalQuestions: match.questionIds.length,
+            timeLimitMs: match.timeLimitMs,
+            players: match.players.map(p => ({
+                userId: p.userId,
+                nickname: p.nickname,
+                isBot: p.isBot,
+                connected: p.isBot || match.connected.has(p.userId),
+                ready: p.isBot || match.ready.has(p.userId)
+            }))
+        });
+    }
+
+    allConnected(match) {
+        return match.players.every(p => p.isBot || match.connected.has(p.userId));
+    }
+
+    async startMatch(match) {
+        match.status = 'countdown';
+
+        await this.pool.query(`
+            UPDATE games SET status = 'active', updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND status <> 'completed'
+        `, [match.gameId]).catch(error => console.error('Error activating match game:', error));
+
+        this.io.to(this.room(match.gameId)).emit('match_starting', {
+            gameId: match.gameId,
+            startsIn: COUNTDOWN_MS,
+            startsAt: Date.now() + COUNTDOWN_MS
+        });
+
+        match.timers.round = setTimeout(() => this.startRound(match, 0), COUNTDOWN_MS);
+    }
+
+    // ==================== RONDAS ====================
+
+    startRound(match, index) {
+        if (index >= match.questions.length) return this.finishMatch(match);
+
+        match.status = 'playing';
+        match.currentIndex = index;
+        match.roundAnswers = new Map();
+        match.roundStartedAt = Date.now();
+        match.roundDeadline = match.roundStartedAt + match.timeLimitMs;
+
+        this.io.to(this.room(match.gameId)).emit('match_question', {
+            gameId: match.gameId,
+            index,
+            total: match.questions.length,
+            question: match.questions[index],
+            timeLimitMs: match.timeLimitMs,
+            deadline: match.roundDeadline
+        });
+
+        clearTimeout(match.timers.round);
+        match.timers.round = setTimeout(() => this.closeRound(match), match.timeLimitMs + ANSWER_GRACE_MS);
+
+        for (const bot of match.players.filter(p => p.isBot)) {
+            this.scheduleBotAnswer(match, bot, index);
+        }
+
+        this.persist(match);
+    }
+
+    // El bot responde entre el 30% y el 80% del tiempo y acierta según su precisión
+    scheduleBotAnswer(match, bot, index) {
+        const delay = Math.round(match.timeLimitMs * (0.3 + Math.random() * 0.5));
+        clearTimeout(match.timers[`bot_${bot.userId}`]);
+
+        match.timers[`bot_${bot.userId}`] = setTimeout(() => {
+            if (match.status !== 'playing' || match.currentIndex !== index) return;
+
+            const questionId = match.questions[index].id;
+            const key = match.answerKeys.get(questionId);
+            try {
+                this.submitAnswer({ id: bot.userId }, match.gameId, questionId, this.botResponse(key, Math.random() < bot.accuracy));
+            } catch (error) {
+                console.error(`Bot answer error in match ${match.gameId}:`, error.message);
+            }
+        }, delay);
+    }
+
+    // Respuesta simulada a partir de la solución; si debe fallar elige una opción incorrecta o deja en blanco
+    botResponse(key, correct) {
+        const solution = this.questionTypes.solution(key.type, key.config, key.answers);
+        const wrong = key.answers.find(answer => !answer.is_correct);
+
+        switch (key.type) {
+            case 'numeric':
+                return correct ? { value: solution.value } : {};
+            case 'short_text':
+                return correct ? { text: solution.acceptedAnswers[0] } : {};
+            case 'ordering':
+                return correct ? { answerIds: solution.orderedAnswerIds } : {};
+            case 'matching':
+                return correct ? { pairs: solution.pairs } : {};
+            case 'multiple_choice':
+                if (correct) return { answerIds: solution.correctAnswerIds };
+                return wrong ? { answerIds: [wrong.id] } : {};
+            default:
+                if (correct) return { answerId: solution.correctAnswerIds[0] };
+                return wrong ? { answerId: wrong.id } : {};
+        }
+    }
+
+    submitAnswer(user, gameId, questionId, response) {
+        const match = this.matches.get(gameId);
+        if (!match || match.status !== 'playing') throw new Error('No hay ninguna pregunta en juego');
+
+        const player = match.players.find(p => p.userId === user.id);
+        if (!player) throw new Error('No eres jugador de esta partida');
+
+        const question = match.questions[match.currentIndex];
+        if (question.id !== questionId) throw new Error('La pregunta ya no está en juego');
+        if (match.roundAnswers.has(user.id)) throw new Error('Ya has respondido a esta pregunta');
+
+        // El tiempo lo mide el servidor desde que emitió la pregunta
+        const responseTime = Date.now() - match.roundStartedAt;
+        if (responseTime > match.timeLimitMs + ANSWER_GRACE_MS) throw new Error('Tiempo agotado');
+
+        const key = match.answerKeys.get(questionId);
+        const judgement = this.questionTypes.score(key.type, key.config, key.answers, response);
+        const remaining = Math.max(0, match.timeLimitMs - responseTime) / match.timeLimitMs;
+        const points = Math.round(judgement.credit * (BASE_POINTS + SPEED_BONUS * remaining));
+
+        match.roundAnswers.set(user.id, { ...judgement, points, responseTime });
+
+        this.io.to(this.room(gameId)).emit('match_player_answered', { gameId, userId: user.id, index: match.currentIndex });
+
+        if (match.players.every(p => match.roundAnswers.has(p.userId) || (!p.isBot && !match.connected.has(p.userId)))) {
+            this.closeRound(match);
+        }
+
+        return { questionId, responseTime, accepted: true };
+    }
+
+    closeRound(match) {
+        if (match.status !== 'playing') return;
+        clearTimeout(match.timers.round);
+        match.status = 'reveal';
+
+        const index = match.currentIndex;
+        const questionId = match.questions[index].id;
+        const key = match.answerKeys.get(questionId);
+        const results = {};
+
+        for (const player of match.players) {
+            const answer = match.roundAnswers.get(player.userId)
+                || { result: 'BLANCO', isCorrect: false, credit: 0, points: 0, responseTime: null };
+
+            player.points += answer.points;
+            if (answer.result === 'ACIERTO') player.correct++;
+            else if (answer.result === 'FALLO') player.incorrect++;
+            else player.blank++;
+
+            player.answers.push({ questionId, result: answer.result, credit: answer.credit, responseTime: answer.responseTime });
+            results[player.userId] = {
+                result: answer.result,
+                credit: answer.credit,
+                points: answer.points,
+                responseTime: answer.responseTime
+            };
+        }
+
+        this.io.to(this.room(match.gameId)).emit('match_round_result', {
+            gameId: match.gameId,
+            index,
+            questionId,
+            solution: this.questionTypes.solution(key.type, key.config, key.answers),
+            results,
+            scores: this.scoreboard(match)
+        });
+
+        this.persist(match);
+        match.timers.round = setTimeout(() => this.startRound(match, index + 1), REVEAL_MS);
+    }
+
+    scoreboard(match) {
+        return match.players.map(p => ({
+            userId: p.userId,
+            nickname: p.nickname,
+            points: p.points,
+            correct: p.correct
+        }));
+    }
+
+    // ==================== DESCONEXIONES ====================
+
+    handleDisconnect(user) {
+        for (const match of this.matches.values()) {
+            if (!match.connected.has(user.id)) continue;
+
+            // Puede seguir conectado desde otra pestaña
+            const stillInRoom = [...this.auth.getUserSockets(user.id)]
+                .some(socketId => this.io.sockets.sockets.get(socketId)?.rooms.has(this.room(match.gameId)));
+            if (stillInRoom) continue;
+
+            match.connected.delete(user.id);
+            match.ready.delete(user.id);
+
+            if (match.status === 'lobby') {
+                // Sala vacía: se descarta; el siguiente match_join la vuelve a cargar de la base de datos
+                if (match.connected.size === 0) {
+                    Object.values(match.timers).forEach(timer => clearTimeout(timer));
+                    this.matches.delete(match.gameId);
+                } else {
+                    this.emitLobby(match);
+                }
+                continue;
+            }
+            if (match.status === 'finished') continue;
+
+            this.io.to(this.room(match.gameId)).emit('match_player_disconnected', {
+                gameId: match.gameId,
+                userId: user.id,
+                reconnectWithinMs: RECONNECT_GRACE_MS
+            });
+
+            // Si no vuelve a tiempo pierde por abandono
+            match.timers[`reconnect_${user.id}`] = setTimeout(() => {
+                delete match.timers[`reconnect_${user.id}`];
+                this.finishMatch(match, { forfeitUserId: user.id });
+            }, RECONNECT_GRACE_MS);
+
+            if (match.status === 'playing' && match.players.every(p => match.roundAnswers.has(p.userId) || (!p.isBot && !match.connected.has(p.userId)))) {
+                this.closeRound(match);
+            }
+        }
+    }
+
+    publicState(match, userId) {
+        return {
+            gameId: match.gameId,
+            gameType: match.gameType,
+            status: match.status,
+            currentIndex: match.currentIndex,
+            total: match.questionIds.length,
+            timeLimitMs: match.timeLimitMs,
+            question: match.status === 'playing' ? match.questions[match.currentIndex] : null,
+            deadline: match.status === 'playing' ? match.roundDeadline : null,
+            alreadyAnswered: match.roundAnswers.has(userId),
+            scores: this.scoreboard(match)
+        };
+    }
+
+    // ==================== FINAL ====================
+
+    async finishMatch(match, { forfeitUserId = null } = {}) {
+        if (match.status === 'finished') return;
+        match.status = 'finished';
+        Object.values(match.timers).forEach(timer => clearTimeout(timer));
+
+        const ranking = [...match.players]
+            .filter(p => p.userId !== forfeitUserId)
+            .sort((a, b) => b.points - a.points || b.correct - a.correct);
+        const draw = !forfeitUserId && ranking.length > 1 && ranking[0].points === ranking[1].points && ranking[0].correct === ranking[1].correct;
+        const winner = draw ? null : ranking[0];
+        const [p1, p2] = [...match.players].sort((a, b) => a.playerIndex - b.playerIndex);
+
+        // Formato compatible con el historial de duelos (p1/p2, scores, rounds)
+        const scoreData = {
+            mode: match.gameType,
+            p1: p1?.nickname,
+            p2: p2?.nickname,
+            scores: { p1: p1?.correct || 0, p2: p2?.correct || 0 },
+            rounds: match.questions.length,
+            players: match.players.map(p => ({
+                userId: p.userId,
+                nickname: p.nickname,
+                playerIndex: p.playerIndex,
+                isBot: p.isBot,
+                points: p.points,
+                correct: p.correct,
+                incorrect: p.incorrect,
+                blank: p.blank
+            })),
+            winnerId: winner ? winner.userId : null,
+            draw,
+            forfeitUserId,
+            serverValidated: true
+        };
+
+        let ratings = null;
+        try {
+            const scoreResult = await this.pool.query(`
+                INSERT INTO game_scores (game_id, game_type, score_data)
+                VALUES ($1, $2, $3)
+                RETURNING id
+            `, [match.gameId, match.gameType, JSON.stringify(scoreData)]);
+
+            await this.pool.query(`
+                UPDATE games
+                SET status = 'completed', game_state = $2, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+            `, [match.gameId, JSON.stringify({ gameState: 'finished', winnerId: scoreData.winnerId, draw })]);
+
+            for (const player of match.players.filter(p => !p.isBot)) {
+                await this.answerEvents.recordAnswers(player.userId, match.gameId, player.answers);
+            }
+
+            await this.pool.query(
+                'DELETE FROM persistent_game_states WHERE game_id = $1 AND session_id = $2',
+                [match.gameId, this.room(match.gameId)]
+            );
+
+            // Clasificaciones y ELO (solo duelos entre dos personas)
+            const leaderboardResult = await this.leaderboards.recordGameScoreSafely(scoreResult.rows[0].id);
+            ratings = leaderboardResult.ratings || null;
+        } catch (error) {
+            console.error(`Error saving results of match ${match.gameId}:`, error);
+        }
+
+        this.io.to(this.room(match.gameId)).emit('game_finished', {
+            gameId: match.gameId,
+            winnerId: scoreData.winnerId,
+            winnerNickname: winner ? winner.nickname : null,
+            draw,
+            forfeitUserId,
+            finalScores: this.scoreboard(match),
+            ratings
+        });
+
+        console.log(`🏁 Match ${match.gameId} (${match.gameType}) finished - winner: ${winner ? winner.nickname : 'empate'}`);
+        this.matches.delete(match.gameId);
+    }
+
+    getStats() {
+        const byStatus = {};
+        for (const match of this.matches.values()) {
+            byStatus[match.status] = (byStatus[match.status] || 0) + 1;
+        }
+        return { activeMatches: this.matches.size, byStatus };
+    }
+
+    async close() {
+        for (const match of this.matches.values()) {
+            Object.values(match.timers).forEach(timer => clearTimeout(timer));
+        }
+        // sessionManager y leaderboards son compartidos con las rutas: no se cierran aquí
+        await this.pool.end();
+        await this.answerEvents.close();
+    }
+}
+
+module.exports = DuelMatchEngine;
@@ -25,14 +25,13 @@ async function runEscalation() {
     } catch (error) {
         console.error(`❌ [${new Date().toISOString()}] Error during escalation:`, error.message);
         throw error;
-    } finally {
-        await pool.end();
     }
 }
 
 // Run if called directly
 if (require.main === module) {
     runEscalation()
+        .finally(() => pool.end())
         .then(count => {
             console.log(`🎯 [${new Date().toISOString()}] Escalation job completed - ${count} tickets escalated`);
             process.exit(0);
@@ -0,0 +1,148 @@
+const { Pool } = require('pg');
+const crypto = require('crypto');
+const { normalizeRole } = require('./middleware/policy');
+
+// Tiempo que se reutiliza una fila de feature_flags antes de volver a leerla; los cambios hechos desde
+// /api/feature-flags invalidan la caché de esta instancia al momento y las demás los ven al caducar
+const CACHE_TTL_MS = parseInt(process.env.FEATURE_FLAGS_CACHE_MS) || 30 * 1000;
+
+function flagError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Evaluación de feature_flags por usuario. Con el flag activo, la segmentación sale de `config`:
+//   { "percentage": 25, "roles": ["profesor"], "users": [12, 40] }
+// Basta con cumplir una de las tres (usuario, rol o porcentaje). Sin segmentación, el flag vale para todos.
+// target_users y target_percentage (columnas de 0006) se siguen respetando cuando config no las define
+class FeatureFlags {
+    constructor() {
+        this.pool = new Pool({
+            connectionString: process.env.DATABASE_URL,
+            ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+        });
+        this.cache = new Map();
+    }
+
+    // Valida y normaliza el config que llega por la API; devuelve el objeto a guardar
+    static normalizeConfig(config) {
+        if (config === undefined || config === null) return config;
+        if (typeof config !== 'object' || Array.isArray(config)) {
+            throw flagError('config must be an object');
+        }
+
+        const normalized = { ...config };
+
+        if (config.percentage !== undefined) {
+            const percentage = Number(config.percentage);
+            if (!Number.isFinite(percentage) || percentage < 0 || percentage > 100) {
+                throw flagError('config.percentage must be a number between 0 and 100');
+            }
+            normalized.percentage = percentage;
+        }
+
+        if (config.roles !== undefined) {
+            if (!Array.isArray(config.roles) || config.roles.some(role => typeof role !== 'string' || !role.trim())) {
+                throw flagError('config.roles must be an array of role names');
+            }
+            normalized.roles = [...new Set(config.roles.map(normalizeRole))];
+        }
+
+        if (config.users !== undefined) {
+            const users = Array.isArray(config.users) ? config.users.map(Number) : null;
+            if (!users || users.some(id => !Number.isInteger(id) || id <= 0)) {
+                throw flagError('config.users must be an array of user ids');
+            }
+            normalized.users = [...new Set(users)];
+        }
+
+        return normalized;
+    }
+
+    // Cubo estable 0-99 por flag y usuario: subir el porcentaje solo añade usuarios, y cada flag
+    // reparte a los usuarios de forma distinta
+    static bucket(flagName, userId) {
+        const hash = crypto.createHash('sha1').update(`${flagName}:${userId}`).digest();
+        return hash.readUInt32BE(0) % 100;
+    }
+
+    // ==================== LECTURA ====================
+
+    async getFlag(flagName) {
+        const cached = this.cache.get(flagName);
+        if (cached && cached.expiresAt > Date.now()) return cached.flag;
+
+        const result = await this.pool.query(`
+            SELECT flag_name, is_enabled, config, target_percentage, target_users, start_date, end_date
+            FROM feature_flags
+            WHERE flag_name = $1
+        `, [flagName]);
+
+        const flag = result.rows[0] || null;
+        this.cache.set(flagName, { flag, expiresAt: Date.now() + CACHE_TTL_MS });
+        return flag;
+    }
+
+    invalidate(flagName = null) {
+        if (flagName) {
+            this.cache.delete(flagName);
+        } else {
+            this.cache.clear();
+        }
+    }
+
+    // ==================== EVALUACIÓN ====================
+
+    // user: req.user ({ id, roles }) o null. Un flag que no existe está desactivado
+    async isEnabled(flagName, user = null) {
+        const flag = await this.getFlag(flagName);
+        return FeatureFlags.evaluate(flag, user);
+    }
+
+    // Activo para alguien: encendido y dentro de sus fechas, sin mirar la segmentación.
+    // Para rutas sin usuario (p. ej. las llamadas del LMS a la herramienta LTI)
+    async isActive(flagName) {
+        const flag = await this.getFlag(flagName);
+        return FeatureFlags.active(flag);
+    }
+
+    static active(flag, now = new Date()) {
+        if (!flag || !flag.is_enabled) return false;
+        if (flag.start_date && now < new Date(flag.start_date)) return false;
+        if (flag.end_date && now > new Date(flag.end_date)) return false;
+        return true;
+    }
+
+    static evaluate(flag, user = null, now = new Date()) {
+        if (!FeatureFlags.active(flag, now)) return false;
+
+        const config = flag.config || {};
+        const columnUsers = Array.isArray(flag.target_users) ? flag.target_users : [];
+        const columnPercentage = parseFloat(flag.target_percentage) || 0;
+
+        const users = (config.users !== undefined ? config.users : columnUsers).map(Number);
+        const roles = (config.roles || []).map(normalizeRole);
+        const percentage = config.percentage !== undefined
+            ? Number(config.percentage)
+            : columnPercentage > 0 ? columnPercentage : null;
+
+        const targeted = users.length > 0 || roles.length > 0 || percentage !== null;
+        if (!targeted) return true;
+        if (!user) return false;
+
+        if (users.includes(Number(user.id))) return true;
+
+        // Todo usuario es jugador aunque no tenga la fila en user_roles
+        const held = [...(user.roles || []), 'jugador'];
+        if (roles.some(role => held.includes(role))) return true;
+
+        return percentage !== null && FeatureFlags.bucket(flag.flag_name, user.id) < percentage;
+    }
+
+    async close() {
+        await this.pool.end();
+    }
+}
+
+module.exports = FeatureFlags;
@@ -1,5 +1,5 @@
 const { Pool } = require('pg');
-const RoutesCompatibilityLayer = require('./routes-compatibility-layer');
+const MigrationRunner = require('./migration-runner');
 
 // Sistema de verificación completa de funcionalidades
 class FunctionalityVerification {
@@ -8,7 +8,7 @@ class FunctionalityVerification {
             connectionString: process.env.DATABASE_URL,
             ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
         });
-        this.compatibilityLayer = new RoutesCompatibilityLayer();
+        this.migrationRunner = new MigrationRunner();
         this.verificationResults = {
             passed: [],
             failed: [],
@@ -228,9 +228,10 @@ class FunctionalityVerification {
                 this.verificationResults.warnings.push('Roles sin permisos definidos');
             }
 
-            // Verificar vista de compatibilidad
-            const compatibilityView = await this.pool.query('SELECT COUNT(*) FROM roles');
-            this.verificationResults.passed.push('Vista de compatibilidad "roles" funcional');
+            // Verificar vistas heredadas sobre las tablas unificadas
+            await this.pool.query('SELECT COUNT(*) FROM roles');
+            await this.pool.query('SELECT COUNT(*) FROM user_roles');
+            this.verificationResults.passed.push('Vistas "roles" y "user_roles" funcionales');
 
         } catch (error) {
             console.error('   ❌ Error verificando roles:', error);
@@ -417,12 +418,15 @@ class FunctionalityVerification {
                 }
             }
 
-            // Verificar capa de compatibilidad
-            try {
-                await fs.access('./routes-compatibility-layer.js');
-                this.verificationResults.passed.push('Capa de compatibilidad de rutas existe');
-            } catch {
-                this.verificationResults.failed.push('Capa de compatibilidad faltante');
+            // Verificar repositorios de acceso a datos
+            const repositories = ['./user-repository.js', './luminarias-repository.js', './ticket-repository.js'];
+            for (const repository of repositories) {
+                try {
+                    await fs.access(repository);
+                    this.verificationResults.passed.push(`Repositorio ${repository} existe`);
+                } catch {
+                    this.verificationResults.failed.push(`Repositorio ${repository} faltante`);
+                }
             }
 
         } catch (error) {
@@ -440,23 +444,18 @@ class FunctionalityVerification {
                 this.verificationResults.warnings.push('Sistema WebSocket no inicializado');
             }
 
-            // Verificar compatibilidad
-            if (global.compatibilityLayer) {
-                this.verificationResults.passed.push('Capa de compatibilidad activa');
-            } else {
-                this.verificationResults.failed.push('Capa de compatibilidad no activa');
-            }
-
-            // Verificar migration status
-            const migrationStatus = await this.compatibilityLayer.checkMigrationStatus();
-            if (migrationStatus.migration_complete) {
-                this.verificationResults.passed.push('Migración de tablas unificadas completa');
+            // Verificar migraciones pendientes (incluye las tablas unificadas)
+            const migrationStatus = await this.migrationRunner.status();
+            if (migrationStatus.pending === 0 && migrationStatus.modified === 0) {
+                this.verificationResults.passed.push('Migraciones de esquema al día');
             } else {
                 this.verificationResults.critical_issues.push({
                     component: 'Migration System',
-                    error: 'Migración no completada',
+                    error: 'Migraciones pendientes o modificadas',
                     impact: 'critical',
-                    missing_tables: migrationStatus.missing_tables
+                    pending_migrations: migrationStatus.migrations
+                        .filter(migration => migration.status !== 'applied')
+                        .map(migration => `${String(migration.version).padStart(4, '0')}_${migration.name}`)
                 });
             }
 
@@ -570,7 +569,7 @@ class FunctionalityVerification {
         // Recomendaciones
         console.log('\n💡 RECOMENDACIONES:');
         if (criticalCount > 0) {
-            console.log('   1. URGENTE: Ejecutar migración crítica (node critical-fixes-migration.js)');
+            console.log('   1. URGENTE: Aplicar migraciones pendientes (npm run migrate)');
             console.log('   2. Verificar configuración de base de datos');
             console.log('   3. Re-ejecutar esta verificación después de correcciones');
         } else if (failCount > 0) {
@@ -588,7 +587,7 @@ class FunctionalityVerification {
 
     async close() {
         await this.pool.end();
-        await this.compatibilityLayer.close();
+        await this.migrationRunner.close();
     }
 }
 
@@ -0,0 +1,524 @@
+const { Pool } = require('pg');
+const QuestionTypes = require('./question-types');
+const LeaderboardService = require('./leaderboards');
+const AssignmentService = require('./assignments');
+const AdaptivePracticeEngine = require('./adaptive-practice');
+
+// Modos individuales que se juegan con sesión: su puntuación solo se acepta si la calcula el servidor
+// (duel y trivial se juegan en directo con duel-engine.js)
+const SESSION_GAME_TYPES = ['classic', 'time-trial', 'lives', 'by-levels', 'streak', 'exam', 'marathon', 'adaptive'];
+
+// Una partida puntuada tiene al menos estas preguntas (o todas las de la selección si hay menos),
+// aunque games.config pida menos: con una sola pregunta bastaría un acierto para sacar un 10
+const MIN_SCORED_QUESTIONS = 5;
+
+let sharedManager = null;
+
+// Sistema de partidas autoritativas: el servidor entrega preguntas, juzga respuestas y calcula la puntuación
+class GameSessionManager {
+    constructor() {
+        this.pool = new Pool({
+            connectionString: process.env.DATABASE_URL,
+            ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+        });
+        this.questionTypes = new QuestionTypes();
+        this.leaderboards = LeaderboardService.shared();
+        this.assignments = AssignmentService.shared();
+        this.adaptive = new AdaptivePracticeEngine();
+    }
+
+    static get GAME_TYPES() {
+        return SESSION_GAME_TYPES;
+    }
+
+    // Una sola instancia (y un solo juego de pools) para todas las rutas y el motor de duelos
+    static shared() {
+        if (!sharedManager) sharedManager = new GameSessionManager();
+        return sharedManager;
+    }
+
+    // ==================== SELECCIÓN DE PREGUNTAS ====================
+
+    // games.config se guarda como { "<blockId>": { topics: [...] }, ... }; las claves no numéricas
+    // son opciones generales (questionCount, masteryThreshold, blockId/topics del formato antiguo)
+    parseGameConfig(config) {
+        const selection = [];
+        const options = config || {};
+
+        for (const [key, value] of Object.entries(options)) {
+            if (!/^\d+$/.test(key)) continue;
+            const topics = Array.isArray(value?.topics) ? value.topics.filter(Boolean) : [];
+            selection.push({ blockId: parseInt(key), topics });
+        }
+
+        if (selection.length === 0 && options.blockId) {
+            const topics = Array.isArray(options.topics) ? options.topics.filter(Boolean) : [];
+            selection.push({ blockId: parseInt(options.blockId), topics });
+        }
+
+        return selection;
+    }
+
+    async selectQuestions(config, questionCount) {
+        const selection = this.parseGameConfig(config);
+        if (selection.length === 0) return [];
+
+        let candidates = [];
+        for (const { blockId, topics } of selection) {
+            const result = await this.pool.query(`
+                SELECT id FROM questions
+                WHERE block_id = $1
+                  AND (cardinality($2::text[]) = 0 OR topic = ANY($2::text[]))
+            `, [blockId, topics]);
+            candidates = candidates.concat(result.rows.map(row => row.id));
+        }
+
+        // Mezcla Fisher-Yates para que cada partida tenga un orden distinto
+        for (let i = candidates.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+        }
+
+        const limit = parseInt(questionCount || config?.questionCount) || candidates.length;
+        return candidates.slice(0, Math.max(limit, MIN_SCORED_QUESTIONS));
+    }
+
+    // Preguntas listas para el cliente, sin revelar is_correct ni la solución de cada tipo
+    async getPublicQuestions(questionIds) {
+        if (questionIds.length === 0) return [];
+
+        const result = await this.pool.query(`
+            SELECT q.id, q.block_id, q.text_question, q.topic, q.difficulty, q.question_type,
+                json_agg(
+                    json_build_object('id', a.id, 'answerText', a.answer_text, 'matchText', a.match_text)
+                    ORDER BY a.id
+                ) FILTER (WHERE a.id IS NOT NULL) as answers
+            FROM questions q
+            LEFT JOIN answers a ON q.id = a.question_id
+            WHERE q.id = ANY($1::int[])
+            GROUP BY q.id
+        `, [questionIds]);
+
+        const byId = new Map(result.rows.map(row => [row.id, row]));
+        return questionIds
+            .filter(id => byId.has(id))
+            .map(id => {
+                const row = byId.get(id);
+                return {
+                    id: row.id,
+                    blockId: row.block_id,
+                    textoPregunta: row.text_question,
+                    tema: row.topic,
+                    difficulty: row.difficulty,
+                    tipoPregunta: row.question_type,
+                    ...this.questionTypes.publicView(row.question_type, row.answers || [])
+                };
+            });
+    }
+
+    // ==================== CICLO DE VIDA DE LA SESIÓN ====================
+
+    // El número de preguntas sale de la configuración de la partida, no de quien abre la sesión
+    async startSession(gameId, userId) {
+        const gameResult = await this.pool.query(`
+            SELECT g.id, g.game_type, g.status, g.config
+            FROM games g
+            JOIN game_players gp ON g.id = gp.game_id
+            WHERE g.id = $1 AND gp.user_id = $2
+        `, [gameId, userId]);
+
+        if (gameResult.rows.length === 0) {
+            throw sessionError('Partida no encontrada o no eres jugador de ella', 404);
+        }
+
+        const game = gameResult.rows[0];
+
+        const existing = await this.pool.query(
+            'SELECT * FROM game_sessions WHERE game_id = $1 AND user_id = $2',
+            [gameId, userId]
+        );
+
+        if (existing.rows.length > 0) {
+            return this.getSessionState(existing.rows[0].id, userId);
+        }
+
+        if (game.status === 'completed') {
+            throw sessionError('La partida ya está finalizada', 409);
+        }
+
+        let questionIds;
+        let adaptiveState = null;
+
+        if (game.game_type === AdaptivePracticeEngine.GAME_TYPE) {
+            // Práctica adaptativa: se sirve una pregunta cada vez; el umbral de las asignaciones
+            // "hasta dominarlo" sobre estos bloques manda sobre el de la configuración
+            const selection = this.parseGameConfig(game.config);
+            const assignedThreshold = await this.assignments.getMasteryThreshold(
+                userId, selection.map(({ blockId }) => blockId)
+            );
+            const { state, questionId } = await this.adaptive.start(userId, selection, {
+                threshold: assignedThreshold || game.config?.masteryThreshold,
+                maxQuestions: parseInt(game.config?.questionCount)
+                    ? Math.max(parseInt(game.config.questionCount), MIN_SCORED_QUESTIONS)
+                    : undefined
+            });
+            questionIds = questionId ? [questionId] : [];
+            adaptiveState = state;
+        } else {
+            questionIds = await this.selectQuestions(game.config);
+        }
+
+        if (questionIds.length === 0) {
+            throw sessionError('La configuración de la partida no contiene preguntas', 400);
+        }
+
+        const sessionResult = await this.pool.query(`
+            INSERT INTO game_sessions (game_id, user_id, question_ids, adaptive_state)
+            VALUES ($1, $2, $3, $4)
+            ON CONFLICT (game_id, user_id) DO NOTHING
+            RETURNING id
+        `, [gameId, userId, JSON.stringify(questionIds), adaptiveState && JSON.stringify(adaptiveState)]);
+
+        // Otra petición concurrente creó la sesión primero
+        const sessionId = sessionResult.rows[0]?.id || (await this.pool.query(
+            'SELECT id FROM game_sessions WHERE game_id = $1 AND user_id = $2',
+            [gameId, userId]
+        )).rows[0].id;
+
+        return this.getSessionState(sessionId, userId);
+    }
+
+    async getSessionRow(sessionId, userId, client = this.pool) {
+        const result = await client.query(`
+            SELECT s.*, g.game_type, g.config as game_config
+            FROM game_sessions s
+            JOIN games g ON s.game_id = g.id
+            WHERE s.id = $1
+        `, [sessionId]);
+
+        if (result.rows.length === 0) {
+            throw sessionError('Sesión no encontrada', 404);
+        }
+
+        const session = result.rows[0];
+        if (session.user_id !== userId) {
+            throw sessionError('No autorizado para acceder a esta sesión', 403);
+        }
+
+        return session;
+    }
+
+    async getSessionState(sessionId, userId) {
+        const session = await this.getSessionRow(sessionId, userId);
+        const questionIds = session.question_ids || [];
+
+        const answersResult = await this.pool.query(`
+            SELECT question_id, answer_id, response, is_correct, result, credit, response_time_ms, answered_at
+            FROM game_session_answers
+            WHERE session_id = $1
+            ORDER BY answered_at
+        `, [sessionId]);
+
+        const answered = answersResult.rows.map(row => ({
+            questionId: row.question_id,
+            answerId: row.answer_id,
+            response: row.response,
+            isCorrect: row.is_correct,
+            result: row.result,
+            credit: row.credit === null ? null : parseFloat(row.credit),
+            responseTime: row.response_time_ms,
+            answeredAt: row.answered_at
+        }));
+
+        const sessionState = {
+            sessionId: session.id,
+            gameId: session.game_id,
+            gameType: session.game_type,
+            status: session.status,
+            questions: await this.getPublicQuestions(questionIds),
+            answered,
+            remaining: questionIds.length - answered.length,
+            scoreData: session.score_data,
+            startedAt: session.started_at,
+            finishedAt: session.finished_at
+        };
+
+        if (session.adaptive_state) {
+            sessionState.adaptive = AdaptivePracticeEngine.summary(session.adaptive_state);
+        }
+        return sessionState;
+    }
+
+    // ==================== RESPUESTAS Y PUNTUACIÓN ====================
+
+    // response: objeto de respuesta según el tipo de pregunta (ver question-types.js) o un answerId suelto
+    async submitAnswer(sessionId, userId, questionId, response) {
+        const client = await this.pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            // Bloquear la sesión para serializar respuestas simultáneas
+            await client.query('SELECT id FROM game_sessions WHERE id = $1 FOR UPDATE', [sessionId]);
+            const session = await this.getSessionRow(sessionId, userId, client);
+
+            if (session.status !== 'active') {
+                throw sessionError('La sesión ya está finalizada', 409);
+            }
+
+            if (!(session.question_ids || []).includes(questionId)) {
+                throw sessionError('La pregunta no pertenece a esta sesión', 400);
+            }
+
+            const duplicate = await client.query(
+                'SELECT id FROM game_session_answers WHERE session_id = $1 AND question_id = $2',
+                [sessionId, questionId]
+            );
+            if (duplicate.rows.length > 0) {
+                throw sessionError('La pregunta ya fue respondida', 409);
+            }
+
+            const questionResult = await client.query(
+                'SELECT question_type, type_config FROM questions WHERE id = $1',
+                [questionId]
+            );
+            const question = questionResult.rows[0];
+            if (!question) {
+                throw sessionError('Pregunta no encontrada', 404);
+            }
+
+            const answersResult = await client.query(
+                'SELECT id, answer_text, is_correct, answer_order, match_text FROM answers WHERE question_id = $1 ORDER BY id',
+                [questionId]
+            );
+
+            // Cada tipo de pregunta tiene su propia regla de corrección
+            const { result, isCorrect, credit, answerId } = this.questionTypes.score(
+                question.question_type, question.type_config, answersResult.rows, response
+            );
+
+            // Tiempo de respuesta medido en el servidor desde la última actividad de la sesión
+            const timing = await client.query(`
+                UPDATE game_sessions s
+                SET last_activity_at = LOCALTIMESTAMP
+                FROM (SELECT last_activity_at FROM game_sessions WHERE id = $1) previous
+                WHERE s.id = $1
+                RETURNING (EXTRACT(EPOCH FROM (LOCALTIMESTAMP - previous.last_activity_at)) * 1000)::int as elapsed_ms
+            `, [sessionId]);
+
+            const responseTime = timing.rows[0].elapsed_ms;
+
+            await client.query(`
+                INSERT INTO game_session_answers (session_id, question_id, answer_id, response, is_correct, result, credit, response_time_ms)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            `, [
+                sessionId, questionId, answerId, response == null ? null : JSON.stringify(response),
+                isCorrect, result, credit, responseTime
+            ]);
+
+            // Práctica adaptativa: actualizar el dominio del tema y elegir la siguiente pregunta
+            let adaptive = null;
+            let questionIds = session.question_ids;
+            if (session.adaptive_state) {
+                const outcome = credit !== null && credit !== undefined ? parseFloat(credit) : (result === 'ACIERTO' ? 1 : 0);
+                adaptive = await this.adaptive.advance(
+                    this.parseGameConfig(session.game_config), session, questionId, outcome, client
+                );
+                if (adaptive.questionId) {
+                    questionIds = [...questionIds, adaptive.questionId];
+                }
+
+                await client.query(
+                    'UPDATE game_sessions SET question_ids = $2, adaptive_state = $3 WHERE id = $1',
+                    [sessionId, JSON.stringify(questionIds), JSON.stringify(adaptive.state)]
+                );
+            }
+
+            const progress = await client.query(
+                'SELECT COUNT(*) as answered FROM game_session_answers WHERE session_id = $1',
+                [sessionId]
+            );
+
+            await client.query('COMMIT');
+
+            const answeredCount = parseInt(progress.rows[0].answered);
+
+            const judgement = {
+                questionId,
+                answerId,
+                result,
+                isCorrect,
+                credit,
+                ...this.questionTypes.solution(question.question_type, question.type_config, answersResult.rows),
+                responseTime,
+                answered: answeredCount,
+                remaining: questionIds.length - answeredCount
+            };
+
+            if (adaptive) {
+                judgement.adaptive = AdaptivePracticeEngine.summary(adaptive.state);
+                judgement.nextQuestion = adaptive.questionId
+                    ? (await this.getPublicQuestions([adaptive.questionId]))[0] || null
+                    : null;
+            }
+            return judgement;
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    calculateScore(correct, total) {
+        if (total === 0) return 0;
+        return Math.round((correct / total) * 10 * 100) / 100;
+    }
+
+    async finishSession(sessionId, userId) {
+        const client = await this.pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            await client.query('SELECT id FROM game_sessions WHERE id = $1 FOR UPDATE', [sessionId]);
+            const session = await this.getSessionRow(sessionId, userId, client);
+
+            // Finalizar es idempotente: se devuelve la puntuación ya calculada
+            if (session.status !== 'active') {
+                await client.query('COMMIT');
+                return session.score_data;
+            }
+
+            const totals = await client.query(`
+                SELECT
+                    COUNT(*) FILTER (WHERE result = 'ACIERTO') as correct,
+                    COUNT(*) FILTER (WHERE result = 'FALLO') as incorrect,
+                    COUNT(*) FILTER (WHERE result <> 'BLANCO') as answered,
+                    COALESCE(SUM(COALESCE(credit, CASE WHEN result = 'ACIERTO' THEN 1 ELSE 0 END)), 0) as points,
+                    COALESCE(SUM(response_time_ms), 0) as total_time_ms
+                FROM game_session_answers
+                WHERE session_id = $1
+            `, [sessionId]);
+
+            const row = totals.rows[0];
+            const totalQuestions = (session.question_ids || []).length;
+            const correct = parseInt(row.correct);
+            const incorrect = parseInt(row.incorrect);
+            const totalAnswered = parseInt(row.answered);
+
+            // El crédito parcial (selección múltiple, ordenar, emparejar) suma fracciones de pregunta
+            const points = parseFloat(row.points);
+
+            const scoreData = {
+                score: this.calculateScore(points, totalQuestions),
+                points,
+                correct,
+                incorrect,
+                blank: Math.max(0, totalQuestions - totalAnswered),
+                totalQuestions,
+                totalAnswered,
+                totalTimeMs: parseInt(row.total_time_ms),
+                userId,
+                sessionId: session.id,
+                serverValidated: true
+            };
+
+            if (session.adaptive_state) {
+                scoreData.mastery = AdaptivePracticeEngine.summary(session.adaptive_state);
+            }
+
+            await client.query(`
+                UPDATE game_sessions
+                SET status = 'completed', score_data = $1, finished_at = CURRENT_TIMESTAMP
+                WHERE id = $2
+            `, [JSON.stringify(scoreData), sessionId]);
+
+            const scoreResult = await client.query(`
+                INSERT INTO game_scores (game_id, game_type, score_data, user_id, session_id)
+                VALUES ($1, $2, $3, $4, $5)
+                RETURNING id
+            `, [session.game_id, session.game_type, JSON.stringify(scoreData), userId, session.id]);
+
+            // La partida se completa cuando no queda ninguna sesión activa de sus jugadores
+            await client.query(`
+                UPDATE games
+                SET status = 'completed', updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+                  AND NOT EXISTS (
+                      SELECT 1 FROM game_sessions
+                      WHERE game_id = $1 AND status = 'active'
+                  )
+            `, [session.game_id]);
+
+            await client.query('COMMIT');
+
+            await this.leaderboards.recordGameScoreSafely(scoreResult.rows[0].id);
+
+            // Intento en las asignaciones abiertas del alumno sobre los bloques jugados
+            const attempts = await this.assignments.recordSessionSafely(session.id);
+            if (attempts.length > 0) {
+                scoreData.assignmentAttempts = attempts.map(attempt => ({
+                    assignmentId: attempt.assignmentId,
+                    attemptNumber: attempt.attempt_number,
+                    score: parseFloat(attempt.score),
+                    isLate: attempt.is_late
+                }));
+            }
+            return scoreData;
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // ==================== INTEGRACIÓN CON ENDPOINTS EXISTENTES ====================
+
+    async findSession(gameId, userId) {
+        const result = await this.pool.query(
+            'SELECT id, status, score_data FROM game_sessions WHERE game_id = $1 AND user_id = $2',
+            [gameId, userId]
+        );
+        return result.rows[0] || null;
+    }
+
+    // Respuestas juzgadas por el servidor en el formato de POST /api/users/stats
+    async getJudgedAnswers(gameId, userId) {
+        const session = await this.findSession(gameId, userId);
+        if (!session) return null;
+
+        const result = await this.pool.query(`
+            SELECT gsa.question_id, gsa.result, gsa.response_time_ms, q.block_id, q.topic
+            FROM game_session_answers gsa
+            JOIN questions q ON gsa.question_id = q.id
+            WHERE gsa.session_id = $1
+            ORDER BY gsa.answered_at
+        `, [session.id]);
+
+        return result.rows.map(row => ({
+            blockId: row.block_id,
+            questionId: row.question_id,
+            topicName: row.topic,
+            result: row.result,
+            responseTime: row.response_time_ms
+        }));
+    }
+
+    // Las clasificaciones y las asignaciones son compartidas: no se cierran aquí
+    async close() {
+        await this.adaptive.close();
+        await this.pool.end();
+    }
+}
+
+function sessionError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+module.exports = GameSessionManager;
@@ -0,0 +1,451 @@
+const os = require('os');
+const cron = require('node-cron');
+const { Pool } = require('pg');
+
+const DEFAULT_TIMEZONE = 'Europe/Madrid';
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_BACKOFF_SECONDS = 60;
+const DEFAULT_TIMEOUT_SECONDS = 10 * 60;
+const POLL_INTERVAL_MS = 5000;
+
+// Un trabajo en running más allá de su timeout + este margen es de una instancia caída
+const STALE_GRACE_MINUTES = 5;
+
+function jobError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Clave de una ejecución programada: todas las instancias disparan el mismo cron en el mismo minuto
+function scheduleKey(date = new Date()) {
+    const minute = new Date(date);
+    minute.setUTCSeconds(0, 0);
+    return `schedule:${minute.toISOString()}`;
+}
+
+function withTimeout(promise, seconds, name) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Job ${name} timed out after ${seconds}s`)), seconds * 1000);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Cola de trabajos en Postgres. Cada instancia dispara los cron registrados, pero encolar usa una clave
+// de idempotencia por minuto, así que solo se crea un trabajo; los workers lo reclaman con SKIP LOCKED.
+// Un trabajo que falla se reintenta con backoff exponencial sin afectar a los demás
+class JobQueue {
+    constructor({ workerId = `${os.hostname()}:${process.pid}`, pollIntervalMs = POLL_INTERVAL_MS } = {}) {
+        this.pool = new Pool({
+            connectionString: process.env.DATABASE_URL,
+            ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+        });
+        this.workerId = workerId;
+        this.pollIntervalMs = pollIntervalMs;
+        this.definitions = new Map();
+        this.cronTasks = new Map();
+        this.poller = null;
+        this.isRunning = false;
+        this.working = false;
+    }
+
+    // ==================== REGISTRO ====================
+
+    // options: { schedule?, timezone?, description?, maxAttempts?, backoffSeconds?, timeoutSeconds?, paused? }
+    // paused solo se aplica la primera vez: después manda lo que haya en job_schedules
+    register(name, handler, options = {}) {
+        if (this.definitions.has(name)) throw new Error(`Job ${name} is already registered`);
+        if (options.schedule && !cron.validate(options.schedule)) {
+            throw new Error(`Invalid cron expression for job ${name}: ${options.schedule}`);
+        }
+
+        this.definitions.set(name, {
+            name,
+            handler,
+            schedule: options.schedule || null,
+            timezone: options.timezone || DEFAULT_TIMEZONE,
+            description: options.description || null,
+            maxAttempts: options.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+            backoffSeconds: options.backoffSeconds || DEFAULT_BACKOFF_SECONDS,
+            timeoutSeconds: options.timeoutSeconds || DEFAULT_TIMEOUT_SECONDS,
+            paused: options.paused === true
+        });
+        return this;
+    }
+
+    getDefinition(name) {
+        const definition = this.definitions.get(name);
+        if (!definition) throw jobError(`Unknown job: ${name}`, 404);
+        return definition;
+    }
+
+    async syncSchedules() {
+        for (const definition of this.definitions.values()) {
+            await this.pool.query(`
+                INSERT INTO job_schedules (name, cron_expression, timezone, description, paused)
+                VALUES ($1, $2, $3, $4, $5)
+                ON CONFLICT (name) DO UPDATE SET
+                    cron_expression = EXCLUDED.cron_expression,
+                    timezone = EXCLUDED.timezone,
+                    description = EXCLUDED.description,
+                    updated_at = CURRENT_TIMESTAMP
+            `, [definition.name, definition.schedule, definition.timezone, definition.description, definition.paused]);
+        }
+    }
+
+    // ==================== ARRANQUE ====================
+
+    async start() {
+        if (this.isRunning) {
+            console.log('⚠️  Job queue is already running');
+            return;
+        }
+
+        await this.syncSchedules();
+
+        for (const definition of this.definitions.values()) {
+            if (!definition.schedule) continue;
+
+            const task = cron.schedule(definition.schedule, async () => {
+                try {
+                    await this.enqueueScheduled(definition.name);
+                } catch (error) {
+                    console.error(`💥 Could not enqueue scheduled job ${definition.name}:`, error.message);
+                }
+            }, {
+                scheduled: false,
+                timezone: definition.timezone
+            });
+
+            task.start();
+            this.cronTasks.set(definition.name, task);
+        }
+
+        this.poller = setInterval(() => this.work(), this.pollIntervalMs);
+        this.isRunning = true;
+
+        console.log(`✅ Job queue started - ${this.cronTasks.size} schedules, worker ${this.workerId}`);
+    }
+
+    stop() {
+        for (const task of this.cronTasks.values()) {
+            task.stop();
+        }
+        this.cronTasks.clear();
+
+        if (this.poller) {
+            clearInterval(this.poller);
+            this.poller = null;
+        }
+        this.isRunning = false;
+        console.log('🛑 Job queue stopped');
+    }
+
+    // ==================== ENCOLAR ====================
+
+    // Con idempotencyKey repetida devuelve el trabajo existente (duplicate: true) en vez de crear otro
+    async enqueue(name, payload = {}, { idempotencyKey = null, runAt = null, triggeredBy = null } = {}) {
+        const definition = this.getDefinition(name);
+
+        const inserted = await this.pool.query(`
+            INSERT INTO jobs (name, payload, idempotency_key, max_attempts, run_at, triggered_by)
+            VALUES ($1, $2, $3, $4, COALESCE($5, CURRENT_TIMESTAMP), $6)
+            ON CONFLICT (name, idempotency_key) DO NOTHING
+            RETURNING *
+        `, [name, JSON.stringify(payload), idempotencyKey, definition.maxAttempts, runAt, triggeredBy]);
+
+        if (inserted.rows.length > 0) return inserted.rows[0];
+
+        const existing = await this.pool.query(
+            'SELECT * FROM jobs WHERE name = $1 AND idempotency_key = $2',
+            [name, idempotencyKey]
+        );
+        return { ...existing.rows[0], duplicate: true };
+    }
+
+    async enqueueScheduled(name) {
+        const schedule = await this.pool.query(
+            'SELECT paused FROM job_schedules WHERE name = $1',
+            [name]
+        );
+        if (schedule.rows[0] && schedule.rows[0].paused) return null;
+
+        const job = await this.enqueue(name, {}, { idempotencyKey: scheduleKey() });
+        if (!job.duplicate) {
+            await this.pool.query(
+                'UPDATE job_schedules SET last_enqueued_at = CURRENT_TIMESTAMP WHERE name = $1',
+                [name]
+            );
+            setImmediate(() => this.work());
+        }
+        return job;
+    }
+
+    // Lanzar a mano: se encola y lo recoge el primer worker libre
+    async trigger(name, { payload = {}, triggeredBy = null, idempotencyKey = null } = {}) {
+        const job = await this.enqueue(name, payload, { triggeredBy, idempotencyKey });
+        if (this.isRunning) setImmediate(() => this.work());
+        return job;
+    }
+
+    // Ejecutar ya en esta instancia y esperar el resultado (queda en el historial como cualquier otro)
+    async runNow(name, { payload = {}, triggeredBy = null } = {}) {
+        const definition = this.getDefinition(name);
+
+        const result = await this.pool.query(`
+            INSERT INTO jobs (name, payload, status, attempts, max_attempts, locked_by, locked_at, triggered_by)
+            VALUES ($1, $2, 'running', 1, $3, $4, CURRENT_TIMESTAMP, $5)
+            RETURNING *
+        `, [name, JSON.stringify(payload), definition.maxAttempts, this.workerId, triggeredBy]);
+
+        const job = result.rows[0];
+        const outcome = await this.execute(job);
+        if (outcome.error) throw outcome.error;
+        return { job: { ...job, status: 'succeeded' }, result: outcome.result };
+    }
+
+    // ==================== WORKER ====================
+
+    async work() {
+        if (this.working || this.definitions.size === 0) return;
+        this.working = true;
+
+        try {
+            await this.recoverStale();
+
+            let job;
+            while ((job = await this.claim())) {
+                await this.execute(job);
+            }
+        } catch (error) {
+            console.error('💥 Job worker error:', error.message);
+        } finally {
+            this.working = false;
+        }
+    }
+
+    // Solo reclama trabajos que esta instancia sabe ejecutar (importa durante un despliegue)
+    async claim() {
+        const result = await this.pool.query(`
+            UPDATE jobs
+            SET status = 'running', attempts = attempts + 1, locked_by = $1, locked_at = CURRENT_TIMESTAMP
+            WHERE id = (
+                SELECT id FROM jobs
+                WHERE status = 'queued' AND run_at <= CURRENT_TIMESTAMP AND name = ANY($2)
+                ORDER BY run_at, id
+                LIMIT 1
+                FOR UPDATE SKIP LOCKED
+            )
+            RETURNING *
+        `, [this.workerId, [...this.definitions.keys()]]);
+        return result.rows[0] || null;
+    }
+
+    async execute(job) {
+        const definition = this.definitions.get(job.name);
+        const startedAt = Date.now();
+
+        const run = await this.pool.query(`
+            INSERT INTO job_runs (job_id, name, attempt, worker)
+            VALUES ($1, $2, $3, $4)
+            RETURNING id
+        `, [job.id, job.name, job.attempts, this.workerId]);
+        const runId = run.rows[0].id;
+
+        try {
+            const value = await withTimeout(
+                Promise.resolve().then(() => definition.handler(job.payload || {}, job)),
+                definition.timeoutSeconds,
+                job.name
+            );
+            const result = value === undefined ? null : JSON.stringify(value);
+
+            await this.pool.query(`
+                UPDATE job_runs SET status = 'succeeded', result = $2, finished_at = CURRENT_TIMESTAMP, duration_ms = $3
+                WHERE id = $1
+            `, [runId, result, Date.now() - startedAt]);
+
+            await this.pool.query(`
+                UPDATE jobs
+                SET status = 'succeeded', result = $2, last_error = NULL, locked_by = NULL, finished_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+            `, [job.id, result]);
+
+            return { result: value };
+        } catch (error) {
+            const retry = job.attempts < job.max_attempts;
+            console.error(`❌ Job ${job.name} #${job.id} failed (attempt ${job.attempts}/${job.max_attempts}):`, error.message);
+
+            await this.pool.query(`
+                UPDATE job_runs SET status = 'failed', error = $2, finished_at = CURRENT_TIMESTAMP, duration_ms = $3
+                WHERE id = $1
+            `, [runId, error.message, Date.now() - startedAt]);
+
+            // Backoff exponencial: backoff, 2x, 4x...
+            await this.pool.query(`
+                UPDATE jobs
+                SET status = $2,
+                    last_error = $3,
+                    locked_by = NULL,
+                    run_at = CASE WHEN $2 = 'queued' THEN CURRENT_TIMESTAMP + make_interval(secs => $4) ELSE run_at END,
+                    finished_at = CASE WHEN $2 = 'failed' THEN CURRENT_TIMESTAMP ELSE NULL END
+                WHERE id = $1
+            `, [job.id, retry ? 'queued' : 'failed', error.message, definition.backoffSeconds * Math.pow(2, job.attempts - 1)]);
+
+            return { error };
+        }
+    }
+
+    // Trabajos en running de una instancia que se cayó: cuentan como intento fallido
+    async recoverStale() {
+        for (const definition of this.definitions.values()) {
+            const stale = await this.pool.query(`
+                UPDATE jobs
+                SET status = CASE WHEN attempts < max_attempts THEN 'queued' ELSE 'failed' END,
+                    last_error = 'Worker ' || locked_by || ' stopped responding',
+                    locked_by = NULL,
+                    run_at = CURRENT_TIMESTAMP,
+                    finished_at = CASE WHEN attempts < max_attempts THEN NULL ELSE CURRENT_TIMESTAMP END
+                WHERE name = $1 AND status = 'running'
+                  AND locked_at < CURRENT_TIMESTAMP - make_interval(secs => $2)
+                RETURNING id
+            `, [definition.name, definition.timeoutSeconds + STALE_GRACE_MINUTES * 60]);
+
+            if (stale.rows.length > 0) {
+                await this.pool.query(`
+                    UPDATE job_runs SET status = 'failed', error = 'Worker stopped responding', finished_at = CURRENT_TIMESTAMP
+                    WHERE job_id = ANY($1) AND status = 'running'
+                `, [stale.rows.map(row => row.id)]);
+                console.log(`♻️  ${stale.rows.length} stale ${definition.name} job(s) recovered`);
+            }
+        }
+    }
+
+    // ==================== ADMINISTRACIÓN ====================
+
+    async setPaused(name, paused, userId = null) {
+        this.getDefinition(name);
+
+        const result = await this.pool.query(`
+            UPDATE job_schedules
+            SET paused = $2,
+                paused_by = CASE WHEN $2 THEN $3::integer ELSE NULL END,
+                paused_at = CASE WHEN $2 THEN CURRENT_TIMESTAMP ELSE NULL END,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE name = $1
+            RETURNING *
+        `, [name, paused, userId]);
+
+        if (result.rows.length === 0) throw jobError(`Job ${name} has no schedule row yet, start the queue first`, 409);
+        return result.rows[0];
+    }
+
+    // Vuelve a encolar un trabajo fallido con otra tanda de intentos
+    async retry(jobId) {
+        const job = await this.pool.query('SELECT name, status FROM jobs WHERE id = $1', [jobId]);
+        if (job.rows.length === 0) throw jobError('Job not found', 404);
+        if (job.rows[0].status !== 'failed') throw jobError(`Only failed jobs can be retried (status: ${job.rows[0].status})`, 409);
+
+        const definition = this.getDefinition(job.rows[0].name);
+        const result = await this.pool.query(`
+            UPDATE jobs
+            SET status = 'queued', run_at = CURRENT_TIMESTAMP, max_attempts = attempts + $2, finished_at = NULL
+            WHERE id = $1 AND status = 'failed'
+            RETURNING *
+        `, [jobId, definition.maxAttempts]);
+
+        if (this.isRunning) setImmediate(() => this.work());
+        return result.rows[0];
+    }
+
+    async listJobs() {
+        const schedules = await this.pool.query(`
+            SELECT s.*,
+                   (SELECT row_to_json(r) FROM (
+                        SELECT job_id, attempt, status, error, started_at, finished_at, duration_ms, worker
+                        FROM job_runs WHERE name = s.name
+                        ORDER BY started_at DESC LIMIT 1
+                   ) r) as last_run
+            FROM job_schedules s
+            ORDER BY s.name
+        `);
+
+        const counts = await this.pool.query(`
+            SELECT name, status, COUNT(*)::int as count
+            FROM jobs
+            WHERE status IN ('queued', 'running')
+               OR (status = 'failed' AND finished_at > CURRENT_TIMESTAMP - INTERVAL '24 hours')
+            GROUP BY name, status
+        `);
+
+        const countsByName = {};
+        for (const row of counts.rows) {
+            countsByName[row.name] = countsByName[row.name] || { queued: 0, running: 0, failed_24h: 0 };
+            countsByName[row.name][row.status === 'failed' ? 'failed_24h' : row.status] = row.count;
+        }
+
+        return schedules.rows.map(schedule => {
+            const definition = this.definitions.get(schedule.name);
+            return {
+                ...schedule,
+                registered: !!definition,
+                max_attempts: definition ? definition.maxAttempts : null,
+                timeout_seconds: definition ? definition.timeoutSeconds : null,
+                next_run: this.cronTasks.has(schedule.name) ? this.cronTasks.get(schedule.name).getNextRun() : null,
+                jobs: countsByName[schedule.name] || { queued: 0, running: 0, failed_24h: 0 }
+            };
+        });
+    }
+
+    async listHistory(name, { status = null, limit = 50 } = {}) {
+        this.getDefinition(name);
+
+        const result = await this.pool.query(`
+            SELECT id, status, attempts, max_attempts, idempotency_key, run_at, locked_by, last_error,
+                   result, triggered_by, created_at, finished_at
+            FROM jobs
+            WHERE name = $1 AND ($2::varchar IS NULL OR status = $2)
+            ORDER BY created_at DESC
+            LIMIT $3
+        `, [name, status, Math.min(Math.max(parseInt(limit) || 50, 1), 200)]);
+        return result.rows;
+    }
+
+    async getJob(jobId) {
+        const job = await this.pool.query('SELECT * FROM jobs WHERE id = $1', [jobId]);
+        if (job.rows.length === 0) throw jobError('Job not found', 404);
+
+        const runs = await this.pool.query(
+            'SELECT * FROM job_runs WHERE job_id = $1 ORDER BY attempt',
+            [jobId]
+        );
+        return { ...job.rows[0], runs: runs.rows };
+    }
+
+    // Borra trabajos terminados (y su historial) de más de `days` días
+    async prune(days = 30) {
+        const result = await this.pool.query(`
+            DELETE FROM jobs
+            WHERE status IN ('succeeded', 'failed')
+              AND finished_at < CURRENT_TIMESTAMP - make_interval(days => $1)
+        `, [days]);
+        return { deleted: result.rowCount };
+    }
+
+    getStatus() {
+        return {
+            isRunning: this.isRunning,
+            worker: this.workerId,
+            working: this.working,
+            jobs: [...this.definitions.keys()]
+        };
+    }
+
+    async close() {
+        this.stop();
+        await this.pool.end();
+    }
+}
+
+module.exports = JobQueue;
@@ -0,0 +1,598 @@
+const { Pool } = require('pg');
+
+const WINDOWS = ['daily', 'weekly', 'monthly', 'all_time'];
+const SCOPES = ['global', 'block', 'topic', 'group'];
+
+// ELO para duelos
+const INITIAL_RATING = 1200;
+const PROVISIONAL_GAMES = 30;
+const K_PROVISIONAL = 40;
+const K_STANDARD = 20;
+const K_MASTER = 10;
+const MASTER_RATING = 2400;
+
+// Orden de las clasificaciones: mejor puntuación, después puntuación acumulada y, a igualdad, quien la logró antes
+const ENTRY_ORDER = 'e.best_score DESC, e.total_score DESC, e.best_at ASC, e.user_id ASC';
+
+let sharedLeaderboards = null;
+
+// Clasificaciones materializadas: cada puntuación guardada en game_scores actualiza de forma
+// incremental los tableros global, de bloque, de tema y de grupo en cada ventana temporal
+class LeaderboardService {
+    constructor() {
+        this.pool = new Pool({
+            connectionString: process.env.DATABASE_URL,
+            ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+        });
+    }
+
+    static get WINDOWS() {
+        return WINDOWS;
+    }
+
+    static get SCOPES() {
+        return SCOPES;
+    }
+
+    static shared() {
+        if (!sharedLeaderboards) sharedLeaderboards = new LeaderboardService();
+        return sharedLeaderboards;
+    }
+
+    // Clave del tablero de un tema: el tema solo tiene sentido dentro de su bloque
+    static topicKey(blockId, topic) {
+        return `${blockId}:${topic}`;
+    }
+
+    // ==================== ACTUALIZACIÓN INCREMENTAL ====================
+
+    // Procesa una fila de game_scores una sola vez (leaderboard_processed_scores lo garantiza)
+    async recordGameScore(gameScoreId) {
+        const client = await this.pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const claimed = await client.query(`
+                INSERT INTO leaderboard_processed_scores (game_score_id)
+                VALUES ($1)
+                ON CONFLICT (game_score_id) DO NOTHING
+                RETURNING game_score_id
+            `, [gameScoreId]);
+
+            if (claimed.rows.length === 0) {
+                await client.query('COMMIT');
+                return { processed: false };
+            }
+
+            const scoreResult = await client.query(`
+                SELECT gs.id, gs.game_id, gs.game_type, gs.score_data, gs.user_id, gs.session_id, gs.created_at
+                FROM game_scores gs
+                WHERE gs.id = $1
+            `, [gameScoreId]);
+
+            if (scoreResult.rows.length === 0) {
+                await client.query('COMMIT');
+                return { processed: false };
+            }
+
+            const row = scoreResult.rows[0];
+            const participants = await this.getParticipants(client, row);
+            const selection = await this.getGameSelection(client, row.game_id);
+
+            for (const participant of participants) {
+                const scopes = await this.getScopes(client, participant.userId, selection);
+                await this.applyToBoards(client, scopes, {
+                    ...participant,
+                    gameId: row.game_id,
+                    gameType: row.game_type,
+                    playedAt: row.created_at
+                });
+            }
+
+            let ratings = null;
+            if (row.game_type === 'duel') {
+                ratings = await this.applyDuelRating(client, row);
+            }
+
+            await client.query(
+                'UPDATE leaderboard_processed_scores SET participants = $2 WHERE game_score_id = $1',
+                [gameScoreId, participants.length]
+            );
+
+            await client.query('COMMIT');
+            return { processed: true, participants: participants.length, ratings };
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Para los llamadores que guardan la puntuación: un fallo en las clasificaciones no debe
+    // romper el guardado (rebuild() recoge después las puntuaciones pendientes)
+    recordGameScoreSafely(gameScoreId) {
+        return this.recordGameScore(gameScoreId).catch(error => {
+            console.error(`Error updating leaderboards for score ${gameScoreId}:`, error);
+            return { processed: false, error: error.message };
+        });
+    }
+
+    // Jugadores a los que pertenece la puntuación, con su nota normalizada (0-10). Solo cuentan las
+    // calculadas en el servidor: sesiones de juego (session_id) y partidas en directo de duel-engine.js
+    // (sin user_id, con todos los jugadores); las que envía el cliente no entran en las clasificaciones
+    async getParticipants(client, row) {
+        const scoreData = row.score_data || {};
+
+        // Partidas en directo: una fila con todos los jugadores. Las partidas contra el bot de práctica
+        // no entran en ninguna clasificación
+        if (!row.user_id && Array.isArray(scoreData.players)) {
+            if (scoreData.players.some(player => player.isBot || !(player.userId > 0))) return [];
+            const rounds = parseInt(scoreData.rounds) || 0;
+            return scoreData.players
+                .filter(player => !player.isBot && player.userId > 0)
+                .map(player => ({
+                    userId: player.userId,
+                    score: calculateScore(player.correct || 0, rounds),
+                    correct: player.correct || 0,
+                    incorrect: player.incorrect || 0,
+                    answered: (player.correct || 0) + (player.incorrect || 0)
+                }));
+        }
+
+        if (!row.session_id || !row.user_id) return [];
+        const userId = row.user_id;
+
+        const correct = parseInt(scoreData.correct) || 0;
+        const incorrect = parseInt(scoreData.incorrect) || 0;
+        const total = parseInt(scoreData.totalQuestions) || parseInt(scoreData.total) || correct + incorrect + (parseInt(scoreData.blank) || 0);
+        const score = Number.isFinite(parseFloat(scoreData.score)) ? parseFloat(scoreData.score) : calculateScore(correct, total);
+
+        return [{
+            userId,
+            score: Math.min(10, Math.max(0, score)),
+            correct,
+            incorrect,
+            answered: parseInt(scoreData.totalAnswered) || correct + incorrect
+        }];
+    }
+
+    // Bloques y temas de la partida a partir de games.config ({ "<blockId>": { topics: [...] } } o { blockId, topics })
+    async getGameSelection(client, gameId) {
+        const result = await client.query(`
+            SELECT key::int as block_id,
+                CASE WHEN jsonb_typeof(value->'topics') = 'array'
+                    THEN ARRAY(SELECT jsonb_array_elements_text(value->'topics'))
+                    ELSE '{}'::text[]
+                END as topics
+            FROM games g, jsonb_each(CASE WHEN jsonb_typeof(g.config) = 'object' THEN g.config ELSE '{}'::jsonb END)
+            WHERE g.id = $1 AND key ~ '^[0-9]+$'
+            UNION ALL
+            SELECT (g.config->>'blockId')::int,
+                CASE WHEN jsonb_typeof(g.config->'topics') = 'array'
+                    THEN ARRAY(SELECT jsonb_array_elements_text(g.config->'topics'))
+                    ELSE '{}'::text[]
+                END
+            FROM games g
+            WHERE g.id = $1
+              AND jsonb_typeof(g.config) = 'object'
+              AND g.config->>'blockId' ~ '^[0-9]+$'
+              AND NOT EXISTS (SELECT 1 FROM jsonb_object_keys(g.config) k WHERE k ~ '^[0-9]+$')
+        `, [gameId]);
+
+        return result.rows.map(row => ({ blockId: row.block_id, topics: row.topics.filter(Boolean) }));
+    }
+
+    async getScopes(client, userId, selection) {
+        const scopes = [{ scopeType: 'global', scopeKey: '' }];
+
+        for (const { blockId, topics } of selection) {
+            scopes.push({ scopeType: 'block', scopeKey: String(blockId) });
+            // Solo partidas restringidas a temas concretos cuentan en el tablero del tema
+            for (const topic of topics) {
+                scopes.push({ scopeType: 'topic', scopeKey: LeaderboardService.topicKey(blockId, topic) });
+            }
+        }
+
+        const groups = await client.query('SELECT group_id FROM group_members WHERE user_id = $1', [userId]);
+        for (const group of groups.rows) {
+            scopes.push({ scopeType: 'group', scopeKey: String(group.group_id) });
+        }
+
+        return scopes;
+    }
+
+    // Un único INSERT por jugador: crea los tableros que falten y acumula la puntuación en cada uno
+    async applyToBoards(client, scopes, entry) {
+        await client.query(`
+            WITH boards AS (
+                INSERT INTO leaderboards (scope_type, scope_key, time_window, period_start)
+                SELECT s.scope_type, s.scope_key, w.time_window,
+                    CASE w.time_window
+                        WHEN 'daily' THEN date_trunc('day', $3::timestamp)::date
+                        WHEN 'weekly' THEN date_trunc('week', $3::timestamp)::date
+                        WHEN 'monthly' THEN date_trunc('month', $3::timestamp)::date
+                        ELSE DATE '1970-01-01'
+                    END
+                FROM unnest($1::text[], $2::text[]) as s(scope_type, scope_key)
+                CROSS JOIN unnest($4::text[]) as w(time_window)
+                ON CONFLICT (scope_type, scope_key, time_window, period_start)
+                DO UPDATE SET updated_at = CURRENT_TIMESTAMP
+                RETURNING id
+            )
+            INSERT INTO leaderboard_entries (
+                leaderboard_id, user_id, best_score, total_score, games_played, correct_total, answered_total,
+                best_game_id, best_game_type, best_correct, best_incorrect, best_at, last_played_at
+            )
+            SELECT id, $5::int, $6::numeric, $6::numeric, 1, $7::int, $8::int, $9::int, $10::text, $7::int, $11::int, $3::timestamp, $3::timestamp
+            FROM boards
+            ON CONFLICT (leaderboard_id, user_id) DO UPDATE SET
+                total_score = leaderboard_entries.total_score + EXCLUDED.total_score,
+                games_played = leaderboard_entries.games_played + 1,
+                correct_total = leaderboard_entries.correct_total + EXCLUDED.correct_total,
+                answered_total = leaderboard_entries.answered_total + EXCLUDED.answered_total,
+                best_game_id = CASE WHEN EXCLUDED.best_score > leaderboard_entries.best_score THEN EXCLUDED.best_game_id ELSE leaderboard_entries.best_game_id END,
+                best_game_type = CASE WHEN EXCLUDED.best_score > leaderboard_entries.best_score THEN EXCLUDED.best_game_type ELSE leaderboard_entries.best_game_type END,
+                best_correct = CASE WHEN EXCLUDED.best_score > leaderboard_entries.best_score THEN EXCLUDED.best_correct ELSE leaderboard_entries.best_correct END,
+                best_incorrect = CASE WHEN EXCLUDED.best_score > leaderboard_entries.best_score THEN EXCLUDED.best_incorrect ELSE leaderboard_entries.best_incorrect END,
+                best_at = CASE WHEN EXCLUDED.best_score > leaderboard_entries.best_score THEN EXCLUDED.best_at ELSE leaderboard_entries.best_at END,
+                best_score = GREATEST(leaderboard_entries.best_score, EXCLUDED.best_score),
+                last_played_at = GREATEST(leaderboard_entries.last_played_at, EXCLUDED.last_played_at),
+                updated_at = CURRENT_TIMESTAMP
+        `, [
+            scopes.map(scope => scope.scopeType),
+            scopes.map(scope => scope.scopeKey),
+            entry.playedAt,
+            WINDOWS,
+            entry.userId,
+            entry.score,
+            entry.correct,
+            entry.answered,
+            entry.gameId,
+            entry.gameType,
+            entry.incorrect
+        ]);
+    }
+
+    // ==================== ELO DE DUELOS ====================
+
+    // Solo duelos validados por el servidor entre dos personas; las partidas contra bots no cuentan
+    async applyDuelRating(client, row) {
+        const scoreData = row.score_data || {};
+        if (!scoreData.serverValidated || !Array.isArray(scoreData.players)) return null;
+
+        const players = scoreData.players;
+        if (players.length !== 2 || players.some(player => player.isBot || !(player.userId > 0))) return null;
+
+        const [a, b] = players;
+        let resultA;
+        if (scoreData.forfeitUserId) resultA = scoreData.forfeitUserId === a.userId ? 0 : 1;
+        else if (scoreData.draw) resultA = 0.5;
+        else resultA = scoreData.winnerId === a.userId ? 1 : 0;
+
+        // Bloqueo en orden de id para que dos duelos simultáneos no se interbloqueen
+        for (const userId of [a.userId, b.userId].sort((x, y) => x - y)) {
+            await client.query(`
+                INSERT INTO duel_ratings (user_id, rating, peak_rating)
+                VALUES ($1, $2, $2)
+                ON CONFLICT (user_id) DO NOTHING
+            `, [userId, INITIAL_RATING]);
+        }
+
+        const current = await client.query(`
+            SELECT user_id, rating, games_played FROM duel_ratings
+            WHERE user_id = ANY($1::int[])
+            ORDER BY user_id
+            FOR UPDATE
+        `, [[a.userId, b.userId]]);
+        const byUser = new Map(current.rows.map(r => [r.user_id, { rating: parseFloat(r.rating), games: r.games_played }]));
+
+        const ratingA = byUser.get(a.userId);
+        const ratingB = byUser.get(b.userId);
+        const newA = eloUpdate(ratingA, ratingB.rating, resultA);
+        const newB = eloUpdate(ratingB, ratingA.rating, 1 - resultA);
+
+        const changes = [
+            { player: a, opponent: b, before: ratingA.rating, after: newA, result: resultA },
+            { player: b, opponent: a, before: ratingB.rating, after: newB, result: 1 - resultA }
+        ];
+
+        for (const change of changes) {
+            await client.query(`
+                UPDATE duel_ratings SET
+                    rating = $2::numeric,
+                    peak_rating = GREATEST(peak_rating, $2::numeric),
+                    games_played = games_played + 1,
+                    wins = wins + CASE WHEN $3::numeric = 1 THEN 1 ELSE 0 END,
+                    losses = losses + CASE WHEN $3::numeric = 0 THEN 1 ELSE 0 END,
+                    draws = draws + CASE WHEN $3::numeric = 0.5 THEN 1 ELSE 0 END,
+                    last_game_at = $4,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE user_id = $1
+            `, [change.player.userId, change.after, change.result, row.created_at]);
+
+            await client.query(`
+                INSERT INTO duel_rating_history (game_id, user_id, opponent_id, result, rating_before, rating_after)
+                VALUES ($1, $2, $3, $4, $5, $6)
+            `, [row.game_id, change.player.userId, change.opponent.userId, change.result, change.before, change.after]);
+        }
+
+        return Object.fromEntries(changes.map(change => [change.player.userId, {
+            before: change.before,
+            after: change.after,
+            delta: Math.round((change.after - change.before) * 100) / 100
+        }]));
+    }
+
+    // ==================== CONSULTAS ====================
+
+    async findBoard(scopeType, scopeKey, window, date = null) {
+        const result = await this.pool.query(`
+            SELECT id, scope_type, scope_key, time_window, period_start
+            FROM leaderboards
+            WHERE scope_type = $1 AND scope_key = $2 AND time_window = $3
+              AND period_start = CASE $3
+                  WHEN 'daily' THEN date_trunc('day', COALESCE($4::timestamp, CURRENT_TIMESTAMP))::date
+                  WHEN 'weekly' THEN date_trunc('week', COALESCE($4::timestamp, CURRENT_TIMESTAMP))::date
+                  WHEN 'monthly' THEN date_trunc('month', COALESCE($4::timestamp, CURRENT_TIMESTAMP))::date
+                  ELSE DATE '1970-01-01'
+              END
+        `, [scopeType, scopeKey, window, date]);
+        return result.rows[0] || null;
+    }
+
+    async getBoard(scopeType, scopeKey, { window = 'all_time', date = null, page = 1, limit = 20 } = {}) {
+        const board = await this.findBoard(scopeType, scopeKey, window, date);
+        const offset = (page - 1) * limit;
+
+        if (!board) {
+            return { scopeType, scopeKey, window, periodStart: null, page, limit, total: 0, entries: [] };
+        }
+
+        const [entries, count] = await Promise.all([
+            this.pool.query(`
+                SELECT e.*, u.nickname
+                FROM leaderboard_entries e
+                JOIN users u ON e.user_id = u.id
+                WHERE e.leaderboard_id = $1
+                ORDER BY ${ENTRY_ORDER}
+                LIMIT $2 OFFSET $3
+            `, [board.id, limit, offset]),
+            this.pool.query('SELECT COUNT(*) as total FROM leaderboard_entries WHERE leaderboard_id = $1', [board.id])
+        ]);
+
+        return {
+            scopeType,
+            scopeKey,
+            window,
+            periodStart: board.period_start,
+            page,
+            limit,
+            total: parseInt(count.rows[0].total),
+            entries: entries.rows.map((row, index) => formatEntry(row, offset + index + 1))
+        };
+    }
+
+    // Posición del usuario y los `radius` jugadores por encima y por debajo
+    async getUserRank(scopeType, scopeKey, userId, { window = 'all_time', date = null, radius = 2 } = {}) {
+        const board = await this.findBoard(scopeType, scopeKey, window, date);
+        const empty = { scopeType, scopeKey, window, periodStart: board ? board.period_start : null, rank: null, total: 0, entry: null, neighbours: [] };
+        if (!board) return empty;
+
+        const rankResult = await this.pool.query(`
+            SELECT
+                (SELECT COUNT(*) FROM leaderboard_entries e
+                 WHERE e.leaderboard_id = me.leaderboard_id
+                   AND (e.best_score, e.total_score, me.best_at, me.user_id) > (me.best_score, me.total_score, e.best_at, e.user_id)
+                ) + 1 as rank,
+                (SELECT COUNT(*) FROM leaderboard_entries WHERE leaderboard_id = me.leaderboard_id) as total
+            FROM leaderboard_entries me
+            WHERE me.leaderboard_id = $1 AND me.user_id = $2
+        `, [board.id, userId]);
+
+        if (rankResult.rows.length === 0) {
+            const total = await this.pool.query('SELECT COUNT(*) as total FROM leaderboard_entries WHERE leaderboard_id = $1', [board.id]);
+            return { ...empty, total: parseInt(total.rows[0].total) };
+        }
+
+        const rank = parseInt(rankResult.rows[0].rank);
+        const offset = Math.max(0, rank - 1 - radius);
+
+        const neighbours = await this.pool.query(`
+            SELECT e.*, u.nickname
+            FROM leaderboard_entries e
+            JOIN users u ON e.user_id = u.id
+            WHERE e.leaderboard_id = $1
+            ORDER BY ${ENTRY_ORDER}
+            LIMIT $2 OFFSET $3
+        `, [board.id, radius * 2 + 1, offset]);
+
+        const formatted = neighbours.rows.map((row, index) => formatEntry(row, offset + index + 1));
+
+        return {
+            scopeType,
+            scopeKey,
+            window,
+            periodStart: board.period_start,
+            rank,
+            total: parseInt(rankResult.rows[0].total),
+            entry: formatted.find(entry => entry.userId === userId) || null,
+            neighbours: formatted
+        };
+    }
+
+    async getDuelRatings({ page = 1, limit = 20 } = {}) {
+        const offset = (page - 1) * limit;
+        const [ratings, count] = await Promise.all([
+            this.pool.query(`
+                SELECT dr.*, u.nickname
+                FROM duel_ratings dr
+                JOIN users u ON dr.user_id = u.id
+                ORDER BY dr.rating DESC, dr.games_played DESC, dr.user_id ASC
+                LIMIT $1 OFFSET $2
+            `, [limit, offset]),
+            this.pool.query('SELECT COUNT(*) as total FROM duel_ratings')
+        ]);
+
+        return {
+            page,
+            limit,
+            total: parseInt(count.rows[0].total),
+            ratings: ratings.rows.map((row, index) => formatRating(row, offset + index + 1))
+        };
+    }
+
+    async getUserDuelRating(userId, { radius = 2 } = {}) {
+        const result = await this.pool.query(`
+            SELECT me.*, u.nickname,
+                (SELECT COUNT(*) FROM duel_ratings dr
+                 WHERE (dr.rating, dr.games_played, me.user_id) > (me.rating, me.games_played, dr.user_id)
+                ) + 1 as rank
+            FROM duel_ratings me
+            JOIN users u ON me.user_id = u.id
+            WHERE me.user_id = $1
+        `, [userId]);
+
+        if (result.rows.length === 0) {
+            return { rank: null, rating: null, initialRating: INITIAL_RATING, neighbours: [], history: [] };
+        }
+
+        const rank = parseInt(result.rows[0].rank);
+        const offset = Math.max(0, rank - 1 - radius);
+
+        const [neighbours, history] = await Promise.all([
+            this.pool.query(`
+                SELECT dr.*, u.nickname
+                FROM duel_ratings dr
+                JOIN users u ON dr.user_id = u.id
+                ORDER BY dr.rating DESC, dr.games_played DESC, dr.user_id ASC
+                LIMIT $1 OFFSET $2
+            `, [radius * 2 + 1, offset]),
+            this.pool.query(`
+                SELECT drh.game_id, drh.opponent_id, u.nickname as opponent_nickname, drh.result,
+                    drh.rating_before, drh.rating_after, drh.created_at
+                FROM duel_rating_history drh
+                LEFT JOIN users u ON drh.opponent_id = u.id
+                WHERE drh.user_id = $1
+                ORDER BY drh.id DESC
+                LIMIT 20
+            `, [userId])
+        ]);
+
+        return {
+            rank,
+            rating: formatRating(result.rows[0], rank),
+            neighbours: neighbours.rows.map((row, index) => formatRating(row, offset + index + 1)),
+            history: history.rows.map(row => ({
+                gameId: row.game_id,
+                opponentId: row.opponent_id,
+                opponentNickname: row.opponent_nickname,
+                result: parseFloat(row.result),
+                ratingBefore: Math.round(parseFloat(row.rating_before)),
+                ratingAfter: Math.round(parseFloat(row.rating_after)),
+                playedAt: row.created_at
+            }))
+        };
+    }
+
+    // ==================== RECONSTRUCCIÓN ====================
+
+    // Procesa las puntuaciones pendientes en orden; con reset vacía antes tableros y ratings
+    async rebuild({ reset = false, batchSize = 500 } = {}) {
+        if (reset) {
+            await this.pool.query(`
+                TRUNCATE leaderboard_entries, leaderboards, leaderboard_processed_scores,
+                    duel_rating_history, duel_ratings
+                RESTART IDENTITY
+            `);
+        }
+
+        let processed = 0;
+        let lastId = 0;
+
+        for (;;) {
+            const pending = await this.pool.query(`
+                SELECT gs.id FROM game_scores gs
+                WHERE gs.id > $1
+                  AND NOT EXISTS (SELECT 1 FROM leaderboard_processed_scores lps WHERE lps.game_score_id = gs.id)
+                ORDER BY gs.id
+                LIMIT $2
+            `, [lastId, batchSize]);
+
+            if (pending.rows.length === 0) break;
+
+            for (const row of pending.rows) {
+                const result = await this.recordGameScore(row.id);
+                if (result.processed) processed++;
+                lastId = row.id;
+            }
+        }
+
+        return { processed };
+    }
+
+    // Los tableros diarios antiguos no se consultan; se eliminan para que la tabla no crezca sin límite
+    async pruneDailyBoards(keepDays = 90) {
+        const result = await this.pool.query(`
+            DELETE FROM leaderboards
+            WHERE time_window = 'daily' AND period_start < CURRENT_DATE - $1::int
+        `, [keepDays]);
+        return result.rowCount;
+    }
+
+    async close() {
+        await this.pool.end();
+    }
+}
+
+function calculateScore(correct, total) {
+    if (!total) return 0;
+    return Math.round((correct / total) * 10 * 100) / 100;
+}
+
+// K alto mientras el rating es provisional y bajo en la élite
+function eloUpdate(player, opponentRating, result) {
+    const expected = 1 / (1 + Math.pow(10, (opponentRating - player.rating) / 400));
+    const k = player.games < PROVISIONAL_GAMES ? K_PROVISIONAL : (player.rating >= MASTER_RATING ? K_MASTER : K_STANDARD);
+    return Math.round((player.rating + k * (result - expected)) * 100) / 100;
+}
+
+function formatEntry(row, rank) {
+    return {
+        rank,
+        userId: row.user_id,
+        nickname: row.nickname,
+        bestScore: parseFloat(row.best_score),
+        totalScore: parseFloat(row.total_score),
+        gamesPlayed: row.games_played,
+        accuracy: row.answered_total > 0 ? Math.round((row.correct_total / row.answered_total) * 1000) / 10 : 0,
+        best: {
+            gameId: row.best_game_id,
+            gameType: row.best_game_type,
+            correct: row.best_correct,
+            incorrect: row.best_incorrect,
+            at: row.best_at
+        },
+        lastPlayedAt: row.last_played_at
+    };
+}
+
+function formatRating(row, rank) {
+    return {
+        rank,
+        userId: row.user_id,
+        nickname: row.nickname,
+        rating: Math.round(parseFloat(row.rating)),
+        peakRating: Math.round(parseFloat(row.peak_rating)),
+        provisional: row.games_played < PROVISIONAL_GAMES,
+        gamesPlayed: row.games_played,
+        wins: row.wins,
+        losses: row.losses,
+        draws: row.draws,
+        lastGameAt: row.last_game_at
+    };
+}
+
+module.exports = LeaderboardService;
@@ -1,4 +1,5 @@
 const { Pool } = require('pg');
+const NotificationDispatcher = require('./notification-dispatcher');
 
 // Sistema de notificaciones para niveles PLAYTEST
 class LevelsNotificationSystem {
@@ -7,6 +8,7 @@ class LevelsNotificationSystem {
             connectionString: process.env.DATABASE_URL,
             ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
         });
+        this.dispatcher = NotificationDispatcher.shared();
     }
 
     // ==================== NOTIFICACIONES DE CAMBIO DE NIVEL ====================
@@ -61,11 +63,9 @@ class LevelsNotificationSystem {
                 priority: 'high'
             };
 
+            // El dispatcher la entrega también por socket, push y email según las preferencias
             await this.createNotification(notificationData);
 
-            // Enviar notificación push si está habilitada
-            await this.sendPushNotification(userId, title, message, notificationData.data);
-
             console.log(`Notificación de subida de nivel enviada a usuario ${userId}: ${title}`);
 
         } catch (error) {
@@ -216,29 +216,19 @@ class LevelsNotificationSystem {
 
     async createNotification(notificationData) {
         try {
-            // Verificar preferencias del usuario
-            const preferences = await this.getUserNotificationPreferences(notificationData.user_id);
-            
-            if (!this.shouldSendNotification(notificationData.notification_type, preferences)) {
-                return false;
-            }
-
-            const result = await this.pool.query(`
-                INSERT INTO user_notifications (
-                    user_id, notification_type, title, message, data, icon, priority, created_at
-                ) VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP)
-                RETURNING id
-            `, [
-                notificationData.user_id,
-                notificationData.notification_type,
-                notificationData.title,
-                notificationData.message,
-                JSON.stringify(notificationData.data),
-                notificationData.icon,
-                notificationData.priority
-            ]);
-
-            return result.rows[0].id;
+            // Las preferencias (tipos silenciados y canales) las aplica el dispatcher
+            const result = await this.dispatcher.dispatch({
+                userId: notificationData.user_id,
+                source: 'levels',
+                type: notificationData.notification_type,
+                title: notificationData.title,
+                message: notificationData.message,
+                data: notificationData.data,
+                icon: notificationData.icon,
+                priority: notificationData.priority
+            });
+
+            return result ? result.id : false;
 
         } catch (error) {
             console.error('Error creating notification:', error);
@@ -360,13 +350,8 @@ class LevelsNotificationSystem {
 
     async updateUserNotificationPreferences(userId, preferences) {
         try {
-            await this.pool.query(`
-                INSERT INTO user_notification_preferences (user_id, preferences)
-                VALUES ($1, $2)
-                ON CONFLICT (user_id) DO UPDATE SET
-                    preferences = EXCLUDED.preferences,
-                    updated_at = CURRENT_TIMESTAMP
-            `, [userId, JSON.stringify(preferences)]);
+            // Se combinan con las existentes: retos y soporte guardan sus opciones en el mismo JSONB
+            await this.dispatcher.updatePreferences(userId, preferences);
 
             return true;
 
@@ -380,39 +365,6 @@ class LevelsNotificationSystem {
         return preferences[notificationType] !== false;
     }
 
-    // ==================== NOTIFICACIONES PUSH ====================
-
-    async sendPushNotification(userId, title, message, data) {
-        try {
-            // Obtener tokens de push del usuario
-            const tokensResult = await this.pool.query(`
-                SELECT push_token, platform
-                FROM user_push_tokens
-                WHERE user_id = $1 AND is_active = true
-            `, [userId]);
-
-            if (tokensResult.rows.length === 0) {
-                return false;
-            }
-
-            // Simular envío de notificación push (aquí integrarías con FCM, APNS, etc.)
-            for (const tokenData of tokensResult.rows) {
-                console.log(`📱 Push notification enviada a ${tokenData.platform}:`, {
-                    title,
-                    message,
-                    token: tokenData.push_token.substring(0, 20) + '...',
-                    data
-                });
-            }
-
-            return true;
-
-        } catch (error) {
-            console.error('Error sending push notification:', error);
-            return false;
-        }
-    }
-
     // ==================== NOTIFICACIONES PERIÓDICAS ====================
 
     async runPeriodicNotifications() {
@@ -432,6 +384,7 @@ class LevelsNotificationSystem {
 
         } catch (error) {
             console.error('Error running periodic notifications:', error);
+            throw error;
         }
     }
 
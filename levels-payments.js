@@ -1,4 +1,5 @@
 const { Pool } = require('pg');
+const LuminariasLedger = require('./luminarias-ledger');
 
 // Sistema de pagos semanales automáticos para niveles PLAYTEST
 class LevelsPaymentSystem {
@@ -7,6 +8,7 @@ class LevelsPaymentSystem {
             connectionString: process.env.DATABASE_URL,
             ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
         });
+        this.ledger = new LuminariasLedger();
     }
 
     // ==================== CÁLCULO DE PAGOS SEMANALES ====================
@@ -407,47 +409,64 @@ class LevelsPaymentSystem {
     }
 
     async executePayment(userId, amount, paymentId) {
+        const client = await this.pool.connect();
+
         try {
+            await client.query('BEGIN');
+
             // Verificar que el usuario existe
-            const userResult = await this.pool.query(`
-                SELECT luminarias FROM users WHERE id = $1
+            const userResult = await client.query(`
+                SELECT id FROM users WHERE id = $1
             `, [userId]);
 
             if (userResult.rows.length === 0) {
+                await client.query('ROLLBACK');
                 console.error(`Usuario ${userId} no encontrado`);
                 return false;
             }
 
-            const currentLuminarias = userResult.rows[0].luminarias || 0;
-            const newBalance = currentLuminarias + amount;
-
-            // Actualizar balance del usuario
-            await this.pool.query(`
-                UPDATE users SET luminarias = $1 WHERE id = $2
-            `, [newBalance, userId]);
+            // El libro mayor actualiza el saldo; la clave evita pagar dos veces el mismo pago semanal
+            const entry = await this.ledger.transfer({
+                from: 'level_payments',
+                to: userId,
+                amount,
+                entryType: 'level_payment',
+                description: 'Pago semanal por nivel',
+                referenceType: 'weekly_luminarias_payments',
+                referenceId: paymentId,
+                metadata: { payment_id: paymentId },
+                idempotencyKey: `level_payment:${paymentId}`,
+                legacy: { category: 'levels', subcategory: 'weekly_payment', actionType: 'level_payment' }
+            }, client);
 
             // Registrar transacción
-            await this.pool.query(`
-                INSERT INTO user_transactions (
-                    user_id, transaction_type, amount, description, 
-                    metadata, created_at
-                ) VALUES ($1, 'level_payment', $2, $3, $4, CURRENT_TIMESTAMP)
-            `, [
-                userId,
-                amount,
-                'Pago semanal por nivel',
-                JSON.stringify({ 
-                    payment_id: paymentId,
-                    previous_balance: currentLuminarias,
-                    new_balance: newBalance
-                })
-            ]);
+            if (!entry.duplicate) {
+                await client.query(`
+                    INSERT INTO user_transactions (
+                        user_id, transaction_type, amount, description, 
+                        metadata, created_at
+                    ) VALUES ($1, 'level_payment', $2, $3, $4, CURRENT_TIMESTAMP)
+                `, [
+                    userId,
+                    amount,
+                    'Pago semanal por nivel',
+                    JSON.stringify({ 
+                        payment_id: paymentId,
+                        ledger_journal_id: entry.journalId,
+                        new_balance: entry.balances[userId]
+                    })
+                ]);
+            }
 
+            await client.query('COMMIT');
             return true;
 
         } catch (error) {
+            await client.query('ROLLBACK');
             console.error('Error executing payment:', error);
             return false;
+        } finally {
+            client.release();
         }
     }
 
@@ -579,6 +598,7 @@ class LevelsPaymentSystem {
 
     async close() {
         await this.pool.end();
+        await this.ledger.close();
     }
 }
 
@@ -1,4 +1,4 @@
-const LevelsDatabase = require('./levels-database');
+const MigrationRunner = require('./migration-runner');
 const LevelsCalculator = require('./levels-calculator');
 const LevelsPaymentSystem = require('./levels-payments');
 const LevelsNotificationSystem = require('./levels-notifications');
@@ -7,7 +7,6 @@ const LevelsBadgeSystem = require('./levels-badges');
 // Script de configuración completa del sistema de niveles
 class LevelsSetup {
     constructor() {
-        this.database = new LevelsDatabase();
         this.calculator = new LevelsCalculator();
         this.paymentSystem = new LevelsPaymentSystem();
         this.notificationSystem = new LevelsNotificationSystem();
@@ -18,29 +17,24 @@ class LevelsSetup {
         try {
             console.log('🚀 Iniciando configuración del sistema de niveles PLAYTEST...');
 
-            // 1. Crear esquema de base de datos
+            // 1. Aplicar migraciones pendientes: tablas, niveles por defecto y triggers (0003_levels.sql)
             console.log('\n📊 Configurando base de datos...');
-            await this.database.createLevelsSchema();
-            await this.database.insertDefaultLevelDefinitions();
-
-            // 2. Crear tablas adicionales para notificaciones y badges
-            console.log('\n🔔 Configurando sistema de notificaciones...');
-            await this.createNotificationTables();
+            const runner = new MigrationRunner();
+            try {
+                await runner.up();
+            } finally {
+                await runner.close();
+            }
 
-            // 3. Crear tablas para badges y beneficios
+            // 2. Definiciones de badges
             console.log('\n🏆 Configurando sistema de badges...');
-            await this.createBadgeTables();
             await this.badgeSystem.createBadgeDefinitions();
 
-            // 4. Configurar triggers automáticos
-            console.log('\n⚡ Configurando triggers automáticos...');
-            await this.setupAutomaticTriggers();
-
-            // 5. Crear tareas automáticas
+            // 3. Crear tareas automáticas
             console.log('\n⏰ Configurando tareas automáticas...');
             await this.setupAutomaticTasks();
 
-            // 6. Ejecutar configuración inicial
+            // 4. Ejecutar configuración inicial
             console.log('\n🔧 Ejecutando configuración inicial...');
             await this.runInitialConfiguration();
 
@@ -61,340 +55,20 @@ class LevelsSetup {
         }
     }
 
-    async createNotificationTables() {
-        try {
-            const { Pool } = require('pg');
-            const pool = new Pool({
-                connectionString: process.env.DATABASE_URL,
-                ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
-            });
-
-            // Tabla de notificaciones de usuario
-            await pool.query(`
-                CREATE TABLE IF NOT EXISTS user_notifications (
-                    id SERIAL PRIMARY KEY,
-                    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-                    notification_type VARCHAR(50) NOT NULL,
-                    title VARCHAR(200) NOT NULL,
-                    message TEXT NOT NULL,
-                    data JSONB DEFAULT '{}',
-                    icon VARCHAR(100),
-                    priority VARCHAR(20) DEFAULT 'medium' CHECK (priority IN ('low', 'medium', 'high')),
-                    read_at TIMESTAMP WITH TIME ZONE,
-                    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
-                )
-            `);
-
-            // Tabla de preferencias de notificaciones
-            await pool.query(`
-                CREATE TABLE IF NOT EXISTS user_notification_preferences (
-                    id SERIAL PRIMARY KEY,
-                    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE UNIQUE,
-                    preferences JSONB DEFAULT '{}',
-                    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
-                    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
-                )
-            `);
-
-            // Tabla de tokens push
-            await pool.query(`
-                CREATE TABLE IF NOT EXISTS user_push_tokens (
-                    id SERIAL PRIMARY KEY,
-                    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-                    push_token TEXT NOT NULL,
-                    platform VARCHAR(20) NOT NULL CHECK (platform IN ('ios', 'android', 'web')),
-                    is_active BOOLEAN DEFAULT true,
-                    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
-                    last_used TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
-                    UNIQUE(user_id, push_token, platform)
-                )
-            `);
-
-            // Índices para notificaciones
-            await pool.query(`
-                CREATE INDEX IF NOT EXISTS idx_user_notifications_user_id ON user_notifications(user_id, created_at);
-                CREATE INDEX IF NOT EXISTS idx_user_notifications_unread ON user_notifications(user_id, read_at) WHERE read_at IS NULL;
-                CREATE INDEX IF NOT EXISTS idx_push_tokens_user_active ON user_push_tokens(user_id, is_active);
-            `);
-
-            console.log('   ✓ Tablas de notificaciones creadas');
-
-        } catch (error) {
-            console.error('Error creating notification tables:', error);
-            throw error;
-        }
-    }
-
-    async createBadgeTables() {
-        try {
-            const { Pool } = require('pg');
-            const pool = new Pool({
-                connectionString: process.env.DATABASE_URL,
-                ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
-            });
-
-            // Tabla de definiciones de badges
-            await pool.query(`
-                CREATE TABLE IF NOT EXISTS badge_definitions (
-                    id SERIAL PRIMARY KEY,
-                    badge_type VARCHAR(50) NOT NULL,
-                    level_name VARCHAR(50),
-                    name VARCHAR(100) NOT NULL UNIQUE,
-                    description TEXT NOT NULL,
-                    icon VARCHAR(100) NOT NULL,
-                    color VARCHAR(7) NOT NULL,
-                    rarity VARCHAR(20) DEFAULT 'common' CHECK (rarity IN ('common', 'uncommon', 'rare', 'epic', 'legendary')),
-                    trigger_condition JSONB DEFAULT '{}',
-                    benefits JSONB DEFAULT '{}',
-                    is_active BOOLEAN DEFAULT true,
-                    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
-                )
-            `);
-
-            // Tabla de badges de usuario
-            await pool.query(`
-                CREATE TABLE IF NOT EXISTS user_badges (
-                    id SERIAL PRIMARY KEY,
-                    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-                    badge_id INTEGER REFERENCES badge_definitions(id) ON DELETE CASCADE,
-                    earned_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
-                    metadata JSONB DEFAULT '{}',
-                    UNIQUE(user_id, badge_id)
-                )
-            `);
-
-            // Tabla de transacciones de usuario (para pagos)
-            await pool.query(`
-                CREATE TABLE IF NOT EXISTS user_transactions (
-                    id SERIAL PRIMARY KEY,
-                    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-                    transaction_type VARCHAR(50) NOT NULL,
-                    amount INTEGER NOT NULL,
-                    description TEXT,
-                    metadata JSONB DEFAULT '{}',
-                    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
-                )
-            `);
-
-            // Índices para badges
-            await pool.query(`
-                CREATE INDEX IF NOT EXISTS idx_user_badges_user_id ON user_badges(user_id, earned_at);
-                CREATE INDEX IF NOT EXISTS idx_user_badges_badge_id ON user_badges(badge_id);
-                CREATE INDEX IF NOT EXISTS idx_badge_definitions_type ON badge_definitions(badge_type, level_name);
-                CREATE INDEX IF NOT EXISTS idx_user_transactions_user_type ON user_transactions(user_id, transaction_type, created_at);
-            `);
-
-            console.log('   ✓ Tablas de badges creadas');
-
-        } catch (error) {
-            console.error('Error creating badge tables:', error);
-            throw error;
-        }
-    }
-
-    async setupAutomaticTriggers() {
-        try {
-            const { Pool } = require('pg');
-            const pool = new Pool({
-                connectionString: process.env.DATABASE_URL,
-                ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
-            });
-
-            // Función para manejar cambios de respuestas (actualizar consolidación)
-            await pool.query(`
-                CREATE OR REPLACE FUNCTION handle_answer_changes()
-                RETURNS TRIGGER AS $$
-                BEGIN
-                    -- Recalcular consolidación cuando se responde una pregunta
-                    IF TG_OP = 'INSERT' OR TG_OP = 'UPDATE' THEN
-                        -- Obtener block_id de la pregunta
-                        INSERT INTO async_level_calculations (user_id, block_id, calculation_type, trigger_source)
-                        SELECT NEW.user_id, q.block_id, 'consolidation_update', 'user_answer'
-                        FROM questions q 
-                        WHERE q.id = NEW.question_id
-                        ON CONFLICT (user_id, block_id, calculation_type) DO UPDATE SET
-                            created_at = CURRENT_TIMESTAMP,
-                            processed = false;
-                    END IF;
-                    
-                    RETURN COALESCE(NEW, OLD);
-                END;
-                $$ LANGUAGE plpgsql;
-            `);
-
-            // Función para manejar cambios en games (actividad de creador)
-            await pool.query(`
-                CREATE OR REPLACE FUNCTION handle_game_changes()
-                RETURNS TRIGGER AS $$
-                BEGIN
-                    -- Actualizar métricas de creador cuando se completa un juego
-                    IF TG_OP = 'INSERT' OR (TG_OP = 'UPDATE' AND NEW.status = 'completed' AND OLD.status != 'completed') THEN
-                        INSERT INTO async_level_calculations (user_id, calculation_type, trigger_source)
-                        VALUES (NEW.created_by, 'creator_update', 'game_completed')
-                        ON CONFLICT (user_id, calculation_type) DO UPDATE SET
-                            created_at = CURRENT_TIMESTAMP,
-                            processed = false;
-                    END IF;
-                    
-                    RETURN COALESCE(NEW, OLD);
-                END;
-                $$ LANGUAGE plpgsql;
-            `);
-
-            // Tabla para cálculos asíncronos
-            await pool.query(`
-                CREATE TABLE IF NOT EXISTS async_level_calculations (
-                    id SERIAL PRIMARY KEY,
-                    user_id INTEGER NOT NULL,
-                    block_id INTEGER,
-                    calculation_type VARCHAR(50) NOT NULL,
-                    trigger_source VARCHAR(50) NOT NULL,
-                    processed BOOLEAN DEFAULT false,
-                    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
-                    processed_at TIMESTAMP WITH TIME ZONE,
-                    UNIQUE(user_id, block_id, calculation_type)
-                )
-            `);
-
-            // Triggers en user_answers
-            await pool.query(`
-                DROP TRIGGER IF EXISTS trigger_answer_level_update ON user_answers;
-                CREATE TRIGGER trigger_answer_level_update
-                    AFTER INSERT OR UPDATE ON user_answers
-                    FOR EACH ROW EXECUTE FUNCTION handle_answer_changes();
-            `);
-
-            // Triggers en games
-            await pool.query(`
-                DROP TRIGGER IF EXISTS trigger_game_level_update ON games;
-                CREATE TRIGGER trigger_game_level_update
-                    AFTER INSERT OR UPDATE ON games
-                    FOR EACH ROW EXECUTE FUNCTION handle_game_changes();
-            `);
-
-            // Función para procesar cálculos pendientes
-            await pool.query(`
-                CREATE OR REPLACE FUNCTION process_pending_calculations()
-                RETURNS INTEGER AS $$
-                DECLARE
-                    calc_record RECORD;
-                    processed_count INTEGER := 0;
-                BEGIN
-                    -- Procesar cálculos pendientes
-                    FOR calc_record IN 
-                        SELECT * FROM async_level_calculations 
-                        WHERE processed = false 
-                        ORDER BY created_at ASC 
-                        LIMIT 100
-                    LOOP
-                        -- Marcar como procesado inmediatamente para evitar duplicados
-                        UPDATE async_level_calculations 
-                        SET processed = true, processed_at = CURRENT_TIMESTAMP
-                        WHERE id = calc_record.id;
-                        
-                        -- Aquí se ejecutarían los cálculos reales
-                        -- Por ahora solo marcamos como procesado
-                        processed_count := processed_count + 1;
-                    END LOOP;
-                    
-                    RETURN processed_count;
-                END;
-                $$ LANGUAGE plpgsql;
-            `);
-
-            console.log('   ✓ Triggers automáticos configurados');
-
-        } catch (error) {
-            console.error('Error setting up automatic triggers:', error);
-            throw error;
-        }
-    }
-
     async setupAutomaticTasks() {
-        try {
-            // Configurar tareas automáticas usando node-cron si está disponible
-            try {
-                const cron = require('node-cron');
-
-                // Cálculos de nivel cada 5 minutos
-                cron.schedule('*/5 * * * *', async () => {
-                    try {
-                        await this.processAsyncCalculations();
-                    } catch (error) {
-                        console.error('Error en cálculos automáticos:', error);
-                    }
-                });
-
-                // Notificaciones cada 15 minutos
-                cron.schedule('*/15 * * * *', async () => {
-                    try {
-                        await this.notificationSystem.runPeriodicNotifications();
-                    } catch (error) {
-                        console.error('Error en notificaciones automáticas:', error);
-                    }
-                });
-
-                // Pagos semanales los lunes a las 2 AM
-                cron.schedule('0 2 * * 1', async () => {
-                    try {
-                        console.log('🕐 Ejecutando pagos semanales automáticos...');
-                        const results = await this.paymentSystem.processWeeklyPayments();
-                        console.log('💰 Pagos semanales completados:', results.summary);
-                    } catch (error) {
-                        console.error('Error en pagos automáticos:', error);
-                    }
-                });
-
-                // Limpieza de datos antiguos diaria a las 3 AM
-                cron.schedule('0 3 * * *', async () => {
-                    try {
-                        await this.runDailyMaintenance();
-                    } catch (error) {
-                        console.error('Error en mantenimiento diario:', error);
-                    }
-                });
-
-                console.log('   ✓ Tareas automáticas configuradas con cron:');
-                console.log('     - Cálculos de nivel cada 5 minutos');
-                console.log('     - Notificaciones cada 15 minutos');
-                console.log('     - Pagos semanales los lunes a las 2 AM');
-                console.log('     - Mantenimiento diario a las 3 AM');
-
-            } catch (cronError) {
-                console.log('   ⚠️  node-cron no disponible, configurando intervalos básicos...');
-
-                // Fallback con setInterval
-                setInterval(async () => {
-                    try {
-                        await this.processAsyncCalculations();
-                    } catch (error) {
-                        console.error('Error en cálculos:', error);
-                    }
-                }, 5 * 60 * 1000); // 5 minutos
-
-                setInterval(async () => {
-                    try {
-                        await this.notificationSystem.runPeriodicNotifications();
-                    } catch (error) {
-                        console.error('Error en notificaciones:', error);
-                    }
-                }, 15 * 60 * 1000); // 15 minutos
-
-                console.log('   ✓ Intervalos básicos configurados');
-            }
-
-        } catch (error) {
-            console.error('Error setting up automatic tasks:', error);
-        }
+        // Las tareas periódicas (cálculos, notificaciones, pagos semanales y mantenimiento) se
+        // registran en scheduled-jobs.js y las ejecuta la cola de trabajos del servidor
+        console.log('   ✓ Tareas automáticas gestionadas por la cola de trabajos (scheduled-jobs.js):');
+        console.log('     - levels.async_calculations cada 5 minutos');
+        console.log('     - levels.notifications cada 15 minutos');
+        console.log('     - levels.weekly_payments los lunes a las 2 AM');
+        console.log('     - levels.daily_maintenance a las 3 AM');
     }
 
     async processAsyncCalculations() {
         try {
-            const { Pool } = require('pg');
-            const pool = new Pool({
-                connectionString: process.env.DATABASE_URL,
-                ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
-            });
+            // Pool compartido: crear uno en cada ejecución dejaba conexiones abiertas
+            const pool = this.database.pool;
 
             // Obtener cálculos pendientes
             const pendingCalculations = await pool.query(`
@@ -480,6 +154,7 @@ class LevelsSetup {
 
         } catch (error) {
             console.error('Error processing async calculations:', error);
+            throw error;
         }
     }
 
@@ -494,11 +169,7 @@ class LevelsSetup {
             const cleanedBenefits = await this.badgeSystem.cleanupExpiredBenefits();
 
             // Limpiar cálculos procesados antiguos
-            const { Pool } = require('pg');
-            const pool = new Pool({
-                connectionString: process.env.DATABASE_URL,
-                ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
-            });
+            const pool = this.database.pool;
 
             const cleanedCalculations = await pool.query(`
                 DELETE FROM async_level_calculations
@@ -514,6 +185,7 @@ class LevelsSetup {
 
         } catch (error) {
             console.error('Error en mantenimiento diario:', error);
+            throw error;
         }
     }
 
@@ -631,7 +303,6 @@ class LevelsSetup {
     }
 
     async close() {
-        await this.database.close();
         await this.calculator.close();
         await this.paymentSystem.close();
         await this.notificationSystem.close();
@@ -0,0 +1,941 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const { Pool } = require('pg');
+const UserRepository = require('./user-repository');
+const AssignmentService = require('./assignments');
+
+const API_URL = (process.env.API_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
+const LTI_BASE_URL = `${API_URL}/api/v1/lti`;
+
+const LTI_VERSION = '1.3.0';
+const SCORE_MAXIMUM = 10;
+
+const LOGIN_STATE_TTL_MINUTES = 10;
+const DEEP_LINK_TTL_MINUTES = 30;
+const JWKS_CACHE_MS = 60 * 60 * 1000;
+const JWKS_REFRESH_MIN_MS = 60 * 1000;
+const HTTP_TIMEOUT_MS = 10000;
+const MAX_PUBLISH_FAILURES = 10;
+
+const CLAIMS = {
+    messageType: 'https://purl.imsglobal.org/spec/lti/claim/message_type',
+    version: 'https://purl.imsglobal.org/spec/lti/claim/version',
+    deploymentId: 'https://purl.imsglobal.org/spec/lti/claim/deployment_id',
+    targetLinkUri: 'https://purl.imsglobal.org/spec/lti/claim/target_link_uri',
+    resourceLink: 'https://purl.imsglobal.org/spec/lti/claim/resource_link',
+    roles: 'https://purl.imsglobal.org/spec/lti/claim/roles',
+    context: 'https://purl.imsglobal.org/spec/lti/claim/context',
+    custom: 'https://purl.imsglobal.org/spec/lti/claim/custom',
+    deepLinkingSettings: 'https://purl.imsglobal.org/spec/lti-dl/claim/deep_linking_settings',
+    contentItems: 'https://purl.imsglobal.org/spec/lti-dl/claim/content_items',
+    deepLinkingData: 'https://purl.imsglobal.org/spec/lti-dl/claim/data',
+    agsEndpoint: 'https://purl.imsglobal.org/spec/lti-ags/claim/endpoint'
+};
+
+const AGS_SCOPES = {
+    lineItem: 'https://purl.imsglobal.org/spec/lti-ags/scope/lineitem',
+    score: 'https://purl.imsglobal.org/spec/lti-ags/scope/score'
+};
+
+const MESSAGE_TYPES = ['LtiResourceLinkRequest', 'LtiDeepLinkingRequest'];
+
+// Profesores del curso: Instructor/Administrator de contexto o de institución (incluye TeachingAssistant)
+const INSTRUCTOR_ROLE = /(#Instructor|#Administrator|#Faculty|#SysAdmin)$|\/membership\/Instructor#/;
+
+function ltiError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function randomId(bytes = 16) {
+    return crypto.randomBytes(bytes).toString('hex');
+}
+
+// Herramienta LTI 1.3 (IMS Security Framework + Deep Linking 2.0 + Assignment and Grade Services 2.0).
+// Los LMS registrados en lti_platforms lanzan bloques de PlayTest: cada usuario del LMS se enlaza a un
+// usuario local, cada curso a un grupo y cada actividad a una asignación de bloque, cuya nota
+// (assignment_submissions) se devuelve al libro de notas del LMS
+class LtiService {
+    constructor() {
+        this.pool = new Pool({
+            connectionString: process.env.DATABASE_URL,
+            ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+        });
+        this.users = new UserRepository();
+        this.assignments = AssignmentService.shared();
+        this.signingKey = null;
+        this.platformKeys = new Map();
+        this.accessTokens = new Map();
+    }
+
+    static isInstructor(roles = []) {
+        return roles.some(role => INSTRUCTOR_ROLE.test(role));
+    }
+
+    // Datos que el administrador del LMS necesita para registrar la herramienta
+    static toolConfiguration() {
+        return {
+            title: 'PlayTest',
+            oidc_initiation_url: `${LTI_BASE_URL}/login`,
+            target_link_uri: `${LTI_BASE_URL}/launch`,
+            redirect_uris: [`${LTI_BASE_URL}/launch`],
+            deep_linking_url: `${LTI_BASE_URL}/launch`,
+            jwks_url: `${LTI_BASE_URL}/jwks`,
+            scopes: [AGS_SCOPES.lineItem, AGS_SCOPES.score],
+            custom_parameters: {
+                block_id: 'Bloque a lanzar si la actividad no se creó con deep linking'
+            }
+        };
+    }
+
+    // ==================== PLATAFORMAS ====================
+
+    static normalizePlatform(body = {}, { partial = false } = {}) {
+        const platform = {};
+        const required = ['name', 'issuer', 'client_id', 'auth_login_url', 'auth_token_url', 'jwks_url'];
+
+        for (const field of required) {
+            if (body[field] === undefined) {
+                if (!partial) throw ltiError(`${field} is required`);
+                continue;
+            }
+            if (typeof body[field] !== 'string' || body[field].trim() === '') {
+                throw ltiError(`${field} must be a non-empty string`);
+            }
+            platform[field] = body[field].trim();
+        }
+
+        for (const field of ['auth_login_url', 'auth_token_url', 'jwks_url']) {
+            if (platform[field] && !/^https?:\/\//.test(platform[field])) {
+                throw ltiError(`${field} must be an http(s) URL`);
+            }
+        }
+
+        if (body.auth_token_audience !== undefined) {
+            platform.auth_token_audience = body.auth_token_audience || null;
+        }
+
+        if (body.deployment_ids !== undefined) {
+            if (!Array.isArray(body.deployment_ids) || body.deployment_ids.some(id => typeof id !== 'string')) {
+                throw ltiError('deployment_ids must be an array of strings');
+            }
+            platform.deployment_ids = body.deployment_ids;
+        }
+
+        if (body.is_active !== undefined) {
+            platform.is_active = Boolean(body.is_active);
+        }
+
+        return platform;
+    }
+
+    async listPlatforms() {
+        const result = await this.pool.query('SELECT * FROM lti_platforms ORDER BY name');
+        return result.rows;
+    }
+
+    async getPlatform(platformId) {
+        const result = await this.pool.query('SELECT * FROM lti_platforms WHERE id = $1', [platformId]);
+        if (result.rows.length === 0) throw ltiError('Platform not found', 404);
+        return result.rows[0];
+    }
+
+    async createPlatform(body, createdBy) {
+        const platform = LtiService.normalizePlatform(body);
+
+        try {
+            const result = await this.pool.query(`
+                INSERT INTO lti_platforms (
+                    name, issuer, client_id, deployment_ids, auth_login_url, auth_token_url,
+                    auth_token_audience, jwks_url, is_active, created_by
+                )
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, COALESCE($9, true), $10)
+                RETURNING *
+            `, [
+                platform.name, platform.issuer, platform.client_id, JSON.stringify(platform.deployment_ids || []),
+                platform.auth_login_url, platform.auth_token_url, platform.auth_token_audience || null,
+                platform.jwks_url, platform.is_active ?? null, createdBy
+            ]);
+            return result.rows[0];
+        } catch (error) {
+            if (error.code === '23505') {
+                throw ltiError('A platform with this issuer and client_id is already registered', 409);
+            }
+            throw error;
+        }
+    }
+
+    async updatePlatform(platformId, body) {
+        const platform = LtiService.normalizePlatform(body, { partial: true });
+
+        const result = await this.pool.query(`
+            UPDATE lti_platforms
+            SET name = COALESCE($2, name),
+                issuer = COALESCE($3, issuer),
+                client_id = COALESCE($4, client_id),
+                deployment_ids = COALESCE($5, deployment_ids),
+                auth_login_url = COALESCE($6, auth_login_url),
+                auth_token_url = COALESCE($7, auth_token_url),
+                auth_token_audience = CASE WHEN $8 THEN $9 ELSE auth_token_audience END,
+                jwks_url = COALESCE($10, jwks_url),
+                is_active = COALESCE($11, is_active),
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+            RETURNING *
+        `, [
+            platformId, platform.name ?? null, platform.issuer ?? null, platform.client_id ?? null,
+            platform.deployment_ids ? JSON.stringify(platform.deployment_ids) : null,
+            platform.auth_login_url ?? null, platform.auth_token_url ?? null,
+            platform.auth_token_audience !== undefined, platform.auth_token_audience ?? null,
+            platform.jwks_url ?? null, platform.is_active ?? null
+        ]);
+
+        if (result.rows.length === 0) throw ltiError('Platform not found', 404);
+
+        this.platformKeys.delete(result.rows[0].id);
+        this.clearAccessTokens(result.rows[0].id);
+        return result.rows[0];
+    }
+
+    async deletePlatform(platformId) {
+        const result = await this.pool.query('DELETE FROM lti_platforms WHERE id = $1 RETURNING id', [platformId]);
+        if (result.rows.length === 0) throw ltiError('Platform not found', 404);
+
+        this.platformKeys.delete(result.rows[0].id);
+        this.clearAccessTokens(result.rows[0].id);
+    }
+
+    async findPlatform(issuer, clientId = null) {
+        const result = await this.pool.query(`
+            SELECT * FROM lti_platforms
+            WHERE issuer = $1 AND is_active = true AND ($2::text IS NULL OR client_id = $2)
+            ORDER BY id
+        `, [issuer, clientId]);
+
+        if (result.rows.length === 0) throw ltiError('Unknown LTI platform', 404);
+        if (result.rows.length > 1) throw ltiError('client_id is required for this issuer');
+        return result.rows[0];
+    }
+
+    static deploymentAllowed(platform, deploymentId) {
+        const allowed = platform.deployment_ids || [];
+        return allowed.length === 0 || allowed.includes(deploymentId);
+    }
+
+    // ==================== CLAVES ====================
+
+    // Clave de firma de la herramienta; la primera vez se genera y se guarda en lti_keys
+    async getSigningKey() {
+        if (this.signingKey) return this.signingKey;
+
+        const select = 'SELECT kid, private_key_pem FROM lti_keys WHERE is_active = true ORDER BY created_at DESC LIMIT 1';
+        let result = await this.pool.query(select);
+
+        if (result.rows.length === 0) {
+            const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+            const kid = randomId();
+            const publicJwk = { ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' };
+
+            await this.pool.query(
+                'INSERT INTO lti_keys (kid, public_jwk, private_key_pem) VALUES ($1, $2, $3)',
+                [kid, publicJwk, privateKey.export({ type: 'pkcs8', format: 'pem' })]
+            );
+            result = await this.pool.query(select);
+        }
+
+        const row = result.rows[0];
+        this.signingKey = { kid: row.kid, privateKey: crypto.createPrivateKey(row.private_key_pem) };
+        return this.signingKey;
+    }
+
+    async getJwks() {
+        await this.getSigningKey();
+        const result = await this.pool.query('SELECT public_jwk FROM lti_keys WHERE is_active = true ORDER BY created_at');
+        return { keys: result.rows.map(row => row.public_jwk) };
+    }
+
+    async sign(payload, expiresIn = '5m') {
+        const { kid, privateKey } = await this.getSigningKey();
+        return jwt.sign(payload, privateKey, { algorithm: 'RS256', keyid: kid, expiresIn });
+    }
+
+    // Clave pública de la plataforma; si el kid no está en caché se vuelve a pedir su JWKS (rotación)
+    async getPlatformKey(platform, kid) {
+        const cached = this.platformKeys.get(platform.id);
+        const age = cached ? Date.now() - cached.fetchedAt : Infinity;
+        const findKey = keys => keys.find(key => (kid ? key.kid === kid : key.kty === 'RSA'));
+
+        let jwk = cached && age < JWKS_CACHE_MS ? findKey(cached.keys) : null;
+
+        if (!jwk && age >= JWKS_REFRESH_MIN_MS) {
+            const jwks = await this.request(platform.jwks_url);
+            const keys = Array.isArray(jwks.keys) ? jwks.keys : [];
+            this.platformKeys.set(platform.id, { keys, fetchedAt: Date.now() });
+            jwk = findKey(keys);
+        }
+
+        if (!jwk) throw ltiError('Unknown platform signing key', 401);
+        return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    }
+
+    // ==================== LANZAMIENTO ====================
+
+    // Paso 1 del OIDC: guarda state/nonce y devuelve la URL de autorización de la plataforma
+    async beginLogin(params = {}) {
+        if (!params.iss || !params.login_hint) {
+            throw ltiError('iss and login_hint are required');
+        }
+
+        const platform = await this.findPlatform(params.iss, params.client_id || null);
+        if (params.lti_deployment_id && !LtiService.deploymentAllowed(platform, params.lti_deployment_id)) {
+            throw ltiError('Deployment not registered for this platform', 403);
+        }
+
+        const state = randomId();
+        const nonce = randomId();
+
+        await this.pool.query('DELETE FROM lti_login_states WHERE expires_at < CURRENT_TIMESTAMP');
+        await this.pool.query(`
+            INSERT INTO lti_login_states (state, nonce, platform_id, target_link_uri, expires_at)
+            VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + make_interval(mins => $5))
+        `, [state, nonce, platform.id, params.target_link_uri || null, LOGIN_STATE_TTL_MINUTES]);
+
+        const url = new URL(platform.auth_login_url);
+        const query = {
+            scope: 'openid',
+            response_type: 'id_token',
+            response_mode: 'form_post',
+            prompt: 'none',
+            client_id: platform.client_id,
+            redirect_uri: `${LTI_BASE_URL}/launch`,
+            login_hint: params.login_hint,
+            state,
+            nonce
+        };
+        if (params.lti_message_hint) query.lti_message_hint = params.lti_message_hint;
+
+        for (const [key, value] of Object.entries(query)) {
+            url.searchParams.set(key, value);
+        }
+        return url.toString();
+    }
+
+    // Paso 2: el state se consume una sola vez y el id_token se valida contra el JWKS de la plataforma
+    async validateLaunch(idToken, state) {
+        if (!idToken || !state) throw ltiError('id_token and state are required');
+
+        const stateResult = await this.pool.query(`
+            DELETE FROM lti_login_states
+            WHERE state = $1
+            RETURNING nonce, platform_id, expires_at > CURRENT_TIMESTAMP as valid
+        `, [state]);
+
+        if (stateResult.rows.length === 0 || !stateResult.rows[0].valid) {
+            throw ltiError('Invalid or expired login state', 401);
+        }
+
+        const { nonce, platform_id: platformId } = stateResult.rows[0];
+        const platform = await this.getPlatform(platformId);
+
+        const decoded = jwt.decode(idToken, { complete: true });
+        if (!decoded) throw ltiError('Malformed id_token', 401);
+
+        let claims;
+        try {
+            const key = await this.getPlatformKey(platform, decoded.header.kid);
+            claims = jwt.verify(idToken, key, {
+                algorithms: ['RS256'],
+                issuer: platform.issuer,
+                audience: platform.client_id,
+                clockTolerance: 60
+            });
+        } catch (error) {
+            if (error.status) throw error;
+            throw ltiError(`Invalid id_token: ${error.message}`, 401);
+        }
+
+        if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== platform.client_id) {
+            throw ltiError('Invalid id_token: azp does not match client_id', 401);
+        }
+        if (claims.nonce !== nonce) {
+            throw ltiError('Invalid id_token: nonce mismatch', 401);
+        }
+        if (claims[CLAIMS.version] !== LTI_VERSION) {
+            throw ltiError(`Unsupported LTI version: ${claims[CLAIMS.version]}`);
+        }
+        if (!MESSAGE_TYPES.includes(claims[CLAIMS.messageType])) {
+            throw ltiError(`Unsupported LTI message type: ${claims[CLAIMS.messageType]}`);
+        }
+        if (!claims[CLAIMS.deploymentId] || !LtiService.deploymentAllowed(platform, claims[CLAIMS.deploymentId])) {
+            throw ltiError('Deployment not registered for this platform', 403);
+        }
+        if (!claims.sub) {
+            throw ltiError('Anonymous launches are not supported', 400);
+        }
+
+        return { platform, claims };
+    }
+
+    // Lanzamiento completo: usuario, curso y actividad (o sesión de deep linking para el profesor)
+    async handleLaunch(idToken, state) {
+        const { platform, claims } = await this.validateLaunch(idToken, state);
+        const instructor = LtiService.isInstructor(claims[CLAIMS.roles] || []);
+        const user = await this.provisionUser(platform, claims, instructor);
+
+        if (claims[CLAIMS.messageType] === 'LtiDeepLinkingRequest') {
+            if (!instructor) throw ltiError('Only instructors can add PlayTest activities', 403);
+            const deepLinkId = await this.createDeepLinkSession(platform, claims, user.id);
+            return { type: 'deep_linking', user, instructor, deepLinkId };
+        }
+
+        const context = await this.provisionContext(platform, claims, user.id, instructor);
+        const link = await this.upsertResourceLink(platform, claims, context);
+
+        return {
+            type: 'resource_link',
+            user,
+            instructor,
+            groupId: context ? context.group_id : null,
+            blockId: link.block_id,
+            assignmentId: link.assignment_id,
+            resourceLinkId: link.id
+        };
+    }
+
+    // Usuario local enlazado al sub del LMS; se crea la primera vez (sin contraseña utilizable)
+    async provisionUser(platform, claims, instructor) {
+        const existing = await this.pool.query(`
+            UPDATE lti_users lu
+            SET last_launch_at = CURRENT_TIMESTAMP
+            FROM users u
+            WHERE lu.user_id = u.id AND lu.platform_id = $1 AND lu.subject = $2
+            RETURNING u.id, u.nickname, u.email, u.first_name, u.last_name
+        `, [platform.id, claims.sub]);
+
+        let user = existing.rows[0];
+
+        if (!user) {
+            user = await this.createLtiUser(platform, claims);
+        }
+
+        if (instructor) {
+            await this.users.assignRole(user.id, 'profesor', { autoAssigned: true });
+        }
+        return user;
+    }
+
+    async createLtiUser(platform, claims) {
+        const passwordHash = await bcrypt.hash(randomId(32), 10);
+        const client = await this.pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const user = await this.users.createUser({
+                nickname: UserRepository.nicknameFrom(claims.given_name, claims.name, claims.email, 'lti'),
+                passwordHash,
+                firstName: claims.given_name || null,
+                lastName: claims.family_name || null
+            }, client);
+
+            // Dos lanzamientos simultáneos del mismo alumno: gana el primero
+            const link = await client.query(`
+                INSERT INTO lti_users (platform_id, subject, user_id)
+                VALUES ($1, $2, $3)
+                ON CONFLICT (platform_id, subject) DO NOTHING
+                RETURNING id
+            `, [platform.id, claims.sub, user.id]);
+
+            if (link.rows.length === 0) {
+                await client.query('ROLLBACK');
+                const winner = await this.pool.query(`
+                    SELECT u.id, u.nickname, u.email, u.first_name, u.last_name
+                    FROM lti_users lu JOIN users u ON lu.user_id = u.id
+                    WHERE lu.platform_id = $1 AND lu.subject = $2
+                `, [platform.id, claims.sub]);
+                return winner.rows[0];
+            }
+
+            await client.query('COMMIT');
+            console.log(`🔗 LTI user ${claims.sub} (${platform.name}) provisioned as ${user.nickname}`);
+            return user;
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Curso del LMS -> grupo. Lo crea el primer profesor que lanza; los alumnos entran como ALUMNO
+    async provisionContext(platform, claims, userId, instructor) {
+        const context = claims[CLAIMS.context];
+        if (!context || !context.id) return null;
+
+        const title = context.title || context.label || null;
+        const result = await this.pool.query(`
+            INSERT INTO lti_contexts (platform_id, context_id, title)
+            VALUES ($1, $2, $3)
+            ON CONFLICT (platform_id, context_id) DO UPDATE SET title = COALESCE(EXCLUDED.title, lti_contexts.title)
+            RETURNING *
+        `, [platform.id, context.id, title]);
+
+        let row = result.rows[0];
+
+        if (!row.group_id && instructor) {
+            const group = await this.pool.query(`
+                INSERT INTO groups (name, description, access_code, created_by)
+                VALUES ($1, $2, $3, $4)
+                RETURNING id
+            `, [(title || 'Curso LTI').slice(0, 100), `Curso de ${platform.name}`, LtiService.accessCode(), userId]);
+
+            const linked = await this.pool.query(`
+                UPDATE lti_contexts SET group_id = $2
+                WHERE id = $1 AND group_id IS NULL
+                RETURNING *
+            `, [row.id, group.rows[0].id]);
+
+            if (linked.rows.length > 0) {
+                row = linked.rows[0];
+            } else {
+                // Otro profesor lo enlazó a la vez: sobra el grupo recién creado
+                await this.pool.query('DELETE FROM groups WHERE id = $1', [group.rows[0].id]);
+                row = (await this.pool.query('SELECT * FROM lti_contexts WHERE id = $1', [row.id])).rows[0];
+            }
+        }
+
+        if (row.group_id) {
+            await this.pool.query(`
+                INSERT INTO group_members (group_id, user_id, role_in_group)
+                SELECT g.id, $2::int, $3::text
+                FROM groups g
+                WHERE g.id = $1 AND g.created_by IS DISTINCT FROM $2::int
+                ON CONFLICT (group_id, user_id) DO NOTHING
+            `, [row.group_id, userId, instructor ? 'ASISTENTE' : 'ALUMNO']);
+        }
+
+        return row;
+    }
+
+    static accessCode() {
+        const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+        let code = '';
+        for (let i = 0; i < 6; i++) {
+            code += chars.charAt(crypto.randomInt(chars.length));
+        }
+        return code;
+    }
+
+    // Actividad del LMS: bloque (parámetro custom block_id), asignación en el grupo del curso y endpoints AGS
+    async upsertResourceLink(platform, claims, context) {
+        const resourceLink = claims[CLAIMS.resourceLink];
+        if (!resourceLink || !resourceLink.id) throw ltiError('resource_link claim is required');
+
+        const custom = claims[CLAIMS.custom] || {};
+        const ags = claims[CLAIMS.agsEndpoint] || {};
+        const blockId = custom.block_id ? parseInt(custom.block_id) : null;
+
+        if (blockId) {
+            const block = await this.pool.query('SELECT id FROM blocks WHERE id = $1', [blockId]);
+            if (block.rows.length === 0) throw ltiError('Block not found', 404);
+        }
+
+        const result = await this.pool.query(`
+            INSERT INTO lti_resource_links (
+                platform_id, deployment_id, resource_link_id, context_id, title, block_id,
+                lineitems_url, lineitem_url, ags_scopes
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            ON CONFLICT (platform_id, resource_link_id) DO UPDATE SET
+                context_id = COALESCE(EXCLUDED.context_id, lti_resource_links.context_id),
+                title = COALESCE(EXCLUDED.title, lti_resource_links.title),
+                block_id = COALESCE(EXCLUDED.block_id, lti_resource_links.block_id),
+                lineitems_url = COALESCE(EXCLUDED.lineitems_url, lti_resource_links.lineitems_url),
+                lineitem_url = COALESCE(EXCLUDED.lineitem_url, lti_resource_links.lineitem_url),
+                ags_scopes = EXCLUDED.ags_scopes,
+                updated_at = CURRENT_TIMESTAMP
+            RETURNING *
+        `, [
+            platform.id, claims[CLAIMS.deploymentId], resourceLink.id, context ? context.id : null,
+            resourceLink.title || null, blockId, ags.lineitems || null, ags.lineitem || null,
+            JSON.stringify(ags.scope || [])
+        ]);
+
+        let link = result.rows[0];
+
+        if (link.block_id && !link.assignment_id && context && context.group_id) {
+            link = await this.createLinkAssignment(link, context.group_id, custom);
+        }
+        return link;
+    }
+
+    // La asignación la firma el creador del grupo; due_at y la política pueden llegar como parámetros custom
+    async createLinkAssignment(link, groupId, custom) {
+        const group = await this.pool.query('SELECT created_by FROM groups WHERE id = $1', [groupId]);
+        const dueDate = custom.due_at && !Number.isNaN(Date.parse(custom.due_at)) ? new Date(custom.due_at) : null;
+
+        const assignment = await this.assignments.createAssignment({
+            blockId: link.block_id,
+            groupId,
+            dueDate,
+            notes: link.title,
+            assignedBy: group.rows[0].created_by,
+            policy: AssignmentService.normalizePolicy(custom)
+        });
+
+        const result = await this.pool.query(`
+            UPDATE lti_resource_links SET assignment_id = $2, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND assignment_id IS NULL
+            RETURNING *
+        `, [link.id, assignment.id]);
+
+        if (result.rows.length === 0) {
+            // Dos lanzamientos a la vez: se queda la asignación que llegó primero
+            await this.pool.query('DELETE FROM block_assignments WHERE id = $1', [assignment.id]);
+            return (await this.pool.query('SELECT * FROM lti_resource_links WHERE id = $1', [link.id])).rows[0];
+        }
+        return result.rows[0];
+    }
+
+    // ==================== DEEP LINKING ====================
+
+    async createDeepLinkSession(platform, claims, userId) {
+        const settings = claims[CLAIMS.deepLinkingSettings];
+        if (!settings || !settings.deep_link_return_url) {
+            throw ltiError('deep_linking_settings claim is required');
+        }
+
+        const id = randomId();
+        await this.pool.query('DELETE FROM lti_deep_link_sessions WHERE expires_at < CURRENT_TIMESTAMP');
+        await this.pool.query(`
+            INSERT INTO lti_deep_link_sessions (id, platform_id, user_id, deployment_id, settings, expires_at)
+            VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP + make_interval(mins => $6))
+        `, [id, platform.id, userId, claims[CLAIMS.deploymentId], settings, DEEP_LINK_TTL_MINUTES]);
+
+        return id;
+    }
+
+    async getDeepLinkSession(id, userId) {
+        const result = await this.pool.query(`
+            SELECT dl.*, p.name as platform_name
+            FROM lti_deep_link_sessions dl
+            JOIN lti_platforms p ON dl.platform_id = p.id
+            WHERE dl.id = $1 AND dl.user_id = $2 AND dl.expires_at > CURRENT_TIMESTAMP
+        `, [id, userId]);
+
+        if (result.rows.length === 0) throw ltiError('Deep linking session not found or expired', 404);
+        return result.rows[0];
+    }
+
+    // Respuesta firmada con la actividad elegida; el frontend la envía por POST a return_url (campo JWT)
+    async buildDeepLinkingResponse(id, userId, { blockId, title = null, policy = {} }) {
+        const session = await this.getDeepLinkSession(id, userId);
+        const settings = session.settings;
+
+        if (Array.isArray(settings.accept_types) && !settings.accept_types.includes('ltiResourceLink')) {
+            throw ltiError('The platform does not accept resource links here');
+        }
+
+        const blockResult = await this.pool.query(`
+            SELECT b.id, b.name, b.description FROM blocks b
+            LEFT JOIN unified_user_roles ur ON b.user_role_id = ur.id
+            WHERE b.id = $1 AND (ur.user_id = $2 OR b.is_public = true)
+        `, [blockId, userId]);
+
+        if (blockResult.rows.length === 0) {
+            throw ltiError('You can only link your own blocks or public blocks', 403);
+        }
+
+        const block = blockResult.rows[0];
+        const platform = await this.getPlatform(session.platform_id);
+        const label = title || block.name;
+
+        // Los valores custom del LTI son siempre cadenas
+        const custom = { block_id: String(block.id) };
+        for (const [key, value] of Object.entries(policy)) {
+            if (value !== null && value !== undefined) custom[key] = String(value);
+        }
+
+        const payload = {
+            iss: platform.client_id,
+            aud: platform.issuer,
+            nonce: randomId(),
+            [CLAIMS.deploymentId]: session.deployment_id,
+            [CLAIMS.messageType]: 'LtiDeepLinkingResponse',
+            [CLAIMS.version]: LTI_VERSION,
+            [CLAIMS.contentItems]: [{
+                type: 'ltiResourceLink',
+                title: label,
+                text: block.description || undefined,
+                url: `${LTI_BASE_URL}/launch`,
+                custom,
+                lineItem: {
+                    scoreMaximum: SCORE_MAXIMUM,
+                    label,
+                    resourceId: `block-${block.id}`,
+                    tag: 'playtest'
+                }
+            }]
+        };
+        if (settings.data) payload[CLAIMS.deepLinkingData] = settings.data;
+
+        const token = await this.sign(payload);
+        await this.pool.query('DELETE FROM lti_deep_link_sessions WHERE id = $1', [id]);
+
+        return { return_url: settings.deep_link_return_url, jwt: token };
+    }
+
+    // ==================== NOTAS (AGS) ====================
+
+    clearAccessTokens(platformId) {
+        for (const key of this.accessTokens.keys()) {
+            if (key.startsWith(`${platformId}:`)) this.accessTokens.delete(key);
+        }
+    }
+
+    // Token OAuth2 client_credentials con client assertion firmado (JWT bearer)
+    async getAccessToken(platform, scopes) {
+        const scope = [...scopes].sort().join(' ');
+        const cacheKey = `${platform.id}:${scope}`;
+        const cached = this.accessTokens.get(cacheKey);
+        if (cached && cached.expiresAt > Date.now()) return cached.token;
+
+        const assertion = await this.sign({
+            iss: platform.client_id,
+            sub: platform.client_id,
+            aud: platform.auth_token_audience || platform.auth_token_url,
+            jti: randomId()
+        });
+
+        const response = await this.request(platform.auth_token_url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({
+                grant_type: 'client_credentials',
+                client_assertion_type: 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer',
+                client_assertion: assertion,
+                scope
+            }).toString()
+        });
+
+        if (!response.access_token) throw ltiError('Platform token endpoint returned no access_token', 502);
+
+        const expiresIn = parseInt(response.expires_in) || 3600;
+        this.accessTokens.set(cacheKey, {
+            token: response.access_token,
+            expiresAt: Date.now() + Math.max(0, expiresIn - 60) * 1000
+        });
+        return response.access_token;
+    }
+
+    // Columna del libro de notas: la que dio el LMS en el lanzamiento o una nueva en lineitems
+    async ensureLineItem(platform, link) {
+        if (link.lineitem_url) return link.lineitem_url;
+
+        if (!link.lineitems_url || !(link.ags_scopes || []).includes(AGS_SCOPES.lineItem)) {
+            throw ltiError('The platform did not grant a line item for this activity', 409);
+        }
+
+        const token = await this.getAccessToken(platform, [AGS_SCOPES.lineItem, AGS_SCOPES.score]);
+        const lineItem = await this.request(link.lineitems_url, {
+            method: 'POST',
+            headers: {
+                Authorization: `Bearer ${token}`,
+                'Content-Type': 'application/vnd.ims.lis.v2.lineitem+json',
+                Accept: 'application/vnd.ims.lis.v2.lineitem+json'
+            },
+            body: JSON.stringify({
+                scoreMaximum: SCORE_MAXIMUM,
+                label: link.title || 'PlayTest',
+                resourceLinkId: link.resource_link_id,
+                resourceId: `block-${link.block_id}`,
+                tag: 'playtest'
+            })
+        });
+
+        if (!lineItem.id) throw ltiError('Platform returned a line item without id', 502);
+
+        await this.pool.query(
+            'UPDATE lti_resource_links SET lineitem_url = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+            [link.id, lineItem.id]
+        );
+        link.lineitem_url = lineItem.id;
+        return lineItem.id;
+    }
+
+    async publishScore(platform, link, { subject, score, comment }) {
+        const lineItemUrl = await this.ensureLineItem(platform, link);
+        const scopes = (link.ags_scopes || []).includes(AGS_SCOPES.lineItem)
+            ? [AGS_SCOPES.lineItem, AGS_SCOPES.score]
+            : [AGS_SCOPES.score];
+        const token = await this.getAccessToken(platform, scopes);
+
+        // {lineitem}/scores conservando la query string (Moodle la usa para el tipo de ítem)
+        const scoresUrl = new URL(lineItemUrl);
+        scoresUrl.pathname = `${scoresUrl.pathname.replace(/\/+$/, '')}/scores`;
+
+        await this.request(scoresUrl.toString(), {
+            method: 'POST',
+            headers: {
+                Authorization: `Bearer ${token}`,
+                'Content-Type': 'application/vnd.ims.lis.v1.score+json'
+            },
+            body: JSON.stringify({
+                userId: subject,
+                scoreGiven: score,
+                scoreMaximum: SCORE_MAXIMUM,
+                comment: comment || undefined,
+                activityProgress: 'Completed',
+                gradingProgress: 'FullyGraded',
+                timestamp: new Date().toISOString()
+            })
+        });
+    }
+
+    // Envía las notas nuevas o cambiadas desde el último envío. Con resourceLinkId (envío manual del
+    // profesor) también reintenta las que agotaron MAX_PUBLISH_FAILURES
+    async publishPendingScores({ resourceLinkId = null, limit = 200 } = {}) {
+        const pending = await this.pool.query(`
+            SELECT
+                rl.id as link_id,
+                sub.user_id,
+                lu.subject,
+                COALESCE(sub.override_score, sub.computed_score) as score,
+                sub.override_comment,
+                sub.updated_at as submission_updated_at
+            FROM lti_resource_links rl
+            JOIN lti_platforms p ON rl.platform_id = p.id AND p.is_active = true
+            JOIN assignment_submissions sub ON sub.assignment_id = rl.assignment_id
+            JOIN lti_users lu ON lu.platform_id = rl.platform_id AND lu.user_id = sub.user_id
+            LEFT JOIN lti_score_publications sp ON sp.resource_link_id = rl.id AND sp.user_id = sub.user_id
+            WHERE COALESCE(sub.override_score, sub.computed_score) IS NOT NULL
+              AND (rl.lineitem_url IS NOT NULL OR rl.lineitems_url IS NOT NULL)
+              AND (sp.id IS NULL OR sp.submission_updated_at IS NULL OR sp.submission_updated_at < sub.updated_at)
+              AND ($1::int IS NOT NULL OR sp.id IS NULL OR sp.failures < $3)
+              AND ($1::int IS NULL OR rl.id = $1::int)
+            ORDER BY sub.updated_at
+            LIMIT $2
+        `, [resourceLinkId, limit, MAX_PUBLISH_FAILURES]);
+
+        const stats = { published: 0, failed: 0 };
+        if (pending.rows.length === 0) return stats;
+
+        const linkIds = [...new Set(pending.rows.map(row => row.link_id))];
+        const links = await this.pool.query('SELECT * FROM lti_resource_links WHERE id = ANY($1::int[])', [linkIds]);
+        const linksById = new Map(links.rows.map(link => [link.id, link]));
+        const platforms = new Map();
+
+        for (const row of pending.rows) {
+            const link = linksById.get(row.link_id);
+
+            try {
+                if (!platforms.has(link.platform_id)) {
+                    platforms.set(link.platform_id, await this.getPlatform(link.platform_id));
+                }
+
+                await this.publishScore(platforms.get(link.platform_id), link, {
+                    subject: row.subject,
+                    score: parseFloat(row.score),
+                    comment: row.override_comment
+                });
+
+                await this.pool.query(`
+                    INSERT INTO lti_score_publications (
+                        resource_link_id, user_id, score, submission_updated_at, published_at, failures, last_error, last_attempt_at
+                    )
+                    VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP, 0, NULL, CURRENT_TIMESTAMP)
+                    ON CONFLICT (resource_link_id, user_id) DO UPDATE SET
+                        score = EXCLUDED.score,
+                        submission_updated_at = EXCLUDED.submission_updated_at,
+                        published_at = EXCLUDED.published_at,
+                        failures = 0,
+                        last_error = NULL,
+                        last_attempt_at = EXCLUDED.last_attempt_at
+                `, [link.id, row.user_id, row.score, row.submission_updated_at]);
+                stats.published++;
+
+            } catch (error) {
+                await this.pool.query(`
+                    INSERT INTO lti_score_publications (resource_link_id, user_id, failures, last_error, last_attempt_at)
+                    VALUES ($1, $2, 1, $3, CURRENT_TIMESTAMP)
+                    ON CONFLICT (resource_link_id, user_id) DO UPDATE SET
+                        failures = lti_score_publications.failures + 1,
+                        last_error = EXCLUDED.last_error,
+                        last_attempt_at = EXCLUDED.last_attempt_at
+                `, [link.id, row.user_id, error.message.slice(0, 1000)]);
+                stats.failed++;
+                console.warn(`⚠️ LTI score passback failed (link ${link.id}, user ${row.user_id}): ${error.message}`);
+            }
+        }
+
+        return stats;
+    }
+
+    // Actividades LTI de los grupos del profesor con el estado del envío de notas
+    async listResourceLinks(teacherId) {
+        const result = await this.pool.query(`
+            SELECT
+                rl.id, rl.title, rl.resource_link_id, rl.block_id, b.name as block_name,
+                rl.assignment_id, rl.lineitem_url IS NOT NULL OR rl.lineitems_url IS NOT NULL as grade_passback,
+                p.name as platform_name, c.title as course_title, c.group_id,
+                COUNT(sp.id) FILTER (WHERE sp.published_at IS NOT NULL) as published,
+                COUNT(sp.id) FILTER (WHERE sp.failures > 0) as failing,
+                MAX(sp.published_at) as last_published_at
+            FROM lti_resource_links rl
+            JOIN lti_platforms p ON rl.platform_id = p.id
+            LEFT JOIN lti_contexts c ON rl.context_id = c.id
+            LEFT JOIN groups g ON c.group_id = g.id
+            LEFT JOIN blocks b ON rl.block_id = b.id
+            LEFT JOIN block_assignments ba ON rl.assignment_id = ba.id
+            LEFT JOIN lti_score_publications sp ON sp.resource_link_id = rl.id
+            WHERE g.created_by = $1 OR ba.assigned_by = $1
+            GROUP BY rl.id, b.name, p.name, c.title, c.group_id
+            ORDER BY rl.created_at DESC
+        `, [teacherId]);
+        return result.rows;
+    }
+
+    async getManagedResourceLink(linkId, teacherId) {
+        const links = await this.listResourceLinks(teacherId);
+        const link = links.find(row => row.id === linkId);
+        if (!link) throw ltiError('LTI activity not found', 404);
+        return link;
+    }
+
+    // ==================== HTTP ====================
+
+    async request(url, { method = 'GET', headers = {}, body = undefined } = {}) {
+        let response;
+        try {
+            response = await fetch(url, {
+                method,
+                headers: { Accept: 'application/json', ...headers },
+                body,
+                signal: AbortSignal.timeout(HTTP_TIMEOUT_MS)
+            });
+        } catch (error) {
+            throw ltiError(`${method} ${url} failed: ${error.message}`, 502);
+        }
+
+        const text = await response.text();
+        if (!response.ok) {
+            throw ltiError(`${method} ${url} returned ${response.status}: ${text.slice(0, 200)}`, 502);
+        }
+
+        try {
+            return text ? JSON.parse(text) : {};
+        } catch (error) {
+            throw ltiError(`${method} ${url} returned invalid JSON`, 502);
+        }
+    }
+
+    // AssignmentService es compartido: no se cierra aquí
+    async close() {
+        await Promise.all([this.pool.end(), this.users.close()]);
+    }
+}
+
+module.exports = LtiService;
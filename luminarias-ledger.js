@@ -0,0 +1,596 @@
+const { Pool } = require('pg');
+
+// Cuentas del sistema: contrapartida de todo lo que entra o sale de las cuentas de usuario
+const SYSTEM_ACCOUNTS = {
+    opening_balance: 'Saldos previos al libro mayor',
+    issuance: 'Emisión (bonificaciones y ajustes positivos)',
+    spending: 'Gastos genéricos y ajustes negativos',
+    store: 'Ventas de la tienda',
+    marketplace_escrow: 'Depósito de reservas del marketplace',
+    marketplace_fees: 'Comisiones del marketplace',
+    challenge_prizes: 'Premios de retos',
+    level_payments: 'Pagos semanales por nivel',
+    conversions: 'Conversiones y retiros a dinero real'
+};
+
+// Libro mayor de Luminarias por partida doble: cada movimiento es un asiento cuyas líneas suman cero.
+// Los saldos antiguos (user_luminarias, users.luminarias, user_profiles.luminarias_actuales)
+// se actualizan como reflejo del libro y la conciliación detecta cuándo se separan de él
+class LuminariasLedger {
+    constructor() {
+        this.pool = new Pool({
+            connectionString: process.env.DATABASE_URL,
+            ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+        });
+        this.mirrors = null;
+    }
+
+    static get SYSTEM_ACCOUNTS() {
+        return SYSTEM_ACCOUNTS;
+    }
+
+    // ==================== CUENTAS ====================
+
+    // Qué almacenes de saldo antiguos existen en esta base de datos (se consulta una vez)
+    async getMirrors(client) {
+        if (!this.mirrors) {
+            this.mirrors = client.query(`
+                SELECT
+                    EXISTS (SELECT 1 FROM pg_proc WHERE proname = 'process_luminarias_transaction') as legacy_function,
+                    to_regclass('public.user_luminarias') IS NOT NULL as user_luminarias,
+                    EXISTS (
+                        SELECT 1 FROM information_schema.columns
+                        WHERE table_name = 'users' AND column_name = 'luminarias'
+                    ) as users_column,
+                    EXISTS (
+                        SELECT 1 FROM information_schema.columns
+                        WHERE table_name = 'user_profiles' AND column_name = 'luminarias_actuales'
+                    ) as profiles_column
+            `).then(result => result.rows[0]).catch(error => {
+                this.mirrors = null;
+                throw error;
+            });
+        }
+        return this.mirrors;
+    }
+
+    // La cuenta se abre con el saldo que el usuario ya tenía fuera del libro
+    async ensureUserAccount(client, userId) {
+        const existing = await client.query(
+            'SELECT id FROM ledger_accounts WHERE user_id = $1',
+            [userId]
+        );
+        if (existing.rows.length > 0) return existing.rows[0].id;
+
+        const created = await client.query(`
+            INSERT INTO ledger_accounts (account_type, user_id, name, allow_negative)
+            VALUES ('user', $1, 'Usuario ' || $1, false)
+            ON CONFLICT (user_id) DO NOTHING
+            RETURNING id
+        `, [userId]);
+
+        // Otra transacción la abrió a la vez
+        if (created.rows.length === 0) {
+            return (await client.query('SELECT id FROM ledger_accounts WHERE user_id = $1', [userId])).rows[0].id;
+        }
+
+        const accountId = created.rows[0].id;
+        const mirrors = await this.getMirrors(client);
+        const opening = mirrors.user_luminarias
+            ? parseInt((await client.query(
+                'SELECT current_balance FROM user_luminarias WHERE user_id = $1',
+                [userId]
+            )).rows[0]?.current_balance) || 0
+            : 0;
+
+        if (opening > 0) {
+            await this.writeJournal(client, {
+                entryType: 'opening',
+                description: 'Saldo de apertura del libro mayor',
+                referenceType: 'users',
+                referenceId: userId,
+                lines: [
+                    { accountId: await this.systemAccountId(client, 'opening_balance'), amount: -opening },
+                    { accountId, amount: opening }
+                ]
+            });
+        }
+
+        return accountId;
+    }
+
+    async systemAccountId(client, code) {
+        if (!SYSTEM_ACCOUNTS[code]) throw ledgerError(`Cuenta del sistema desconocida: ${code}`, 500);
+
+        const existing = await client.query('SELECT id FROM ledger_accounts WHERE code = $1', [code]);
+        if (existing.rows.length > 0) return existing.rows[0].id;
+
+        // La migración crea las cuentas del sistema; esto cubre las añadidas después
+        await client.query(`
+            INSERT INTO ledger_accounts (account_type, code, name, allow_negative)
+            VALUES ('system', $1, $2, true)
+            ON CONFLICT (code) DO NOTHING
+        `, [code, SYSTEM_ACCOUNTS[code]]);
+        return (await client.query('SELECT id FROM ledger_accounts WHERE code = $1', [code])).rows[0].id;
+    }
+
+    // Un número es un usuario; una cadena, el código de una cuenta del sistema
+    async resolveAccount(client, account) {
+        if (typeof account === 'string') return { accountId: await this.systemAccountId(client, account), userId: null };
+
+        const userId = parseInt(account);
+        if (!userId) throw ledgerError('Cuenta de usuario inválida');
+        return { accountId: await this.ensureUserAccount(client, userId), userId };
+    }
+
+    // ==================== ASIENTOS ====================
+
+    // lines: [{ account, amount, legacy }] con importes con signo (negativo = sale de la cuenta).
+    // Sin client abre su propia transacción; con client participa en la del llamador
+    async post(entry, client = null) {
+        if (!client) {
+            const ownClient = await this.pool.connect();
+            try {
+                await ownClient.query('BEGIN');
+                const result = await this.post(entry, ownClient);
+                await ownClient.query('COMMIT');
+                return result;
+            } catch (error) {
+                await ownClient.query('ROLLBACK');
+                throw error;
+            } finally {
+                ownClient.release();
+            }
+        }
+
+        const { lines = [], idempotencyKey = null } = entry;
+
+        if (lines.length < 2) throw ledgerError('Un asiento necesita al menos dos líneas');
+        if (lines.some(line => !Number.isInteger(line.amount) || line.amount === 0)) {
+            throw ledgerError('Los importes deben ser enteros distintos de cero');
+        }
+        if (lines.reduce((sum, line) => sum + line.amount, 0) !== 0) {
+            throw ledgerError('El asiento no cuadra: la suma de las líneas debe ser cero');
+        }
+
+        // Reintento de una operación ya registrada (p. ej. pago semanal relanzado)
+        if (idempotencyKey) {
+            const previous = await this.findJournal(client, idempotencyKey);
+            if (previous) return previous;
+        }
+
+        const resolved = [];
+        for (const line of lines) {
+            resolved.push({ ...line, ...(await this.resolveAccount(client, line.account)) });
+        }
+
+        const journal = idempotencyKey
+            ? await this.writeJournalOnce(client, { ...entry, lines: resolved })
+            : await this.writeJournal(client, { ...entry, lines: resolved });
+        if (journal.duplicate) return journal;
+
+        const transactionIds = {};
+
+        for (const line of resolved.filter(l => l.userId)) {
+            const legacyId = await this.applyMirrors(client, line, entry, journal.journalId);
+            if (legacyId) {
+                transactionIds[line.userId] = legacyId;
+                await client.query(
+                    'UPDATE ledger_postings SET legacy_transaction_id = $1 WHERE journal_id = $2 AND account_id = $3',
+                    [legacyId, journal.journalId, line.accountId]
+                );
+            }
+        }
+
+        return { ...journal, transactionIds, duplicate: false };
+    }
+
+    // Atajo para el caso habitual de dos líneas: from entrega amount a to
+    async transfer({ from, to, amount, legacy = {}, ...entry }, client = null) {
+        const value = parseInt(amount);
+        if (!value || value <= 0) throw ledgerError('La cantidad debe ser mayor a 0');
+
+        const betweenUsers = typeof from !== 'string' && typeof to !== 'string';
+        const { from: fromLegacy = {}, to: toLegacy = {}, ...shared } = legacy;
+
+        return this.post({
+            ...entry,
+            lines: [
+                { account: from, amount: -value, legacy: { transactionType: betweenUsers ? 'transfer_out' : 'spend', ...shared, ...fromLegacy } },
+                { account: to, amount: value, legacy: { transactionType: betweenUsers ? 'transfer_in' : 'earn', ...shared, ...toLegacy } }
+            ]
+        }, client);
+    }
+
+    // Inserta el asiento y sus líneas bloqueando las cuentas en orden para evitar interbloqueos
+    async writeJournal(client, { entryType, description, referenceType = null, referenceId = null, metadata = {}, idempotencyKey = null, createdBy = null, lines }) {
+        const accountIds = [...new Set(lines.map(line => line.accountId))].sort((a, b) => a - b);
+        const accounts = await client.query(`
+            SELECT id, balance, allow_negative FROM ledger_accounts
+            WHERE id = ANY($1::int[])
+            ORDER BY id
+            FOR UPDATE
+        `, [accountIds]);
+        const balances = new Map(accounts.rows.map(row => [row.id, { balance: parseInt(row.balance), allowNegative: row.allow_negative }]));
+
+        for (const line of lines) {
+            const account = balances.get(line.accountId);
+            const newBalance = account.balance + line.amount;
+            if (newBalance < 0 && !account.allowNegative) {
+                throw ledgerError(`Saldo insuficiente. Balance actual: ${account.balance}, Cantidad requerida: ${-line.amount}`);
+            }
+            account.balance = newBalance;
+            line.balanceAfter = newBalance;
+        }
+
+        const journalResult = await client.query(`
+            INSERT INTO ledger_journal (entry_type, description, reference_type, reference_id, metadata, idempotency_key, created_by)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            RETURNING id, created_at
+        `, [entryType, description, referenceType, referenceId, JSON.stringify(metadata), idempotencyKey, createdBy]);
+        const journalId = journalResult.rows[0].id;
+
+        for (const line of lines) {
+            await client.query(`
+                INSERT INTO ledger_postings (journal_id, account_id, amount, balance_after)
+                VALUES ($1, $2, $3, $4)
+            `, [journalId, line.accountId, line.amount, line.balanceAfter]);
+        }
+
+        for (const [accountId, account] of balances) {
+            await client.query(
+                'UPDATE ledger_accounts SET balance = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+                [account.balance, accountId]
+            );
+        }
+
+        const userBalances = {};
+        for (const line of lines.filter(l => l.userId)) userBalances[line.userId] = line.balanceAfter;
+
+        return { journalId, createdAt: journalResult.rows[0].created_at, balances: userBalances };
+    }
+
+    // Dos reintentos simultáneos pasan los dos la comprobación previa; el índice único decide y el
+    // que llega tarde devuelve el asiento del otro sin abortar la transacción del llamante
+    async writeJournalOnce(client, entry) {
+        await client.query('SAVEPOINT ledger_journal_once');
+        try {
+            const journal = await this.writeJournal(client, entry);
+            await client.query('RELEASE SAVEPOINT ledger_journal_once');
+            return journal;
+        } catch (error) {
+            await client.query('ROLLBACK TO SAVEPOINT ledger_journal_once');
+            if (error.code === '23505') {
+                const previous = await this.findJournal(client, entry.idempotencyKey);
+                if (previous) return previous;
+            }
+            throw error;
+        }
+    }
+
+    async findJournal(client, idempotencyKey) {
+        const result = await client.query(`
+            SELECT lj.id, lj.created_at, la.user_id, lp.balance_after, lp.legacy_transaction_id
+            FROM ledger_journal lj
+            JOIN ledger_postings lp ON lp.journal_id = lj.id
+            JOIN ledger_accounts la ON lp.account_id = la.id
+            WHERE lj.idempotency_key = $1
+        `, [idempotencyKey]);
+
+        if (result.rows.length === 0) return null;
+
+        const transactionIds = {};
+        const balances = {};
+        for (const row of result.rows.filter(r => r.user_id)) {
+            if (row.legacy_transaction_id) transactionIds[row.user_id] = row.legacy_transaction_id;
+            balances[row.user_id] = parseInt(row.balance_after);
+        }
+
+        return { journalId: result.rows[0].id, createdAt: result.rows[0].created_at, balances, transactionIds, duplicate: true };
+    }
+
+    // Refleja la línea en los saldos antiguos; devuelve el id de luminarias_transactions
+    async applyMirrors(client, line, entry, journalId) {
+        const mirrors = await this.getMirrors(client);
+        const legacy = line.legacy || {};
+        let legacyId = null;
+
+        if (mirrors.legacy_function) {
+            const result = await client.query(
+                'SELECT process_luminarias_transaction($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) as id',
+                [
+                    line.userId,
+                    legacy.transactionType || (line.amount > 0 ? 'earn' : 'spend'),
+                    Math.abs(line.amount),
+                    legacy.userRole || 'user',
+                    legacy.category || entry.entryType,
+                    legacy.subcategory || null,
+                    legacy.actionType || entry.entryType,
+                    legacy.description || entry.description,
+                    entry.referenceId || null,
+                    entry.referenceType || null,
+                    JSON.stringify({ ...(entry.metadata || {}), ...(legacy.metadata || {}), ledger_journal_id: journalId })
+                ]
+            );
+            legacyId = result.rows[0].id;
+        }
+
+        if (mirrors.users_column) {
+            await client.query(
+                'UPDATE users SET luminarias = COALESCE(luminarias, 0) + $1 WHERE id = $2',
+                [line.amount, line.userId]
+            );
+        }
+
+        if (mirrors.profiles_column) {
+            await client.query(
+                'UPDATE user_profiles SET luminarias_actuales = COALESCE(luminarias_actuales, 0) + $1 WHERE user_id = $2',
+                [line.amount, line.userId]
+            );
+        }
+
+        return legacyId;
+    }
+
+    // ==================== CONSULTAS ====================
+
+    async getBalance(userId) {
+        const result = await this.pool.query(
+            'SELECT balance FROM ledger_accounts WHERE user_id = $1',
+            [userId]
+        );
+        return result.rows.length > 0 ? parseInt(result.rows[0].balance) : null;
+    }
+
+    async getStatement(userId, { limit = 50, offset = 0 } = {}) {
+        const result = await this.pool.query(`
+            SELECT lj.id as journal_id, lj.entry_type, lj.description, lj.reference_type, lj.reference_id,
+                lp.amount, lp.balance_after, lj.created_at,
+                (
+                    SELECT json_agg(json_build_object('account', COALESCE(oa.code, 'user:' || oa.user_id), 'amount', op.amount))
+                    FROM ledger_postings op
+                    JOIN ledger_accounts oa ON op.account_id = oa.id
+                    WHERE op.journal_id = lj.id AND op.account_id <> la.id
+                ) as counterparts
+            FROM ledger_postings lp
+            JOIN ledger_accounts la ON lp.account_id = la.id
+            JOIN ledger_journal lj ON lp.journal_id = lj.id
+            WHERE la.user_id = $1
+            ORDER BY lp.id DESC
+            LIMIT $2 OFFSET $3
+        `, [userId, limit, offset]);
+
+        return result.rows.map(row => ({
+            journalId: row.journal_id,
+            entryType: row.entry_type,
+            description: row.description,
+            referenceType: row.reference_type,
+            referenceId: row.reference_id,
+            amount: parseInt(row.amount),
+            balanceAfter: parseInt(row.balance_after),
+            counterparts: row.counterparts || [],
+            createdAt: row.created_at
+        }));
+    }
+
+    // ==================== CONCILIACIÓN ====================
+
+    // Compara el libro consigo mismo y con los saldos antiguos; con repair corrige lo que se puede
+    // corregir (caché de saldo, cuentas sin abrir y saldos reflejados) y deja el resto abierto
+    async reconcile({ repair = false, triggeredBy = null } = {}) {
+        const runResult = await this.pool.query(`
+            INSERT INTO ledger_reconciliation_runs (repair, triggered_by)
+            VALUES ($1, $2)
+            RETURNING id, started_at
+        `, [repair, triggeredBy]);
+        const runId = runResult.rows[0].id;
+
+        const client = await this.pool.connect();
+        const issues = [];
+
+        try {
+            const mirrors = await this.getMirrors(client);
+
+            // 1. Asientos descuadrados (no deberían existir: lo impide un trigger diferido)
+            const unbalanced = await client.query(`
+                SELECT journal_id, SUM(amount) as total
+                FROM ledger_postings
+                GROUP BY journal_id
+                HAVING SUM(amount) <> 0
+            `);
+            for (const row of unbalanced.rows) {
+                issues.push({ issueType: 'unbalanced_journal', journalId: row.journal_id, expected: 0, actual: parseInt(row.total) });
+            }
+
+            // 2. Saldo en caché de la cuenta distinto de la suma de sus líneas
+            const drift = await client.query(`
+                SELECT la.id, la.user_id, la.balance, COALESCE(SUM(lp.amount), 0) as posted
+                FROM ledger_accounts la
+                LEFT JOIN ledger_postings lp ON lp.account_id = la.id
+                GROUP BY la.id
+                HAVING la.balance <> COALESCE(SUM(lp.amount), 0)
+            `);
+            for (const row of drift.rows) {
+                issues.push({
+                    issueType: 'account_balance_drift',
+                    accountId: row.id,
+                    userId: row.user_id,
+                    expected: parseInt(row.posted),
+                    actual: parseInt(row.balance)
+                });
+            }
+
+            // 3. Saldos antiguos que no coinciden con el libro
+            const sources = [];
+            if (mirrors.user_luminarias) sources.push(['user_luminarias', 'SELECT user_id, current_balance as balance FROM user_luminarias']);
+            if (mirrors.users_column) sources.push(['users.luminarias', 'SELECT id as user_id, COALESCE(luminarias, 0) as balance FROM users']);
+            if (mirrors.profiles_column) sources.push(['user_profiles.luminarias_actuales', 'SELECT user_id, COALESCE(luminarias_actuales, 0) as balance FROM user_profiles']);
+
+            for (const [source, query] of sources) {
+                const mismatches = await client.query(`
+                    SELECT la.id as account_id, la.user_id, la.balance as expected, legacy.balance as actual
+                    FROM ledger_accounts la
+                    JOIN (${query}) legacy ON legacy.user_id = la.user_id
+                    WHERE la.account_type = 'user' AND la.balance <> legacy.balance
+                `);
+                for (const row of mismatches.rows) {
+                    issues.push({
+                        issueType: 'legacy_balance_mismatch',
+                        source,
+                        accountId: row.account_id,
+                        userId: row.user_id,
+                        expected: parseInt(row.expected),
+                        actual: parseInt(row.actual)
+                    });
+                }
+            }
+
+            // 4. Usuarios con saldo antiguo y sin cuenta en el libro
+            if (mirrors.user_luminarias) {
+                const missing = await client.query(`
+                    SELECT ul.user_id, ul.current_balance
+                    FROM user_luminarias ul
+                    LEFT JOIN ledger_accounts la ON la.user_id = ul.user_id
+                    WHERE la.id IS NULL AND ul.current_balance <> 0
+                `);
+                for (const row of missing.rows) {
+                    issues.push({ issueType: 'missing_account', userId: row.user_id, source: 'user_luminarias', expected: parseInt(row.current_balance), actual: null });
+                }
+            }
+
+            if (repair) {
+                for (const issue of issues) {
+                    issue.repaired = await this.repairIssue(client, issue, runId, mirrors);
+                }
+            }
+
+            for (const issue of issues) {
+                await client.query(`
+                    INSERT INTO ledger_reconciliation_issues (
+                        run_id, issue_type, source, account_id, user_id, journal_id, expected, actual, difference, status, resolved_at
+                    )
+                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, CASE WHEN $10 = 'repaired' THEN CURRENT_TIMESTAMP END)
+                `, [
+                    runId, issue.issueType, issue.source || null, issue.accountId || null, issue.userId || null,
+                    issue.journalId || null, issue.expected, issue.actual,
+                    issue.actual === null ? null : issue.actual - issue.expected,
+                    issue.repaired ? 'repaired' : 'open'
+                ]);
+            }
+
+            const accountsChecked = (await client.query('SELECT COUNT(*) as total FROM ledger_accounts')).rows[0].total;
+            const summary = await client.query(`
+                UPDATE ledger_reconciliation_runs
+                SET status = 'completed', finished_at = CURRENT_TIMESTAMP,
+                    accounts_checked = $2, issues_found = $3, issues_repaired = $4
+                WHERE id = $1
+                RETURNING *
+            `, [runId, parseInt(accountsChecked), issues.length, issues.filter(issue => issue.repaired).length]);
+
+            if (issues.length > 0) {
+                console.log(`⚠️  Conciliación de Luminarias #${runId}: ${issues.length} incidencias (${issues.filter(i => i.repaired).length} corregidas)`);
+            }
+
+            return { run: summary.rows[0], issues };
+
+        } catch (error) {
+            await this.pool.query(`
+                UPDATE ledger_reconciliation_runs
+                SET status = 'failed', finished_at = CURRENT_TIMESTAMP, error = $2
+                WHERE id = $1
+            `, [runId, error.message]).catch(() => {});
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Cada corrección va en su propia transacción para que un fallo no deshaga las demás
+    async repairIssue(client, issue, runId, mirrors) {
+        if (issue.issueType === 'unbalanced_journal') return false;
+
+        try {
+            await client.query('BEGIN');
+
+            if (issue.issueType === 'account_balance_drift') {
+                await client.query(`
+                    UPDATE ledger_accounts
+                    SET balance = (SELECT COALESCE(SUM(amount), 0) FROM ledger_postings WHERE account_id = $1),
+                        updated_at = CURRENT_TIMESTAMP
+                    WHERE id = $1
+                `, [issue.accountId]);
+            } else if (issue.issueType === 'missing_account') {
+                await this.ensureUserAccount(client, issue.userId);
+            } else if (issue.source === 'user_luminarias' && mirrors.legacy_function) {
+                // El saldo antiguo solo cambia a través de su función para mantener su historial
+                const difference = issue.expected - issue.actual;
+                await client.query(
+                    'SELECT process_luminarias_transaction($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)',
+                    [
+                        issue.userId, difference > 0 ? 'earn' : 'spend', Math.abs(difference), 'user',
+                        'ledger_reconciliation', null, 'reconcile_balance',
+                        `Conciliación con el libro mayor (#${runId})`, runId, 'ledger_reconciliation_runs', '{}'
+                    ]
+                );
+            } else if (issue.source === 'users.luminarias') {
+                await client.query('UPDATE users SET luminarias = $1 WHERE id = $2', [issue.expected, issue.userId]);
+            } else if (issue.source === 'user_profiles.luminarias_actuales') {
+                await client.query('UPDATE user_profiles SET luminarias_actuales = $1 WHERE user_id = $2', [issue.expected, issue.userId]);
+            } else {
+                await client.query('ROLLBACK');
+                return false;
+            }
+
+            await client.query('COMMIT');
+            return true;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error(`Error corrigiendo incidencia ${issue.issueType} del usuario ${issue.userId}:`, error.message);
+            return false;
+        }
+    }
+
+    async getReconciliationReport({ runsLimit = 10 } = {}) {
+        const runs = await this.pool.query(`
+            SELECT lrr.*, u.nickname as triggered_by_nickname
+            FROM ledger_reconciliation_runs lrr
+            LEFT JOIN users u ON lrr.triggered_by = u.id
+            ORDER BY lrr.started_at DESC
+            LIMIT $1
+        `, [runsLimit]);
+
+        // Incidencias abiertas de la última ejecución completada
+        const issues = await this.pool.query(`
+            SELECT lri.*, u.nickname
+            FROM ledger_reconciliation_issues lri
+            LEFT JOIN users u ON lri.user_id = u.id
+            WHERE lri.status = 'open' AND lri.run_id = (
+                SELECT id FROM ledger_reconciliation_runs
+                WHERE status = 'completed'
+                ORDER BY started_at DESC
+                LIMIT 1
+            )
+            ORDER BY ABS(COALESCE(lri.difference, lri.expected)) DESC
+        `);
+
+        const totals = await this.pool.query(`
+            SELECT account_type, COUNT(*) as accounts, COALESCE(SUM(balance), 0) as balance
+            FROM ledger_accounts
+            GROUP BY account_type
+        `);
+
+        return { runs: runs.rows, openIssues: issues.rows, totals: totals.rows };
+    }
+
+    async close() {
+        await this.pool.end();
+    }
+}
+
+function ledgerError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+module.exports = LuminariasLedger;
@@ -0,0 +1,271 @@
+const { Pool } = require('pg');
+
+// Lectura de saldos y movimientos de Luminarias desde el libro mayor (ledger_accounts, ledger_journal,
+// ledger_postings). Las escrituras siguen pasando por LuminariasLedger; aquí solo se consulta.
+// Si la base de datos conserva luminarias_transactions, su clasificación (rol, categoría, subcategoría)
+// completa cada línea; si no, se deduce del asiento
+class LuminariasRepository {
+    constructor() {
+        this.pool = new Pool({
+            connectionString: process.env.DATABASE_URL,
+            ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+        });
+        this.legacyTransactions = null;
+    }
+
+    // ¿Existe luminarias_transactions? (se consulta una vez)
+    async hasLegacyTransactions() {
+        if (this.legacyTransactions === null) {
+            const result = await this.pool.query(
+                "SELECT to_regclass('public.luminarias_transactions') IS NOT NULL as exists"
+            );
+            this.legacyTransactions = result.rows[0].exists;
+        }
+        return this.legacyTransactions;
+    }
+
+    // Una fila por línea de cuenta de usuario con la forma que tenía luminarias_transactions
+    async movementsQuery() {
+        const legacy = await this.hasLegacyTransactions();
+        const lt = column => legacy ? `lt.${column}` : 'NULL';
+
+        return `
+            SELECT
+                lp.id,
+                lp.journal_id,
+                la.user_id,
+                COALESCE(${lt('transaction_type')}, CASE
+                    WHEN other.user_id IS NOT NULL AND lp.amount > 0 THEN 'transfer_in'
+                    WHEN other.user_id IS NOT NULL THEN 'transfer_out'
+                    WHEN lp.amount > 0 THEN 'earn'
+                    ELSE 'spend'
+                END) as transaction_type,
+                lp.amount,
+                lp.balance_after,
+                COALESCE(${lt('user_role')}, 'user') as user_role,
+                COALESCE(${lt('category')}, lj.entry_type) as category,
+                ${lt('subcategory')} as subcategory,
+                COALESCE(${lt('action_type')}, lj.entry_type) as action_type,
+                COALESCE(${lt('description')}, lj.description) as description,
+                lj.reference_type,
+                lj.reference_id,
+                lj.metadata,
+                CASE WHEN lp.amount < 0 THEN la.user_id ELSE other.user_id END as from_user_id,
+                CASE WHEN lp.amount > 0 THEN la.user_id ELSE other.user_id END as to_user_id,
+                ru.nickname as related_user_nickname,
+                lp.legacy_transaction_id,
+                lp.created_at
+            FROM ledger_postings lp
+            JOIN ledger_accounts la ON lp.account_id = la.id AND la.account_type = 'user'
+            JOIN ledger_journal lj ON lp.journal_id = lj.id
+            LEFT JOIN LATERAL (
+                SELECT oa.user_id
+                FROM ledger_postings op
+                JOIN ledger_accounts oa ON op.account_id = oa.id
+                WHERE op.journal_id = lp.journal_id AND op.account_id <> lp.account_id AND oa.user_id IS NOT NULL
+                LIMIT 1
+            ) other ON true
+            LEFT JOIN users ru ON ru.id = other.user_id
+            ${legacy ? 'LEFT JOIN luminarias_transactions lt ON lt.id = lp.legacy_transaction_id' : ''}
+        `;
+    }
+
+    // ==================== SALDOS ====================
+
+    async getBalance(userId, client = null) {
+        const result = await (client || this.pool).query(
+            'SELECT balance FROM ledger_accounts WHERE user_id = $1',
+            [userId]
+        );
+        return result.rows.length > 0 ? parseInt(result.rows[0].balance) : 0;
+    }
+
+    // Lo que devolvía get_user_luminarias_stats(); null si el usuario aún no tiene cuenta
+    async getStats(userId, client = null) {
+        const result = await (client || this.pool).query(`
+            SELECT
+                la.balance as current_balance,
+                COALESCE(SUM(lp.amount) FILTER (WHERE lp.amount > 0), 0) as total_earned,
+                COALESCE(-SUM(lp.amount) FILTER (WHERE lp.amount < 0), 0) as total_spent,
+                COUNT(lp.id) as transactions_count,
+                COALESCE(MAX(lp.created_at), la.created_at) as last_activity
+            FROM ledger_accounts la
+            LEFT JOIN ledger_postings lp ON lp.account_id = la.id
+            WHERE la.user_id = $1
+            GROUP BY la.id
+        `, [userId]);
+
+        if (result.rows.length === 0) return null;
+
+        const row = result.rows[0];
+        return {
+            current_balance: parseInt(row.current_balance),
+            total_earned: parseInt(row.total_earned),
+            total_spent: parseInt(row.total_spent),
+            lifetime_earnings: parseInt(row.total_earned),
+            transactions_count: parseInt(row.transactions_count),
+            last_activity: row.last_activity
+        };
+    }
+
+    // Map userId → { current_balance, total_earned, total_spent, total_credited } para los paneles.
+    // total_credited son los abonos hechos por administradores
+    async getSummaries(userIds) {
+        const result = await this.pool.query(`
+            SELECT
+                la.user_id,
+                la.balance as current_balance,
+                COALESCE(SUM(lp.amount) FILTER (WHERE lp.amount > 0), 0) as total_earned,
+                COALESCE(-SUM(lp.amount) FILTER (WHERE lp.amount < 0), 0) as total_spent,
+                COALESCE(SUM(lp.amount) FILTER (WHERE lp.amount > 0 AND lj.entry_type = 'admin_adjustment'), 0) as total_credited
+            FROM ledger_accounts la
+            LEFT JOIN ledger_postings lp ON lp.account_id = la.id
+            LEFT JOIN ledger_journal lj ON lp.journal_id = lj.id
+            WHERE la.user_id = ANY($1::int[])
+            GROUP BY la.id
+        `, [userIds]);
+
+        const empty = { current_balance: 0, total_earned: 0, total_spent: 0, total_credited: 0 };
+        const summaries = new Map(userIds.map(id => [parseInt(id), { ...empty }]));
+        for (const row of result.rows) {
+            summaries.set(row.user_id, {
+                current_balance: parseInt(row.current_balance),
+                total_earned: parseInt(row.total_earned),
+                total_spent: parseInt(row.total_spent),
+                total_credited: parseInt(row.total_credited)
+            });
+        }
+        return summaries;
+    }
+
+    // Totales del sistema para el panel de administración
+    async getSystemTotals() {
+        const result = await this.pool.query(`
+            SELECT
+                COUNT(*) as total_users,
+                COALESCE(SUM(balance), 0) as total_luminarias,
+                (
+                    SELECT COUNT(*)
+                    FROM ledger_postings lp
+                    JOIN ledger_accounts la ON lp.account_id = la.id
+                    WHERE la.account_type = 'user'
+                ) as total_transactions
+            FROM ledger_accounts
+            WHERE account_type = 'user'
+        `);
+        return result.rows[0];
+    }
+
+    // Búsqueda de usuarios con su saldo (administración)
+    async searchAccounts(term, { limit = 20 } = {}) {
+        const result = await this.pool.query(`
+            SELECT
+                u.id,
+                u.nickname,
+                u.email,
+                u.creator_level,
+                u.created_at,
+                la.balance as current_balance,
+                COALESCE(SUM(lp.amount) FILTER (WHERE lp.amount > 0), 0) as total_earned,
+                COALESCE(-SUM(lp.amount) FILTER (WHERE lp.amount < 0), 0) as total_spent,
+                MAX(lp.created_at) as last_activity
+            FROM users u
+            LEFT JOIN ledger_accounts la ON la.user_id = u.id
+            LEFT JOIN ledger_postings lp ON lp.account_id = la.id
+            WHERE u.nickname ILIKE $1 OR u.email ILIKE $1
+            GROUP BY u.id, la.id
+            ORDER BY u.created_at DESC
+            LIMIT $2
+        `, [`%${term}%`, Math.min(parseInt(limit) || 20, 100)]);
+        return result.rows;
+    }
+
+    // ==================== MOVIMIENTOS ====================
+
+    // Historial con filtros (userRole, category, transactionType, dateFrom, dateTo); devuelve { transactions, total }
+    async listTransactions(userId, { userRole, category, transactionType, dateFrom, dateTo, limit = 50, offset = 0 } = {}) {
+        const conditions = ['m.user_id = $1'];
+        const params = [userId];
+
+        const filters = [
+            ['m.user_role', userRole],
+            ['m.category', category],
+            ['m.transaction_type', transactionType]
+        ];
+        for (const [column, value] of filters) {
+            if (value) {
+                params.push(value);
+                conditions.push(`${column} = $${params.length}`);
+            }
+        }
+        if (dateFrom) {
+            params.push(dateFrom);
+            conditions.push(`m.created_at >= $${params.length}`);
+        }
+        if (dateTo) {
+            params.push(dateTo);
+            conditions.push(`m.created_at <= $${params.length}`);
+        }
+
+        params.push(parseInt(limit) || 50, parseInt(offset) || 0);
+        const result = await this.pool.query(`
+            SELECT m.*, COUNT(*) OVER () as total_count
+            FROM (${await this.movementsQuery()}) m
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY m.created_at DESC, m.id DESC
+            LIMIT $${params.length - 1} OFFSET $${params.length}
+        `, params);
+
+        const total = result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0;
+        return {
+            transactions: result.rows.map(({ total_count, ...row }) => row),
+            total
+        };
+    }
+
+    // Ganado ('earn') o gastado ('spend', incluye transferencias enviadas) por rol y categoría en los últimos `days` días
+    async getCategoryStats(userId, direction, days = 30) {
+        const earning = direction === 'earn';
+        const types = earning ? ['earn'] : ['spend', 'transfer_out'];
+        const total = earning ? 'total_earned' : 'total_spent';
+
+        const result = await this.pool.query(`
+            SELECT
+                m.user_role,
+                m.category,
+                m.subcategory,
+                COUNT(*) as transaction_count,
+                SUM(ABS(m.amount)) as ${total},
+                AVG(ABS(m.amount)) as avg_amount,
+                MIN(ABS(m.amount)) as min_amount,
+                MAX(ABS(m.amount)) as max_amount
+            FROM (${await this.movementsQuery()}) m
+            WHERE m.user_id = $1
+              AND m.transaction_type = ANY($2)
+              AND m.created_at >= NOW() - make_interval(days => $3)
+            GROUP BY m.user_role, m.category, m.subcategory
+            ORDER BY ${total} DESC
+        `, [userId, types, parseInt(days) || 30]);
+        return result.rows;
+    }
+
+    // Retiros del usuario con la fecha del movimiento en el libro
+    async listWithdrawals(userId) {
+        const result = await this.pool.query(`
+            SELECT
+                lw.*,
+                lp.created_at as transaction_date
+            FROM luminarias_withdrawals lw
+            LEFT JOIN ledger_postings lp ON lp.legacy_transaction_id = lw.transaction_id
+            WHERE lw.user_id = $1
+            ORDER BY lw.created_at DESC
+        `, [userId]);
+        return result.rows;
+    }
+
+    async close() {
+        await this.pool.end();
+    }
+}
+
+module.exports = LuminariasRepository;
@@ -0,0 +1,401 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const tls = require('tls');
+
+// Configuración por variables de entorno (ver .env.example). Sin EMAIL_HOST los correos se escriben en consola
+function configFromEnv() {
+    const host = process.env.EMAIL_HOST;
+    const port = parseInt(process.env.EMAIL_PORT) || 587;
+
+    return {
+        transport: process.env.EMAIL_TRANSPORT || (host ? 'smtp' : 'console'),
+        from: process.env.EMAIL_FROM || process.env.EMAIL_USER || 'PlayTest <no-reply@playtest.local>',
+        host,
+        port,
+        secure: process.env.EMAIL_SECURE ? process.env.EMAIL_SECURE === 'true' : port === 465,
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASS,
+        fileDir: process.env.EMAIL_FILE_DIR || path.join(os.tmpdir(), 'playtest-mail')
+    };
+}
+
+function mailError(message, status = 500) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// ==================== MENSAJE MIME ====================
+
+// Dirección simple (local@dominio): sin espacios, saltos de línea ni caracteres especiales de cabecera
+const EMAIL_PATTERN = /^[^\s@<>()\[\]",;:\\]+@[^\s@<>()\[\]",;:\\]+\.[^\s@<>()\[\]",;:\\]+$/;
+
+function isEmail(value) {
+    return typeof value === 'string' && value.length <= 254 && EMAIL_PATTERN.test(value);
+}
+
+function addressOf(value) {
+    const match = String(value).match(/<([^>]+)>/);
+    return (match ? match[1] : String(value)).trim();
+}
+
+// Destinatario "dirección" o "Nombre <dirección>". Va tal cual a la cabecera To y a RCPT TO, así que
+// un salto de línea permitiría inyectar cabeceras o comandos SMTP
+function isRecipient(value) {
+    if (typeof value !== 'string' || /[\x00-\x1f\x7f]/.test(value)) return false;
+    const match = value.match(/^([^<>,;"]*)<([^<>]+)>$/);
+    return isEmail(match ? match[2].trim() : value.trim());
+}
+
+function encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+function base64Body(content) {
+    return Buffer.from(content, 'utf8').toString('base64').replace(/.{1,76}/g, '$&\r\n');
+}
+
+// Texto y HTML opcional como multipart/alternative; el cuerpo va en base64 para no depender de 8BITMIME
+function buildMessage({ from, to, subject, text, html }) {
+    const headers = [
+        `From: ${encodeHeader(from)}`,
+        `To: ${to.join(', ')}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${crypto.randomUUID()}@${addressOf(from).split('@')[1] || 'playtest.local'}>`,
+        'MIME-Version: 1.0'
+    ];
+
+    let body;
+    if (html) {
+        const boundary = `playtest-${crypto.randomBytes(12).toString('hex')}`;
+        headers.push(`Content-Type: multipart/alternative; boundary="${boundary}"`);
+        body = [
+            `--${boundary}`,
+            'Content-Type: text/plain; charset=utf-8',
+            'Content-Transfer-Encoding: base64',
+            '',
+            base64Body(text || ''),
+            `--${boundary}`,
+            'Content-Type: text/html; charset=utf-8',
+            'Content-Transfer-Encoding: base64',
+            '',
+            base64Body(html),
+            `--${boundary}--`,
+            ''
+        ].join('\r\n');
+    } else {
+        headers.push('Content-Type: text/plain; charset=utf-8', 'Content-Transfer-Encoding: base64');
+        body = base64Body(text || '');
+    }
+
+    return `${headers.join('\r\n')}\r\n\r\n${body}`;
+}
+
+// ==================== TRANSPORTES ====================
+
+// Respuestas SMTP (posiblemente multilínea: "250-..." hasta "250 ...") sobre un socket TCP o TLS
+class SmtpConnection {
+    constructor(socket, timeoutMs) {
+        this.timeoutMs = timeoutMs;
+        this.attach(socket);
+    }
+
+    attach(socket) {
+        if (this.socket) this.socket.removeAllListeners('data');
+        this.socket = socket;
+        this.buffer = '';
+        this.pending = [];
+        this.replies = [];
+        this.error = null;
+
+        socket.setEncoding('utf8');
+        socket.on('data', chunk => {
+            this.buffer += chunk;
+            this.parse();
+        });
+        socket.on('error', error => this.fail(error));
+        socket.on('close', () => this.fail(new Error('SMTP connection closed')));
+    }
+
+    parse() {
+        let index;
+        while ((index = this.buffer.indexOf('\r\n')) !== -1) {
+            const line = this.buffer.slice(0, index);
+            this.buffer = this.buffer.slice(index + 2);
+            this.pending.push(line);
+
+            if (/^\d{3}(?: |$)/.test(line)) {
+                this.replies.push({ code: parseInt(line.slice(0, 3)), lines: this.pending.map(entry => entry.slice(4)) });
+                this.pending = [];
+            }
+        }
+        this.deliver();
+    }
+
+    deliver() {
+        if (this.waiting && this.replies.length > 0) {
+            const { resolve, timer } = this.waiting;
+            this.waiting = null;
+            clearTimeout(timer);
+            resolve(this.replies.shift());
+        }
+    }
+
+    fail(error) {
+        if (this.error) return;
+        this.error = error;
+        if (this.waiting) {
+            const { reject, timer } = this.waiting;
+            this.waiting = null;
+            clearTimeout(timer);
+            reject(error);
+        }
+    }
+
+    read() {
+        if (this.replies.length > 0) return Promise.resolve(this.replies.shift());
+        if (this.error) return Promise.reject(this.error);
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.waiting = null;
+                reject(new Error('SMTP server did not respond in time'));
+            }, this.timeoutMs);
+            this.waiting = { resolve, reject, timer };
+        });
+    }
+
+    async command(line, expected) {
+        if (line !== null) this.socket.write(`${line}\r\n`);
+
+        const reply = await this.read();
+        if (!expected.includes(reply.code)) {
+            // No se repite el comando en el error: AUTH lleva las credenciales
+            throw mailError(`SMTP ${reply.code}: ${reply.lines.join(' ')}`, 502);
+        }
+        return reply;
+    }
+
+    close() {
+        this.socket.removeAllListeners('close');
+        this.socket.destroy();
+    }
+}
+
+// Cliente SMTP mínimo (STARTTLS o TLS directo, AUTH PLAIN/LOGIN); una conexión por envío
+class SmtpTransport {
+    constructor({ host, port, secure, user, pass, timeoutMs = 15000 }) {
+        if (!host) throw mailError('EMAIL_HOST is required for the smtp transport');
+        this.name = 'smtp';
+        this.options = { host, port, secure, user, pass, timeoutMs };
+    }
+
+    connect() {
+        const { host, port, secure } = this.options;
+
+        return new Promise((resolve, reject) => {
+            const socket = secure
+                ? tls.connect({ host, port, servername: host })
+                : net.connect({ host, port });
+            const ready = secure ? 'secureConnect' : 'connect';
+
+            socket.setTimeout(this.options.timeoutMs, () => socket.destroy(new Error('SMTP connection timed out')));
+            socket.once(ready, () => resolve(new SmtpConnection(socket, this.options.timeoutMs)));
+            socket.once('error', reject);
+        });
+    }
+
+    upgradeToTls(connection) {
+        // A partir de aquí los bytes del socket en claro son del handshake TLS, no respuestas SMTP
+        connection.socket.removeAllListeners('data');
+        connection.socket.removeAllListeners('close');
+
+        return new Promise((resolve, reject) => {
+            const socket = tls.connect({ socket: connection.socket, servername: this.options.host });
+            socket.once('secureConnect', () => {
+                connection.attach(socket);
+                resolve();
+            });
+            socket.once('error', reject);
+        });
+    }
+
+    // Saludo, STARTTLS si el servidor lo ofrece y autenticación
+    async open() {
+        const connection = await this.connect();
+        try {
+            const hostname = os.hostname() || 'localhost';
+            await connection.command(null, [220]);
+            let ehlo = await connection.command(`EHLO ${hostname}`, [250]);
+
+            if (!this.options.secure && ehlo.lines.some(line => /^STARTTLS/i.test(line))) {
+                await connection.command('STARTTLS', [220]);
+                await this.upgradeToTls(connection);
+                ehlo = await connection.command(`EHLO ${hostname}`, [250]);
+            }
+
+            if (this.options.user) {
+                const auth = ehlo.lines.find(line => /^AUTH\b/i.test(line)) || '';
+                if (/\bPLAIN\b/i.test(auth) || !/\bLOGIN\b/i.test(auth)) {
+                    const credentials = Buffer.from(`\0${this.options.user}\0${this.options.pass || ''}`).toString('base64');
+                    await connection.command(`AUTH PLAIN ${credentials}`, [235]);
+                } else {
+                    await connection.command('AUTH LOGIN', [334]);
+                    await connection.command(Buffer.from(this.options.user).toString('base64'), [334]);
+                    await connection.command(Buffer.from(this.options.pass || '').toString('base64'), [235]);
+                }
+            }
+
+            return connection;
+        } catch (error) {
+            connection.close();
+            throw error;
+        }
+    }
+
+    async send({ from, to, raw }) {
+        const connection = await this.open();
+        try {
+            await connection.command(`MAIL FROM:<${addressOf(from)}>`, [250]);
+            for (const recipient of to) {
+                await connection.command(`RCPT TO:<${addressOf(recipient)}>`, [250, 251]);
+            }
+            await connection.command('DATA', [354]);
+
+            // Dot-stuffing: las líneas que empiezan por "." se duplican
+            const data = raw.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+            const reply = await connection.command(`${data}\r\n.`, [250]);
+
+            await connection.command('QUIT', [221]).catch(() => {});
+            return { accepted: to, response: reply.lines.join(' ') };
+        } finally {
+            connection.close();
+        }
+    }
+
+    async verify() {
+        const connection = await this.open();
+        try {
+            await connection.command('QUIT', [221]).catch(() => {});
+            return { host: this.options.host, port: this.options.port };
+        } finally {
+            connection.close();
+        }
+    }
+}
+
+// Desarrollo local: cada correo se guarda como .eml (se abre con cualquier cliente de correo)
+class FileTransport {
+    constructor({ fileDir }) {
+        this.name = 'file';
+        this.dir = fileDir;
+    }
+
+    async send({ to, raw }) {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        const file = path.join(this.dir, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`);
+        await fs.promises.writeFile(file, raw);
+        console.log(`📧 Email para ${to.join(', ')} guardado en ${file}`);
+        return { accepted: to, file };
+    }
+
+    async verify() {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        await fs.promises.access(this.dir, fs.constants.W_OK);
+        return { dir: this.dir };
+    }
+}
+
+class ConsoleTransport {
+    constructor() {
+        this.name = 'console';
+    }
+
+    async send({ to, subject, text }) {
+        console.log(`📧 Email para ${to.join(', ')}: ${subject}\n${text || ''}`);
+        return { accepted: to };
+    }
+
+    async verify() {
+        return {};
+    }
+}
+
+const TRANSPORTS = {
+    smtp: SmtpTransport,
+    file: FileTransport,
+    console: ConsoleTransport
+};
+
+// ==================== SERVICIO ====================
+
+let sharedMailer = null;
+
+// Envío de correo con transporte intercambiable (smtp, file, console). Lo usan la recuperación de
+// contraseña, la verificación de email y los sistemas de notificaciones (Mailer.shared())
+class Mailer {
+    constructor(options = {}) {
+        const config = { ...configFromEnv(), ...options };
+        const Transport = TRANSPORTS[config.transport];
+        if (!Transport) throw mailError(`Unknown email transport: ${config.transport}`);
+
+        this.from = config.from;
+        this.transport = new Transport(config);
+        this.stats = { sent: 0, failed: 0, lastSentAt: null, lastError: null, lastErrorAt: null };
+    }
+
+    static get TRANSPORTS() {
+        return Object.keys(TRANSPORTS);
+    }
+
+    static shared() {
+        if (!sharedMailer) sharedMailer = new Mailer();
+        return sharedMailer;
+    }
+
+    // Para validar el email de registro y perfil antes de guardarlo
+    static isEmail(value) {
+        return isEmail(value);
+    }
+
+    async send({ to, subject, text, html, from = this.from }) {
+        const recipients = [].concat(to).filter(Boolean);
+        if (recipients.length === 0) throw mailError('Email recipient is required', 400);
+        if (recipients.some(recipient => !isRecipient(recipient))) throw mailError('Invalid email recipient', 400);
+        if (!isRecipient(from)) throw mailError('Invalid email sender', 400);
+        if (!subject) throw mailError('Email subject is required', 400);
+
+        const raw = buildMessage({ from, to: recipients, subject, text, html });
+
+        try {
+            const info = await this.transport.send({ from, to: recipients, subject, text, raw });
+            this.stats.sent++;
+            this.stats.lastSentAt = new Date();
+            return info;
+        } catch (error) {
+            this.stats.failed++;
+            this.stats.lastError = error.message;
+            this.stats.lastErrorAt = new Date();
+            throw error;
+        }
+    }
+
+    // Comprueba que el transporte acepta conexiones (SMTP: saludo, STARTTLS y autenticación)
+    async verify() {
+        return this.transport.verify();
+    }
+
+    getStatus() {
+        return {
+            transport: this.transport.name,
+            from: this.from,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = Mailer;
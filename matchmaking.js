@@ -0,0 +1,278 @@
+const { Pool } = require('pg');
+const LevelsCalculator = require('./levels-calculator');
+
+const TICK_MS = 2000;
+const INITIAL_RANGE = 10; // puntos de consolidación (0-100)
+const RANGE_STEP = 10;
+const RANGE_STEP_MS = 10000;
+const BOT_FALLBACK_MS = 45000;
+const MAX_WAIT_MS = 120000;
+const BOT_USER_ID = -1;
+
+// Cola de emparejamiento para duelos: empareja jugadores del mismo bloque (y tema) con una
+// consolidación parecida, ampliando el rango con la espera y recurriendo a un bot de práctica
+class MatchmakingQueue {
+    constructor(io, auth) {
+        this.io = io;
+        this.auth = auth;
+        this.pool = new Pool({
+            connectionString: process.env.DATABASE_URL,
+            ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+        });
+        this.levelsCalculator = new LevelsCalculator();
+
+        this.queue = new Map(); // userId -> entrada de la cola
+        this.ticker = null;
+        this.pairing = false;
+    }
+
+    // ==================== NIVEL DEL JUGADOR ====================
+
+    // Consolidación del usuario en el bloque (0-100) según su nivel actual
+    async getRating(userId, blockId) {
+        const levels = await this.levelsCalculator.getUserCurrentLevels(userId);
+        const blockLevel = levels.user.find(level => level.block_id === blockId);
+
+        // Sin nivel calculado todavía para este bloque: consolidación directa
+        if (!blockLevel) {
+            return { rating: await this.levelsCalculator.calculateUserConsolidation(userId, blockId), levelName: null };
+        }
+
+        const consolidation = parseFloat(blockLevel.current_metrics?.consolidation);
+        return {
+            rating: Number.isFinite(consolidation) ? consolidation : Math.min(100, (blockLevel.level_order - 1) * 20),
+            levelName: blockLevel.level_name
+        };
+    }
+
+    // ==================== COLA ====================
+
+    async join(user, { blockId, topic = null, allowBot = true }) {
+        if (!Number.isInteger(blockId)) throw matchmakingError('blockId es requerido');
+
+        const blockResult = await this.pool.query(`
+            SELECT b.id, b.name, COUNT(q.id) as question_count
+            FROM blocks b
+            LEFT JOIN questions q ON q.block_id = b.id AND ($2::text IS NULL OR q.topic = $2)
+            WHERE b.id = $1
+            GROUP BY b.id
+        `, [blockId, topic]);
+
+        if (blockResult.rows.length === 0) throw matchmakingError('Bloque no encontrado');
+        if (parseInt(blockResult.rows[0].question_count) === 0) {
+            throw matchmakingError(topic ? 'El tema no tiene preguntas' : 'El bloque no tiene preguntas');
+        }
+
+        const { rating, levelName } = await this.getRating(user.id, blockId);
+
+        const entry = {
+            userId: user.id,
+            nickname: user.nickname,
+            blockId,
+            blockName: blockResult.rows[0].name,
+            topic: topic || null,
+            rating,
+            levelName,
+            allowBot: allowBot !== false,
+            joinedAt: Date.now()
+        };
+
+        this.queue.set(user.id, entry);
+        this.startTicker();
+
+        this.auth.sendToUser(this.io, user.id, 'matchmaking_queued', {
+            blockId,
+            topic: entry.topic,
+            rating,
+            levelName,
+            range: INITIAL_RANGE,
+            waitingPlayers: this.countCompatible(entry)
+        });
+
+        await this.pairPlayers();
+        return entry;
+    }
+
+    leave(userId) {
+        const removed = this.queue.delete(userId);
+        if (this.queue.size === 0) this.stopTicker();
+        return removed;
+    }
+
+    countCompatible(entry) {
+        return [...this.queue.values()].filter(other => other.userId !== entry.userId && this.sameContent(entry, other)).length;
+    }
+
+    // Mismo bloque y mismo tema; sin tema se juega con todo el bloque
+    sameContent(a, b) {
+        return a.blockId === b.blockId && a.topic === b.topic;
+    }
+
+    searchRange(entry, now = Date.now()) {
+        return Math.min(100, INITIAL_RANGE + Math.floor((now - entry.joinedAt) / RANGE_STEP_MS) * RANGE_STEP);
+    }
+
+    startTicker() {
+        if (this.ticker) return;
+        this.ticker = setInterval(() => {
+            this.tick().catch(error => console.error('Error en la cola de emparejamiento:', error));
+        }, TICK_MS);
+    }
+
+    stopTicker() {
+        clearInterval(this.ticker);
+        this.ticker = null;
+    }
+
+    async tick() {
+        await this.pairPlayers();
+
+        const now = Date.now();
+        for (const entry of [...this.queue.values()]) {
+            const waited = now - entry.joinedAt;
+
+            if (entry.allowBot && waited >= BOT_FALLBACK_MS) {
+                this.queue.delete(entry.userId);
+                await this.createMatch([entry], { bot: true });
+            } else if (waited >= MAX_WAIT_MS) {
+                this.queue.delete(entry.userId);
+                this.auth.sendToUser(this.io, entry.userId, 'matchmaking_timeout', { waitedMs: waited });
+            } else {
+                this.auth.sendToUser(this.io, entry.userId, 'matchmaking_searching', {
+                    waitedMs: waited,
+                    range: this.searchRange(entry, now),
+                    botInMs: entry.allowBot ? BOT_FALLBACK_MS - waited : null
+                });
+            }
+        }
+
+        if (this.queue.size === 0) this.stopTicker();
+    }
+
+    // Empareja primero a quien más lleva esperando con el rival compatible de nivel más cercano
+    async pairPlayers() {
+        if (this.pairing) return;
+        this.pairing = true;
+
+        try {
+            const now = Date.now();
+            const waiting = [...this.queue.values()].sort((a, b) => a.joinedAt - b.joinedAt);
+            const paired = new Set();
+
+            for (const entry of waiting) {
+                if (paired.has(entry.userId)) continue;
+
+                const candidates = waiting
+                    .filter(other => other.userId !== entry.userId && !paired.has(other.userId) && this.sameContent(entry, other))
+                    .map(other => ({ other, gap: Math.abs(other.rating - entry.rating) }))
+                    // Ambos jugadores tienen que aceptar la diferencia de nivel con su rango actual
+                    .filter(({ other, gap }) => gap <= Math.min(this.searchRange(entry, now), this.searchRange(other, now)))
+                    .sort((a, b) => a.gap - b.gap);
+
+                if (candidates.length === 0) continue;
+
+                const opponent = candidates[0].other;
+                paired.add(entry.userId);
+                paired.add(opponent.userId);
+                this.queue.delete(entry.userId);
+                this.queue.delete(opponent.userId);
+
+                await this.createMatch([entry, opponent]);
+            }
+        } finally {
+            this.pairing = false;
+        }
+    }
+
+    // ==================== CREACIÓN DE LA PARTIDA ====================
+
+    async createMatch(entries, { bot = false } = {}) {
+        const [first] = entries;
+        const config = {
+            [first.blockId]: { topics: first.topic ? [first.topic] : [] },
+            matchmaking: true
+        };
+
+        // La precisión del bot sigue la consolidación del jugador (35%-85%). Va en games.practice_bot,
+        // que solo escribe el servidor: config lo puede escribir cualquier cliente al crear una partida
+        const practiceBot = bot
+            ? {
+                userId: BOT_USER_ID,
+                nickname: 'PlayBot',
+                accuracy: Math.round(Math.min(0.85, Math.max(0.35, 0.35 + first.rating / 200)) * 100) / 100
+            }
+            : null;
+
+        const client = await this.pool.connect();
+        let gameId;
+
+        try {
+            await client.query('BEGIN');
+
+            const gameResult = await client.query(
+                'INSERT INTO games (game_type, config, created_by, status, practice_bot) VALUES ($1, $2, $3, $4, $5) RETURNING id',
+                ['duel', JSON.stringify(config), first.userId, 'waiting', practiceBot ? JSON.stringify(practiceBot) : null]
+            );
+            gameId = gameResult.rows[0].id;
+
+            for (let i = 0; i < entries.length; i++) {
+                await client.query(
+                    'INSERT INTO game_players (game_id, user_id, player_index, nickname) VALUES ($1, $2, $3, $4)',
+                    [gameId, entries[i].userId, i, entries[i].nickname]
+                );
+            }
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Error creating matchmaking game:', error);
+            entries.forEach(entry => this.auth.sendToUser(this.io, entry.userId, 'matchmaking_error', {
+                error: 'No se pudo crear la partida'
+            }));
+            return null;
+        } finally {
+            client.release();
+        }
+
+        for (const entry of entries) {
+            const opponent = bot
+                ? { userId: BOT_USER_ID, nickname: practiceBot.nickname, isBot: true }
+                : (({ userId, nickname, levelName }) => ({ userId, nickname, levelName, isBot: false }))(entries.find(e => e.userId !== entry.userId));
+
+            this.auth.sendToUser(this.io, entry.userId, 'matchmaking_found', {
+                gameId,
+                gameType: 'duel',
+                blockId: entry.blockId,
+                blockName: entry.blockName,
+                topic: entry.topic,
+                opponent,
+                waitedMs: Date.now() - entry.joinedAt
+            });
+        }
+
+        console.log(`🤝 Matchmaking: game ${gameId} created for ${entries.map(e => e.nickname).join(' vs ')}${bot ? ' vs PlayBot' : ''}`);
+        return gameId;
+    }
+
+    getStats() {
+        const byBlock = {};
+        for (const entry of this.queue.values()) {
+            byBlock[entry.blockId] = (byBlock[entry.blockId] || 0) + 1;
+        }
+        return { waiting: this.queue.size, byBlock };
+    }
+
+    async close() {
+        this.stopTicker();
+        await this.pool.end();
+        await this.levelsCalculator.close();
+    }
+}
+
+function matchmakingError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+module.exports = MatchmakingQueue;
@@ -1,7 +1,16 @@
 const jwt = require('jsonwebtoken');
 const pool = require('../database/connection');
+const { buildRoleContext } = require('./policy');
+const SessionManager = require('../auth-sessions');
+
+const sessions = new SessionManager();
 
 const authenticateToken = async (req, res, next) => {
+  // Already authenticated at mount time (routers behind requireFeature check the token again per route)
+  if (req.user) {
+    return next();
+  }
+
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
@@ -20,12 +29,26 @@ const authenticateToken = async (req, res, next) => {
     
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     console.log('✅ Token decoded successfully, user ID:', decoded.userId);
+
+    // Logout / "log out everywhere" revoke the session behind the token before it expires
+    if (!(await sessions.isTokenActive(decoded))) {
+      console.log('❌ Session revoked for user:', decoded.userId, 'session:', decoded.sid);
+      return res.status(401).json({ error: 'Session revoked', code: 'SESSION_REVOKED' });
+    }
     
-    // Verify user still exists and session is valid
-    const result = await pool.query(
-      'SELECT u.id, u.nickname FROM users u WHERE u.id = $1',
-      [decoded.userId]
-    );
+    // Verify user still exists and load its current roles (the token may predate role changes)
+    const result = await pool.query(`
+      SELECT u.id, u.nickname,
+        COALESCE(
+          json_agg(json_build_object('id', ur.id, 'name', r.name)) FILTER (WHERE r.id IS NOT NULL),
+          '[]'
+        ) as roles
+      FROM users u
+      LEFT JOIN user_roles ur ON ur.user_id = u.id
+      LEFT JOIN roles r ON ur.role_id = r.id
+      WHERE u.id = $1
+      GROUP BY u.id, u.nickname
+    `, [decoded.userId]);
 
     console.log('🔍 User lookup result:', result.rows.length, 'users found');
 
@@ -34,10 +57,18 @@ const authenticateToken = async (req, res, next) => {
       return res.status(401).json({ error: 'Invalid token' });
     }
 
+    // Active role selected in the frontend (panel code or role name)
+    const roleContext = buildRoleContext(result.rows[0].roles, req.headers['x-current-role']);
+    if (!roleContext) {
+      console.log('❌ Current role not held by user:', req.headers['x-current-role']);
+      return res.status(403).json({ error: 'User does not have the specified role' });
+    }
+
     req.user = {
       id: decoded.userId,
       nickname: result.rows[0].nickname,
-      roles: decoded.roles || []
+      sessionId: decoded.sid || null,
+      ...roleContext
     };
     
     console.log('✅ Authentication successful for user:', req.user.nickname);
@@ -45,8 +76,12 @@ const authenticateToken = async (req, res, next) => {
   } catch (error) {
     console.error('❌ Auth error:', error.message);
     console.error('❌ Auth error type:', error.name);
-    return res.status(403).json({ error: 'Invalid or expired token' });
+    // TOKEN_EXPIRED tells the client to call POST /api/auth/refresh
+    return res.status(403).json({
+      error: 'Invalid or expired token',
+      code: error.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED' : 'INVALID_TOKEN'
+    });
   }
 };
 
-module.exports = { authenticateToken };
\ No newline at end of file
+module.exports = { authenticateToken, sessions };
\ No newline at end of file
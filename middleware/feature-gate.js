@@ -0,0 +1,34 @@
+const FeatureFlags = require('../feature-flags');
+
+const featureFlags = new FeatureFlags();
+
+/**
+ * Middleware: requireFeature('teachers_panel')
+ * Goes after authenticateToken so per-role and per-user targeting can see req.user.
+ * With { global: true } only the on/off switch and dates count, for routes that have no user.
+ * A disabled flag answers 404, as if the router were not mounted.
+ */
+function requireFeature(flagName, { global = false } = {}) {
+  return async (req, res, next) => {
+    try {
+      const enabled = global
+        ? await featureFlags.isActive(flagName)
+        : await featureFlags.isEnabled(flagName, req.user || null);
+      if (enabled) {
+        return next();
+      }
+
+      console.log(`🚩 Feature ${flagName} not enabled for user ${req.user ? req.user.id : '-'}`);
+      return res.status(404).json({
+        error: 'Feature not available',
+        code: 'FEATURE_DISABLED',
+        feature: flagName
+      });
+    } catch (error) {
+      console.error(`Error evaluating feature flag ${flagName}:`, error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+module.exports = { requireFeature, featureFlags };
@@ -0,0 +1,219 @@
+const { pool } = require('../database/connection');
+
+// Panel codes the frontend sends in X-Current-Role
+const PANEL_ROLES = {
+  PCC: 'creador',
+  PPF: 'profesor',
+  PJG: 'jugador',
+  PAP: 'administrador_principal',
+  PAS: 'administrador_secundario'
+};
+
+// Legacy role names still stored in some databases
+const ROLE_ALIASES = {
+  admin_principal: 'administrador_principal',
+  admin_secundario: 'administrador_secundario',
+  creador_contenido: 'creador',
+  profesor_creador: 'creador',
+  usuario: 'jugador'
+};
+
+// Every registered user can play, even without a 'jugador' row in user_roles
+const BASE_ROLE = 'jugador';
+
+const ROLE_GROUPS = {
+  ADMIN: ['administrador_principal', 'administrador_secundario'],
+  EDUCATOR: ['profesor', 'administrador_principal', 'administrador_secundario'],
+  CREATOR: ['creador', 'administrador_principal', 'administrador_secundario'],
+  SUPPORT: ['soporte_tecnico', 'servicio_tecnico', 'administrador_principal', 'administrador_secundario']
+};
+
+function normalizeRole(role) {
+  if (!role) return null;
+  const name = String(role).trim();
+  return PANEL_ROLES[name.toUpperCase()] || ROLE_ALIASES[name] || name;
+}
+
+/**
+ * Build the role context attached to req.user by authenticateToken.
+ * userRoles: [{ id, name }] rows from user_roles/roles.
+ * Returns null when the requested active role is not held by the user.
+ */
+function buildRoleContext(userRoles, requestedRole) {
+  const held = userRoles.map(role => ({ userRoleId: role.id, name: normalizeRole(role.name) }));
+  const roles = [...new Set(held.map(role => role.name))];
+
+  const activeRole = normalizeRole(requestedRole);
+  if (activeRole && activeRole !== BASE_ROLE && !roles.includes(activeRole)) {
+    return null;
+  }
+
+  const activeUserRole = activeRole ? held.find(role => role.name === activeRole) : null;
+
+  return {
+    roles,
+    activeRole,
+    activeUserRoleId: activeUserRole ? activeUserRole.userRoleId : null
+  };
+}
+
+/**
+ * The role the user is acting with among `allowed`: the active role when the
+ * frontend selected one, otherwise the first allowed role the user holds.
+ */
+function matchRole(user, allowed) {
+  if (user.activeRole) {
+    return allowed.includes(user.activeRole) ? user.activeRole : null;
+  }
+  return allowed.find(role => role === BASE_ROLE || (user.roles || []).includes(role)) || null;
+}
+
+function hasRole(user, ...allowed) {
+  return matchRole(user, allowed.flat()) !== null;
+}
+
+// Middleware: requireRole('profesor', ...ROLE_GROUPS.ADMIN)
+function requireRole(...allowed) {
+  const roles = allowed.flat();
+
+  return (req, res, next) => {
+    const matched = matchRole(req.user, roles);
+
+    if (!matched) {
+      console.log(`🚫 Role check failed for user ${req.user.id}: active ${req.user.activeRole || '-'}, required ${roles.join('|')}`);
+      return res.status(403).json({
+        error: 'Acceso denegado: rol insuficiente',
+        requiredRoles: roles,
+        activeRole: req.user.activeRole
+      });
+    }
+
+    req.user.matchedRole = matched;
+    next();
+  };
+}
+
+// ============================================================
+// Resource ownership guards
+// ============================================================
+
+// Ownership goes through unified_user_roles, not the user_roles view: the view hides deactivated
+// and expired assignments, and the blocks created with them still belong to their author
+async function getBlockOwner(blockId) {
+  const result = await pool.query(`
+    SELECT b.id, ur.user_id as owner_id
+    FROM blocks b
+    LEFT JOIN unified_user_roles ur ON b.user_role_id = ur.id
+    WHERE b.id = $1
+  `, [blockId]);
+  return result.rows[0] || null;
+}
+
+async function getQuestionOwner(questionId) {
+  const result = await pool.query(`
+    SELECT q.id, q.block_id, ur.user_id as owner_id
+    FROM questions q
+    JOIN blocks b ON q.block_id = b.id
+    LEFT JOIN unified_user_roles ur ON b.user_role_id = ur.id
+    WHERE q.id = $1
+  `, [questionId]);
+  return result.rows[0] || null;
+}
+
+async function canAccessGroup(groupId, userId) {
+  const result = await pool.query(`
+    SELECT id FROM groups WHERE id = $1 AND created_by = $2
+    UNION
+    SELECT group_id FROM group_members WHERE group_id = $1 AND user_id = $2
+  `, [groupId, userId]);
+  return result.rows.length > 0;
+}
+
+// Shared shape of the guards: load the resource, 404 if missing, 403 unless `allows` passes
+function ownershipGuard({ param, notFound, forbidden, load, allows }) {
+  return async (req, res, next) => {
+    try {
+      // Non-numeric ids belong to literal routes declared later (/groups/my-groups...)
+      const id = parseInt(req.params[param]);
+      if (isNaN(id)) {
+        return next('route');
+      }
+
+      const resource = await load(id);
+      if (!resource) {
+        return res.status(404).json({ error: notFound });
+      }
+
+      if (!(await allows(resource, req.user))) {
+        return res.status(403).json({ error: forbidden });
+      }
+
+      next();
+    } catch (error) {
+      console.error('❌ Error checking resource ownership:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+function requireBlockOwner({ param = 'id', message = 'Not authorized to modify this block' } = {}) {
+  return ownershipGuard({
+    param,
+    notFound: 'Block not found',
+    forbidden: message,
+    load: getBlockOwner,
+    allows: (block, user) => block.owner_id === user.id
+  });
+}
+
+function requireQuestionOwner({ param = 'id', message = 'Not authorized to modify this question' } = {}) {
+  return ownershipGuard({
+    param,
+    notFound: 'Question not found',
+    forbidden: message,
+    load: getQuestionOwner,
+    allows: (question, user) => question.owner_id === user.id
+  });
+}
+
+function requireGroupOwner({ param = 'id', message = 'Only the group creator can manage it' } = {}) {
+  return ownershipGuard({
+    param,
+    notFound: 'Group not found',
+    forbidden: message,
+    load: async (groupId) => {
+      const result = await pool.query('SELECT id, created_by FROM groups WHERE id = $1', [groupId]);
+      return result.rows[0] || null;
+    },
+    allows: (group, user) => group.created_by === user.id
+  });
+}
+
+// Creator or member
+function requireGroupAccess({ param = 'id', message = 'Access denied' } = {}) {
+  return ownershipGuard({
+    param,
+    notFound: 'Group not found',
+    forbidden: message,
+    load: async (groupId) => {
+      const result = await pool.query('SELECT id, created_by FROM groups WHERE id = $1', [groupId]);
+      return result.rows[0] || null;
+    },
+    allows: (group, user) => group.created_by === user.id || canAccessGroup(group.id, user.id)
+  });
+}
+
+module.exports = {
+  PANEL_ROLES,
+  ROLE_ALIASES,
+  ROLE_GROUPS,
+  normalizeRole,
+  buildRoleContext,
+  hasRole,
+  requireRole,
+  requireBlockOwner,
+  requireQuestionOwner,
+  requireGroupOwner,
+  requireGroupAccess,
+  canAccessGroup
+};
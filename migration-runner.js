@@ -0,0 +1,300 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Pool } = require('pg');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILE_PATTERN = /^(\d{4})_([a-z0-9_]+)\.sql$/;
+const UP_MARKER = /^--\s*migrate:up\s*$/m;
+const DOWN_MARKER = /^--\s*migrate:down\s*$/m;
+
+// Clave del advisory lock: dos procesos (p. ej. dos instancias arrancando) no migran a la vez
+const LOCK_KEY = 4821019;
+
+function migrationError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function checksumOf(content) {
+    return crypto.createHash('sha256').update(content.replace(/\r\n/g, '\n')).digest('hex');
+}
+
+// Migraciones SQL versionadas de migrations/NNNN_nombre.sql. Cada archivo tiene una sección
+// "-- migrate:up" y opcionalmente "-- migrate:down"; cada una se ejecuta en su propia transacción
+// y queda registrada en schema_migrations con el checksum del archivo
+class MigrationRunner {
+    constructor({ pool = null, directory = MIGRATIONS_DIR, log = console.log } = {}) {
+        this.ownsPool = !pool;
+        this.pool = pool || new Pool({
+            connectionString: process.env.DATABASE_URL,
+            ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+        });
+        this.directory = directory;
+        this.log = log;
+    }
+
+    // ==================== ARCHIVOS ====================
+
+    static parse(content, file) {
+        const upMatch = UP_MARKER.exec(content);
+        if (!upMatch) throw migrationError(`Migration ${file} has no "-- migrate:up" section`);
+
+        const downMatch = DOWN_MARKER.exec(content);
+        if (downMatch && downMatch.index < upMatch.index) {
+            throw migrationError(`Migration ${file}: "-- migrate:down" must come after "-- migrate:up"`);
+        }
+
+        const up = content.slice(upMatch.index + upMatch[0].length, downMatch ? downMatch.index : undefined).trim();
+        const down = downMatch ? content.slice(downMatch.index + downMatch[0].length).trim() : '';
+        if (!up) throw migrationError(`Migration ${file} has an empty "-- migrate:up" section`);
+
+        return { up, down: down || null };
+    }
+
+    load() {
+        const files = fs.readdirSync(this.directory).filter(file => file.endsWith('.sql')).sort();
+        const migrations = [];
+        const versions = new Set();
+
+        for (const file of files) {
+            const match = FILE_PATTERN.exec(file);
+            if (!match) throw migrationError(`Invalid migration file name: ${file} (expected NNNN_name.sql)`);
+
+            const version = parseInt(match[1], 10);
+            if (versions.has(version)) throw migrationError(`Duplicate migration version ${match[1]}`);
+            versions.add(version);
+
+            const content = fs.readFileSync(path.join(this.directory, file), 'utf8');
+            migrations.push({
+                version,
+                name: match[2],
+                file,
+                checksum: checksumOf(content),
+                ...MigrationRunner.parse(content, file)
+            });
+        }
+
+        return migrations;
+    }
+
+    // ==================== ESTADO ====================
+
+    async ensureTable(client) {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name VARCHAR(200) NOT NULL,
+                checksum CHAR(64) NOT NULL,
+                applied_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                execution_ms INTEGER,
+                baseline BOOLEAN NOT NULL DEFAULT false
+            )
+        `);
+    }
+
+    async getApplied(client) {
+        const result = await client.query('SELECT * FROM schema_migrations ORDER BY version');
+        return new Map(result.rows.map(row => [row.version, row]));
+    }
+
+    // Cada archivo como applied, pending o modified (aplicado y cambiado después), más las
+    // versiones aplicadas cuyo archivo ya no existe
+    async status() {
+        const migrations = this.load();
+        const client = await this.pool.connect();
+
+        try {
+            await this.ensureTable(client);
+            const applied = await this.getApplied(client);
+
+            const rows = migrations.map(migration => {
+                const record = applied.get(migration.version);
+                return {
+                    version: migration.version,
+                    name: migration.name,
+                    status: !record ? 'pending' : record.checksum === migration.checksum ? 'applied' : 'modified',
+                    applied_at: record ? record.applied_at : null,
+                    baseline: record ? record.baseline : false,
+                    reversible: migration.down !== null
+                };
+            });
+
+            const known = new Set(migrations.map(migration => migration.version));
+            const missing = [...applied.values()]
+                .filter(record => !known.has(record.version))
+                .map(record => ({ version: record.version, name: record.name, applied_at: record.applied_at }));
+
+            return {
+                migrations: rows,
+                missing,
+                pending: rows.filter(row => row.status === 'pending').length,
+                modified: rows.filter(row => row.status === 'modified').length
+            };
+        } finally {
+            client.release();
+        }
+    }
+
+    // ==================== EJECUCIÓN ====================
+
+    async withLock(fn) {
+        const client = await this.pool.connect();
+        try {
+            await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+            try {
+                await this.ensureTable(client);
+                return await fn(client);
+            } finally {
+                await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]);
+            }
+        } finally {
+            client.release();
+        }
+    }
+
+    // Un archivo aplicado no se puede editar: el cambio va en una migración nueva
+    verifyChecksums(migrations, applied) {
+        const modified = migrations.filter(migration => {
+            const record = applied.get(migration.version);
+            return record && record.checksum !== migration.checksum;
+        });
+
+        if (modified.length > 0) {
+            const list = modified.map(migration => migration.file).join(', ');
+            throw migrationError(`Applied migrations were modified: ${list}. Add a new migration instead`, 409);
+        }
+    }
+
+    // Aplica las pendientes hasta `to` (incluida). Con dryRun solo devuelve lo que se ejecutaría.
+    // Una base con tablas pero sin historial (creada con los scripts antiguos) no se migra desde 0001:
+    // primero hay que marcar con baseline lo que ya tiene, salvo allowExisting
+    async up({ to = null, dryRun = false, allowExisting = false } = {}) {
+        const migrations = this.load();
+
+        return this.withLock(async (client) => {
+            const applied = await this.getApplied(client);
+            this.verifyChecksums(migrations, applied);
+
+            if (applied.size === 0 && !allowExisting) {
+                const existing = await client.query("SELECT to_regclass('public.users') IS NOT NULL as has_tables");
+                if (existing.rows[0].has_tables) {
+                    throw migrationError(
+                        'The database already has tables but no migration history: mark what it has with ' +
+                        '"npm run migrate -- baseline <version>" (or pass --allow-existing to apply every migration)', 409
+                    );
+                }
+            }
+
+            const pending = migrations.filter(migration =>
+                !applied.has(migration.version) && (to === null || migration.version <= to)
+            );
+
+            if (dryRun) {
+                return { dryRun: true, migrations: pending.map(({ version, name, up }) => ({ version, name, sql: up })) };
+            }
+
+            const done = [];
+            for (const migration of pending) {
+                const started = Date.now();
+                try {
+                    await client.query('BEGIN');
+                    await client.query(migration.up);
+                    await client.query(
+                        'INSERT INTO schema_migrations (version, name, checksum, execution_ms) VALUES ($1, $2, $3, $4)',
+                        [migration.version, migration.name, migration.checksum, Date.now() - started]
+                    );
+                    await client.query('COMMIT');
+                } catch (error) {
+                    await client.query('ROLLBACK');
+                    error.message = `Migration ${migration.file} failed: ${error.message}`;
+                    throw error;
+                }
+
+                this.log(`   ✓ ${migration.file} (${Date.now() - started} ms)`);
+                done.push({ version: migration.version, name: migration.name });
+            }
+
+            return { dryRun: false, migrations: done };
+        });
+    }
+
+    // Revierte las `steps` últimas aplicadas o, con `to`, todas las posteriores a esa versión
+    async down({ to = null, steps = 1, dryRun = false } = {}) {
+        const migrations = new Map(this.load().map(migration => [migration.version, migration]));
+
+        return this.withLock(async (client) => {
+            const applied = [...(await this.getApplied(client)).values()].reverse();
+            const targets = to !== null
+                ? applied.filter(record => record.version > to)
+                : applied.slice(0, Math.max(parseInt(steps) || 1, 1));
+
+            for (const record of targets) {
+                const migration = migrations.get(record.version);
+                if (!migration) throw migrationError(`Migration file for version ${record.version} (${record.name}) not found`, 404);
+                if (migration.checksum !== record.checksum) throw migrationError(`Migration ${migration.file} was modified after being applied`, 409);
+                if (!migration.down) throw migrationError(`Migration ${migration.file} is not reversible`);
+            }
+
+            if (dryRun) {
+                return {
+                    dryRun: true,
+                    migrations: targets.map(record => ({
+                        version: record.version,
+                        name: record.name,
+                        sql: migrations.get(record.version).down
+                    }))
+                };
+            }
+
+            const done = [];
+            for (const record of targets) {
+                const migration = migrations.get(record.version);
+                const started = Date.now();
+                try {
+                    await client.query('BEGIN');
+                    await client.query(migration.down);
+                    await client.query('DELETE FROM schema_migrations WHERE version = $1', [record.version]);
+                    await client.query('COMMIT');
+                } catch (error) {
+                    await client.query('ROLLBACK');
+                    error.message = `Rollback of ${migration.file} failed: ${error.message}`;
+                    throw error;
+                }
+
+                this.log(`   ✓ ${migration.file} revertida (${Date.now() - started} ms)`);
+                done.push({ version: record.version, name: record.name });
+            }
+
+            return { dryRun: false, migrations: done };
+        });
+    }
+
+    // Para bases de datos creadas con los scripts antiguos: marca como aplicadas, sin ejecutarlas,
+    // las migraciones hasta `version` (incluida)
+    async baseline(version) {
+        const migrations = this.load().filter(migration => migration.version <= version);
+        if (migrations.length === 0) throw migrationError(`No migrations up to version ${version}`, 404);
+
+        return this.withLock(async (client) => {
+            const marked = [];
+            for (const migration of migrations) {
+                const result = await client.query(`
+                    INSERT INTO schema_migrations (version, name, checksum, baseline)
+                    VALUES ($1, $2, $3, true)
+                    ON CONFLICT (version) DO NOTHING
+                `, [migration.version, migration.name, migration.checksum]);
+
+                if (result.rowCount > 0) marked.push({ version: migration.version, name: migration.name });
+            }
+            return { migrations: marked };
+        });
+    }
+
+    async close() {
+        if (this.ownsPool) await this.pool.end();
+    }
+}
+
+module.exports = MigrationRunner;
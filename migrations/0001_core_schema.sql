@@ -0,0 +1,325 @@
+-- Migration: Core schema
+-- Purpose: Users, roles, blocks, questions and games as created by init-render-db.js, plus the tables that routes used to create on demand
+-- Date: 2026-10-19
+-- Phase: 3 - Migrations
+
+-- migrate:up
+
+-- ============================================================
+-- STEP 1: Users and roles
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS users (
+    id SERIAL PRIMARY KEY,
+    nickname VARCHAR(50) UNIQUE NOT NULL,
+    email VARCHAR(100),
+    password_hash VARCHAR(255) NOT NULL,
+    first_name VARCHAR(100),
+    last_name VARCHAR(100),
+    luminarias INTEGER DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Bases de datos antiguas: columnas que añadían update-users-schema.js y fix-users-table.js
+ALTER TABLE users ADD COLUMN IF NOT EXISTS first_name VARCHAR(100);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS last_name VARCHAR(100);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS luminarias INTEGER DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS user_profiles (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+    answer_history JSONB DEFAULT '[]',
+    stats JSONB DEFAULT '{}',
+    preferences JSONB DEFAULT '{}',
+    loaded_blocks JSONB DEFAULT '[]',
+    luminarias_actuales INTEGER DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS loaded_blocks JSONB DEFAULT '[]';
+ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS luminarias_actuales INTEGER DEFAULT 0;
+
+COMMENT ON COLUMN user_profiles.luminarias_actuales IS 'Saldo antiguo; se mantiene como reflejo del libro mayor de Luminarias';
+
+CREATE TABLE IF NOT EXISTS roles (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(50) UNIQUE NOT NULL,
+    description TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO roles (name, description) VALUES
+    ('administrador_principal', 'Administrador Principal del Sistema'),
+    ('administrador_secundario', 'Administrador secundario con acceso limitado'),
+    ('creador', 'Creador de contenido público'),
+    ('profesor', 'Profesor con grupos y alumnos'),
+    ('jugador', 'Jugador'),
+    ('servicio_tecnico', 'Servicio técnico'),
+    ('soporte_tecnico', 'Soporte técnico')
+ON CONFLICT (name) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS user_roles (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    role_id INTEGER REFERENCES roles(id) ON DELETE CASCADE,
+    auto_assigned BOOLEAN DEFAULT false,
+    assigned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, role_id)
+);
+
+ALTER TABLE user_roles ADD COLUMN IF NOT EXISTS auto_assigned BOOLEAN DEFAULT false;
+
+-- Usuarios asignados a cada administrador secundario (antes se creaba desde routes/roles-updated.js)
+CREATE TABLE IF NOT EXISTS admin_assignments (
+    id SERIAL PRIMARY KEY,
+    admin_id INTEGER REFERENCES users(id),
+    assigned_user_id INTEGER REFERENCES users(id),
+    assigned_by INTEGER REFERENCES users(id),
+    assigned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(assigned_user_id)
+);
+
+CREATE TABLE IF NOT EXISTS user_luminarias (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+    current_balance INTEGER DEFAULT 0,
+    total_earned INTEGER DEFAULT 0,
+    total_spent INTEGER DEFAULT 0,
+    lifetime_earnings INTEGER DEFAULT 0,
+    last_activity TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_users_nickname ON users(nickname);
+CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
+CREATE INDEX IF NOT EXISTS idx_users_luminarias ON users(luminarias);
+CREATE INDEX IF NOT EXISTS idx_user_profiles_user_id ON user_profiles(user_id);
+CREATE INDEX IF NOT EXISTS idx_user_roles_user_id ON user_roles(user_id);
+CREATE INDEX IF NOT EXISTS idx_user_roles_role_id ON user_roles(role_id);
+CREATE INDEX IF NOT EXISTS idx_admin_assignments_admin_id ON admin_assignments(admin_id);
+CREATE INDEX IF NOT EXISTS idx_admin_assignments_assigned_user_id ON admin_assignments(assigned_user_id);
+
+-- ============================================================
+-- STEP 2: Blocks, questions and answers
+-- ============================================================
+
+-- Catálogos de los desplegables de bloques (GET /api/blocks/types, /levels, /states)
+CREATE TABLE IF NOT EXISTS block_types (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) UNIQUE NOT NULL,
+    usage_count INTEGER DEFAULT 0
+);
+
+CREATE TABLE IF NOT EXISTS block_levels (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) UNIQUE NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS block_states (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) UNIQUE NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS blocks (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    observaciones TEXT,
+    creator_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    user_role_id INTEGER REFERENCES user_roles(id),
+    is_public BOOLEAN DEFAULT true,
+    image_url TEXT,
+    tipo_id INTEGER REFERENCES block_types(id),
+    nivel_id INTEGER REFERENCES block_levels(id),
+    estado_id INTEGER REFERENCES block_states(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Antes lo añadía auto-setup.js al arrancar
+ALTER TABLE blocks ADD COLUMN IF NOT EXISTS image_url TEXT;
+ALTER TABLE blocks ADD COLUMN IF NOT EXISTS observaciones TEXT;
+
+COMMENT ON COLUMN blocks.creator_id IS 'Columna antigua; los bloques nuevos se enlazan por user_role_id y owner_user_id';
+
+CREATE TABLE IF NOT EXISTS questions (
+    id SERIAL PRIMARY KEY,
+    block_id INTEGER REFERENCES blocks(id) ON DELETE CASCADE,
+    text_question TEXT NOT NULL,
+    topic VARCHAR(100),
+    difficulty INTEGER DEFAULT 1,
+    explanation TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS answers (
+    id SERIAL PRIMARY KEY,
+    question_id INTEGER REFERENCES questions(id) ON DELETE CASCADE,
+    answer_text TEXT NOT NULL,
+    is_correct BOOLEAN DEFAULT false,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Totales por bloque y por tema que mantienen las rutas de preguntas
+CREATE TABLE IF NOT EXISTS block_answers (
+    id SERIAL PRIMARY KEY,
+    block_id INTEGER UNIQUE REFERENCES blocks(id) ON DELETE CASCADE,
+    total_questions INTEGER DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS topic_answers (
+    id SERIAL PRIMARY KEY,
+    block_id INTEGER REFERENCES blocks(id) ON DELETE CASCADE,
+    topic VARCHAR(100) NOT NULL,
+    total_questions INTEGER DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(block_id, topic)
+);
+
+-- Bloques cargados por cada usuario (user_role_id se añade en 0009)
+CREATE TABLE IF NOT EXISTS user_loaded_blocks (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    block_id INTEGER NOT NULL REFERENCES blocks(id) ON DELETE CASCADE,
+    loaded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, block_id)
+);
+
+-- Respuestas antiguas que leen los cálculos de consolidación de niveles
+CREATE TABLE IF NOT EXISTS user_answers (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    question_id INTEGER NOT NULL REFERENCES questions(id) ON DELETE CASCADE,
+    is_correct BOOLEAN NOT NULL,
+    answered_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_blocks_user_role_id ON blocks(user_role_id);
+CREATE INDEX IF NOT EXISTS idx_blocks_creator_id ON blocks(creator_id);
+CREATE INDEX IF NOT EXISTS idx_blocks_is_public ON blocks(is_public);
+CREATE INDEX IF NOT EXISTS idx_questions_block_id ON questions(block_id);
+CREATE INDEX IF NOT EXISTS idx_answers_question_id ON answers(question_id);
+CREATE INDEX IF NOT EXISTS idx_topic_answers_block_id ON topic_answers(block_id);
+CREATE INDEX IF NOT EXISTS idx_user_loaded_blocks_user_id ON user_loaded_blocks(user_id);
+CREATE INDEX IF NOT EXISTS idx_user_answers_user_question ON user_answers(user_id, question_id);
+
+-- ============================================================
+-- STEP 3: Games
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS games (
+    id SERIAL PRIMARY KEY,
+    game_type VARCHAR(50) NOT NULL,
+    status VARCHAR(20) DEFAULT 'pending',
+    config JSONB DEFAULT '{}',
+    game_state JSONB DEFAULT '{}',
+    created_by INTEGER REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS game_players (
+    id SERIAL PRIMARY KEY,
+    game_id INTEGER NOT NULL REFERENCES games(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    player_index INTEGER NOT NULL,
+    nickname VARCHAR(50),
+    joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(game_id, player_index)
+);
+
+-- user_id y session_id se añaden en 0010
+CREATE TABLE IF NOT EXISTS game_scores (
+    id SERIAL PRIMARY KEY,
+    game_id INTEGER REFERENCES games(id) ON DELETE CASCADE,
+    game_type VARCHAR(50) NOT NULL,
+    score_data JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Configuraciones guardadas (antes se creaban desde routes/games.js al primer uso)
+CREATE TABLE IF NOT EXISTS user_game_configurations (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    game_type VARCHAR(50) NOT NULL,
+    config JSONB NOT NULL,
+    metadata JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    use_count INTEGER DEFAULT 1,
+    UNIQUE(user_id, game_type, config)
+);
+
+CREATE TABLE IF NOT EXISTS game_configurations (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    game_type VARCHAR(50) NOT NULL,
+    config JSONB NOT NULL,
+    configuration_metadata JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_games_created_by ON games(created_by, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_game_players_game_id ON game_players(game_id);
+CREATE INDEX IF NOT EXISTS idx_game_players_user_id ON game_players(user_id);
+CREATE INDEX IF NOT EXISTS idx_game_scores_game_id ON game_scores(game_id);
+CREATE INDEX IF NOT EXISTS idx_game_configurations_user_id ON game_configurations(user_id, created_at DESC);
+
+-- ============================================================
+-- STEP 4: updated_at triggers
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS update_users_updated_at ON users;
+CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_user_profiles_updated_at ON user_profiles;
+CREATE TRIGGER update_user_profiles_updated_at BEFORE UPDATE ON user_profiles FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_blocks_updated_at ON blocks;
+CREATE TRIGGER update_blocks_updated_at BEFORE UPDATE ON blocks FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_questions_updated_at ON questions;
+CREATE TRIGGER update_questions_updated_at BEFORE UPDATE ON questions FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_games_updated_at ON games;
+CREATE TRIGGER update_games_updated_at BEFORE UPDATE ON games FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- migrate:down
+
+DROP TABLE IF EXISTS game_configurations;
+DROP TABLE IF EXISTS user_game_configurations;
+DROP TABLE IF EXISTS game_scores;
+DROP TABLE IF EXISTS game_players;
+DROP TABLE IF EXISTS games;
+DROP TABLE IF EXISTS user_answers;
+DROP TABLE IF EXISTS user_loaded_blocks;
+DROP TABLE IF EXISTS topic_answers;
+DROP TABLE IF EXISTS block_answers;
+DROP TABLE IF EXISTS answers;
+DROP TABLE IF EXISTS questions;
+DROP TABLE IF EXISTS blocks;
+DROP TABLE IF EXISTS block_states;
+DROP TABLE IF EXISTS block_levels;
+DROP TABLE IF EXISTS block_types;
+DROP TABLE IF EXISTS user_luminarias;
+DROP TABLE IF EXISTS admin_assignments;
+DROP TABLE IF EXISTS user_roles;
+DROP TABLE IF EXISTS roles;
+DROP TABLE IF EXISTS user_profiles;
+DROP TABLE IF EXISTS users;
+DROP FUNCTION IF EXISTS update_updated_at_column();
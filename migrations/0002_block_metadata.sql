@@ -0,0 +1,240 @@
+-- Migration: Block metadata
+-- Purpose: Knowledge areas, tags, state history and the expanded block columns (formerly update-blocks-schema.js)
+-- Date: 2026-10-19
+-- Phase: 3 - Migrations
+
+-- migrate:up
+
+-- ============================================================
+-- STEP 1: Knowledge areas and tags
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS knowledge_areas (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) UNIQUE NOT NULL,
+    description TEXT,
+    parent_id INTEGER REFERENCES knowledge_areas(id),
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO knowledge_areas (name, description) VALUES
+    ('Ciencias Exactas', 'Matemáticas, Física, Química'),
+    ('Ciencias Naturales', 'Biología, Geología, Medicina'),
+    ('Ciencias Sociales', 'Historia, Geografía, Sociología'),
+    ('Humanidades', 'Filosofía, Literatura, Arte'),
+    ('Tecnología', 'Informática, Ingeniería, Telecomunicaciones'),
+    ('Idiomas', 'Lenguas extranjeras y comunicación'),
+    ('Derecho', 'Jurisprudencia y legislación'),
+    ('Economía', 'Finanzas, Administración, Contabilidad'),
+    ('Educación', 'Pedagogía y métodos educativos'),
+    ('Salud', 'Medicina, Enfermería, Farmacia'),
+    ('Deportes', 'Educación física y deportes'),
+    ('Arte y Diseño', 'Bellas artes, diseño gráfico, música'),
+    ('Oposiciones', 'Preparación para oposiciones públicas'),
+    ('Certificaciones', 'Certificaciones profesionales y técnicas'),
+    ('Otros', 'Otras áreas no clasificadas')
+ON CONFLICT (name) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS block_tags (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(50) UNIQUE NOT NULL,
+    usage_count INTEGER DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS block_tag_relations (
+    id SERIAL PRIMARY KEY,
+    block_id INTEGER REFERENCES blocks(id) ON DELETE CASCADE,
+    tag_id INTEGER REFERENCES block_tags(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(block_id, tag_id)
+);
+
+CREATE TABLE IF NOT EXISTS block_state_history (
+    id SERIAL PRIMARY KEY,
+    block_id INTEGER REFERENCES blocks(id) ON DELETE CASCADE,
+    previous_state VARCHAR(20),
+    new_state VARCHAR(20) NOT NULL,
+    changed_by INTEGER REFERENCES users(id),
+    change_reason TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================================
+-- STEP 2: Expanded block columns
+-- ============================================================
+
+ALTER TABLE blocks ADD COLUMN IF NOT EXISTS detailed_description TEXT;
+ALTER TABLE blocks ADD COLUMN IF NOT EXISTS block_type VARCHAR(30) DEFAULT 'Otro';
+ALTER TABLE blocks ADD COLUMN IF NOT EXISTS education_level VARCHAR(30) DEFAULT 'Universidad';
+ALTER TABLE blocks ADD COLUMN IF NOT EXISTS scope VARCHAR(30) DEFAULT 'Local';
+ALTER TABLE blocks ADD COLUMN IF NOT EXISTS knowledge_area_id INTEGER REFERENCES knowledge_areas(id);
+ALTER TABLE blocks ADD COLUMN IF NOT EXISTS difficulty_level VARCHAR(20) DEFAULT 'Intermedio';
+ALTER TABLE blocks ADD COLUMN IF NOT EXISTS content_language VARCHAR(10) DEFAULT 'es';
+ALTER TABLE blocks ADD COLUMN IF NOT EXISTS author_observations TEXT;
+ALTER TABLE blocks ADD COLUMN IF NOT EXISTS block_state VARCHAR(20) DEFAULT 'private';
+ALTER TABLE blocks ADD COLUMN IF NOT EXISTS publication_date TIMESTAMP;
+ALTER TABLE blocks ADD COLUMN IF NOT EXISTS last_state_change TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+ALTER TABLE blocks ADD COLUMN IF NOT EXISTS view_count INTEGER DEFAULT 0;
+ALTER TABLE blocks ADD COLUMN IF NOT EXISTS download_count INTEGER DEFAULT 0;
+ALTER TABLE blocks ADD COLUMN IF NOT EXISTS average_rating DECIMAL(3,2) DEFAULT 0.00;
+ALTER TABLE blocks ADD COLUMN IF NOT EXISTS rating_count INTEGER DEFAULT 0;
+
+UPDATE blocks SET block_state = CASE WHEN is_public = true THEN 'public' ELSE 'private' END
+WHERE block_state IS NULL OR block_state = 'private';
+
+-- ============================================================
+-- STEP 3: Functions and triggers
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION update_tag_usage_count()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        UPDATE block_tags SET usage_count = usage_count + 1 WHERE id = NEW.tag_id;
+        RETURN NEW;
+    ELSIF TG_OP = 'DELETE' THEN
+        UPDATE block_tags SET usage_count = GREATEST(usage_count - 1, 0) WHERE id = OLD.tag_id;
+        RETURN OLD;
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_update_tag_usage ON block_tag_relations;
+CREATE TRIGGER trigger_update_tag_usage
+    AFTER INSERT OR DELETE ON block_tag_relations
+    FOR EACH ROW EXECUTE FUNCTION update_tag_usage_count();
+
+CREATE OR REPLACE FUNCTION log_block_state_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF OLD.block_state IS DISTINCT FROM NEW.block_state THEN
+        INSERT INTO block_state_history (block_id, previous_state, new_state, changed_by)
+        VALUES (NEW.id, OLD.block_state, NEW.block_state, NEW.creator_id);
+
+        IF NEW.block_state = 'public' AND OLD.block_state != 'public' THEN
+            NEW.publication_date = NOW();
+        END IF;
+
+        NEW.last_state_change = NOW();
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_log_state_change ON blocks;
+CREATE TRIGGER trigger_log_state_change
+    BEFORE UPDATE ON blocks
+    FOR EACH ROW EXECUTE FUNCTION log_block_state_change();
+
+CREATE OR REPLACE FUNCTION validate_block_for_publication(p_block_id INTEGER)
+RETURNS TABLE (
+    is_valid BOOLEAN,
+    missing_fields TEXT[],
+    warnings TEXT[]
+) AS $$
+DECLARE
+    block_data RECORD;
+    missing_list TEXT[] := ARRAY[]::TEXT[];
+    warning_list TEXT[] := ARRAY[]::TEXT[];
+    question_count INTEGER;
+    tag_count INTEGER;
+BEGIN
+    SELECT b.*, ka.name as knowledge_area_name
+    INTO block_data
+    FROM blocks b
+    LEFT JOIN knowledge_areas ka ON b.knowledge_area_id = ka.id
+    WHERE b.id = p_block_id;
+
+    IF NOT FOUND THEN
+        RETURN QUERY SELECT false, ARRAY['Bloque no encontrado'], ARRAY[]::TEXT[];
+        RETURN;
+    END IF;
+
+    SELECT COUNT(*) INTO question_count FROM questions WHERE block_id = p_block_id;
+    SELECT COUNT(*) INTO tag_count FROM block_tag_relations WHERE block_id = p_block_id;
+
+    IF block_data.name IS NULL OR length(trim(block_data.name)) = 0 THEN
+        missing_list := array_append(missing_list, 'Nombre del bloque');
+    END IF;
+
+    IF block_data.detailed_description IS NULL OR length(trim(block_data.detailed_description)) < 50 THEN
+        missing_list := array_append(missing_list, 'Descripción detallada (mínimo 50 caracteres)');
+    END IF;
+
+    IF question_count = 0 THEN
+        missing_list := array_append(missing_list, 'Al menos una pregunta');
+    END IF;
+
+    IF block_data.knowledge_area_id IS NULL THEN
+        missing_list := array_append(missing_list, 'Área de conocimiento');
+    END IF;
+
+    IF question_count < 10 THEN
+        warning_list := array_append(warning_list, 'Pocos contenidos: menos de 10 preguntas');
+    END IF;
+
+    IF tag_count < 3 THEN
+        warning_list := array_append(warning_list, 'Recomendado: añadir al menos 3 tags para mejor descubrimiento');
+    END IF;
+
+    IF block_data.author_observations IS NULL OR length(trim(block_data.author_observations)) < 100 THEN
+        warning_list := array_append(warning_list, 'Recomendado: añadir observaciones del autor para guiar a los usuarios');
+    END IF;
+
+    RETURN QUERY SELECT
+        (array_length(missing_list, 1) IS NULL OR array_length(missing_list, 1) = 0),
+        missing_list,
+        warning_list;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================
+-- STEP 4: Indexes
+-- ============================================================
+
+CREATE INDEX IF NOT EXISTS idx_blocks_state ON blocks(block_state);
+CREATE INDEX IF NOT EXISTS idx_blocks_type ON blocks(block_type);
+CREATE INDEX IF NOT EXISTS idx_blocks_education_level ON blocks(education_level);
+CREATE INDEX IF NOT EXISTS idx_blocks_scope ON blocks(scope);
+CREATE INDEX IF NOT EXISTS idx_blocks_difficulty ON blocks(difficulty_level);
+CREATE INDEX IF NOT EXISTS idx_blocks_knowledge_area ON blocks(knowledge_area_id);
+CREATE INDEX IF NOT EXISTS idx_blocks_language ON blocks(content_language);
+CREATE INDEX IF NOT EXISTS idx_blocks_rating ON blocks(average_rating);
+CREATE INDEX IF NOT EXISTS idx_blocks_publication_date ON blocks(publication_date DESC);
+CREATE INDEX IF NOT EXISTS idx_block_tags_usage ON block_tags(usage_count DESC);
+CREATE INDEX IF NOT EXISTS idx_block_tag_relations_block ON block_tag_relations(block_id);
+CREATE INDEX IF NOT EXISTS idx_block_tag_relations_tag ON block_tag_relations(tag_id);
+CREATE INDEX IF NOT EXISTS idx_block_state_history_block ON block_state_history(block_id, created_at DESC);
+
+-- migrate:down
+
+DROP TRIGGER IF EXISTS trigger_log_state_change ON blocks;
+DROP FUNCTION IF EXISTS validate_block_for_publication(INTEGER);
+DROP FUNCTION IF EXISTS log_block_state_change();
+DROP TABLE IF EXISTS block_tag_relations;
+DROP FUNCTION IF EXISTS update_tag_usage_count();
+DROP TABLE IF EXISTS block_tags;
+DROP TABLE IF EXISTS block_state_history;
+
+ALTER TABLE blocks
+    DROP COLUMN IF EXISTS detailed_description,
+    DROP COLUMN IF EXISTS block_type,
+    DROP COLUMN IF EXISTS education_level,
+    DROP COLUMN IF EXISTS scope,
+    DROP COLUMN IF EXISTS knowledge_area_id,
+    DROP COLUMN IF EXISTS difficulty_level,
+    DROP COLUMN IF EXISTS content_language,
+    DROP COLUMN IF EXISTS author_observations,
+    DROP COLUMN IF EXISTS block_state,
+    DROP COLUMN IF EXISTS publication_date,
+    DROP COLUMN IF EXISTS last_state_change,
+    DROP COLUMN IF EXISTS view_count,
+    DROP COLUMN IF EXISTS download_count,
+    DROP COLUMN IF EXISTS average_rating,
+    DROP COLUMN IF EXISTS rating_count;
+
+DROP TABLE IF EXISTS knowledge_areas;
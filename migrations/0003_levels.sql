@@ -0,0 +1,633 @@
+-- Migration: Levels system
+-- Purpose: Creator, teacher and per-block user levels, weekly payments, badges and the async level calculations (formerly levels-database.js and levels-setup.js)
+-- Date: 2026-10-19
+-- Phase: 3 - Migrations
+
+-- migrate:up
+
+-- ============================================================
+-- STEP 1: Level tables
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS level_definitions (
+    id SERIAL PRIMARY KEY,
+    level_type VARCHAR(20) NOT NULL CHECK (level_type IN ('creator', 'teacher', 'user')),
+    level_name VARCHAR(50) NOT NULL,
+    level_order INTEGER NOT NULL,
+    min_threshold INTEGER NOT NULL,
+    max_threshold INTEGER,
+    weekly_luminarias INTEGER DEFAULT 0,
+    benefits JSONB DEFAULT '{}',
+    badge_config JSONB DEFAULT '{}',
+    description TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(level_type, level_name),
+    UNIQUE(level_type, level_order)
+);
+
+CREATE TABLE IF NOT EXISTS user_levels (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    level_type VARCHAR(20) NOT NULL CHECK (level_type IN ('creator', 'teacher', 'user')),
+    block_id INTEGER REFERENCES blocks(id) ON DELETE CASCADE, -- Solo para tipo 'user'
+    current_level_id INTEGER REFERENCES level_definitions(id),
+    current_metrics JSONB DEFAULT '{}',
+    last_calculated TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    achieved_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, level_type, block_id),
+    CHECK (
+        (level_type = 'user' AND block_id IS NOT NULL) OR
+        (level_type IN ('creator', 'teacher') AND block_id IS NULL)
+    )
+);
+
+CREATE TABLE IF NOT EXISTS level_progression_history (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    level_type VARCHAR(20) NOT NULL,
+    block_id INTEGER REFERENCES blocks(id) ON DELETE CASCADE,
+    previous_level_id INTEGER REFERENCES level_definitions(id),
+    new_level_id INTEGER REFERENCES level_definitions(id),
+    promotion_metrics JSONB DEFAULT '{}',
+    promoted_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    notification_sent BOOLEAN DEFAULT false
+);
+
+CREATE TABLE IF NOT EXISTS user_activity_metrics (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    block_id INTEGER REFERENCES blocks(id) ON DELETE CASCADE,
+    metric_date DATE DEFAULT CURRENT_DATE,
+    sessions_count INTEGER DEFAULT 0,
+    questions_answered INTEGER DEFAULT 0,
+    correct_answers INTEGER DEFAULT 0,
+    time_spent_minutes INTEGER DEFAULT 0,
+    games_played INTEGER DEFAULT 0,
+    consolidation_percentage DECIMAL(5,2) DEFAULT 0.00,
+    is_active BOOLEAN DEFAULT true,
+    last_activity TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, block_id, metric_date)
+);
+
+CREATE TABLE IF NOT EXISTS weekly_luminarias_payments (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    level_type VARCHAR(20) NOT NULL,
+    level_id INTEGER REFERENCES level_definitions(id),
+    week_start_date DATE NOT NULL,
+    week_end_date DATE NOT NULL,
+    base_amount INTEGER NOT NULL,
+    bonus_amount INTEGER DEFAULT 0,
+    total_amount INTEGER NOT NULL,
+    metrics_snapshot JSONB DEFAULT '{}',
+    payment_status VARCHAR(20) DEFAULT 'pending' CHECK (payment_status IN ('pending', 'paid', 'failed', 'cancelled')),
+    processed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, level_type, week_start_date)
+);
+
+CREATE TABLE IF NOT EXISTS user_block_consolidation (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    block_id INTEGER REFERENCES blocks(id) ON DELETE CASCADE,
+    total_questions INTEGER DEFAULT 0,
+    answered_questions INTEGER DEFAULT 0,
+    correct_answers INTEGER DEFAULT 0,
+    consolidation_percentage DECIMAL(5,2) DEFAULT 0.00,
+    last_activity TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    calculated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, block_id)
+);
+
+CREATE TABLE IF NOT EXISTS user_level_benefits (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    level_type VARCHAR(20) NOT NULL,
+    benefit_type VARCHAR(50) NOT NULL,
+    benefit_data JSONB DEFAULT '{}',
+    is_active BOOLEAN DEFAULT true,
+    activated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP WITH TIME ZONE
+);
+
+-- ============================================================
+-- STEP 2: Level definitions
+-- ============================================================
+
+INSERT INTO level_definitions (
+    level_type, level_name, level_order, min_threshold, max_threshold,
+    weekly_luminarias, description, benefits, badge_config
+) VALUES
+    ('creator', 'Semilla', 1, 1, 49, 40, 'Creador principiante con audiencia inicial',
+        '{"challenge_creation_boost": 10, "analytics_access": false, "premium_templates": false, "priority_support": false}',
+        '{"icon": "creator-1", "color": "#8B5CF6", "gradient": true}'),
+    ('creator', 'Chispa', 2, 50, 149, 60, 'Creador con crecimiento constante',
+        '{"challenge_creation_boost": 20, "analytics_access": false, "premium_templates": false, "priority_support": false}',
+        '{"icon": "creator-2", "color": "#06B6D4", "gradient": true}'),
+    ('creator', 'Constructor', 3, 150, 499, 90, 'Creador establecido con audiencia sólida',
+        '{"challenge_creation_boost": 30, "analytics_access": true, "premium_templates": false, "priority_support": false}',
+        '{"icon": "creator-3", "color": "#10B981", "gradient": true}'),
+    ('creator', 'Orador', 4, 500, 999, 130, 'Creador influyente con gran alcance',
+        '{"challenge_creation_boost": 40, "analytics_access": true, "premium_templates": true, "priority_support": false}',
+        '{"icon": "creator-4", "color": "#F59E0B", "gradient": true}'),
+    ('creator', 'Visionario', 5, 1000, NULL, 180, 'Creador líder con impacto masivo',
+        '{"challenge_creation_boost": 50, "analytics_access": true, "premium_templates": true, "priority_support": true}',
+        '{"icon": "creator-5", "color": "#EF4444", "gradient": true}'),
+    ('teacher', 'Guía', 1, 1, 15, 50, 'Profesor con grupo pequeño',
+        '{"student_management_tools": true, "advanced_reports": false, "custom_assignments": false, "institutional_features": false}',
+        '{"icon": "teacher-1", "color": "#3B82F6", "gradient": true}'),
+    ('teacher', 'Instructor', 2, 16, 35, 75, 'Profesor con clase mediana',
+        '{"student_management_tools": true, "advanced_reports": false, "custom_assignments": false, "institutional_features": false}',
+        '{"icon": "teacher-2", "color": "#8B5CF6", "gradient": true}'),
+    ('teacher', 'Consejero', 3, 36, 60, 110, 'Profesor con múltiples grupos',
+        '{"student_management_tools": true, "advanced_reports": true, "custom_assignments": false, "institutional_features": false}',
+        '{"icon": "teacher-3", "color": "#10B981", "gradient": true}'),
+    ('teacher', 'Erudito', 4, 61, 100, 150, 'Profesor con gran número de estudiantes',
+        '{"student_management_tools": true, "advanced_reports": true, "custom_assignments": true, "institutional_features": false}',
+        '{"icon": "teacher-4", "color": "#F59E0B", "gradient": true}'),
+    ('teacher', 'Maestro Jedi', 5, 101, NULL, 200, 'Profesor maestro con impacto institucional',
+        '{"student_management_tools": true, "advanced_reports": true, "custom_assignments": true, "institutional_features": true}',
+        '{"icon": "teacher-5", "color": "#EF4444", "gradient": true}'),
+    ('user', 'Aprendiz', 1, 0, 25, 0, 'Iniciando el aprendizaje',
+        '{"challenge_access": "basic", "advanced_challenges": false, "expert_challenges": false, "mastery_challenges": false, "bonus_rewards": 5}',
+        '{"icon": "user-1", "color": "#6B7280", "gradient": false}'),
+    ('user', 'Explorador', 2, 26, 50, 0, 'Explorando nuevos conceptos',
+        '{"challenge_access": "intermediate", "advanced_challenges": false, "expert_challenges": false, "mastery_challenges": false, "bonus_rewards": 10}',
+        '{"icon": "user-2", "color": "#3B82F6", "gradient": false}'),
+    ('user', 'Estratega', 3, 51, 80, 0, 'Dominando estrategias avanzadas',
+        '{"challenge_access": "intermediate", "advanced_challenges": true, "expert_challenges": false, "mastery_challenges": false, "bonus_rewards": 15}',
+        '{"icon": "user-3", "color": "#8B5CF6", "gradient": false}'),
+    ('user', 'Sabio', 4, 81, 95, 0, 'Conocimiento experto del tema',
+        '{"challenge_access": "intermediate", "advanced_challenges": true, "expert_challenges": true, "mastery_challenges": false, "bonus_rewards": 20}',
+        '{"icon": "user-4", "color": "#F59E0B", "gradient": true}'),
+    ('user', 'Gran Maestro', 5, 96, 100, 0, 'Maestría completa del bloque',
+        '{"challenge_access": "intermediate", "advanced_challenges": true, "expert_challenges": true, "mastery_challenges": true, "bonus_rewards": 25}',
+        '{"icon": "user-5", "color": "#EF4444", "gradient": true}')
+ON CONFLICT (level_type, level_name) DO UPDATE SET
+    min_threshold = EXCLUDED.min_threshold,
+    max_threshold = EXCLUDED.max_threshold,
+    weekly_luminarias = EXCLUDED.weekly_luminarias,
+    description = EXCLUDED.description;
+
+-- ============================================================
+-- STEP 3: Notifications, badges and transactions
+-- ============================================================
+
+-- user_notification_preferences y user_push_tokens se crean en la migración notification_dispatch
+
+CREATE TABLE IF NOT EXISTS user_notifications (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    notification_type VARCHAR(50) NOT NULL,
+    title VARCHAR(200) NOT NULL,
+    message TEXT NOT NULL,
+    data JSONB DEFAULT '{}',
+    icon VARCHAR(100),
+    priority VARCHAR(20) DEFAULT 'medium' CHECK (priority IN ('low', 'medium', 'high')),
+    read_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Las definiciones de badges las inserta LevelsBadgeSystem.createBadgeDefinitions()
+CREATE TABLE IF NOT EXISTS badge_definitions (
+    id SERIAL PRIMARY KEY,
+    badge_type VARCHAR(50) NOT NULL,
+    level_name VARCHAR(50),
+    name VARCHAR(100) NOT NULL UNIQUE,
+    description TEXT NOT NULL,
+    icon VARCHAR(100) NOT NULL,
+    color VARCHAR(7) NOT NULL,
+    rarity VARCHAR(20) DEFAULT 'common' CHECK (rarity IN ('common', 'uncommon', 'rare', 'epic', 'legendary')),
+    trigger_condition JSONB DEFAULT '{}',
+    benefits JSONB DEFAULT '{}',
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS user_badges (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    badge_id INTEGER REFERENCES badge_definitions(id) ON DELETE CASCADE,
+    earned_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    metadata JSONB DEFAULT '{}',
+    UNIQUE(user_id, badge_id)
+);
+
+CREATE TABLE IF NOT EXISTS user_transactions (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    transaction_type VARCHAR(50) NOT NULL,
+    amount INTEGER NOT NULL,
+    description TEXT,
+    metadata JSONB DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================================
+-- STEP 4: Async level calculations
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS async_level_calculations (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    block_id INTEGER,
+    calculation_type VARCHAR(50) NOT NULL,
+    trigger_source VARCHAR(50) NOT NULL,
+    processed BOOLEAN DEFAULT false,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    processed_at TIMESTAMP WITH TIME ZONE,
+    UNIQUE(user_id, block_id, calculation_type)
+);
+
+-- Los cálculos de creador no tienen bloque y UNIQUE no trata NULL como igual: sin este índice
+-- el ON CONFLICT de handle_game_changes() fallaba en cada INSERT en games
+CREATE UNIQUE INDEX IF NOT EXISTS idx_async_calculations_user_type_no_block
+    ON async_level_calculations(user_id, calculation_type) WHERE block_id IS NULL;
+
+-- ============================================================
+-- STEP 5: Indexes
+-- ============================================================
+
+CREATE INDEX IF NOT EXISTS idx_user_levels_user_type ON user_levels(user_id, level_type);
+CREATE INDEX IF NOT EXISTS idx_user_levels_block ON user_levels(user_id, block_id);
+CREATE INDEX IF NOT EXISTS idx_activity_metrics_user_date ON user_activity_metrics(user_id, metric_date);
+CREATE INDEX IF NOT EXISTS idx_activity_metrics_block_date ON user_activity_metrics(block_id, metric_date);
+CREATE INDEX IF NOT EXISTS idx_consolidation_user_block ON user_block_consolidation(user_id, block_id);
+CREATE INDEX IF NOT EXISTS idx_progression_history_user ON level_progression_history(user_id, promoted_at);
+CREATE INDEX IF NOT EXISTS idx_weekly_payments_user_week ON weekly_luminarias_payments(user_id, week_start_date);
+CREATE INDEX IF NOT EXISTS idx_level_benefits_user_active ON user_level_benefits(user_id, is_active);
+CREATE INDEX IF NOT EXISTS idx_level_definitions_type_order ON level_definitions(level_type, level_order);
+CREATE INDEX IF NOT EXISTS idx_weekly_payments_status ON weekly_luminarias_payments(payment_status, week_start_date);
+CREATE INDEX IF NOT EXISTS idx_user_notifications_user_id ON user_notifications(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_user_badges_user_id ON user_badges(user_id, earned_at);
+CREATE INDEX IF NOT EXISTS idx_user_badges_badge_id ON user_badges(badge_id);
+CREATE INDEX IF NOT EXISTS idx_badge_definitions_type ON badge_definitions(badge_type, level_name);
+CREATE INDEX IF NOT EXISTS idx_user_transactions_user_type ON user_transactions(user_id, transaction_type, created_at);
+CREATE INDEX IF NOT EXISTS idx_async_calculations_processed ON async_level_calculations(processed, created_at);
+
+-- ============================================================
+-- STEP 6: Level functions and triggers
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION calculate_user_consolidation(p_user_id INTEGER, p_block_id INTEGER)
+RETURNS DECIMAL AS $$
+DECLARE
+    total_q INTEGER;
+    answered_q INTEGER;
+    correct_q INTEGER;
+    consolidation DECIMAL;
+BEGIN
+    -- Contar preguntas totales del bloque
+    SELECT COUNT(*) INTO total_q
+    FROM questions q
+    WHERE q.block_id = p_block_id;
+
+    IF total_q = 0 THEN
+        RETURN 0;
+    END IF;
+
+    -- Contar respuestas del usuario para este bloque
+    SELECT
+        COUNT(DISTINCT ua.question_id),
+        COUNT(DISTINCT CASE WHEN ua.is_correct THEN ua.question_id END)
+    INTO answered_q, correct_q
+    FROM user_answers ua
+    JOIN questions q ON ua.question_id = q.id
+    WHERE ua.user_id = p_user_id
+        AND q.block_id = p_block_id;
+
+    -- Calcular consolidación basada en respuestas correctas únicas
+    consolidation := (correct_q::DECIMAL / total_q::DECIMAL) * 100;
+
+    -- Actualizar tabla de consolidación
+    INSERT INTO user_block_consolidation (
+        user_id, block_id, total_questions, answered_questions,
+        correct_answers, consolidation_percentage, calculated_at
+    ) VALUES (
+        p_user_id, p_block_id, total_q, answered_q,
+        correct_q, consolidation, CURRENT_TIMESTAMP
+    )
+    ON CONFLICT (user_id, block_id) DO UPDATE SET
+        total_questions = EXCLUDED.total_questions,
+        answered_questions = EXCLUDED.answered_questions,
+        correct_answers = EXCLUDED.correct_answers,
+        consolidation_percentage = EXCLUDED.consolidation_percentage,
+        calculated_at = EXCLUDED.calculated_at,
+        last_activity = CURRENT_TIMESTAMP;
+
+    RETURN consolidation;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION count_active_users_for_creator(p_creator_id INTEGER, p_days INTEGER DEFAULT 30)
+RETURNS INTEGER AS $$
+DECLARE
+    active_count INTEGER;
+BEGIN
+    -- Usuarios que han jugado bloques del creador en los últimos p_days días
+    SELECT COUNT(DISTINCT gp.user_id) INTO active_count
+    FROM game_players gp
+    JOIN games g ON gp.game_id = g.id
+    JOIN blocks b ON CAST(b.id AS TEXT) = ANY(SELECT jsonb_object_keys(g.config))
+    WHERE b.creator_id = p_creator_id
+        AND g.created_at >= CURRENT_TIMESTAMP - p_days * INTERVAL '1 day'
+        AND g.status = 'completed';
+
+    RETURN COALESCE(active_count, 0);
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION count_active_students_for_teacher(p_teacher_id INTEGER, p_days INTEGER DEFAULT 30)
+RETURNS INTEGER AS $$
+DECLARE
+    active_count INTEGER;
+BEGIN
+    -- Contar usuarios activos asignados a este profesor
+    -- Esto requiere una relación profesor-alumno que puede definirse
+    -- Por ahora, contamos usuarios que han interactuado con bloques del profesor
+    SELECT COUNT(DISTINCT gp.user_id) INTO active_count
+    FROM game_players gp
+    JOIN games g ON gp.game_id = g.id
+    JOIN blocks b ON CAST(b.id AS TEXT) = ANY(SELECT jsonb_object_keys(g.config))
+    WHERE b.creator_id = p_teacher_id
+        AND g.created_at >= CURRENT_TIMESTAMP - p_days * INTERVAL '1 day'
+        AND g.status = 'completed'
+        AND gp.user_id != p_teacher_id; -- Excluir al propio profesor
+
+    RETURN COALESCE(active_count, 0);
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION update_user_levels()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- Actualizar nivel de usuario por bloque cuando cambia consolidación
+    IF TG_TABLE_NAME = 'user_block_consolidation' THEN
+        PERFORM update_user_level_by_consolidation(NEW.user_id, NEW.block_id, NEW.consolidation_percentage);
+    END IF;
+
+    -- Actualizar niveles de creador/profesor cuando cambia actividad
+    IF TG_TABLE_NAME = 'user_activity_metrics' THEN
+        PERFORM update_creator_teacher_levels(NEW.user_id);
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_update_consolidation_levels ON user_block_consolidation;
+CREATE TRIGGER trigger_update_consolidation_levels
+    AFTER INSERT OR UPDATE ON user_block_consolidation
+    FOR EACH ROW EXECUTE FUNCTION update_user_levels();
+
+DROP TRIGGER IF EXISTS trigger_update_activity_levels ON user_activity_metrics;
+CREATE TRIGGER trigger_update_activity_levels
+    AFTER INSERT OR UPDATE ON user_activity_metrics
+    FOR EACH ROW EXECUTE FUNCTION update_user_levels();
+
+CREATE OR REPLACE FUNCTION update_user_level_by_consolidation(p_user_id INTEGER, p_block_id INTEGER, p_consolidation DECIMAL)
+RETURNS VOID AS $$
+DECLARE
+    new_level_id INTEGER;
+    current_level_id INTEGER;
+    level_record RECORD;
+BEGIN
+    -- Determinar nuevo nivel basado en consolidación
+    SELECT id INTO new_level_id
+    FROM level_definitions
+    WHERE level_type = 'user'
+        AND p_consolidation >= min_threshold
+        AND (max_threshold IS NULL OR p_consolidation <= max_threshold)
+    ORDER BY level_order DESC
+    LIMIT 1;
+
+    IF new_level_id IS NULL THEN
+        -- Nivel más bajo por defecto
+        SELECT id INTO new_level_id
+        FROM level_definitions
+        WHERE level_type = 'user'
+        ORDER BY level_order ASC
+        LIMIT 1;
+    END IF;
+
+    -- Obtener nivel actual
+    SELECT current_level_id INTO current_level_id
+    FROM user_levels
+    WHERE user_id = p_user_id
+        AND level_type = 'user'
+        AND block_id = p_block_id;
+
+    -- Si hay cambio de nivel
+    IF current_level_id IS NULL OR current_level_id != new_level_id THEN
+        -- Actualizar o insertar nivel actual
+        INSERT INTO user_levels (user_id, level_type, block_id, current_level_id, current_metrics, achieved_at)
+        VALUES (p_user_id, 'user', p_block_id, new_level_id,
+                jsonb_build_object('consolidation', p_consolidation), CURRENT_TIMESTAMP)
+        ON CONFLICT (user_id, level_type, block_id) DO UPDATE SET
+            current_level_id = EXCLUDED.current_level_id,
+            current_metrics = EXCLUDED.current_metrics,
+            achieved_at = EXCLUDED.achieved_at,
+            last_calculated = CURRENT_TIMESTAMP;
+
+        -- Registrar en historial si hay cambio
+        IF current_level_id IS NOT NULL AND current_level_id != new_level_id THEN
+            INSERT INTO level_progression_history (
+                user_id, level_type, block_id, previous_level_id, new_level_id,
+                promotion_metrics, promoted_at
+            ) VALUES (
+                p_user_id, 'user', p_block_id, current_level_id, new_level_id,
+                jsonb_build_object('consolidation', p_consolidation, 'trigger', 'auto_consolidation'),
+                CURRENT_TIMESTAMP
+            );
+        END IF;
+    END IF;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION update_creator_teacher_levels(p_user_id INTEGER)
+RETURNS VOID AS $$
+DECLARE
+    active_users INTEGER;
+    active_students INTEGER;
+    new_creator_level INTEGER;
+    new_teacher_level INTEGER;
+    current_creator_level INTEGER;
+    current_teacher_level INTEGER;
+BEGIN
+    -- Calcular usuarios activos para creador
+    SELECT count_active_users_for_creator(p_user_id) INTO active_users;
+
+    -- Calcular estudiantes activos para profesor
+    SELECT count_active_students_for_teacher(p_user_id) INTO active_students;
+
+    -- Determinar nuevo nivel de creador
+    SELECT id INTO new_creator_level
+    FROM level_definitions
+    WHERE level_type = 'creator'
+        AND active_users >= min_threshold
+        AND (max_threshold IS NULL OR active_users <= max_threshold)
+    ORDER BY level_order DESC
+    LIMIT 1;
+
+    -- Determinar nuevo nivel de profesor
+    SELECT id INTO new_teacher_level
+    FROM level_definitions
+    WHERE level_type = 'teacher'
+        AND active_students >= min_threshold
+        AND (max_threshold IS NULL OR active_students <= max_threshold)
+    ORDER BY level_order DESC
+    LIMIT 1;
+
+    -- Obtener niveles actuales
+    SELECT current_level_id INTO current_creator_level
+    FROM user_levels
+    WHERE user_id = p_user_id AND level_type = 'creator';
+
+    SELECT current_level_id INTO current_teacher_level
+    FROM user_levels
+    WHERE user_id = p_user_id AND level_type = 'teacher';
+
+    -- Actualizar nivel de creador si es necesario
+    IF new_creator_level IS NOT NULL AND
+       (current_creator_level IS NULL OR current_creator_level != new_creator_level) THEN
+
+        INSERT INTO user_levels (user_id, level_type, current_level_id, current_metrics, achieved_at)
+        VALUES (p_user_id, 'creator', new_creator_level,
+                jsonb_build_object('active_users', active_users), CURRENT_TIMESTAMP)
+        ON CONFLICT (user_id, level_type, block_id) DO UPDATE SET
+            current_level_id = EXCLUDED.current_level_id,
+            current_metrics = EXCLUDED.current_metrics,
+            achieved_at = EXCLUDED.achieved_at,
+            last_calculated = CURRENT_TIMESTAMP;
+
+        -- Historial de creador
+        IF current_creator_level IS NOT NULL AND current_creator_level != new_creator_level THEN
+            INSERT INTO level_progression_history (
+                user_id, level_type, previous_level_id, new_level_id, promotion_metrics, promoted_at
+            ) VALUES (
+                p_user_id, 'creator', current_creator_level, new_creator_level,
+                jsonb_build_object('active_users', active_users), CURRENT_TIMESTAMP
+            );
+        END IF;
+    END IF;
+
+    -- Actualizar nivel de profesor si es necesario
+    IF new_teacher_level IS NOT NULL AND
+       (current_teacher_level IS NULL OR current_teacher_level != new_teacher_level) THEN
+
+        INSERT INTO user_levels (user_id, level_type, current_level_id, current_metrics, achieved_at)
+        VALUES (p_user_id, 'teacher', new_teacher_level,
+                jsonb_build_object('active_students', active_students), CURRENT_TIMESTAMP)
+        ON CONFLICT (user_id, level_type, block_id) DO UPDATE SET
+            current_level_id = EXCLUDED.current_level_id,
+            current_metrics = EXCLUDED.current_metrics,
+            achieved_at = EXCLUDED.achieved_at,
+            last_calculated = CURRENT_TIMESTAMP;
+
+        -- Historial de profesor
+        IF current_teacher_level IS NOT NULL AND current_teacher_level != new_teacher_level THEN
+            INSERT INTO level_progression_history (
+                user_id, level_type, previous_level_id, new_level_id, promotion_metrics, promoted_at
+            ) VALUES (
+                p_user_id, 'teacher', current_teacher_level, new_teacher_level,
+                jsonb_build_object('active_students', active_students), CURRENT_TIMESTAMP
+            );
+        END IF;
+    END IF;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION handle_answer_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'INSERT' OR TG_OP = 'UPDATE' THEN
+        INSERT INTO async_level_calculations (user_id, block_id, calculation_type, trigger_source)
+        SELECT NEW.user_id, q.block_id, 'consolidation_update', 'user_answer'
+        FROM questions q
+        WHERE q.id = NEW.question_id
+        ON CONFLICT (user_id, block_id, calculation_type) DO UPDATE SET
+            created_at = CURRENT_TIMESTAMP,
+            processed = false;
+    END IF;
+
+    RETURN COALESCE(NEW, OLD);
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION handle_game_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.created_by IS NULL THEN
+        RETURN NEW;
+    END IF;
+
+    IF TG_OP = 'INSERT' OR (TG_OP = 'UPDATE' AND NEW.status = 'completed' AND OLD.status IS DISTINCT FROM 'completed') THEN
+        INSERT INTO async_level_calculations (user_id, calculation_type, trigger_source)
+        VALUES (NEW.created_by, 'creator_update', 'game_completed')
+        ON CONFLICT (user_id, calculation_type) WHERE block_id IS NULL DO UPDATE SET
+            created_at = CURRENT_TIMESTAMP,
+            processed = false;
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_answer_level_update ON user_answers;
+CREATE TRIGGER trigger_answer_level_update
+    AFTER INSERT OR UPDATE ON user_answers
+    FOR EACH ROW EXECUTE FUNCTION handle_answer_changes();
+
+DROP TRIGGER IF EXISTS trigger_game_level_update ON games;
+CREATE TRIGGER trigger_game_level_update
+    AFTER INSERT OR UPDATE ON games
+    FOR EACH ROW EXECUTE FUNCTION handle_game_changes();
+
+CREATE OR REPLACE FUNCTION process_pending_calculations()
+RETURNS INTEGER AS $$
+DECLARE
+    calc_record RECORD;
+    processed_count INTEGER := 0;
+BEGIN
+    FOR calc_record IN
+        SELECT * FROM async_level_calculations
+        WHERE processed = false
+        ORDER BY created_at ASC
+        LIMIT 100
+    LOOP
+        UPDATE async_level_calculations
+        SET processed = true, processed_at = CURRENT_TIMESTAMP
+        WHERE id = calc_record.id;
+
+        processed_count := processed_count + 1;
+    END LOOP;
+
+    RETURN processed_count;
+END;
+$$ LANGUAGE plpgsql;
+
+-- migrate:down
+
+DROP TRIGGER IF EXISTS trigger_game_level_update ON games;
+DROP TRIGGER IF EXISTS trigger_answer_level_update ON user_answers;
+DROP FUNCTION IF EXISTS process_pending_calculations();
+DROP FUNCTION IF EXISTS handle_game_changes();
+DROP FUNCTION IF EXISTS handle_answer_changes();
+DROP TABLE IF EXISTS async_level_calculations;
+DROP TABLE IF EXISTS user_transactions;
+DROP TABLE IF EXISTS user_badges;
+DROP TABLE IF EXISTS badge_definitions;
+DROP TABLE IF EXISTS user_notifications;
+DROP TABLE IF EXISTS user_level_benefits;
+DROP TABLE IF EXISTS user_block_consolidation;
+DROP TABLE IF EXISTS weekly_luminarias_payments;
+DROP TABLE IF EXISTS user_activity_metrics;
+DROP TABLE IF EXISTS level_progression_history;
+DROP TABLE IF EXISTS user_levels;
+DROP TABLE IF EXISTS level_definitions;
+DROP FUNCTION IF EXISTS update_user_levels();
+DROP FUNCTION IF EXISTS update_creator_teacher_levels(INTEGER);
+DROP FUNCTION IF EXISTS update_user_level_by_consolidation(INTEGER, INTEGER, DECIMAL);
+DROP FUNCTION IF EXISTS count_active_students_for_teacher(INTEGER, INTEGER);
+DROP FUNCTION IF EXISTS count_active_users_for_creator(INTEGER, INTEGER);
+DROP FUNCTION IF EXISTS calculate_user_consolidation(INTEGER, INTEGER);
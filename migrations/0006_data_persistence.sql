@@ -0,0 +1,323 @@
+-- Migration: Data persistence
+-- Purpose: Feature flags, user preferences, saved game states, system configuration, search suggestions and analytics (formerly data-persistence-migration.js)
+-- Date: 2026-10-19
+-- Phase: 3 - Migrations
+
+-- Sin user_sessions, user_activity_log ni user_search_history del script antiguo: las sesiones
+-- están en auth_sessions y el historial de búsqueda en search_index
+
+-- migrate:up
+
+-- ============================================================
+-- STEP 1: Feature flags
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS feature_flags (
+    id SERIAL PRIMARY KEY,
+    flag_name VARCHAR(100) NOT NULL UNIQUE,
+    description TEXT,
+    is_enabled BOOLEAN DEFAULT false,
+    config JSONB DEFAULT '{}',
+    target_percentage DECIMAL(5,2) DEFAULT 0.00,
+    target_users JSONB DEFAULT '[]',
+    start_date TIMESTAMP WITH TIME ZONE,
+    end_date TIMESTAMP WITH TIME ZONE,
+    created_by INTEGER REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO feature_flags (flag_name, description, is_enabled, config) VALUES
+    ('new_level_system', 'Nuevo sistema de niveles con 3 tipos', true, '{"migration_complete": true}'),
+    ('advanced_challenges', 'Sistema avanzado de challenges con A/B testing', true, '{"ab_testing": true, "analytics": true}'),
+    ('luminarias_marketplace', 'Marketplace interno de Luminarias', true, '{"conversion_enabled": true, "withdrawal_enabled": true}'),
+    ('real_time_features', 'Funcionalidades en tiempo real con WebSocket', true, '{"websocket_enabled": true, "live_updates": true}'),
+    ('advanced_search', 'Sistema de búsqueda avanzada con ML', true, '{"suggestions": true, "recent_history": true}')
+ON CONFLICT (flag_name) DO NOTHING;
+
+CREATE OR REPLACE FUNCTION is_feature_enabled(flag_name TEXT, user_id INTEGER DEFAULT NULL)
+RETURNS BOOLEAN AS $$
+DECLARE
+    flag_record RECORD;
+    user_in_target BOOLEAN := false;
+BEGIN
+    SELECT * INTO flag_record FROM feature_flags WHERE feature_flags.flag_name = $1;
+
+    IF NOT FOUND THEN
+        RETURN false;
+    END IF;
+
+    IF NOT flag_record.is_enabled THEN
+        RETURN false;
+    END IF;
+
+    -- Si hay usuarios específicos en target_users
+    IF jsonb_array_length(flag_record.target_users) > 0 AND user_id IS NOT NULL THEN
+        SELECT EXISTS(
+            SELECT 1 FROM jsonb_array_elements_text(flag_record.target_users)
+            WHERE value::integer = user_id
+        ) INTO user_in_target;
+
+        IF user_in_target THEN
+            RETURN true;
+        END IF;
+    END IF;
+
+    -- Verificar porcentaje de activación
+    IF flag_record.target_percentage > 0 AND user_id IS NOT NULL THEN
+        IF (user_id % 100) < flag_record.target_percentage THEN
+            RETURN true;
+        END IF;
+    END IF;
+
+    -- Si no hay restricciones específicas y está habilitado
+    IF flag_record.target_percentage = 0 AND jsonb_array_length(flag_record.target_users) = 0 THEN
+        RETURN true;
+    END IF;
+
+    RETURN false;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================
+-- STEP 2: User preferences
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS user_preferences (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE UNIQUE,
+    ui_preferences JSONB DEFAULT '{}',
+    game_preferences JSONB DEFAULT '{}',
+    notification_preferences JSONB DEFAULT '{}',
+    privacy_preferences JSONB DEFAULT '{}',
+    language VARCHAR(10) DEFAULT 'es',
+    timezone VARCHAR(50) DEFAULT 'Europe/Madrid',
+    theme VARCHAR(20) DEFAULT 'light',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO user_preferences (user_id, ui_preferences, game_preferences, notification_preferences, privacy_preferences)
+SELECT
+    id,
+    '{"sidebar_collapsed": false, "grid_view": true, "auto_save": true}'::jsonb,
+    '{"sound_enabled": true, "animations": true, "difficulty_preference": "medium"}'::jsonb,
+    '{"email_notifications": true, "push_notifications": true, "level_up_alerts": true}'::jsonb,
+    '{"profile_public": false, "show_progress": true, "show_achievements": true}'::jsonb
+FROM users
+WHERE id NOT IN (SELECT user_id FROM user_preferences);
+
+CREATE OR REPLACE FUNCTION get_user_preferences(p_user_id INTEGER)
+RETURNS TABLE(
+    ui_prefs JSONB,
+    game_prefs JSONB,
+    notification_prefs JSONB,
+    privacy_prefs JSONB,
+    language VARCHAR(10),
+    timezone VARCHAR(50),
+    theme VARCHAR(20)
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        up.ui_preferences,
+        up.game_preferences,
+        up.notification_preferences,
+        up.privacy_preferences,
+        up.language,
+        up.timezone,
+        up.theme
+    FROM user_preferences up
+    WHERE up.user_id = p_user_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================
+-- STEP 3: Saved game states
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS persistent_game_states (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    game_id INTEGER REFERENCES games(id) ON DELETE CASCADE,
+    session_id VARCHAR(100),
+    game_type VARCHAR(50) NOT NULL,
+    current_state JSONB NOT NULL,
+    progress JSONB DEFAULT '{}',
+    auto_saved BOOLEAN DEFAULT false,
+    last_checkpoint TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP WITH TIME ZONE DEFAULT (CURRENT_TIMESTAMP + INTERVAL '7 days'),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, game_id, session_id)
+);
+
+CREATE TABLE IF NOT EXISTS persistent_game_configs (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    game_type VARCHAR(50) NOT NULL,
+    config_name VARCHAR(100) NOT NULL,
+    config_data JSONB NOT NULL,
+    is_default BOOLEAN DEFAULT false,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, game_type, config_name)
+);
+
+CREATE OR REPLACE FUNCTION save_game_state(
+    p_user_id INTEGER,
+    p_game_id INTEGER,
+    p_session_id VARCHAR(100),
+    p_game_type VARCHAR(50),
+    p_current_state JSONB,
+    p_progress JSONB DEFAULT '{}'
+) RETURNS INTEGER AS $$
+DECLARE
+    state_id INTEGER;
+BEGIN
+    INSERT INTO persistent_game_states (
+        user_id, game_id, session_id, game_type, current_state, progress, auto_saved
+    ) VALUES (
+        p_user_id, p_game_id, p_session_id, p_game_type, p_current_state, p_progress, true
+    )
+    ON CONFLICT (user_id, game_id, session_id) DO UPDATE SET
+        current_state = EXCLUDED.current_state,
+        progress = EXCLUDED.progress,
+        auto_saved = true,
+        last_checkpoint = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+    RETURNING id INTO state_id;
+
+    RETURN state_id;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE INDEX IF NOT EXISTS idx_game_states_user_type ON persistent_game_states(user_id, game_type);
+CREATE INDEX IF NOT EXISTS idx_game_states_expires ON persistent_game_states(expires_at);
+
+-- ============================================================
+-- STEP 4: System configuration
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS system_configuration (
+    id SERIAL PRIMARY KEY,
+    config_key VARCHAR(100) NOT NULL UNIQUE,
+    config_value JSONB NOT NULL,
+    description TEXT,
+    category VARCHAR(50) DEFAULT 'general',
+    is_public BOOLEAN DEFAULT false,
+    requires_restart BOOLEAN DEFAULT false,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_by INTEGER REFERENCES users(id)
+);
+
+INSERT INTO system_configuration (config_key, config_value, description, category, is_public) VALUES
+    ('maintenance_mode', '{"enabled": false, "message": "", "scheduled_end": null}', 'Modo de mantenimiento del sistema', 'system', false),
+    ('registration_enabled', '{"enabled": true, "requires_invitation": false}', 'Configuración de registro de usuarios', 'auth', true),
+    ('luminarias_rates', '{"base_earn_rate": 10, "conversion_rate": 0.004, "withdrawal_fee": 0.05, "min_withdrawal": 25000}', 'Tasas y configuración de Luminarias', 'economy', false),
+    ('game_limits', '{"max_daily_games": 50, "max_concurrent_games": 5, "session_timeout": 3600}', 'Límites de juegos por usuario', 'gaming', false),
+    ('level_calculation_schedule', '{"auto_calculation": true, "interval_minutes": 5, "weekly_payments_day": "monday"}', 'Configuración de cálculo de niveles', 'levels', false)
+ON CONFLICT (config_key) DO NOTHING;
+
+CREATE OR REPLACE FUNCTION get_system_config(config_key TEXT)
+RETURNS JSONB AS $$
+DECLARE
+    config_value JSONB;
+BEGIN
+    SELECT sc.config_value INTO config_value
+    FROM system_configuration sc
+    WHERE sc.config_key = $1;
+
+    RETURN COALESCE(config_value, '{}'::jsonb);
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================
+-- STEP 5: Search suggestions
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS search_suggestions (
+    id SERIAL PRIMARY KEY,
+    suggestion_text TEXT NOT NULL,
+    suggestion_type VARCHAR(50) NOT NULL,
+    category VARCHAR(50),
+    usage_count INTEGER DEFAULT 1,
+    success_rate DECIMAL(5,2) DEFAULT 0.0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(suggestion_text, suggestion_type, category)
+);
+
+CREATE INDEX IF NOT EXISTS idx_search_suggestions_text ON search_suggestions USING gin(to_tsvector('spanish', suggestion_text));
+
+-- ============================================================
+-- STEP 6: Metrics and analytics
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS system_metrics (
+    id SERIAL PRIMARY KEY,
+    metric_name VARCHAR(100) NOT NULL,
+    metric_value DECIMAL(10,2) NOT NULL,
+    metric_unit VARCHAR(20),
+    metric_metadata JSONB DEFAULT '{}',
+    recorded_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS analytics_events (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    session_id VARCHAR(128),
+    event_type VARCHAR(100) NOT NULL,
+    event_category VARCHAR(50),
+    event_data JSONB DEFAULT '{}',
+    page_url TEXT,
+    referrer TEXT,
+    user_agent TEXT,
+    ip_address INET,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS analytics_reports (
+    id SERIAL PRIMARY KEY,
+    report_type VARCHAR(50) NOT NULL,
+    report_period VARCHAR(20) NOT NULL, -- daily, weekly, monthly
+    period_start TIMESTAMP WITH TIME ZONE NOT NULL,
+    period_end TIMESTAMP WITH TIME ZONE NOT NULL,
+    report_data JSONB NOT NULL,
+    generated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(report_type, report_period, period_start)
+);
+
+CREATE OR REPLACE FUNCTION record_system_metric(
+    p_metric_name VARCHAR(100),
+    p_metric_value DECIMAL(10,2),
+    p_metric_unit VARCHAR(20) DEFAULT NULL,
+    p_metadata JSONB DEFAULT '{}'
+) RETURNS VOID AS $$
+BEGIN
+    INSERT INTO system_metrics (metric_name, metric_value, metric_unit, metric_metadata)
+    VALUES (p_metric_name, p_metric_value, p_metric_unit, p_metadata);
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE INDEX IF NOT EXISTS idx_analytics_events_type_date ON analytics_events(event_type, created_at);
+CREATE INDEX IF NOT EXISTS idx_analytics_events_user_date ON analytics_events(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_system_metrics_name_date ON system_metrics(metric_name, recorded_at);
+
+-- migrate:down
+
+DROP FUNCTION IF EXISTS record_system_metric(VARCHAR, DECIMAL, VARCHAR, JSONB);
+DROP TABLE IF EXISTS analytics_reports;
+DROP TABLE IF EXISTS analytics_events;
+DROP TABLE IF EXISTS system_metrics;
+DROP TABLE IF EXISTS search_suggestions;
+DROP FUNCTION IF EXISTS get_system_config(TEXT);
+DROP TABLE IF EXISTS system_configuration;
+DROP FUNCTION IF EXISTS save_game_state(INTEGER, INTEGER, VARCHAR, VARCHAR, JSONB, JSONB);
+DROP TABLE IF EXISTS persistent_game_configs;
+DROP TABLE IF EXISTS persistent_game_states;
+DROP FUNCTION IF EXISTS get_user_preferences(INTEGER);
+DROP TABLE IF EXISTS user_preferences;
+DROP FUNCTION IF EXISTS is_feature_enabled(TEXT, INTEGER);
+DROP TABLE IF EXISTS feature_flags;
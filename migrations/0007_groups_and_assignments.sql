@@ -3,31 +3,33 @@
 -- Date: 2025-01-16
 -- Phase: 2 - Groups and Assignments System
 
+-- migrate:up
+
 -- ============================================================
 -- STEP 1: Add new columns to blocks table
 -- ============================================================
 
 -- Add block_scope column to distinguish between public and class blocks
 ALTER TABLE blocks
-ADD COLUMN block_scope VARCHAR(20) DEFAULT 'PUBLICO';
+ADD COLUMN IF NOT EXISTS block_scope VARCHAR(20) DEFAULT 'PUBLICO';
 
 COMMENT ON COLUMN blocks.block_scope IS 'Ámbito del bloque: PUBLICO (creadores) o CLASE (profesores)';
 
 -- Add access_code for students to join blocks/groups
 ALTER TABLE blocks
-ADD COLUMN access_code VARCHAR(10);
+ADD COLUMN IF NOT EXISTS access_code VARCHAR(10);
 
 COMMENT ON COLUMN blocks.access_code IS 'Código de acceso para que alumnos puedan cargar el bloque';
 
 -- Add assigned_group_id to link blocks to groups (will add FK later)
 ALTER TABLE blocks
-ADD COLUMN assigned_group_id INTEGER;
+ADD COLUMN IF NOT EXISTS assigned_group_id INTEGER;
 
 COMMENT ON COLUMN blocks.assigned_group_id IS 'Grupo al que está asignado este bloque (solo para block_scope=CLASE)';
 
 -- Add owner_user_id for direct user ownership reference
 ALTER TABLE blocks
-ADD COLUMN owner_user_id INTEGER REFERENCES users(id) ON DELETE CASCADE;
+ADD COLUMN IF NOT EXISTS owner_user_id INTEGER REFERENCES users(id) ON DELETE CASCADE;
 
 COMMENT ON COLUMN blocks.owner_user_id IS 'Usuario propietario del bloque (simplifica consultas)';
 
@@ -40,7 +42,7 @@ WHERE b.user_role_id = ur.id
 
 -- Add index for performance
 CREATE INDEX IF NOT EXISTS idx_blocks_owner_user_id ON blocks(owner_user_id);
-CREATE INDEX IF NOT EXISTS idx_blocks_scope ON blocks(block_scope);
+CREATE INDEX IF NOT EXISTS idx_blocks_block_scope ON blocks(block_scope);
 
 -- ============================================================
 -- STEP 2: Create groups table
@@ -117,9 +119,14 @@ CREATE INDEX IF NOT EXISTS idx_block_assignments_assigned_by ON block_assignment
 -- STEP 5: Add foreign key from blocks to groups
 -- ============================================================
 
-ALTER TABLE blocks
-ADD CONSTRAINT fk_blocks_assigned_group
-FOREIGN KEY (assigned_group_id) REFERENCES groups(id) ON DELETE SET NULL;
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'fk_blocks_assigned_group') THEN
+        ALTER TABLE blocks
+        ADD CONSTRAINT fk_blocks_assigned_group
+        FOREIGN KEY (assigned_group_id) REFERENCES groups(id) ON DELETE SET NULL;
+    END IF;
+END $$;
 
 -- ============================================================
 -- STEP 6: Create helper views for common queries
@@ -173,39 +180,17 @@ GROUP BY g.id, g.name, g.description, g.access_code, g.created_by, u.nickname, g
 
 COMMENT ON VIEW teacher_groups_summary IS 'Resumen de grupos de cada profesor con conteo de miembros y bloques';
 
--- ============================================================
--- STEP 7: Verification queries
--- ============================================================
+-- migrate:down
 
--- Check new columns in blocks table
-SELECT
-    column_name,
-    data_type,
-    is_nullable,
-    column_default
-FROM information_schema.columns
-WHERE table_name = 'blocks'
-    AND column_name IN ('block_scope', 'access_code', 'assigned_group_id', 'owner_user_id')
-ORDER BY ordinal_position;
-
--- Check new tables exist
-SELECT
-    table_name,
-    (SELECT COUNT(*) FROM information_schema.columns WHERE table_name = t.table_name) as column_count
-FROM information_schema.tables t
-WHERE table_schema = 'public'
-    AND table_name IN ('groups', 'group_members', 'block_assignments')
-ORDER BY table_name;
-
--- Verify owner_user_id was populated
-SELECT
-    COUNT(*) as total_blocks,
-    COUNT(owner_user_id) as blocks_with_owner,
-    COUNT(*) - COUNT(owner_user_id) as blocks_without_owner
-FROM blocks;
+DROP VIEW IF EXISTS teacher_groups_summary;
+DROP VIEW IF EXISTS student_assigned_blocks;
+ALTER TABLE blocks DROP CONSTRAINT IF EXISTS fk_blocks_assigned_group;
+DROP TABLE IF EXISTS block_assignments;
+DROP TABLE IF EXISTS group_members;
+DROP TABLE IF EXISTS groups;
 
--- ============================================================
--- SUCCESS MESSAGE
--- ============================================================
-
-SELECT 'Migration completed successfully! Groups and assignments system ready.' as status;
+ALTER TABLE blocks
+    DROP COLUMN IF EXISTS owner_user_id,
+    DROP COLUMN IF EXISTS assigned_group_id,
+    DROP COLUMN IF EXISTS access_code,
+    DROP COLUMN IF EXISTS block_scope;
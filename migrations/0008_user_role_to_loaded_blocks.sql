@@ -3,9 +3,11 @@
 -- Date: 2025-01-16
 -- Issue: Users with creator/teacher + player roles had mixed loaded blocks
 
+-- migrate:up
+
 -- Step 1: Add the user_role_id column (nullable initially)
 ALTER TABLE user_loaded_blocks
-ADD COLUMN user_role_id INTEGER REFERENCES user_roles(id) ON DELETE CASCADE;
+ADD COLUMN IF NOT EXISTS user_role_id INTEGER REFERENCES user_roles(id) ON DELETE CASCADE;
 
 COMMENT ON COLUMN user_loaded_blocks.user_role_id IS 'Rol con el que se cargó el bloque. Permite separar bloques de creador/profesor vs jugador';
 
@@ -38,31 +40,32 @@ DROP CONSTRAINT IF EXISTS user_loaded_blocks_user_id_block_id_key;
 
 -- Step 5: Add new unique constraint including user_role_id
 -- This allows the same user to load the same block with different roles
-ALTER TABLE user_loaded_blocks
-ADD CONSTRAINT user_loaded_blocks_unique
-UNIQUE(user_id, block_id, user_role_id);
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'user_loaded_blocks_unique') THEN
+        ALTER TABLE user_loaded_blocks
+        ADD CONSTRAINT user_loaded_blocks_unique
+        UNIQUE(user_id, block_id, user_role_id);
+    END IF;
+END $$;
 
 -- Step 6: Add index for performance
 CREATE INDEX IF NOT EXISTS idx_user_loaded_blocks_user_role_id
 ON user_loaded_blocks(user_role_id);
 
--- Verification query
-SELECT
-  'Migration completed successfully' as status,
-  COUNT(*) as total_records,
-  COUNT(DISTINCT user_id) as unique_users,
-  COUNT(DISTINCT user_role_id) as unique_roles
-FROM user_loaded_blocks;
+-- migrate:down
+
+ALTER TABLE user_loaded_blocks DROP CONSTRAINT IF EXISTS user_loaded_blocks_unique;
+DROP INDEX IF EXISTS idx_user_loaded_blocks_user_role_id;
+ALTER TABLE user_loaded_blocks DROP COLUMN IF EXISTS user_role_id;
 
--- Example: Check users with multiple roles and their loaded blocks
-SELECT
-  u.nickname,
-  r.name as role_name,
-  COUNT(ulb.id) as loaded_blocks_count
-FROM users u
-JOIN user_roles ur ON u.id = ur.user_id
-JOIN roles r ON ur.role_id = r.id
-LEFT JOIN user_loaded_blocks ulb ON ulb.user_id = u.id AND ulb.user_role_id = ur.id
-GROUP BY u.nickname, r.name
-HAVING COUNT(DISTINCT ur.id) > 1
-ORDER BY u.nickname, r.name;
+-- Si un bloque quedó cargado con varios roles no se puede volver a la restricción antigua
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM user_loaded_blocks GROUP BY user_id, block_id HAVING COUNT(*) > 1
+    ) THEN
+        ALTER TABLE user_loaded_blocks
+        ADD CONSTRAINT user_loaded_blocks_user_id_block_id_key UNIQUE(user_id, block_id);
+    END IF;
+END $$;
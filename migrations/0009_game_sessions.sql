@@ -0,0 +1,75 @@
+-- Migration: Add server-authoritative game sessions
+-- Purpose: Serve questions, judge answers and compute scores on the server
+-- Date: 2026-10-19
+-- Phase: 3 - Game integrity
+
+-- migrate:up
+
+-- ============================================================
+-- STEP 1: Create game_sessions table
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS game_sessions (
+    id SERIAL PRIMARY KEY,
+    game_id INTEGER NOT NULL REFERENCES games(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    status VARCHAR(20) DEFAULT 'active',
+    question_ids JSONB NOT NULL DEFAULT '[]',
+    score_data JSONB,
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_activity_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP,
+    UNIQUE(game_id, user_id),
+    CHECK (status IN ('active', 'completed', 'abandoned'))
+);
+
+COMMENT ON TABLE game_sessions IS 'Partidas servidas por el servidor: preguntas asignadas y puntuación calculada';
+COMMENT ON COLUMN game_sessions.question_ids IS 'Orden de preguntas entregado al jugador';
+COMMENT ON COLUMN game_sessions.score_data IS 'Puntuación final calculada en el servidor';
+
+CREATE INDEX IF NOT EXISTS idx_game_sessions_game_id ON game_sessions(game_id);
+CREATE INDEX IF NOT EXISTS idx_game_sessions_user_id ON game_sessions(user_id);
+
+-- ============================================================
+-- STEP 2: Create game_session_answers table
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS game_session_answers (
+    id SERIAL PRIMARY KEY,
+    session_id INTEGER NOT NULL REFERENCES game_sessions(id) ON DELETE CASCADE,
+    question_id INTEGER NOT NULL REFERENCES questions(id) ON DELETE CASCADE,
+    answer_id INTEGER REFERENCES answers(id) ON DELETE SET NULL,
+    is_correct BOOLEAN DEFAULT false,
+    result VARCHAR(10) NOT NULL,
+    response_time_ms INTEGER,
+    answered_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(session_id, question_id),
+    CHECK (result IN ('ACIERTO', 'FALLO', 'BLANCO'))
+);
+
+COMMENT ON TABLE game_session_answers IS 'Respuestas individuales juzgadas contra answers.is_correct';
+COMMENT ON COLUMN game_session_answers.response_time_ms IS 'Tiempo medido en el servidor desde la actividad anterior';
+
+CREATE INDEX IF NOT EXISTS idx_game_session_answers_session_id ON game_session_answers(session_id);
+
+-- ============================================================
+-- STEP 3: Link game_scores to the player and session
+-- ============================================================
+
+ALTER TABLE game_scores
+ADD COLUMN IF NOT EXISTS user_id INTEGER REFERENCES users(id) ON DELETE CASCADE;
+
+ALTER TABLE game_scores
+ADD COLUMN IF NOT EXISTS session_id INTEGER REFERENCES game_sessions(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN game_scores.session_id IS 'Sesión del servidor que generó la puntuación (NULL = puntuación enviada por el cliente)';
+
+CREATE INDEX IF NOT EXISTS idx_game_scores_user_id ON game_scores(user_id);
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_game_scores_user_id;
+ALTER TABLE game_scores DROP COLUMN IF EXISTS session_id;
+ALTER TABLE game_scores DROP COLUMN IF EXISTS user_id;
+DROP TABLE IF EXISTS game_session_answers;
+DROP TABLE IF EXISTS game_sessions;
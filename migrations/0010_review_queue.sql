@@ -0,0 +1,40 @@
+-- Migration: Add spaced-repetition review queue
+-- Purpose: Schedule per-user question reviews (SM-2) instead of replaying whole blocks
+-- Date: 2026-10-19
+-- Phase: 3 - Learning tools
+
+-- migrate:up
+
+-- ============================================================
+-- STEP 1: Create review_items table
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS review_items (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    question_id INTEGER NOT NULL REFERENCES questions(id) ON DELETE CASCADE,
+    block_id INTEGER REFERENCES blocks(id) ON DELETE CASCADE,
+    ease_factor NUMERIC(4,2) DEFAULT 2.50,
+    interval_days INTEGER DEFAULT 0,
+    repetitions INTEGER DEFAULT 0,
+    lapses INTEGER DEFAULT 0,
+    due_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_reviewed_at TIMESTAMP,
+    last_quality INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, question_id),
+    CHECK (ease_factor >= 1.30)
+);
+
+COMMENT ON TABLE review_items IS 'Planificación de repaso espaciado (SM-2) por usuario y pregunta';
+COMMENT ON COLUMN review_items.ease_factor IS 'Factor de facilidad SM-2 (mínimo 1.3)';
+COMMENT ON COLUMN review_items.interval_days IS 'Días hasta el siguiente repaso';
+COMMENT ON COLUMN review_items.lapses IS 'Veces que la pregunta se olvidó tras haberse aprendido';
+
+CREATE INDEX IF NOT EXISTS idx_review_items_user_due ON review_items(user_id, due_at);
+CREATE INDEX IF NOT EXISTS idx_review_items_block_id ON review_items(block_id);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS review_items;
@@ -0,0 +1,86 @@
+-- Migration: Move answer history into a normalized answer_events table
+-- Purpose: Replace the unbounded user_profiles.answer_history JSON array with indexed rows
+-- Date: 2026-10-19
+-- Phase: 3 - Data persistence
+
+-- Sin migrate:down: user_profiles.answer_history dejó de actualizarse y borrar answer_events perdería las respuestas nuevas
+
+-- migrate:up
+
+-- ============================================================
+-- STEP 1: Create answer_events table
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS answer_events (
+    id BIGSERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    question_id INTEGER NOT NULL REFERENCES questions(id) ON DELETE CASCADE,
+    block_id INTEGER REFERENCES blocks(id) ON DELETE CASCADE,
+    topic VARCHAR(100),
+    game_id INTEGER,
+    result VARCHAR(10) NOT NULL,
+    response_time_ms INTEGER,
+    source VARCHAR(20) DEFAULT 'game',
+    answered_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (result IN ('ACIERTO', 'FALLO', 'BLANCO'))
+);
+
+COMMENT ON TABLE answer_events IS 'Historial de respuestas por usuario y pregunta (sustituye a user_profiles.answer_history)';
+COMMENT ON COLUMN answer_events.game_id IS 'Partida en la que se respondió (sin FK: se conserva aunque se borre la partida)';
+COMMENT ON COLUMN answer_events.source IS 'Origen del evento: game o backfill';
+
+-- Consultas por bloque (estadísticas, historial) y por pregunta (consolidación, repaso)
+CREATE INDEX IF NOT EXISTS idx_answer_events_user_block ON answer_events(user_id, block_id, answered_at DESC);
+CREATE INDEX IF NOT EXISTS idx_answer_events_user_question ON answer_events(user_id, question_id, answered_at DESC);
+CREATE INDEX IF NOT EXISTS idx_answer_events_user_answered ON answer_events(user_id, answered_at DESC);
+
+-- ============================================================
+-- STEP 2: Back-fill existing JSON histories
+-- ============================================================
+
+-- Fechas del historial JSON escritas por el cliente: una mal formada no debe abortar la migración
+-- (se usa user_profiles.updated_at en su lugar). Función temporal de esta conexión
+CREATE OR REPLACE FUNCTION pg_temp.answer_history_timestamp(value TEXT)
+RETURNS TIMESTAMP AS $$
+BEGIN
+    IF value ~ '^\d{4}-\d{2}-\d{2}' THEN
+        RETURN value::timestamptz::timestamp;
+    ELSIF value ~ '^\d{10,13}$' THEN
+        -- Date.now() en milisegundos (o segundos)
+        RETURN to_timestamp(CASE WHEN length(value) > 10 THEN value::bigint / 1000.0 ELSE value::bigint END)::timestamp;
+    END IF;
+    RETURN NULL;
+EXCEPTION WHEN others THEN
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Solo usuarios que aún no tienen eventos migrados (la migración puede re-ejecutarse)
+INSERT INTO answer_events (user_id, question_id, block_id, topic, game_id, result, response_time_ms, source, answered_at)
+SELECT
+    up.user_id,
+    q.id,
+    q.block_id,
+    COALESCE(NULLIF(entry->>'topicName', ''), q.topic),
+    CASE WHEN entry->>'gameId' ~ '^\d+$' THEN (entry->>'gameId')::int END,
+    CASE
+        WHEN entry->>'result' = 'ACIERTO' THEN 'ACIERTO'
+        WHEN entry->>'result' = 'FALLO' THEN 'FALLO'
+        ELSE 'BLANCO'
+    END,
+    CASE WHEN entry->>'responseTime' ~ '^\d+(\.\d+)?$' THEN round((entry->>'responseTime')::numeric)::int END,
+    'backfill',
+    COALESCE(pg_temp.answer_history_timestamp(entry->>'timestamp'), up.updated_at, CURRENT_TIMESTAMP)
+FROM user_profiles up
+CROSS JOIN LATERAL jsonb_array_elements(
+    CASE WHEN jsonb_typeof(up.answer_history) = 'array' THEN up.answer_history ELSE '[]'::jsonb END
+) AS entry
+JOIN questions q ON entry->>'questionId' ~ '^\d+$' AND q.id = (entry->>'questionId')::int
+WHERE NOT EXISTS (
+    SELECT 1 FROM answer_events ae
+    WHERE ae.user_id = up.user_id AND ae.source = 'backfill'
+);
+
+DROP FUNCTION IF EXISTS pg_temp.answer_history_timestamp(TEXT);
+
+COMMENT ON COLUMN user_profiles.answer_history IS 'OBSOLETO: migrado a answer_events, ya no se actualiza';
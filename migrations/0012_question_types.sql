@@ -0,0 +1,68 @@
+-- Migration: Add question types beyond single-answer multiple choice
+-- Purpose: True/false, multiple-correct, numeric, short text, ordering and matching questions
+-- Date: 2026-10-19
+-- Phase: 3 - Question bank
+
+-- migrate:up
+
+-- ============================================================
+-- STEP 1: Question type and per-type configuration
+-- ============================================================
+
+ALTER TABLE questions
+ADD COLUMN IF NOT EXISTS question_type VARCHAR(20) NOT NULL DEFAULT 'single_choice';
+
+ALTER TABLE questions
+ADD COLUMN IF NOT EXISTS type_config JSONB NOT NULL DEFAULT '{}';
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'questions_question_type_check'
+    ) THEN
+        ALTER TABLE questions ADD CONSTRAINT questions_question_type_check
+        CHECK (question_type IN ('single_choice', 'true_false', 'multiple_choice', 'numeric', 'short_text', 'ordering', 'matching'));
+    END IF;
+END $$;
+
+COMMENT ON COLUMN questions.question_type IS 'Tipo de pregunta; single_choice conserva el comportamiento anterior';
+COMMENT ON COLUMN questions.type_config IS 'numeric: {value, tolerance}; short_text: {caseSensitive}; multiple_choice: {partialCredit}';
+
+CREATE INDEX IF NOT EXISTS idx_questions_question_type ON questions(block_id, question_type);
+
+-- ============================================================
+-- STEP 2: Answer columns for ordering and matching
+-- ============================================================
+
+ALTER TABLE answers
+ADD COLUMN IF NOT EXISTS answer_order INTEGER;
+
+ALTER TABLE answers
+ADD COLUMN IF NOT EXISTS match_text TEXT;
+
+COMMENT ON COLUMN answers.answer_order IS 'Posición correcta (1..N) en preguntas de ordenar';
+COMMENT ON COLUMN answers.match_text IS 'Pareja correcta en preguntas de emparejar';
+
+-- ============================================================
+-- STEP 3: Store free-form responses and partial credit in game sessions
+-- ============================================================
+
+ALTER TABLE game_session_answers
+ADD COLUMN IF NOT EXISTS response JSONB;
+
+ALTER TABLE game_session_answers
+ADD COLUMN IF NOT EXISTS credit NUMERIC(5,4);
+
+COMMENT ON COLUMN game_session_answers.response IS 'Respuesta enviada por el jugador (ids elegidos, valor, texto o parejas)';
+COMMENT ON COLUMN game_session_answers.credit IS 'Fracción de la pregunta obtenida (0-1); permite crédito parcial';
+
+-- migrate:down
+
+ALTER TABLE game_session_answers DROP COLUMN IF EXISTS credit;
+ALTER TABLE game_session_answers DROP COLUMN IF EXISTS response;
+ALTER TABLE answers DROP COLUMN IF EXISTS match_text;
+ALTER TABLE answers DROP COLUMN IF EXISTS answer_order;
+DROP INDEX IF EXISTS idx_questions_question_type;
+ALTER TABLE questions DROP CONSTRAINT IF EXISTS questions_question_type_check;
+ALTER TABLE questions DROP COLUMN IF EXISTS type_config;
+ALTER TABLE questions DROP COLUMN IF EXISTS question_type;
@@ -0,0 +1,74 @@
+-- Migration: Add question revision history
+-- Purpose: Record every create/update/delete of a question and its answers so old versions can be restored
+-- Date: 2026-10-19
+-- Phase: 3 - Question bank
+
+-- migrate:up
+
+-- ============================================================
+-- STEP 1: Create question_revisions table
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS question_revisions (
+    id SERIAL PRIMARY KEY,
+    question_id INTEGER NOT NULL,
+    block_id INTEGER REFERENCES blocks(id) ON DELETE CASCADE,
+    revision_number INTEGER NOT NULL,
+    action VARCHAR(20) NOT NULL,
+    snapshot JSONB NOT NULL,
+    changes JSONB NOT NULL DEFAULT '{}',
+    restored_from INTEGER REFERENCES question_revisions(id) ON DELETE SET NULL,
+    changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(question_id, revision_number),
+    CHECK (action IN ('baseline', 'create', 'update', 'delete', 'rollback'))
+);
+
+COMMENT ON TABLE question_revisions IS 'Historial de versiones de preguntas y respuestas';
+COMMENT ON COLUMN question_revisions.question_id IS 'Sin FK: el historial se conserva al borrar la pregunta para poder restaurarla';
+COMMENT ON COLUMN question_revisions.snapshot IS 'Pregunta completa en formato de /api/questions (en delete, el estado previo al borrado)';
+COMMENT ON COLUMN question_revisions.changes IS 'Diff campo a campo respecto a la revisión anterior';
+COMMENT ON COLUMN question_revisions.restored_from IS 'Revisión restaurada (solo en action = rollback)';
+
+CREATE INDEX IF NOT EXISTS idx_question_revisions_question ON question_revisions(question_id, revision_number DESC);
+CREATE INDEX IF NOT EXISTS idx_question_revisions_block ON question_revisions(block_id, created_at DESC);
+
+-- ============================================================
+-- STEP 2: Baseline revision for existing questions
+-- ============================================================
+
+-- Sin esta revisión la primera edición no tendría versión anterior a la que volver
+INSERT INTO question_revisions (question_id, block_id, revision_number, action, snapshot)
+SELECT
+    q.id,
+    q.block_id,
+    1,
+    'baseline',
+    jsonb_build_object(
+        'blockId', q.block_id,
+        'textoPregunta', q.text_question,
+        'tema', q.topic,
+        'difficulty', q.difficulty,
+        'explicacionRespuesta', q.explanation,
+        'tipoPregunta', q.question_type,
+        'configuracionTipo', COALESCE(q.type_config, '{}'::jsonb),
+        'respuestas', COALESCE((
+            SELECT jsonb_agg(
+                jsonb_strip_nulls(jsonb_build_object(
+                    'textoRespuesta', a.answer_text,
+                    'esCorrecta', a.is_correct,
+                    'orden', a.answer_order,
+                    'pareja', a.match_text
+                )) ORDER BY a.id
+            )
+            FROM answers a WHERE a.question_id = q.id
+        ), '[]'::jsonb)
+    )
+FROM questions q
+WHERE NOT EXISTS (
+    SELECT 1 FROM question_revisions qr WHERE qr.question_id = q.id
+);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS question_revisions;
@@ -0,0 +1,202 @@
+-- Migration: Add double-entry ledger for Luminarias
+-- Purpose: Single source of truth for every credit/debit plus reconciliation against the older balance tables
+-- Date: 2026-10-19
+-- Phase: 3 - Luminarias
+
+-- Sin migrate:down: el libro mayor es la fuente de los saldos; revertir perdería los movimientos registrados
+
+-- migrate:up
+
+-- ============================================================
+-- STEP 1: Accounts
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS ledger_accounts (
+    id SERIAL PRIMARY KEY,
+    account_type VARCHAR(10) NOT NULL,
+    user_id INTEGER UNIQUE REFERENCES users(id) ON DELETE SET NULL,
+    code VARCHAR(50) UNIQUE,
+    name VARCHAR(150) NOT NULL,
+    balance BIGINT NOT NULL DEFAULT 0,
+    allow_negative BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (account_type IN ('user', 'system')),
+    CHECK (account_type = 'user' OR code IS NOT NULL),
+    CHECK (allow_negative OR balance >= 0)
+);
+
+COMMENT ON TABLE ledger_accounts IS 'Cuentas del libro mayor de Luminarias: una por usuario más las cuentas del sistema';
+COMMENT ON COLUMN ledger_accounts.user_id IS 'Sin CASCADE: al borrar el usuario la cuenta y sus líneas se conservan para que los asientos sigan cuadrando';
+COMMENT ON COLUMN ledger_accounts.balance IS 'Saldo en caché; siempre igual a la suma de sus líneas (lo comprueba la conciliación)';
+COMMENT ON COLUMN ledger_accounts.allow_negative IS 'Las cuentas del sistema pueden quedar en negativo (son el origen de las Luminarias emitidas)';
+
+INSERT INTO ledger_accounts (account_type, code, name, allow_negative) VALUES
+    ('system', 'opening_balance', 'Saldos previos al libro mayor', true),
+    ('system', 'issuance', 'Emisión (bonificaciones y ajustes positivos)', true),
+    ('system', 'spending', 'Gastos genéricos y ajustes negativos', true),
+    ('system', 'store', 'Ventas de la tienda', true),
+    ('system', 'marketplace_escrow', 'Depósito de reservas del marketplace', true),
+    ('system', 'marketplace_fees', 'Comisiones del marketplace', true),
+    ('system', 'challenge_prizes', 'Premios de retos', true),
+    ('system', 'level_payments', 'Pagos semanales por nivel', true),
+    ('system', 'conversions', 'Conversiones y retiros a dinero real', true)
+ON CONFLICT (code) DO NOTHING;
+
+-- ============================================================
+-- STEP 2: Journal entries and postings
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS ledger_journal (
+    id SERIAL PRIMARY KEY,
+    entry_type VARCHAR(50) NOT NULL,
+    description TEXT NOT NULL,
+    reference_type VARCHAR(50),
+    reference_id INTEGER,
+    metadata JSONB NOT NULL DEFAULT '{}',
+    idempotency_key VARCHAR(150) UNIQUE,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON TABLE ledger_journal IS 'Asientos: cada movimiento de Luminarias, con sus líneas en ledger_postings';
+COMMENT ON COLUMN ledger_journal.idempotency_key IS 'Evita registrar dos veces la misma operación (pagos semanales, premios de retos)';
+
+CREATE INDEX IF NOT EXISTS idx_ledger_journal_reference ON ledger_journal(reference_type, reference_id);
+CREATE INDEX IF NOT EXISTS idx_ledger_journal_type ON ledger_journal(entry_type, created_at);
+
+CREATE TABLE IF NOT EXISTS ledger_postings (
+    id SERIAL PRIMARY KEY,
+    journal_id INTEGER NOT NULL REFERENCES ledger_journal(id) ON DELETE RESTRICT,
+    account_id INTEGER NOT NULL REFERENCES ledger_accounts(id) ON DELETE RESTRICT,
+    amount BIGINT NOT NULL CHECK (amount <> 0),
+    balance_after BIGINT NOT NULL,
+    legacy_transaction_id INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON COLUMN ledger_postings.amount IS 'Con signo: positivo entra en la cuenta, negativo sale';
+COMMENT ON COLUMN ledger_postings.legacy_transaction_id IS 'Fila equivalente en luminarias_transactions (solo cuentas de usuario)';
+
+CREATE INDEX IF NOT EXISTS idx_ledger_postings_journal ON ledger_postings(journal_id);
+CREATE INDEX IF NOT EXISTS idx_ledger_postings_account ON ledger_postings(account_id, id DESC);
+
+-- Partida doble garantizada por la base de datos: al confirmar, cada asiento debe sumar cero
+CREATE OR REPLACE FUNCTION check_ledger_journal_balanced()
+RETURNS TRIGGER AS $$
+DECLARE
+    journal_total BIGINT;
+BEGIN
+    SELECT COALESCE(SUM(amount), 0) INTO journal_total
+    FROM ledger_postings
+    WHERE journal_id = NEW.journal_id;
+
+    IF journal_total <> 0 THEN
+        RAISE EXCEPTION 'El asiento % no cuadra (suma %)', NEW.journal_id, journal_total;
+    END IF;
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_ledger_journal_balanced ON ledger_postings;
+CREATE CONSTRAINT TRIGGER trg_ledger_journal_balanced
+    AFTER INSERT OR UPDATE ON ledger_postings
+    DEFERRABLE INITIALLY DEFERRED
+    FOR EACH ROW EXECUTE FUNCTION check_ledger_journal_balanced();
+
+-- ============================================================
+-- STEP 3: Reconciliation runs and issues
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS ledger_reconciliation_runs (
+    id SERIAL PRIMARY KEY,
+    status VARCHAR(20) NOT NULL DEFAULT 'running',
+    repair BOOLEAN NOT NULL DEFAULT false,
+    accounts_checked INTEGER NOT NULL DEFAULT 0,
+    issues_found INTEGER NOT NULL DEFAULT 0,
+    issues_repaired INTEGER NOT NULL DEFAULT 0,
+    triggered_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    error TEXT,
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP,
+    CHECK (status IN ('running', 'completed', 'failed'))
+);
+
+COMMENT ON COLUMN ledger_reconciliation_runs.triggered_by IS 'NULL cuando la lanza el programador diario';
+
+CREATE TABLE IF NOT EXISTS ledger_reconciliation_issues (
+    id SERIAL PRIMARY KEY,
+    run_id INTEGER NOT NULL REFERENCES ledger_reconciliation_runs(id) ON DELETE CASCADE,
+    issue_type VARCHAR(30) NOT NULL,
+    source VARCHAR(50),
+    account_id INTEGER REFERENCES ledger_accounts(id) ON DELETE SET NULL,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    journal_id INTEGER REFERENCES ledger_journal(id) ON DELETE SET NULL,
+    expected BIGINT,
+    actual BIGINT,
+    difference BIGINT,
+    status VARCHAR(20) NOT NULL DEFAULT 'open',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    resolved_at TIMESTAMP,
+    CHECK (issue_type IN ('unbalanced_journal', 'account_balance_drift', 'legacy_balance_mismatch', 'missing_account')),
+    CHECK (status IN ('open', 'repaired'))
+);
+
+COMMENT ON COLUMN ledger_reconciliation_issues.source IS 'Saldo antiguo comparado: user_luminarias, users.luminarias o user_profiles.luminarias_actuales';
+COMMENT ON COLUMN ledger_reconciliation_issues.expected IS 'Valor según el libro mayor';
+
+CREATE INDEX IF NOT EXISTS idx_ledger_reconciliation_issues_run ON ledger_reconciliation_issues(run_id, status);
+CREATE INDEX IF NOT EXISTS idx_ledger_reconciliation_issues_user ON ledger_reconciliation_issues(user_id, created_at DESC);
+
+-- ============================================================
+-- STEP 4: Opening balances for existing users
+-- ============================================================
+
+-- El saldo de user_luminarias (el que usan /api/luminarias) pasa al libro como un único asiento de apertura
+INSERT INTO ledger_accounts (account_type, user_id, name, allow_negative)
+SELECT 'user', u.id, 'Usuario ' || u.id, false
+FROM users u
+ON CONFLICT (user_id) DO NOTHING;
+
+DO $$
+DECLARE
+    opening_journal_id INTEGER;
+    opening_total BIGINT;
+BEGIN
+    IF EXISTS (SELECT 1 FROM ledger_journal WHERE idempotency_key = 'opening:migration') THEN
+        RETURN;
+    END IF;
+
+    SELECT COALESCE(SUM(ul.current_balance), 0) INTO opening_total
+    FROM user_luminarias ul
+    JOIN ledger_accounts la ON la.user_id = ul.user_id
+    WHERE ul.current_balance > 0;
+
+    IF opening_total = 0 THEN
+        RETURN;
+    END IF;
+
+    INSERT INTO ledger_journal (entry_type, description, idempotency_key)
+    VALUES ('opening', 'Saldos de apertura del libro mayor', 'opening:migration')
+    RETURNING id INTO opening_journal_id;
+
+    INSERT INTO ledger_postings (journal_id, account_id, amount, balance_after)
+    SELECT opening_journal_id, la.id, ul.current_balance, ul.current_balance
+    FROM user_luminarias ul
+    JOIN ledger_accounts la ON la.user_id = ul.user_id
+    WHERE ul.current_balance > 0;
+
+    INSERT INTO ledger_postings (journal_id, account_id, amount, balance_after)
+    SELECT opening_journal_id, id, -opening_total, balance - opening_total
+    FROM ledger_accounts WHERE code = 'opening_balance';
+
+    UPDATE ledger_accounts la
+    SET balance = posted.total, updated_at = CURRENT_TIMESTAMP
+    FROM (
+        SELECT account_id, SUM(amount) as total
+        FROM ledger_postings
+        GROUP BY account_id
+    ) posted
+    WHERE la.id = posted.account_id;
+END $$;
@@ -0,0 +1,113 @@
+-- Migration: Add materialized leaderboards and duel ratings
+-- Purpose: Global, block, topic and group rankings per day/week/month/all-time, updated as scores are saved, plus ELO for duels
+-- Date: 2026-10-19
+-- Phase: 3 - Games
+
+-- migrate:up
+
+-- ============================================================
+-- STEP 1: Leaderboards and entries
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS leaderboards (
+    id SERIAL PRIMARY KEY,
+    scope_type VARCHAR(10) NOT NULL,
+    scope_key VARCHAR(150) NOT NULL DEFAULT '',
+    time_window VARCHAR(10) NOT NULL,
+    period_start DATE NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (scope_type, scope_key, time_window, period_start),
+    CHECK (scope_type IN ('global', 'block', 'topic', 'group')),
+    CHECK (time_window IN ('daily', 'weekly', 'monthly', 'all_time'))
+);
+
+COMMENT ON TABLE leaderboards IS 'Un tablero por ámbito, ventana temporal y periodo';
+COMMENT ON COLUMN leaderboards.scope_key IS 'Vacío en global; id del bloque o del grupo; "<blockId>:<tema>" en los temas';
+COMMENT ON COLUMN leaderboards.period_start IS 'Inicio del día, semana (lunes) o mes; 1970-01-01 en all_time';
+
+CREATE INDEX IF NOT EXISTS idx_leaderboards_period ON leaderboards(time_window, period_start);
+
+CREATE TABLE IF NOT EXISTS leaderboard_entries (
+    id SERIAL PRIMARY KEY,
+    leaderboard_id INTEGER NOT NULL REFERENCES leaderboards(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    best_score NUMERIC(5,2) NOT NULL DEFAULT 0,
+    total_score NUMERIC(12,2) NOT NULL DEFAULT 0,
+    games_played INTEGER NOT NULL DEFAULT 0,
+    correct_total INTEGER NOT NULL DEFAULT 0,
+    answered_total INTEGER NOT NULL DEFAULT 0,
+    best_game_id INTEGER REFERENCES games(id) ON DELETE SET NULL,
+    best_game_type VARCHAR(50),
+    best_correct INTEGER,
+    best_incorrect INTEGER,
+    best_at TIMESTAMP,
+    last_played_at TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (leaderboard_id, user_id)
+);
+
+COMMENT ON COLUMN leaderboard_entries.best_score IS 'Mejor nota (0-10) del periodo; desempata total_score y después quien la logró antes';
+
+CREATE INDEX IF NOT EXISTS idx_leaderboard_entries_rank
+    ON leaderboard_entries(leaderboard_id, best_score DESC, total_score DESC, best_at ASC, user_id ASC);
+CREATE INDEX IF NOT EXISTS idx_leaderboard_entries_user ON leaderboard_entries(user_id);
+
+CREATE TABLE IF NOT EXISTS leaderboard_processed_scores (
+    game_score_id INTEGER PRIMARY KEY REFERENCES game_scores(id) ON DELETE CASCADE,
+    participants INTEGER NOT NULL DEFAULT 0,
+    processed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON TABLE leaderboard_processed_scores IS 'Puntuaciones ya sumadas a los tableros: cada fila de game_scores cuenta una sola vez';
+
+-- ============================================================
+-- STEP 2: Duel ratings (ELO)
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS duel_ratings (
+    user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    rating NUMERIC(7,2) NOT NULL DEFAULT 1200,
+    peak_rating NUMERIC(7,2) NOT NULL DEFAULT 1200,
+    games_played INTEGER NOT NULL DEFAULT 0,
+    wins INTEGER NOT NULL DEFAULT 0,
+    losses INTEGER NOT NULL DEFAULT 0,
+    draws INTEGER NOT NULL DEFAULT 0,
+    last_game_at TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON TABLE duel_ratings IS 'ELO de duelos entre personas; las partidas contra el bot de práctica no cuentan';
+COMMENT ON COLUMN duel_ratings.games_played IS 'Por debajo de 30 partidas el rating es provisional (K = 40)';
+
+CREATE INDEX IF NOT EXISTS idx_duel_ratings_rating ON duel_ratings(rating DESC, games_played DESC, user_id ASC);
+
+CREATE TABLE IF NOT EXISTS duel_rating_history (
+    id SERIAL PRIMARY KEY,
+    game_id INTEGER REFERENCES games(id) ON DELETE SET NULL,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    opponent_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    result NUMERIC(2,1) NOT NULL,
+    rating_before NUMERIC(7,2) NOT NULL,
+    rating_after NUMERIC(7,2) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (result IN (0, 0.5, 1))
+);
+
+COMMENT ON COLUMN duel_rating_history.result IS '1 victoria, 0.5 empate, 0 derrota (el abandono cuenta como derrota)';
+
+CREATE INDEX IF NOT EXISTS idx_duel_rating_history_user ON duel_rating_history(user_id, id DESC);
+
+-- ============================================================
+-- STEP 3: Backfill
+-- ============================================================
+
+-- Las puntuaciones existentes se cargan con: node scripts/rebuild-leaderboards.js
+
+-- migrate:down
+
+DROP TABLE IF EXISTS duel_rating_history;
+DROP TABLE IF EXISTS duel_ratings;
+DROP TABLE IF EXISTS leaderboard_processed_scores;
+DROP TABLE IF EXISTS leaderboard_entries;
+DROP TABLE IF EXISTS leaderboards;
@@ -0,0 +1,101 @@
+-- Migration: Add full-text search indexes
+-- Purpose: tsvector columns (Spanish + English) for /api/search over users, blocks, questions and challenges, plus search history
+-- Date: 2026-10-19
+-- Phase: 3 - Search
+
+-- migrate:up
+
+-- ============================================================
+-- STEP 1: Search vectors
+-- ============================================================
+
+-- Los títulos se indexan también con 'simple' (sin stemming) para que el autocompletado por prefijo
+-- encuentre la palabra tal como se escribe; el resto solo con los diccionarios español e inglés
+
+ALTER TABLE blocks ADD COLUMN IF NOT EXISTS search_vector tsvector
+    GENERATED ALWAYS AS (
+        setweight(to_tsvector('simple', COALESCE(name, '')), 'A') ||
+        setweight(to_tsvector('spanish', COALESCE(name, '')), 'A') ||
+        setweight(to_tsvector('english', COALESCE(name, '')), 'A') ||
+        setweight(to_tsvector('spanish', COALESCE(description, '')), 'B') ||
+        setweight(to_tsvector('english', COALESCE(description, '')), 'B') ||
+        setweight(to_tsvector('spanish', COALESCE(observaciones, '')), 'C')
+    ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_blocks_search_vector ON blocks USING gin(search_vector);
+
+ALTER TABLE questions ADD COLUMN IF NOT EXISTS search_vector tsvector
+    GENERATED ALWAYS AS (
+        setweight(to_tsvector('simple', COALESCE(topic, '')), 'A') ||
+        setweight(to_tsvector('spanish', COALESCE(topic, '')), 'A') ||
+        setweight(to_tsvector('spanish', COALESCE(text_question, '')), 'B') ||
+        setweight(to_tsvector('english', COALESCE(text_question, '')), 'B') ||
+        setweight(to_tsvector('spanish', COALESCE(explanation, '')), 'C') ||
+        setweight(to_tsvector('english', COALESCE(explanation, '')), 'C')
+    ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_questions_search_vector ON questions USING gin(search_vector);
+
+-- Los nombres propios no se traducen: solo 'simple'. El email no se indexa para no exponerlo en búsquedas
+ALTER TABLE users ADD COLUMN IF NOT EXISTS search_vector tsvector
+    GENERATED ALWAYS AS (
+        setweight(to_tsvector('simple', COALESCE(nickname, '')), 'A') ||
+        setweight(to_tsvector('simple', COALESCE(first_name, '') || ' ' || COALESCE(last_name, '')), 'B')
+    ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_users_search_vector ON users USING gin(search_vector);
+
+DO $$
+BEGIN
+    IF to_regclass('challenges') IS NOT NULL THEN
+        EXECUTE $sql$
+            ALTER TABLE challenges ADD COLUMN IF NOT EXISTS search_vector tsvector
+                GENERATED ALWAYS AS (
+                    setweight(to_tsvector('simple', COALESCE(title, '')), 'A') ||
+                    setweight(to_tsvector('spanish', COALESCE(title, '')), 'A') ||
+                    setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+                    setweight(to_tsvector('spanish', COALESCE(description, '')), 'B') ||
+                    setweight(to_tsvector('english', COALESCE(description, '')), 'B')
+                ) STORED
+        $sql$;
+        EXECUTE 'CREATE INDEX IF NOT EXISTS idx_challenges_search_vector ON challenges USING gin(search_vector)';
+    END IF;
+END $$;
+
+COMMENT ON COLUMN blocks.search_vector IS 'Búsqueda de texto completo (nombre A, descripción B, observaciones C)';
+COMMENT ON COLUMN questions.search_vector IS 'Búsqueda de texto completo (tema A, enunciado B, explicación C)';
+COMMENT ON COLUMN users.search_vector IS 'Búsqueda de texto completo (nickname A, nombre B)';
+
+-- ============================================================
+-- STEP 2: Search history
+-- ============================================================
+
+-- Búsquedas similares (similarity) en el historial
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE TABLE IF NOT EXISTS user_search_history (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    search_query TEXT NOT NULL,
+    search_context VARCHAR(50) DEFAULT 'all',
+    search_filters JSONB DEFAULT '{}',
+    results_count INTEGER DEFAULT 0,
+    execution_time_ms INTEGER DEFAULT 0,
+    search_count INTEGER DEFAULT 1,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    last_searched_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, search_query, search_context)
+);
+
+COMMENT ON TABLE user_search_history IS 'Una fila por usuario, texto y contexto; search_count cuenta las repeticiones';
+
+CREATE INDEX IF NOT EXISTS idx_search_history_user_recent ON user_search_history(user_id, last_searched_at DESC);
+CREATE INDEX IF NOT EXISTS idx_search_history_context ON user_search_history(search_context, created_at);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS user_search_history;
+ALTER TABLE IF EXISTS challenges DROP COLUMN IF EXISTS search_vector;
+ALTER TABLE users DROP COLUMN IF EXISTS search_vector;
+ALTER TABLE questions DROP COLUMN IF EXISTS search_vector;
+ALTER TABLE blocks DROP COLUMN IF EXISTS search_vector;
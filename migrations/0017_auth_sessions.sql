@@ -0,0 +1,48 @@
+-- Migration: Add server-side sessions and rotating refresh tokens
+-- Purpose: Short-lived access tokens bound to a revocable session per device, plus "log out everywhere"
+-- Date: 2026-10-19
+-- Phase: 3 - Authentication
+
+-- migrate:up
+
+-- ============================================================
+-- STEP 1: Sessions
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS user_sessions (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    refresh_token_hash CHAR(64) NOT NULL UNIQUE,
+    previous_token_hash CHAR(64),
+    device_name VARCHAR(100),
+    ip_address VARCHAR(45),
+    user_agent TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    revoked_reason VARCHAR(50)
+);
+
+COMMENT ON TABLE user_sessions IS 'Una fila por inicio de sesión (dispositivo); el access token lleva su id en el claim sid';
+COMMENT ON COLUMN user_sessions.refresh_token_hash IS 'SHA-256 del refresh token vigente; el token en claro nunca se guarda';
+COMMENT ON COLUMN user_sessions.previous_token_hash IS 'Refresh token ya rotado: si se vuelve a presentar se revoca la sesión (posible robo)';
+COMMENT ON COLUMN user_sessions.expires_at IS 'Caducidad del refresh token; se renueva en cada rotación';
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id, last_used_at DESC);
+CREATE INDEX IF NOT EXISTS idx_user_sessions_previous_token ON user_sessions(previous_token_hash) WHERE previous_token_hash IS NOT NULL;
+
+-- ============================================================
+-- STEP 2: Tokens issued before sessions existed
+-- ============================================================
+
+-- Los JWT antiguos (sin sid) siguen siendo válidos hasta que caducan salvo que se hayan emitido
+-- antes de este instante, que se fija al cerrar todas las sesiones del usuario
+ALTER TABLE users ADD COLUMN IF NOT EXISTS sessions_revoked_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN users.sessions_revoked_at IS 'Último "cerrar sesión en todos los dispositivos"; invalida los tokens emitidos antes';
+
+-- migrate:down
+
+ALTER TABLE users DROP COLUMN IF EXISTS sessions_revoked_at;
+DROP TABLE IF EXISTS user_sessions;
@@ -0,0 +1,44 @@
+-- Migration: Add password reset and email verification tokens
+-- Purpose: Single-use expiring tokens for self-service "forgot password" and email address verification
+-- Date: 2026-10-19
+-- Phase: 3 - Authentication
+
+-- migrate:up
+
+-- ============================================================
+-- STEP 1: Account tokens
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS user_account_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    purpose VARCHAR(30) NOT NULL,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    email VARCHAR(100),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    CHECK (purpose IN ('password_reset', 'email_verification'))
+);
+
+COMMENT ON TABLE user_account_tokens IS 'Enlaces de un solo uso enviados por email (recuperar contraseña, verificar dirección)';
+COMMENT ON COLUMN user_account_tokens.token_hash IS 'SHA-256 del token; el token en claro solo viaja en el enlace del email';
+COMMENT ON COLUMN user_account_tokens.email IS 'Dirección a la que se envió: si el usuario cambia su email el token deja de verificarlo';
+
+CREATE INDEX IF NOT EXISTS idx_account_tokens_user ON user_account_tokens(user_id, purpose, created_at DESC);
+
+-- ============================================================
+-- STEP 2: Verified email
+-- ============================================================
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN users.email_verified_at IS 'Fecha de verificación del email actual; se anula al cambiar de dirección';
+
+CREATE INDEX IF NOT EXISTS idx_users_email_lower ON users(LOWER(email));
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_users_email_lower;
+ALTER TABLE users DROP COLUMN IF EXISTS email_verified_at;
+DROP TABLE IF EXISTS user_account_tokens;
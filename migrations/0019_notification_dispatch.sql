@@ -0,0 +1,110 @@
+-- Migration: Add unified notification dispatch
+-- Purpose: Per-channel delivery tracking (Socket.IO, Web Push, email), Web Push subscriptions and email digests
+-- Date: 2026-10-19
+-- Phase: 3 - Notifications
+
+-- migrate:up
+
+-- ============================================================
+-- STEP 1: Notification preferences (JSONB)
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS user_notification_preferences (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE UNIQUE,
+    preferences JSONB DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- challenges-notifications.js creaba la tabla con una columna booleana por opción y sin preferences:
+-- se añade preferences y se copian esas opciones para que todos los sistemas lean el mismo JSONB
+ALTER TABLE user_notification_preferences ADD COLUMN IF NOT EXISTS preferences JSONB DEFAULT '{}';
+
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'user_notification_preferences' AND column_name = 'deadline_reminders'
+    ) THEN
+        EXECUTE $sql$
+            UPDATE user_notification_preferences
+            SET preferences = jsonb_build_object(
+                'email_notifications', email_notifications,
+                'push_notifications', push_notifications,
+                'deadline_reminders', deadline_reminders,
+                'milestone_notifications', milestone_notifications,
+                'inactivity_reminders', inactivity_reminders,
+                'completion_celebrations', completion_celebrations,
+                'new_challenge_alerts', new_challenge_alerts,
+                'streak_break_alerts', streak_break_alerts
+            ) || COALESCE(preferences, '{}')
+        $sql$;
+    END IF;
+END $$;
+
+COMMENT ON COLUMN user_notification_preferences.preferences IS 'Tipos silenciados (<tipo>: false), canales (push_notifications, email_notifications, socket_notifications) y email_digest (immediate, hourly, daily)';
+
+-- ============================================================
+-- STEP 2: Web Push subscriptions
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS user_push_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    push_token TEXT NOT NULL,
+    platform VARCHAR(20) NOT NULL CHECK (platform IN ('ios', 'android', 'web')),
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    last_used TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, push_token, platform)
+);
+
+ALTER TABLE user_push_tokens ADD COLUMN IF NOT EXISTS subscription JSONB;
+ALTER TABLE user_push_tokens ADD COLUMN IF NOT EXISTS user_agent TEXT;
+ALTER TABLE user_push_tokens ADD COLUMN IF NOT EXISTS failure_count INTEGER DEFAULT 0;
+
+COMMENT ON COLUMN user_push_tokens.push_token IS 'Web: endpoint de la suscripción';
+COMMENT ON COLUMN user_push_tokens.subscription IS 'Web: PushSubscription completa (endpoint y claves p256dh/auth para cifrar)';
+
+-- ============================================================
+-- STEP 3: Deliveries
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS notification_deliveries (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    source VARCHAR(20) NOT NULL,
+    source_id INTEGER NOT NULL,
+    channel VARCHAR(10) NOT NULL,
+    mode VARCHAR(10) NOT NULL DEFAULT 'immediate',
+    status VARCHAR(10) NOT NULL DEFAULT 'pending',
+    payload JSONB NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    scheduled_for TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    sent_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CHECK (source IN ('levels', 'challenges', 'support')),
+    CHECK (channel IN ('socket', 'push', 'email')),
+    CHECK (mode IN ('immediate', 'digest')),
+    CHECK (status IN ('pending', 'queued', 'sent', 'failed', 'skipped'))
+);
+
+COMMENT ON TABLE notification_deliveries IS 'Una fila por notificación y canal; la notificación se guarda una sola vez en la tabla de su sistema (source, source_id)';
+COMMENT ON COLUMN notification_deliveries.source IS 'levels = user_notifications, challenges = challenge_notifications, support = notifications';
+COMMENT ON COLUMN notification_deliveries.mode IS 'digest: el email se agrupa con los demás pendientes del usuario en un único correo';
+COMMENT ON COLUMN notification_deliveries.status IS 'queued = espera a scheduled_for (resumen o reintento); skipped = sin destino (usuario desconectado, sin suscripciones)';
+COMMENT ON COLUMN notification_deliveries.payload IS 'Copia de título, mensaje y enlace para enviar resúmenes y reintentos sin leer la tabla de origen';
+
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_source ON notification_deliveries(source, source_id);
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_queue ON notification_deliveries(scheduled_for) WHERE status = 'queued';
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_user ON notification_deliveries(user_id, created_at DESC);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS notification_deliveries;
+ALTER TABLE user_push_tokens DROP COLUMN IF EXISTS failure_count;
+ALTER TABLE user_push_tokens DROP COLUMN IF EXISTS user_agent;
+ALTER TABLE user_push_tokens DROP COLUMN IF EXISTS subscription;
+DROP TABLE IF EXISTS user_notification_preferences;
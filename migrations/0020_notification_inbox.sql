@@ -0,0 +1,33 @@
+-- Migration: Add unified notification inbox indexes
+-- Purpose: Keyset pagination and unread counts over user_notifications, challenge_notifications and notifications
+-- Date: 2026-10-19
+-- Phase: 3 - Notifications
+
+-- migrate:up
+
+-- ============================================================
+-- STEP 1: Pagination (user, date desc, id desc)
+-- ============================================================
+
+CREATE INDEX IF NOT EXISTS idx_user_notifications_inbox ON user_notifications(user_id, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_challenge_notifications_inbox ON challenge_notifications(user_id, sent_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_inbox ON notifications(user_id, created_at DESC, id DESC);
+
+-- ============================================================
+-- STEP 2: Unread counts
+-- ============================================================
+
+CREATE INDEX IF NOT EXISTS idx_user_notifications_unread ON user_notifications(user_id) WHERE read_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_challenge_notifications_unread ON challenge_notifications(user_id) WHERE read_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_notifications_unread ON notifications(user_id) WHERE is_read = false;
+
+COMMENT ON INDEX idx_notifications_inbox IS 'Bandeja unificada /api/notifications: una rama por tabla de origen con la misma ordenación';
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_notifications_unread;
+DROP INDEX IF EXISTS idx_challenge_notifications_unread;
+DROP INDEX IF EXISTS idx_user_notifications_unread;
+DROP INDEX IF EXISTS idx_notifications_inbox;
+DROP INDEX IF EXISTS idx_challenge_notifications_inbox;
+DROP INDEX IF EXISTS idx_user_notifications_inbox;
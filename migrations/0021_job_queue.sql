@@ -0,0 +1,88 @@
+-- Migration: Add background job queue
+-- Purpose: Postgres-backed job queue (SKIP LOCKED) with named schedules, retries with backoff, idempotency keys and run history
+-- Date: 2026-10-19
+-- Phase: 3 - Jobs
+
+-- migrate:up
+
+-- ============================================================
+-- STEP 1: Schedules
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS job_schedules (
+    name VARCHAR(100) PRIMARY KEY,
+    cron_expression VARCHAR(100),
+    timezone VARCHAR(50) NOT NULL DEFAULT 'Europe/Madrid',
+    description TEXT,
+    paused BOOLEAN NOT NULL DEFAULT false,
+    paused_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    paused_at TIMESTAMP WITH TIME ZONE,
+    last_enqueued_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON TABLE job_schedules IS 'Un registro por trabajo con nombre; la definición (cron, reintentos) vive en scheduled-jobs.js y se sincroniza al arrancar';
+COMMENT ON COLUMN job_schedules.paused IS 'Pausado: no se encolan ejecuciones programadas (lanzarlo a mano sigue funcionando). Se conserva entre despliegues';
+
+-- ============================================================
+-- STEP 2: Jobs
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS jobs (
+    id BIGSERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    payload JSONB NOT NULL DEFAULT '{}',
+    idempotency_key VARCHAR(200),
+    status VARCHAR(20) NOT NULL DEFAULT 'queued',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 3,
+    run_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    locked_by VARCHAR(200),
+    locked_at TIMESTAMP WITH TIME ZONE,
+    last_error TEXT,
+    result JSONB,
+    triggered_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP WITH TIME ZONE,
+    CHECK (status IN ('queued', 'running', 'succeeded', 'failed')),
+    UNIQUE (name, idempotency_key)
+);
+
+COMMENT ON COLUMN jobs.idempotency_key IS 'Encolar dos veces la misma clave no crea otro trabajo: las ejecuciones programadas usan schedule:<minuto>, así varias instancias no duplican';
+COMMENT ON COLUMN jobs.status IS 'queued (también entre reintentos) -> running -> succeeded | failed (agotados los intentos)';
+COMMENT ON COLUMN jobs.locked_by IS 'Instancia (host:pid) que lo ejecuta; un running con locked_at antiguo se considera abandonado y se reintenta';
+
+CREATE INDEX IF NOT EXISTS idx_jobs_queue ON jobs(run_at, id) WHERE status = 'queued';
+CREATE INDEX IF NOT EXISTS idx_jobs_running ON jobs(locked_at) WHERE status = 'running';
+CREATE INDEX IF NOT EXISTS idx_jobs_name ON jobs(name, created_at DESC);
+
+-- ============================================================
+-- STEP 3: Run history
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS job_runs (
+    id BIGSERIAL PRIMARY KEY,
+    job_id BIGINT NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    attempt INTEGER NOT NULL,
+    worker VARCHAR(200) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'running',
+    error TEXT,
+    result JSONB,
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP WITH TIME ZONE,
+    duration_ms INTEGER,
+    CHECK (status IN ('running', 'succeeded', 'failed'))
+);
+
+COMMENT ON TABLE job_runs IS 'Un registro por intento de cada trabajo';
+
+CREATE INDEX IF NOT EXISTS idx_job_runs_job ON job_runs(job_id, attempt);
+CREATE INDEX IF NOT EXISTS idx_job_runs_name ON job_runs(name, started_at DESC);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS job_runs;
+DROP TABLE IF EXISTS jobs;
+DROP TABLE IF EXISTS job_schedules;
@@ -0,0 +1,172 @@
+-- Migration: Move roles and support tickets to the unified tables
+-- Purpose: unified_roles, unified_user_roles and unified_tickets as the real tables behind the repositories, replacing the SQL-rewriting compatibility layer; roles, user_roles and support_tickets remain as updatable views
+-- Date: 2026-10-19
+-- Phase: 3 - Data access
+
+-- Dos puntos de partida posibles:
+--   * Bases creadas con migrations/: roles, user_roles y (si se instaló soporte) support_tickets son
+--     tablas. Se renombran, así se conservan ids, secuencias, triggers y la clave foránea de blocks.user_role_id
+--   * Bases que pasaron por critical-fixes-migration.js: las tablas unified_* ya existen y roles/user_roles
+--     son vistas de solo lectura. Se sustituyen por las vistas de abajo
+-- Los saldos de Luminarias no necesitan tabla unificada: el libro mayor (0014) ya es la fuente única
+
+-- Sin migrate:down: el estado anterior depende del punto de partida (tablas renombradas o vistas de
+-- critical-fixes-migration.js sobre unified_* que ya existían) y no queda registrado
+
+-- migrate:up
+
+-- ============================================================
+-- STEP 1: Roles
+-- ============================================================
+
+DO $$
+BEGIN
+    IF to_regclass('public.unified_roles') IS NULL THEN
+        ALTER TABLE roles RENAME TO unified_roles;
+        ALTER TABLE user_roles RENAME TO unified_user_roles;
+    ELSE
+        DROP VIEW IF EXISTS user_roles;
+        DROP VIEW IF EXISTS roles;
+    END IF;
+END $$;
+
+ALTER TABLE unified_roles ADD COLUMN IF NOT EXISTS display_name VARCHAR(100);
+ALTER TABLE unified_roles ADD COLUMN IF NOT EXISTS hierarchy_level INTEGER DEFAULT 0;
+ALTER TABLE unified_roles ADD COLUMN IF NOT EXISTS permissions JSONB DEFAULT '[]';
+ALTER TABLE unified_roles ADD COLUMN IF NOT EXISTS is_active BOOLEAN DEFAULT true;
+ALTER TABLE unified_roles ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+ALTER TABLE unified_user_roles ADD COLUMN IF NOT EXISTS auto_assigned BOOLEAN DEFAULT false;
+ALTER TABLE unified_user_roles ADD COLUMN IF NOT EXISTS assigned_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE unified_user_roles ADD COLUMN IF NOT EXISTS is_active BOOLEAN DEFAULT true;
+ALTER TABLE unified_user_roles ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON TABLE unified_roles IS 'Roles del sistema; se accede a través de user-repository.js';
+COMMENT ON COLUMN unified_user_roles.is_active IS 'Asignación desactivada sin borrarla (los bloques creados con ella siguen apuntando a su id)';
+
+-- Nombres antiguos al canónico cuando el canónico no existe todavía; si existen los dos,
+-- user-repository.js trata el antiguo como alias
+DO $$
+DECLARE
+    alias RECORD;
+BEGIN
+    FOR alias IN SELECT * FROM (VALUES
+        ('admin_principal', 'administrador_principal'),
+        ('admin_secundario', 'administrador_secundario'),
+        ('creador_contenido', 'creador'),
+        ('profesor_creador', 'creador'),
+        ('usuario', 'jugador')
+    ) AS aliases(legacy, canonical) LOOP
+        IF NOT EXISTS (SELECT 1 FROM unified_roles WHERE name = alias.canonical) THEN
+            UPDATE unified_roles SET name = alias.canonical, updated_at = CURRENT_TIMESTAMP WHERE name = alias.legacy;
+        END IF;
+    END LOOP;
+END $$;
+
+INSERT INTO unified_roles (name, description, display_name, hierarchy_level) VALUES
+    ('administrador_principal', 'Administrador Principal del Sistema', 'Administrador Principal', 4),
+    ('administrador_secundario', 'Administrador secundario con acceso limitado', 'Administrador Secundario', 3),
+    ('servicio_tecnico', 'Servicio técnico', 'Servicio Técnico', 3),
+    ('soporte_tecnico', 'Soporte técnico', 'Soporte Técnico', 3),
+    ('profesor', 'Profesor con grupos y alumnos', 'Profesor', 2),
+    ('creador', 'Creador de contenido público', 'Creador', 2),
+    ('jugador', 'Jugador', 'Jugador', 1)
+ON CONFLICT (name) DO UPDATE SET
+    display_name = COALESCE(unified_roles.display_name, EXCLUDED.display_name),
+    hierarchy_level = CASE WHEN COALESCE(unified_roles.hierarchy_level, 0) = 0
+        THEN EXCLUDED.hierarchy_level ELSE unified_roles.hierarchy_level END;
+
+UPDATE unified_roles SET display_name = COALESCE(description, name) WHERE display_name IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_unified_user_roles_user_id ON unified_user_roles(user_id);
+CREATE INDEX IF NOT EXISTS idx_unified_user_roles_role_id ON unified_user_roles(role_id);
+
+-- Vistas con la forma de 0001 para los módulos que aún consultan roles/user_roles (auth, blocks,
+-- users, websocket...). Son de una sola tabla, así que admiten INSERT/UPDATE/DELETE
+CREATE VIEW roles AS
+    SELECT id, name, description, created_at
+    FROM unified_roles;
+
+CREATE VIEW user_roles AS
+    SELECT id, user_id, role_id, auto_assigned, assigned_at
+    FROM unified_user_roles
+    WHERE is_active AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP);
+
+-- ============================================================
+-- STEP 2: Support tickets
+-- ============================================================
+
+DO $$
+BEGIN
+    IF to_regclass('public.unified_tickets') IS NULL THEN
+        IF to_regclass('public.support_tickets') IS NOT NULL THEN
+            ALTER TABLE support_tickets RENAME TO unified_tickets;
+        ELSE
+            CREATE SEQUENCE IF NOT EXISTS unified_tickets_number_seq;
+            CREATE TABLE unified_tickets (
+                id SERIAL PRIMARY KEY,
+                ticket_number VARCHAR(20) UNIQUE NOT NULL
+                    DEFAULT 'SUP-' || LPAD(nextval('unified_tickets_number_seq')::text, 6, '0'),
+                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                subject VARCHAR(200) NOT NULL,
+                description TEXT NOT NULL,
+                status VARCHAR(20) DEFAULT 'open',
+                priority VARCHAR(20) DEFAULT 'medium',
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+            );
+            ALTER SEQUENCE unified_tickets_number_seq OWNED BY unified_tickets.ticket_number;
+        END IF;
+    ELSE
+        DROP VIEW IF EXISTS support_tickets;
+    END IF;
+
+    -- Forma de critical-fixes-migration.js: title/category obligatorios que routes/support.js no rellena
+    IF EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'unified_tickets' AND column_name = 'title') THEN
+        ALTER TABLE unified_tickets ALTER COLUMN title DROP NOT NULL;
+    END IF;
+    IF EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'unified_tickets' AND column_name = 'category') THEN
+        ALTER TABLE unified_tickets ALTER COLUMN category DROP NOT NULL;
+    END IF;
+END $$;
+
+ALTER TABLE unified_tickets ADD COLUMN IF NOT EXISTS user_email VARCHAR(255);
+ALTER TABLE unified_tickets ADD COLUMN IF NOT EXISTS user_nickname VARCHAR(100);
+ALTER TABLE unified_tickets ADD COLUMN IF NOT EXISTS subject VARCHAR(200);
+ALTER TABLE unified_tickets ADD COLUMN IF NOT EXISTS category_id INTEGER;
+ALTER TABLE unified_tickets ADD COLUMN IF NOT EXISTS assigned_to INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE unified_tickets ADD COLUMN IF NOT EXISTS assigned_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE unified_tickets ADD COLUMN IF NOT EXISTS group_id INTEGER;
+ALTER TABLE unified_tickets ADD COLUMN IF NOT EXISTS is_group_master BOOLEAN DEFAULT false;
+ALTER TABLE unified_tickets ADD COLUMN IF NOT EXISTS similarity_hash VARCHAR(64);
+ALTER TABLE unified_tickets ADD COLUMN IF NOT EXISTS escalation_level INTEGER DEFAULT 0;
+ALTER TABLE unified_tickets ADD COLUMN IF NOT EXISTS escalated_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE unified_tickets ADD COLUMN IF NOT EXISTS escalation_reason TEXT;
+ALTER TABLE unified_tickets ADD COLUMN IF NOT EXISTS due_date TIMESTAMP WITH TIME ZONE;
+ALTER TABLE unified_tickets ADD COLUMN IF NOT EXISTS first_response_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE unified_tickets ADD COLUMN IF NOT EXISTS browser_info JSONB DEFAULT '{}';
+ALTER TABLE unified_tickets ADD COLUMN IF NOT EXISTS device_info JSONB DEFAULT '{}';
+ALTER TABLE unified_tickets ADD COLUMN IF NOT EXISTS error_logs TEXT;
+ALTER TABLE unified_tickets ADD COLUMN IF NOT EXISTS screenshot_urls TEXT[] DEFAULT '{}';
+ALTER TABLE unified_tickets ADD COLUMN IF NOT EXISTS resolution TEXT;
+ALTER TABLE unified_tickets ADD COLUMN IF NOT EXISTS metadata JSONB DEFAULT '{}';
+ALTER TABLE unified_tickets ADD COLUMN IF NOT EXISTS resolved_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE unified_tickets ADD COLUMN IF NOT EXISTS closed_at TIMESTAMP WITH TIME ZONE;
+
+-- Tickets copiados por critical-fixes-migration.js: su asunto estaba en title
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'unified_tickets' AND column_name = 'title') THEN
+        UPDATE unified_tickets SET subject = title WHERE subject IS NULL;
+    END IF;
+END $$;
+
+COMMENT ON TABLE unified_tickets IS 'Tickets de soporte técnico; se accede a través de ticket-repository.js';
+
+CREATE INDEX IF NOT EXISTS idx_unified_tickets_status ON unified_tickets(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_unified_tickets_group ON unified_tickets(group_id);
+CREATE INDEX IF NOT EXISTS idx_unified_tickets_user ON unified_tickets(user_id);
+
+-- Para los triggers y funciones de setup-support-system.js y para support-automation.js
+CREATE VIEW support_tickets AS
+    SELECT * FROM unified_tickets;
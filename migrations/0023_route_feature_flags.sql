@@ -0,0 +1,22 @@
+-- Migration: Feature flags for the versioned subsystem routers
+-- Purpose: One flag per router mounted under /api/v1 (teachers panel, Luminarias, integrations, AI analytics, simple roles), off until enabled for a pilot
+-- Date: 2026-10-19
+-- Phase: 3 - Rollout
+
+-- La segmentación va en config: { "percentage": 0-100, "roles": [...], "users": [ids] }.
+-- Un flag activo sin ninguna de las tres vale para todos los usuarios
+
+-- migrate:up
+
+INSERT INTO feature_flags (flag_name, description, is_enabled, config) VALUES
+    ('teachers_panel', 'Panel de profesores (/api/v1/teachers)', false, '{}'),
+    ('luminarias', 'Saldos, transferencias, tienda y marketplace de Luminarias (/api/v1/luminarias)', false, '{}'),
+    ('external_integrations', 'Integraciones con sistemas externos (/api/v1/integrations)', false, '{}'),
+    ('ai_analytics', 'Analítica predictiva para profesores (/api/v1/ai-analytics)', false, '{}'),
+    ('roles_simple', 'Gestión simplificada de roles (/api/v1/roles-simple)', false, '{}')
+ON CONFLICT (flag_name) DO NOTHING;
+
+-- migrate:down
+
+DELETE FROM feature_flags
+WHERE flag_name IN ('teachers_panel', 'luminarias', 'external_integrations', 'ai_analytics', 'roles_simple');
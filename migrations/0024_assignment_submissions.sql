@@ -0,0 +1,120 @@
+-- Migration: Assignment lifecycle and gradebook
+-- Purpose: Late and attempt-limit policies on block_assignments, one submission per student and assignment with its grade rollup and teacher override, and one attempt per finished game session on the assigned block
+-- Date: 2026-10-19
+-- Phase: 3 - Classroom
+
+-- migrate:up
+
+-- ============================================================
+-- STEP 1: Assignment policies
+-- ============================================================
+
+ALTER TABLE block_assignments
+ADD COLUMN IF NOT EXISTS max_attempts INTEGER,
+ADD COLUMN IF NOT EXISTS late_policy VARCHAR(20) NOT NULL DEFAULT 'accept',
+ADD COLUMN IF NOT EXISTS late_penalty_percent NUMERIC(5,2) NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS grading_method VARCHAR(10) NOT NULL DEFAULT 'best',
+ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'check_assignment_policy') THEN
+        ALTER TABLE block_assignments
+        ADD CONSTRAINT check_assignment_policy CHECK (
+            (max_attempts IS NULL OR max_attempts > 0)
+            AND late_policy IN ('accept', 'penalize', 'reject')
+            AND late_penalty_percent BETWEEN 0 AND 100
+            AND grading_method IN ('best', 'latest', 'average')
+        );
+    END IF;
+END $$;
+
+COMMENT ON COLUMN block_assignments.max_attempts IS 'Partidas que cuentan por alumno; NULL = sin límite. Las que superan el límite no se registran';
+COMMENT ON COLUMN block_assignments.late_policy IS 'Entregas después de due_date: accept (sin penalización), penalize (late_penalty_percent por día empezado) o reject (no se registran)';
+COMMENT ON COLUMN block_assignments.grading_method IS 'Nota del alumno a partir de sus intentos: best, latest o average';
+
+-- ============================================================
+-- STEP 2: Submissions (one per student and assignment)
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS assignment_submissions (
+    id SERIAL PRIMARY KEY,
+    assignment_id INTEGER NOT NULL REFERENCES block_assignments(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'assigned',
+    attempts_count INTEGER NOT NULL DEFAULT 0,
+    computed_score NUMERIC(5,2),
+    best_score NUMERIC(5,2),
+    is_late BOOLEAN NOT NULL DEFAULT false,
+    first_completed_at TIMESTAMP,
+    last_attempt_at TIMESTAMP,
+    override_score NUMERIC(5,2),
+    override_comment TEXT,
+    overridden_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    overridden_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(assignment_id, user_id),
+    CHECK (status IN ('assigned', 'completed')),
+    CHECK (override_score IS NULL OR override_score BETWEEN 0 AND 10)
+);
+
+COMMENT ON TABLE assignment_submissions IS 'Estado y nota de cada alumno en cada asignación; se crea al asignar o al unirse al grupo';
+COMMENT ON COLUMN assignment_submissions.computed_score IS 'Nota (0-10) según grading_method, con las penalizaciones por retraso aplicadas';
+COMMENT ON COLUMN assignment_submissions.override_score IS 'Nota puesta por el profesor; si no es NULL sustituye a computed_score';
+COMMENT ON COLUMN assignment_submissions.is_late IS 'Algún intento que cuenta se entregó después de due_date';
+
+CREATE INDEX IF NOT EXISTS idx_assignment_submissions_user ON assignment_submissions(user_id);
+
+-- ============================================================
+-- STEP 3: Attempts (one per finished game session)
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS assignment_attempts (
+    id SERIAL PRIMARY KEY,
+    submission_id INTEGER NOT NULL REFERENCES assignment_submissions(id) ON DELETE CASCADE,
+    attempt_number INTEGER NOT NULL,
+    game_id INTEGER REFERENCES games(id) ON DELETE SET NULL,
+    session_id INTEGER REFERENCES game_sessions(id) ON DELETE SET NULL,
+    correct INTEGER NOT NULL DEFAULT 0,
+    total_questions INTEGER NOT NULL DEFAULT 0,
+    raw_score NUMERIC(5,2) NOT NULL,
+    penalty_percent NUMERIC(5,2) NOT NULL DEFAULT 0,
+    score NUMERIC(5,2) NOT NULL,
+    is_late BOOLEAN NOT NULL DEFAULT false,
+    submitted_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(submission_id, attempt_number),
+    UNIQUE(submission_id, session_id)
+);
+
+COMMENT ON TABLE assignment_attempts IS 'Partidas del alumno sobre el bloque asignado; raw_score cuenta solo las preguntas de ese bloque';
+COMMENT ON COLUMN assignment_attempts.score IS 'raw_score con penalty_percent aplicado';
+
+CREATE INDEX IF NOT EXISTS idx_assignment_attempts_session ON assignment_attempts(session_id);
+
+-- ============================================================
+-- STEP 4: Submissions for existing assignments
+-- ============================================================
+
+INSERT INTO assignment_submissions (assignment_id, user_id)
+SELECT ba.id, gm.user_id
+FROM block_assignments ba
+JOIN group_members gm ON gm.group_id = ba.group_id
+UNION
+SELECT ba.id, ba.assigned_to_user
+FROM block_assignments ba
+WHERE ba.assigned_to_user IS NOT NULL
+ON CONFLICT (assignment_id, user_id) DO NOTHING;
+
+-- migrate:down
+
+DROP TABLE IF EXISTS assignment_attempts;
+DROP TABLE IF EXISTS assignment_submissions;
+
+ALTER TABLE block_assignments DROP CONSTRAINT IF EXISTS check_assignment_policy;
+ALTER TABLE block_assignments
+DROP COLUMN IF EXISTS max_attempts,
+DROP COLUMN IF EXISTS late_policy,
+DROP COLUMN IF EXISTS late_penalty_percent,
+DROP COLUMN IF EXISTS grading_method,
+DROP COLUMN IF EXISTS updated_at;
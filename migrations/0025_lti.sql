@@ -0,0 +1,158 @@
+-- Migration: LTI 1.3 tool provider
+-- Purpose: Registered LMS platforms, tool signing keys, OIDC login state, LMS users/courses/resource links mapped to PlayTest users, groups and block assignments, and Assignment and Grade Services score passback
+-- Date: 2026-10-19
+-- Phase: 3 - Classroom
+
+-- migrate:up
+
+-- ============================================================
+-- STEP 1: Platforms and tool keys
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS lti_platforms (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    issuer VARCHAR(255) NOT NULL,
+    client_id VARCHAR(255) NOT NULL,
+    deployment_ids JSONB NOT NULL DEFAULT '[]',
+    auth_login_url TEXT NOT NULL,
+    auth_token_url TEXT NOT NULL,
+    auth_token_audience TEXT,
+    jwks_url TEXT NOT NULL,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(issuer, client_id)
+);
+
+COMMENT ON TABLE lti_platforms IS 'LMS registrados (Canvas, Moodle, Schoology...) como plataformas LTI 1.3';
+COMMENT ON COLUMN lti_platforms.deployment_ids IS 'Despliegues aceptados; vacío = cualquiera del cliente';
+COMMENT ON COLUMN lti_platforms.auth_token_audience IS 'aud del client assertion si la plataforma no usa auth_token_url';
+
+CREATE TABLE IF NOT EXISTS lti_keys (
+    kid VARCHAR(64) PRIMARY KEY,
+    public_jwk JSONB NOT NULL,
+    private_key_pem TEXT NOT NULL,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON TABLE lti_keys IS 'Claves RSA de la herramienta: firman los client assertion y las respuestas de deep linking; las activas se publican en /api/v1/lti/jwks';
+
+-- ============================================================
+-- STEP 2: Login state and deep linking sessions
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS lti_login_states (
+    state VARCHAR(64) PRIMARY KEY,
+    nonce VARCHAR(64) NOT NULL,
+    platform_id INTEGER NOT NULL REFERENCES lti_platforms(id) ON DELETE CASCADE,
+    target_link_uri TEXT,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+COMMENT ON TABLE lti_login_states IS 'state/nonce de cada inicio de sesión OIDC; el lanzamiento lo consume una sola vez';
+
+CREATE TABLE IF NOT EXISTS lti_deep_link_sessions (
+    id VARCHAR(64) PRIMARY KEY,
+    platform_id INTEGER NOT NULL REFERENCES lti_platforms(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    deployment_id VARCHAR(255) NOT NULL,
+    settings JSONB NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+COMMENT ON TABLE lti_deep_link_sessions IS 'Peticiones de deep linking pendientes de que el profesor elija bloque';
+
+-- ============================================================
+-- STEP 3: LMS users, courses and resource links
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS lti_users (
+    id SERIAL PRIMARY KEY,
+    platform_id INTEGER NOT NULL REFERENCES lti_platforms(id) ON DELETE CASCADE,
+    subject VARCHAR(255) NOT NULL,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    last_launch_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(platform_id, subject)
+);
+
+COMMENT ON COLUMN lti_users.subject IS 'sub del id_token: identificador del usuario en el LMS, el userId de las notas';
+
+CREATE INDEX IF NOT EXISTS idx_lti_users_user ON lti_users(user_id);
+
+CREATE TABLE IF NOT EXISTS lti_contexts (
+    id SERIAL PRIMARY KEY,
+    platform_id INTEGER NOT NULL REFERENCES lti_platforms(id) ON DELETE CASCADE,
+    context_id VARCHAR(255) NOT NULL,
+    title VARCHAR(255),
+    group_id INTEGER REFERENCES groups(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(platform_id, context_id)
+);
+
+COMMENT ON TABLE lti_contexts IS 'Cursos del LMS; cada uno es un grupo de PlayTest creado por el primer profesor que lanza';
+
+CREATE TABLE IF NOT EXISTS lti_resource_links (
+    id SERIAL PRIMARY KEY,
+    platform_id INTEGER NOT NULL REFERENCES lti_platforms(id) ON DELETE CASCADE,
+    deployment_id VARCHAR(255) NOT NULL,
+    resource_link_id VARCHAR(255) NOT NULL,
+    context_id INTEGER REFERENCES lti_contexts(id) ON DELETE SET NULL,
+    title VARCHAR(255),
+    block_id INTEGER REFERENCES blocks(id) ON DELETE SET NULL,
+    assignment_id INTEGER REFERENCES block_assignments(id) ON DELETE SET NULL,
+    lineitems_url TEXT,
+    lineitem_url TEXT,
+    ags_scopes JSONB NOT NULL DEFAULT '[]',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(platform_id, resource_link_id)
+);
+
+COMMENT ON TABLE lti_resource_links IS 'Actividades del LMS que apuntan a un bloque; la asignación del grupo del curso recoge las notas';
+COMMENT ON COLUMN lti_resource_links.lineitem_url IS 'Columna del libro de notas del LMS (AGS); se crea en lineitems_url si el LMS no la da';
+
+CREATE INDEX IF NOT EXISTS idx_lti_resource_links_assignment ON lti_resource_links(assignment_id);
+
+-- ============================================================
+-- STEP 4: Score passback
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS lti_score_publications (
+    id SERIAL PRIMARY KEY,
+    resource_link_id INTEGER NOT NULL REFERENCES lti_resource_links(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    score NUMERIC(5,2),
+    submission_updated_at TIMESTAMP,
+    published_at TIMESTAMP WITH TIME ZONE,
+    failures INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    last_attempt_at TIMESTAMP WITH TIME ZONE,
+    UNIQUE(resource_link_id, user_id)
+);
+
+COMMENT ON TABLE lti_score_publications IS 'Última nota enviada al LMS por actividad y alumno';
+COMMENT ON COLUMN lti_score_publications.submission_updated_at IS 'updated_at de la entrega que se envió; si la entrega cambia después se vuelve a enviar';
+
+-- ============================================================
+-- STEP 5: Feature flag
+-- ============================================================
+
+INSERT INTO feature_flags (flag_name, description, is_enabled, config) VALUES
+    ('lti', 'Herramienta LTI 1.3: lanzamientos, deep linking y notas al LMS (/api/v1/lti)', false, '{}')
+ON CONFLICT (flag_name) DO NOTHING;
+
+-- migrate:down
+
+DELETE FROM feature_flags WHERE flag_name = 'lti';
+
+DROP TABLE IF EXISTS lti_score_publications;
+DROP TABLE IF EXISTS lti_resource_links;
+DROP TABLE IF EXISTS lti_contexts;
+DROP TABLE IF EXISTS lti_users;
+DROP TABLE IF EXISTS lti_deep_link_sessions;
+DROP TABLE IF EXISTS lti_login_states;
+DROP TABLE IF EXISTS lti_keys;
+DROP TABLE IF EXISTS lti_platforms;
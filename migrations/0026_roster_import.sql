@@ -0,0 +1,65 @@
+-- Migration: Roster import
+-- Purpose: External (SIS / OneRoster) identifiers for users and sections, so that yearly roster imports match the users, groups and teacher classes created by previous ones, and the reconciliation report of each import
+-- Date: 2026-10-19
+-- Phase: 3 - Classroom
+
+-- migrate:up
+
+-- ============================================================
+-- STEP 1: External identifiers
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS roster_users (
+    id SERIAL PRIMARY KEY,
+    source VARCHAR(150) NOT NULL,
+    external_id VARCHAR(255) NOT NULL,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(source, external_id)
+);
+
+COMMENT ON TABLE roster_users IS 'Identificador del usuario en el sistema de gestión académica (sourcedId de OneRoster o columna external_id del CSV)';
+COMMENT ON COLUMN roster_users.source IS 'Origen de los identificadores; en las importaciones de profesores lleva su id delante para que no choquen entre sí';
+
+CREATE INDEX IF NOT EXISTS idx_roster_users_user ON roster_users(user_id);
+
+CREATE TABLE IF NOT EXISTS roster_sections (
+    id SERIAL PRIMARY KEY,
+    source VARCHAR(150) NOT NULL,
+    external_id VARCHAR(255) NOT NULL,
+    group_id INTEGER REFERENCES groups(id) ON DELETE CASCADE,
+    class_id INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(source, external_id)
+);
+
+COMMENT ON TABLE roster_sections IS 'Clase del sistema académico enlazada a un grupo y/o a una clase del panel de profesores';
+COMMENT ON COLUMN roster_sections.class_id IS 'teacher_classes.id; sin clave foránea porque esa tabla la crea setup-teachers-panel.js, fuera de migrations/';
+
+-- ============================================================
+-- STEP 2: Import log with reconciliation report
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS roster_imports (
+    id SERIAL PRIMARY KEY,
+    imported_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    source VARCHAR(150) NOT NULL,
+    format VARCHAR(20) NOT NULL,
+    target VARCHAR(20) NOT NULL,
+    dry_run BOOLEAN NOT NULL DEFAULT false,
+    summary JSONB NOT NULL DEFAULT '{}',
+    report JSONB NOT NULL DEFAULT '[]',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (format IN ('csv', 'oneroster')),
+    CHECK (target IN ('group', 'class'))
+);
+
+COMMENT ON COLUMN roster_imports.report IS 'Una entrada por usuario, clase y matrícula del fichero: created, updated, matched, removed, skipped o error';
+
+CREATE INDEX IF NOT EXISTS idx_roster_imports_user ON roster_imports(imported_by, created_at DESC);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS roster_imports;
+DROP TABLE IF EXISTS roster_sections;
+DROP TABLE IF EXISTS roster_users;
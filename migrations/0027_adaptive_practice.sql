@@ -0,0 +1,58 @@
+-- Migration: Adaptive practice
+-- Purpose: Server-side adaptive game sessions that pick each question from the player's per-topic mastery estimate, and "practice until mastered" block assignments completed when an adaptive session reaches the mastery threshold
+-- Date: 2026-10-19
+-- Phase: 3 - Classroom
+
+-- migrate:up
+
+-- ============================================================
+-- STEP 1: Adaptive state of game sessions
+-- ============================================================
+
+ALTER TABLE game_sessions
+ADD COLUMN IF NOT EXISTS adaptive_state JSONB;
+
+COMMENT ON COLUMN game_sessions.adaptive_state IS 'Solo partidas adaptive: dominio estimado por tema (0-100), umbral, límite de preguntas y estado (practicing, mastered, exhausted, max_questions). question_ids crece con cada pregunta elegida';
+
+-- ============================================================
+-- STEP 2: Mastery completion mode for assignments
+-- ============================================================
+
+ALTER TABLE block_assignments
+ADD COLUMN IF NOT EXISTS completion_mode VARCHAR(20) NOT NULL DEFAULT 'score',
+ADD COLUMN IF NOT EXISTS mastery_threshold NUMERIC(5,2) NOT NULL DEFAULT 80;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'check_assignment_completion') THEN
+        ALTER TABLE block_assignments
+        ADD CONSTRAINT check_assignment_completion CHECK (
+            completion_mode IN ('score', 'mastery')
+            AND mastery_threshold > 0 AND mastery_threshold <= 100
+        );
+    END IF;
+END $$;
+
+COMMENT ON COLUMN block_assignments.completion_mode IS 'score: completada con el primer intento; mastery: completada cuando una partida adaptive domina todos los temas del bloque';
+COMMENT ON COLUMN block_assignments.mastery_threshold IS 'Dominio (0-100) que debe alcanzar cada tema del bloque con completion_mode = mastery';
+
+ALTER TABLE assignment_attempts
+ADD COLUMN IF NOT EXISTS mastered BOOLEAN NOT NULL DEFAULT false;
+
+ALTER TABLE assignment_submissions
+ADD COLUMN IF NOT EXISTS mastered_at TIMESTAMP;
+
+COMMENT ON COLUMN assignment_attempts.mastered IS 'La partida adaptive alcanzó mastery_threshold en todos los temas del bloque asignado';
+COMMENT ON COLUMN assignment_submissions.mastered_at IS 'Primer intento con mastered = true';
+
+-- migrate:down
+
+ALTER TABLE assignment_submissions DROP COLUMN IF EXISTS mastered_at;
+ALTER TABLE assignment_attempts DROP COLUMN IF EXISTS mastered;
+
+ALTER TABLE block_assignments DROP CONSTRAINT IF EXISTS check_assignment_completion;
+ALTER TABLE block_assignments
+DROP COLUMN IF EXISTS completion_mode,
+DROP COLUMN IF EXISTS mastery_threshold;
+
+ALTER TABLE game_sessions DROP COLUMN IF EXISTS adaptive_state;
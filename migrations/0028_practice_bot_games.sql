@@ -0,0 +1,15 @@
+-- Migration: Practice bot games
+-- Purpose: Mark the duels that the matchmaking service creates against the practice bot in a column the client cannot write, instead of trusting games.config
+-- Date: 2026-10-19
+-- Phase: 3 - Real-time
+
+-- migrate:up
+
+ALTER TABLE games
+ADD COLUMN IF NOT EXISTS practice_bot JSONB;
+
+COMMENT ON COLUMN games.practice_bot IS 'Solo duelos creados por matchmaking.js contra el bot de práctica: { userId, nickname, accuracy }. games.config lo escribe el cliente y no se usa para esto';
+
+-- migrate:down
+
+ALTER TABLE games DROP COLUMN IF EXISTS practice_bot;
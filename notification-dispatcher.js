@@ -0,0 +1,539 @@
+const { Pool } = require('pg');
+const Mailer = require('./mail-transport');
+const WebPushSender = require('./web-push');
+
+// Cada sistema conserva su tabla (y sus endpoints); el dispatcher es quien escribe en ella.
+// select/typeColumn/createdColumn/unread/markRead son para la bandeja unificada (notification-inbox.js)
+const SOURCES = {
+    levels: {
+        table: 'user_notifications',
+        select: `id, notification_type as type, title, message, data, icon, priority,
+                 data->>'action_url' as action_url, read_at`,
+        typeColumn: 'notification_type',
+        createdColumn: 'created_at',
+        unread: 'read_at IS NULL',
+        markRead: 'read_at = CURRENT_TIMESTAMP',
+        insert: (pool, n) => pool.query(`
+            INSERT INTO user_notifications (user_id, notification_type, title, message, data, icon, priority)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            RETURNING id, created_at
+        `, [n.userId, n.type, n.title, n.message, JSON.stringify(n.data), n.icon || null, n.priority])
+    },
+    challenges: {
+        table: 'challenge_notifications',
+        select: `id, notification_type as type, title, message, data, NULL::varchar as icon,
+                 'medium'::varchar as priority,
+                 CASE WHEN challenge_id IS NOT NULL THEN '/challenges/' || challenge_id END as action_url, read_at`,
+        typeColumn: 'notification_type',
+        createdColumn: 'sent_at',
+        unread: 'read_at IS NULL',
+        markRead: 'read_at = CURRENT_TIMESTAMP',
+        insert: (pool, n) => pool.query(`
+            INSERT INTO challenge_notifications (user_id, challenge_id, notification_type, title, message, data)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING id, sent_at as created_at
+        `, [n.userId, n.challengeId || null, n.type, n.title, n.message, JSON.stringify(n.data)])
+    },
+    support: {
+        table: 'notifications',
+        select: `id, type, title, message, jsonb_build_object('ticket_id', ticket_id) as data, NULL::varchar as icon,
+                 'medium'::varchar as priority, action_url,
+                 CASE WHEN is_read THEN COALESCE(read_at, created_at)::timestamptz END as read_at`,
+        typeColumn: 'type',
+        createdColumn: 'created_at',
+        unread: 'is_read = false',
+        markRead: 'is_read = true, read_at = NOW()',
+        insert: (pool, n) => pool.query(`
+            INSERT INTO notifications (user_id, ticket_id, type, title, message, action_url)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING id, created_at
+        `, [n.userId, n.ticketId || null, n.type, n.title, n.message, n.actionUrl || null])
+    }
+};
+
+// Opción de user_notification_preferences que silencia cada tipo (por defecto, el propio tipo)
+const PREFERENCE_KEYS = {
+    challenges: {
+        new_challenge: 'new_challenge_alerts',
+        deadline_reminder: 'deadline_reminders',
+        milestone_25: 'milestone_notifications',
+        milestone_50: 'milestone_notifications',
+        milestone_75: 'milestone_notifications',
+        inactivity_reminder: 'inactivity_reminders',
+        completion_celebration: 'completion_celebrations',
+        streak_break_alert: 'streak_break_alerts'
+    }
+};
+
+const PRIORITIES = ['low', 'medium', 'high'];
+const DIGEST_MODES = ['immediate', 'hourly', 'daily'];
+const DEFAULT_DIGEST = 'daily';
+const DAILY_DIGEST_HOUR_UTC = 7;
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MINUTES = 5;
+
+function frontendUrl(actionUrl) {
+    if (!actionUrl) return null;
+    if (/^https?:\/\//.test(actionUrl)) return actionUrl;
+    return `${(process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/+$/, '')}${actionUrl}`;
+}
+
+// Siguiente envío de resumen: en punto para 'hourly', a las 07:00 UTC para 'daily'
+function nextDigestTime(mode, now = new Date()) {
+    const next = new Date(now);
+    if (mode === 'hourly') {
+        next.setUTCHours(next.getUTCHours() + 1, 0, 0, 0);
+    } else {
+        next.setUTCHours(DAILY_DIGEST_HOUR_UTC, 0, 0, 0);
+        if (next <= now) next.setUTCDate(next.getUTCDate() + 1);
+    }
+    return next;
+}
+
+function notificationError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+let sharedDispatcher = null;
+
+// Dispatcher unificado: guarda la notificación una vez en la tabla de su sistema y la reparte por
+// Socket.IO (sala user_<id>), Web Push y email según user_notification_preferences. Cada canal deja
+// una fila en notification_deliveries; los emails no urgentes se agrupan en resúmenes
+class NotificationDispatcher {
+    constructor() {
+        this.pool = new Pool({
+            connectionString: process.env.DATABASE_URL,
+            ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+        });
+        this.io = null;
+        this.webPush = new WebPushSender();
+        this.mailer = Mailer.shared();
+    }
+
+    static get SOURCES() {
+        return SOURCES;
+    }
+
+    static get DIGEST_MODES() {
+        return DIGEST_MODES;
+    }
+
+    static shared() {
+        if (!sharedDispatcher) sharedDispatcher = new NotificationDispatcher();
+        return sharedDispatcher;
+    }
+
+    static preferenceKey(source, type) {
+        return (PREFERENCE_KEYS[source] && PREFERENCE_KEYS[source][type]) || type;
+    }
+
+    // realtime-events.js lo llama al arrancar; sin Socket.IO el canal socket queda como skipped
+    attachSocketServer(io) {
+        this.io = io;
+    }
+
+    // ==================== ENVÍO ====================
+
+    async getRecipient(userId) {
+        const result = await this.pool.query(`
+            SELECT u.id, u.nickname, u.email, COALESCE(unp.preferences, '{}'::jsonb) as preferences
+            FROM users u
+            LEFT JOIN user_notification_preferences unp ON unp.user_id = u.id
+            WHERE u.id = $1
+        `, [userId]);
+        return result.rows[0] || null;
+    }
+
+    // notification: { userId, source, type, title, message, data?, priority?, actionUrl?, icon?, challengeId?, ticketId? }
+    // Devuelve null si el usuario tiene silenciado el tipo (no se guarda, como hasta ahora)
+    async dispatch(notification) {
+        const source = SOURCES[notification.source];
+        if (!source) throw notificationError(`Unknown notification source: ${notification.source}`);
+
+        const recipient = await this.getRecipient(notification.userId);
+        if (!recipient) return null;
+
+        const preferences = recipient.preferences;
+        if (preferences[NotificationDispatcher.preferenceKey(notification.source, notification.type)] === false) {
+            return null;
+        }
+
+        const data = notification.data || {};
+        const normalized = {
+            ...notification,
+            data,
+            priority: PRIORITIES.includes(notification.priority) ? notification.priority : 'medium',
+            actionUrl: notification.actionUrl || data.action_url || null
+        };
+
+        const stored = (await source.insert(this.pool, normalized)).rows[0];
+
+        const payload = {
+            id: stored.id,
+            source: notification.source,
+            type: normalized.type,
+            title: normalized.title,
+            message: normalized.message,
+            priority: normalized.priority,
+            action_url: normalized.actionUrl,
+            icon: normalized.icon || null,
+            data,
+            created_at: stored.created_at
+        };
+
+        const deliveries = [];
+        const channels = [
+            ['socket', preferences.socket_notifications !== false],
+            ['push', preferences.push_notifications !== false],
+            ['email', preferences.email_notifications === true && !!recipient.email]
+        ];
+
+        for (const [channel, enabled] of channels) {
+            if (!enabled) continue;
+            try {
+                deliveries.push(await this.deliver(channel, recipient, payload));
+            } catch (error) {
+                console.error(`Error delivering ${channel} notification ${notification.source}/${stored.id}:`, error.message);
+                deliveries.push({ channel, status: 'failed' });
+            }
+        }
+
+        return { id: stored.id, source: notification.source, created_at: stored.created_at, deliveries };
+    }
+
+    async dispatchToUsers(userIds, notification) {
+        const results = [];
+        for (const userId of userIds) {
+            try {
+                results.push(await this.dispatch({ ...notification, userId }));
+            } catch (error) {
+                console.error(`Error dispatching notification to user ${userId}:`, error.message);
+            }
+        }
+        return results;
+    }
+
+    async deliver(channel, recipient, payload) {
+        const digestMode = DIGEST_MODES.includes(recipient.preferences.email_digest)
+            ? recipient.preferences.email_digest
+            : DEFAULT_DIGEST;
+        const digest = channel === 'email' && digestMode !== 'immediate' && payload.priority !== 'high';
+
+        const delivery = (await this.pool.query(`
+            INSERT INTO notification_deliveries (user_id, source, source_id, channel, mode, status, payload, scheduled_for)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            RETURNING *
+        `, [
+            recipient.id, payload.source, payload.id, channel,
+            digest ? 'digest' : 'immediate',
+            digest ? 'queued' : 'pending',
+            JSON.stringify(payload),
+            digest ? nextDigestTime(digestMode) : new Date()
+        ])).rows[0];
+
+        if (digest) return { channel, status: 'queued', scheduled_for: delivery.scheduled_for };
+
+        return this.attempt(delivery, recipient);
+    }
+
+    // Un intento de entrega; los fallos de push y email se reintentan hasta MAX_ATTEMPTS
+    async attempt(delivery, recipient) {
+        let status = 'sent';
+        let error = null;
+
+        try {
+            const delivered = await this.sendToChannel(delivery.channel, recipient, delivery.payload);
+            if (!delivered) {
+                status = 'skipped';
+            }
+        } catch (sendError) {
+            error = sendError.message;
+            status = delivery.attempts + 1 < MAX_ATTEMPTS && delivery.channel !== 'socket' ? 'queued' : 'failed';
+        }
+
+        await this.pool.query(`
+            UPDATE notification_deliveries
+            SET status = $2,
+                attempts = attempts + 1,
+                last_error = $3,
+                sent_at = CASE WHEN $2 = 'sent' THEN CURRENT_TIMESTAMP ELSE sent_at END,
+                scheduled_for = CASE WHEN $2 = 'queued' THEN CURRENT_TIMESTAMP + make_interval(mins => $4 * (attempts + 1)) ELSE scheduled_for END
+            WHERE id = $1
+        `, [delivery.id, status, error, RETRY_DELAY_MINUTES]);
+
+        return { channel: delivery.channel, status };
+    }
+
+    // true = entregada, false = sin destino (desconectado, sin suscripciones)
+    async sendToChannel(channel, recipient, payload) {
+        switch (channel) {
+            case 'socket':
+                return this.sendSocket(recipient.id, payload);
+            case 'push':
+                return this.sendPush(recipient.id, payload);
+            case 'email':
+                await this.mailer.send({
+                    to: recipient.email,
+                    subject: `PlayTest: ${payload.title}`,
+                    text: this.emailLine(payload, `Hola ${recipient.nickname},\n\n`)
+                });
+                return true;
+            default:
+                throw new Error(`Unknown channel: ${channel}`);
+        }
+    }
+
+    async sendSocket(userId, payload) {
+        if (!this.io) return false;
+
+        const room = `user_${userId}`;
+        const sockets = await this.io.in(room).fetchSockets();
+        if (sockets.length === 0) return false;
+
+        this.io.to(room).emit('notification', payload);
+        return true;
+    }
+
+    async sendPush(userId, payload) {
+        if (!this.webPush.isConfigured()) return false;
+
+        const subscriptions = await this.pool.query(`
+            SELECT id, subscription FROM user_push_tokens
+            WHERE user_id = $1 AND platform = 'web' AND is_active = true AND subscription IS NOT NULL
+        `, [userId]);
+        if (subscriptions.rows.length === 0) return false;
+
+        const message = {
+            title: payload.title,
+            body: payload.message,
+            icon: payload.icon,
+            data: { id: payload.id, source: payload.source, type: payload.type, url: frontendUrl(payload.action_url) }
+        };
+
+        let delivered = 0;
+        let lastError = null;
+        for (const row of subscriptions.rows) {
+            try {
+                await this.webPush.send(row.subscription, message, { urgency: payload.priority === 'high' ? 'high' : 'normal' });
+                delivered++;
+                await this.pool.query(
+                    'UPDATE user_push_tokens SET last_used = CURRENT_TIMESTAMP, failure_count = 0 WHERE id = $1',
+                    [row.id]
+                );
+            } catch (error) {
+                lastError = error;
+                // Suscripción caducada o dada de baja en el navegador
+                const gone = WebPushSender.isSubscriptionGone(error);
+                await this.pool.query(`
+                    UPDATE user_push_tokens
+                    SET failure_count = failure_count + 1, is_active = CASE WHEN $2 THEN false ELSE is_active END
+                    WHERE id = $1
+                `, [row.id, gone]);
+                if (gone) lastError = null;
+            }
+        }
+
+        if (delivered === 0 && lastError) throw lastError;
+        return delivered > 0;
+    }
+
+    emailLine(payload, greeting = '') {
+        const link = frontendUrl(payload.action_url);
+        return `${greeting}${payload.title}\n${payload.message}${link ? `\n${link}` : ''}`;
+    }
+
+    // ==================== COLA: RESÚMENES Y REINTENTOS ====================
+
+    // Reclama las entregas vencidas (SKIP LOCKED: varias instancias no envían lo mismo)
+    async claimDue(limit = 500) {
+        const result = await this.pool.query(`
+            UPDATE notification_deliveries
+            SET status = 'pending'
+            WHERE id IN (
+                SELECT id FROM notification_deliveries
+                WHERE status = 'queued' AND scheduled_for <= CURRENT_TIMESTAMP
+                ORDER BY scheduled_for
+                LIMIT $1
+                FOR UPDATE SKIP LOCKED
+            )
+            RETURNING *
+        `, [limit]);
+        return result.rows;
+    }
+
+    async processQueue() {
+        const due = await this.claimDue();
+        const summary = { retried: 0, digests: 0, digested: 0 };
+        if (due.length === 0) return summary;
+
+        const recipients = new Map();
+        const recipientFor = async (userId) => {
+            if (!recipients.has(userId)) recipients.set(userId, await this.getRecipient(userId));
+            return recipients.get(userId);
+        };
+
+        const digests = new Map();
+        for (const delivery of due) {
+            const recipient = await recipientFor(delivery.user_id);
+
+            if (!recipient || (delivery.channel === 'email' && !recipient.email)) {
+                await this.pool.query(
+                    "UPDATE notification_deliveries SET status = 'skipped', last_error = 'Recipient unavailable' WHERE id = $1",
+                    [delivery.id]
+                );
+                continue;
+            }
+
+            if (delivery.mode === 'digest') {
+                if (!digests.has(recipient.id)) digests.set(recipient.id, []);
+                digests.get(recipient.id).push(delivery);
+            } else {
+                await this.attempt(delivery, recipient);
+                summary.retried++;
+            }
+        }
+
+        for (const [userId, deliveries] of digests) {
+            await this.sendDigest(recipients.get(userId), deliveries);
+            summary.digests++;
+            summary.digested += deliveries.length;
+        }
+
+        return summary;
+    }
+
+    async sendDigest(recipient, deliveries) {
+        const ids = deliveries.map(delivery => delivery.id);
+        const lines = deliveries.map(delivery => `• ${this.emailLine(delivery.payload)}`);
+
+        try {
+            await this.mailer.send({
+                to: recipient.email,
+                subject: `PlayTest: ${deliveries.length} ${deliveries.length === 1 ? 'notificación nueva' : 'notificaciones nuevas'}`,
+                text: `Hola ${recipient.nickname},\n\nEsto es lo que ha pasado desde el último resumen:\n\n${lines.join('\n\n')}\n\nPuedes cambiar la frecuencia de estos correos en tus preferencias de notificaciones.`
+            });
+
+            await this.pool.query(`
+                UPDATE notification_deliveries
+                SET status = 'sent', attempts = attempts + 1, sent_at = CURRENT_TIMESTAMP, last_error = NULL
+                WHERE id = ANY($1)
+            `, [ids]);
+        } catch (error) {
+            console.error(`Error sending notification digest to user ${recipient.id}:`, error.message);
+            await this.pool.query(`
+                UPDATE notification_deliveries
+                SET attempts = attempts + 1,
+                    last_error = $2,
+                    status = CASE WHEN attempts + 1 < $3 THEN 'queued' ELSE 'failed' END,
+                    scheduled_for = CURRENT_TIMESTAMP + make_interval(mins => $4 * (attempts + 1))
+                WHERE id = ANY($1)
+            `, [ids, error.message, MAX_ATTEMPTS, RETRY_DELAY_MINUTES]);
+        }
+    }
+
+    // ==================== PREFERENCIAS ====================
+
+    async getPreferences(userId) {
+        const result = await this.pool.query(
+            'SELECT preferences FROM user_notification_preferences WHERE user_id = $1',
+            [userId]
+        );
+        return (result.rows[0] && result.rows[0].preferences) || {};
+    }
+
+    // Combina los cambios con lo guardado; null borra la opción (vuelve al valor por defecto)
+    async updatePreferences(userId, changes) {
+        if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+            throw notificationError('Preferences must be an object');
+        }
+        if (changes.email_digest !== undefined && changes.email_digest !== null && !DIGEST_MODES.includes(changes.email_digest)) {
+            throw notificationError(`email_digest must be one of: ${DIGEST_MODES.join(', ')}`);
+        }
+
+        const removed = Object.keys(changes).filter(key => changes[key] === null);
+        const merged = Object.fromEntries(Object.entries(changes).filter(([, value]) => value !== null));
+
+        const result = await this.pool.query(`
+            INSERT INTO user_notification_preferences (user_id, preferences)
+            VALUES ($1, $2::jsonb)
+            ON CONFLICT (user_id) DO UPDATE SET
+                preferences = (COALESCE(user_notification_preferences.preferences, '{}'::jsonb) || EXCLUDED.preferences) - $3::text[],
+                updated_at = CURRENT_TIMESTAMP
+            RETURNING preferences
+        `, [userId, JSON.stringify(merged), removed]);
+
+        return result.rows[0].preferences;
+    }
+
+    // ==================== SUSCRIPCIONES WEB PUSH ====================
+
+    getVapidPublicKey() {
+        return this.webPush.isConfigured() ? this.webPush.publicKey : null;
+    }
+
+    async savePushSubscription(userId, subscription, userAgent = null) {
+        if (!subscription || typeof subscription.endpoint !== 'string' || !subscription.keys
+            || !subscription.keys.p256dh || !subscription.keys.auth) {
+            throw notificationError('Invalid push subscription: endpoint and keys (p256dh, auth) are required');
+        }
+
+        const result = await this.pool.query(`
+            INSERT INTO user_push_tokens (user_id, push_token, platform, subscription, user_agent, is_active, failure_count)
+            VALUES ($1, $2, 'web', $3, $4, true, 0)
+            ON CONFLICT (user_id, push_token, platform) DO UPDATE SET
+                subscription = EXCLUDED.subscription,
+                user_agent = EXCLUDED.user_agent,
+                is_active = true,
+                failure_count = 0,
+                last_used = CURRENT_TIMESTAMP
+            RETURNING id, push_token as endpoint, created_at
+        `, [userId, subscription.endpoint, JSON.stringify({ endpoint: subscription.endpoint, keys: subscription.keys }), userAgent]);
+
+        return result.rows[0];
+    }
+
+    async removePushSubscription(userId, endpoint) {
+        const result = await this.pool.query(`
+            UPDATE user_push_tokens SET is_active = false
+            WHERE user_id = $1 AND push_token = $2 AND platform = 'web' AND is_active = true
+        `, [userId, endpoint]);
+        return { removed: result.rowCount > 0 };
+    }
+
+    // ==================== ESTADO DE ENTREGA ====================
+
+    async getDeliveries(userId, source, sourceId) {
+        const result = await this.pool.query(`
+            SELECT channel, mode, status, attempts, last_error, scheduled_for, sent_at, created_at
+            FROM notification_deliveries
+            WHERE user_id = $1 AND source = $2 AND source_id = $3
+            ORDER BY id
+        `, [userId, source, sourceId]);
+        return result.rows;
+    }
+
+    async getDeliveryStats(hours = 24) {
+        const result = await this.pool.query(`
+            SELECT channel, status, COUNT(*)::int as count
+            FROM notification_deliveries
+            WHERE created_at > CURRENT_TIMESTAMP - make_interval(hours => $1)
+            GROUP BY channel, status
+            ORDER BY channel, status
+        `, [hours]);
+
+        const stats = {};
+        for (const row of result.rows) {
+            stats[row.channel] = stats[row.channel] || {};
+            stats[row.channel][row.status] = row.count;
+        }
+        return { hours, channels: stats, push_configured: this.webPush.isConfigured(), email: this.mailer.getStatus() };
+    }
+
+    async close() {
+        await this.pool.end();
+    }
+}
+
+module.exports = NotificationDispatcher;
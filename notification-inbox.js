@@ -0,0 +1,218 @@
+const { Pool } = require('pg');
+const NotificationDispatcher = require('./notification-dispatcher');
+
+const SOURCES = NotificationDispatcher.SOURCES;
+const SOURCE_NAMES = Object.keys(SOURCES);
+
+// Opciones de preferencias que no son tipos silenciados
+const CHANNEL_KEYS = ['push_notifications', 'email_notifications', 'socket_notifications', 'email_digest'];
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+function inboxError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Cursor opaco: fecha (texto de Postgres, con microsegundos), origen e id del último elemento devuelto
+function encodeCursor(row) {
+    return Buffer.from(JSON.stringify([row.cursor_at, row.source, row.id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const [createdAt, source, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (typeof createdAt !== 'string' || !SOURCE_NAMES.includes(source) || !Number.isInteger(id)) throw new Error();
+        return { createdAt, source, id };
+    } catch (error) {
+        throw inboxError('Invalid cursor');
+    }
+}
+
+function parseList(value, allowed = null) {
+    if (value === undefined || value === null || value === '') return null;
+    const items = (Array.isArray(value) ? value : String(value).split(','))
+        .map(item => String(item).trim())
+        .filter(Boolean);
+
+    if (allowed) {
+        const invalid = items.filter(item => !allowed.includes(item));
+        if (invalid.length > 0) throw inboxError(`Invalid source: ${invalid.join(', ')} (${allowed.join(', ')})`);
+    }
+    return items.length > 0 ? items : null;
+}
+
+function validType(type) {
+    return typeof type === 'string' && /^[a-z0-9_]{1,50}$/.test(type);
+}
+
+// Bandeja única sobre las tablas de niveles, retos y soporte. No copia nada: consulta cada tabla
+// (definidas en NotificationDispatcher.SOURCES) y marcar como leída escribe en la tabla de origen
+class NotificationInbox {
+    constructor(dispatcher = NotificationDispatcher.shared()) {
+        this.pool = new Pool({
+            connectionString: process.env.DATABASE_URL,
+            ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+        });
+        this.dispatcher = dispatcher;
+    }
+
+    static get SOURCES() {
+        return SOURCE_NAMES;
+    }
+
+    // ==================== BANDEJA ====================
+
+    // options: { sources?, types?, unreadOnly?, cursor?, limit? }
+    async list(userId, options = {}) {
+        const sources = parseList(options.sources, SOURCE_NAMES) || SOURCE_NAMES;
+        const types = parseList(options.types);
+        const unreadOnly = options.unreadOnly === true || options.unreadOnly === 'true';
+        const limit = Math.min(Math.max(parseInt(options.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+        const cursor = options.cursor ? decodeCursor(options.cursor) : null;
+
+        const params = [userId, limit + 1];
+        const typeParam = types ? params.push(types) : null;
+        const cursorParams = cursor ? [params.push(cursor.createdAt), params.push(cursor.source), params.push(cursor.id)] : null;
+
+        // Cada rama filtra y limita por su cuenta (usa el índice user_id, fecha de su tabla)
+        const branches = sources.map(name => {
+            const source = SOURCES[name];
+            const created = `${source.createdColumn}::timestamptz`;
+            const conditions = ['user_id = $1'];
+
+            if (typeParam) conditions.push(`${source.typeColumn} = ANY($${typeParam})`);
+            if (unreadOnly) conditions.push(source.unread);
+            if (cursorParams) {
+                conditions.push(`(${created}, '${name}'::text, id) < ($${cursorParams[0]}::timestamptz, $${cursorParams[1]}::text, $${cursorParams[2]})`);
+            }
+
+            return `(
+                SELECT '${name}'::text as source, ${source.select}, ${created} as created_at
+                FROM ${source.table}
+                WHERE ${conditions.join(' AND ')}
+                ORDER BY ${source.createdColumn} DESC, id DESC
+                LIMIT $2
+            )`;
+        });
+
+        const result = await this.pool.query(`
+            SELECT *, created_at::text as cursor_at
+            FROM (${branches.join(' UNION ALL ')}) inbox
+            ORDER BY created_at DESC, source DESC, id DESC
+            LIMIT $2
+        `, params);
+
+        const hasMore = result.rows.length > limit;
+        const rows = hasMore ? result.rows.slice(0, limit) : result.rows;
+
+        return {
+            notifications: rows.map(({ cursor_at, ...notification }) => ({ ...notification, is_read: notification.read_at !== null })),
+            nextCursor: hasMore ? encodeCursor(rows[rows.length - 1]) : null
+        };
+    }
+
+    async getUnreadCounts(userId) {
+        const branches = SOURCE_NAMES.map(name => `
+            SELECT '${name}'::text as source, COUNT(*)::int as count
+            FROM ${SOURCES[name].table}
+            WHERE user_id = $1 AND ${SOURCES[name].unread}
+        `);
+
+        const result = await this.pool.query(branches.join(' UNION ALL '), [userId]);
+
+        const bySource = {};
+        let total = 0;
+        for (const row of result.rows) {
+            bySource[row.source] = row.count;
+            total += row.count;
+        }
+        return { total, bySource };
+    }
+
+    // ==================== LECTURA ====================
+
+    async markRead(userId, source, id) {
+        if (!SOURCES[source]) throw inboxError('Notification not found', 404);
+
+        const result = await this.pool.query(`
+            UPDATE ${SOURCES[source].table}
+            SET ${SOURCES[source].markRead}
+            WHERE id = $1 AND user_id = $2 AND ${SOURCES[source].unread}
+            RETURNING id
+        `, [id, userId]);
+
+        if (result.rows.length === 0) {
+            // Ya leída (no es error) o no es del usuario
+            const exists = await this.pool.query(
+                `SELECT 1 FROM ${SOURCES[source].table} WHERE id = $1 AND user_id = $2`,
+                [id, userId]
+            );
+            if (exists.rows.length === 0) throw inboxError('Notification not found', 404);
+        }
+
+        return this.afterRead(userId, { source, id, updated: result.rows.length });
+    }
+
+    // options: { sources?, types?, before? } — sin filtros marca todo
+    async markAllRead(userId, options = {}) {
+        const sources = parseList(options.sources, SOURCE_NAMES) || SOURCE_NAMES;
+        const types = parseList(options.types);
+        const before = options.before ? new Date(options.before) : null;
+        if (before && isNaN(before.getTime())) throw inboxError('Invalid before date');
+
+        let updated = 0;
+        for (const name of sources) {
+            const source = SOURCES[name];
+            const params = [userId];
+            const conditions = ['user_id = $1', source.unread];
+
+            if (types) conditions.push(`${source.typeColumn} = ANY($${params.push(types)})`);
+            if (before) conditions.push(`${source.createdColumn} <= $${params.push(before)}`);
+
+            const result = await this.pool.query(
+                `UPDATE ${source.table} SET ${source.markRead} WHERE ${conditions.join(' AND ')}`,
+                params
+            );
+            updated += result.rowCount;
+        }
+
+        return this.afterRead(userId, { sources, types, updated });
+    }
+
+    // Avisa al resto de pestañas/dispositivos del usuario para que actualicen el contador
+    async afterRead(userId, change) {
+        const unread = await this.getUnreadCounts(userId);
+        if (this.dispatcher.io) {
+            this.dispatcher.io.to(`user_${userId}`).emit('notifications_read', { ...change, unread });
+        }
+        return { ...change, unread };
+    }
+
+    // ==================== TIPOS SILENCIADOS ====================
+
+    async getMutedTypes(userId) {
+        const preferences = await this.dispatcher.getPreferences(userId);
+        return Object.keys(preferences).filter(key => preferences[key] === false && !CHANNEL_KEYS.includes(key));
+    }
+
+    // Silenciar un tipo deja de guardarlo y entregarlo (lo ya recibido sigue en la bandeja)
+    async setMuted(userId, source, type, muted) {
+        if (!SOURCES[source]) throw inboxError(`Invalid source: ${source} (${SOURCE_NAMES.join(', ')})`);
+        if (!validType(type)) throw inboxError('Invalid notification type');
+
+        const key = NotificationDispatcher.preferenceKey(source, type);
+        if (CHANNEL_KEYS.includes(key)) throw inboxError('Invalid notification type');
+
+        await this.dispatcher.updatePreferences(userId, { [key]: muted ? false : null });
+        return { source, type, preference: key, muted, mutedTypes: await this.getMutedTypes(userId) };
+    }
+
+    async close() {
+        await this.pool.end();
+    }
+}
+
+module.exports = NotificationInbox;
@@ -0,0 +1,518 @@
+const QuestionTypes = require('./question-types');
+
+// Conversión de bancos de preguntas externos (CSV, GIFT de Moodle, Aiken) al formato de /api/questions/bulk
+class QuestionImportParser {
+    constructor(options = {}) {
+        this.defaultTopic = options.defaultTopic || null;
+        this.defaultDifficulty = options.defaultDifficulty || 1;
+        this.questionTypes = new QuestionTypes();
+    }
+
+    // ==================== ENTRADA PRINCIPAL ====================
+
+    detectFormat(content, filename = '') {
+        const extension = (filename.split('.').pop() || '').toLowerCase();
+        if (extension === 'csv') return 'csv';
+        if (extension === 'gift') return 'gift';
+
+        if (/^\s*ANSWER:\s*[A-Z]\s*$/mi.test(content)) return 'aiken';
+        if (/\{[^}]*[=~]/.test(content) || /^\s*\$CATEGORY:/m.test(content)) return 'gift';
+        return 'csv';
+    }
+
+    parse(content, format) {
+        const text = content.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+        let parsed;
+
+        switch (format) {
+            case 'csv':
+                parsed = this.parseCSV(text);
+                break;
+            case 'gift':
+                parsed = this.parseGIFT(text);
+                break;
+            case 'aiken':
+                parsed = this.parseAiken(text);
+                break;
+            default:
+                return { format, questions: [], errors: [{ line: 0, message: `Formato no soportado: ${format}` }] };
+        }
+
+        // Validación común con las mismas reglas que /api/questions/bulk
+        const questions = [];
+        const errors = [...parsed.errors];
+
+        for (const item of parsed.questions) {
+            const problem = this.validateQuestion(item.question);
+            if (problem) {
+                errors.push({ line: item.line, message: problem });
+            } else {
+                questions.push({ line: item.line, ...item.question });
+            }
+        }
+
+        errors.sort((a, b) => a.line - b.line);
+        return { format, questions, errors };
+    }
+
+    validateQuestion(question) {
+        const { textoPregunta, tema } = question;
+
+        if (!textoPregunta || textoPregunta.trim() === '') {
+            return 'La pregunta no tiene texto';
+        }
+        if (!tema || tema.trim() === '' || tema === 'General') {
+            return 'La pregunta no tiene tema (indica uno por defecto o una categoría)';
+        }
+        return this.questionTypes.validate(question);
+    }
+
+    buildQuestion({ text, topic, answers, difficulty, explanation, type, config }) {
+        const question = {
+            textoPregunta: text.trim(),
+            tema: (topic || this.defaultTopic || '').trim(),
+            respuestas: answers.map(answer => ({
+                textoRespuesta: answer.text.trim(),
+                esCorrecta: answer.correct,
+                ...(answer.match !== undefined ? { pareja: answer.match.trim() } : {})
+            })),
+            difficulty: parseInt(difficulty) || this.defaultDifficulty,
+            explicacionRespuesta: explanation ? explanation.trim() : null
+        };
+
+        // Sin tipo explícito: varias correctas = selección múltiple
+        const questionType = type || (answers.filter(answer => answer.correct).length > 1 ? 'multiple_choice' : null);
+        if (questionType) question.tipoPregunta = questionType;
+        if (config) question.configuracionTipo = config;
+
+        return question;
+    }
+
+    // ==================== CSV ====================
+
+    // Cabecera: pregunta, tema, correcta, respuesta1..N, dificultad, explicacion
+    // "correcta" admite letra (A), posición (1), texto de la respuesta o varias separadas por "|"
+    parseCSV(text) {
+        const questions = [];
+        const errors = [];
+        const records = this.readCSVRecords(text);
+
+        if (records.length === 0) {
+            return { questions, errors: [{ line: 1, message: 'El fichero CSV está vacío' }] };
+        }
+
+        const header = records[0].fields.map(field => this.normalizeHeader(field));
+        const column = name => header.indexOf(name);
+        const questionCol = column('pregunta');
+        const correctCol = column('correcta');
+        const answerCols = header
+            .map((name, index) => ({ name, index }))
+            .filter(col => /^respuesta\d+$/.test(col.name))
+            .map(col => col.index);
+
+        if (questionCol === -1 || correctCol === -1 || answerCols.length < 2) {
+            return {
+                questions,
+                errors: [{ line: records[0].line, message: 'La cabecera debe incluir pregunta, correcta y al menos respuesta1 y respuesta2' }]
+            };
+        }
+
+        for (const record of records.slice(1)) {
+            const fields = record.fields;
+            if (fields.every(field => field.trim() === '')) continue;
+
+            const answerTexts = answerCols.map(index => (fields[index] || '').trim()).filter(Boolean);
+            const correctSpec = (fields[correctCol] || '').trim();
+            const correctIndexes = this.resolveCorrectAnswers(correctSpec, answerTexts);
+
+            if (correctIndexes === null) {
+                errors.push({ line: record.line, message: `Respuesta correcta no válida: "${correctSpec}"` });
+                continue;
+            }
+
+            const valueOf = name => (column(name) !== -1 ? fields[column(name)] : null);
+
+            questions.push({
+                line: record.line,
+                question: this.buildQuestion({
+                    text: fields[questionCol] || '',
+                    topic: valueOf('tema'),
+                    answers: answerTexts.map((answerText, index) => ({
+                        text: answerText,
+                        correct: correctIndexes.includes(index)
+                    })),
+                    difficulty: valueOf('dificultad'),
+                    explanation: valueOf('explicacion')
+                })
+            });
+        }
+
+        return { questions, errors };
+    }
+
+    normalizeHeader(value) {
+        const aliases = {
+            question: 'pregunta', texto: 'pregunta', textopregunta: 'pregunta',
+            topic: 'tema',
+            correct: 'correcta', answer: 'correcta', respuestacorrecta: 'correcta',
+            difficulty: 'dificultad',
+            explanation: 'explicacion', explicacionrespuesta: 'explicacion'
+        };
+        const key = value.trim().toLowerCase()
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .replace(/[\s_-]+/g, '')
+            .replace(/^(option|opcion|answer)(\d+)$/, 'respuesta$2');
+        return aliases[key] || key;
+    }
+
+    resolveCorrectAnswers(spec, answerTexts) {
+        if (!spec) return null;
+        const indexes = [];
+
+        for (const part of spec.split('|').map(p => p.trim()).filter(Boolean)) {
+            let index = -1;
+            if (/^[A-Za-z]$/.test(part)) index = part.toUpperCase().charCodeAt(0) - 65;
+            else if (/^\d+$/.test(part)) index = parseInt(part) - 1;
+            else index = answerTexts.findIndex(answerText => answerText.toLowerCase() === part.toLowerCase());
+
+            if (index < 0 || index >= answerTexts.length) return null;
+            indexes.push(index);
+        }
+
+        return indexes;
+    }
+
+    // Lector RFC 4180 con campos entrecomillados multilínea; separador "," o ";" (Excel en español)
+    readCSVRecords(text) {
+        const firstLine = text.split('\n', 1)[0];
+        const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+        const records = [];
+        let fields = [];
+        let field = '';
+        let inQuotes = false;
+        let line = 1;
+        let recordLine = 1;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    if (char === '\n') line++;
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                fields.push(field);
+                field = '';
+            } else if (char === '\n') {
+                fields.push(field);
+                records.push({ line: recordLine, fields });
+                fields = [];
+                field = '';
+                line++;
+                recordLine = line;
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || fields.length > 0) {
+            fields.push(field);
+            records.push({ line: recordLine, fields });
+        }
+
+        return records.filter(record => !(record.fields.length === 1 && record.fields[0].trim() === ''));
+    }
+
+    // ==================== GIFT (MOODLE) ====================
+
+    parseGIFT(text) {
+        const questions = [];
+        const errors = [];
+        const lines = text.split('\n');
+        let category = null;
+        let buffer = [];
+        let startLine = 0;
+
+        const flush = () => {
+            if (buffer.length === 0) return;
+            const result = this.parseGIFTQuestion(buffer.join('\n'), category);
+            if (result.error) errors.push({ line: startLine, message: result.error });
+            else questions.push({ line: startLine, question: result.question });
+            buffer = [];
+        };
+
+        lines.forEach((rawLine, index) => {
+            const line = rawLine.trim();
+
+            if (line.startsWith('//')) return;
+
+            const categoryMatch = line.match(/^\$CATEGORY:\s*(.+)$/i);
+            if (categoryMatch) {
+                flush();
+                // "$course$/Matemáticas/Álgebra" -> "Álgebra"
+                const parts = categoryMatch[1].split('/').map(p => p.trim()).filter(p => p && !p.startsWith('$'));
+                category = parts.length > 0 ? parts[parts.length - 1] : null;
+                return;
+            }
+
+            if (line === '') {
+                // Un bloque de respuestas abierto puede contener líneas en blanco
+                if (buffer.length > 0 && !this.hasOpenBrace(buffer.join('\n'))) flush();
+                return;
+            }
+
+            if (buffer.length === 0) startLine = index + 1;
+            buffer.push(rawLine);
+        });
+
+        flush();
+        return { questions, errors };
+    }
+
+    hasOpenBrace(text) {
+        const clean = text.replace(/\\./g, '');
+        return (clean.match(/\{/g) || []).length > (clean.match(/\}/g) || []).length;
+    }
+
+    parseGIFTQuestion(source, category) {
+        // Proteger caracteres escapados (\: \~ \= \# \{ \}) durante el análisis
+        const escapes = [];
+        let text = source.replace(/\\([:~=#{}])/g, (match, char) => {
+            escapes.push(char);
+            return `\u0000${escapes.length - 1}\u0000`;
+        });
+        const unescape = value => value.replace(/\u0000(\d+)\u0000/g, (match, index) => escapes[parseInt(index)]);
+
+        // Título opcional ::título::
+        text = text.replace(/^\s*::.*?::/s, '');
+        // Marcadores de formato [html], [moodle], [markdown], [plain]
+        text = text.replace(/^\s*\[(html|moodle|markdown|plain)\]/i, '');
+
+        const open = text.indexOf('{');
+        const close = text.lastIndexOf('}');
+        if (open === -1 || close < open) {
+            return { error: 'Pregunta GIFT sin bloque de respuestas {...}' };
+        }
+
+        const before = text.slice(0, open).trim();
+        const after = text.slice(close + 1).trim();
+        const questionText = unescape(after ? `${before} _____ ${after}` : before).replace(/<[^>]+>/g, '').trim();
+        let body = text.slice(open + 1, close).trim();
+
+        // Retroalimentación general ####
+        let explanation = null;
+        const generalFeedback = body.indexOf('####');
+        if (generalFeedback !== -1) {
+            explanation = unescape(body.slice(generalFeedback + 4)).trim();
+            body = body.slice(0, generalFeedback).trim();
+        }
+
+        if (body === '') {
+            return { error: 'Las preguntas de tipo ensayo no están soportadas' };
+        }
+        if (body.startsWith('#')) {
+            return this.parseGIFTNumeric(body.slice(1), questionText, category, explanation, unescape);
+        }
+
+        // Verdadero / Falso
+        const trueFalse = body.match(/^(T|TRUE|F|FALSE)\s*(#.*)?$/is);
+        if (trueFalse) {
+            const isTrue = ['T', 'TRUE'].includes(trueFalse[1].toUpperCase());
+            return {
+                question: this.buildQuestion({
+                    text: questionText,
+                    topic: category,
+                    answers: [
+                        { text: 'Verdadero', correct: isTrue },
+                        { text: 'Falso', correct: !isTrue }
+                    ],
+                    explanation,
+                    type: 'true_false'
+                })
+            };
+        }
+
+        const answers = [];
+        const tokens = body.split(/(?=[=~])/).map(token => token.trim()).filter(Boolean);
+        let weighted = false;
+
+        for (const token of tokens) {
+            const marker = token[0];
+            if (marker !== '=' && marker !== '~') {
+                return { error: `Respuesta GIFT no válida: "${unescape(token)}"` };
+            }
+
+            let answerText = token.slice(1).split('#')[0].trim();
+
+            // Emparejamiento: =elemento -> pareja
+            if (marker === '=' && answerText.includes('->')) {
+                const [left, right] = answerText.split('->');
+                answers.push({ text: unescape(left), correct: true, match: unescape(right) });
+                continue;
+            }
+
+            // Pesos ~%50%respuesta: cualquier peso positivo cuenta como correcta
+            let correct = marker === '=';
+            const weight = answerText.match(/^%(-?\d+(?:\.\d+)?)%/);
+            if (weight) {
+                correct = parseFloat(weight[1]) > 0;
+                weighted = weighted || parseFloat(weight[1]) < 100;
+                answerText = answerText.slice(weight[0].length).trim();
+            }
+
+            answers.push({ text: unescape(answerText), correct });
+        }
+
+        if (answers.some(answer => answer.match !== undefined)) {
+            if (!answers.every(answer => answer.match !== undefined)) {
+                return { error: 'Pregunta de emparejamiento GIFT con respuestas sin pareja' };
+            }
+            return {
+                question: this.buildQuestion({ text: questionText, topic: category, answers, explanation, type: 'matching' })
+            };
+        }
+
+        // Solo respuestas "=": respuesta corta con variantes aceptadas
+        if (answers.length > 0 && answers.every(answer => answer.correct) && tokens.every(token => token[0] === '=')) {
+            return {
+                question: this.buildQuestion({ text: questionText, topic: category, answers, explanation, type: 'short_text' })
+            };
+        }
+
+        // Pesos parciales (~%50%) en GIFT implican crédito parcial
+        const multiple = answers.filter(answer => answer.correct).length > 1;
+        return {
+            question: this.buildQuestion({
+                text: questionText,
+                topic: category,
+                answers,
+                explanation,
+                config: multiple && weighted ? { partialCredit: true } : null
+            })
+        };
+    }
+
+    // Numérica GIFT: {#valor}, {#valor:tolerancia} o {#mínimo..máximo}; se toma la primera respuesta correcta
+    parseGIFTNumeric(body, questionText, category, explanation, unescape) {
+        const first = unescape(body).split(/(?=[=~])/).map(token => token.trim()).filter(Boolean)
+            .map(token => token.replace(/^=\s*(%\d+(\.\d+)?%)?/, ''))
+            .find(token => !token.startsWith('~'));
+        const spec = (first || '').split('#')[0].trim();
+
+        let value;
+        let tolerance = 0;
+        const range = spec.match(/^(-?\d+(?:\.\d+)?)\s*\.\.\s*(-?\d+(?:\.\d+)?)$/);
+        const withTolerance = spec.match(/^(-?\d+(?:\.\d+)?)(?:\s*:\s*(\d+(?:\.\d+)?))?$/);
+
+        if (range) {
+            const min = parseFloat(range[1]);
+            const max = parseFloat(range[2]);
+            value = (min + max) / 2;
+            tolerance = Math.abs(max - min) / 2;
+        } else if (withTolerance) {
+            value = parseFloat(withTolerance[1]);
+            tolerance = withTolerance[2] ? parseFloat(withTolerance[2]) : 0;
+        } else {
+            return { error: `Respuesta numérica GIFT no válida: "${spec}"` };
+        }
+
+        return {
+            question: this.buildQuestion({
+                text: questionText,
+                topic: category,
+                answers: [],
+                explanation,
+                type: 'numeric',
+                config: { value, tolerance }
+            })
+        };
+    }
+
+    // ==================== AIKEN ====================
+
+    parseAiken(text) {
+        const questions = [];
+        const errors = [];
+        const lines = text.split('\n');
+
+        let current = null;
+        const optionPattern = /^([A-Z])[.)]\s+(.*)$/;
+
+        const reset = () => { current = null; };
+
+        lines.forEach((rawLine, index) => {
+            const line = rawLine.trim();
+            const lineNumber = index + 1;
+
+            if (line === '') {
+                if (current && current.options.length === 0) return;
+                if (current) {
+                    errors.push({ line: current.line, message: 'Falta la línea ANSWER: de la pregunta' });
+                    reset();
+                }
+                return;
+            }
+
+            const answerMatch = line.match(/^ANSWER:\s*([A-Z])\s*$/i);
+            if (answerMatch) {
+                if (!current || current.options.length === 0) {
+                    errors.push({ line: lineNumber, message: 'Línea ANSWER: sin pregunta ni opciones' });
+                    reset();
+                    return;
+                }
+
+                const letter = answerMatch[1].toUpperCase();
+                if (!current.options.some(option => option.letter === letter)) {
+                    errors.push({ line: lineNumber, message: `La respuesta ${letter} no corresponde a ninguna opción` });
+                    reset();
+                    return;
+                }
+
+                questions.push({
+                    line: current.line,
+                    question: this.buildQuestion({
+                        text: current.text.join(' '),
+                        topic: null,
+                        answers: current.options.map(option => ({
+                            text: option.text,
+                            correct: option.letter === letter
+                        }))
+                    })
+                });
+                reset();
+                return;
+            }
+
+            const optionMatch = line.match(optionPattern);
+            if (current && optionMatch) {
+                current.options.push({ letter: optionMatch[1], text: optionMatch[2] });
+                return;
+            }
+
+            if (current && current.options.length > 0) {
+                errors.push({ line: lineNumber, message: 'Se esperaba una opción (A. ...) o la línea ANSWER:' });
+                return;
+            }
+
+            if (!current) current = { line: lineNumber, text: [], options: [] };
+            current.text.push(line);
+        });
+
+        if (current) {
+            errors.push({ line: current.line, message: 'Falta la línea ANSWER: de la pregunta' });
+        }
+
+        return { questions, errors };
+    }
+}
+
+module.exports = QuestionImportParser;
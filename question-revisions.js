@@ -0,0 +1,150 @@
+const { Pool } = require('pg');
+
+const TRACKED_FIELDS = ['blockId', 'textoPregunta', 'tema', 'difficulty', 'explicacionRespuesta', 'tipoPregunta', 'configuracionTipo'];
+
+// Historial de revisiones de preguntas: cada alta, edición, borrado o restauración guarda
+// una instantánea completa (pregunta + respuestas) y el diff respecto a la versión anterior
+class QuestionRevisionStore {
+    constructor() {
+        this.pool = new Pool({
+            connectionString: process.env.DATABASE_URL,
+            ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+        });
+    }
+
+    // ==================== INSTANTÁNEAS ====================
+
+    // Estado actual de la pregunta en el formato de /api/questions (reutilizable para restaurar)
+    async snapshot(client, questionId) {
+        const questionResult = await client.query(`
+            SELECT id, block_id, text_question, topic, difficulty, explanation, question_type, type_config
+            FROM questions WHERE id = $1
+        `, [questionId]);
+
+        if (questionResult.rows.length === 0) return null;
+        const question = questionResult.rows[0];
+
+        const answersResult = await client.query(`
+            SELECT answer_text, is_correct, answer_order, match_text
+            FROM answers WHERE question_id = $1
+            ORDER BY id
+        `, [questionId]);
+
+        return {
+            blockId: question.block_id,
+            textoPregunta: question.text_question,
+            tema: question.topic,
+            difficulty: question.difficulty,
+            explicacionRespuesta: question.explanation,
+            tipoPregunta: question.question_type,
+            configuracionTipo: question.type_config || {},
+            respuestas: answersResult.rows.map(answer => ({
+                textoRespuesta: answer.answer_text,
+                esCorrecta: answer.is_correct,
+                ...(answer.answer_order !== null ? { orden: answer.answer_order } : {}),
+                ...(answer.match_text !== null ? { pareja: answer.match_text } : {})
+            }))
+        };
+    }
+
+    // Cambios campo a campo; las respuestas se comparan como conjunto
+    diff(before, after) {
+        const changes = {};
+        if (!before || !after) return changes;
+
+        for (const field of TRACKED_FIELDS) {
+            if (JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null)) {
+                changes[field] = { from: before[field] ?? null, to: after[field] ?? null };
+            }
+        }
+
+        const key = answer => JSON.stringify(answer);
+        const beforeKeys = new Set(before.respuestas.map(key));
+        const afterKeys = new Set(after.respuestas.map(key));
+        const added = after.respuestas.filter(answer => !beforeKeys.has(key(answer)));
+        const removed = before.respuestas.filter(answer => !afterKeys.has(key(answer)));
+
+        if (added.length > 0 || removed.length > 0) {
+            changes.respuestas = { added, removed };
+        }
+
+        return changes;
+    }
+
+    // ==================== REGISTRO ====================
+
+    // Se ejecuta dentro de la transacción del llamador para que la revisión y el cambio sean atómicos
+    async record(client, { questionId, action, before = null, after = null, userId, restoredFrom = null }) {
+        const snapshot = action === 'delete' ? before : after;
+        const changes = action === 'create' ? {} : this.diff(before, after);
+
+        const result = await client.query(`
+            INSERT INTO question_revisions (
+                question_id, block_id, revision_number, action, snapshot, changes, changed_by, restored_from
+            )
+            SELECT $1, $2, COALESCE(MAX(revision_number), 0) + 1, $3, $4, $5, $6, $7
+            FROM question_revisions WHERE question_id = $1
+            RETURNING id, revision_number
+        `, [
+            questionId, snapshot.blockId, action, JSON.stringify(snapshot),
+            JSON.stringify(changes), userId || null, restoredFrom
+        ]);
+
+        return result.rows[0];
+    }
+
+    // ==================== CONSULTAS ====================
+
+    async listRevisions(questionId) {
+        const result = await this.pool.query(`
+            SELECT qr.id, qr.revision_number, qr.action, qr.snapshot, qr.changes, qr.restored_from,
+                qr.changed_by, u.nickname as changed_by_nickname, qr.created_at
+            FROM question_revisions qr
+            LEFT JOIN users u ON qr.changed_by = u.id
+            WHERE qr.question_id = $1
+            ORDER BY qr.revision_number DESC
+        `, [questionId]);
+
+        return result.rows.map(row => ({
+            id: row.id,
+            revisionNumber: row.revision_number,
+            action: row.action,
+            snapshot: row.snapshot,
+            changes: row.changes,
+            restoredFrom: row.restored_from,
+            changedBy: row.changed_by,
+            changedByNickname: row.changed_by_nickname,
+            createdAt: row.created_at
+        }));
+    }
+
+    async getRevision(client, questionId, revisionId) {
+        const result = await client.query(
+            'SELECT * FROM question_revisions WHERE id = $1 AND question_id = $2',
+            [revisionId, questionId]
+        );
+        return result.rows[0] || null;
+    }
+
+    // Bloque de la pregunta, aunque ya esté borrada (se toma de su última revisión)
+    async findBlockId(client, questionId) {
+        const result = await client.query(`
+            SELECT block_id FROM questions WHERE id = $1
+            UNION ALL
+            SELECT block_id FROM (
+                SELECT block_id FROM question_revisions
+                WHERE question_id = $1
+                ORDER BY revision_number DESC
+                LIMIT 1
+            ) latest
+            LIMIT 1
+        `, [questionId]);
+        return result.rows[0]?.block_id || null;
+    }
+
+    async close() {
+        await this.pool.end();
+    }
+}
+
+module.exports = QuestionRevisionStore;
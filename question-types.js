@@ -0,0 +1,298 @@
+// Tipos de pregunta: validación, almacenamiento y corrección de cada tipo
+//
+// Formato de entrada (el mismo de /api/questions y /api/questions/bulk):
+//   tipoPregunta       single_choice (por defecto) | true_false | multiple_choice | numeric | short_text | ordering | matching
+//   configuracionTipo  numeric: { value, tolerance }; short_text: { caseSensitive }; multiple_choice: { partialCredit }
+//   respuestas[]       { textoRespuesta, esCorrecta, orden (ordering), pareja (matching) }
+//
+// Formato de respuesta del jugador:
+//   single_choice / true_false  { answerId }
+//   multiple_choice             { answerIds: [...] }
+//   numeric                     { value }
+//   short_text                  { text }
+//   ordering                    { answerIds: [...] } en el orden elegido
+//   matching                    { pairs: { "<answerId>": "<texto de la pareja>" } }
+const QUESTION_TYPES = ['single_choice', 'true_false', 'multiple_choice', 'numeric', 'short_text', 'ordering', 'matching'];
+const CHOICE_TYPES = ['single_choice', 'true_false', 'multiple_choice'];
+
+class QuestionTypes {
+    static get TYPES() {
+        return QUESTION_TYPES;
+    }
+
+    static get CHOICE_TYPES() {
+        return CHOICE_TYPES;
+    }
+
+    normalizeType(type) {
+        return type ? String(type).trim().toLowerCase().replace(/-/g, '_') : 'single_choice';
+    }
+
+    // ==================== VALIDACIÓN ====================
+
+    // Devuelve el primer problema encontrado o null si la pregunta es válida para su tipo
+    validate(question) {
+        const type = this.normalizeType(question.tipoPregunta);
+        const config = question.configuracionTipo || {};
+        const respuestas = Array.isArray(question.respuestas) ? question.respuestas : [];
+        const texts = respuestas.map(r => (r.textoRespuesta == null ? '' : String(r.textoRespuesta).trim()));
+
+        if (!QUESTION_TYPES.includes(type)) {
+            return `Tipo de pregunta no válido: ${question.tipoPregunta}`;
+        }
+
+        switch (type) {
+            case 'single_choice':
+            case 'multiple_choice':
+                if (respuestas.length < 2) return 'Se necesitan al menos 2 respuestas';
+                if (texts.some(text => text === '')) return 'Hay respuestas sin texto';
+                if (!respuestas.some(r => r.esCorrecta)) return 'Ninguna respuesta está marcada como correcta';
+                return null;
+
+            case 'true_false':
+                if (respuestas.length !== 2) return 'Las preguntas de verdadero/falso tienen exactamente 2 respuestas';
+                if (respuestas.filter(r => r.esCorrecta).length !== 1) return 'Las preguntas de verdadero/falso tienen una única respuesta correcta';
+                return null;
+
+            case 'numeric':
+                if (!Number.isFinite(Number(config.value)) || config.value === '' || config.value === null) {
+                    return 'Las preguntas numéricas necesitan un valor correcto (configuracionTipo.value)';
+                }
+                if (config.tolerance !== undefined && !(Number(config.tolerance) >= 0)) {
+                    return 'La tolerancia debe ser un número mayor o igual que 0';
+                }
+                return null;
+
+            case 'short_text':
+                if (texts.filter(Boolean).length === 0) return 'Se necesita al menos una respuesta aceptada';
+                return null;
+
+            case 'ordering': {
+                if (respuestas.length < 2) return 'Se necesitan al menos 2 elementos para ordenar';
+                if (texts.some(text => text === '')) return 'Hay elementos sin texto';
+                const orders = respuestas.map(r => r.orden);
+                if (orders.every(order => order === undefined || order === null)) return null;
+                const sorted = orders.map(Number).sort((a, b) => a - b);
+                if (!sorted.every((order, index) => order === index + 1)) {
+                    return 'Los valores de orden deben ser 1..N sin repetir';
+                }
+                return null;
+            }
+
+            case 'matching': {
+                if (respuestas.length < 2) return 'Se necesitan al menos 2 parejas';
+                if (texts.some(text => text === '')) return 'Hay parejas sin texto';
+                if (respuestas.some(r => !r.pareja || String(r.pareja).trim() === '')) {
+                    return 'Cada elemento necesita su pareja';
+                }
+                if (new Set(texts.map(text => text.toLowerCase())).size !== texts.length) {
+                    return 'Los elementos a emparejar no pueden repetirse';
+                }
+                return null;
+            }
+        }
+
+        return null;
+    }
+
+    // ==================== ALMACENAMIENTO ====================
+
+    // Filas de questions.question_type / type_config y de answers listas para insertar
+    toStorage(question) {
+        const type = this.normalizeType(question.tipoPregunta);
+        const config = question.configuracionTipo || {};
+        const respuestas = Array.isArray(question.respuestas) ? question.respuestas : [];
+        let typeConfig = {};
+
+        if (type === 'numeric') {
+            typeConfig = { value: Number(config.value), tolerance: Number(config.tolerance) || 0 };
+        } else if (type === 'short_text') {
+            typeConfig = { caseSensitive: config.caseSensitive === true };
+        } else if (type === 'multiple_choice') {
+            typeConfig = { partialCredit: config.partialCredit === true };
+        }
+
+        const hasOrder = respuestas.some(r => r.orden !== undefined && r.orden !== null);
+        const answers = respuestas
+            .filter(r => type !== 'short_text' || String(r.textoRespuesta || '').trim() !== '')
+            .map((r, index) => ({
+                text: String(r.textoRespuesta).trim(),
+                // En los tipos sin distractores todas las filas forman parte de la solución
+                isCorrect: CHOICE_TYPES.includes(type) ? (r.esCorrecta === true || r.esCorrecta === 'true') : true,
+                order: type === 'ordering' ? (hasOrder ? Number(r.orden) : index + 1) : null,
+                match: type === 'matching' ? String(r.pareja).trim() : null
+            }));
+
+        return { type, typeConfig, answers };
+    }
+
+    // ==================== VISTA DEL JUGADOR ====================
+
+    // Respuestas que se muestran al jugador sin revelar la solución
+    publicView(type, answers) {
+        const options = (answers || []).map(a => ({ id: a.id, answerText: a.answerText ?? a.answer_text }));
+
+        switch (type) {
+            case 'numeric':
+            case 'short_text':
+                return { respuestas: [] };
+            case 'ordering':
+                return { respuestas: shuffle(options) };
+            case 'matching':
+                return {
+                    respuestas: options,
+                    parejas: shuffle((answers || []).map(a => a.matchText ?? a.match_text))
+                };
+            default:
+                return { respuestas: options };
+        }
+    }
+
+    // Solución que se devuelve tras corregir
+    solution(type, typeConfig, answers) {
+        switch (type) {
+            case 'numeric':
+                return { value: Number(typeConfig.value), tolerance: Number(typeConfig.tolerance) || 0 };
+            case 'short_text':
+                return { acceptedAnswers: answers.map(a => a.answer_text) };
+            case 'ordering':
+                return { orderedAnswerIds: [...answers].sort((a, b) => a.answer_order - b.answer_order).map(a => a.id) };
+            case 'matching':
+                return { pairs: Object.fromEntries(answers.map(a => [a.id, a.match_text])) };
+            default:
+                return { correctAnswerIds: answers.filter(a => a.is_correct).map(a => a.id) };
+        }
+    }
+
+    // ==================== CORRECCIÓN ====================
+
+    // Acepta el formato antiguo (answerId suelto) además del objeto de respuesta de cada tipo
+    normalizeResponse(response) {
+        if (response === null || response === undefined) return {};
+        if (typeof response !== 'object') return { answerId: response };
+        return response;
+    }
+
+    isBlank(type, response) {
+        switch (type) {
+            case 'multiple_choice':
+            case 'ordering':
+                return !Array.isArray(response.answerIds) || response.answerIds.length === 0;
+            case 'numeric':
+                return response.value === undefined || response.value === null || String(response.value).trim() === '';
+            case 'short_text':
+                return !response.text || String(response.text).trim() === '';
+            case 'matching':
+                return !response.pairs || Object.keys(response.pairs).length === 0;
+            default:
+                return response.answerId === undefined || response.answerId === null;
+        }
+    }
+
+    // answers: filas de la tabla answers (id, answer_text, is_correct, answer_order, match_text)
+    // Devuelve { result, isCorrect, credit, answerId } o lanza un error 400 si la respuesta no encaja con la pregunta
+    score(type, typeConfig, answers, rawResponse) {
+        const config = typeConfig || {};
+        const response = this.normalizeResponse(rawResponse);
+
+        if (this.isBlank(type, response)) {
+            return { result: 'BLANCO', isCorrect: false, credit: 0, answerId: null };
+        }
+
+        const byId = new Map(answers.map(a => [a.id, a]));
+        const requireIds = ids => {
+            const parsed = ids.map(id => parseInt(id));
+            if (parsed.some(id => !byId.has(id))) {
+                throw typeError('La respuesta no pertenece a la pregunta');
+            }
+            return parsed;
+        };
+
+        let credit = 0;
+        let answerId = null;
+
+        switch (type) {
+            case 'multiple_choice': {
+                const chosen = new Set(requireIds(response.answerIds));
+                const correctIds = answers.filter(a => a.is_correct).map(a => a.id);
+                const hits = correctIds.filter(id => chosen.has(id)).length;
+                const misses = [...chosen].filter(id => !byId.get(id).is_correct).length;
+
+                if (hits === correctIds.length && misses === 0) credit = 1;
+                else if (config.partialCredit) credit = Math.max(0, (hits - misses) / correctIds.length);
+                break;
+            }
+
+            case 'numeric': {
+                const value = Number(String(response.value).replace(',', '.'));
+                if (!Number.isFinite(value)) throw typeError('La respuesta debe ser un número');
+                const tolerance = Number(config.tolerance) || 0;
+                // Margen mínimo para errores de coma flotante
+                credit = Math.abs(value - Number(config.value)) <= tolerance + 1e-9 ? 1 : 0;
+                break;
+            }
+
+            case 'short_text': {
+                const given = normalizeText(response.text, config.caseSensitive);
+                credit = answers.some(a => normalizeText(a.answer_text, config.caseSensitive) === given) ? 1 : 0;
+                break;
+            }
+
+            case 'ordering': {
+                const chosen = requireIds(response.answerIds);
+                if (chosen.length !== answers.length || new Set(chosen).size !== chosen.length) {
+                    throw typeError('Hay que ordenar todos los elementos una sola vez');
+                }
+                const inPlace = chosen.filter((id, index) => byId.get(id).answer_order === index + 1).length;
+                credit = inPlace === answers.length ? 1 : inPlace / answers.length;
+                break;
+            }
+
+            case 'matching': {
+                const entries = Object.entries(response.pairs);
+                requireIds(entries.map(([id]) => id));
+                const matched = entries.filter(([id, match]) =>
+                    normalizeText(byId.get(parseInt(id)).match_text) === normalizeText(match)
+                ).length;
+                credit = matched === answers.length ? 1 : matched / answers.length;
+                break;
+            }
+
+            default: {
+                answerId = parseInt(response.answerId);
+                const chosen = byId.get(answerId);
+                if (!chosen) throw typeError('La respuesta no pertenece a la pregunta');
+                credit = chosen.is_correct === true ? 1 : 0;
+            }
+        }
+
+        credit = Math.round(credit * 10000) / 10000;
+        const isCorrect = credit === 1;
+        return { result: isCorrect ? 'ACIERTO' : 'FALLO', isCorrect, credit, answerId };
+    }
+}
+
+function normalizeText(value, caseSensitive = false) {
+    let text = String(value ?? '').trim().replace(/\s+/g, ' ');
+    if (!caseSensitive) {
+        text = text.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    }
+    return text;
+}
+
+function shuffle(items) {
+    const copy = [...items];
+    for (let i = copy.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+}
+
+function typeError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+module.exports = QuestionTypes;
@@ -1,10 +1,17 @@
 const WebSocketAuth = require('./websocket-auth');
+const DuelMatchEngine = require('./duel-engine');
+const MatchmakingQueue = require('./matchmaking');
+const NotificationDispatcher = require('./notification-dispatcher');
 
 // Sistema de eventos en tiempo real para PLAYTEST
 class RealTimeEvents {
     constructor(io) {
         this.io = io;
         this.auth = new WebSocketAuth();
+        this.matchEngine = new DuelMatchEngine(io, this.auth);
+        this.matchmaking = new MatchmakingQueue(io, this.auth);
+        // Las notificaciones se emiten a la sala user_<id> que se une al autenticar
+        NotificationDispatcher.shared().attachSocketServer(io);
         this.setupEventHandlers();
     }
 
@@ -57,18 +64,82 @@ class RealTimeEvents {
                 });
             });
 
+            // El ganador ya no lo declara el cliente: solo se avisa de que el jugador ha terminado.
+            // game_finished lo emite el motor de partidas en directo con la puntuación del servidor
             socket.on('game_completed', async (data) => {
                 const user = this.auth.getUserFromSocket(socket.id);
-                if (!user) return;
+                if (!user || !data || !socket.rooms.has(`game_${data.gameId}`)) return;
 
-                this.io.to(`game_${data.gameId}`).emit('game_finished', {
-                    winnerId: user.id,
-                    winnerNickname: user.nickname,
-                    finalScores: data.scores,
+                socket.to(`game_${data.gameId}`).emit('player_completed', {
+                    userId: user.id,
+                    nickname: user.nickname,
                     gameId: data.gameId
                 });
             });
 
+            // Partidas en directo (duelo / trivial)
+            socket.on('match_join', async (data, ack) => {
+                const user = this.auth.getUserFromSocket(socket.id);
+                if (!user) return reply(ack, { error: 'No autenticado' });
+
+                try {
+                    await this.matchEngine.join(socket, user, readId(data, 'gameId'));
+                    reply(ack, { success: true });
+                } catch (error) {
+                    reply(ack, { error: error.message });
+                }
+            });
+
+            socket.on('match_ready', async (data, ack) => {
+                const user = this.auth.getUserFromSocket(socket.id);
+                if (!user) return reply(ack, { error: 'No autenticado' });
+
+                try {
+                    this.matchEngine.setReady(user, readId(data, 'gameId'));
+                    reply(ack, { success: true });
+                } catch (error) {
+                    reply(ack, { error: error.message });
+                }
+            });
+
+            socket.on('match_answer', async (data, ack) => {
+                const user = this.auth.getUserFromSocket(socket.id);
+                if (!user) return reply(ack, { error: 'No autenticado' });
+
+                try {
+                    const gameId = readId(data, 'gameId');
+                    const questionId = readId(data, 'questionId');
+                    const response = data.response !== undefined ? data.response : data.answerId;
+                    reply(ack, this.matchEngine.submitAnswer(user, gameId, questionId, response));
+                } catch (error) {
+                    reply(ack, { error: error.message });
+                }
+            });
+
+            // Cola de emparejamiento para duelos
+            socket.on('matchmaking_join', async (data, ack) => {
+                const user = this.auth.getUserFromSocket(socket.id);
+                if (!user) return reply(ack, { error: 'No autenticado' });
+
+                try {
+                    const entry = await this.matchmaking.join(user, {
+                        blockId: readId(data, 'blockId'),
+                        topic: typeof data.topic === 'string' && data.topic ? data.topic : null,
+                        allowBot: data.allowBot !== false
+                    });
+                    reply(ack, { success: true, rating: entry.rating });
+                } catch (error) {
+                    reply(ack, { error: error.message });
+                }
+            });
+
+            socket.on('matchmaking_leave', (data, ack) => {
+                const user = this.auth.getUserFromSocket(socket.id);
+                if (!user) return reply(ack, { error: 'No autenticado' });
+
+                reply(ack, { success: true, left: this.matchmaking.leave(user.id) });
+            });
+
             // Eventos de challenges
             socket.on('challenge_progress', async (data) => {
                 const user = this.auth.getUserFromSocket(socket.id);
@@ -136,7 +207,12 @@ class RealTimeEvents {
 
             // Desconexión
             socket.on('disconnect', () => {
+                const user = this.auth.getUserFromSocket(socket.id);
                 this.auth.unregisterConnection(socket.id);
+                if (user) {
+                    this.matchEngine.handleDisconnect(user);
+                    if (!this.auth.isUserConnected(user.id)) this.matchmaking.leave(user.id);
+                }
                 console.log(`🔌 Desconexión WebSocket: ${socket.id}`);
             });
         });
@@ -168,12 +244,29 @@ class RealTimeEvents {
 
     // Estadísticas en tiempo real
     getStats() {
-        return this.auth.getConnectionStats();
+        return { ...this.auth.getConnectionStats(), matches: this.matchEngine.getStats(), matchmaking: this.matchmaking.getStats() };
     }
 
     async close() {
+        await this.matchmaking.close();
+        await this.matchEngine.close();
         await this.auth.close();
     }
 }
 
+// Respuesta opcional vía acknowledgement de Socket.IO
+function reply(ack, payload) {
+    if (typeof ack === 'function') ack(payload);
+}
+
+// Identificador numérico de un evento del cliente; los datos mal formados se rechazan con un error
+// (una excepción sin capturar en un handler tumbaría el proceso)
+function readId(data, field) {
+    const value = data && typeof data === 'object' ? parseInt(data[field]) : NaN;
+    if (!Number.isInteger(value) || value <= 0) {
+        throw new Error(`${field} es requerido`);
+    }
+    return value;
+}
+
 module.exports = RealTimeEvents;
\ No newline at end of file
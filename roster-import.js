@@ -0,0 +1,733 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
+const bcrypt = require('bcrypt');
+const { Pool } = require('pg');
+const QuestionImportParser = require('./question-import');
+const UserRepository = require('./user-repository');
+
+const FORMATS = ['csv', 'oneroster'];
+const TARGETS = ['group', 'class'];
+const ONEROSTER_FILES = ['users.csv', 'classes.csv', 'enrollments.csv'];
+
+// Clave de la sección cuando el CSV no tiene columna de grupo: todo va al grupo o clase indicado
+const TARGET_SECTION = '__target__';
+
+const MAX_ZIP_ENTRY_BYTES = 20 * 1024 * 1024;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const STUDENT_ROLES = ['student', 'alumno', 'estudiante', 'learner'];
+const TEACHER_ROLES = ['teacher', 'profesor', 'docente', 'instructor'];
+
+// Cabeceras del CSV simple (en minúsculas, sin acentos, espacios ni guiones) -> campo
+const CSV_COLUMNS = {
+    email: 'email', correo: 'email', mail: 'email',
+    externalid: 'externalId', sisid: 'externalId', studentid: 'externalId', sourcedid: 'externalId', id: 'externalId',
+    firstname: 'firstName', givenname: 'firstName', nombre: 'firstName',
+    lastname: 'lastName', familyname: 'lastName', apellidos: 'lastName', apellido: 'lastName',
+    nickname: 'nickname', username: 'nickname', usuario: 'nickname',
+    role: 'role', rol: 'role',
+    group: 'section', grupo: 'section', class: 'section', clase: 'section', section: 'section', classname: 'section',
+    groupid: 'sectionId', grupoid: 'sectionId', classid: 'sectionId', sectionid: 'sectionId', classsourcedid: 'sectionId'
+};
+
+const csvReader = new QuestionImportParser();
+
+function rosterError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function headerKey(value) {
+    return value.trim().toLowerCase()
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/[\s_-]+/g, '');
+}
+
+// Filas del CSV como objetos por cabecera normalizada, con su número de línea
+function readTable(content) {
+    const text = content.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    const records = csvReader.readCSVRecords(text);
+    if (records.length === 0) return { header: [], rows: [] };
+
+    const header = records[0].fields.map(headerKey);
+    const rows = records.slice(1)
+        .filter(record => record.fields.some(field => field.trim() !== ''))
+        .map(record => {
+            const values = {};
+            header.forEach((key, index) => { values[key] = (record.fields[index] || '').trim(); });
+            return { line: record.line, values };
+        });
+
+    return { header, rows };
+}
+
+// null si el rol no se importa (guardian, aide, proctor...); vacío cuenta como alumno
+function rosterRole(value) {
+    const role = (value || '').trim().toLowerCase();
+    if (role === '' || STUDENT_ROLES.includes(role)) return 'student';
+    if (TEACHER_ROLES.includes(role)) return 'teacher';
+    return null;
+}
+
+// Lector zip mínimo (stored y deflate) para los paquetes OneRoster; devuelve nombre -> contenido
+function readZip(buffer) {
+    const entries = new Map();
+
+    try {
+        let eocd = -1;
+        for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+            if (buffer.readUInt32LE(i) === 0x06054b50) {
+                eocd = i;
+                break;
+            }
+        }
+        if (eocd === -1) throw rosterError('Invalid zip file');
+
+        const count = buffer.readUInt16LE(eocd + 10);
+        let offset = buffer.readUInt32LE(eocd + 16);
+
+        for (let n = 0; n < count; n++) {
+            if (buffer.readUInt32LE(offset) !== 0x02014b50) throw rosterError('Invalid zip file');
+
+            const method = buffer.readUInt16LE(offset + 10);
+            const compressedSize = buffer.readUInt32LE(offset + 20);
+            const nameLength = buffer.readUInt16LE(offset + 28);
+            const extraLength = buffer.readUInt16LE(offset + 30);
+            const commentLength = buffer.readUInt16LE(offset + 32);
+            const localOffset = buffer.readUInt32LE(offset + 42);
+            const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+            offset += 46 + nameLength + extraLength + commentLength;
+
+            if (name.endsWith('/') || name.startsWith('__MACOSX/')) continue;
+
+            const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+            const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+            if (method === 0) {
+                entries.set(name, data);
+            } else if (method === 8) {
+                entries.set(name, zlib.inflateRawSync(data, { maxOutputLength: MAX_ZIP_ENTRY_BYTES }));
+            } else {
+                throw rosterError(`Unsupported zip compression in ${name}`);
+            }
+        }
+    } catch (error) {
+        if (error.status) throw error;
+        throw rosterError(`Invalid zip file: ${error.message}`);
+    }
+
+    return entries;
+}
+
+function accessCode() {
+    const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    let code = '';
+    for (let i = 0; i < 6; i++) {
+        code += chars.charAt(crypto.randomInt(chars.length));
+    }
+    return code;
+}
+
+// Importación de listas de clase: CSV simple (una fila por alumno y grupo) o paquete OneRoster 1.2 CSV
+// (users.csv, classes.csv, enrollments.csv). Empareja usuarios por identificador externo o email,
+// crea los que faltan, crea o reutiliza grupos (o clases del panel de profesores) y matricula.
+// Todo va en una transacción; cada fila falla por separado y queda en el informe de conciliación
+class RosterImportService {
+    constructor() {
+        this.pool = new Pool({
+            connectionString: process.env.DATABASE_URL,
+            ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+        });
+        this.users = new UserRepository();
+    }
+
+    // ==================== LECTURA ====================
+
+    // Ficheros subidos ({ originalname, buffer }) -> nombre en minúsculas -> texto; los zip se despliegan
+    static readFiles(uploads) {
+        const files = new Map();
+
+        for (const upload of uploads) {
+            const name = upload.originalname.toLowerCase();
+            if (name.endsWith('.zip')) {
+                for (const [entryName, data] of readZip(upload.buffer)) {
+                    files.set(entryName.split('/').pop().toLowerCase(), data.toString('utf8'));
+                }
+            } else {
+                files.set(name.split('/').pop(), upload.buffer.toString('utf8'));
+            }
+        }
+
+        return files;
+    }
+
+    static detectFormat(files) {
+        return files.has('users.csv') && files.has('enrollments.csv') ? 'oneroster' : 'csv';
+    }
+
+    // Modelo común: users, sections y enrollments (con file/line para el informe) más notes
+    // (filas descartadas al leer: errores o roles que no se importan)
+    static parse(files, format) {
+        if (format === 'oneroster') {
+            return RosterImportService.parseOneRoster(files);
+        }
+
+        const csvFiles = [...files.keys()].filter(name => name.endsWith('.csv'));
+        if (csvFiles.length !== 1) {
+            throw rosterError('Upload exactly one CSV file, or a OneRoster bundle with users.csv, classes.csv and enrollments.csv');
+        }
+        return RosterImportService.parseCsv(files.get(csvFiles[0]), csvFiles[0]);
+    }
+
+    // Columnas: email y/o external_id, first_name, last_name, nickname, role y, opcionalmente, group
+    // (nombre) y/o group_id (identificador externo). Sin columna de grupo se matricula en el indicado
+    static parseCsv(content, file = 'roster.csv') {
+        const roster = { users: [], sections: [], enrollments: [], notes: [] };
+        const { header, rows } = readTable(content);
+        const fields = header.map(key => CSV_COLUMNS[key] || null);
+
+        if (!fields.includes('email') && !fields.includes('externalId')) {
+            roster.notes.push({ entity: 'row', file, line: 1, action: 'error', message: 'The header must include email or external_id' });
+            return roster;
+        }
+
+        const hasSection = fields.includes('section') || fields.includes('sectionId');
+        const users = new Map();
+        const sections = new Map();
+
+        for (const { line, values } of rows) {
+            const row = {};
+            header.forEach((key, index) => {
+                if (fields[index] && values[key]) row[fields[index]] = values[key];
+            });
+
+            const email = row.email ? row.email.toLowerCase() : null;
+            const role = rosterRole(row.role);
+            const problem = email && !EMAIL_PATTERN.test(email) ? `Invalid email: ${row.email}`
+                : !email && !row.externalId ? 'Row without email or external_id'
+                : !role ? `Unsupported role: ${row.role}`
+                : hasSection && !row.section && !row.sectionId ? 'Row without group'
+                : null;
+
+            if (problem) {
+                roster.notes.push({ entity: 'row', file, line, action: 'error', message: problem });
+                continue;
+            }
+
+            const userKey = row.externalId ? `id:${row.externalId}` : `email:${email}`;
+            if (!users.has(userKey)) {
+                users.set(userKey, {
+                    key: userKey, externalId: row.externalId || null, email,
+                    firstName: row.firstName || null, lastName: row.lastName || null, nickname: row.nickname || null,
+                    file, line
+                });
+            }
+
+            let sectionKey = TARGET_SECTION;
+            if (hasSection) {
+                sectionKey = row.sectionId || `name:${row.section.toLowerCase()}`;
+                if (!sections.has(sectionKey)) {
+                    sections.set(sectionKey, { key: sectionKey, externalId: sectionKey, name: row.section || row.sectionId, file, line });
+                }
+            } else if (!sections.has(TARGET_SECTION)) {
+                sections.set(TARGET_SECTION, { key: TARGET_SECTION, externalId: null, name: null, file, line });
+            }
+
+            roster.enrollments.push({ userKey, sectionKey, role, remove: false, file, line });
+        }
+
+        roster.users = [...users.values()];
+        roster.sections = [...sections.values()];
+        return roster;
+    }
+
+    // OneRoster 1.2 CSV: status=tobedeleted en una matrícula la da de baja; los usuarios marcados así
+    // solo se emparejan (no se crean ni actualizan)
+    static parseOneRoster(files) {
+        const roster = { users: [], sections: [], enrollments: [], notes: [] };
+
+        const missing = ONEROSTER_FILES.filter(name => !files.has(name));
+        if (missing.length > 0) {
+            roster.notes.push({ entity: 'row', file: missing.join(', '), line: 0, action: 'error', message: 'Missing OneRoster file' });
+            return roster;
+        }
+
+        const deleted = values => (values.status || '').toLowerCase() === 'tobedeleted';
+
+        for (const { line, values } of readTable(files.get('users.csv')).rows) {
+            if (!values.sourcedid) {
+                roster.notes.push({ entity: 'user', file: 'users.csv', line, action: 'error', message: 'Missing sourcedId' });
+                continue;
+            }
+
+            const email = (values.email || '').toLowerCase() || null;
+            roster.users.push({
+                key: values.sourcedid,
+                externalId: values.sourcedid,
+                email: email && EMAIL_PATTERN.test(email) ? email : null,
+                firstName: values.givenname || null,
+                lastName: values.familyname || null,
+                nickname: values.username || null,
+                matchOnly: deleted(values),
+                file: 'users.csv',
+                line
+            });
+        }
+
+        for (const { line, values } of readTable(files.get('classes.csv')).rows) {
+            if (!values.sourcedid) {
+                roster.notes.push({ entity: 'section', file: 'classes.csv', line, action: 'error', message: 'Missing sourcedId' });
+                continue;
+            }
+
+            roster.sections.push({
+                key: values.sourcedid,
+                externalId: values.sourcedid,
+                name: values.title || values.classcode || values.sourcedid,
+                subject: values.subjects || null,
+                matchOnly: deleted(values),
+                file: 'classes.csv',
+                line
+            });
+        }
+
+        for (const { line, values } of readTable(files.get('enrollments.csv')).rows) {
+            const role = rosterRole(values.role);
+            if (!role) {
+                roster.notes.push({ entity: 'enrollment', file: 'enrollments.csv', line, action: 'skipped', message: `Role not imported: ${values.role}` });
+                continue;
+            }
+
+            roster.enrollments.push({
+                userKey: values.usersourcedid,
+                sectionKey: values.classsourcedid,
+                role,
+                remove: deleted(values),
+                file: 'enrollments.csv',
+                line
+            });
+        }
+
+        return roster;
+    }
+
+    // ==================== IMPORTACIÓN ====================
+
+    async hasTeacherClasses(client = null) {
+        const result = await (client || this.pool).query(
+            "SELECT to_regclass('public.teacher_classes') IS NOT NULL AND to_regclass('public.class_enrollments') IS NOT NULL as ready"
+        );
+        return result.rows[0].ready;
+    }
+
+    // Con dryRun se hace todo y se deshace al final: el informe es el que daría la importación real.
+    // Los identificadores externos de los profesores van con su id delante; los de administración no
+    async importRoster(roster, {
+        importerId, isAdmin = false, format, source = null, target = 'group',
+        groupId = null, classId = null, dryRun = false, createUsers = true
+    }) {
+        if (!FORMATS.includes(format)) throw rosterError(`format must be one of: ${FORMATS.join(', ')}`);
+        if (!TARGETS.includes(target)) throw rosterError(`target must be one of: ${TARGETS.join(', ')}`);
+
+        const usesTarget = roster.sections.some(section => section.key === TARGET_SECTION);
+        if (usesTarget && !(target === 'group' ? groupId : classId)) {
+            throw rosterError(`The file has no group column: send ${target === 'group' ? 'group_id' : 'class_id'}`);
+        }
+        if (target === 'class' && !(await this.hasTeacherClasses())) {
+            throw rosterError('Teacher classes are not set up on this server', 409);
+        }
+
+        // Una sola contraseña aleatoria (y desconocida) para todas las cuentas nuevas de la importación
+        const passwordHash = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+        const sourceName = (source || format).trim().slice(0, 100);
+        // El prefijo teacher: es el espacio de cada profesor; una importación de administración no puede usarlo
+        if (isAdmin && /^teacher:/i.test(sourceName)) {
+            throw rosterError('source cannot start with "teacher:", it is reserved for teacher imports');
+        }
+        const ctx = {
+            client: await this.pool.connect(),
+            source: isAdmin ? sourceName : `teacher:${importerId}:${sourceName}`,
+            importerId, isAdmin, target, groupId, classId, dryRun, createUsers, passwordHash,
+            report: [...roster.notes]
+        };
+
+        try {
+            await ctx.client.query('BEGIN');
+
+            const userIds = new Map();
+            for (const user of roster.users) {
+                const result = await this.step(ctx, {
+                    entity: 'user', file: user.file, line: user.line, external_id: user.externalId, email: user.email
+                }, () => this.resolveUser(ctx, user));
+                if (result && result.id) userIds.set(user.key, result.id);
+            }
+
+            // En importaciones de administración el primer profesor de cada clase es el dueño del grupo nuevo
+            const owners = new Map();
+            for (const enrollment of roster.enrollments) {
+                if (enrollment.role === 'teacher' && !enrollment.remove && userIds.has(enrollment.userKey) && !owners.has(enrollment.sectionKey)) {
+                    owners.set(enrollment.sectionKey, userIds.get(enrollment.userKey));
+                }
+            }
+
+            const sections = new Map();
+            for (const section of roster.sections) {
+                const ownerId = isAdmin ? owners.get(section.key) || importerId : importerId;
+                const result = await this.step(ctx, {
+                    entity: 'section', file: section.file, line: section.line, external_id: section.externalId, name: section.name
+                }, () => this.resolveSection(ctx, section, ownerId));
+                if (result && result.id) sections.set(section.key, result);
+            }
+
+            for (const enrollment of roster.enrollments) {
+                const entry = {
+                    entity: 'enrollment', file: enrollment.file, line: enrollment.line,
+                    user: enrollment.userKey, section: enrollment.sectionKey, role: enrollment.role
+                };
+                const userId = userIds.get(enrollment.userKey);
+                const section = sections.get(enrollment.sectionKey);
+
+                if (!userId || !section) {
+                    ctx.report.push({ ...entry, action: 'skipped', message: userId ? 'Group was not imported' : 'User was not imported' });
+                    continue;
+                }
+                await this.step(ctx, entry, () => this.enroll(ctx, section, userId, enrollment));
+            }
+
+            await ctx.client.query(dryRun ? 'ROLLBACK' : 'COMMIT');
+
+        } catch (error) {
+            await ctx.client.query('ROLLBACK');
+            throw error;
+        } finally {
+            ctx.client.release();
+        }
+
+        const summary = RosterImportService.summarize(ctx.report);
+        const saved = await this.pool.query(`
+            INSERT INTO roster_imports (imported_by, source, format, target, dry_run, summary, report)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            RETURNING id, created_at
+        `, [importerId, ctx.source, format, target, dryRun, summary, JSON.stringify(ctx.report)]);
+
+        console.log(`📋 Roster import ${saved.rows[0].id} (${format} -> ${target}) by ${importerId}: ${JSON.stringify(summary)}${dryRun ? ' [dry run]' : ''}`);
+
+        return { id: saved.rows[0].id, created_at: saved.rows[0].created_at, source: ctx.source, format, target, dry_run: dryRun, summary, report: ctx.report };
+    }
+
+    // Cada fila en su savepoint: un error la deja en el informe sin abortar el resto
+    async step(ctx, entry, action) {
+        await ctx.client.query('SAVEPOINT roster_row');
+
+        try {
+            const result = await action();
+            await ctx.client.query('RELEASE SAVEPOINT roster_row');
+
+            ctx.report.push({
+                ...entry,
+                action: result.action,
+                id: ctx.dryRun && result.action === 'created' ? null : result.id,
+                ...(result.message ? { message: result.message } : {})
+            });
+            return result;
+
+        } catch (error) {
+            await ctx.client.query('ROLLBACK TO SAVEPOINT roster_row');
+            if (!error.status) console.error(`Error importing roster ${entry.entity} (${entry.file}:${entry.line}):`, error);
+
+            ctx.report.push({ ...entry, action: 'error', message: error.message });
+            return null;
+        }
+    }
+
+    // Un enlace existente nunca se cambia de usuario: si otra importación ya usó el identificador
+    // para otra cuenta, la fila queda como error en el informe
+    async linkUser(ctx, externalId, userId) {
+        if (!externalId) return;
+        const result = await ctx.client.query(`
+            INSERT INTO roster_users (source, external_id, user_id)
+            VALUES ($1, $2, $3)
+            ON CONFLICT (source, external_id) DO UPDATE SET user_id = roster_users.user_id
+            RETURNING user_id
+        `, [ctx.source, externalId, userId]);
+
+        if (result.rows[0].user_id !== userId) {
+            throw rosterError(`External ID ${externalId} is already linked to another user (${result.rows[0].user_id})`, 409);
+        }
+    }
+
+    // Identificador externo, después email y, si no hay cuenta, alta con contraseña aleatoria
+    // (el alumno entra con "olvidé mi contraseña"). De las cuentas existentes solo se rellenan datos vacíos
+    async resolveUser(ctx, user) {
+        const { client } = ctx;
+        let existing = null;
+        let matchedBy = null;
+
+        if (user.externalId) {
+            const linked = await client.query(`
+                SELECT u.id, u.nickname, u.email, u.first_name, u.last_name
+                FROM roster_users ru
+                JOIN users u ON ru.user_id = u.id
+                WHERE ru.source = $1 AND ru.external_id = $2
+            `, [ctx.source, user.externalId]);
+            existing = linked.rows[0] || null;
+            matchedBy = existing ? 'external_id' : null;
+        }
+
+        if (!existing && user.email) {
+            existing = await this.users.findByEmail(user.email, client);
+            matchedBy = existing ? 'email' : null;
+        }
+
+        if (existing) {
+            if (user.matchOnly) return { action: 'matched', id: existing.id, message: 'Marked for deletion in the roster' };
+
+            const updated = await client.query(`
+                UPDATE users
+                SET email = COALESCE(email, $2),
+                    first_name = COALESCE(NULLIF(first_name, ''), $3),
+                    last_name = COALESCE(NULLIF(last_name, ''), $4),
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+                  AND ((email IS NULL AND $2::text IS NOT NULL)
+                    OR (COALESCE(first_name, '') = '' AND $3::text IS NOT NULL)
+                    OR (COALESCE(last_name, '') = '' AND $4::text IS NOT NULL))
+                RETURNING id
+            `, [existing.id, user.email, user.firstName, user.lastName]);
+
+            const newLink = matchedBy === 'email' && user.externalId;
+            await this.linkUser(ctx, newLink ? user.externalId : null, existing.id);
+
+            return {
+                action: updated.rows.length > 0 || newLink ? 'updated' : 'matched',
+                id: existing.id,
+                message: `Matched by ${matchedBy} (${existing.nickname})`
+            };
+        }
+
+        if (user.matchOnly) return { action: 'skipped', id: null, message: 'Marked for deletion in the roster' };
+        if (!ctx.createUsers) throw rosterError('No PlayTest account with this email or external ID', 404);
+
+        const created = await this.users.createUser({
+            nickname: UserRepository.nicknameFrom(user.nickname, user.email, `${user.firstName || ''}${user.lastName || ''}`, user.externalId),
+            passwordHash: ctx.passwordHash,
+            email: user.email,
+            firstName: user.firstName,
+            lastName: user.lastName
+        }, client);
+        await this.linkUser(ctx, user.externalId, created.id);
+
+        return { action: 'created', id: created.id, message: `Nickname ${created.nickname}` };
+    }
+
+    // Grupo (o clase) de la sección: el indicado, el enlazado en una importación anterior, uno del dueño
+    // con el mismo nombre o uno nuevo. Un profesor solo puede importar en los suyos
+    async resolveSection(ctx, section, ownerId) {
+        const { client, target } = ctx;
+        const table = target === 'group'
+            ? { sql: 'SELECT id, created_by as owner_id, name FROM groups WHERE id = $1', column: 'group_id' }
+            : { sql: 'SELECT id, teacher_id as owner_id, class_name as name FROM teacher_classes WHERE id = $1', column: 'class_id' };
+
+        const load = async id => {
+            const result = await client.query(table.sql, [id]);
+            const row = result.rows[0];
+            if (!row) throw rosterError(`${target === 'group' ? 'Group' : 'Class'} ${id} not found`, 404);
+            if (!ctx.isAdmin && row.owner_id !== ctx.importerId) {
+                throw rosterError(`${target === 'group' ? 'Group' : 'Class'} ${id} belongs to another teacher`, 403);
+            }
+            return row;
+        };
+
+        if (section.key === TARGET_SECTION) {
+            const row = await load(target === 'group' ? ctx.groupId : ctx.classId);
+            return { action: 'matched', id: row.id, ownerId: row.owner_id, message: row.name };
+        }
+
+        const linked = await client.query(
+            `SELECT ${table.column} as id FROM roster_sections WHERE source = $1 AND external_id = $2 AND ${table.column} IS NOT NULL`,
+            [ctx.source, section.externalId]
+        );
+        if (linked.rows.length > 0) {
+            const row = await load(linked.rows[0].id);
+            return { action: 'matched', id: row.id, ownerId: row.owner_id, message: row.name };
+        }
+
+        if (section.matchOnly) return { action: 'skipped', id: null, message: 'Marked for deletion in the roster' };
+
+        const sameName = await client.query(target === 'group'
+            ? 'SELECT id FROM groups WHERE created_by = $1 AND LOWER(name) = LOWER($2) ORDER BY id LIMIT 1'
+            : 'SELECT id FROM teacher_classes WHERE teacher_id = $1 AND LOWER(class_name) = LOWER($2) ORDER BY id LIMIT 1',
+        [ownerId, section.name]);
+
+        let action = 'matched';
+        let id = sameName.rows.length > 0 ? sameName.rows[0].id : null;
+
+        if (!id) {
+            action = 'created';
+            if (target === 'group') {
+                const group = await client.query(`
+                    INSERT INTO groups (name, description, access_code, created_by)
+                    VALUES ($1, $2, $3, $4)
+                    RETURNING id
+                `, [section.name.slice(0, 100), 'Importado desde la lista de clase', accessCode(), ownerId]);
+                id = group.rows[0].id;
+            } else {
+                const code = await client.query('SELECT generate_class_code() as code');
+                const created = await client.query(`
+                    INSERT INTO teacher_classes (teacher_id, class_name, class_code, subject)
+                    VALUES ($1, $2, $3, $4)
+                    RETURNING id
+                `, [ownerId, section.name, code.rows[0].code, section.subject || null]);
+                id = created.rows[0].id;
+            }
+        }
+
+        // Igual que con los usuarios, una sección ya enlazada no se lleva a otro grupo o clase
+        const link = await client.query(`
+            INSERT INTO roster_sections (source, external_id, ${table.column})
+            VALUES ($1, $2, $3)
+            ON CONFLICT (source, external_id) DO UPDATE
+            SET ${table.column} = COALESCE(roster_sections.${table.column}, EXCLUDED.${table.column})
+            RETURNING ${table.column} as id
+        `, [ctx.source, section.externalId, id]);
+
+        if (link.rows[0].id !== id) {
+            throw rosterError(`Section ${section.externalId} is already linked to another ${target === 'group' ? 'group' : 'class'} (${link.rows[0].id})`, 409);
+        }
+
+        return { action, id, ownerId, message: section.name };
+    }
+
+    // Alumnos como ALUMNO; otros profesores como ASISTENTE del grupo (el rol profesor solo lo da
+    // una importación de administración). Las clases del panel tienen un único profesor
+    async enroll(ctx, section, userId, enrollment) {
+        const { client } = ctx;
+
+        if (enrollment.role === 'teacher' && !enrollment.remove && ctx.isAdmin) {
+            await this.users.assignRole(userId, 'profesor', { assignedBy: ctx.importerId }, client);
+        }
+
+        if (userId === section.ownerId) {
+            return { action: 'matched', id: section.id, message: 'Owner' };
+        }
+
+        if (ctx.target === 'group') {
+            if (enrollment.remove) {
+                const removed = await client.query(
+                    'DELETE FROM group_members WHERE group_id = $1 AND user_id = $2 RETURNING id',
+                    [section.id, userId]
+                );
+                return removed.rows.length > 0
+                    ? { action: 'removed', id: section.id }
+                    : { action: 'skipped', id: section.id, message: 'Not a member' };
+            }
+
+            const added = await client.query(`
+                INSERT INTO group_members (group_id, user_id, role_in_group)
+                VALUES ($1, $2, $3)
+                ON CONFLICT (group_id, user_id) DO NOTHING
+                RETURNING id
+            `, [section.id, userId, enrollment.role === 'teacher' ? 'ASISTENTE' : 'ALUMNO']);
+
+            return added.rows.length > 0
+                ? { action: 'created', id: section.id }
+                : { action: 'matched', id: section.id, message: 'Already a member' };
+        }
+
+        if (enrollment.role === 'teacher') {
+            return { action: 'skipped', id: section.id, message: 'Teacher classes have a single teacher' };
+        }
+
+        if (enrollment.remove) {
+            const removed = await client.query(
+                'DELETE FROM class_enrollments WHERE class_id = $1 AND student_id = $2 RETURNING id',
+                [section.id, userId]
+            );
+            if (removed.rows.length === 0) return { action: 'skipped', id: section.id, message: 'Not enrolled' };
+
+            await client.query(
+                'UPDATE teacher_classes SET current_students = GREATEST(current_students - 1, 0) WHERE id = $1',
+                [section.id]
+            );
+            return { action: 'removed', id: section.id };
+        }
+
+        const existing = await client.query(
+            'SELECT id FROM class_enrollments WHERE class_id = $1 AND student_id = $2',
+            [section.id, userId]
+        );
+        if (existing.rows.length > 0) return { action: 'matched', id: section.id, message: 'Already enrolled' };
+
+        const capacity = await client.query(
+            'SELECT max_students, current_students FROM teacher_classes WHERE id = $1 FOR UPDATE',
+            [section.id]
+        );
+        const { max_students: maxStudents, current_students: currentStudents } = capacity.rows[0];
+        if (maxStudents && currentStudents >= maxStudents) {
+            return { action: 'skipped', id: section.id, message: 'Class is full' };
+        }
+
+        await client.query('INSERT INTO class_enrollments (class_id, student_id) VALUES ($1, $2)', [section.id, userId]);
+        await client.query('UPDATE teacher_classes SET current_students = current_students + 1 WHERE id = $1', [section.id]);
+        return { action: 'created', id: section.id };
+    }
+
+    // Recuento por entidad y acción: { users: { created: 28, matched: 2 }, sections: {...}, enrollments: {...}, rows: {...} }
+    static summarize(report) {
+        const keys = { user: 'users', section: 'sections', enrollment: 'enrollments', row: 'rows' };
+        const summary = {};
+
+        for (const entry of report) {
+            const key = keys[entry.entity] || entry.entity;
+            summary[key] = summary[key] || {};
+            summary[key][entry.action] = (summary[key][entry.action] || 0) + 1;
+        }
+        return summary;
+    }
+
+    // ==================== HISTORIAL ====================
+
+    async listImports(userId, isAdmin = false, { limit = 50 } = {}) {
+        const result = await this.pool.query(`
+            SELECT ri.id, ri.imported_by, u.nickname as imported_by_nickname, ri.source, ri.format, ri.target,
+                ri.dry_run, ri.summary, ri.created_at
+            FROM roster_imports ri
+            LEFT JOIN users u ON ri.imported_by = u.id
+            WHERE $1 OR ri.imported_by = $2
+            ORDER BY ri.created_at DESC
+            LIMIT $3
+        `, [isAdmin, userId, Math.min(parseInt(limit) || 50, 200)]);
+        return result.rows;
+    }
+
+    async getImport(importId, userId, isAdmin = false) {
+        const result = await this.pool.query('SELECT * FROM roster_imports WHERE id = $1', [importId]);
+        const row = result.rows[0];
+
+        if (!row) throw rosterError('Import not found', 404);
+        if (!isAdmin && row.imported_by !== userId) throw rosterError('Import not found', 404);
+        return row;
+    }
+
+    // Informe de conciliación en CSV (una fila por entrada)
+    static reportCsv(report) {
+        const quote = value => {
+            const text = String(value ?? '');
+            return /[",\n;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const columns = ['entity', 'action', 'file', 'line', 'external_id', 'email', 'user', 'section', 'name', 'role', 'id', 'message'];
+
+        const rows = [columns.join(',')];
+        for (const entry of report) {
+            rows.push(columns.map(column => quote(entry[column])).join(','));
+        }
+        return rows.join('\n') + '\n';
+    }
+
+    async close() {
+        await Promise.all([this.pool.end(), this.users.close()]);
+    }
+}
+
+module.exports = RosterImportService;
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const pool = require('../database/connection');
 const { authenticateToken } = require('../middleware/auth');
+const { requireRole, ROLE_GROUPS } = require('../middleware/policy');
 
 // ==========================================
 // ANALYTICS PREDICTIVOS Y IA PEDAGÓGICA
@@ -9,26 +10,7 @@ const { authenticateToken } = require('../middleware/auth');
 // ==========================================
 
 // Middleware para verificar permisos de profesor o administrador
-const requireEducatorRole = async (req, res, next) => {
-    try {
-        const educatorCheck = await pool.query(`
-            SELECT ur.id FROM user_roles ur
-            JOIN roles r ON ur.role_id = r.id
-            WHERE ur.user_id = $1 AND r.name IN ('profesor', 'administrador_principal', 'administrador_secundario')
-        `, [req.user.id]);
-        
-        if (educatorCheck.rows.length === 0) {
-            return res.status(403).json({ 
-                error: 'Acceso denegado: se requiere rol de educador'
-            });
-        }
-        
-        next();
-    } catch (error) {
-        console.error('Error verificando rol de educador:', error);
-        res.status(500).json({ error: 'Error interno del servidor' });
-    }
-};
+const requireEducatorRole = requireRole(ROLE_GROUPS.EDUCATOR);
 
 // ==========================================
 // PREDICCIÓN DE RENDIMIENTO ACADÉMICO
@@ -1,10 +1,22 @@
 const express = require('express');
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const pool = require('../database/connection');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, sessions } = require('../middleware/auth');
+const SessionManager = require('../auth-sessions');
+const AccountRecovery = require('../account-recovery');
+const Mailer = require('../mail-transport');
 
 const router = express.Router();
+const accountRecovery = new AccountRecovery(sessions);
+
+// Errors with a status come from AccountRecovery (invalid token, short password...)
+function sendAccountError(res, error, fallbackMessage) {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ error: 'Internal server error' });
+}
 
 // Register
 router.post('/register', async (req, res) => {
@@ -15,6 +27,11 @@ router.post('/register', async (req, res) => {
       return res.status(400).json({ error: 'Nickname and password are required' });
     }
 
+    // The verification mail goes out right away: only a plain address may reach the mail headers
+    if (email && !Mailer.isEmail(email)) {
+      return res.status(400).json({ error: 'Invalid email address' });
+    }
+
     // Verificación especial para AdminPrincipal
     if (nickname === 'AdminPrincipal' && password !== 'kikejfer') {
       return res.status(400).json({ error: 'AdminPrincipal debe usar la contraseña por defecto inicial' });
@@ -54,44 +71,14 @@ router.post('/register', async (req, res) => {
       [user.id]
     );
 
-    // Get user roles before generating token
-    const userRolesQuery = await pool.query(`
-      SELECT r.name as role_name
-      FROM user_roles ur
-      JOIN roles r ON ur.role_id = r.id
-      WHERE ur.user_id = $1
-    `, [user.id]);
-    
-    let userRoles = userRolesQuery.rows.map(row => row.role_name);
-    
-    // Handle role name normalization for compatibility
-    userRoles = userRoles.map(role => {
-      // Normalize role names to match expected format
-      if (role === 'admin_secundario' || role === 'administrador_secundario') {
-        return 'administrador_secundario';
-      }
-      if (role === 'admin_principal' || role === 'administrador_principal') {
-        return 'administrador_principal';
-      }
-      if (role === 'creador_contenido' || role === 'profesor_creador') {
-        return 'creador';
-      }
-      return role;
-    });
-    
-    // DEBUG: Log roles for troubleshooting
-    console.log(`🔍 DEBUG JWT - Usuario ${user.nickname} (ID: ${user.id}) tiene roles:`, userRoles);
-    
-    // Generate JWT token with roles
-    const token = jwt.sign(
-      { 
-        userId: user.id, 
-        nickname: user.nickname,
-        roles: userRoles
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // New session for this device: short-lived access token + rotating refresh token
+    const tokens = await sessions.createSession(user, SessionManager.requestMetadata(req));
+
+    // Email verification is sent in the background: a mail server problem must not block registration
+    if (user.email) {
+      accountRecovery.sendEmailVerification(user.id, { force: true })
+        .catch(error => console.error('Error sending verification email:', error.message));
+    }
 
     // Verificar si necesita cambiar contraseña (AdminPrincipal)
     let mustChangePassword = false;
@@ -108,11 +95,12 @@ router.post('/register', async (req, res) => {
 
     res.status(201).json({
       message: 'User created successfully',
-      token,
+      ...tokens,
       user: {
         id: user.id,
         nickname: user.nickname,
         createdAt: user.created_at,
+        emailVerified: false,
         mustChangePassword
       }
     });
@@ -134,7 +122,7 @@ router.post('/login', async (req, res) => {
 
     // Find user
     const result = await pool.query(
-      'SELECT id, nickname, password_hash FROM users WHERE nickname = $1',
+      'SELECT id, nickname, password_hash, email_verified_at IS NOT NULL as email_verified FROM users WHERE nickname = $1',
       [nickname]
     );
 
@@ -151,51 +139,16 @@ router.post('/login', async (req, res) => {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Get user roles before generating token
-    const userRolesQuery = await pool.query(`
-      SELECT r.name as role_name
-      FROM user_roles ur
-      JOIN roles r ON ur.role_id = r.id
-      WHERE ur.user_id = $1
-    `, [user.id]);
-    
-    let userRoles = userRolesQuery.rows.map(row => row.role_name);
-    
-    // Handle role name normalization for compatibility
-    userRoles = userRoles.map(role => {
-      // Normalize role names to match expected format
-      if (role === 'admin_secundario' || role === 'administrador_secundario') {
-        return 'administrador_secundario';
-      }
-      if (role === 'admin_principal' || role === 'administrador_principal') {
-        return 'administrador_principal';
-      }
-      if (role === 'creador_contenido' || role === 'profesor_creador') {
-        return 'creador';
-      }
-      return role;
-    });
-    
-    // DEBUG: Log roles for troubleshooting
-    console.log(`🔍 DEBUG JWT - Usuario ${user.nickname} (ID: ${user.id}) tiene roles:`, userRoles);
-    
-    // Generate JWT token with roles
-    const token = jwt.sign(
-      { 
-        userId: user.id, 
-        nickname: user.nickname,
-        roles: userRoles
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // New session for this device: short-lived access token + rotating refresh token
+    const tokens = await sessions.createSession(user, SessionManager.requestMetadata(req));
 
     res.json({
       message: 'Login successful',
-      token,
+      ...tokens,
       user: {
         id: user.id,
-        nickname: user.nickname
+        nickname: user.nickname,
+        emailVerified: user.email_verified
       }
     });
 
@@ -213,9 +166,115 @@ router.get('/verify', authenticateToken, (req, res) => {
   });
 });
 
-// Logout (optional - mainly for clearing client-side token)
-router.post('/logout', authenticateToken, (req, res) => {
-  res.json({ message: 'Logged out successfully' });
+// Exchange a refresh token for a new token pair (the refresh token rotates on every use)
+router.post('/refresh', async (req, res) => {
+  try {
+    const tokens = await sessions.refreshSession(req.body.refreshToken, SessionManager.requestMetadata(req));
+    res.json(tokens);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('Refresh error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Logout: revokes the current session, so its access and refresh tokens stop working
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.sessionId) {
+      await sessions.revokeSession(req.user.id, req.user.sessionId);
+    }
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Log out everywhere (shared classroom computers): revokes every session, including tokens issued before sessions existed
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const result = await sessions.revokeAllSessions(req.user.id);
+    console.log(`🔒 User ${req.user.id} logged out from ${result.revoked} sessions`);
+    res.json({ message: 'Logged out from all devices', revokedSessions: result.revoked });
+  } catch (error) {
+    console.error('Logout-all error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Active sessions (devices) of the current user
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const list = await sessions.listSessions(req.user.id, req.user.sessionId);
+    res.json({ sessions: list });
+  } catch (error) {
+    console.error('Error listing sessions:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Revoke one session (e.g. a device left logged in)
+router.delete('/sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    const sessionId = parseInt(req.params.sessionId);
+    if (isNaN(sessionId)) {
+      return res.status(400).json({ error: 'Invalid sessionId' });
+    }
+
+    const result = await sessions.revokeSession(req.user.id, sessionId);
+    if (!result.revoked) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    res.json({ message: 'Session revoked', current: sessionId === req.user.sessionId });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Forgot password: emails a single-use reset link. The answer (and its timing) is the same whether or
+// not the account exists: the lookup and the mail run after the response
+router.post('/forgot-password', async (req, res) => {
+  try {
+    accountRecovery.requestPasswordReset(req.body.email || req.body.nickname);
+    res.json({ message: 'If the account exists and has an email address, a reset link has been sent' });
+  } catch (error) {
+    sendAccountError(res, error, 'Forgot password error');
+  }
+});
+
+// Set a new password with the token from the email; every session of the user is closed
+router.post('/reset-password', async (req, res) => {
+  try {
+    await accountRecovery.resetPassword(req.body.token, req.body.newPassword);
+    res.json({ message: 'Password reset successfully, please log in again' });
+  } catch (error) {
+    sendAccountError(res, error, 'Reset password error');
+  }
+});
+
+// Confirm the email address with the token from the verification email
+router.post('/verify-email', async (req, res) => {
+  try {
+    const user = await accountRecovery.verifyEmail(req.body.token);
+    res.json({ message: 'Email verified successfully', email: user.email, emailVerifiedAt: user.email_verified_at });
+  } catch (error) {
+    sendAccountError(res, error, 'Verify email error');
+  }
+});
+
+// Send the verification email again (e.g. after changing the address in the profile)
+router.post('/resend-verification', authenticateToken, async (req, res) => {
+  try {
+    const result = await accountRecovery.sendEmailVerification(req.user.id);
+    res.json({ message: 'Verification email sent', email: result.email });
+  } catch (error) {
+    sendAccountError(res, error, 'Resend verification error');
+  }
 });
 
 // Cambiar contraseña obligatoria (AdminPrincipal)
@@ -264,6 +323,9 @@ router.post('/change-required-password', authenticateToken, async (req, res) =>
       WHERE user_id = $1
     `, [req.user.id]);
 
+    // Las demás sesiones se cierran: quien conociera la contraseña anterior deja de tener acceso
+    await sessions.revokeAllSessions(req.user.id, { exceptSessionId: req.user.sessionId, reason: 'password_change' });
+
     res.json({ message: 'Contraseña actualizada exitosamente' });
 
   } catch (error) {
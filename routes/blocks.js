@@ -1,12 +1,16 @@
 const express = require('express');
 const { pool } = require('../database/connection');
 const { authenticateToken } = require('../middleware/auth');
+const { normalizeRole, requireBlockOwner } = require('../middleware/policy');
 const ImageSearchService = require('../image-search');
+const AnswerEventStore = require('../answer-events');
+const BlockExporter = require('../block-export');
 
 const router = express.Router();
 
 // Initialize image search service
 const imageSearch = new ImageSearchService();
+const answerEvents = new AnswerEventStore();
 
 // Get all blocks with questions (temporary - will be 'loaded blocks' after migration)
 router.get('/', authenticateToken, async (req, res) => {
@@ -447,17 +451,8 @@ router.get('/loaded-stats', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Current role header is required' });
     }
 
-    // Map panel codes from frontend to database role names
-    const panelToRoleMapping = {
-      'PCC': 'creador',
-      'PPF': 'profesor',
-      'PJG': 'jugador',
-      'PAP': 'administrador_principal',
-      'PAS': 'administrador_secundario'
-    };
-
-    // Convert panel code to database role name if needed
-    const actualRoleName = panelToRoleMapping[currentRole] || currentRole;
+    // Panel codes (PCC, PPF...) map to database role names
+    const actualRoleName = normalizeRole(currentRole);
     console.log('🎭 Role from header:', currentRole, '-> Database role:', actualRoleName);
 
     // Get user's specific user_role record for the current active role
@@ -741,16 +736,8 @@ router.post('/:id/load', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Current role header is required' });
     }
 
-    // Map panel codes from frontend to database role names
-    const panelToRoleMapping = {
-      'PCC': 'creador',
-      'PPF': 'profesor',
-      'PJG': 'jugador',
-      'PAP': 'administrador_principal',
-      'PAS': 'administrador_secundario'
-    };
-
-    const actualRoleName = panelToRoleMapping[currentRole] || currentRole;
+    // Panel codes (PCC, PPF...) map to database role names
+    const actualRoleName = normalizeRole(currentRole);
     console.log('🎭 Loading block with role:', currentRole, '-> Database role:', actualRoleName);
 
     // Get user's specific user_role record for the current active role
@@ -828,16 +815,8 @@ router.delete('/:id/load', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Current role header is required' });
     }
 
-    // Map panel codes from frontend to database role names
-    const panelToRoleMapping = {
-      'PCC': 'creador',
-      'PPF': 'profesor',
-      'PJG': 'jugador',
-      'PAP': 'administrador_principal',
-      'PAS': 'administrador_secundario'
-    };
-
-    const actualRoleName = panelToRoleMapping[currentRole] || currentRole;
+    // Panel codes (PCC, PPF...) map to database role names
+    const actualRoleName = normalizeRole(currentRole);
     console.log('🎭 Unloading block with role:', currentRole, '-> Database role:', actualRoleName);
 
     // Get user's specific user_role record for the current active role
@@ -1037,17 +1016,8 @@ router.post('/', authenticateToken, async (req, res) => {
         return res.status(400).json({ error: 'Current role header is required' });
       }
 
-      // Map panel codes from frontend to database role names
-      const panelToRoleMapping = {
-        'PCC': 'creador',
-        'PPF': 'profesor',
-        'PJG': 'jugador',
-        'PAP': 'administrador_principal',
-        'PAS': 'administrador_secundario'
-      };
-      
-      // Convert panel code to database role name if needed
-      const actualRoleName = panelToRoleMapping[currentRole] || currentRole;
+      // Panel codes (PCC, PPF...) map to database role names
+      const actualRoleName = normalizeRole(currentRole);
       console.log('🎭 Role from header:', currentRole, '-> Database role:', actualRoleName);
 
       const userRoleResult = await pool.query(`
@@ -1155,25 +1125,11 @@ router.post('/', authenticateToken, async (req, res) => {
 });
 
 // Update block
-router.put('/:id', authenticateToken, async (req, res) => {
+router.put('/:id', authenticateToken, requireBlockOwner(), async (req, res) => {
   try {
     const blockId = req.params.id;
     const { name, description, observaciones, isPublic } = req.body;
 
-    // Check if user owns the block
-    const ownerCheck = await pool.query(
-      'SELECT ur.user_id as creator_id FROM blocks b LEFT JOIN user_roles ur ON b.user_role_id = ur.id WHERE b.id = $1',
-      [blockId]
-    );
-
-    if (ownerCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'Block not found' });
-    }
-
-    if (ownerCheck.rows[0].creator_id !== req.user.id) {
-      return res.status(403).json({ error: 'Not authorized to modify this block' });
-    }
-
     const result = await pool.query(
       'UPDATE blocks SET name = $1, description = $2, observaciones = $3, is_public = $4, updated_at = CURRENT_TIMESTAMP WHERE id = $5 RETURNING *',
       [name, description, observaciones, isPublic, blockId]
@@ -1195,19 +1151,6 @@ router.get('/:id/history', authenticateToken, async (req, res) => {
     const blockId = parseInt(req.params.id);
     console.log('📊 Getting block history for block:', blockId, 'user:', req.user.id);
 
-    // Get user's answer history for this block
-    const userResult = await pool.query(
-      'SELECT answer_history FROM user_profiles WHERE user_id = $1',
-      [req.user.id]
-    );
-
-    const answerHistory = userResult.rows[0]?.answer_history || [];
-    console.log('📊 Total answer history entries:', answerHistory.length);
-
-    // Filter answers for this specific block and get last 20 results per question
-    const blockHistory = answerHistory.filter(entry => entry.blockId === blockId);
-    console.log('📊 Block-specific history entries:', blockHistory.length);
-
     // Group by question and get last 20 results for each
     const questionHistory = {};
     
@@ -1231,33 +1174,23 @@ router.get('/:id/history', authenticateToken, async (req, res) => {
       };
     });
 
-    // Fill with actual results (last 20 per question)
-    const sortedHistory = blockHistory.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp)); // Oldest first
-    
-    sortedHistory.forEach(entry => {
-      if (questionHistory[entry.questionId]) {
-        const question = questionHistory[entry.questionId];
-        // Find the first null position and replace it
-        const firstNullIndex = question.results.findIndex(r => r === null);
-        if (firstNullIndex !== -1) {
-          // Convert database format to frontend format: A (green), F (red), B (blue)
-          let resultChar = 'B'; // Default to blank (blue)
-          if (entry.result === 'ACIERTO') resultChar = 'A';
-          else if (entry.result === 'FALLO') resultChar = 'F';
-          else if (entry.result === 'BLANCO' || entry.result === 'BLANK') resultChar = 'B';
-          
-          question.results[firstNullIndex] = resultChar;
-        } else {
-          // If array is full, shift left and add new result at the end
-          question.results.shift();
-          let resultChar = 'B'; // Default to blank (blue)
-          if (entry.result === 'ACIERTO') resultChar = 'A';
-          else if (entry.result === 'FALLO') resultChar = 'F';
-          else if (entry.result === 'BLANCO' || entry.result === 'BLANK') resultChar = 'B';
-          question.results.push(resultChar);
-        }
-      }
-    });
+    // Last 20 answers per question from answer_events (indexed by user and block)
+    const attemptsByQuestion = await answerEvents.getRecentAttemptsByQuestion(req.user.id, blockId, 20);
+    console.log('📊 Questions with history:', Object.keys(attemptsByQuestion).length);
+
+    for (const [questionId, attempts] of Object.entries(attemptsByQuestion)) {
+      const question = questionHistory[questionId];
+      if (!question) continue;
+
+      // Oldest first, so the most recent result ends up last
+      attempts.slice().reverse().forEach((entry, index) => {
+        // Convert database format to frontend format: A (green), F (red), B (blue)
+        let resultChar = 'B'; // Default to blank (blue)
+        if (entry.result === 'ACIERTO') resultChar = 'A';
+        else if (entry.result === 'FALLO') resultChar = 'F';
+        question.results[index] = resultChar;
+      });
+    }
 
     // Convert to array format
     const historyArray = Object.values(questionHistory).sort((a, b) => a.numero - b.numero);
@@ -1276,24 +1209,10 @@ router.get('/:id/history', authenticateToken, async (req, res) => {
 });
 
 // Delete block
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id', authenticateToken, requireBlockOwner({ message: 'Not authorized to delete this block' }), async (req, res) => {
   try {
     const blockId = req.params.id;
 
-    // Check if user owns the block
-    const ownerCheck = await pool.query(
-      'SELECT ur.user_id as creator_id FROM blocks b LEFT JOIN user_roles ur ON b.user_role_id = ur.id WHERE b.id = $1',
-      [blockId]
-    );
-
-    if (ownerCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'Block not found' });
-    }
-
-    if (ownerCheck.rows[0].creator_id !== req.user.id) {
-      return res.status(403).json({ error: 'Not authorized to delete this block' });
-    }
-
     await pool.query('DELETE FROM blocks WHERE id = $1', [blockId]);
 
     res.json({ message: 'Block deleted successfully' });
@@ -1488,23 +1407,9 @@ router.post('/create-expanded', authenticateToken, async (req, res) => {
 });
 
 // Validate block for publication
-router.post('/:id/validate', authenticateToken, async (req, res) => {
+router.post('/:id/validate', authenticateToken, requireBlockOwner({ message: 'No autorizado para validar este bloque' }), async (req, res) => {
   try {
     const blockId = parseInt(req.params.id);
-    
-    // Check if user owns the block
-    const ownerCheck = await pool.query(
-      'SELECT ur.user_id as creator_id FROM blocks b LEFT JOIN user_roles ur ON b.user_role_id = ur.id WHERE b.id = $1',
-      [blockId]
-    );
-
-    if (ownerCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'Bloque no encontrado' });
-    }
-
-    if (ownerCheck.rows[0].creator_id !== req.user.id) {
-      return res.status(403).json({ error: 'No autorizado para validar este bloque' });
-    }
 
     // Use the validation function
     const validationResult = await pool.query(
@@ -1527,7 +1432,7 @@ router.post('/:id/validate', authenticateToken, async (req, res) => {
 });
 
 // Update block state (private/public/restricted/archived)
-router.patch('/:id/state', authenticateToken, async (req, res) => {
+router.patch('/:id/state', authenticateToken, requireBlockOwner({ message: 'No autorizado para modificar este bloque' }), async (req, res) => {
   try {
     const blockId = parseInt(req.params.id);
     const { state, reason } = req.body;
@@ -1536,20 +1441,6 @@ router.patch('/:id/state', authenticateToken, async (req, res) => {
     if (!validStates.includes(state)) {
       return res.status(400).json({ error: 'Estado inválido' });
     }
-    
-    // Check if user owns the block
-    const ownerCheck = await pool.query(
-      'SELECT ur.user_id as creator_id FROM blocks b LEFT JOIN user_roles ur ON b.user_role_id = ur.id WHERE b.id = $1',
-      [blockId]
-    );
-
-    if (ownerCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'Bloque no encontrado' });
-    }
-
-    if (ownerCheck.rows[0].creator_id !== req.user.id) {
-      return res.status(403).json({ error: 'No autorizado para modificar este bloque' });
-    }
 
     // If changing to public, validate first
     if (state === 'public') {
@@ -1735,6 +1626,92 @@ router.get('/:id/complete', authenticateToken, async (req, res) => {
   }
 });
 
+// Export a block's questions for LMS import (GIFT, Moodle XML, QTI 2.1) or backup (CSV, JSON)
+router.get('/:id/export', authenticateToken, async (req, res) => {
+  try {
+    const blockId = parseInt(req.params.id);
+    const format = (req.query.format || 'json').toLowerCase();
+
+    if (!BlockExporter.FORMATS[format]) {
+      return res.status(400).json({
+        error: 'Formato no soportado',
+        supportedFormats: Object.keys(BlockExporter.FORMATS)
+      });
+    }
+
+    const blockResult = await pool.query(`
+      SELECT b.id, b.name, b.description, b.observaciones, b.block_state, b.is_public,
+        ur.user_id as creator_id
+      FROM blocks b
+      LEFT JOIN user_roles ur ON b.user_role_id = ur.id
+      WHERE b.id = $1
+    `, [blockId]);
+
+    if (blockResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Bloque no encontrado' });
+    }
+
+    const block = blockResult.rows[0];
+
+    // Same visibility rule as /:id/complete: only the creator can export non-public blocks
+    const isPublic = block.block_state ? block.block_state === 'public' : block.is_public;
+    if (!isPublic && block.creator_id !== req.user.id) {
+      return res.status(403).json({ error: 'No tienes acceso a este bloque' });
+    }
+
+    const questionsResult = await pool.query(`
+      SELECT q.id, q.text_question, q.topic, q.difficulty, q.explanation, q.question_type, q.type_config,
+        json_agg(
+          json_build_object(
+            'id', a.id,
+            'answerText', a.answer_text,
+            'isCorrect', a.is_correct,
+            'order', a.answer_order,
+            'match', a.match_text
+          ) ORDER BY a.id
+        ) FILTER (WHERE a.id IS NOT NULL) as answers
+      FROM questions q
+      LEFT JOIN answers a ON q.id = a.question_id
+      WHERE q.block_id = $1
+      GROUP BY q.id
+      ORDER BY q.topic, q.created_at, q.id
+    `, [blockId]);
+
+    const questions = questionsResult.rows.map(q => ({
+      id: q.id,
+      text: q.text_question,
+      topic: q.topic,
+      difficulty: q.difficulty,
+      explanation: q.explanation,
+      type: q.question_type || 'single_choice',
+      config: q.type_config || {},
+      answers: (q.answers || []).map(a => ({
+        id: a.id,
+        text: a.answerText,
+        isCorrect: a.isCorrect,
+        order: a.order,
+        match: a.match
+      }))
+    }));
+
+    const exporter = new BlockExporter(block, questions);
+    const body = exporter.export(format);
+
+    console.log(`📦 Exported block ${blockId} as ${format}: ${questions.length} questions`);
+    res.setHeader('Content-Type', BlockExporter.FORMATS[format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${exporter.filename(format)}"`);
+    if (exporter.skipped.length > 0) {
+      // Question types the chosen format cannot represent (e.g. ordering in GIFT)
+      res.setHeader('X-Export-Skipped-Questions', exporter.skipped.map(q => q.id).join(','));
+    }
+    res.send(body);
+
+  } catch (error) {
+    console.error('Error exporting block:', error);
+    res.status(500).json({ error: 'Error al exportar el bloque', details: error.message });
+  }
+});
+
 // Get created blocks with statistics for Bloques Creados section
 router.get('/created-stats', authenticateToken, async (req, res) => {
   try {
@@ -1748,17 +1725,8 @@ router.get('/created-stats', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Current role header is required' });
     }
 
-    // Map panel codes from frontend to database role names
-    const panelToRoleMapping = {
-      'PCC': 'creador',
-      'PPF': 'profesor',
-      'PJG': 'jugador',
-      'PAP': 'administrador_principal',
-      'PAS': 'administrador_secundario'
-    };
-
-    // Convert panel code to database role name if needed
-    const actualRoleName = panelToRoleMapping[currentRole] || currentRole;
+    // Panel codes (PCC, PPF...) map to database role names
+    const actualRoleName = normalizeRole(currentRole);
     console.log('🎭 Role from header:', currentRole, '-> Database role:', actualRoleName);
 
     // Get user's specific user_role record for the current active role
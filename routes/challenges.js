@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { pool } = require('../database/connection');
 const { authenticateToken } = require('../middleware/auth');
+const NotificationDispatcher = require('../notification-dispatcher');
 
 // ==================== GAME CHALLENGES (Player vs Player) ====================
 
@@ -500,16 +501,23 @@ router.post('/:challengeId/cancel', authenticateToken, async (req, res) => {
                 ]);
             }
 
-            // Notificar a participantes
-            await client.query(`
-                INSERT INTO challenge_notifications (user_id, challenge_id, notification_type, title, message)
-                SELECT cp.user_id, $1, 'challenge_cancelled', 'Reto Cancelado', $2
-                FROM challenge_participants cp
+            // Participantes a notificar (tras el COMMIT)
+            const participants = await client.query(`
+                SELECT cp.user_id FROM challenge_participants cp
                 WHERE cp.challenge_id = $1 AND cp.status = 'active'
-            `, [challengeId, `El reto ha sido cancelado. Razón: ${reason}`]);
+            `, [challengeId]);
 
             await client.query('COMMIT');
 
+            NotificationDispatcher.shared().dispatchToUsers(participants.rows.map(row => row.user_id), {
+                source: 'challenges',
+                type: 'challenge_cancelled',
+                title: 'Reto Cancelado',
+                message: `El reto ha sido cancelado. Razón: ${reason}`,
+                challengeId: parseInt(challengeId),
+                priority: 'high'
+            });
+
             res.json({
                 success: true,
                 message: 'Reto cancelado exitosamente',
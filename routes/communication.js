@@ -4,6 +4,7 @@ const path = require('path');
 const fs = require('fs').promises;
 const { pool } = require('../database/connection');
 const { authenticateToken } = require('../middleware/auth');
+const NotificationDispatcher = require('../notification-dispatcher');
 
 const router = express.Router();
 
@@ -174,21 +175,24 @@ router.post('/tickets', authenticateToken, upload.array('attachments'), async (r
         VALUES ($1, $2, 'assigned')
       `, [ticket.id, ticketInfo.rows[0].assigned_to]);
 
-      // Crear notificación para el asignado
-      await client.query(`
-        INSERT INTO notifications (user_id, ticket_id, type, title, message, action_url)
-        VALUES ($1, $2, 'new_ticket', $3, $4, $5)
-      `, [
-        ticketInfo.rows[0].assigned_to,
-        ticket.id,
-        `Nuevo ticket: ${title}`,
-        `Se te ha asignado un nuevo ticket de soporte.`,
-        `/ticket/${ticket.id}`
-      ]);
     }
 
     await client.query('COMMIT');
 
+    // Notificar al asignado una vez confirmado el ticket
+    if (ticketInfo.rows[0].assigned_to && ticketInfo.rows[0].assigned_to !== req.user.id) {
+      NotificationDispatcher.shared().dispatch({
+        userId: ticketInfo.rows[0].assigned_to,
+        source: 'support',
+        type: 'new_ticket',
+        title: `Nuevo ticket: ${title}`,
+        message: 'Se te ha asignado un nuevo ticket de soporte.',
+        ticketId: ticket.id,
+        actionUrl: `/ticket/${ticket.id}`,
+        priority: 'high'
+      }).catch(error => console.error('Error notificando nuevo ticket:', error));
+    }
+
     res.status(201).json({
       message: 'Ticket creado exitosamente',
       ticket: {
@@ -444,7 +448,7 @@ router.post('/tickets/:ticketId/messages', authenticateToken, upload.array('atta
       WHERE id = $1
     `, [ticketId]);
 
-    // Crear notificaciones para otros participantes
+    // Participantes a notificar (tras el COMMIT)
     const participantsResult = await client.query(`
       SELECT DISTINCT user_id
       FROM ticket_participants tp
@@ -457,21 +461,20 @@ router.post('/tickets/:ticketId/messages', authenticateToken, upload.array('atta
       SELECT ticket_number, title FROM tickets WHERE id = $1
     `, [ticketId]);
 
-    for (const participant of participantsResult.rows) {
-      await client.query(`
-        INSERT INTO notifications (user_id, ticket_id, type, title, message, action_url)
-        VALUES ($1, $2, 'new_message', $3, $4, $5)
-      `, [
-        participant.user_id,
-        ticketId,
-        `Nuevo mensaje en ${ticketInfo.rows[0].ticket_number}`,
-        `${ticketInfo.rows[0].title}`,
-        `/ticket/${ticketId}`
-      ]);
-    }
-
     await client.query('COMMIT');
 
+    NotificationDispatcher.shared().dispatchToUsers(
+      participantsResult.rows.map(participant => participant.user_id),
+      {
+        source: 'support',
+        type: 'new_message',
+        title: `Nuevo mensaje en ${ticketInfo.rows[0].ticket_number}`,
+        message: `${ticketInfo.rows[0].title}`,
+        ticketId: parseInt(ticketId),
+        actionUrl: `/ticket/${ticketId}`
+      }
+    ).catch(error => console.error('Error notificando nuevo mensaje:', error));
+
     // Obtener información completa del mensaje para respuesta
     const messageInfo = await pool.query(`
       SELECT 
@@ -680,10 +683,21 @@ router.get('/escalation/status', authenticateToken, async (req, res) => {
       return res.status(403).json({ error: 'Solo los administradores pueden ver el estado del escalado' });
     }
 
-    // El escalationScheduler está disponible globalmente en el servidor
-    const status = global.escalationScheduler ? global.escalationScheduler.getStatus() : { isRunning: false };
-    
-    res.json(status);
+    // El escalado es el trabajo support.escalate_tickets de la cola (global.jobQueue)
+    if (!global.jobQueue) {
+      return res.json({ isRunning: false });
+    }
+
+    const jobs = await global.jobQueue.listJobs();
+    const escalation = jobs.find(job => job.name === 'support.escalate_tickets');
+
+    res.json({
+      isRunning: global.jobQueue.isRunning && !!escalation && !escalation.paused,
+      schedule: escalation ? `${escalation.cron_expression} (every hour)` : null,
+      timezone: escalation ? escalation.timezone : null,
+      nextRun: escalation ? escalation.next_run : null,
+      lastRun: escalation ? escalation.last_run : null
+    });
   } catch (error) {
     console.error('Error obteniendo estado del escalado:', error);
     res.status(500).json({ error: 'Error interno del servidor' });
@@ -703,8 +717,9 @@ router.post('/escalation/manual', authenticateToken, async (req, res) => {
       return res.status(403).json({ error: 'Solo los administradores pueden ejecutar escalado manual' });
     }
 
-    if (global.escalationScheduler) {
-      const count = await global.escalationScheduler.runNow();
+    if (global.jobQueue) {
+      const { result } = await global.jobQueue.runNow('support.escalate_tickets', { triggeredBy: req.user.id });
+      const count = result.escalated;
       res.json({
         message: `Escalado manual completado - ${count} tickets escalados`,
         escalatedCount: count
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const pool = require('../database/connection');
 const { authenticateToken } = require('../middleware/auth');
+const { requireRole, ROLE_GROUPS } = require('../middleware/policy');
 
 // ==========================================
 // API ENDPOINTS - PANEL DE CREADORES
@@ -9,27 +10,7 @@ const { authenticateToken } = require('../middleware/auth');
 // ==========================================
 
 // Middleware para verificar que el usuario es creador
-const requireCreatorRole = async (req, res, next) => {
-    try {
-        // Verificar que el usuario tiene bloques públicos (es creador)
-        const creatorCheck = await pool.query(
-            'SELECT COUNT(*) as block_count FROM blocks WHERE creator_id = $1 AND is_public = true',
-            [req.user.id]
-        );
-        
-        if (creatorCheck.rows[0].block_count === 0) {
-            return res.status(403).json({ 
-                error: 'Acceso denegado: se requiere ser creador de contenido'
-            });
-        }
-        
-        req.user.isCreator = true;
-        next();
-    } catch (error) {
-        console.error('Error verificando rol de creador:', error);
-        res.status(500).json({ error: 'Error interno del servidor' });
-    }
-};
+const requireCreatorRole = requireRole(ROLE_GROUPS.CREATOR);
 
 // ==========================================
 // PESTAÑA 1 - ANALYTICS DE MERCADO
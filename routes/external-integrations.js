@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const pool = require('../database/connection');
 const { authenticateToken } = require('../middleware/auth');
+const { requireRole, ROLE_GROUPS } = require('../middleware/policy');
 
 // ==========================================
 // INTEGRACIÓN CON SISTEMAS EDUCATIVOS EXTERNOS
@@ -9,26 +10,7 @@ const { authenticateToken } = require('../middleware/auth');
 // ==========================================
 
 // Middleware para verificar permisos de administrador
-const requireAdminRole = async (req, res, next) => {
-    try {
-        const adminCheck = await pool.query(`
-            SELECT ur.id FROM user_roles ur
-            JOIN roles r ON ur.role_id = r.id
-            WHERE ur.user_id = $1 AND r.name IN ('administrador_principal', 'administrador_secundario')
-        `, [req.user.id]);
-        
-        if (adminCheck.rows.length === 0) {
-            return res.status(403).json({ 
-                error: 'Acceso denegado: se requiere rol de administrador'
-            });
-        }
-        
-        next();
-    } catch (error) {
-        console.error('Error verificando rol de administrador:', error);
-        res.status(500).json({ error: 'Error interno del servidor' });
-    }
-};
+const requireAdminRole = requireRole(ROLE_GROUPS.ADMIN);
 
 // ==========================================
 // CONFIGURACIÓN DE INTEGRACIONES
@@ -451,6 +433,7 @@ async function simulateStudentSync(config, forceSync) {
     };
 }
 
+// Sigue simulado: las notas de las asignaciones llegan al LMS por LTI (lti.js, trabajo lti.score_passback)
 async function simulateGradeSync(config, grades) {
     // Simular envío de calificaciones al sistema externo
     let processed = 0;
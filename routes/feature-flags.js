@@ -1,6 +1,9 @@
 const express = require('express');
 const pool = require('../database/connection');
 const { authenticateToken } = require('../middleware/auth');
+const { requireRole, ROLE_GROUPS } = require('../middleware/policy');
+const { featureFlags } = require('../middleware/feature-gate');
+const FeatureFlags = require('../feature-flags');
 
 const router = express.Router();
 
@@ -57,6 +60,8 @@ router.get('/:flagName', authenticateToken, async (req, res) => {
             enabled: flag.is_enabled,
             description: flag.description,
             config: flag.config,
+            // Whether the flag applies to the requesting user (targeting by percentage, role and user)
+            active: await featureFlags.isEnabled(flagName, req.user),
             created_at: flag.created_at,
             updated_at: flag.updated_at
         });
@@ -68,30 +73,15 @@ router.get('/:flagName', authenticateToken, async (req, res) => {
 });
 
 // Update feature flag
-router.put('/:flagName', authenticateToken, async (req, res) => {
+router.put('/:flagName', authenticateToken, requireRole(ROLE_GROUPS.ADMIN), async (req, res) => {
     try {
         const { flagName } = req.params;
-        const { enabled, description, config } = req.body;
-        
-        // Check if user has admin role
-        const userRoles = await pool.query(`
-            SELECT ur.role_name 
-            FROM unified_roles ur 
-            JOIN user_roles uroles ON ur.id = uroles.role_id 
-            WHERE uroles.user_id = $1
-        `, [req.user.id]);
-        
-        const hasAdminRole = userRoles.rows.some(role => 
-            ['administrador_principal', 'administrador_secundario'].includes(role.role_name)
-        );
-        
-        if (!hasAdminRole) {
-            return res.status(403).json({ error: 'Insufficient permissions' });
-        }
+        const { enabled, description } = req.body;
+        const config = FeatureFlags.normalizeConfig(req.body.config);
         
         const result = await pool.query(`
             UPDATE feature_flags 
-            SET is_enabled = $1, 
+            SET is_enabled = COALESCE($1, is_enabled), 
                 description = COALESCE($2, description),
                 config = COALESCE($3, config),
                 updated_at = CURRENT_TIMESTAMP
@@ -105,7 +95,8 @@ router.put('/:flagName', authenticateToken, async (req, res) => {
                 INSERT INTO feature_flags (flag_name, is_enabled, description, config)
                 VALUES ($1, $2, $3, $4)
                 RETURNING *
-            `, [flagName, enabled, description, config || {}]);
+            `, [flagName, Boolean(enabled), description, config || {}]);
+            featureFlags.invalidate(flagName);
             
             return res.json({
                 success: true,
@@ -114,6 +105,8 @@ router.put('/:flagName', authenticateToken, async (req, res) => {
             });
         }
         
+        featureFlags.invalidate(flagName);
+        
         res.json({
             success: true,
             flag: result.rows[0],
@@ -121,41 +114,31 @@ router.put('/:flagName', authenticateToken, async (req, res) => {
         });
         
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
         console.error('Error updating feature flag:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
 // Create new feature flag
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', authenticateToken, requireRole(ROLE_GROUPS.ADMIN), async (req, res) => {
     try {
-        const { flag_name, enabled = false, description, config = {} } = req.body;
+        const { flag_name, enabled = false, description } = req.body;
         
         if (!flag_name) {
             return res.status(400).json({ error: 'flag_name is required' });
         }
         
-        // Check if user has admin role
-        const userRoles = await pool.query(`
-            SELECT ur.role_name 
-            FROM unified_roles ur 
-            JOIN user_roles uroles ON ur.id = uroles.role_id 
-            WHERE uroles.user_id = $1
-        `, [req.user.id]);
-        
-        const hasAdminRole = userRoles.rows.some(role => 
-            ['administrador_principal', 'administrador_secundario'].includes(role.role_name)
-        );
-        
-        if (!hasAdminRole) {
-            return res.status(403).json({ error: 'Insufficient permissions' });
-        }
+        const config = FeatureFlags.normalizeConfig(req.body.config) || {};
         
         const result = await pool.query(`
             INSERT INTO feature_flags (flag_name, is_enabled, description, config)
             VALUES ($1, $2, $3, $4)
             RETURNING *
         `, [flag_name, enabled, description, config]);
+        featureFlags.invalidate(flag_name);
         
         res.status(201).json({
             success: true,
@@ -163,6 +146,9 @@ router.post('/', authenticateToken, async (req, res) => {
         });
         
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
         if (error.code === '23505') { // Unique constraint violation
             return res.status(409).json({ error: 'Feature flag already exists' });
         }
@@ -172,26 +158,10 @@ router.post('/', authenticateToken, async (req, res) => {
 });
 
 // Delete feature flag
-router.delete('/:flagName', authenticateToken, async (req, res) => {
+router.delete('/:flagName', authenticateToken, requireRole('administrador_principal'), async (req, res) => {
     try {
         const { flagName } = req.params;
         
-        // Check if user has admin role
-        const userRoles = await pool.query(`
-            SELECT ur.role_name 
-            FROM unified_roles ur 
-            JOIN user_roles uroles ON ur.id = uroles.role_id 
-            WHERE uroles.user_id = $1
-        `, [req.user.id]);
-        
-        const hasAdminRole = userRoles.rows.some(role => 
-            role.role_name === 'administrador_principal'
-        );
-        
-        if (!hasAdminRole) {
-            return res.status(403).json({ error: 'Only principal administrators can delete feature flags' });
-        }
-        
         const result = await pool.query(`
             DELETE FROM feature_flags 
             WHERE flag_name = $1
@@ -201,6 +171,7 @@ router.delete('/:flagName', authenticateToken, async (req, res) => {
         if (result.rows.length === 0) {
             return res.status(404).json({ error: 'Feature flag not found' });
         }
+        featureFlags.invalidate(flagName);
         
         res.json({
             success: true,
@@ -0,0 +1,113 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const GameSessionManager = require('../game-sessions');
+
+// Inicializar sistema
+const sessionManager = GameSessionManager.shared();
+
+// ==================== SESIONES DE JUEGO ====================
+
+// Iniciar (o reanudar) la sesión del usuario para una partida
+router.post('/', authenticateToken, async (req, res) => {
+    try {
+        const gameId = parseInt(req.body.gameId);
+
+        if (isNaN(gameId)) {
+            return res.status(400).json({ error: 'gameId es requerido' });
+        }
+
+        // Las preguntas (y cuántas) las decide la configuración de la partida
+        const session = await sessionManager.startSession(gameId, req.user.id);
+
+        res.status(201).json(session);
+
+    } catch (error) {
+        console.error('Error starting game session:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Error iniciando sesión de juego',
+            details: error.message
+        });
+    }
+});
+
+// Obtener estado de una sesión
+router.get('/:sessionId', authenticateToken, async (req, res) => {
+    try {
+        const sessionId = parseInt(req.params.sessionId);
+        if (isNaN(sessionId)) {
+            return res.status(400).json({ error: 'sessionId debe ser numérico' });
+        }
+
+        const session = await sessionManager.getSessionState(sessionId, req.user.id);
+
+        res.json(session);
+
+    } catch (error) {
+        console.error('Error getting game session:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Error obteniendo sesión de juego',
+            details: error.message
+        });
+    }
+});
+
+// Enviar la respuesta a una pregunta: answerId para preguntas de opción única o
+// response con el formato de su tipo (answerIds, value, text, pairs); vacía = en blanco
+router.post('/:sessionId/answers', authenticateToken, async (req, res) => {
+    try {
+        const sessionId = parseInt(req.params.sessionId);
+        const questionId = parseInt(req.body.questionId);
+        const answerId = req.body.answerId === null || req.body.answerId === undefined
+            ? null
+            : parseInt(req.body.answerId);
+
+        if (isNaN(sessionId)) {
+            return res.status(400).json({ error: 'sessionId debe ser numérico' });
+        }
+        if (isNaN(questionId) || Number.isNaN(answerId)) {
+            return res.status(400).json({ error: 'questionId y answerId deben ser numéricos' });
+        }
+
+        const response = req.body.response !== undefined && req.body.response !== null
+            ? req.body.response
+            : answerId;
+
+        const judgement = await sessionManager.submitAnswer(sessionId, req.user.id, questionId, response);
+
+        res.json(judgement);
+
+    } catch (error) {
+        console.error('Error submitting answer:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Error registrando respuesta',
+            details: error.message
+        });
+    }
+});
+
+// Finalizar la sesión: la puntuación se calcula en el servidor
+router.post('/:sessionId/finish', authenticateToken, async (req, res) => {
+    try {
+        const sessionId = parseInt(req.params.sessionId);
+        if (isNaN(sessionId)) {
+            return res.status(400).json({ error: 'sessionId debe ser numérico' });
+        }
+
+        const scoreData = await sessionManager.finishSession(sessionId, req.user.id);
+
+        res.json({
+            message: 'Sesión finalizada',
+            scoreData
+        });
+
+    } catch (error) {
+        console.error('Error finishing game session:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Error finalizando sesión de juego',
+            details: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -21,6 +21,11 @@ router.post('/', authenticateToken, async (req, res) => {
                 error: 'game_type and current_state are required' 
             });
         }
+
+        // match_<gameId> states belong to the live match server (duel-engine.js), which reloads them
+        if (typeof session_id === 'string' && session_id.startsWith('match_')) {
+            return res.status(400).json({ error: 'session_id prefix match_ is reserved for live matches' });
+        }
         
         const result = await pool.query(`
             INSERT INTO persistent_game_states (
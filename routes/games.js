@@ -1,8 +1,13 @@
 const express = require('express');
 const { pool } = require('../database/connection');
 const { authenticateToken } = require('../middleware/auth');
+const GameSessionManager = require('../game-sessions');
+const LeaderboardService = require('../leaderboards');
+const DuelMatchEngine = require('../duel-engine');
 
 const router = express.Router();
+const sessionManager = GameSessionManager.shared();
+const leaderboards = LeaderboardService.shared();
 
 // Get games for user
 router.get('/', authenticateToken, async (req, res) => {
@@ -135,42 +140,8 @@ router.post('/configurations', authenticateToken, async (req, res) => {
       configId: result.rows[0]?.id 
     });
   } catch (error) {
-    // If table doesn't exist, create it
-    if (error.code === '42P01') {
-      try {
-        await pool.query(`
-          CREATE TABLE IF NOT EXISTS user_game_configurations (
-            id SERIAL PRIMARY KEY,
-            user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-            game_type VARCHAR(50) NOT NULL,
-            config JSONB NOT NULL,
-            metadata JSONB,
-            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-            last_used TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-            use_count INTEGER DEFAULT 1,
-            UNIQUE(user_id, game_type, config)
-          )
-        `);
-        
-        // Retry the insert
-        const result = await pool.query(`
-          INSERT INTO user_game_configurations (user_id, game_type, config, metadata, created_at)
-          VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
-          RETURNING id
-        `, [req.user.id, gameType, JSON.stringify(config), JSON.stringify(configurationMetadata)]);
-        
-        res.status(201).json({ 
-          message: 'Game configuration saved successfully (table created)',
-          configId: result.rows[0]?.id 
-        });
-      } catch (createError) {
-        console.error('Error creating configurations table:', createError);
-        res.status(500).json({ error: 'Failed to save configuration' });
-      }
-    } else {
-      console.error('Error saving game configuration:', error);
-      res.status(500).json({ error: 'Failed to save configuration' });
-    }
+    console.error('Error saving game configuration:', error);
+    res.status(500).json({ error: 'Failed to save configuration' });
   }
 });
 
@@ -598,22 +569,46 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 router.post('/:id/scores', authenticateToken, async (req, res) => {
   try {
     const gameId = req.params.id;
-    const { scoreData, gameType } = req.body;
+    const { scoreData } = req.body;
 
     // Check if user is part of the game
-    const playerCheck = await pool.query(
-      'SELECT user_id FROM game_players WHERE game_id = $1 AND user_id = $2',
-      [gameId, req.user.id]
-    );
+    const playerCheck = await pool.query(`
+      SELECT g.game_type FROM games g
+      JOIN game_players gp ON g.id = gp.game_id
+      WHERE g.id = $1 AND gp.user_id = $2
+    `, [gameId, req.user.id]);
 
     if (playerCheck.rows.length === 0) {
       return res.status(403).json({ error: 'Not authorized to save score for this game' });
     }
 
-    // Save the score
+    const gameType = playerCheck.rows[0].game_type;
+
+    // Games played through a server session are scored by the server; client scoreData is ignored
+    const session = await sessionManager.findSession(gameId, req.user.id);
+    if (session) {
+      const serverScoreData = await sessionManager.finishSession(session.id, req.user.id);
+      console.log(`🛡️ Ignoring client score for game ${gameId}, using server session ${session.id}`);
+      return res.status(201).json({
+        message: 'Score saved and game completed successfully',
+        scoreData: serverScoreData
+      });
+    }
+
+    // Modes scored by the server never accept a client score
+    if (GameSessionManager.GAME_TYPES.includes(gameType)) {
+      return res.status(409).json({
+        error: 'This game mode is scored by the server: start a session with POST /api/game-sessions and finish it'
+      });
+    }
+    if (DuelMatchEngine.MODES.includes(gameType)) {
+      return res.status(409).json({ error: 'Live matches are scored by the match server' });
+    }
+
+    // Other (legacy) modes: the client score is kept in the game history but never reaches the leaderboards
     await pool.query(
-      'INSERT INTO game_scores (game_id, game_type, score_data) VALUES ($1, $2, $3)',
-      [gameId, gameType, scoreData]
+      'INSERT INTO game_scores (game_id, game_type, score_data, user_id) VALUES ($1, $2, $3, $4)',
+      [gameId, gameType, scoreData, req.user.id]
     );
 
     // Mark game as completed
@@ -642,7 +637,8 @@ function getGameModeDisplay(gameType) {
     'exam': 'Examen Simulado',
     'duel': 'Duelo',
     'marathon': 'Maratón',
-    'trivial': 'Trivial'
+    'trivial': 'Trivial',
+    'adaptive': 'Práctica Adaptativa'
   };
   return typeToMode[gameType] || gameType;
 }
@@ -973,8 +969,8 @@ router.get('/history/:userId', authenticateToken, async (req, res) => {
       const scoreData = row.score_data || {};
       const config = row.config || {};
 
-      // Handle duel games differently
-      if (row.game_type === 'duel') {
+      // Handle duel games (and live trivial matches, which share the duel score format) differently
+      if (row.game_type === 'duel' || Array.isArray(scoreData.players)) {
         // Determine which player is the current user (player_index 0 = p1, 1 = p2)
         const isPlayer1 = row.player_index === 0;
         const playerScore = isPlayer1 ? (scoreData.scores?.p1 || 0) : (scoreData.scores?.p2 || 0);
@@ -986,8 +982,10 @@ router.get('/history/:userId', authenticateToken, async (req, res) => {
         // Calculate result from player's perspective
         const totalQuestions = rounds * 2; // Each round has 2 questions (one per player)
         const playerAnsweredRounds = Math.min(rounds, playerScore); // Approx questions they answered correctly
-        const incorrect = Math.max(0, rounds - playerScore); // Questions they got wrong
-        const blank = 0; // Duels don't have blanks tracked separately
+        // Live matches (duel-engine.js) store exact per-player counts
+        const livePlayer = (scoreData.players || []).find(p => p.playerIndex === row.player_index);
+        const incorrect = livePlayer ? livePlayer.incorrect : Math.max(0, rounds - playerScore); // Questions they got wrong
+        const blank = livePlayer ? livePlayer.blank : 0; // Duels don't have blanks tracked separately
 
         return {
           gameId: row.game_id,
@@ -997,7 +995,9 @@ router.get('/history/:userId', authenticateToken, async (req, res) => {
           incorrect: incorrect,
           blank: blank,
           total: rounds,
-          score: playerScore > opponentScore ? 10 : (playerScore === opponentScore ? 5 : 0),
+          score: livePlayer
+            ? (scoreData.draw ? 5 : (scoreData.winnerId === livePlayer.userId ? 10 : 0))
+            : (playerScore > opponentScore ? 10 : (playerScore === opponentScore ? 5 : 0)),
           opponent: opponentName || null,
           date: row.created_at
         };
@@ -1046,19 +1046,6 @@ router.post('/configurations', authenticateToken, async (req, res) => {
     const { gameType, config, configurationMetadata } = req.body;
     const userId = req.user.userId;
 
-    // Auto-create table if it doesn't exist
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS game_configurations (
-        id SERIAL PRIMARY KEY,
-        user_id INTEGER NOT NULL,
-        game_type VARCHAR(50) NOT NULL,
-        config JSONB NOT NULL,
-        configuration_metadata JSONB,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-      )
-    `);
-
     const result = await pool.query(
       'INSERT INTO game_configurations (user_id, game_type, config, configuration_metadata) VALUES ($1, $2, $3, $4) RETURNING *',
       [userId, gameType, config, configurationMetadata]
@@ -1077,19 +1064,6 @@ router.get('/configurations', authenticateToken, async (req, res) => {
   try {
     const userId = req.user.userId;
 
-    // Auto-create table if it doesn't exist
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS game_configurations (
-        id SERIAL PRIMARY KEY,
-        user_id INTEGER NOT NULL,
-        game_type VARCHAR(50) NOT NULL,
-        config JSONB NOT NULL,
-        configuration_metadata JSONB,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-      )
-    `);
-
     const result = await pool.query(
       'SELECT * FROM game_configurations WHERE user_id = $1 ORDER BY created_at DESC',
       [userId]
@@ -1167,39 +1141,21 @@ router.get('/leaderboards/block/:blockId', authenticateToken, async (req, res) =
     const blockId = parseInt(req.params.blockId);
     console.log('🏆 Getting global leaderboard for block:', blockId, 'requested by user:', req.user.id);
 
-    // Get top 10 scores for this block across all users
-    const result = await pool.query(`
-      SELECT
-        u.nickname,
-        gs.game_type,
-        gs.score_data,
-        gs.created_at,
-        g.config
-      FROM game_scores gs
-      JOIN games g ON gs.game_id = g.id
-      JOIN game_players gp ON g.id = gp.game_id
-      JOIN users u ON gp.user_id = u.id
-      WHERE g.status = 'completed'
-        AND g.config::text LIKE '%"' || $1 || '"%'
-      ORDER BY (gs.score_data->>'score')::float DESC, gs.created_at DESC
-      LIMIT 10
-    `, [blockId]);
+    // All-time block board (materialized in leaderboard_entries, see /api/leaderboards)
+    const board = await leaderboards.getBoard('block', String(blockId), { window: 'all_time', limit: 10 });
 
-    console.log(`🏆 Found ${result.rows.length} scores for block ${blockId}`);
+    console.log(`🏆 Found ${board.entries.length} scores for block ${blockId}`);
 
     // Format leaderboard data
-    const leaderboard = result.rows.map(row => {
-      const scoreData = row.score_data || {};
-      return {
-        nickname: row.nickname,
-        gameType: row.game_type,
-        gameMode: getGameModeDisplay(row.game_type),
-        score: scoreData.score || 0,
-        correct: scoreData.correct || 0,
-        incorrect: scoreData.incorrect || 0,
-        date: row.created_at
-      };
-    });
+    const leaderboard = board.entries.map(entry => ({
+      nickname: entry.nickname,
+      gameType: entry.best.gameType,
+      gameMode: getGameModeDisplay(entry.best.gameType),
+      score: entry.bestScore,
+      correct: entry.best.correct || 0,
+      incorrect: entry.best.incorrect || 0,
+      date: entry.best.at
+    }));
 
     console.log('🏆 Returning global leaderboard with', leaderboard.length, 'entries');
     res.json(leaderboard);
@@ -1,8 +1,11 @@
 const express = require('express');
 const { pool } = require('../database/connection');
 const { authenticateToken } = require('../middleware/auth');
+const { requireRole, requireGroupOwner, requireGroupAccess } = require('../middleware/policy');
+const AssignmentService = require('../assignments');
 
 const router = express.Router();
+const assignments = AssignmentService.shared();
 
 // ============================================================
 // TEACHER ENDPOINTS - Group Management
@@ -12,7 +15,7 @@ const router = express.Router();
  * POST /groups
  * Create a new group (TEACHER only)
  */
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', authenticateToken, requireRole('profesor'), async (req, res) => {
   try {
     const { name, description, access_code } = req.body;
 
@@ -20,19 +23,6 @@ router.post('/', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Group name is required' });
     }
 
-    // Verify user is a teacher
-    const roleCheck = await pool.query(`
-      SELECT r.name as role_name
-      FROM user_roles ur
-      JOIN roles r ON ur.role_id = r.id
-      WHERE ur.user_id = $1 AND r.name = 'profesor'
-      LIMIT 1
-    `, [req.user.id]);
-
-    if (roleCheck.rows.length === 0) {
-      return res.status(403).json({ error: 'Only teachers can create groups' });
-    }
-
     // Generate access code if not provided
     const finalAccessCode = access_code || generateAccessCode();
 
@@ -89,7 +79,7 @@ router.get('/', authenticateToken, async (req, res) => {
  * GET /groups/:id
  * Get group details with members
  */
-router.get('/:id', authenticateToken, async (req, res) => {
+router.get('/:id', authenticateToken, requireGroupAccess(), async (req, res) => {
   try {
     const groupId = parseInt(req.params.id);
 
@@ -98,23 +88,8 @@ router.get('/:id', authenticateToken, async (req, res) => {
       SELECT * FROM groups WHERE id = $1
     `, [groupId]);
 
-    if (groupResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Group not found' });
-    }
-
     const group = groupResult.rows[0];
 
-    // Check if user has access (creator or member)
-    if (group.created_by !== req.user.id) {
-      const memberCheck = await pool.query(`
-        SELECT * FROM group_members WHERE group_id = $1 AND user_id = $2
-      `, [groupId, req.user.id]);
-
-      if (memberCheck.rows.length === 0) {
-        return res.status(403).json({ error: 'Access denied' });
-      }
-    }
-
     // Get members
     const membersResult = await pool.query(`
       SELECT
@@ -130,10 +105,18 @@ router.get('/:id', authenticateToken, async (req, res) => {
       ORDER BY gm.joined_at DESC
     `, [groupId]);
 
-    res.json({
+    const response = {
       ...group,
       members: membersResult.rows
-    });
+    };
+
+    // The creator also sees completion and average score per assignment (full grid in /gradebook)
+    if (group.created_by === req.user.id) {
+      const gradebook = await assignments.getGradebook(groupId);
+      response.assignments = gradebook.assignments;
+    }
+
+    res.json(response);
   } catch (error) {
     console.error('❌ Error fetching group details:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -144,20 +127,11 @@ router.get('/:id', authenticateToken, async (req, res) => {
  * PUT /groups/:id
  * Update group details (TEACHER only - creator)
  */
-router.put('/:id', authenticateToken, async (req, res) => {
+router.put('/:id', authenticateToken, requireGroupOwner({ message: 'Only the group creator can update it' }), async (req, res) => {
   try {
     const groupId = parseInt(req.params.id);
     const { name, description, access_code } = req.body;
 
-    // Check ownership
-    const ownerCheck = await pool.query(`
-      SELECT * FROM groups WHERE id = $1 AND created_by = $2
-    `, [groupId, req.user.id]);
-
-    if (ownerCheck.rows.length === 0) {
-      return res.status(403).json({ error: 'Only the group creator can update it' });
-    }
-
     const result = await pool.query(`
       UPDATE groups
       SET name = COALESCE($1, name),
@@ -182,19 +156,10 @@ router.put('/:id', authenticateToken, async (req, res) => {
  * DELETE /groups/:id
  * Delete a group (TEACHER only - creator)
  */
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id', authenticateToken, requireGroupOwner({ message: 'Only the group creator can delete it' }), async (req, res) => {
   try {
     const groupId = parseInt(req.params.id);
 
-    // Check ownership
-    const ownerCheck = await pool.query(`
-      SELECT * FROM groups WHERE id = $1 AND created_by = $2
-    `, [groupId, req.user.id]);
-
-    if (ownerCheck.rows.length === 0) {
-      return res.status(403).json({ error: 'Only the group creator can delete it' });
-    }
-
     await pool.query('DELETE FROM groups WHERE id = $1', [groupId]);
 
     res.json({ message: 'Group deleted successfully' });
@@ -212,7 +177,7 @@ router.delete('/:id', authenticateToken, async (req, res) => {
  * POST /groups/:id/members
  * Add members to a group (TEACHER only)
  */
-router.post('/:id/members', authenticateToken, async (req, res) => {
+router.post('/:id/members', authenticateToken, requireGroupOwner({ message: 'Only the group creator can add members' }), async (req, res) => {
   try {
     const groupId = parseInt(req.params.id);
     const { user_ids } = req.body; // Array of user IDs
@@ -221,15 +186,6 @@ router.post('/:id/members', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'user_ids array is required' });
     }
 
-    // Check ownership
-    const ownerCheck = await pool.query(`
-      SELECT * FROM groups WHERE id = $1 AND created_by = $2
-    `, [groupId, req.user.id]);
-
-    if (ownerCheck.rows.length === 0) {
-      return res.status(403).json({ error: 'Only the group creator can add members' });
-    }
-
     // Add members (using ON CONFLICT to avoid duplicates)
     const insertPromises = user_ids.map(userId =>
       pool.query(`
@@ -252,20 +208,11 @@ router.post('/:id/members', authenticateToken, async (req, res) => {
  * DELETE /groups/:id/members/:userId
  * Remove a member from a group (TEACHER only)
  */
-router.delete('/:id/members/:userId', authenticateToken, async (req, res) => {
+router.delete('/:id/members/:userId', authenticateToken, requireGroupOwner({ message: 'Only the group creator can remove members' }), async (req, res) => {
   try {
     const groupId = parseInt(req.params.id);
     const userId = parseInt(req.params.userId);
 
-    // Check ownership
-    const ownerCheck = await pool.query(`
-      SELECT * FROM groups WHERE id = $1 AND created_by = $2
-    `, [groupId, req.user.id]);
-
-    if (ownerCheck.rows.length === 0) {
-      return res.status(403).json({ error: 'Only the group creator can remove members' });
-    }
-
     await pool.query(`
       DELETE FROM group_members
       WHERE group_id = $1 AND user_id = $2
@@ -282,23 +229,10 @@ router.delete('/:id/members/:userId', authenticateToken, async (req, res) => {
  * GET /groups/:id/members
  * Get all members of a group
  */
-router.get('/:id/members', authenticateToken, async (req, res) => {
+router.get('/:id/members', authenticateToken, requireGroupAccess(), async (req, res) => {
   try {
     const groupId = parseInt(req.params.id);
 
-    // Check access (creator or member)
-    const accessCheck = await pool.query(`
-      SELECT * FROM groups WHERE id = $1 AND created_by = $2
-      UNION
-      SELECT g.* FROM groups g
-      JOIN group_members gm ON g.id = gm.group_id
-      WHERE g.id = $1 AND gm.user_id = $2
-    `, [groupId, req.user.id]);
-
-    if (accessCheck.rows.length === 0) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
-
     const result = await pool.query(`
       SELECT
         gm.id,
@@ -320,6 +254,43 @@ router.get('/:id/members', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * GET /groups/:id/gradebook
+ * Group assignments x students: status (assigned, overdue, completed), attempts and score,
+ * with per-student and per-assignment completion and averages (TEACHER only - creator)
+ */
+router.get('/:id/gradebook', authenticateToken, requireGroupOwner({ message: 'Only the group creator can view the gradebook' }), async (req, res) => {
+  try {
+    const groupId = parseInt(req.params.id);
+
+    const gradebook = await assignments.getGradebook(groupId);
+
+    res.json({ group_id: groupId, ...gradebook });
+  } catch (error) {
+    console.error('❌ Error fetching gradebook:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /groups/:id/gradebook/export
+ * Gradebook as CSV: one row per student, one score column per assignment (TEACHER only - creator)
+ */
+router.get('/:id/gradebook/export', authenticateToken, requireGroupOwner({ message: 'Only the group creator can export the gradebook' }), async (req, res) => {
+  try {
+    const groupId = parseInt(req.params.id);
+
+    const gradebook = await assignments.getGradebook(groupId);
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename=gradebook-group-${groupId}.csv`);
+    res.send(AssignmentService.gradebookCsv(gradebook));
+  } catch (error) {
+    console.error('❌ Error exporting gradebook:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // ============================================================
 // TEACHER ENDPOINTS - Block Assignments
 // ============================================================
@@ -328,7 +299,7 @@ router.get('/:id/members', authenticateToken, async (req, res) => {
  * POST /groups/assign-block
  * Assign a block to a group or individual student (TEACHER only)
  */
-router.post('/assign-block', authenticateToken, async (req, res) => {
+router.post('/assign-block', authenticateToken, requireRole('profesor'), async (req, res) => {
   try {
     const { block_id, group_id, user_id, due_date, notes } = req.body;
 
@@ -340,43 +311,41 @@ router.post('/assign-block', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Either group_id or user_id is required' });
     }
 
-    // Verify user is a teacher
-    const roleCheck = await pool.query(`
-      SELECT r.name as role_name
-      FROM user_roles ur
-      JOIN roles r ON ur.role_id = r.id
-      WHERE ur.user_id = $1 AND r.name = 'profesor'
-      LIMIT 1
-    `, [req.user.id]);
-
-    if (roleCheck.rows.length === 0) {
-      return res.status(403).json({ error: 'Only teachers can assign blocks' });
-    }
+    // max_attempts, late_policy, late_penalty_percent, grading_method, completion_mode, mastery_threshold
+    const policy = AssignmentService.normalizePolicy(req.body);
 
     // Verify block ownership or is public
     const blockCheck = await pool.query(`
-      SELECT * FROM blocks
-      WHERE id = $1 AND (owner_user_id = $2 OR is_public = true)
+      SELECT b.id FROM blocks b
+      LEFT JOIN unified_user_roles ur ON b.user_role_id = ur.id
+      WHERE b.id = $1 AND (ur.user_id = $2 OR b.is_public = true)
     `, [block_id, req.user.id]);
 
     if (blockCheck.rows.length === 0) {
       return res.status(403).json({ error: 'You can only assign your own blocks or public blocks' });
     }
 
-    // Create assignment
-    const result = await pool.query(`
-      INSERT INTO block_assignments (block_id, assigned_by, group_id, assigned_to_user, due_date, notes)
-      VALUES ($1, $2, $3, $4, $5, $6)
-      RETURNING *
-    `, [block_id, req.user.id, group_id || null, user_id || null, due_date || null, notes || null]);
+    // Create assignment and one submission per current recipient
+    const assignment = await assignments.createAssignment({
+      blockId: block_id,
+      groupId: group_id || null,
+      userId: user_id || null,
+      dueDate: due_date || null,
+      notes: notes || null,
+      assignedBy: req.user.id,
+      policy
+    });
 
     console.log('✅ Block assigned:', block_id, 'by teacher:', req.user.id);
 
     res.status(201).json({
       message: 'Block assigned successfully',
-      assignment: result.rows[0]
+      assignment
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('❌ Error assigning block:', error);
     res.status(500).json({ error: 'Internal server error', details: error.message });
   }
@@ -408,6 +377,98 @@ router.delete('/assignments/:id', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * PUT /groups/assignments/:id
+ * Update due date, notes or policy (max_attempts, late_policy, late_penalty_percent, grading_method,
+ * completion_mode, mastery_threshold).
+ * Recorded attempts are re-scored with the new policy (TEACHER only - assigner or group creator)
+ */
+router.put('/assignments/:id', authenticateToken, async (req, res) => {
+  try {
+    const assignmentId = parseInt(req.params.id);
+    await assignments.getManagedAssignment(assignmentId, req.user.id);
+
+    const assignment = await assignments.updateAssignment(assignmentId, {
+      dueDate: req.body.due_date,
+      notes: req.body.notes,
+      policy: AssignmentService.normalizePolicy(req.body)
+    });
+
+    res.json({
+      message: 'Assignment updated successfully',
+      assignment
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('❌ Error updating assignment:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /groups/assignments/:id/attempts
+ * Attempts of a student on an assignment: students see their own, teachers pass ?user_id=
+ */
+router.get('/assignments/:id/attempts', authenticateToken, async (req, res) => {
+  try {
+    const assignmentId = parseInt(req.params.id);
+    const userId = req.query.user_id ? parseInt(req.query.user_id) : req.user.id;
+
+    if (userId !== req.user.id) {
+      await assignments.getManagedAssignment(assignmentId, req.user.id);
+    }
+
+    const attempts = await assignments.getAttempts(assignmentId, userId);
+
+    res.json({ assignment_id: assignmentId, user_id: userId, attempts });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('❌ Error fetching attempts:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * PUT /groups/assignments/:id/grades/:userId
+ * Override a student's grade: { score: 0-10, comment }. score null restores the computed grade
+ * (TEACHER only - assigner or group creator)
+ */
+router.put('/assignments/:id/grades/:userId', authenticateToken, async (req, res) => {
+  try {
+    const assignmentId = parseInt(req.params.id);
+    const userId = parseInt(req.params.userId);
+
+    if (req.body.score === undefined) {
+      return res.status(400).json({ error: 'score is required (null clears the override)' });
+    }
+
+    const assignment = await assignments.getManagedAssignment(assignmentId, req.user.id);
+    const grade = await assignments.overrideGrade(assignment, userId, {
+      score: req.body.score,
+      comment: req.body.comment
+    }, req.user.id);
+
+    console.log('✅ Grade override:', assignmentId, 'user:', userId, 'by teacher:', req.user.id);
+
+    res.json({
+      message: grade.overridden ? 'Grade overridden' : 'Grade override cleared',
+      assignment_id: assignmentId,
+      user_id: userId,
+      grade
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('❌ Error overriding grade:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 /**
  * GET /groups/assignments
  * Get all assignments made by this teacher
@@ -525,36 +586,14 @@ router.get('/my-groups', authenticateToken, async (req, res) => {
 
 /**
  * GET /groups/my-assigned-blocks
- * Get all blocks assigned to the current user (via group or direct)
+ * Get all blocks assigned to the current user (via group or direct) with status,
+ * attempts left and score
  */
 router.get('/my-assigned-blocks', authenticateToken, async (req, res) => {
   try {
-    const result = await pool.query(`
-      SELECT DISTINCT
-        b.id,
-        b.name,
-        b.description,
-        b.image_url,
-        ba.due_date,
-        ba.notes,
-        ba.assigned_at,
-        CASE
-          WHEN ba.group_id IS NOT NULL THEN 'GROUP'
-          ELSE 'INDIVIDUAL'
-        END as assignment_type,
-        g.name as group_name,
-        u.nickname as assigned_by_nickname
-      FROM block_assignments ba
-      JOIN blocks b ON ba.block_id = b.id
-      LEFT JOIN groups g ON ba.group_id = g.id
-      LEFT JOIN users u ON ba.assigned_by = u.id
-      WHERE
-        ba.assigned_to_user = $1
-        OR ba.group_id IN (SELECT group_id FROM group_members WHERE user_id = $1)
-      ORDER BY ba.assigned_at DESC
-    `, [req.user.id]);
+    const assigned = await assignments.getStudentAssignments(req.user.id);
 
-    res.json(result.rows);
+    res.json(assigned);
   } catch (error) {
     console.error('❌ Error fetching assigned blocks:', error);
     res.status(500).json({ error: 'Internal server error' });
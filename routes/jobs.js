@@ -0,0 +1,125 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { requireRole, ROLE_GROUPS } = require('../middleware/policy');
+
+// Toda la administración de trabajos es solo para administradores
+router.use(authenticateToken, requireRole(ROLE_GROUPS.ADMIN));
+
+function getQueue(res) {
+    if (!global.jobQueue) {
+        res.status(503).json({ error: 'La cola de trabajos no está disponible' });
+        return null;
+    }
+    return global.jobQueue;
+}
+
+function sendJobError(res, error, fallbackMessage) {
+    if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    console.error(`${fallbackMessage}:`, error);
+    res.status(500).json({ error: fallbackMessage, details: error.message });
+}
+
+// ==================== TRABAJOS ====================
+
+// Trabajos con nombre: horario, pausa, última ejecución y pendientes
+router.get('/', async (req, res) => {
+    const queue = getQueue(res);
+    if (!queue) return;
+
+    try {
+        res.json({ status: queue.getStatus(), jobs: await queue.listJobs() });
+    } catch (error) {
+        sendJobError(res, error, 'Error obteniendo trabajos');
+    }
+});
+
+router.get('/runs/:jobId', async (req, res) => {
+    const queue = getQueue(res);
+    if (!queue) return;
+
+    try {
+        const jobId = parseInt(req.params.jobId);
+        if (isNaN(jobId)) return res.status(404).json({ error: 'Trabajo no encontrado' });
+
+        res.json({ job: await queue.getJob(jobId) });
+    } catch (error) {
+        sendJobError(res, error, 'Error obteniendo el trabajo');
+    }
+});
+
+// Volver a encolar un trabajo fallido
+router.post('/runs/:jobId/retry', async (req, res) => {
+    const queue = getQueue(res);
+    if (!queue) return;
+
+    try {
+        const jobId = parseInt(req.params.jobId);
+        if (isNaN(jobId)) return res.status(404).json({ error: 'Trabajo no encontrado' });
+
+        res.json({ job: await queue.retry(jobId) });
+    } catch (error) {
+        sendJobError(res, error, 'Error reintentando el trabajo');
+    }
+});
+
+// Historial de un trabajo (?status=failed&limit=50)
+router.get('/:name', async (req, res) => {
+    const queue = getQueue(res);
+    if (!queue) return;
+
+    try {
+        const history = await queue.listHistory(req.params.name, {
+            status: req.query.status || null,
+            limit: req.query.limit
+        });
+        res.json({ name: req.params.name, history });
+    } catch (error) {
+        sendJobError(res, error, 'Error obteniendo el historial');
+    }
+});
+
+// Lanzar ahora. Con { "wait": true } se ejecuta en esta instancia y responde con el resultado
+router.post('/:name/trigger', async (req, res) => {
+    const queue = getQueue(res);
+    if (!queue) return;
+
+    try {
+        const options = { payload: req.body.payload || {}, triggeredBy: req.user.id };
+
+        if (req.body.wait === true) {
+            const { job, result } = await queue.runNow(req.params.name, options);
+            return res.json({ job, result });
+        }
+
+        res.status(202).json({ job: await queue.trigger(req.params.name, options) });
+    } catch (error) {
+        sendJobError(res, error, 'Error lanzando el trabajo');
+    }
+});
+
+router.post('/:name/pause', async (req, res) => {
+    const queue = getQueue(res);
+    if (!queue) return;
+
+    try {
+        res.json({ schedule: await queue.setPaused(req.params.name, true, req.user.id) });
+    } catch (error) {
+        sendJobError(res, error, 'Error pausando el trabajo');
+    }
+});
+
+router.post('/:name/resume', async (req, res) => {
+    const queue = getQueue(res);
+    if (!queue) return;
+
+    try {
+        res.json({ schedule: await queue.setPaused(req.params.name, false) });
+    } catch (error) {
+        sendJobError(res, error, 'Error reanudando el trabajo');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,144 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { canAccessGroup } = require('../middleware/policy');
+const LeaderboardService = require('../leaderboards');
+
+// Inicializar sistema
+const leaderboards = LeaderboardService.shared();
+
+// ?window=daily|weekly|monthly|all_time&date=YYYY-MM-DD&page&limit&radius
+function parseBoardQuery(query) {
+    const window = query.window || 'all_time';
+    if (!LeaderboardService.WINDOWS.includes(window)) {
+        return { error: `window debe ser uno de: ${LeaderboardService.WINDOWS.join(', ')}` };
+    }
+
+    let date = null;
+    if (query.date) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(query.date) || isNaN(Date.parse(query.date))) {
+            return { error: 'date debe tener el formato YYYY-MM-DD' };
+        }
+        date = query.date;
+    }
+
+    return {
+        window,
+        date,
+        page: Math.max(parseInt(query.page) || 1, 1),
+        limit: Math.min(Math.max(parseInt(query.limit) || 20, 1), 100),
+        radius: Math.min(Math.max(parseInt(query.radius) || 2, 0), 25)
+    };
+}
+
+// Registra GET <path> (tablero paginado) y GET <path>/me (posición del usuario y sus vecinos)
+function boardRoutes(path, resolveScope) {
+    router.get(path, authenticateToken, async (req, res) => {
+        try {
+            const options = parseBoardQuery(req.query);
+            if (options.error) return res.status(400).json({ error: options.error });
+
+            const scope = await resolveScope(req);
+            if (scope.error) return res.status(scope.status).json({ error: scope.error });
+
+            const board = await leaderboards.getBoard(scope.scopeType, scope.scopeKey, options);
+
+            res.json(board);
+
+        } catch (error) {
+            console.error('Error getting leaderboard:', error);
+            res.status(500).json({
+                error: 'Error obteniendo clasificación',
+                details: error.message
+            });
+        }
+    });
+
+    router.get(`${path}/me`, authenticateToken, async (req, res) => {
+        try {
+            const options = parseBoardQuery(req.query);
+            if (options.error) return res.status(400).json({ error: options.error });
+
+            const scope = await resolveScope(req);
+            if (scope.error) return res.status(scope.status).json({ error: scope.error });
+
+            const rank = await leaderboards.getUserRank(scope.scopeType, scope.scopeKey, req.user.id, options);
+
+            res.json(rank);
+
+        } catch (error) {
+            console.error('Error getting leaderboard rank:', error);
+            res.status(500).json({
+                error: 'Error obteniendo posición en la clasificación',
+                details: error.message
+            });
+        }
+    });
+}
+
+// ==================== CLASIFICACIONES ====================
+
+boardRoutes('/global', async () => ({ scopeType: 'global', scopeKey: '' }));
+
+boardRoutes('/block/:blockId', async (req) => {
+    const blockId = parseInt(req.params.blockId);
+    if (isNaN(blockId)) return { status: 400, error: 'blockId debe ser numérico' };
+    return { scopeType: 'block', scopeKey: String(blockId) };
+});
+
+boardRoutes('/block/:blockId/topic/:topic', async (req) => {
+    const blockId = parseInt(req.params.blockId);
+    if (isNaN(blockId)) return { status: 400, error: 'blockId debe ser numérico' };
+    return { scopeType: 'topic', scopeKey: LeaderboardService.topicKey(blockId, req.params.topic) };
+});
+
+boardRoutes('/group/:groupId', async (req) => {
+    const groupId = parseInt(req.params.groupId);
+    if (isNaN(groupId)) return { status: 400, error: 'groupId debe ser numérico' };
+    // El tablero de un grupo solo lo ven su creador y sus miembros
+    if (!(await canAccessGroup(groupId, req.user.id))) {
+        return { status: 403, error: 'No tienes acceso a este grupo' };
+    }
+    return { scopeType: 'group', scopeKey: String(groupId) };
+});
+
+// ==================== RATING DE DUELOS ====================
+
+// Clasificación ELO de duelos
+router.get('/ratings/duel', authenticateToken, async (req, res) => {
+    try {
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+        const ratings = await leaderboards.getDuelRatings({ page, limit });
+
+        res.json(ratings);
+
+    } catch (error) {
+        console.error('Error getting duel ratings:', error);
+        res.status(500).json({
+            error: 'Error obteniendo ratings de duelo',
+            details: error.message
+        });
+    }
+});
+
+// Rating del usuario, sus vecinos y sus últimos duelos
+router.get('/ratings/duel/me', authenticateToken, async (req, res) => {
+    try {
+        const radius = Math.min(Math.max(parseInt(req.query.radius) || 2, 0), 25);
+
+        const rating = await leaderboards.getUserDuelRating(req.user.id, { radius });
+
+        res.json(rating);
+
+    } catch (error) {
+        console.error('Error getting duel rating:', error);
+        res.status(500).json({
+            error: 'Error obteniendo rating de duelo',
+            details: error.message
+        });
+    }
+});
+
+module.exports = router;
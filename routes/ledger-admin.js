@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { requireRole, ROLE_GROUPS } = require('../middleware/policy');
+const LuminariasLedger = require('../luminarias-ledger');
+
+// La conciliación cubre todo el libro mayor, así que no depende del despliegue por colegios
+// del flag luminarias: solo para administradores
+router.use(authenticateToken, requireRole(ROLE_GROUPS.ADMIN));
+
+const ledger = new LuminariasLedger();
+
+// Últimas conciliaciones e incidencias abiertas
+router.get('/reconciliation', async (req, res) => {
+    try {
+        res.json(await ledger.getReconciliationReport({ runsLimit: Math.min(parseInt(req.query.runs) || 10, 50) }));
+    } catch (error) {
+        console.error('Error obteniendo conciliación:', error);
+        res.status(500).json({ error: 'Error interno del servidor' });
+    }
+});
+
+// Ejecutar conciliación ahora; con repair corrige las diferencias con los saldos antiguos
+router.post('/reconcile', async (req, res) => {
+    try {
+        const result = await ledger.reconcile({ repair: req.body.repair === true, triggeredBy: req.user.id });
+        res.json(result);
+    } catch (error) {
+        console.error('Error ejecutando conciliación:', error);
+        res.status(500).json({ error: 'Error ejecutando conciliación' });
+    }
+});
+
+module.exports = router;
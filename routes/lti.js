@@ -0,0 +1,219 @@
+const express = require('express');
+const { authenticateToken, sessions } = require('../middleware/auth');
+const { requireRole, ROLE_GROUPS } = require('../middleware/policy');
+const { requireFeature } = require('../middleware/feature-gate');
+const SessionManager = require('../auth-sessions');
+const AssignmentService = require('../assignments');
+const LtiService = require('../lti');
+
+const router = express.Router();
+const lti = new LtiService();
+
+const FRONTEND_URL = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+// Las llamadas del LMS no traen usuario de PlayTest: solo cuenta si el flag está encendido.
+// El resto de rutas lo evalúan tras authenticateToken, con la segmentación por usuario y rol
+const ltiActive = requireFeature('lti', { global: true });
+const ltiEnabled = requireFeature('lti');
+
+// ==================== HERRAMIENTA (llamadas del LMS) ====================
+
+// Claves públicas con las que el LMS verifica los client assertion y las respuestas de deep linking
+router.get('/jwks', ltiActive, async (req, res) => {
+    try {
+        res.json(await lti.getJwks());
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error serving LTI JWKS:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Inicio de sesión OIDC iniciado por el LMS (GET o POST según la plataforma)
+async function startLogin(req, res) {
+    try {
+        const params = { ...req.query, ...req.body };
+        res.redirect(302, await lti.beginLogin(params));
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error starting LTI login:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}
+
+router.get('/login', ltiActive, startLogin);
+router.post('/login', ltiActive, startLogin);
+
+// Lanzamiento (form_post con id_token y state). Abre una sesión de PlayTest y redirige al frontend;
+// los tokens van en el fragmento para que no queden en logs ni en el Referer
+router.post('/launch', ltiActive, async (req, res) => {
+    try {
+        const launch = await lti.handleLaunch(req.body.id_token, req.body.state);
+        const tokens = await sessions.createSession(launch.user, SessionManager.requestMetadata(req));
+
+        const fragment = new URLSearchParams({
+            token: tokens.token,
+            refreshToken: tokens.refreshToken,
+            role: launch.instructor ? 'profesor' : 'jugador'
+        });
+
+        if (launch.type === 'deep_linking') {
+            fragment.set('deepLinkId', launch.deepLinkId);
+            return res.redirect(302, `${FRONTEND_URL}/lti/deep-link#${fragment}`);
+        }
+
+        for (const [key, value] of Object.entries({
+            blockId: launch.blockId,
+            assignmentId: launch.assignmentId,
+            groupId: launch.groupId
+        })) {
+            if (value) fragment.set(key, value);
+        }
+        res.redirect(302, `${FRONTEND_URL}/lti/launch#${fragment}`);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error handling LTI launch:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// ==================== DEEP LINKING (frontend del profesor) ====================
+
+router.get('/deep-linking/:id', authenticateToken, ltiEnabled, async (req, res) => {
+    try {
+        const session = await lti.getDeepLinkSession(req.params.id, req.user.id);
+        res.json({
+            id: session.id,
+            platform_name: session.platform_name,
+            title: session.settings.title || null,
+            text: session.settings.text || null,
+            accept_multiple: session.settings.accept_multiple !== false,
+            expires_at: session.expires_at
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error fetching LTI deep linking session:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Devuelve { return_url, jwt }: el frontend hace un POST de formulario a return_url con el campo JWT
+router.post('/deep-linking/:id/response', authenticateToken, ltiEnabled, async (req, res) => {
+    try {
+        const { block_id: blockId, title } = req.body;
+        if (!blockId) {
+            return res.status(400).json({ error: 'block_id is required' });
+        }
+
+        // max_attempts, late_policy, late_penalty_percent, grading_method viajan como parámetros custom
+        const policy = AssignmentService.normalizePolicy(req.body);
+        const response = await lti.buildDeepLinkingResponse(req.params.id, req.user.id, {
+            blockId: parseInt(blockId),
+            title: title || null,
+            policy
+        });
+        res.json(response);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error building LTI deep linking response:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// ==================== ACTIVIDADES Y NOTAS (profesor) ====================
+
+router.get('/resource-links', authenticateToken, ltiEnabled, requireRole('profesor'), async (req, res) => {
+    try {
+        res.json({ resource_links: await lti.listResourceLinks(req.user.id) });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error listing LTI resource links:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Envía ya las notas pendientes de esa actividad (normalmente lo hace el job lti.score_passback)
+router.post('/resource-links/:id/publish', authenticateToken, ltiEnabled, requireRole('profesor'), async (req, res) => {
+    try {
+        const link = await lti.getManagedResourceLink(parseInt(req.params.id), req.user.id);
+        const stats = await lti.publishPendingScores({ resourceLinkId: link.id });
+        res.json({ message: 'Scores published', ...stats });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error publishing LTI scores:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// ==================== PLATAFORMAS (administración) ====================
+
+router.get('/config', authenticateToken, ltiEnabled, requireRole(ROLE_GROUPS.ADMIN), (req, res) => {
+    res.json(LtiService.toolConfiguration());
+});
+
+router.get('/platforms', authenticateToken, ltiEnabled, requireRole(ROLE_GROUPS.ADMIN), async (req, res) => {
+    try {
+        res.json({ platforms: await lti.listPlatforms() });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error listing LTI platforms:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+router.post('/platforms', authenticateToken, ltiEnabled, requireRole(ROLE_GROUPS.ADMIN), async (req, res) => {
+    try {
+        const platform = await lti.createPlatform(req.body, req.user.id);
+        res.status(201).json({ message: 'Platform registered', platform, tool: LtiService.toolConfiguration() });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error registering LTI platform:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+router.put('/platforms/:id', authenticateToken, ltiEnabled, requireRole(ROLE_GROUPS.ADMIN), async (req, res) => {
+    try {
+        const platform = await lti.updatePlatform(parseInt(req.params.id), req.body);
+        res.json({ message: 'Platform updated', platform });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error updating LTI platform:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+router.delete('/platforms/:id', authenticateToken, ltiEnabled, requireRole(ROLE_GROUPS.ADMIN), async (req, res) => {
+    try {
+        await lti.deletePlatform(parseInt(req.params.id));
+        res.json({ message: 'Platform deleted' });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error deleting LTI platform:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -1,20 +1,25 @@
 const express = require('express');
 const { pool } = require('../database/connection');
 const { authenticateToken } = require('../middleware/auth');
+const { requireRole, ROLE_GROUPS } = require('../middleware/policy');
+const LuminariasLedger = require('../luminarias-ledger');
+const LuminariasRepository = require('../luminarias-repository');
+const UserRepository = require('../user-repository');
 
 const router = express.Router();
 
+// Todos los movimientos pasan por el libro mayor de partida doble; las consultas de saldo e historial
+// se leen de él a través del repositorio
+const ledger = new LuminariasLedger();
+const luminarias = new LuminariasRepository();
+const users = new UserRepository();
+
 // ========== ENDPOINTS DE BALANCE Y ESTADÍSTICAS ==========
 
 // Obtener balance actual del usuario
 router.get('/balance', authenticateToken, async (req, res) => {
     try {
-        const result = await pool.query(
-            'SELECT * FROM get_user_luminarias_stats($1)',
-            [req.user.id]
-        );
-        
-        const stats = result.rows[0] || {
+        const stats = await luminarias.getStats(req.user.id) || {
             current_balance: 200,
             total_earned: 200,
             total_spent: 0,
@@ -43,101 +48,18 @@ router.get('/transactions', authenticateToken, async (req, res) => {
             date_to
         } = req.query;
         
-        let query = `
-            SELECT 
-                lt.*,
-                CASE 
-                    WHEN lt.from_user_id IS NOT NULL THEN fu.nickname 
-                    WHEN lt.to_user_id IS NOT NULL THEN tu.nickname 
-                END as related_user_nickname
-            FROM luminarias_transactions lt
-            LEFT JOIN users fu ON lt.from_user_id = fu.id
-            LEFT JOIN users tu ON lt.to_user_id = tu.id
-            WHERE lt.user_id = $1
-        `;
-        
-        const params = [req.user.id];
-        let paramIndex = 2;
-        
-        if (user_role) {
-            query += ` AND lt.user_role = $${paramIndex}`;
-            params.push(user_role);
-            paramIndex++;
-        }
-        
-        if (category) {
-            query += ` AND lt.category = $${paramIndex}`;
-            params.push(category);
-            paramIndex++;
-        }
-        
-        if (transaction_type) {
-            query += ` AND lt.transaction_type = $${paramIndex}`;
-            params.push(transaction_type);
-            paramIndex++;
-        }
-        
-        if (date_from) {
-            query += ` AND lt.created_at >= $${paramIndex}`;
-            params.push(date_from);
-            paramIndex++;
-        }
-        
-        if (date_to) {
-            query += ` AND lt.created_at <= $${paramIndex}`;
-            params.push(date_to);
-            paramIndex++;
-        }
-        
-        query += ` ORDER BY lt.created_at DESC LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
-        params.push(parseInt(limit), parseInt(offset));
-        
-        const result = await pool.query(query, params);
-        
-        // Obtener total de transacciones para paginación
-        let countQuery = `
-            SELECT COUNT(*) as total
-            FROM luminarias_transactions lt
-            WHERE lt.user_id = $1
-        `;
-        const countParams = [req.user.id];
-        let countParamIndex = 2;
-        
-        if (user_role) {
-            countQuery += ` AND lt.user_role = $${countParamIndex}`;
-            countParams.push(user_role);
-            countParamIndex++;
-        }
-        
-        if (category) {
-            countQuery += ` AND lt.category = $${countParamIndex}`;
-            countParams.push(category);
-            countParamIndex++;
-        }
-        
-        if (transaction_type) {
-            countQuery += ` AND lt.transaction_type = $${countParamIndex}`;
-            countParams.push(transaction_type);
-            countParamIndex++;
-        }
-        
-        if (date_from) {
-            countQuery += ` AND lt.created_at >= $${countParamIndex}`;
-            countParams.push(date_from);
-            countParamIndex++;
-        }
-        
-        if (date_to) {
-            countQuery += ` AND lt.created_at <= $${countParamIndex}`;
-            countParams.push(date_to);
-            countParamIndex++;
-        }
-        
-        const countResult = await pool.query(countQuery, countParams);
-        const total = parseInt(countResult.rows[0].total);
+        const { transactions, total } = await luminarias.listTransactions(req.user.id, {
+            userRole: user_role,
+            category,
+            transactionType: transaction_type,
+            dateFrom: date_from,
+            dateTo: date_to,
+            limit,
+            offset
+        });
         
         res.json({
-            transactions: result.rows,
+            transactions,
             pagination: {
                 total,
                 limit: parseInt(limit),
@@ -188,26 +110,28 @@ router.post('/transaction', authenticateToken, async (req, res) => {
             return res.status(400).json({ error: 'Rol inválido' });
         }
         
-        const transactionId = await pool.query(
-            'SELECT process_luminarias_transaction($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)',
-            [
-                req.user.id,
-                transaction_type,
-                parseInt(amount),
-                user_role,
-                category,
-                subcategory,
-                action_type,
-                description,
-                reference_id,
-                reference_type,
-                JSON.stringify(metadata)
-            ]
-        );
+        // Contrapartida en el sistema: las entradas se emiten y las salidas se gastan o convierten
+        const credit = ['earn', 'transfer_in'].includes(transaction_type);
+        const counterpart = credit ? 'issuance' : (transaction_type === 'conversion' ? 'conversions' : 'spending');
+        const legacy = { transactionType: transaction_type, userRole: user_role, category, subcategory, actionType: action_type };
+
+        const entry = await ledger.transfer({
+            from: credit ? counterpart : req.user.id,
+            to: credit ? req.user.id : counterpart,
+            amount,
+            entryType: action_type,
+            description,
+            referenceType: reference_type,
+            referenceId: reference_id,
+            metadata,
+            createdBy: req.user.id,
+            legacy
+        });
         
         res.json({
             message: 'Transacción procesada exitosamente',
-            transaction_id: transactionId.rows[0].process_luminarias_transaction
+            transaction_id: entry.transactionIds[req.user.id],
+            journal_id: entry.journalId
         });
     } catch (error) {
         console.error('Error procesando transacción:', error);
@@ -247,61 +171,37 @@ router.post('/transfer', authenticateToken, async (req, res) => {
             return res.status(404).json({ error: 'Usuario destino no encontrado' });
         }
         
-        // Procesar transferencia de salida
-        const outTransactionId = await client.query(
-            'SELECT process_luminarias_transaction($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)',
-            [
-                req.user.id,
-                'transfer_out',
-                parseInt(amount),
-                'user', // Asumimos rol de usuario para transferencias
-                'transfers',
-                'user_to_user',
-                'send_transfer',
-                `Transferencia enviada a ${targetUser.rows[0].nickname}: ${description}`,
-                to_user_id,
-                'user_transfer',
-                JSON.stringify({ to_user_id, original_description: description })
-            ]
-        );
-        
-        // Procesar transferencia de entrada
-        const inTransactionId = await client.query(
-            'SELECT process_luminarias_transaction($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)',
-            [
-                to_user_id,
-                'transfer_in',
-                parseInt(amount),
-                'user',
-                'transfers',
-                'user_to_user',
-                'receive_transfer',
-                `Transferencia recibida de ${req.user.nickname}: ${description}`,
-                req.user.id,
-                'user_transfer',
-                JSON.stringify({ from_user_id: req.user.id, original_description: description })
-            ]
-        );
-        
-        // Actualizar las transacciones con referencias cruzadas
-        await client.query(`
-            UPDATE luminarias_transactions 
-            SET from_user_id = $1, to_user_id = $2 
-            WHERE id = $3
-        `, [req.user.id, to_user_id, outTransactionId.rows[0].process_luminarias_transaction]);
-        
-        await client.query(`
-            UPDATE luminarias_transactions 
-            SET from_user_id = $1, to_user_id = $2 
-            WHERE id = $3
-        `, [req.user.id, to_user_id, inTransactionId.rows[0].process_luminarias_transaction]);
+        // Un único asiento: sale de la cuenta del emisor y entra en la del destinatario
+        const entry = await ledger.transfer({
+            from: req.user.id,
+            to: parseInt(to_user_id),
+            amount,
+            entryType: 'user_transfer',
+            description,
+            referenceType: 'user_transfer',
+            referenceId: parseInt(to_user_id),
+            metadata: { from_user_id: req.user.id, to_user_id, original_description: description },
+            createdBy: req.user.id,
+            legacy: {
+                userRole: 'user', // Asumimos rol de usuario para transferencias
+                category: 'transfers',
+                subcategory: 'user_to_user',
+                from: { actionType: 'send_transfer', description: `Transferencia enviada a ${targetUser.rows[0].nickname}: ${description}` },
+                to: { actionType: 'receive_transfer', description: `Transferencia recibida de ${req.user.nickname}: ${description}` }
+            }
+        }, client);
         
+        const outTransactionId = entry.transactionIds[req.user.id];
+        const inTransactionId = entry.transactionIds[parseInt(to_user_id)];
+
+        // Emisor y destinatario quedan en el asiento: el historial los obtiene de su contrapartida
         await client.query('COMMIT');
         
         res.json({
             message: 'Transferencia realizada exitosamente',
-            out_transaction_id: outTransactionId.rows[0].process_luminarias_transaction,
-            in_transaction_id: inTransactionId.rows[0].process_luminarias_transaction,
+            out_transaction_id: outTransactionId,
+            in_transaction_id: inTransactionId,
+            journal_id: entry.journalId,
             target_user: targetUser.rows[0].nickname
         });
     } catch (error) {
@@ -364,15 +264,9 @@ router.get('/config', authenticateToken, async (req, res) => {
 router.put('/config/:id', authenticateToken, async (req, res) => {
     try {
         // Verificar que es administrador
-        const userRoles = await pool.query(`
-            SELECT r.name 
-            FROM user_roles ur 
-            JOIN roles r ON ur.role_id = r.id 
-            WHERE ur.user_id = $1 
-            AND r.name IN ('administrador_principal', 'administrador_secundario')
-        `, [req.user.id]);
+        const isAdmin = await users.hasRole(req.user.id, ROLE_GROUPS.ADMIN);
         
-        if (userRoles.rows.length === 0) {
+        if (!isAdmin) {
             return res.status(403).json({ error: 'Solo los administradores pueden modificar la configuración' });
         }
         
@@ -474,22 +368,24 @@ router.post('/store/purchase', authenticateToken, async (req, res) => {
         }
         
         // Procesar transacción de pago
-        const transactionId = await client.query(
-            'SELECT process_luminarias_transaction($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)',
-            [
-                req.user.id,
-                'spend',
-                totalPrice,
-                item.target_role === 'creator' ? 'creator' : 'user',
-                'store_purchase',
-                item.category,
-                'buy_item',
-                `Compra: ${item.name} (x${quantity})`,
-                item_id,
-                'store_item',
-                JSON.stringify({ item_name: item.name, quantity, unit_price: item.price_luminarias })
-            ]
-        );
+        const payment = await ledger.transfer({
+            from: req.user.id,
+            to: 'store',
+            amount: totalPrice,
+            entryType: 'store_purchase',
+            description: `Compra: ${item.name} (x${quantity})`,
+            referenceType: 'store_item',
+            referenceId: parseInt(item_id),
+            metadata: { item_name: item.name, quantity, unit_price: item.price_luminarias },
+            createdBy: req.user.id,
+            legacy: {
+                userRole: item.target_role === 'creator' ? 'creator' : 'user',
+                category: 'store_purchase',
+                subcategory: item.category,
+                actionType: 'buy_item'
+            }
+        }, client);
+        const transactionId = payment.transactionIds[req.user.id];
         
         // Registrar la compra
         const purchaseResult = await client.query(`
@@ -501,7 +397,7 @@ router.post('/store/purchase', authenticateToken, async (req, res) => {
         `, [
             req.user.id,
             item_id,
-            transactionId.rows[0].process_luminarias_transaction,
+            transactionId,
             parseInt(quantity),
             item.price_luminarias,
             totalPrice,
@@ -524,7 +420,8 @@ router.post('/store/purchase', authenticateToken, async (req, res) => {
         res.json({
             message: 'Compra realizada exitosamente',
             purchase: purchaseResult.rows[0],
-            transaction_id: transactionId.rows[0].process_luminarias_transaction
+            transaction_id: transactionId,
+            journal_id: payment.journalId
         });
     } catch (error) {
         await client.query('ROLLBACK');
@@ -571,25 +468,9 @@ router.get('/stats/earnings', authenticateToken, async (req, res) => {
     try {
         const { period = '30' } = req.query; // días
         
-        const result = await pool.query(`
-            SELECT 
-                user_role,
-                category,
-                subcategory,
-                COUNT(*) as transaction_count,
-                SUM(amount) as total_earned,
-                AVG(amount) as avg_amount,
-                MIN(amount) as min_amount,
-                MAX(amount) as max_amount
-            FROM luminarias_transactions
-            WHERE user_id = $1 
-            AND transaction_type = 'earn'
-            AND created_at >= NOW() - INTERVAL '${parseInt(period)} days'
-            GROUP BY user_role, category, subcategory
-            ORDER BY total_earned DESC
-        `, [req.user.id]);
+        const stats = await luminarias.getCategoryStats(req.user.id, 'earn', period);
         
-        res.json(result.rows);
+        res.json(stats);
     } catch (error) {
         console.error('Error obteniendo estadísticas:', error);
         res.status(500).json({ error: 'Error interno del servidor' });
@@ -601,25 +482,9 @@ router.get('/stats/spending', authenticateToken, async (req, res) => {
     try {
         const { period = '30' } = req.query; // días
         
-        const result = await pool.query(`
-            SELECT 
-                user_role,
-                category,
-                subcategory,
-                COUNT(*) as transaction_count,
-                SUM(ABS(amount)) as total_spent,
-                AVG(ABS(amount)) as avg_amount,
-                MIN(ABS(amount)) as min_amount,
-                MAX(ABS(amount)) as max_amount
-            FROM luminarias_transactions
-            WHERE user_id = $1 
-            AND transaction_type IN ('spend', 'transfer_out')
-            AND created_at >= NOW() - INTERVAL '${parseInt(period)} days'
-            GROUP BY user_role, category, subcategory
-            ORDER BY total_spent DESC
-        `, [req.user.id]);
+        const stats = await luminarias.getCategoryStats(req.user.id, 'spend', period);
         
-        res.json(result.rows);
+        res.json(stats);
     } catch (error) {
         console.error('Error obteniendo estadísticas de gasto:', error);
         res.status(500).json({ error: 'Error interno del servidor' });
@@ -751,27 +616,29 @@ router.post('/marketplace/:service_id/book', authenticateToken, async (req, res)
             }
         }
         
-        // Procesar pago del cliente
-        const clientTransactionId = await client.query(
-            'SELECT process_luminarias_transaction($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)',
-            [
-                req.user.id,
-                'spend',
-                service.price_luminarias,
-                'user',
-                'marketplace',
-                service.category,
-                'book_service',
-                `Contratación: ${service.service_name} por ${service.provider_nickname}`,
-                serviceId,
-                'marketplace_service',
-                JSON.stringify({ 
-                    service_name: service.service_name, 
-                    provider_id: service.provider_id,
-                    scheduled_at 
-                })
-            ]
-        );
+        // El pago del cliente queda en depósito hasta que el proveedor complete el servicio
+        const payment = await ledger.transfer({
+            from: req.user.id,
+            to: 'marketplace_escrow',
+            amount: service.price_luminarias,
+            entryType: 'marketplace_booking',
+            description: `Contratación: ${service.service_name} por ${service.provider_nickname}`,
+            referenceType: 'marketplace_service',
+            referenceId: parseInt(serviceId),
+            metadata: { 
+                service_name: service.service_name, 
+                provider_id: service.provider_id,
+                scheduled_at 
+            },
+            createdBy: req.user.id,
+            legacy: {
+                userRole: 'user',
+                category: 'marketplace',
+                subcategory: service.category,
+                actionType: 'book_service'
+            }
+        }, client);
+        const clientTransactionId = payment.transactionIds[req.user.id];
         
         // Crear la reserva
         const bookingResult = await client.query(`
@@ -784,7 +651,7 @@ router.post('/marketplace/:service_id/book', authenticateToken, async (req, res)
             serviceId,
             req.user.id,
             service.provider_id,
-            clientTransactionId.rows[0].process_luminarias_transaction,
+            clientTransactionId,
             service.price_luminarias,
             scheduled_at || null,
             service.duration_minutes,
@@ -804,7 +671,8 @@ router.post('/marketplace/:service_id/book', authenticateToken, async (req, res)
         res.json({
             message: 'Servicio contratado exitosamente',
             booking: bookingResult.rows[0],
-            transaction_id: clientTransactionId.rows[0].process_luminarias_transaction
+            transaction_id: clientTransactionId,
+            journal_id: payment.journalId
         });
     } catch (error) {
         await client.query('ROLLBACK');
@@ -904,28 +772,33 @@ router.post('/marketplace/bookings/:booking_id/complete', authenticateToken, asy
         const commissionAmount = Math.floor(booking.total_price * commissionRate);
         const providerAmount = booking.total_price - commissionAmount;
         
-        // Pagar al proveedor
-        const providerTransactionId = await client.query(
-            'SELECT process_luminarias_transaction($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)',
-            [
-                req.user.id,
-                'earn',
-                providerAmount,
-                'creator',
-                'marketplace',
-                'service_payment',
-                'complete_service',
-                `Pago por servicio: ${booking.service_name} (${providerAmount} Luminarias, comisión: ${commissionAmount})`,
-                booking.service_id,
-                'marketplace_payment',
-                JSON.stringify({ 
-                    booking_id: bookingId,
-                    gross_amount: booking.total_price,
-                    commission: commissionAmount,
-                    net_amount: providerAmount
-                })
-            ]
-        );
+        // Liberar el depósito: el neto al proveedor y la comisión al marketplace
+        const lines = [
+            { account: 'marketplace_escrow', amount: -booking.total_price },
+            {
+                account: req.user.id,
+                amount: providerAmount,
+                legacy: { userRole: 'creator', category: 'marketplace', subcategory: 'service_payment', actionType: 'complete_service' }
+            }
+        ];
+        if (commissionAmount > 0) lines.push({ account: 'marketplace_fees', amount: commissionAmount });
+        
+        const payout = await ledger.post({
+            entryType: 'marketplace_payout',
+            description: `Pago por servicio: ${booking.service_name} (${providerAmount} Luminarias, comisión: ${commissionAmount})`,
+            referenceType: 'marketplace_booking',
+            referenceId: parseInt(bookingId),
+            metadata: { 
+                booking_id: bookingId,
+                service_id: booking.service_id,
+                gross_amount: booking.total_price,
+                commission: commissionAmount,
+                net_amount: providerAmount
+            },
+            idempotencyKey: `marketplace_payout:${bookingId}`,
+            createdBy: req.user.id,
+            lines
+        }, client);
         
         // Actualizar estado de la reserva
         await client.query(`
@@ -947,7 +820,8 @@ router.post('/marketplace/bookings/:booking_id/complete', authenticateToken, asy
             message: 'Servicio completado exitosamente',
             provider_payment: providerAmount,
             commission: commissionAmount,
-            transaction_id: providerTransactionId.rows[0].process_luminarias_transaction
+            transaction_id: payout.transactionIds[req.user.id],
+            journal_id: payout.journalId
         });
     } catch (error) {
         await client.query('ROLLBACK');
@@ -980,16 +854,10 @@ router.post('/conversion/request', authenticateToken, async (req, res) => {
         }
         
         // Verificar que el usuario tiene rol de creador nivel Maestro+
-        const userLevel = await client.query(`
-            SELECT ur.role_id, r.name, r.hierarchy_level
-            FROM user_roles ur 
-            JOIN roles r ON ur.role_id = r.id 
-            WHERE ur.user_id = $1 
-            AND r.name IN ('creador_contenido', 'profesor')
-            AND r.hierarchy_level >= 3
-        `, [req.user.id]);
+        const userRoles = await users.getUserRoles(req.user.id, client);
+        const isMaestro = userRoles.some(role => ['creador', 'profesor'].includes(role.name) && role.hierarchy_level >= 3);
         
-        if (userLevel.rows.length === 0) {
+        if (!isMaestro) {
             return res.status(403).json({ 
                 error: 'Solo creadores nivel Maestro+ pueden convertir Luminarias a dinero real' 
             });
@@ -1011,28 +879,29 @@ router.post('/conversion/request', authenticateToken, async (req, res) => {
         const netAmount = grossAmount - commissionAmount;
         
         // Procesar transacción de conversión
-        const transactionId = await client.query(
-            'SELECT process_luminarias_transaction($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)',
-            [
-                req.user.id,
-                'conversion',
-                parseInt(luminarias_amount),
-                'creator',
-                'conversion',
-                'real_money',
-                'convert_to_money',
-                `Conversión a dinero real: ${luminarias_amount} Luminarias → $${netAmount.toFixed(2)} (comisión: $${commissionAmount.toFixed(2)})`,
-                null,
-                'money_conversion',
-                JSON.stringify({ 
-                    gross_amount: grossAmount,
-                    commission_rate: commissionRate,
-                    commission_amount: commissionAmount,
-                    net_amount: netAmount,
-                    payment_method
-                })
-            ]
-        );
+        const conversion = await ledger.transfer({
+            from: req.user.id,
+            to: 'conversions',
+            amount: luminarias_amount,
+            entryType: 'money_conversion',
+            description: `Conversión a dinero real: ${luminarias_amount} Luminarias → $${netAmount.toFixed(2)} (comisión: $${commissionAmount.toFixed(2)})`,
+            referenceType: 'money_conversion',
+            metadata: { 
+                gross_amount: grossAmount,
+                commission_rate: commissionRate,
+                commission_amount: commissionAmount,
+                net_amount: netAmount,
+                payment_method
+            },
+            createdBy: req.user.id,
+            legacy: {
+                transactionType: 'conversion',
+                userRole: 'creator',
+                category: 'conversion',
+                subcategory: 'real_money',
+                actionType: 'convert_to_money'
+            }
+        }, client);
         
         // Crear registro de conversión
         const conversionResult = await client.query(`
@@ -1044,7 +913,7 @@ router.post('/conversion/request', authenticateToken, async (req, res) => {
             RETURNING *
         `, [
             req.user.id,
-            transactionId.rows[0].process_luminarias_transaction,
+            conversion.transactionIds[req.user.id],
             parseInt(luminarias_amount),
             conversionRate,
             grossAmount,
@@ -1100,15 +969,9 @@ router.get('/conversions', authenticateToken, async (req, res) => {
 router.get('/conversions/pending', authenticateToken, async (req, res) => {
     try {
         // Verificar que es administrador
-        const userRoles = await pool.query(`
-            SELECT r.name 
-            FROM user_roles ur 
-            JOIN roles r ON ur.role_id = r.id 
-            WHERE ur.user_id = $1 
-            AND r.name IN ('administrador_principal', 'administrador_secundario')
-        `, [req.user.id]);
+        const isAdmin = await users.hasRole(req.user.id, ROLE_GROUPS.ADMIN);
         
-        if (userRoles.rows.length === 0) {
+        if (!isAdmin) {
             return res.status(403).json({ error: 'Solo los administradores pueden ver conversiones pendientes' });
         }
         
@@ -1134,15 +997,9 @@ router.get('/conversions/pending', authenticateToken, async (req, res) => {
 router.post('/conversions/:conversion_id/review', authenticateToken, async (req, res) => {
     try {
         // Verificar que es administrador
-        const userRoles = await pool.query(`
-            SELECT r.name 
-            FROM user_roles ur 
-            JOIN roles r ON ur.role_id = r.id 
-            WHERE ur.user_id = $1 
-            AND r.name IN ('administrador_principal', 'administrador_secundario')
-        `, [req.user.id]);
+        const isAdmin = await users.hasRole(req.user.id, ROLE_GROUPS.ADMIN);
         
-        if (userRoles.rows.length === 0) {
+        if (!isAdmin) {
             return res.status(403).json({ error: 'Solo los administradores pueden revisar conversiones' });
         }
         
@@ -1204,12 +1061,7 @@ router.post('/withdraw', authenticateToken, async (req, res) => {
         }
         
         // Verificar balance suficiente
-        const balanceResult = await client.query(
-            'SELECT * FROM get_user_luminarias_stats($1)',
-            [req.user.id]
-        );
-        
-        const currentBalance = balanceResult.rows[0]?.current_balance || 0;
+        const currentBalance = await luminarias.getBalance(req.user.id, client);
         if (currentBalance < amount) {
             return res.status(400).json({ error: 'Balance insuficiente' });
         }
@@ -1238,29 +1090,29 @@ router.post('/withdraw', authenticateToken, async (req, res) => {
         }
         
         // Crear transacción de retiro
-        const transactionId = await client.query(
-            'SELECT process_luminarias_transaction($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)',
-            [
-                req.user.id,
-                'spend',
-                amount,
-                'user',
-                'withdrawal',
+        const withdrawal = await ledger.transfer({
+            from: req.user.id,
+            to: 'conversions',
+            amount,
+            entryType: 'withdrawal',
+            description: `Retiro ${withdrawal_type}: ${amount} Luminarias (${finalAmount} final, fee: ${processingFee})`,
+            referenceType: 'withdrawal_request',
+            metadata: {
                 withdrawal_type,
-                'withdraw_funds',
-                `Retiro ${withdrawal_type}: ${amount} Luminarias (${finalAmount} final, fee: ${processingFee})`,
-                null,
-                'withdrawal_request',
-                JSON.stringify({
-                    withdrawal_type,
-                    payment_method,
-                    payment_details,
-                    processing_fee: processingFee,
-                    final_amount: finalAmount,
-                    notes
-                })
-            ]
-        );
+                payment_method,
+                payment_details,
+                processing_fee: processingFee,
+                final_amount: finalAmount,
+                notes
+            },
+            createdBy: req.user.id,
+            legacy: {
+                userRole: 'user',
+                category: 'withdrawal',
+                subcategory: withdrawal_type,
+                actionType: 'withdraw_funds'
+            }
+        }, client);
         
         // Crear registro de retiro
         const withdrawalResult = await client.query(`
@@ -1271,7 +1123,7 @@ router.post('/withdraw', authenticateToken, async (req, res) => {
             RETURNING *
         `, [
             req.user.id,
-            transactionId.rows[0].process_luminarias_transaction,
+            withdrawal.transactionIds[req.user.id],
             amount,
             processingFee,
             finalAmount,
@@ -1306,17 +1158,9 @@ router.post('/withdraw', authenticateToken, async (req, res) => {
 // Obtener mis retiros
 router.get('/withdrawals', authenticateToken, async (req, res) => {
     try {
-        const result = await pool.query(`
-            SELECT 
-                lw.*,
-                lt.created_at as transaction_date
-            FROM luminarias_withdrawals lw
-            LEFT JOIN luminarias_transactions lt ON lw.transaction_id = lt.id
-            WHERE lw.user_id = $1
-            ORDER BY lw.created_at DESC
-        `, [req.user.id]);
+        const withdrawals = await luminarias.listWithdrawals(req.user.id);
         
-        res.json(result.rows);
+        res.json(withdrawals);
     } catch (error) {
         console.error('Error obteniendo retiros:', error);
         res.status(500).json({ error: 'Error interno del servidor' });
@@ -1359,12 +1203,7 @@ router.post('/conversion/request', authenticateToken, async (req, res) => {
         }
         
         // Verificar balance suficiente
-        const balanceCheck = await pool.query(
-            'SELECT current_balance FROM user_luminarias WHERE user_id = $1',
-            [req.user.id]
-        );
-        
-        const currentBalance = balanceCheck.rows[0]?.current_balance || 0;
+        const currentBalance = await luminarias.getBalance(req.user.id);
         if (currentBalance < luminarias_amount) {
             return res.status(400).json({ 
                 error: 'Balance insuficiente para esta conversión' 
@@ -1409,28 +1248,23 @@ router.post('/conversion/request', authenticateToken, async (req, res) => {
             const conversionId = conversionResult.rows[0].id;
             
             // Crear transacción de Luminarias (reservar fondos)
-            await client.query(`
-                SELECT process_luminarias_transaction(
-                    $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12
-                )
-            `, [
-                req.user.id,
-                'creator',
-                'conversion',
-                'conversion',
-                `Conversión a dinero real - Solicitud #${conversionId}`,
-                -luminarias_amount,
-                'conversion_request',
-                'luminarias_conversions',
-                conversionId,
-                JSON.stringify({
+            await ledger.transfer({
+                from: req.user.id,
+                to: 'conversions',
+                amount: luminarias_amount,
+                entryType: 'conversion_request',
+                description: `Conversión a dinero real - Solicitud #${conversionId}`,
+                referenceType: 'luminarias_conversions',
+                referenceId: conversionId,
+                metadata: {
                     conversion_id: conversionId,
                     payment_method: payment_method,
                     eur_amount: baseEUR.toFixed(2)
-                }),
-                null,
-                null
-            ]);
+                },
+                idempotencyKey: `conversion_request:${conversionId}`,
+                createdBy: req.user.id,
+                legacy: { transactionType: 'conversion', userRole: 'creator', category: 'conversion', actionType: 'conversion_request' }
+            }, client);
             
             await client.query('COMMIT');
             
@@ -1488,12 +1322,8 @@ router.get('/conversion/history', authenticateToken, async (req, res) => {
 // ========== ENDPOINTS ADMINISTRATIVOS DE CONVERSIÓN ==========
 
 // Obtener todas las solicitudes de conversión (admin)
-router.get('/admin/conversions', authenticateToken, async (req, res) => {
+router.get('/admin/conversions', authenticateToken, requireRole(ROLE_GROUPS.ADMIN), async (req, res) => {
     try {
-        // Verificar permisos de administrador
-        if (!req.user.role || !['admin', 'super_admin'].includes(req.user.role)) {
-            return res.status(403).json({ error: 'Acceso denegado' });
-        }
         
         const { status, limit = 50, offset = 0 } = req.query;
         
@@ -1547,12 +1377,8 @@ router.get('/admin/conversions', authenticateToken, async (req, res) => {
 });
 
 // Procesar solicitud de conversión (aprobar/rechazar)
-router.put('/admin/conversions/:id/process', authenticateToken, async (req, res) => {
+router.put('/admin/conversions/:id/process', authenticateToken, requireRole(ROLE_GROUPS.ADMIN), async (req, res) => {
     try {
-        // Verificar permisos de administrador
-        if (!req.user.role || !['admin', 'super_admin'].includes(req.user.role)) {
-            return res.status(403).json({ error: 'Acceso denegado' });
-        }
         
         const { id } = req.params;
         const { action, admin_notes } = req.body; // action: 'approve' o 'reject'
@@ -1602,27 +1428,22 @@ router.put('/admin/conversions/:id/process', authenticateToken, async (req, res)
                 `, [admin_notes, req.user.id, id]);
                 
                 // Devolver Luminarias al usuario
-                await client.query(`
-                    SELECT process_luminarias_transaction(
-                        $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12
-                    )
-                `, [
-                    conversion.user_id,
-                    'creator',
-                    'earn',
-                    'conversion',
-                    `Devolución por conversión rechazada #${id}`,
-                    conversion.luminarias_amount,
-                    'conversion_refund',
-                    'luminarias_conversions',
-                    id,
-                    JSON.stringify({
+                await ledger.transfer({
+                    from: 'conversions',
+                    to: conversion.user_id,
+                    amount: conversion.luminarias_amount,
+                    entryType: 'conversion_refund',
+                    description: `Devolución por conversión rechazada #${id}`,
+                    referenceType: 'luminarias_conversions',
+                    referenceId: parseInt(id),
+                    metadata: {
                         original_conversion_id: id,
                         refund_reason: 'rejected'
-                    }),
-                    null,
-                    null
-                ]);
+                    },
+                    idempotencyKey: `conversion_refund:${id}`,
+                    createdBy: req.user.id,
+                    legacy: { userRole: 'creator', category: 'conversion', actionType: 'conversion_refund' }
+                }, client);
             }
             
             await client.query('COMMIT');
@@ -1650,24 +1471,18 @@ router.put('/admin/conversions/:id/process', authenticateToken, async (req, res)
 // ========== ENDPOINTS ADMINISTRATIVOS ADICIONALES ==========
 
 // Obtener estadísticas generales del sistema (admin)
-router.get('/admin/stats', authenticateToken, async (req, res) => {
+router.get('/admin/stats', authenticateToken, requireRole(ROLE_GROUPS.ADMIN), async (req, res) => {
     try {
-        // Verificar permisos de administrador
-        if (!req.user.role || !['admin', 'super_admin'].includes(req.user.role)) {
-            return res.status(403).json({ error: 'Acceso denegado' });
-        }
         
+        const totals = await luminarias.getSystemTotals();
         const statsResult = await pool.query(`
             SELECT 
-                (SELECT COUNT(*) FROM user_luminarias) as total_users,
-                (SELECT COALESCE(SUM(current_balance), 0) FROM user_luminarias) as total_luminarias,
-                (SELECT COUNT(*) FROM luminarias_transactions) as total_transactions,
                 (SELECT COUNT(*) FROM luminarias_conversions WHERE status = 'pending') as pending_conversions,
                 (SELECT COUNT(*) FROM luminarias_purchases WHERE created_at >= NOW() - INTERVAL '24 hours') as purchases_today,
                 (SELECT COUNT(*) FROM luminarias_marketplace_bookings WHERE created_at >= NOW() - INTERVAL '7 days') as bookings_week
         `);
         
-        res.json(statsResult.rows[0]);
+        res.json({ ...totals, ...statsResult.rows[0] });
     } catch (error) {
         console.error('Error obteniendo estadísticas admin:', error);
         res.status(500).json({ error: 'Error interno del servidor' });
@@ -1675,12 +1490,8 @@ router.get('/admin/stats', authenticateToken, async (req, res) => {
 });
 
 // Obtener configuraciones del sistema (admin)
-router.get('/admin/config', authenticateToken, async (req, res) => {
+router.get('/admin/config', authenticateToken, requireRole(ROLE_GROUPS.ADMIN), async (req, res) => {
     try {
-        // Verificar permisos de administrador
-        if (!req.user.role || !['admin', 'super_admin'].includes(req.user.role)) {
-            return res.status(403).json({ error: 'Acceso denegado' });
-        }
         
         const result = await pool.query(`
             SELECT * FROM luminarias_config 
@@ -1695,12 +1506,8 @@ router.get('/admin/config', authenticateToken, async (req, res) => {
 });
 
 // Actualizar configuración específica (admin)
-router.put('/admin/config/:id', authenticateToken, async (req, res) => {
+router.put('/admin/config/:id', authenticateToken, requireRole(ROLE_GROUPS.ADMIN), async (req, res) => {
     try {
-        // Verificar permisos de administrador
-        if (!req.user.role || !['admin', 'super_admin'].includes(req.user.role)) {
-            return res.status(403).json({ error: 'Acceso denegado' });
-        }
         
         const { id } = req.params;
         const { min_value, max_value } = req.body;
@@ -1734,12 +1541,8 @@ router.put('/admin/config/:id', authenticateToken, async (req, res) => {
 });
 
 // Buscar usuarios (admin)
-router.get('/admin/users/search', authenticateToken, async (req, res) => {
+router.get('/admin/users/search', authenticateToken, requireRole(ROLE_GROUPS.ADMIN), async (req, res) => {
     try {
-        // Verificar permisos de administrador
-        if (!req.user.role || !['admin', 'super_admin'].includes(req.user.role)) {
-            return res.status(403).json({ error: 'Acceso denegado' });
-        }
         
         const { q, limit = 20 } = req.query;
         
@@ -1747,25 +1550,9 @@ router.get('/admin/users/search', authenticateToken, async (req, res) => {
             return res.status(400).json({ error: 'Query de búsqueda debe tener al menos 2 caracteres' });
         }
         
-        const result = await pool.query(`
-            SELECT 
-                u.id,
-                u.nickname,
-                u.email,
-                u.creator_level,
-                u.created_at,
-                ul.current_balance,
-                ul.total_earned,
-                ul.total_spent,
-                ul.last_activity
-            FROM users u
-            LEFT JOIN user_luminarias ul ON u.id = ul.user_id
-            WHERE u.nickname ILIKE $1 OR u.email ILIKE $1
-            ORDER BY u.created_at DESC
-            LIMIT $2
-        `, [`%${q}%`, parseInt(limit)]);
+        const accounts = await luminarias.searchAccounts(q, { limit });
         
-        res.json(result.rows);
+        res.json(accounts);
     } catch (error) {
         console.error('Error buscando usuarios:', error);
         res.status(500).json({ error: 'Error interno del servidor' });
@@ -1773,12 +1560,8 @@ router.get('/admin/users/search', authenticateToken, async (req, res) => {
 });
 
 // Ajustar balance de usuario (admin)
-router.post('/admin/users/:userId/adjust-balance', authenticateToken, async (req, res) => {
+router.post('/admin/users/:userId/adjust-balance', authenticateToken, requireRole(ROLE_GROUPS.ADMIN), async (req, res) => {
     try {
-        // Verificar permisos de administrador
-        if (!req.user.role || !['admin', 'super_admin'].includes(req.user.role)) {
-            return res.status(403).json({ error: 'Acceso denegado' });
-        }
         
         const { userId } = req.params;
         const { amount, reason } = req.body;
@@ -1803,28 +1586,22 @@ router.post('/admin/users/:userId/adjust-balance', authenticateToken, async (req
             await client.query('BEGIN');
             
             // Procesar transacción de ajuste
-            await client.query(`
-                SELECT process_luminarias_transaction(
-                    $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12
-                )
-            `, [
-                userId,
-                'user', // Rol por defecto para ajustes
-                amount > 0 ? 'earn' : 'spend',
-                'admin_adjustment',
-                `Ajuste administrativo: ${reason}`,
-                amount,
-                'admin_adjustment',
-                'users',
-                req.user.id,
-                JSON.stringify({
+            await ledger.transfer({
+                from: amount > 0 ? 'issuance' : parseInt(userId),
+                to: amount > 0 ? parseInt(userId) : 'spending',
+                amount: Math.abs(amount),
+                entryType: 'admin_adjustment',
+                description: `Ajuste administrativo: ${reason}`,
+                referenceType: 'users',
+                referenceId: req.user.id,
+                metadata: {
                     admin_id: req.user.id,
                     adjustment_reason: reason,
                     original_amount: amount
-                }),
-                null,
-                null
-            ]);
+                },
+                createdBy: req.user.id,
+                legacy: { userRole: 'user', category: 'admin_adjustment', actionType: 'admin_adjustment' } // Rol por defecto para ajustes
+            }, client);
             
             await client.query('COMMIT');
             
@@ -1852,4 +1629,26 @@ router.post('/admin/users/:userId/adjust-balance', authenticateToken, async (req
     }
 });
 
+// ========== LIBRO MAYOR ==========
+
+// La conciliación del libro mayor está en routes/ledger-admin.js (/api/admin/ledger)
+
+// Movimientos del usuario en el libro mayor
+router.get('/ledger', authenticateToken, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const offset = parseInt(req.query.offset) || 0;
+        
+        const [balance, entries] = await Promise.all([
+            ledger.getBalance(req.user.id),
+            ledger.getStatement(req.user.id, { limit, offset })
+        ]);
+        
+        res.json({ balance, entries });
+    } catch (error) {
+        console.error('Error obteniendo libro mayor:', error);
+        res.status(500).json({ error: 'Error interno del servidor' });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,208 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { requireRole, ROLE_GROUPS } = require('../middleware/policy');
+const NotificationDispatcher = require('../notification-dispatcher');
+const NotificationInbox = require('../notification-inbox');
+
+const dispatcher = NotificationDispatcher.shared();
+const inbox = new NotificationInbox(dispatcher);
+
+function sendNotificationError(res, error, fallbackMessage) {
+    if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    console.error(`${fallbackMessage}:`, error);
+    res.status(500).json({ error: fallbackMessage, details: error.message });
+}
+
+// ==================== BANDEJA ====================
+
+// Bandeja unificada de niveles, retos y soporte, de la más reciente a la más antigua.
+// ?source=levels,support&type=level_up,new_message&unread_only=true&limit=20&cursor=<nextCursor>
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const page = await inbox.list(req.user.id, {
+            sources: req.query.source,
+            types: req.query.type,
+            unreadOnly: req.query.unread_only,
+            cursor: req.query.cursor,
+            limit: req.query.limit
+        });
+        const unread = await inbox.getUnreadCounts(req.user.id);
+
+        res.json({ ...page, unread });
+    } catch (error) {
+        sendNotificationError(res, error, 'Error obteniendo notificaciones');
+    }
+});
+
+router.get('/unread-count', authenticateToken, async (req, res) => {
+    try {
+        res.json(await inbox.getUnreadCounts(req.user.id));
+    } catch (error) {
+        sendNotificationError(res, error, 'Error contando notificaciones');
+    }
+});
+
+// Marcar todas como leídas; opcionalmente solo { sources, types } o las anteriores a { before }
+router.post('/read-all', authenticateToken, async (req, res) => {
+    try {
+        const result = await inbox.markAllRead(req.user.id, {
+            sources: req.body.sources,
+            types: req.body.types,
+            before: req.body.before
+        });
+        res.json(result);
+    } catch (error) {
+        sendNotificationError(res, error, 'Error marcando notificaciones');
+    }
+});
+
+router.post('/:source/:id/read', authenticateToken, async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        if (isNaN(id)) {
+            return res.status(404).json({ error: 'Notificación no encontrada' });
+        }
+
+        res.json(await inbox.markRead(req.user.id, req.params.source, id));
+    } catch (error) {
+        sendNotificationError(res, error, 'Error marcando notificación');
+    }
+});
+
+// ==================== TIPOS SILENCIADOS ====================
+
+router.get('/mutes', authenticateToken, async (req, res) => {
+    try {
+        res.json({ mutedTypes: await inbox.getMutedTypes(req.user.id) });
+    } catch (error) {
+        sendNotificationError(res, error, 'Error obteniendo tipos silenciados');
+    }
+});
+
+router.put('/mutes/:source/:type', authenticateToken, async (req, res) => {
+    try {
+        res.json(await inbox.setMuted(req.user.id, req.params.source, req.params.type, true));
+    } catch (error) {
+        sendNotificationError(res, error, 'Error silenciando notificaciones');
+    }
+});
+
+router.delete('/mutes/:source/:type', authenticateToken, async (req, res) => {
+    try {
+        res.json(await inbox.setMuted(req.user.id, req.params.source, req.params.type, false));
+    } catch (error) {
+        sendNotificationError(res, error, 'Error reactivando notificaciones');
+    }
+});
+
+// ==================== WEB PUSH ====================
+
+// Clave pública para PushManager.subscribe({ applicationServerKey })
+router.get('/push/public-key', (req, res) => {
+    const publicKey = dispatcher.getVapidPublicKey();
+    if (!publicKey) {
+        return res.status(503).json({ error: 'Las notificaciones push no están configuradas' });
+    }
+    res.json({ publicKey });
+});
+
+// Registrar la suscripción del navegador (PushSubscription.toJSON())
+router.post('/push/subscriptions', authenticateToken, async (req, res) => {
+    try {
+        const subscription = await dispatcher.savePushSubscription(
+            req.user.id,
+            req.body.subscription || req.body,
+            req.get('User-Agent') || null
+        );
+        res.status(201).json({ subscription });
+    } catch (error) {
+        sendNotificationError(res, error, 'Error registrando suscripción push');
+    }
+});
+
+router.delete('/push/subscriptions', authenticateToken, async (req, res) => {
+    try {
+        const { endpoint } = req.body;
+        if (!endpoint) {
+            return res.status(400).json({ error: 'endpoint es obligatorio' });
+        }
+
+        const result = await dispatcher.removePushSubscription(req.user.id, endpoint);
+        if (!result.removed) {
+            return res.status(404).json({ error: 'Suscripción no encontrada' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        sendNotificationError(res, error, 'Error eliminando suscripción push');
+    }
+});
+
+// ==================== PREFERENCIAS ====================
+
+// Preferencias compartidas por niveles, retos y soporte: tipos silenciados, canales y email_digest
+router.get('/preferences', authenticateToken, async (req, res) => {
+    try {
+        const preferences = await dispatcher.getPreferences(req.user.id);
+        res.json({ preferences, digestModes: NotificationDispatcher.DIGEST_MODES });
+    } catch (error) {
+        sendNotificationError(res, error, 'Error obteniendo preferencias');
+    }
+});
+
+router.put('/preferences', authenticateToken, async (req, res) => {
+    try {
+        const preferences = await dispatcher.updatePreferences(req.user.id, req.body);
+        res.json({ preferences });
+    } catch (error) {
+        sendNotificationError(res, error, 'Error actualizando preferencias');
+    }
+});
+
+// ==================== ESTADO DE ENTREGA ====================
+
+router.get('/:source/:id/deliveries', authenticateToken, async (req, res) => {
+    try {
+        const { source } = req.params;
+        const id = parseInt(req.params.id);
+        if (!NotificationDispatcher.SOURCES[source] || isNaN(id)) {
+            return res.status(404).json({ error: 'Notificación no encontrada' });
+        }
+
+        const deliveries = await dispatcher.getDeliveries(req.user.id, source, id);
+        res.json({ source, id, deliveries });
+    } catch (error) {
+        sendNotificationError(res, error, 'Error obteniendo estado de entrega');
+    }
+});
+
+// ==================== ADMINISTRACIÓN ====================
+
+router.get('/admin/delivery-stats', authenticateToken, requireRole(ROLE_GROUPS.ADMIN), async (req, res) => {
+    try {
+        const hours = Math.min(Math.max(parseInt(req.query.hours) || 24, 1), 24 * 30);
+        const stats = await dispatcher.getDeliveryStats(hours);
+
+        // El envío de resúmenes y reintentos es el trabajo notifications.process_queue
+        const jobs = global.jobQueue ? await global.jobQueue.listJobs() : [];
+        const job = jobs.find(entry => entry.name === 'notifications.process_queue') || null;
+
+        res.json({ ...stats, job });
+    } catch (error) {
+        sendNotificationError(res, error, 'Error obteniendo estadísticas de entrega');
+    }
+});
+
+// Enviar ya los resúmenes y reintentos vencidos
+router.post('/admin/process-queue', authenticateToken, requireRole(ROLE_GROUPS.ADMIN), async (req, res) => {
+    try {
+        const summary = await dispatcher.processQueue();
+        res.json({ success: true, summary });
+    } catch (error) {
+        sendNotificationError(res, error, 'Error procesando la cola de notificaciones');
+    }
+});
+
+module.exports = router;
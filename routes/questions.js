@@ -1,16 +1,33 @@
 const express = require('express');
+const multer = require('multer');
 const { pool } = require('../database/connection');
 const { authenticateToken } = require('../middleware/auth');
+const { requireQuestionOwner } = require('../middleware/policy');
+const QuestionImportParser = require('../question-import');
+const QuestionTypes = require('../question-types');
+const QuestionRevisionStore = require('../question-revisions');
 
 const router = express.Router();
 
+// Question bank files are parsed in memory, never stored
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB
+    files: 1
+  }
+});
+
+const IMPORT_FORMATS = ['csv', 'gift', 'aiken'];
+
+const questionTypes = new QuestionTypes();
+const questionRevisions = new QuestionRevisionStore();
+
 // Add question to block
 router.post('/', authenticateToken, async (req, res) => {
   const client = await pool.connect();
   try {
-    await client.query('BEGIN');
-
-    const { blockId, textoPregunta, tema, respuestas, difficulty = 1, explicacionRespuesta } = req.body;
+    const { blockId, textoPregunta, tema, difficulty = 1, explicacionRespuesta } = req.body;
 
     console.log(`📝 Backend received question:`, {
       blockId,
@@ -27,17 +44,23 @@ router.post('/', authenticateToken, async (req, res) => {
       });
     }
 
-    if (!blockId || !textoPregunta || !respuestas || respuestas.length < 2) {
+    if (!blockId || !textoPregunta) {
       return res.status(400).json({ 
-        error: 'Block ID, question text, and at least 2 answers are required' 
+        error: 'Block ID and question text are required' 
       });
     }
 
+    // Each question type has its own answer rules (see question-types.js)
+    const typeProblem = questionTypes.validate(req.body);
+    if (typeProblem) {
+      return res.status(400).json({ error: typeProblem, questionType: req.body.tipoPregunta || 'single_choice' });
+    }
+
     // Check if user owns the block
     const blockCheck = await client.query(`
       SELECT b.id, ur.user_id 
       FROM blocks b
-      LEFT JOIN user_roles ur ON b.user_role_id = ur.id
+      LEFT JOIN unified_user_roles ur ON b.user_role_id = ur.id
       WHERE b.id = $1
     `, [blockId]);
 
@@ -49,21 +72,29 @@ router.post('/', authenticateToken, async (req, res) => {
       return res.status(403).json({ error: 'Not authorized to add questions to this block' });
     }
 
+    // Validation done: the transaction only wraps the writes
+    await client.query('BEGIN');
+
+    const { type, typeConfig, answers } = questionTypes.toStorage(req.body);
+
     // Create question
     const questionResult = await client.query(
-      'INSERT INTO questions (block_id, text_question, topic, difficulty, explanation) VALUES ($1, $2, $3, $4, $5) RETURNING id',
-      [blockId, textoPregunta, tema, difficulty, explicacionRespuesta]
+      'INSERT INTO questions (block_id, text_question, topic, difficulty, explanation, question_type, type_config) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id',
+      [blockId, textoPregunta, tema, difficulty, explicacionRespuesta, type, JSON.stringify(typeConfig)]
     );
 
     const questionId = questionResult.rows[0].id;
 
     // Add answers
-    for (const respuesta of respuestas) {
-      await client.query(
-        'INSERT INTO answers (question_id, answer_text, is_correct) VALUES ($1, $2, $3)',
-        [questionId, respuesta.textoRespuesta, respuesta.esCorrecta]
-      );
-    }
+    await insertAnswers(client, questionId, answers);
+
+    // First revision of the question
+    await questionRevisions.record(client, {
+      questionId,
+      action: 'create',
+      after: await questionRevisions.snapshot(client, questionId),
+      userId: req.user.id
+    });
 
     // Update statistics tables: block_answers and topic_answers
     console.log('📊 Updating statistics tables...');
@@ -107,50 +138,75 @@ router.post('/', authenticateToken, async (req, res) => {
 });
 
 // Update question
-router.put('/:id', authenticateToken, async (req, res) => {
+router.put('/:id', authenticateToken, requireQuestionOwner(), async (req, res) => {
   const client = await pool.connect();
   try {
     await client.query('BEGIN');
 
     const questionId = req.params.id;
-    const { textoPregunta, tema, respuestas, difficulty } = req.body;
+    const { textoPregunta, tema, difficulty } = req.body;
 
-    // Check if user owns the question's block
+    // Ownership is checked by requireQuestionOwner; lock the row for the update
     const ownerCheck = await client.query(`
-      SELECT b.id, ur.user_id
+      SELECT b.id, ur.user_id, q.question_type, q.type_config
       FROM questions q
       JOIN blocks b ON q.block_id = b.id
-      LEFT JOIN user_roles ur ON b.user_role_id = ur.id
+      LEFT JOIN unified_user_roles ur ON b.user_role_id = ur.id
       WHERE q.id = $1
+      FOR UPDATE OF q
     `, [questionId]);
 
     if (ownerCheck.rows.length === 0) {
+      await client.query('ROLLBACK');
       return res.status(404).json({ error: 'Question not found' });
     }
 
-    if (ownerCheck.rows[0].user_id !== req.user.id) {
-      return res.status(403).json({ error: 'Not authorized to modify this question' });
+    const before = await questionRevisions.snapshot(client, questionId);
+
+    // The type is kept unless the client changes it explicitly
+    const questionData = {
+      ...req.body,
+      tipoPregunta: req.body.tipoPregunta || ownerCheck.rows[0].question_type,
+      configuracionTipo: req.body.configuracionTipo || ownerCheck.rows[0].type_config
+    };
+
+    const typeProblem = questionTypes.validate(questionData);
+    if (typeProblem) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: typeProblem, questionType: questionData.tipoPregunta });
     }
 
+    const { type, typeConfig, answers } = questionTypes.toStorage(questionData);
+
     // Update question
     await client.query(
-      'UPDATE questions SET text_question = $1, topic = $2, difficulty = $3, updated_at = CURRENT_TIMESTAMP WHERE id = $4',
-      [textoPregunta, tema, difficulty, questionId]
+      'UPDATE questions SET text_question = $1, topic = $2, difficulty = $3, question_type = $4, type_config = $5, updated_at = CURRENT_TIMESTAMP WHERE id = $6',
+      [textoPregunta, tema, difficulty, type, JSON.stringify(typeConfig), questionId]
     );
 
     // Delete old answers and add new ones
     await client.query('DELETE FROM answers WHERE question_id = $1', [questionId]);
 
-    for (const respuesta of respuestas) {
-      await client.query(
-        'INSERT INTO answers (question_id, answer_text, is_correct) VALUES ($1, $2, $3)',
-        [questionId, respuesta.textoRespuesta, respuesta.esCorrecta]
-      );
+    await insertAnswers(client, questionId, answers);
+
+    const after = await questionRevisions.snapshot(client, questionId);
+    const revision = await questionRevisions.record(client, {
+      questionId,
+      action: 'update',
+      before,
+      after,
+      userId: req.user.id
+    });
+
+    // Moving the question to another topic moves it in topic_answers too
+    if (before.tema !== after.tema) {
+      await adjustQuestionStats(client, ownerCheck.rows[0].id, before.tema, -1, { blockTotal: false });
+      await adjustQuestionStats(client, ownerCheck.rows[0].id, after.tema, 1, { blockTotal: false });
     }
 
     await client.query('COMMIT');
 
-    res.json({ message: 'Question updated successfully' });
+    res.json({ message: 'Question updated successfully', revisionNumber: revision.revision_number });
 
   } catch (error) {
     await client.query('ROLLBACK');
@@ -162,33 +218,169 @@ router.put('/:id', authenticateToken, async (req, res) => {
 });
 
 // Delete question
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id', authenticateToken, requireQuestionOwner({ message: 'Not authorized to delete this question' }), async (req, res) => {
+  const client = await pool.connect();
   try {
+    await client.query('BEGIN');
+
     const questionId = req.params.id;
 
-    // Check if user owns the question's block
-    const ownerCheck = await pool.query(`
+    // Ownership is checked by requireQuestionOwner; lock the row for the delete
+    const ownerCheck = await client.query(`
       SELECT b.id, ur.user_id
       FROM questions q
       JOIN blocks b ON q.block_id = b.id
-      LEFT JOIN user_roles ur ON b.user_role_id = ur.id
+      LEFT JOIN unified_user_roles ur ON b.user_role_id = ur.id
       WHERE q.id = $1
+      FOR UPDATE OF q
     `, [questionId]);
 
     if (ownerCheck.rows.length === 0) {
+      await client.query('ROLLBACK');
       return res.status(404).json({ error: 'Question not found' });
     }
 
-    if (ownerCheck.rows[0].user_id !== req.user.id) {
-      return res.status(403).json({ error: 'Not authorized to delete this question' });
-    }
+    // Keep the last version so the question can be restored later
+    const before = await questionRevisions.snapshot(client, questionId);
+    await questionRevisions.record(client, { questionId, action: 'delete', before, userId: req.user.id });
+
+    await client.query('DELETE FROM questions WHERE id = $1', [questionId]);
 
-    await pool.query('DELETE FROM questions WHERE id = $1', [questionId]);
+    await adjustQuestionStats(client, ownerCheck.rows[0].id, before.tema, -1);
+
+    await client.query('COMMIT');
 
     res.json({ message: 'Question deleted successfully' });
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('Error deleting question:', error);
     res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// List the revisions of a question (also available after it was deleted)
+router.get('/:id/revisions', authenticateToken, async (req, res) => {
+  try {
+    const questionId = parseInt(req.params.id);
+    if (isNaN(questionId)) {
+      return res.status(400).json({ error: 'Question id must be numeric' });
+    }
+
+    const access = await checkRevisionAccess(pool, questionId, req.user.id);
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const revisions = await questionRevisions.listRevisions(questionId);
+
+    res.json({
+      questionId,
+      blockId: access.blockId,
+      revisions
+    });
+
+  } catch (error) {
+    console.error('Error fetching question revisions:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Restore a previous revision; recreates the question if it was deleted
+router.post('/:id/revisions/:revisionId/rollback', authenticateToken, async (req, res) => {
+  const questionId = parseInt(req.params.id);
+  const revisionId = parseInt(req.params.revisionId);
+  if (isNaN(questionId) || isNaN(revisionId)) {
+    return res.status(400).json({ error: 'Question and revision ids must be numeric' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const access = await checkRevisionAccess(client, questionId, req.user.id);
+    if (access.error) {
+      await client.query('ROLLBACK');
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const revision = await questionRevisions.getRevision(client, questionId, revisionId);
+    if (!revision) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    await client.query('SELECT id FROM questions WHERE id = $1 FOR UPDATE', [questionId]);
+    const before = await questionRevisions.snapshot(client, questionId);
+    const target = revision.snapshot;
+
+    // Snapshots saved under older type rules may no longer be a valid question
+    const typeProblem = questionTypes.validate(target);
+    if (typeProblem) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: `This revision is not a valid question anymore: ${typeProblem}`, revisionId });
+    }
+
+    const { type, typeConfig, answers } = questionTypes.toStorage(target);
+
+    if (before) {
+      await client.query(`
+        UPDATE questions
+        SET text_question = $1, topic = $2, difficulty = $3, explanation = $4,
+          question_type = $5, type_config = $6, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $7
+      `, [target.textoPregunta, target.tema, target.difficulty, target.explicacionRespuesta, type, JSON.stringify(typeConfig), questionId]);
+
+      await client.query('DELETE FROM answers WHERE question_id = $1', [questionId]);
+    } else {
+      // Deleted question: bring it back with its original id so its revision history stays attached.
+      // Answer history and review items are not recovered: they were deleted with the question (ON DELETE CASCADE)
+      await client.query(`
+        INSERT INTO questions (id, block_id, text_question, topic, difficulty, explanation, question_type, type_config)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      `, [questionId, access.blockId, target.textoPregunta, target.tema, target.difficulty, target.explicacionRespuesta, type, JSON.stringify(typeConfig)]);
+    }
+
+    await insertAnswers(client, questionId, answers);
+
+    // Keep block_answers/topic_answers in line with the restored topic
+    if (!before) {
+      await adjustQuestionStats(client, access.blockId, target.tema, 1);
+    } else if (before.tema !== target.tema) {
+      await adjustQuestionStats(client, access.blockId, before.tema, -1, { blockTotal: false });
+      await adjustQuestionStats(client, access.blockId, target.tema, 1, { blockTotal: false });
+    }
+
+    const after = await questionRevisions.snapshot(client, questionId);
+    const rollback = await questionRevisions.record(client, {
+      questionId,
+      action: 'rollback',
+      before,
+      after,
+      userId: req.user.id,
+      restoredFrom: revision.id
+    });
+
+    await client.query('COMMIT');
+
+    console.log(`⏪ Question ${questionId} restored to revision ${revision.revision_number} by user ${req.user.id}`);
+
+    res.json({
+      message: 'Question restored successfully',
+      questionId,
+      restoredRevision: revision.revision_number,
+      revisionNumber: rollback.revision_number,
+      recreated: !before,
+      question: after
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error restoring question revision:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
   }
 });
 
@@ -215,7 +407,7 @@ router.post('/bulk', authenticateToken, async (req, res) => {
     const blockCheck = await client.query(`
       SELECT b.id, ur.user_id 
       FROM blocks b
-      LEFT JOIN user_roles ur ON b.user_role_id = ur.id
+      LEFT JOIN unified_user_roles ur ON b.user_role_id = ur.id
       WHERE b.id = $1
     `, [blockId]);
 
@@ -227,75 +419,35 @@ router.post('/bulk', authenticateToken, async (req, res) => {
       return res.status(403).json({ error: 'Not authorized to add questions to this block' });
     }
 
-    const createdQuestions = [];
-    const topicCounts = {};
-
-    // Process each question
-    for (const questionData of questions) {
-      const { textoPregunta, tema, respuestas, difficulty = 1, explicacionRespuesta } = questionData;
+    // Validate every question before inserting anything
+    for (const [index, questionData] of questions.entries()) {
+      const { textoPregunta, tema } = questionData;
 
       // CRITICAL: Validate that tema is preserved (topic separation protection)
       if (!tema || tema.trim() === '' || tema === 'General') {
         console.error('🚨 CRITICAL: Question received with invalid/missing tema:', { tema, blockId, question: textoPregunta?.substring(0, 30) });
+        await client.query('ROLLBACK');
         return res.status(400).json({ 
           error: 'CRITICAL: Topic (tema) is required and cannot be empty or \"General\". Topic separation functionality compromised.',
           receivedTema: tema
         });
       }
 
-      if (!textoPregunta || !respuestas || respuestas.length < 2) {
+      if (!textoPregunta) {
+        await client.query('ROLLBACK');
         return res.status(400).json({ 
-          error: 'Question text and at least 2 answers are required for each question' 
+          error: 'Question text is required for each question' 
         });
       }
 
-      // Create question
-      const questionResult = await client.query(
-        'INSERT INTO questions (block_id, text_question, topic, difficulty, explanation) VALUES ($1, $2, $3, $4, $5) RETURNING id',
-        [blockId, textoPregunta, tema, difficulty, explicacionRespuesta]
-      );
-
-      const questionId = questionResult.rows[0].id;
-      createdQuestions.push(questionId);
-
-      // Add answers
-      for (const respuesta of respuestas) {
-        await client.query(
-          'INSERT INTO answers (question_id, answer_text, is_correct) VALUES ($1, $2, $3)',
-          [questionId, respuesta.textoRespuesta, respuesta.esCorrecta]
-        );
+      const typeProblem = questionTypes.validate(questionData);
+      if (typeProblem) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: typeProblem, questionIndex: index, questionType: questionData.tipoPregunta || 'single_choice' });
       }
-
-      // Count topics for bulk statistics update
-      topicCounts[tema] = (topicCounts[tema] || 0) + 1;
-    }
-
-    // Update statistics tables in bulk
-    console.log('📊 Updating statistics tables for bulk operation...');
-    
-    // Update block_answers (total questions per block)
-    await client.query(`
-      INSERT INTO block_answers (block_id, total_questions) 
-      VALUES ($1, $2) 
-      ON CONFLICT (block_id) 
-      DO UPDATE SET 
-        total_questions = block_answers.total_questions + $2,
-        updated_at = CURRENT_TIMESTAMP
-    `, [blockId, questions.length]);
-
-    // Update topic_answers (total questions per topic in block)
-    for (const [topic, count] of Object.entries(topicCounts)) {
-      await client.query(`
-        INSERT INTO topic_answers (block_id, topic, total_questions) 
-        VALUES ($1, $2, $3) 
-        ON CONFLICT (block_id, topic) 
-        DO UPDATE SET 
-          total_questions = topic_answers.total_questions + $3,
-          updated_at = CURRENT_TIMESTAMP
-      `, [blockId, topic, count]);
     }
 
-    console.log(`✅ Bulk statistics updated - Block ${blockId}, ${questions.length} questions, Topics: ${Object.keys(topicCounts).join(', ')}`);
+    const createdQuestions = await insertQuestionsWithStats(client, blockId, questions, req.user.id);
 
     await client.query('COMMIT');
 
@@ -314,4 +466,219 @@ router.post('/bulk', authenticateToken, async (req, res) => {
   }
 });
 
+// Import questions from a CSV, GIFT (Moodle) or Aiken file
+// multipart fields: file, blockId, format (csv|gift|aiken|auto), defaultTopic, dryRun, skipInvalid
+router.post('/import', authenticateToken, importUpload.single('file'), async (req, res) => {
+  try {
+    const blockId = parseInt(req.body.blockId);
+    const dryRun = req.body.dryRun === 'true' || req.body.dryRun === true;
+    const skipInvalid = req.body.skipInvalid === 'true' || req.body.skipInvalid === true;
+
+    if (!req.file || isNaN(blockId)) {
+      return res.status(400).json({ error: 'Block ID and a question file are required' });
+    }
+
+    const content = req.file.buffer.toString('utf8');
+    const parser = new QuestionImportParser({ defaultTopic: req.body.defaultTopic });
+    const requestedFormat = (req.body.format || 'auto').toLowerCase();
+    const format = requestedFormat === 'auto'
+      ? parser.detectFormat(content, req.file.originalname)
+      : requestedFormat;
+
+    if (!IMPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Unsupported format: ${format}`, supportedFormats: IMPORT_FORMATS });
+    }
+
+    // Check if user owns the block
+    const blockCheck = await pool.query(`
+      SELECT b.id, ur.user_id 
+      FROM blocks b
+      LEFT JOIN unified_user_roles ur ON b.user_role_id = ur.id
+      WHERE b.id = $1
+    `, [blockId]);
+
+    if (blockCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Block not found' });
+    }
+
+    if (blockCheck.rows[0].user_id !== req.user.id) {
+      return res.status(403).json({ error: 'Not authorized to add questions to this block' });
+    }
+
+    const { questions, errors } = parser.parse(content, format);
+
+    console.log(`📥 Import ${format} for block ${blockId}: ${questions.length} valid, ${errors.length} errors, dryRun=${dryRun}`);
+
+    if (dryRun) {
+      return res.json({
+        dryRun: true,
+        format,
+        questions,
+        errors,
+        validCount: questions.length,
+        errorCount: errors.length
+      });
+    }
+
+    if (questions.length === 0 || (errors.length > 0 && !skipInvalid)) {
+      return res.status(400).json({
+        error: questions.length === 0
+          ? 'No valid questions found in file'
+          : 'File contains errors; fix them or resend with skipInvalid=true',
+        format,
+        errors,
+        validCount: questions.length,
+        errorCount: errors.length
+      });
+    }
+
+    // Everything above is validation; the transaction only wraps the inserts
+    const client = await pool.connect();
+    let createdQuestions;
+    try {
+      await client.query('BEGIN');
+      createdQuestions = await insertQuestionsWithStats(client, blockId, questions, req.user.id);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    res.status(201).json({
+      message: `${createdQuestions.length} questions imported successfully`,
+      format,
+      questionIds: createdQuestions,
+      questionsCreated: createdQuestions.length,
+      skipped: errors
+    });
+
+  } catch (error) {
+    console.error('Error importing questions:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Insert questions with their answers and update block_answers/topic_answers statistics.
+// Shared by bulk add and file import; runs inside the caller's transaction.
+async function insertQuestionsWithStats(client, blockId, questions, userId) {
+  const createdQuestions = [];
+  const topicCounts = {};
+
+  for (const questionData of questions) {
+    const { textoPregunta, tema, difficulty = 1, explicacionRespuesta } = questionData;
+    const { type, typeConfig, answers } = questionTypes.toStorage(questionData);
+
+    // Create question
+    const questionResult = await client.query(
+      'INSERT INTO questions (block_id, text_question, topic, difficulty, explanation, question_type, type_config) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id',
+      [blockId, textoPregunta, tema, difficulty, explicacionRespuesta, type, JSON.stringify(typeConfig)]
+    );
+
+    const questionId = questionResult.rows[0].id;
+    createdQuestions.push(questionId);
+
+    // Add answers
+    await insertAnswers(client, questionId, answers);
+
+    await questionRevisions.record(client, {
+      questionId,
+      action: 'create',
+      after: await questionRevisions.snapshot(client, questionId),
+      userId
+    });
+
+    // Count topics for bulk statistics update
+    topicCounts[tema] = (topicCounts[tema] || 0) + 1;
+  }
+
+  // Update statistics tables in bulk
+  console.log('📊 Updating statistics tables for bulk operation...');
+  
+  // Update block_answers (total questions per block)
+  await client.query(`
+    INSERT INTO block_answers (block_id, total_questions) 
+    VALUES ($1, $2) 
+    ON CONFLICT (block_id) 
+    DO UPDATE SET 
+      total_questions = block_answers.total_questions + $2,
+      updated_at = CURRENT_TIMESTAMP
+  `, [blockId, questions.length]);
+
+  // Update topic_answers (total questions per topic in block)
+  for (const [topic, count] of Object.entries(topicCounts)) {
+    await client.query(`
+      INSERT INTO topic_answers (block_id, topic, total_questions) 
+      VALUES ($1, $2, $3) 
+      ON CONFLICT (block_id, topic) 
+      DO UPDATE SET 
+        total_questions = topic_answers.total_questions + $3,
+        updated_at = CURRENT_TIMESTAMP
+    `, [blockId, topic, count]);
+  }
+
+  console.log(`✅ Bulk statistics updated - Block ${blockId}, ${questions.length} questions, Topics: ${Object.keys(topicCounts).join(', ')}`);
+
+  return createdQuestions;
+}
+
+// Insert the answer rows produced by QuestionTypes.toStorage (order/match only used by ordering and matching)
+async function insertAnswers(client, questionId, answers) {
+  for (const answer of answers) {
+    await client.query(
+      'INSERT INTO answers (question_id, answer_text, is_correct, answer_order, match_text) VALUES ($1, $2, $3, $4, $5)',
+      [questionId, answer.text, answer.isCorrect, answer.order, answer.match]
+    );
+  }
+}
+
+// Add delta questions to a topic (and, unless disabled, to the block total), never going below zero
+async function adjustQuestionStats(client, blockId, topic, delta, { blockTotal = true } = {}) {
+  if (blockTotal) {
+    await client.query(`
+      INSERT INTO block_answers (block_id, total_questions)
+      VALUES ($1, GREATEST($2, 0))
+      ON CONFLICT (block_id)
+      DO UPDATE SET
+        total_questions = GREATEST(block_answers.total_questions + $2, 0),
+        updated_at = CURRENT_TIMESTAMP
+    `, [blockId, delta]);
+  }
+
+  await client.query(`
+    INSERT INTO topic_answers (block_id, topic, total_questions)
+    VALUES ($1, $2, GREATEST($3, 0))
+    ON CONFLICT (block_id, topic)
+    DO UPDATE SET
+      total_questions = GREATEST(topic_answers.total_questions + $3, 0),
+      updated_at = CURRENT_TIMESTAMP
+  `, [blockId, topic, delta]);
+}
+
+// Revisions are visible to the owner of the question's block, even after the question was deleted
+async function checkRevisionAccess(db, questionId, userId) {
+  const blockId = await questionRevisions.findBlockId(db, questionId);
+  if (!blockId) {
+    return { status: 404, error: 'Question not found' };
+  }
+
+  const ownerCheck = await db.query(`
+    SELECT b.id, ur.user_id
+    FROM blocks b
+    LEFT JOIN unified_user_roles ur ON b.user_role_id = ur.id
+    WHERE b.id = $1
+  `, [blockId]);
+
+  if (ownerCheck.rows.length === 0) {
+    return { status: 404, error: 'Block not found' };
+  }
+
+  if (ownerCheck.rows[0].user_id !== userId) {
+    return { status: 403, error: 'Not authorized to view or restore this question' };
+  }
+
+  return { blockId };
+}
+
 module.exports = router;
\ No newline at end of file
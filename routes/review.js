@@ -0,0 +1,61 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const SpacedRepetitionScheduler = require('../spaced-repetition');
+
+// Inicializar sistema
+const scheduler = new SpacedRepetitionScheduler();
+
+// ==================== COLA DE REPASO ====================
+
+// Preguntas pendientes de repaso (opcionalmente filtradas por bloque)
+router.get('/due', authenticateToken, async (req, res) => {
+    try {
+        const blockId = req.query.blockId ? parseInt(req.query.blockId) : null;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+        const queue = await scheduler.getDueQueue(req.user.id, { blockId, limit });
+
+        res.json(queue);
+
+    } catch (error) {
+        console.error('Error getting review queue:', error);
+        res.status(500).json({
+            error: 'Error obteniendo cola de repaso',
+            details: error.message
+        });
+    }
+});
+
+// Responder una pregunta de repaso y reprogramarla
+router.post('/answer', authenticateToken, async (req, res) => {
+    try {
+        const questionId = parseInt(req.body.questionId);
+        const answerId = req.body.answerId === null || req.body.answerId === undefined
+            ? null
+            : parseInt(req.body.answerId);
+        const responseTime = parseInt(req.body.responseTime) || null;
+
+        if (isNaN(questionId) || Number.isNaN(answerId)) {
+            return res.status(400).json({ error: 'questionId y answerId deben ser numéricos' });
+        }
+
+        // response con el formato del tipo de pregunta; answerId para opción única
+        const response = req.body.response !== undefined && req.body.response !== null
+            ? req.body.response
+            : answerId;
+
+        const review = await scheduler.answerReview(req.user.id, questionId, response, responseTime);
+
+        res.json(review);
+
+    } catch (error) {
+        console.error('Error answering review:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Error registrando repaso',
+            details: error.message
+        });
+    }
+});
+
+module.exports = router;
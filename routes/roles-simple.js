@@ -2,14 +2,17 @@ const express = require('express');
 const router = express.Router();
 const { Pool } = require('pg');
 const { authenticateToken } = require('../middleware/auth');
+const { requireRole, ROLE_GROUPS } = require('../middleware/policy');
+const UserRepository = require('../user-repository');
 
 const pool = new Pool({
     connectionString: process.env.DATABASE_URL,
     ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
 });
+const users = new UserRepository();
 
 // Panel de Administrador Principal - Versión de EMERGENCIA ULTRA SIMPLE
-router.get('/admin-principal-panel-emergency', authenticateToken, async (req, res) => {
+router.get('/admin-principal-panel-emergency', authenticateToken, requireRole('administrador_principal'), async (req, res) => {
     try {
         console.log('EMERGENCY: Simple admin panel request from user:', req.user.id);
         
@@ -72,7 +75,7 @@ router.get('/admin-principal-panel-emergency', authenticateToken, async (req, re
 });
 
 // Panel de Administrador Principal - Versión Simplificada que FUNCIONA
-router.get('/admin-principal-panel', authenticateToken, async (req, res) => {
+router.get('/admin-principal-panel', authenticateToken, requireRole('administrador_principal'), async (req, res) => {
     try {
         console.log('Simple admin panel request from user:', req.user.id);
         
@@ -220,7 +223,7 @@ router.get('/admin-principal-panel', authenticateToken, async (req, res) => {
 });
 
 // Endpoint de borrado simplificado
-router.delete('/delete-user/:userId', authenticateToken, async (req, res) => {
+router.delete('/delete-user/:userId', authenticateToken, requireRole('administrador_principal'), async (req, res) => {
     try {
         const { userId } = req.params;
         console.log(`Simple delete request for user ${userId}`);
@@ -266,9 +269,9 @@ router.delete('/delete-user/:userId', authenticateToken, async (req, res) => {
         }
         
         // 5. Borrar roles de usuario
-        const deletedRoles = await pool.query('DELETE FROM user_roles WHERE user_id = $1', [userId]);
-        if (deletedRoles.rowCount > 0) {
-            deletedData.push(`${deletedRoles.rowCount} roles asignados`);
+        const deletedRoles = await users.removeAllRoles(userId);
+        if (deletedRoles > 0) {
+            deletedData.push(`${deletedRoles} roles asignados`);
         }
         
         // 6. Borrar perfil de usuario
@@ -300,7 +303,7 @@ router.delete('/delete-user/:userId', authenticateToken, async (req, res) => {
 });
 
 // Buscar usuarios por nickname
-router.get('/search-users', authenticateToken, async (req, res) => {
+router.get('/search-users', authenticateToken, requireRole(ROLE_GROUPS.ADMIN), async (req, res) => {
     try {
         const { q } = req.query;
         
@@ -308,18 +311,11 @@ router.get('/search-users', authenticateToken, async (req, res) => {
             return res.json({ users: [] });
         }
         
-        const searchTerm = `%${q.trim()}%`;
-        const users = await pool.query(`
-            SELECT id, nickname, COALESCE(email, 'Sin email') as email
-            FROM users 
-            WHERE nickname ILIKE $1 
-            ORDER BY nickname 
-            LIMIT 10
-        `, [searchTerm]);
+        const found = await users.search(q.trim(), { limit: 10 });
         
         res.json({
-            users: users.rows,
-            count: users.rows.length
+            users: found,
+            count: found.length
         });
         
     } catch (error) {
@@ -332,7 +328,7 @@ router.get('/search-users', authenticateToken, async (req, res) => {
 });
 
 // Asignar administrador secundario
-router.post('/add-admin-secundario', authenticateToken, async (req, res) => {
+router.post('/add-admin-secundario', authenticateToken, requireRole('administrador_principal'), async (req, res) => {
     try {
         const { userId } = req.body;
         
@@ -353,29 +349,13 @@ router.post('/add-admin-secundario', authenticateToken, async (req, res) => {
             return res.status(400).json({ error: 'AdminPrincipal no puede ser asignado como administrador secundario' });
         }
         
-        // Buscar el rol de administrador_secundario
-        const roleCheck = await pool.query('SELECT id FROM roles WHERE name = $1', ['administrador_secundario']);
-        if (roleCheck.rows.length === 0) {
-            return res.status(500).json({ error: 'Rol administrador_secundario no existe' });
-        }
-        
-        const roleId = roleCheck.rows[0].id;
-        
         // Verificar si ya tiene el rol
-        const existingRole = await pool.query(
-            'SELECT id FROM user_roles WHERE user_id = $1 AND role_id = $2', 
-            [userId, roleId]
-        );
-        
-        if (existingRole.rows.length > 0) {
+        if (await users.hasRole(userId, 'administrador_secundario')) {
             return res.status(400).json({ error: 'El usuario ya es administrador secundario' });
         }
         
         // Asignar el rol
-        await pool.query(
-            'INSERT INTO user_roles (user_id, role_id) VALUES ($1, $2)', 
-            [userId, roleId]
-        );
+        await users.assignRole(userId, 'administrador_secundario', { assignedBy: req.user.id });
         
         res.json({
             success: true,
@@ -393,7 +373,7 @@ router.post('/add-admin-secundario', authenticateToken, async (req, res) => {
 });
 
 // Obtener bloques de un usuario
-router.get('/user-blocks/:userId', authenticateToken, async (req, res) => {
+router.get('/user-blocks/:userId', authenticateToken, requireRole(ROLE_GROUPS.ADMIN), async (req, res) => {
     try {
         const { userId } = req.params;
         
@@ -434,7 +414,7 @@ router.get('/user-blocks/:userId', authenticateToken, async (req, res) => {
 });
 
 // Obtener temas de un bloque
-router.get('/block-topics/:blockId', authenticateToken, async (req, res) => {
+router.get('/block-topics/:blockId', authenticateToken, requireRole(ROLE_GROUPS.ADMIN), async (req, res) => {
     try {
         const { blockId } = req.params;
         
@@ -460,7 +440,7 @@ router.get('/block-topics/:blockId', authenticateToken, async (req, res) => {
 });
 
 // Obtener preguntas de un tema específico
-router.get('/topic-questions/:blockId/:topic', authenticateToken, async (req, res) => {
+router.get('/topic-questions/:blockId/:topic', authenticateToken, requireRole(ROLE_GROUPS.ADMIN), async (req, res) => {
     try {
         const { blockId, topic } = req.params;
         
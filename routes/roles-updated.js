@@ -2,11 +2,21 @@ const express = require('express');
 const router = express.Router();
 const { Pool } = require('pg');
 const { authenticateToken } = require('../middleware/auth');
+const { ROLE_GROUPS } = require('../middleware/policy');
+const UserRepository = require('../user-repository');
 
 const pool = new Pool({
     connectionString: process.env.DATABASE_URL,
     ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
 });
+const users = new UserRepository();
+
+// Asignaciones vigentes de esos roles (todas si no se indica ninguno) como parámetros para
+// unnest($n::int[], $m::int[]) AS ur(id, user_id): las consultas de bloques se cruzan con ellas
+async function userRoleParams(...roles) {
+    const userRoles = await users.listUserRoles(...roles);
+    return [userRoles.map(userRole => userRole.user_role_id), userRoles.map(userRole => userRole.user_id)];
+}
 
 // Debug endpoint que sabemos que funciona
 router.get('/debug-users', authenticateToken, async (req, res) => {
@@ -15,30 +25,30 @@ router.get('/debug-users', authenticateToken, async (req, res) => {
         const allUsers = await pool.query('SELECT id, nickname, email FROM users ORDER BY id LIMIT 10');
         
         // Usuarios con roles
-        const usersWithRoles = await pool.query(`
-            SELECT u.id, u.nickname, u.email, r.name as role_name
-            FROM users u
-            LEFT JOIN user_roles ur ON u.id = ur.user_id
-            LEFT JOIN roles r ON ur.role_id = r.id
-            ORDER BY u.id LIMIT 10
-        `);
+        const rolesByUser = await users.getRolesByUser(allUsers.rows.map(user => user.id));
+        const usersWithRoles = allUsers.rows.flatMap(user => {
+            const names = rolesByUser.get(user.id);
+            return names.length > 0
+                ? names.map(role_name => ({ ...user, role_name }))
+                : [{ ...user, role_name: null }];
+        });
         
         // Usuarios con bloques
         const usersWithBlocks = await pool.query(`
             SELECT DISTINCT u.id, u.nickname, u.email, COUNT(b.id) as block_count
             FROM users u
-            INNER JOIN user_roles ur ON u.id = ur.user_id
+            INNER JOIN unnest($1::int[], $2::int[]) AS ur(id, user_id) ON u.id = ur.user_id
             INNER JOIN blocks b ON ur.id = b.user_role_id
             GROUP BY u.id, u.nickname, u.email
             ORDER BY u.id LIMIT 10
-        `);
+        `, await userRoleParams());
         
         // Contar perfiles
         const profilesCount = await pool.query('SELECT COUNT(*) as count FROM user_profiles');
         
         res.json({
             all_users: allUsers.rows,
-            users_with_roles: usersWithRoles.rows,
+            users_with_roles: usersWithRoles,
             users_with_blocks: usersWithBlocks.rows,
             profiles_count: profilesCount.rows[0].count,
             timestamp: new Date().toISOString()
@@ -73,21 +83,10 @@ router.get('/admin-principal-panel', authenticateToken, async (req, res) => {
         // Las estadísticas por rol se calcularán más adelante para cada usuario según su rol específico
         
         // Obtener usuarios con roles administrativos
-        const adminUsers = await pool.query(`
-            SELECT DISTINCT 
-                u.id, 
-                u.nickname, 
-                COALESCE(u.email, 'Sin email') as email,
-                r.name as role_name
-            FROM users u
-            INNER JOIN user_roles ur ON u.id = ur.user_id
-            INNER JOIN roles r ON ur.role_id = r.id
-            WHERE r.name IN ('administrador_principal', 'administrador_secundario')
-            ORDER BY u.id
-        `);
+        const adminUsers = await users.listUsersWithRole(ROLE_GROUPS.ADMIN);
         
-        console.log('🔍 ADMIN-PRINCIPAL-PANEL - ADMIN USERS QUERY RESULT:', adminUsers.rows.length, 'administrators found');
-        adminUsers.rows.forEach(admin => {
+        console.log('🔍 ADMIN-PRINCIPAL-PANEL - ADMIN USERS QUERY RESULT:', adminUsers.length, 'administrators found');
+        adminUsers.forEach(admin => {
             console.log(`  - ${admin.nickname} (${admin.role_name})`);
         });
         
@@ -113,11 +112,11 @@ router.get('/admin-principal-panel', authenticateToken, async (req, res) => {
             const blockCounts = await pool.query(`
                 SELECT aa.admin_id, COUNT(DISTINCT b.id) as block_count, COALESCE(SUM(ba.total_questions), 0) as question_count
                 FROM admin_assignments aa
-                JOIN user_roles ur ON aa.assigned_user_id = ur.user_id
+                JOIN unnest($1::int[], $2::int[]) AS ur(id, user_id) ON aa.assigned_user_id = ur.user_id
                 JOIN blocks b ON ur.id = b.user_role_id
                 LEFT JOIN block_answers ba ON b.id = ba.block_id
                 GROUP BY aa.admin_id
-            `);
+            `, await userRoleParams());
             
             blockCounts.rows.forEach(row => {
                 adminBlockCounts[row.admin_id] = parseInt(row.block_count) || 0;
@@ -128,11 +127,9 @@ router.get('/admin-principal-panel', authenticateToken, async (req, res) => {
             const jugadoresCounts = await pool.query(`
                 SELECT aa.admin_id, COUNT(DISTINCT ur.user_id) as jugadores_count
                 FROM admin_assignments aa
-                JOIN user_roles ur ON aa.assigned_user_id = ur.user_id
-                JOIN roles r ON ur.role_id = r.id
-                WHERE r.name = 'jugador'
+                JOIN unnest($1::int[], $2::int[]) AS ur(id, user_id) ON aa.assigned_user_id = ur.user_id
                 GROUP BY aa.admin_id
-            `);
+            `, await userRoleParams('jugador'));
             
             jugadoresCounts.rows.forEach(row => {
                 adminJugadoresCounts[row.admin_id] = parseInt(row.jugadores_count) || 0;
@@ -142,7 +139,7 @@ router.get('/admin-principal-panel', authenticateToken, async (req, res) => {
         }
 
         // AdminPrincipal y administradores secundarios  
-        const adminSecundarios = adminUsers.rows.map(user => {
+        const adminSecundarios = adminUsers.map(user => {
             // Buscar first_name del usuario
             const userData = allUsersWithStats.rows.find(u => u.id === user.id);
             return {
@@ -208,26 +205,23 @@ router.get('/admin-principal-panel', authenticateToken, async (req, res) => {
         // Verificar qué roles existen en la base de datos
         console.log('🏷️ CHECKING ROLES TABLE...');
         try {
-            const allRoles = await pool.query('SELECT id, name FROM roles ORDER BY id');
-            console.log('🏷️ Available roles in database:', allRoles.rows.map(r => `${r.id}:${r.name}`).join(', '));
-            
-            // Verificar específicamente rol ID 5
-            const rol5 = allRoles.rows.find(r => r.id === 5);
-            console.log('🎯 Role ID 5 name:', rol5 ? rol5.name : 'NOT FOUND');
+            const allRoles = await users.listRoles();
+            console.log('🏷️ Available roles in database:', allRoles.map(r => `${r.id}:${r.name}`).join(', '));
         } catch (e) {
             console.warn('❌ Could not fetch roles table:', e.message);
         }
 
         // Obtener TODOS los usuarios que tienen roles relevantes
+        const relevantUserIds = await users.getUserIdsWithRole(
+            'profesor', 'creador', 'administrador_principal', 'administrador_secundario', 'jugador', 'soporte_tecnico'
+        );
         const usersWithRolesQuery = await pool.query(`
-            SELECT DISTINCT u.id, u.nickname, COALESCE(u.email, 'Sin email') as email, COALESCE(u.first_name, '') as first_name
+            SELECT u.id, u.nickname, COALESCE(u.email, 'Sin email') as email, COALESCE(u.first_name, '') as first_name
             FROM users u
-            INNER JOIN user_roles ur ON u.id = ur.user_id
-            INNER JOIN roles r ON ur.role_id = r.id
-            WHERE r.name IN ('profesor', 'creador', 'administrador_principal', 'administrador_secundario', 'jugador', 'soporte_tecnico') 
-            OR r.id = 5
+            WHERE u.id = ANY($1::int[])
             ORDER BY u.id
-        `);
+        `, [relevantUserIds]);
+        const rolesByUser = await users.getRolesByUser(relevantUserIds);
         
         console.log(`🔍 Found ${usersWithRolesQuery.rows.length} users with relevant roles`);
         
@@ -276,14 +270,7 @@ router.get('/admin-principal-panel', authenticateToken, async (req, res) => {
             
             // Obtener todos los roles del usuario
             try {
-                const userRolesResult = await pool.query(`
-                    SELECT r.name as role_name
-                    FROM user_roles ur
-                    JOIN roles r ON ur.role_id = r.id
-                    WHERE ur.user_id = $1
-                `, [user.id]);
-                
-                const userRoles = userRolesResult.rows.map(row => row.role_name);
+                const userRoles = rolesByUser.get(user.id) || [];
                 console.log(`👤 User ${user.nickname} (ID: ${user.id}) has roles:`, userRoles, isAdmin ? '(ADMIN)' : '');
                 
                 // Agregar a las listas correspondientes según roles (sin cálculos de estadísticas)
@@ -398,39 +385,28 @@ router.get('/admin-principal-panel', authenticateToken, async (req, res) => {
         console.log(`  - ${creadores.length} creadores`);
         console.log(`  - ${jugadores.length} jugadores`);
         console.log(`  - ${usuarios.length} usuarios sin roles específicos`);
-        console.log('🔧 Admin users found:', adminUsers.rows.map(u => `${u.nickname} (${u.role_name})`));
+        console.log('🔧 Admin users found:', adminUsers.map(u => `${u.nickname} (${u.role_name})`));
         console.log('👑 AdminPrincipal in allUsers:', allUsers.rows.find(u => u.nickname === 'AdminPrincipal') ? 'YES' : 'NO');
 
         // Calcular conteos únicos por rol desde la base de datos
-        const roleCountsQuery = await pool.query(`
-            SELECT 
-                r.name as role_name,
-                COUNT(DISTINCT ur.user_id) as unique_count
-            FROM roles r
-            LEFT JOIN user_roles ur ON r.id = ur.role_id
-            GROUP BY r.name
-            ORDER BY r.name
-        `);
+        const roleCounts = await users.countUsersByRole();
         
-        let admins = 0, profesores_count = 0, creadores_count = 0, jugadores_count = 0, usuarios_count = 0;
+        let admins = 0, profesores_count = 0, creadores_count = 0, jugadores_count = 0;
         
-        roleCountsQuery.rows.forEach(row => {
-            switch (row.role_name) {
+        Object.entries(roleCounts).forEach(([roleName, uniqueCount]) => {
+            switch (roleName) {
                 case 'administrador_principal':
                 case 'administrador_secundario':
-                    admins += parseInt(row.unique_count);
+                    admins += uniqueCount;
                     break;
                 case 'profesor':
-                    profesores_count += parseInt(row.unique_count);
+                    profesores_count += uniqueCount;
                     break;
                 case 'creador':
-                    creadores_count += parseInt(row.unique_count);
+                    creadores_count += uniqueCount;
                     break;
                 case 'jugador':
-                    jugadores_count += parseInt(row.unique_count);
-                    break;
-                case 'usuario':
-                    usuarios_count += parseInt(row.unique_count);
+                    jugadores_count += uniqueCount;
                     break;
             }
         });
@@ -474,8 +450,8 @@ router.get('/admin-principal-panel', authenticateToken, async (req, res) => {
         console.log(`  - jugadoresOtrosAdmins: ${jugadoresOtrosAdmins.length} items`);
         jugadoresOtrosAdmins.forEach(j => console.log(`    * ${j.nickname} (assigned_admin_id: ${j.assigned_admin_id})`));
 
-        console.log('🔍 ADMIN-PRINCIPAL-PANEL - RESPONSE availableAdmins:', adminUsers.rows.length, 'items');
-        console.log('🔍 ADMIN-PRINCIPAL-PANEL - availableAdmins content:', adminUsers.rows.map(a => `${a.nickname} (${a.role_name})`));
+        console.log('🔍 ADMIN-PRINCIPAL-PANEL - RESPONSE availableAdmins:', adminUsers.length, 'items');
+        console.log('🔍 ADMIN-PRINCIPAL-PANEL - availableAdmins content:', adminUsers.map(a => `${a.nickname} (${a.role_name})`));
 
         res.json({
             adminSecundarios: adminSecundarios,
@@ -487,7 +463,7 @@ router.get('/admin-principal-panel', authenticateToken, async (req, res) => {
             jugadoresOtrosAdmins: jugadoresOtrosAdmins,
             soporteTecnico: soporteTecnico,
             usuarios: usuarios,
-            availableAdmins: adminUsers.rows,
+            availableAdmins: adminUsers,
             ultra_simple_version: true,
             // Estadísticas corregidas para el frontend
             statistics: {
@@ -520,27 +496,10 @@ router.get('/usuarios/:userId/estadisticas', authenticateToken, async (req, res)
             return res.status(400).json({ error: 'Rol válido requerido (profesor/creador)' });
         }
         
-        // Determinar role_id basado en el parámetro rol
-        let targetRoleId;
-        if (rol === 'profesor') {
-            targetRoleId = 3; // profesor
-        } else if (rol === 'creador') {
-            targetRoleId = 4; // creador
-        } else {
-            return res.status(400).json({ error: 'Rol inválido. Use profesor o creador.' });
-        }
-        
-        // 1. Contar bloques creados con rol específico
-        const blocksQuery = await pool.query(`
-            SELECT COUNT(DISTINCT b.id) as blocks_count
-            FROM blocks b
-            JOIN user_roles ur ON b.user_role_id = ur.id
-            WHERE ur.user_id = $1 AND ur.role_id = $2
-        `, [userId, targetRoleId]);
-        
-        const blocksCount = parseInt(blocksQuery.rows[0].blocks_count) || 0;
+        // Bloques creados con ese rol y su alcance (preguntas, temas únicos y usuarios que los cargaron)
+        const stats = await users.getRoleContentStats(userId, rol);
         
-        if (blocksCount === 0) {
+        if (stats.blocks === 0) {
             return res.json({
                 blocks_created: 0,
                 total_questions: 0,
@@ -549,45 +508,11 @@ router.get('/usuarios/:userId/estadisticas', authenticateToken, async (req, res)
             });
         }
         
-        // 2. Contar preguntas usando block_answers.total_questions
-        const questionsQuery = await pool.query(`
-            SELECT COALESCE(SUM(ba.total_questions), 0) as total_questions
-            FROM blocks b
-            JOIN user_roles ur ON b.user_role_id = ur.id
-            LEFT JOIN block_answers ba ON b.id = ba.block_id
-            WHERE ur.user_id = $1 AND ur.role_id = $2
-        `, [userId, targetRoleId]);
-        
-        const totalQuestions = parseInt(questionsQuery.rows[0].total_questions) || 0;
-        
-        // 3. Contar temas únicos de topic_answers
-        const topicsQuery = await pool.query(`
-            SELECT COUNT(DISTINCT ta.topic) as total_topics
-            FROM blocks b
-            JOIN user_roles ur ON b.user_role_id = ur.id
-            LEFT JOIN topic_answers ta ON b.id = ta.block_id
-            WHERE ur.user_id = $1 AND ur.role_id = $2 
-            AND ta.topic IS NOT NULL AND ta.topic != ''
-        `, [userId, targetRoleId]);
-        
-        const totalTopics = parseInt(topicsQuery.rows[0].total_topics) || 0;
-        
-        // 4. Contar usuarios que han cargado bloques de este rol
-        const usersQuery = await pool.query(`
-            SELECT COUNT(DISTINCT ulb.user_id) as total_users
-            FROM blocks b
-            JOIN user_roles ur ON b.user_role_id = ur.id
-            LEFT JOIN user_loaded_blocks ulb ON b.id = ulb.block_id
-            WHERE ur.user_id = $1 AND ur.role_id = $2
-        `, [userId, targetRoleId]);
-        
-        const totalUsers = parseInt(usersQuery.rows[0].total_users) || 0;
-        
         const result = {
-            blocks_created: blocksCount,
-            total_questions: totalQuestions,
-            total_topics: totalTopics,
-            total_users: totalUsers
+            blocks_created: stats.blocks,
+            total_questions: stats.questions,
+            total_topics: stats.topics,
+            total_users: stats.users
         };
         
         console.log(`📊 Stats for user ${userId} (${rol}):`, result);
@@ -615,17 +540,10 @@ router.get('/administrados/:rol', authenticateToken, async (req, res) => {
         
         console.log(`🔍 Obteniendo ${rol} administrados para usuario ${currentUserId}`);
         
-        // Verificar rol del usuario actual usando IDs
-        const userRoleQuery = await pool.query(`
-            SELECT ur.role_id, r.name as role_name
-            FROM user_roles ur
-            JOIN roles r ON ur.role_id = r.id
-            WHERE ur.user_id = $1
-        `, [currentUserId]);
-        
-        const userRoleIds = userRoleQuery.rows.map(row => row.role_id);
-        const isAdminPrincipal = userRoleIds.includes(1); // administrador_principal
-        const isAdminSecundario = userRoleIds.includes(2); // administrador_secundario
+        // Verificar rol del usuario actual
+        const currentRoles = await users.getRoleNames(currentUserId);
+        const isAdminPrincipal = currentRoles.includes('administrador_principal');
+        const isAdminSecundario = currentRoles.includes('administrador_secundario');
         
         if (!isAdminPrincipal && !isAdminSecundario) {
             return res.status(403).json({ error: 'Usuario no autorizado para ver administrados' });
@@ -634,15 +552,16 @@ router.get('/administrados/:rol', authenticateToken, async (req, res) => {
         let administradosQuery;
         let params;
         
-        // Determinar role_id basado en el parámetro
-        let targetRoleId;
+        // Determinar el rol basado en el parámetro
+        let targetRole;
         if (rol === 'profesores') {
-            targetRoleId = 3; // profesor
+            targetRole = 'profesor';
         } else if (rol === 'creadores') {
-            targetRoleId = 4; // creador
+            targetRole = 'creador';
         } else {
             return res.status(400).json({ error: 'Rol inválido. Use profesores o creadores.' });
         }
+        const targetUserIds = await users.getUserIdsWithRole(targetRole);
 
         if (isAdminPrincipal) {
             // PAP: todos los assigned_user_id especificando su admin_id
@@ -657,13 +576,12 @@ router.get('/administrados/:rol', authenticateToken, async (req, res) => {
                     aa.admin_id,
                     u_admin.nickname as assigned_admin_nickname
                 FROM users u
-                JOIN user_roles ur ON u.id = ur.user_id
                 LEFT JOIN admin_assignments aa ON u.id = aa.assigned_user_id
                 LEFT JOIN users u_admin ON aa.admin_id = u_admin.id
-                WHERE ur.role_id = $1
+                WHERE u.id = ANY($1::int[])
                 ORDER BY u.nickname
             `;
-            params = [targetRoleId];
+            params = [targetUserIds];
         } else {
             // PAS: los assigned_user_id asignados al admin_id del usuario actual
             administradosQuery = `
@@ -677,18 +595,17 @@ router.get('/administrados/:rol', authenticateToken, async (req, res) => {
                     aa.admin_id,
                     u_admin.nickname as assigned_admin_nickname
                 FROM users u
-                JOIN user_roles ur ON u.id = ur.user_id
                 JOIN admin_assignments aa ON u.id = aa.assigned_user_id
                 LEFT JOIN users u_admin ON aa.admin_id = u_admin.id
-                WHERE ur.role_id = $1 AND aa.admin_id = $2
+                WHERE u.id = ANY($1::int[]) AND aa.admin_id = $2
                 ORDER BY u.nickname
             `;
-            params = [targetRoleId, currentUserId];
+            params = [targetUserIds, currentUserId];
         }
         
         const result = await pool.query(administradosQuery, params);
         
-        console.log(`🔍 ROLE DEBUG - Solicitado: ${rol} (targetRoleId: ${targetRoleId})`);
+        console.log(`🔍 ROLE DEBUG - Solicitado: ${rol} (targetRole: ${targetRole})`);
         console.log(`🔍 ROLE DEBUG - Usuarios encontrados: ${result.rows.length}`);
         result.rows.forEach(user => {
             console.log(`   - Usuario ${user.nickname} (ID: ${user.id})`);
@@ -697,15 +614,10 @@ router.get('/administrados/:rol', authenticateToken, async (req, res) => {
         // Obtener administradores disponibles (solo para PAP)
         let availableAdmins = [];
         if (isAdminPrincipal) {
-            const adminsQuery = await pool.query(`
-                SELECT DISTINCT u.id, u.nickname, r.name as role_name
-                FROM users u
-                JOIN user_roles ur ON u.id = ur.user_id
-                JOIN roles r ON ur.role_id = r.id
-                WHERE ur.role_id IN (1, 2)
-                ORDER BY u.nickname
-            `);
-            availableAdmins = adminsQuery.rows;
+            const admins = await users.listUsersWithRole(ROLE_GROUPS.ADMIN);
+            availableAdmins = admins
+                .map(({ id, nickname, role_name }) => ({ id, nickname, role_name }))
+                .sort((a, b) => a.nickname.localeCompare(b.nickname));
         }
         
         res.json({
@@ -732,101 +644,20 @@ router.get('/administrados/:userId/caracteristicas', authenticateToken, async (r
         
         console.log(`📊 Calculando características de administrado ${userId} con rol ${rol}`);
         
-        // Determinar role_id basado en el parámetro rol  
-        let targetRoleId;
-        if (rol === 'profesor') {
-            targetRoleId = 3; // profesor
-        } else if (rol === 'creador') {
-            targetRoleId = 4; // creador
-        } else {
+        if (!['profesor', 'creador'].includes(rol)) {
             return res.status(400).json({ error: 'Rol inválido. Use profesor o creador.' });
         }
         
-        console.log(`🔍 CARACTERISTICAS DEBUG - Usuario: ${userId}, Rol: ${rol}, targetRoleId: ${targetRoleId} (ORIGINAL MAPPING)`);
-        
-        // DIAGNÓSTICO: Verificar qué roles tiene realmente este usuario en la BD
-        const userRolesVerification = await pool.query(`
-            SELECT ur.role_id, r.name as role_name
-            FROM user_roles ur 
-            JOIN roles r ON ur.role_id = r.id 
-            WHERE ur.user_id = $1
-            ORDER BY ur.role_id
-        `, [userId]);
-        
-        console.log(`🔍 DIAGNÓSTICO USER ROLES - Usuario ${userId} tiene roles:`, 
-            userRolesVerification.rows.map(row => `${row.role_id}:${row.role_name}`).join(', '));
-        
-        // DIAGNÓSTICO: Verificar tabla roles completa
-        const allRolesVerification = await pool.query(`
-            SELECT id, name FROM roles WHERE id IN (3, 4) ORDER BY id
-        `);
-        
-        console.log(`🔍 DIAGNÓSTICO ROLES TABLE - IDs 3 y 4:`, 
-            allRolesVerification.rows.map(row => `${row.id}:${row.name}`).join(', '));
-        
         // Información básica del usuario
-        const userQuery = await pool.query(`
-            SELECT id, nickname, email, first_name, last_name
-            FROM users
-            WHERE id = $1
-        `, [userId]);
+        const user = await users.findById(userId);
         
-        if (userQuery.rows.length === 0) {
+        if (!user) {
             return res.status(404).json({ error: 'Usuario no encontrado' });
         }
         
-        const user = userQuery.rows[0];
-        
-        // Bloques creados por el assigned_user_id (tabla blocks filtrado por user_role_id + rol)
-        const blocksQuery = await pool.query(`
-            SELECT COUNT(DISTINCT b.id) as total_blocks
-            FROM blocks b
-            JOIN user_roles ur ON b.user_role_id = ur.id
-            WHERE ur.user_id = $1 AND ur.role_id = $2
-        `, [userId, targetRoleId]);
-        
-        const totalBlocks = parseInt(blocksQuery.rows[0].total_blocks) || 0;
-        console.log(`📊 Usuario ${userId} rol ${targetRoleId}: ${totalBlocks} bloques encontrados`);
-        
-        // Temas totales (suma de temas por bloque, igual que Nivel 2)
-        const topicsQuery = await pool.query(`
-            SELECT COALESCE(SUM(block_topics.topic_count), 0) as total_topics
-            FROM (
-                SELECT b.id, COUNT(DISTINCT ta.topic) as topic_count
-                FROM blocks b
-                JOIN user_roles ur ON b.user_role_id = ur.id
-                LEFT JOIN topic_answers ta ON b.id = ta.block_id 
-                AND ta.topic IS NOT NULL AND ta.topic != ''
-                WHERE ur.user_id = $1 AND ur.role_id = $2
-                GROUP BY b.id
-            ) block_topics
-        `, [userId, targetRoleId]);
-        
-        const totalTopics = parseInt(topicsQuery.rows[0].total_topics) || 0;
-        console.log(`📊 Usuario ${userId} rol ${targetRoleId}: ${totalTopics} temas encontrados`);
-        
-        // Preguntas totales (total_questions de tabla block_answers)
-        const questionsQuery = await pool.query(`
-            SELECT COALESCE(SUM(ba.total_questions), 0) as total_questions
-            FROM blocks b
-            JOIN user_roles ur ON b.user_role_id = ur.id
-            LEFT JOIN block_answers ba ON b.id = ba.block_id
-            WHERE ur.user_id = $1 AND ur.role_id = $2
-        `, [userId, targetRoleId]);
-        
-        const totalQuestions = parseInt(questionsQuery.rows[0].total_questions) || 0;
-        console.log(`📊 Usuario ${userId} rol ${targetRoleId}: ${totalQuestions} preguntas encontradas`);
-        
-        // Alumnos/Estudiantes (número de registros de user_loaded_blocks)
-        const usersQuery = await pool.query(`
-            SELECT COUNT(DISTINCT ulb.user_id) as total_users
-            FROM blocks b
-            JOIN user_roles ur ON b.user_role_id = ur.id
-            LEFT JOIN user_loaded_blocks ulb ON b.id = ulb.block_id
-            WHERE ur.user_id = $1 AND ur.role_id = $2
-        `, [userId, targetRoleId]);
-        
-        const totalUsers = parseInt(usersQuery.rows[0].total_users) || 0;
+        // Bloques creados con ese rol; los temas se suman bloque a bloque, igual que Nivel 2
+        const stats = await users.getRoleContentStats(userId, rol);
+        console.log(`📊 Usuario ${userId} rol ${rol}: ${stats.blocks} bloques, ${stats.block_topics} temas, ${stats.questions} preguntas`);
         
         // Administrador asignado
         const adminQuery = await pool.query(`
@@ -842,10 +673,10 @@ router.get('/administrados/:userId/caracteristicas', authenticateToken, async (r
             nickname: user.nickname,
             email: user.email,
             full_name: [user.first_name, user.last_name].filter(Boolean).join(' '),
-            total_blocks: totalBlocks,
-            total_topics: totalTopics,
-            total_questions: totalQuestions,
-            total_users: totalUsers,
+            total_blocks: stats.blocks,
+            total_topics: stats.block_topics,
+            total_questions: stats.questions,
+            total_users: stats.users,
             assigned_admin_id: adminAssignment.admin_id || null,
             assigned_admin_nickname: adminAssignment.assigned_admin_nickname || 'Sin asignar'
         };
@@ -887,28 +718,17 @@ router.get('/admin-secundario-panel', authenticateToken, async (req, res) => {
         `);
         
         // Obtener usuarios con roles administrativos
-        const adminUsers = await pool.query(`
-            SELECT DISTINCT 
-                u.id, 
-                u.nickname, 
-                COALESCE(u.email, 'Sin email') as email,
-                r.name as role_name
-            FROM users u
-            INNER JOIN user_roles ur ON u.id = ur.user_id
-            INNER JOIN roles r ON ur.role_id = r.id
-            WHERE r.name IN ('administrador_principal', 'administrador_secundario')
-            ORDER BY u.id
-        `);
+        const adminUsers = await users.listUsersWithRole(ROLE_GROUPS.ADMIN);
         
         // Obtener usuarios que tienen roles relevantes (excluyendo administradores)
+        const relevantUserIds = await users.getUserIdsWithRole('profesor', 'creador', 'jugador');
         const usersWithRolesQuery = await pool.query(`
-            SELECT DISTINCT u.id, u.nickname, COALESCE(u.email, 'Sin email') as email, COALESCE(u.first_name, '') as first_name
+            SELECT u.id, u.nickname, COALESCE(u.email, 'Sin email') as email, COALESCE(u.first_name, '') as first_name
             FROM users u
-            INNER JOIN user_roles ur ON u.id = ur.user_id
-            INNER JOIN roles r ON ur.role_id = r.id
-            WHERE r.name IN ('profesor', 'creador', 'jugador') 
+            WHERE u.id = ANY($1::int[])
             ORDER BY u.id
-        `);
+        `, [relevantUserIds]);
+        const rolesByUser = await users.getRolesByUser(relevantUserIds);
         
         const usersWithRoles = usersWithRolesQuery.rows;
         
@@ -958,14 +778,7 @@ router.get('/admin-secundario-panel', authenticateToken, async (req, res) => {
             };
             
             try {
-                const userRolesResult = await pool.query(`
-                    SELECT r.name as role_name
-                    FROM user_roles ur
-                    JOIN roles r ON ur.role_id = r.id
-                    WHERE ur.user_id = $1
-                `, [user.id]);
-                
-                const userRoles = userRolesResult.rows.map(row => row.role_name);
+                const userRoles = rolesByUser.get(user.id) || [];
                 
                 if (userRoles.includes('profesor')) {
                     profesores.push({ 
@@ -1022,33 +835,24 @@ router.get('/admin-secundario-panel', authenticateToken, async (req, res) => {
         const currentAdminId = req.user.id;
         console.log('📋 Admin secundario ID:', currentAdminId);
 
-        // Calcular estadísticas específicas para este administrador
-        const profesoresAssignedQuery = await pool.query(`
-            SELECT COUNT(DISTINCT u.id) as count
-            FROM users u
-            JOIN user_roles ur ON u.id = ur.user_id
-            JOIN roles r ON ur.role_id = r.id
-            LEFT JOIN admin_assignments aa ON u.id = aa.assigned_user_id
-            WHERE r.name = 'profesor' AND aa.admin_id = $1
-        `, [currentAdminId]);
-
-        const creadoresAssignedQuery = await pool.query(`
-            SELECT COUNT(DISTINCT u.id) as count
-            FROM users u
-            JOIN user_roles ur ON u.id = ur.user_id
-            JOIN roles r ON ur.role_id = r.id
-            LEFT JOIN admin_assignments aa ON u.id = aa.assigned_user_id
-            WHERE r.name = 'creador' AND aa.admin_id = $1
-        `, [currentAdminId]);
+        // Asignaciones vigentes por rol: [ids de asignación, ids de usuario]
+        const [profesorRoles, creadorRoles, jugadorRoles, allRoles] = await Promise.all([
+            userRoleParams('profesor'),
+            userRoleParams('creador'),
+            userRoleParams('jugador'),
+            userRoleParams()
+        ]);
 
-        const jugadoresAssignedQuery = await pool.query(`
+        // Calcular estadísticas específicas para este administrador
+        const assignedCountQuery = `
             SELECT COUNT(DISTINCT u.id) as count
             FROM users u
-            JOIN user_roles ur ON u.id = ur.user_id
-            JOIN roles r ON ur.role_id = r.id
-            LEFT JOIN admin_assignments aa ON u.id = aa.assigned_user_id
-            WHERE r.name = 'jugador' AND aa.admin_id = $1
-        `, [currentAdminId]);
+            JOIN admin_assignments aa ON u.id = aa.assigned_user_id
+            WHERE u.id = ANY($2::int[]) AND aa.admin_id = $1
+        `;
+        const profesoresAssignedQuery = await pool.query(assignedCountQuery, [currentAdminId, profesorRoles[1]]);
+        const creadoresAssignedQuery = await pool.query(assignedCountQuery, [currentAdminId, creadorRoles[1]]);
+        const jugadoresAssignedQuery = await pool.query(assignedCountQuery, [currentAdminId, jugadorRoles[1]]);
 
         // Obtener jugadores asignados con datos detallados
         const jugadoresAsignadosQuery = await pool.query(`
@@ -1062,15 +866,14 @@ router.get('/admin-secundario-panel', authenticateToken, async (req, res) => {
                 COALESCE(u_admin.nickname, 'Administrador Principal') as assigned_admin_nickname,
                 aa.admin_id as assigned_admin_id
             FROM users u
-            JOIN user_roles ur ON u.id = ur.user_id
-            JOIN roles r ON ur.role_id = r.id
+            JOIN unnest($2::int[], $3::int[]) AS ur(id, user_id) ON u.id = ur.user_id
             LEFT JOIN admin_assignments aa ON u.id = aa.assigned_user_id
             LEFT JOIN users u_admin ON aa.admin_id = u_admin.id
             LEFT JOIN user_loaded_blocks ulb ON u.id = ulb.user_id
-            WHERE r.name = 'jugador' AND aa.admin_id = $1
+            WHERE aa.admin_id = $1
             GROUP BY u.id, u.nickname, u.first_name, u.email, ur.id, u_admin.nickname, aa.admin_id
             ORDER BY u.nickname
-        `, [currentAdminId]);
+        `, [currentAdminId, ...jugadorRoles]);
         
         const profesores_count = parseInt(profesoresAssignedQuery.rows[0]?.count) || 0;
         const creadores_count = parseInt(creadoresAssignedQuery.rows[0]?.count) || 0;
@@ -1081,21 +884,21 @@ router.get('/admin-secundario-panel', authenticateToken, async (req, res) => {
         const bloquesAdminQuery = await pool.query(`
             SELECT COUNT(DISTINCT b.id) as count
             FROM blocks b
-            JOIN user_roles ur ON b.user_role_id = ur.id
+            JOIN unnest($2::int[], $3::int[]) AS ur(id, user_id) ON b.user_role_id = ur.id
             JOIN users u ON ur.user_id = u.id
             LEFT JOIN admin_assignments aa ON u.id = aa.assigned_user_id
             WHERE aa.admin_id = $1
-        `, [currentAdminId]);
+        `, [currentAdminId, ...allRoles]);
 
         const preguntasAdminQuery = await pool.query(`
             SELECT COALESCE(SUM(ba.total_questions), 0) as count
             FROM block_answers ba
             JOIN blocks b ON ba.block_id = b.id
-            JOIN user_roles ur ON b.user_role_id = ur.id
+            JOIN unnest($2::int[], $3::int[]) AS ur(id, user_id) ON b.user_role_id = ur.id
             JOIN users u ON ur.user_id = u.id
             LEFT JOIN admin_assignments aa ON u.id = aa.assigned_user_id
             WHERE aa.admin_id = $1
-        `, [currentAdminId]);
+        `, [currentAdminId, ...allRoles]);
 
         const bloques_count = parseInt(bloquesAdminQuery.rows[0]?.count) || 0;
         const preguntas_count = parseInt(preguntasAdminQuery.rows[0]?.count) || 0;
@@ -1113,20 +916,17 @@ router.get('/admin-secundario-panel', authenticateToken, async (req, res) => {
                 COALESCE(SUM(ba.total_questions), 0) as total_preguntas,
                 COALESCE(u_admin.nickname, 'Administrador Principal') as assigned_admin_nickname
             FROM users u
-            JOIN user_roles ur ON u.id = ur.user_id
-            JOIN roles r ON ur.role_id = r.id
+            JOIN unnest($2::int[], $3::int[]) AS ur(id, user_id) ON u.id = ur.user_id
             LEFT JOIN admin_assignments aa ON u.id = aa.assigned_user_id
             LEFT JOIN users u_admin ON aa.admin_id = u_admin.id
             LEFT JOIN blocks b ON ur.id = b.user_role_id 
-            LEFT JOIN user_roles ur_block ON b.user_role_id = ur_block.id
-            LEFT JOIN roles r_block ON ur_block.role_id = r_block.id AND r_block.name = 'profesor'
-            LEFT JOIN block_answers ba ON b.id = ba.block_id AND r_block.id IS NOT NULL
-            LEFT JOIN topic_answers ta ON b.id = ta.block_id AND r_block.id IS NOT NULL
-            LEFT JOIN user_loaded_blocks ulb ON b.id = ulb.block_id AND r_block.id IS NOT NULL
-            WHERE r.name = 'profesor' AND aa.admin_id = $1
+            LEFT JOIN block_answers ba ON b.id = ba.block_id
+            LEFT JOIN topic_answers ta ON b.id = ta.block_id
+            LEFT JOIN user_loaded_blocks ulb ON b.id = ulb.block_id
+            WHERE aa.admin_id = $1
             GROUP BY u.id, u.nickname, u.first_name, u.email, ur.id, u_admin.nickname
             ORDER BY u.nickname
-        `, [currentAdminId]);
+        `, [currentAdminId, ...profesorRoles]);
 
         // Obtener creadores asignados con estadísticas detalladas
         const creadoresAsignadosQuery = await pool.query(`
@@ -1142,20 +942,17 @@ router.get('/admin-secundario-panel', authenticateToken, async (req, res) => {
                 COUNT(DISTINCT ulb.user_id) as total_usuarios,
                 COALESCE(u_admin.nickname, 'Administrador Principal') as assigned_admin_nickname
             FROM users u
-            JOIN user_roles ur ON u.id = ur.user_id
-            JOIN roles r ON ur.role_id = r.id
+            JOIN unnest($2::int[], $3::int[]) AS ur(id, user_id) ON u.id = ur.user_id
             LEFT JOIN admin_assignments aa ON u.id = aa.assigned_user_id
             LEFT JOIN users u_admin ON aa.admin_id = u_admin.id
             LEFT JOIN blocks b ON ur.id = b.user_role_id 
-            LEFT JOIN user_roles ur_block ON b.user_role_id = ur_block.id
-            LEFT JOIN roles r_block ON ur_block.role_id = r_block.id AND r_block.name = 'creador'
-            LEFT JOIN block_answers ba ON b.id = ba.block_id AND r_block.id IS NOT NULL
-            LEFT JOIN topic_answers ta ON b.id = ta.block_id AND r_block.id IS NOT NULL
-            LEFT JOIN user_loaded_blocks ulb ON b.id = ulb.block_id AND r_block.id IS NOT NULL
-            WHERE r.name = 'creador' AND aa.admin_id = $1
+            LEFT JOIN block_answers ba ON b.id = ba.block_id
+            LEFT JOIN topic_answers ta ON b.id = ta.block_id
+            LEFT JOIN user_loaded_blocks ulb ON b.id = ulb.block_id
+            WHERE aa.admin_id = $1
             GROUP BY u.id, u.nickname, u.first_name, u.email, ur.id, u_admin.nickname
             ORDER BY u.nickname
-        `, [currentAdminId]);
+        `, [currentAdminId, ...creadorRoles]);
 
         console.log('📊 PAS Data Summary for Admin', currentAdminId, ':', {
             profesores: profesoresAsignadosQuery.rows.length,
@@ -1169,7 +966,7 @@ router.get('/admin-secundario-panel', authenticateToken, async (req, res) => {
             creadores: creadoresAsignadosQuery.rows,
             jugadores: jugadoresAsignadosQuery.rows,
             usuarios: [], // PAS no maneja usuarios genéricos
-            availableAdmins: adminUsers.rows,
+            availableAdmins: adminUsers,
             admin_secundario_version: true,
             statistics: {
                 profesores: profesores_count,
@@ -1242,12 +1039,10 @@ router.delete('/delete-user/:userId', authenticateToken, async (req, res) => {
         } catch (e) { /* Tabla no existe */ }
         
         // 5. Borrar roles de usuario
-        try {
-            const deletedRoles = await pool.query('DELETE FROM user_roles WHERE user_id = $1', [userId]);
-            if (deletedRoles.rowCount > 0) {
-                deletedData.push(`${deletedRoles.rowCount} roles asignados`);
-            }
-        } catch (e) { /* Tabla no existe */ }
+        const deletedRoles = await users.removeAllRoles(userId);
+        if (deletedRoles > 0) {
+            deletedData.push(`${deletedRoles} roles asignados`);
+        }
         
         // 6. Borrar perfil de usuario
         try {
@@ -1292,33 +1087,24 @@ router.post('/add-admin-secundario', authenticateToken, async (req, res) => {
         }
         
         // Verificar que el usuario existe (por ID o nickname)
-        let userCheck;
+        let user;
         if (userId) {
             console.log(`🔍 SEARCHING: by userId = ${userId}`);
-            userCheck = await pool.query('SELECT id, nickname, email FROM users WHERE id = $1', [userId]);
+            user = await users.findById(userId);
         } else {
             console.log(`🔍 SEARCHING: by nickname = ${nickname}`);
-            userCheck = await pool.query('SELECT id, nickname, email FROM users WHERE nickname = $1', [nickname]);
+            user = await users.findByNickname(nickname);
         }
         
-        console.log(`🔍 USER SEARCH result: found ${userCheck.rows.length} users`);
-        
-        if (userCheck.rows.length === 0) {
+        if (!user) {
             console.log(`❌ USER NOT FOUND: ${userId || nickname}`);
             return res.status(404).json({ error: 'Usuario no encontrado' });
         }
         
-        const user = userCheck.rows[0];
         console.log(`✅ USER FOUND: ${user.nickname} (ID: ${user.id})`);
         
         // Verificar si ya es admin secundario (opcional - podemos permitir múltiples roles)
-        const existingRole = await pool.query(`
-            SELECT ur.id FROM user_roles ur
-            INNER JOIN roles r ON ur.role_id = r.id
-            WHERE ur.user_id = $1 AND r.name = 'administrador_secundario'
-        `, [user.id]);
-        
-        if (existingRole.rows.length > 0) {
+        if (await users.hasRole(user.id, 'administrador_secundario')) {
             return res.status(409).json({ 
                 error: 'El usuario ya es administrador secundario',
                 user: {
@@ -1330,28 +1116,8 @@ router.post('/add-admin-secundario', authenticateToken, async (req, res) => {
             });
         }
         
-        // Buscar o crear el rol de administrador_secundario
-        let roleResult = await pool.query('SELECT id FROM roles WHERE name = $1', ['administrador_secundario']);
-        let roleId;
-        
-        if (roleResult.rows.length === 0) {
-            // Crear el rol si no existe
-            const newRole = await pool.query(`
-                INSERT INTO roles (name, description) 
-                VALUES ($1, $2) 
-                RETURNING id
-            `, ['administrador_secundario', 'Administrador Secundario']);
-            roleId = newRole.rows[0].id;
-            console.log(`Created new role administrador_secundario with id ${roleId}`);
-        } else {
-            roleId = roleResult.rows[0].id;
-        }
-        
         // Asignar el rol al usuario
-        await pool.query(`
-            INSERT INTO user_roles (user_id, role_id) 
-            VALUES ($1, $2)
-        `, [user.id, roleId]);
+        await users.assignRole(user.id, 'administrador_secundario', { assignedBy: req.user.id });
         
         console.log(`✅ SUCCESS: User ${user.id} (${user.nickname}) assigned as admin secundario`);
         
@@ -1387,33 +1153,25 @@ router.post('/remove-role', authenticateToken, async (req, res) => {
         }
         
         // Verificar que el usuario existe
-        const userCheck = await pool.query('SELECT id, nickname, email FROM users WHERE id = $1', [userId]);
+        const user = await users.findById(userId);
         
-        if (userCheck.rows.length === 0) {
+        if (!user) {
             console.log(`❌ USER NOT FOUND: ${userId}`);
             return res.status(404).json({ error: 'Usuario no encontrado' });
         }
         
-        const user = userCheck.rows[0];
         console.log(`🔍 USER FOUND: ${user.nickname} (${user.id})`);
         
         // Buscar el rol que se quiere remover
-        const roleResult = await pool.query('SELECT id FROM roles WHERE name = $1', [roleToRemove]);
+        const role = await users.getRole(roleToRemove);
         
-        if (roleResult.rows.length === 0) {
+        if (!role) {
             console.log(`❌ ROLE NOT FOUND: ${roleToRemove}`);
             return res.status(404).json({ error: `Rol '${roleToRemove}' no encontrado` });
         }
         
-        const roleId = roleResult.rows[0].id;
-        
         // Verificar que el usuario tiene ese rol
-        const userRoleCheck = await pool.query(`
-            SELECT id FROM user_roles 
-            WHERE user_id = $1 AND role_id = $2
-        `, [user.id, roleId]);
-        
-        if (userRoleCheck.rows.length === 0) {
+        if (!(await users.hasRole(user.id, roleToRemove))) {
             console.log(`❌ USER ROLE NOT FOUND: User ${user.id} doesn't have role ${roleToRemove}`);
             return res.status(404).json({ 
                 error: `El usuario ${user.nickname} no tiene el rol '${roleToRemove}'` 
@@ -1421,10 +1179,7 @@ router.post('/remove-role', authenticateToken, async (req, res) => {
         }
         
         // Remover el rol del usuario
-        await pool.query(`
-            DELETE FROM user_roles 
-            WHERE user_id = $1 AND role_id = $2
-        `, [user.id, roleId]);
+        await users.removeRole(user.id, roleToRemove);
         
         console.log(`✅ SUCCESS: Removed role '${roleToRemove}' from user ${user.id} (${user.nickname})`);
         
@@ -1457,18 +1212,11 @@ router.get('/search-users', authenticateToken, async (req, res) => {
             return res.json({ users: [] });
         }
         
-        const searchTerm = `%${q.trim()}%`;
-        const users = await pool.query(`
-            SELECT id, nickname, COALESCE(email, 'Sin email') as email
-            FROM users 
-            WHERE nickname ILIKE $1 
-            ORDER BY nickname 
-            LIMIT 10
-        `, [searchTerm]);
+        const found = await users.search(q.trim(), { limit: 10 });
         
         res.json({
-            users: users.rows,
-            count: users.rows.length
+            users: found,
+            count: found.length
         });
         
     } catch (error) {
@@ -1502,18 +1250,6 @@ router.post('/reassign-user', authenticateToken, async (req, res) => {
         // Implementar lógica real de asignación
         console.log(`🔧 BACKEND: Assigning user ${userId} to admin ${newAdminId}`);
         
-        // Crear tabla admin_assignments si no existe
-        await pool.query(`
-            CREATE TABLE IF NOT EXISTS admin_assignments (
-                id SERIAL PRIMARY KEY,
-                admin_id INTEGER REFERENCES users(id),
-                assigned_user_id INTEGER REFERENCES users(id),
-                assigned_by INTEGER REFERENCES users(id),
-                assigned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                UNIQUE(assigned_user_id)
-            )
-        `);
-        
         // Insertar o actualizar la asignación
         await pool.query(`
             INSERT INTO admin_assignments (admin_id, assigned_user_id, assigned_by)
@@ -1551,17 +1287,12 @@ router.get('/administrados/:userId/bloques', authenticateToken, async (req, res)
         
         console.log(`📚 Obteniendo bloques de administrado ${userId} con rol ${rol}`);
         
-        // Determinar role_id basado en el parámetro rol
-        let targetRoleId;
-        if (rol === 'profesor') {
-            targetRoleId = 3; // profesor
-        } else if (rol === 'creador') {
-            targetRoleId = 4; // creador
-        } else {
+        if (!['profesor', 'creador'].includes(rol)) {
             return res.status(400).json({ error: 'Rol inválido. Use profesor o creador.' });
         }
         
-        console.log(`🔍 BLOQUES DEBUG - Usuario: ${userId}, Rol: ${rol}, targetRoleId: ${targetRoleId}`);
+        const userRoleIds = await users.getUserRoleIds(userId, rol);
+        console.log(`🔍 BLOQUES DEBUG - Usuario: ${userId}, Rol: ${rol}, asignaciones: ${userRoleIds.join(', ')}`);
         
         // Bloques filtrados de tabla blocks creados por el usuario con el rol correspondiente
         const blocksQuery = await pool.query(`
@@ -1580,10 +1311,9 @@ router.get('/administrados/:userId/bloques', authenticateToken, async (req, res)
                  FROM user_loaded_blocks ulb 
                  WHERE ulb.block_id = b.id) as total_users
             FROM blocks b
-            JOIN user_roles ur ON b.user_role_id = ur.id
-            WHERE ur.user_id = $1 AND ur.role_id = $2
+            WHERE b.user_role_id = ANY($1::int[])
             ORDER BY b.created_at DESC
-        `, [userId, targetRoleId]);
+        `, [userRoleIds]);
         
         const bloques = blocksQuery.rows;
         
@@ -1684,13 +1414,8 @@ router.get('/blocks/:blockId/complete-data', authenticateToken, async (req, res)
                 b.description,
                 b.created_at,
                 b.updated_at,
-                b.user_role_id,
-                u.nickname as creator_nickname,
-                r.name as creator_role
+                b.user_role_id
             FROM blocks b
-            LEFT JOIN user_roles ur ON b.user_role_id = ur.id
-            LEFT JOIN users u ON ur.user_id = u.id
-            LEFT JOIN roles r ON ur.role_id = r.id
             WHERE b.id = $1
         `, [blockId]);
         
@@ -1698,7 +1423,16 @@ router.get('/blocks/:blockId/complete-data', authenticateToken, async (req, res)
             return res.status(404).json({ error: 'Bloque no encontrado' });
         }
         
-        const block = blockQuery.rows[0];
+        // Creador y rol con el que creó el bloque
+        const creatorRole = blockQuery.rows[0].user_role_id
+            ? await users.getUserRoleById(blockQuery.rows[0].user_role_id)
+            : null;
+        const creator = creatorRole ? await users.findById(creatorRole.user_id) : null;
+        const block = {
+            ...blockQuery.rows[0],
+            creator_nickname: creator ? creator.nickname : null,
+            creator_role: creatorRole ? creatorRole.name : null
+        };
         
         // Contar temas únicos
         const topicsQuery = await pool.query(`
@@ -1801,6 +1535,7 @@ router.get('/profesores/:profesorId/bloques', authenticateToken, async (req, res
         }
         
         // Obtener bloques del profesor creados específicamente con rol de profesor
+        const profesorRoleIds = await users.getUserRoleIds(profesorId, 'profesor');
         const bloques = await pool.query(`
             SELECT 
                 b.id, 
@@ -1813,13 +1548,11 @@ router.get('/profesores/:profesorId/bloques', authenticateToken, async (req, res
                 COALESCE(COUNT(DISTINCT ta.id), 0) as total_preguntas,
                 COALESCE(COUNT(DISTINCT ta.topic), 0) as num_temas
             FROM blocks b 
-            JOIN user_roles ur ON b.user_role_id = ur.id
-            JOIN roles r ON ur.role_id = r.id
             LEFT JOIN topic_answers ta ON b.id = ta.block_id
-            WHERE ur.user_id = $1 AND r.name = 'profesor'
+            WHERE b.user_role_id = ANY($1::int[])
             GROUP BY b.id, b.name, b.description, b.observaciones, b.is_public, b.created_at, b.image_url
             ORDER BY b.created_at DESC
-        `, [profesorId]);
+        `, [profesorRoleIds]);
         
         // Agregar estadísticas de usuarios para cada bloque
         const bloquesConStats = await Promise.all(bloques.rows.map(async (bloque) => {
@@ -1884,6 +1617,7 @@ router.get('/creadores/:creadorId/bloques', authenticateToken, async (req, res)
         }
         
         // Obtener bloques del creador creados específicamente con rol de creador
+        const creadorRoleIds = await users.getUserRoleIds(creadorId, 'creador');
         const bloques = await pool.query(`
             SELECT 
                 b.id, 
@@ -1894,17 +1628,15 @@ router.get('/creadores/:creadorId/bloques', authenticateToken, async (req, res)
                 b.created_at,
                 b.image_url,
                 b.user_role_id,
-                r.name as created_with_role,
+                'creador' as created_with_role,
                 COALESCE(COUNT(DISTINCT ta.id), 0) as total_preguntas,
                 COALESCE(COUNT(DISTINCT ta.topic), 0) as num_temas
             FROM blocks b 
-            JOIN user_roles ur ON b.user_role_id = ur.id
-            JOIN roles r ON ur.role_id = r.id
             LEFT JOIN topic_answers ta ON b.id = ta.block_id
-            WHERE ur.user_id = $1 AND r.name = 'creador'
-            GROUP BY b.id, b.name, b.description, b.observaciones, b.is_public, b.created_at, b.image_url, b.user_role_id, r.name
+            WHERE b.user_role_id = ANY($1::int[])
+            GROUP BY b.id, b.name, b.description, b.observaciones, b.is_public, b.created_at, b.image_url, b.user_role_id
             ORDER BY b.created_at DESC
-        `, [creadorId]);
+        `, [creadorRoleIds]);
         
         console.log(`Found ${bloques.rows.length} blocks for creador ${creadorId}`);
         
@@ -1978,7 +1710,8 @@ router.get('/bloques', authenticateToken, async (req, res) => {
             return res.status(404).json({ error: 'Creador no encontrado' });
         }
         
-        // Obtener bloques del creador
+        // Obtener bloques del creador con el rol con el que se creó cada uno
+        const roleNames = new Map((await users.getUserRoles(user_id)).map(role => [role.user_role_id, role.name]));
         const bloques = await pool.query(`
             SELECT 
                 b.id, 
@@ -1989,16 +1722,16 @@ router.get('/bloques', authenticateToken, async (req, res) => {
                 b.created_at,
                 b.image_url,
                 b.user_role_id,
-                r.name as created_with_role,
                 COALESCE(ba.total_questions, 0) as total_preguntas,
                 COALESCE(ba.total_topics, 0) as num_temas
             FROM blocks b 
-            JOIN user_roles ur ON b.user_role_id = ur.id
-            LEFT JOIN roles r ON ur.role_id = r.id
             LEFT JOIN block_answers ba ON b.id = ba.block_id
-            WHERE ur.user_id = $1
+            WHERE b.user_role_id = ANY($1::int[])
             ORDER BY b.created_at DESC
-        `, [user_id]);
+        `, [[...roleNames.keys()]]);
+        bloques.rows.forEach(bloque => {
+            bloque.created_with_role = roleNames.get(bloque.user_role_id);
+        });
         
         console.log(`Found ${bloques.rows.length} blocks for user ${user_id} via query param`);
         
@@ -2142,22 +1875,6 @@ router.put('/admin-assignments/update', authenticateToken, async (req, res) => {
             });
         }
         
-        // Verificar si la tabla admin_assignments existe y crear si es necesario
-        try {
-            await pool.query(`
-                CREATE TABLE IF NOT EXISTS admin_assignments (
-                    id SERIAL PRIMARY KEY,
-                    admin_id INTEGER REFERENCES users(id),
-                    assigned_user_id INTEGER REFERENCES users(id),
-                    assigned_by INTEGER REFERENCES users(id),
-                    assigned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                    UNIQUE(assigned_user_id)
-                )
-            `);
-        } catch (tableError) {
-            console.warn('⚠️ Could not create admin_assignments table:', tableError.message);
-        }
-
         // Verificar si ya existe una asignación para este usuario
         const existingQuery = await pool.query(
             'SELECT id FROM admin_assignments WHERE assigned_user_id = $1',
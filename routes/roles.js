@@ -1,43 +1,31 @@
 const express = require('express');
 const pool = require('../database/connection');
 const { authenticateToken } = require('../middleware/auth');
+const { requireRole, ROLE_GROUPS } = require('../middleware/policy');
+const UserRepository = require('../user-repository');
+const LuminariasRepository = require('../luminarias-repository');
 
 const router = express.Router();
+const users = new UserRepository();
+const luminarias = new LuminariasRepository();
 
 // Middleware para verificar rol de administrador
-const requireAdminRole = async (req, res, next) => {
-  try {
-    const result = await pool.query(`
-      SELECT r.name, r.hierarchy_level
-      FROM user_roles ur
-      JOIN roles r ON ur.role_id = r.id
-      WHERE ur.user_id = $1 AND r.name IN ('administrador_principal', 'administrador_secundario')
-    `, [req.user.id]);
-
-    if (result.rows.length === 0) {
-      return res.status(403).json({ error: 'Acceso denegado: Se requiere rol de administrador' });
-    }
-
-    req.adminRole = result.rows[0];
+const requireAdminRole = [
+  requireRole(ROLE_GROUPS.ADMIN),
+  (req, res, next) => {
+    req.adminRole = { name: req.user.matchedRole };
     next();
-  } catch (error) {
-    console.error('Error verificando rol de administrador:', error);
-    res.status(500).json({ error: 'Error interno del servidor' });
   }
-};
+];
 
 // Obtener roles del usuario actual
 router.get('/my-roles', authenticateToken, async (req, res) => {
   try {
-    const result = await pool.query(`
-      SELECT r.name, r.description, r.hierarchy_level, ur.assigned_at, ur.auto_assigned
-      FROM user_roles ur
-      JOIN roles r ON ur.role_id = r.id
-      WHERE ur.user_id = $1
-      ORDER BY r.hierarchy_level
-    `, [req.user.id]);
-
-    res.json(result.rows);
+    const roles = await users.getUserRoles(req.user.id);
+
+    res.json(roles.map(({ name, description, hierarchy_level, assigned_at, auto_assigned }) => ({
+      name, description, hierarchy_level, assigned_at, auto_assigned
+    })));
   } catch (error) {
     console.error('Error obteniendo roles del usuario:', error);
     res.status(500).json({ error: 'Error interno del servidor' });
@@ -58,12 +46,12 @@ router.post('/assign-admin-secundario', authenticateToken, requireAdminRole, asy
     }
 
     // Verificar que el usuario existe
-    const userResult = await pool.query('SELECT id FROM users WHERE nickname = $1', [nickname]);
-    if (userResult.rows.length === 0) {
+    const user = await users.findByNickname(nickname);
+    if (!user) {
       return res.status(404).json({ error: 'Usuario no encontrado' });
     }
 
-    const userId = userResult.rows[0].id;
+    const userId = user.id;
 
     // Verificar que no sea el mismo AdminPrincipal
     if (userId === req.user.id) {
@@ -71,29 +59,12 @@ router.post('/assign-admin-secundario', authenticateToken, requireAdminRole, asy
     }
 
     // Verificar que no tenga ya el rol
-    const existingRole = await pool.query(`
-      SELECT 1 FROM user_roles ur
-      JOIN roles r ON ur.role_id = r.id
-      WHERE ur.user_id = $1 AND r.name = 'administrador_secundario'
-    `, [userId]);
-
-    if (existingRole.rows.length > 0) {
+    if (await users.hasRole(userId, 'administrador_secundario')) {
       return res.status(400).json({ error: 'El usuario ya tiene el rol de Administrador Secundario' });
     }
 
-    // Asignar el rol
-    const roleResult = await pool.query('SELECT id FROM roles WHERE name = $1', ['administrador_secundario']);
-    await pool.query(
-      'INSERT INTO user_roles (user_id, role_id, assigned_by) VALUES ($1, $2, $3)',
-      [userId, roleResult.rows[0].id, req.user.id]
-    );
-
-    // Inicializar luminarias si no existen
-    await pool.query(`
-      INSERT INTO user_luminarias (user_id)
-      VALUES ($1)
-      ON CONFLICT (user_id) DO NOTHING
-    `, [userId]);
+    // Asignar el rol (la cuenta de Luminarias la abre el libro mayor en su primer movimiento)
+    await users.assignRole(userId, 'administrador_secundario', { assignedBy: req.user.id });
 
     // Ejecutar redistribución automática
     await redistributeUsersToAdmins();
@@ -121,13 +92,7 @@ router.post('/reassign-user', authenticateToken, requireAdminRole, async (req, r
     }
 
     // Verificar que el nuevo admin es realmente un admin secundario
-    const adminCheck = await pool.query(`
-      SELECT 1 FROM user_roles ur
-      JOIN roles r ON ur.role_id = r.id
-      WHERE ur.user_id = $1 AND r.name = 'administrador_secundario'
-    `, [newAdminId]);
-
-    if (adminCheck.rows.length === 0) {
+    if (!(await users.hasRole(newAdminId, 'administrador_secundario'))) {
       return res.status(400).json({ error: 'El usuario especificado no es un Administrador Secundario' });
     }
 
@@ -154,25 +119,43 @@ router.get('/admin-principal-panel', authenticateToken, requireAdminRole, async
       return res.status(403).json({ error: 'Solo el Administrador Principal puede acceder a este panel' });
     }
 
+    const [adminIds, profesorIds, jugadorIds] = await Promise.all([
+      users.getUserIdsWithRole('administrador_secundario'),
+      users.getUserIdsWithRole('creador', 'profesor'),
+      users.getUserIdsWithRole('jugador')
+    ]);
+    const saldos = await luminarias.getSummaries([...new Set([...adminIds, ...profesorIds, ...jugadorIds])]);
+
+    // Columnas de Luminarias del panel a partir del libro mayor. Las compras con dinero real no pasan
+    // por el libro, así que luminarias_compradas queda a 0
+    const withLuminarias = rows => rows
+      .map(row => {
+        const saldo = saldos.get(row.id);
+        return {
+          ...row,
+          luminarias_actuales: saldo.current_balance,
+          luminarias_ganadas: saldo.total_earned,
+          luminarias_gastadas: saldo.total_spent,
+          luminarias_abonadas: saldo.total_credited,
+          luminarias_compradas: 0
+        };
+      })
+      .sort((a, b) => b.luminarias_actuales - a.luminarias_actuales);
+
     // Sección 1: Administradores Secundarios
     const adminsSecundarios = await pool.query(`
       SELECT 
         u.id, u.nickname, u.email,
         COUNT(DISTINCT aa.assigned_user_id) as profesores_asignados,
         COUNT(DISTINCT b.id) as bloques_totales,
-        COUNT(DISTINCT q.id) as preguntas_totales,
-        COALESCE(ul.actuales, 0) as luminarias
+        COUNT(DISTINCT q.id) as preguntas_totales
       FROM users u
-      JOIN user_roles ur ON u.id = ur.user_id
-      JOIN roles r ON ur.role_id = r.id
       LEFT JOIN admin_assignments aa ON u.id = aa.admin_id
       LEFT JOIN blocks b ON aa.assigned_user_id = b.creator_id AND b.is_public = true
       LEFT JOIN questions q ON b.id = q.block_id
-      LEFT JOIN user_luminarias ul ON u.id = ul.user_id
-      WHERE r.name = 'administrador_secundario'
-      GROUP BY u.id, u.nickname, u.email, ul.actuales
-      ORDER BY luminarias DESC
-    `);
+      WHERE u.id = ANY($1::int[])
+      GROUP BY u.id, u.nickname, u.email
+    `, [adminIds]);
 
     // Sección 2: Profesores/Creadores
     const profesoresCreadores = await pool.query(`
@@ -182,25 +165,16 @@ router.get('/admin-principal-panel', authenticateToken, requireAdminRole, async
         aa.admin_id,
         COUNT(DISTINCT b.id) as bloques_creados,
         COUNT(DISTINCT q.id) as preguntas_totales,
-        COUNT(DISTINCT up_users.user_id) as usuarios_bloques_publicos,
-        COALESCE(ul.actuales, 0) as luminarias_actuales,
-        COALESCE(ul.ganadas, 0) as luminarias_ganadas,
-        COALESCE(ul.gastadas, 0) as luminarias_gastadas,
-        COALESCE(ul.abonadas, 0) as luminarias_abonadas,
-        COALESCE(ul.compradas, 0) as luminarias_compradas
+        COUNT(DISTINCT up_users.user_id) as usuarios_bloques_publicos
       FROM users u
-      JOIN user_roles ur ON u.id = ur.user_id
-      JOIN roles r ON ur.role_id = r.id
       LEFT JOIN admin_assignments aa ON u.id = aa.assigned_user_id
       LEFT JOIN users aa_admin ON aa.admin_id = aa_admin.id
       LEFT JOIN blocks b ON u.id = b.creator_id AND b.is_public = true
       LEFT JOIN questions q ON b.id = q.block_id
       LEFT JOIN user_profiles up_users ON up_users.loaded_blocks::jsonb ? b.id::text
-      LEFT JOIN user_luminarias ul ON u.id = ul.user_id
-      WHERE r.name = 'profesor_creador'
-      GROUP BY u.id, u.nickname, u.email, aa_admin.nickname, aa.admin_id, ul.actuales, ul.ganadas, ul.gastadas, ul.abonadas, ul.compradas
-      ORDER BY luminarias_actuales DESC
-    `);
+      WHERE u.id = ANY($1::int[])
+      GROUP BY u.id, u.nickname, u.email, aa_admin.nickname, aa.admin_id
+    `, [profesorIds]);
 
     // Sección 3: Usuarios (Jugadores)
     const usuarios = await pool.query(`
@@ -208,28 +182,20 @@ router.get('/admin-principal-panel', authenticateToken, requireAdminRole, async
         u.id, u.nickname, u.email,
         COALESCE(array_length(up.loaded_blocks::int[], 1), 0) as bloques_cargados,
         COALESCE(aa_admin.nickname, 'Sin asignar') as admin_asignado,
-        aa.admin_id,
-        COALESCE(ul.actuales, 0) as luminarias_actuales,
-        COALESCE(ul.ganadas, 0) as luminarias_ganadas,
-        COALESCE(ul.gastadas, 0) as luminarias_gastadas,
-        COALESCE(ul.abonadas, 0) as luminarias_abonadas,
-        COALESCE(ul.compradas, 0) as luminarias_compradas
+        aa.admin_id
       FROM users u
-      JOIN user_roles ur ON u.id = ur.user_id
-      JOIN roles r ON ur.role_id = r.id
       LEFT JOIN user_profiles up ON u.id = up.user_id
       LEFT JOIN admin_assignments aa ON u.id = aa.assigned_user_id
       LEFT JOIN users aa_admin ON aa.admin_id = aa_admin.id
-      LEFT JOIN user_luminarias ul ON u.id = ul.user_id
-      WHERE r.name = 'usuario'
-      GROUP BY u.id, u.nickname, u.email, up.loaded_blocks, aa_admin.nickname, aa.admin_id, ul.actuales, ul.ganadas, ul.gastadas, ul.abonadas, ul.compradas
-      ORDER BY luminarias_actuales DESC
-    `);
+      WHERE u.id = ANY($1::int[])
+    `, [jugadorIds]);
 
     res.json({
-      administradoresSecundarios: adminsSecundarios.rows,
-      profesoresCreadores: profesoresCreadores.rows,
-      usuarios: usuarios.rows
+      administradoresSecundarios: adminsSecundarios.rows
+        .map(row => ({ ...row, luminarias: saldos.get(row.id).current_balance }))
+        .sort((a, b) => b.luminarias - a.luminarias),
+      profesoresCreadores: withLuminarias(profesoresCreadores.rows),
+      usuarios: withLuminarias(usuarios.rows)
     });
 
   } catch (error) {
@@ -245,6 +211,11 @@ router.get('/admin-secundario-panel', authenticateToken, requireAdminRole, async
       return res.status(403).json({ error: 'Solo los Administradores Secundarios pueden acceder a este panel' });
     }
 
+    const [profesorIds, jugadorIds] = await Promise.all([
+      users.getUserIdsWithRole('creador', 'profesor'),
+      users.getUserIdsWithRole('jugador')
+    ]);
+
     // Sección 1: Profesores/Creadores asignados (SIN luminarias)
     const profesoresAsignados = await pool.query(`
       SELECT 
@@ -254,15 +225,13 @@ router.get('/admin-secundario-panel', authenticateToken, requireAdminRole, async
         COUNT(DISTINCT up_users.user_id) as usuarios_bloques_publicos
       FROM users u
       JOIN admin_assignments aa ON u.id = aa.assigned_user_id
-      JOIN user_roles ur ON u.id = ur.user_id
-      JOIN roles r ON ur.role_id = r.id
       LEFT JOIN blocks b ON u.id = b.creator_id AND b.is_public = true
       LEFT JOIN questions q ON b.id = q.block_id
       LEFT JOIN user_profiles up_users ON up_users.loaded_blocks::jsonb ? b.id::text
-      WHERE aa.admin_id = $1 AND r.name = 'profesor_creador'
+      WHERE aa.admin_id = $1 AND u.id = ANY($2::int[])
       GROUP BY u.id, u.nickname, u.email
       ORDER BY u.nickname
-    `, [req.user.id]);
+    `, [req.user.id, profesorIds]);
 
     // Sección 2: Usuarios asignados (SIN luminarias, SIN reasignación)
     const usuariosAsignados = await pool.query(`
@@ -271,13 +240,10 @@ router.get('/admin-secundario-panel', authenticateToken, requireAdminRole, async
         COALESCE(array_length(up.loaded_blocks::int[], 1), 0) as bloques_cargados
       FROM users u
       JOIN admin_assignments aa ON u.id = aa.assigned_user_id
-      JOIN user_roles ur ON u.id = ur.user_id
-      JOIN roles r ON ur.role_id = r.id
       LEFT JOIN user_profiles up ON u.id = up.user_id
-      WHERE aa.admin_id = $1 AND r.name = 'usuario'
-      GROUP BY u.id, u.nickname, u.email, up.loaded_blocks
+      WHERE aa.admin_id = $1 AND u.id = ANY($2::int[])
       ORDER BY u.nickname
-    `, [req.user.id]);
+    `, [req.user.id, jugadorIds]);
 
     res.json({
       profesoresAsignados: profesoresAsignados.rows,
@@ -392,39 +358,30 @@ router.get('/topic-questions/:blockId/:topic', authenticateToken, requireAdminRo
 async function redistributeUsersToAdmins() {
   try {
     // Obtener todos los administradores secundarios
-    const adminsResult = await pool.query(`
-      SELECT u.id
-      FROM users u
-      JOIN user_roles ur ON u.id = ur.user_id
-      JOIN roles r ON ur.role_id = r.id
-      WHERE r.name = 'administrador_secundario'
-    `);
+    const adminIds = await users.getUserIdsWithRole('administrador_secundario');
 
-    if (adminsResult.rows.length === 0) return;
+    if (adminIds.length === 0) return;
 
-    const adminIds = adminsResult.rows.map(row => row.id);
+    const [candidateIds, principalIds] = await Promise.all([
+      users.getUserIdsWithRole('creador', 'profesor', 'jugador'),
+      users.getUserIdsWithRole('administrador_principal')
+    ]);
 
-    // Obtener todos los usuarios que necesitan ser asignados (profesores y usuarios sin asignar)
+    // Usuarios que necesitan ser asignados (profesores y usuarios sin asignar)
     const usersToAssignResult = await pool.query(`
-      SELECT DISTINCT u.id
+      SELECT u.id
       FROM users u
-      JOIN user_roles ur ON u.id = ur.user_id
-      JOIN roles r ON ur.role_id = r.id
-      WHERE r.name IN ('profesor_creador', 'usuario')
+      WHERE u.id = ANY($1::int[])
+        AND NOT (u.id = ANY($2::int[]))
         AND u.id NOT IN (
           SELECT assigned_user_id 
           FROM admin_assignments 
           WHERE assigned_user_id IS NOT NULL
         )
-        AND u.id NOT IN (
-          SELECT u2.id FROM users u2
-          JOIN user_roles ur2 ON u2.id = ur2.user_id
-          JOIN roles r2 ON ur2.role_id = r2.id
-          WHERE r2.name = 'administrador_principal'
-        )
-    `);
+    `, [candidateIds, principalIds]);
 
     const usersToAssign = usersToAssignResult.rows.map(row => row.id);
+    const assignedBy = principalIds[0] || null;
 
     // Distribuir usuarios de forma equitativa
     for (let i = 0; i < usersToAssign.length; i++) {
@@ -434,15 +391,9 @@ async function redistributeUsersToAdmins() {
 
       await pool.query(`
         INSERT INTO admin_assignments (admin_id, assigned_user_id, assigned_by)
-        SELECT $1, $2, (
-          SELECT u.id FROM users u
-          JOIN user_roles ur ON u.id = ur.user_id
-          JOIN roles r ON ur.role_id = r.id
-          WHERE r.name = 'administrador_principal'
-          LIMIT 1
-        )
+        VALUES ($1, $2, $3)
         ON CONFLICT (assigned_user_id) DO NOTHING
-      `, [adminId, userId]);
+      `, [adminId, userId, assignedBy]);
     }
 
     console.log(`✅ Redistribuidos ${usersToAssign.length} usuarios entre ${adminIds.length} administradores secundarios`);
@@ -0,0 +1,91 @@
+const express = require('express');
+const multer = require('multer');
+const { authenticateToken } = require('../middleware/auth');
+const { requireRole, hasRole, ROLE_GROUPS } = require('../middleware/policy');
+const RosterImportService = require('../roster-import');
+
+const router = express.Router();
+const rosters = new RosterImportService();
+
+// Roster files are parsed in memory, never stored
+const rosterUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 10 * 1024 * 1024, // 10MB
+        files: 10
+    }
+});
+
+const isTrue = value => value === true || value === 'true';
+
+// Importar una lista de clase: un CSV o un paquete OneRoster 1.2 (zip o sus users.csv, classes.csv, enrollments.csv)
+// multipart fields: files, format (auto|csv|oneroster), target (group|class), source, group_id, class_id,
+// dry_run, create_users
+router.post('/import', authenticateToken, requireRole(ROLE_GROUPS.EDUCATOR), rosterUpload.array('files'), async (req, res) => {
+    try {
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({ error: 'At least one roster file is required' });
+        }
+
+        const files = RosterImportService.readFiles(req.files);
+        const requestedFormat = (req.body.format || 'auto').toLowerCase();
+        const format = requestedFormat === 'auto' ? RosterImportService.detectFormat(files) : requestedFormat;
+
+        const roster = RosterImportService.parse(files, format);
+        const result = await rosters.importRoster(roster, {
+            importerId: req.user.id,
+            isAdmin: hasRole(req.user, ROLE_GROUPS.ADMIN),
+            format,
+            source: req.body.source || null,
+            target: req.body.target || 'group',
+            groupId: req.body.group_id ? parseInt(req.body.group_id) : null,
+            classId: req.body.class_id ? parseInt(req.body.class_id) : null,
+            dryRun: isTrue(req.body.dry_run),
+            createUsers: req.body.create_users === undefined ? true : isTrue(req.body.create_users)
+        });
+
+        res.status(result.dry_run ? 200 : 201).json(result);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error importing roster:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Importaciones propias (todas para administración), con su resumen
+router.get('/imports', authenticateToken, requireRole(ROLE_GROUPS.EDUCATOR), async (req, res) => {
+    try {
+        const imports = await rosters.listImports(req.user.id, hasRole(req.user, ROLE_GROUPS.ADMIN), {
+            limit: req.query.limit
+        });
+        res.json({ imports });
+    } catch (error) {
+        console.error('Error listing roster imports:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Informe de conciliación; ?format=csv para descargarlo
+router.get('/imports/:id', authenticateToken, requireRole(ROLE_GROUPS.EDUCATOR), async (req, res) => {
+    try {
+        const rosterImport = await rosters.getImport(parseInt(req.params.id), req.user.id, hasRole(req.user, ROLE_GROUPS.ADMIN));
+
+        if (req.query.format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename=roster-import-${rosterImport.id}.csv`);
+            return res.send(RosterImportService.reportCsv(rosterImport.report));
+        }
+
+        res.json(rosterImport);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error fetching roster import:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
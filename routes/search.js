@@ -0,0 +1,218 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const AdvancedSearchSystem = require('../advanced-search');
+const SearchSuggestionsSystem = require('../search-suggestions');
+const RecentSearchSystem = require('../search-recent');
+
+// Inicializar sistemas
+const searchSystem = new AdvancedSearchSystem();
+const suggestionsSystem = new SearchSuggestionsSystem();
+const recentSearches = new RecentSearchSystem();
+
+const SORT_OPTIONS = ['relevance', 'date', 'popularity', 'rating'];
+
+// Filtros por tipo admitidos en la query string (?blocks.min_questions=5, ?games.status=completed...)
+const TYPE_FILTERS = {
+    users: ['role', 'min_luminarias', 'created_after'],
+    blocks: ['creator_id', 'min_questions', 'created_after'],
+    questions: ['difficulty', 'block_id', 'topic', 'min_answers', 'created_after'],
+    games: ['game_type', 'status', 'created_after', 'completed_only'],
+    challenges: ['challenge_type', 'status', 'min_prize', 'active_only', 'created_after']
+};
+
+function parseFilters(query) {
+    const types = query.types
+        ? String(query.types).split(',').map(type => type.trim()).filter(Boolean)
+        : AdvancedSearchSystem.SEARCH_TYPES;
+
+    const invalid = types.filter(type => !AdvancedSearchSystem.SEARCH_TYPES.includes(type));
+    if (invalid.length > 0) {
+        return { error: `Tipos no válidos: ${invalid.join(', ')}` };
+    }
+
+    const filters = {};
+    for (const type of AdvancedSearchSystem.SEARCH_TYPES) {
+        if (!types.includes(type)) {
+            filters[`exclude_${type}`] = true;
+            continue;
+        }
+
+        filters[type] = {};
+        for (const name of TYPE_FILTERS[type]) {
+            const value = query[`${type}.${name}`];
+            if (value !== undefined && value !== '') {
+                filters[type][name] = value === 'true' ? true : value;
+            }
+        }
+    }
+
+    return { types, filters };
+}
+
+// ==================== BÚSQUEDA ====================
+
+// Búsqueda unificada sobre usuarios, bloques, preguntas, partidas y retos
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const query = String(req.query.q || '').trim();
+        if (query.length < 2) {
+            return res.status(400).json({ error: 'La búsqueda debe tener al menos 2 caracteres' });
+        }
+        if (query.length > 200) {
+            return res.status(400).json({ error: 'La búsqueda no puede superar los 200 caracteres' });
+        }
+
+        const parsed = parseFilters(req.query);
+        if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+        const sortBy = SORT_OPTIONS.includes(req.query.sort_by) ? req.query.sort_by : 'relevance';
+        const sortOrder = req.query.sort_order === 'asc' ? 'asc' : 'desc';
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+        const offset = Math.min(Math.max(parseInt(req.query.offset) || 0, 0), 500);
+
+        const startedAt = Date.now();
+        const results = await searchSystem.performAdvancedSearch({
+            query,
+            filters: parsed.filters,
+            sort_by: sortBy,
+            sort_order: sortOrder,
+            limit,
+            offset,
+            user_id: req.user.id,
+            user_roles: req.user.roles || []
+        });
+        const executionTime = Date.now() - startedAt;
+
+        // El historial no debe romper la búsqueda; solo se guarda la primera página
+        if (offset === 0) {
+            recentSearches.recordSearch(req.user.id, {
+                query,
+                context: parsed.types.length === 1 ? parsed.types[0] : 'all',
+                filters: parsed.filters,
+                results_count: results.total_count,
+                execution_time_ms: executionTime
+            }).catch(() => {});
+        }
+
+        res.json({
+            query,
+            sort_by: sortBy,
+            sort_order: sortOrder,
+            limit,
+            offset,
+            execution_time_ms: executionTime,
+            ...results
+        });
+
+    } catch (error) {
+        console.error('Error performing search:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Error realizando búsqueda',
+            details: error.message
+        });
+    }
+});
+
+// Autocompletado mientras se escribe
+router.get('/suggestions', authenticateToken, async (req, res) => {
+    try {
+        const prefix = String(req.query.q || '').trim();
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 5, 1), 20);
+
+        const suggestions = await suggestionsSystem.getQuickSuggestions(prefix, req.query.context || 'all', limit);
+
+        res.json({ query: prefix, suggestions });
+
+    } catch (error) {
+        console.error('Error getting search suggestions:', error);
+        res.status(500).json({
+            error: 'Error obteniendo sugerencias',
+            details: error.message
+        });
+    }
+});
+
+// ==================== HISTORIAL ====================
+
+// Búsquedas recientes del usuario
+router.get('/recent', authenticateToken, async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+        const context = req.query.context || null;
+
+        const searches = await recentSearches.getRecentSearches(req.user.id, { limit, context });
+
+        res.json({ searches });
+
+    } catch (error) {
+        console.error('Error getting recent searches:', error);
+        res.status(500).json({
+            error: 'Error obteniendo búsquedas recientes',
+            details: error.message
+        });
+    }
+});
+
+// Búsquedas que más repite el usuario y tendencias de la última semana entre todos los usuarios
+router.get('/popular', authenticateToken, async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+
+        const [mine, trending] = await Promise.all([
+            recentSearches.getPopularSearches(req.user.id, limit),
+            suggestionsSystem.getTrendingSuggestions(req.query.context || 'all', limit)
+        ]);
+
+        res.json({ mine, trending });
+
+    } catch (error) {
+        console.error('Error getting popular searches:', error);
+        res.status(500).json({
+            error: 'Error obteniendo búsquedas populares',
+            details: error.message
+        });
+    }
+});
+
+// Eliminar una búsqueda del historial
+router.delete('/recent/:searchId', authenticateToken, async (req, res) => {
+    try {
+        const searchId = parseInt(req.params.searchId);
+        if (isNaN(searchId)) {
+            return res.status(400).json({ error: 'searchId debe ser numérico' });
+        }
+
+        const result = await recentSearches.deleteSearch(req.user.id, searchId);
+        if (!result.deleted) {
+            return res.status(404).json({ error: 'Búsqueda no encontrada' });
+        }
+
+        res.json(result);
+
+    } catch (error) {
+        console.error('Error deleting recent search:', error);
+        res.status(500).json({
+            error: 'Error eliminando búsqueda',
+            details: error.message
+        });
+    }
+});
+
+// Vaciar el historial de búsquedas
+router.delete('/recent', authenticateToken, async (req, res) => {
+    try {
+        const result = await recentSearches.clearUserHistory(req.user.id);
+
+        res.json(result);
+
+    } catch (error) {
+        console.error('Error clearing search history:', error);
+        res.status(500).json({
+            error: 'Error vaciando historial de búsquedas',
+            details: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const pool = require('../database/connection');
 const { authenticateToken } = require('../middleware/auth');
+const { requireRole, ROLE_GROUPS } = require('../middleware/policy');
 
 // ==========================================
 // API ENDPOINTS - PANEL DE PROFESORES
@@ -9,28 +10,7 @@ const { authenticateToken } = require('../middleware/auth');
 // ==========================================
 
 // Middleware para verificar que el usuario es profesor
-const requireTeacherRole = async (req, res, next) => {
-    try {
-        // Verificar que el usuario tiene rol de profesor
-        const teacherCheck = await pool.query(`
-            SELECT ur.id FROM user_roles ur
-            JOIN roles r ON ur.role_id = r.id
-            WHERE ur.user_id = $1 AND r.name IN ('profesor', 'administrador_principal', 'administrador_secundario')
-        `, [req.user.id]);
-        
-        if (teacherCheck.rows.length === 0) {
-            return res.status(403).json({ 
-                error: 'Acceso denegado: se requiere rol de profesor'
-            });
-        }
-        
-        req.user.isTeacher = true;
-        next();
-    } catch (error) {
-        console.error('Error verificando rol de profesor:', error);
-        res.status(500).json({ error: 'Error interno del servidor' });
-    }
-};
+const requireTeacherRole = requireRole(ROLE_GROUPS.EDUCATOR);
 
 // ==========================================
 // PESTAÑA 1 - GESTIÓN DE ALUMNOS Y CLASES
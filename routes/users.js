@@ -1,8 +1,15 @@
 const express = require('express');
 const { pool } = require('../database/connection');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, sessions } = require('../middleware/auth');
+const GameSessionManager = require('../game-sessions');
+const SpacedRepetitionScheduler = require('../spaced-repetition');
+const AnswerEventStore = require('../answer-events');
+const Mailer = require('../mail-transport');
 
 const router = express.Router();
+const sessionManager = GameSessionManager.shared();
+const reviewScheduler = new SpacedRepetitionScheduler();
+const answerEvents = new AnswerEventStore();
 
 // Get user profile
 router.get('/profile', authenticateToken, async (req, res) => {
@@ -15,8 +22,8 @@ router.get('/profile', authenticateToken, async (req, res) => {
     });
 
     const result = await pool.query(`
-      SELECT u.id, u.nickname, u.email, u.first_name, u.last_name, u.created_at,
-        up.answer_history, up.stats, up.preferences, up.loaded_blocks
+      SELECT u.id, u.nickname, u.email, u.email_verified_at, u.first_name, u.last_name, u.created_at,
+        up.stats, up.preferences, up.loaded_blocks
       FROM users u
       LEFT JOIN user_profiles up ON u.id = up.user_id
       WHERE u.id = $1
@@ -33,6 +40,9 @@ router.get('/profile', authenticateToken, async (req, res) => {
     }
 
     const user = result.rows[0];
+
+    // Answer history now lives in answer_events; keep the same shape and size as the old JSON array
+    const answerHistory = await answerEvents.getRecentHistory(req.user.id, 1000);
     
     // DEBUG: Log the specific fields we're returning
     console.log('🔍 DEBUG Profile response data:', {
@@ -51,6 +61,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
       id: user.id,
       nickname: user.nickname,
       email: user.email,
+      emailVerified: !!user.email_verified_at,
       // Support both camelCase and snake_case for compatibility
       firstName: user.first_name,
       lastName: user.last_name,
@@ -59,7 +70,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
       createdAt: user.created_at,
       created_at: user.created_at,
       roles: userRoles,
-      answerHistory: user.answer_history || [],
+      answerHistory: answerHistory,
       stats: user.stats || {},
       preferences: user.preferences || {},
       loadedBlocks: user.loaded_blocks || []
@@ -90,7 +101,13 @@ router.put('/profile', authenticateToken, async (req, res) => {
     const updateValues = [];
     let paramIndex = 1;
 
+    if (email && !Mailer.isEmail(email)) {
+      return res.status(400).json({ error: 'Invalid email address' });
+    }
+
     if (email !== undefined) {
+      // A new address has to be verified again (POST /api/auth/resend-verification)
+      updateFields.push(`email_verified_at = CASE WHEN email IS DISTINCT FROM $${paramIndex} THEN NULL ELSE email_verified_at END`);
       updateFields.push(`email = $${paramIndex++}`);
       updateValues.push(email);
     }
@@ -131,29 +148,40 @@ router.put('/profile', authenticateToken, async (req, res) => {
   }
 });
 
-// Update user stats (called after games)
+// Update user stats (called after games). Only server-judged answers count: the game session's
+// answers, or the ones a live match already recorded. Client-sent gameResults are ignored
 router.post('/stats', authenticateToken, async (req, res) => {
   try {
-    const { gameResults, gameType } = req.body;
+    const gameId = parseInt(req.body.gameId);
+
+    if (isNaN(gameId)) {
+      return res.status(400).json({ error: 'gameId is required' });
+    }
 
-    if (!gameResults || !gameResults.answers) {
-      return res.status(400).json({ error: 'Game results are required' });
+    // Answers already stored for this game (live matches record them when they finish)
+    let answers = await answerEvents.getGameAnswers(req.user.id, gameId);
+    const newAnswers = answers.length === 0;
+
+    if (newAnswers) {
+      const judgedAnswers = await sessionManager.getJudgedAnswers(gameId, req.user.id);
+      if (!judgedAnswers) {
+        return res.status(409).json({ error: 'No server-judged answers for this game: play it through a game session' });
+      }
+      answers = judgedAnswers;
+
+      // Store new answers as individual rows in answer_events (no JSON rewrite)
+      await answerEvents.recordAnswers(req.user.id, gameId, answers);
     }
 
-    // Get current user profile
-    let profileResult = await pool.query(
-      'SELECT answer_history, stats FROM user_profiles WHERE user_id = $1',
+    // Get current consolidation stats
+    const profileResult = await pool.query(
+      'SELECT stats FROM user_profiles WHERE user_id = $1',
       [req.user.id]
     );
 
-    let answerHistory = [];
     let stats = { consolidation: { byQuestion: {}, byTopic: {}, byBlock: {} } };
 
     if (profileResult.rows.length > 0) {
-      const rawHistory = profileResult.rows[0].answer_history;
-      // CRITICAL: Ensure answer_history is always an array
-      answerHistory = Array.isArray(rawHistory) ? rawHistory : [];
-
       const dbStats = profileResult.rows[0].stats || {};
 
       // Ensure stats has the correct structure
@@ -166,26 +194,8 @@ router.post('/stats', authenticateToken, async (req, res) => {
       };
     }
 
-    // Add new answers to history
-    for (const answer of gameResults.answers) {
-      const { blockId, questionId, topicName, result, responseTime } = answer;
-      
-      answerHistory.unshift({
-        gameId: req.body.gameId,
-        questionId,
-        blockId,
-        topicName,
-        result,
-        responseTime,
-        timestamp: new Date().toISOString()
-      });
-    }
-
-    // Keep only last 1000 answers
-    answerHistory = answerHistory.slice(0, 1000);
-
     // Calculate consolidation stats with improved algorithm
-    const blockIds = [...new Set(gameResults.answers.map(a => a.blockId).filter(Boolean))];
+    const blockIds = [...new Set(answers.map(a => parseInt(a.blockId)).filter(Boolean))];
     
     for (const blockId of blockIds) {
       // Get all questions for this block
@@ -197,13 +207,14 @@ router.post('/stats', authenticateToken, async (req, res) => {
       const questionsInBlock = questionsResult.rows;
       if (questionsInBlock.length === 0) continue;
 
+      // Last 10 attempts per question, most recent first
+      const attemptsByQuestion = await answerEvents.getRecentAttemptsByQuestion(req.user.id, blockId, 10);
+
       // Calculate block consolidation with weighted scoring
       let totalBlockConsolidation = 0;
       
       for (const question of questionsInBlock) {
-        const questionAnswers = answerHistory.filter(h => 
-          h.blockId === blockId && h.questionId === question.id
-        ).slice(0, 10); // Consider last 10 attempts
+        const questionAnswers = attemptsByQuestion[question.id] || [];
         
         if (questionAnswers.length === 0) {
           // Question never attempted = 0% consolidation
@@ -227,9 +238,7 @@ router.post('/stats', authenticateToken, async (req, res) => {
         let totalTopicConsolidation = 0;
         
         for (const question of questionsInTopic) {
-          const questionAnswers = answerHistory.filter(h => 
-            h.blockId === blockId && h.questionId === question.id && h.topicName === topicName
-          ).slice(0, 10); // Consider last 10 attempts
+          const questionAnswers = (attemptsByQuestion[question.id] || []).filter(h => h.topicName === topicName);
           
           if (questionAnswers.length === 0) {
             totalTopicConsolidation += 0;
@@ -247,14 +256,24 @@ router.post('/stats', authenticateToken, async (req, res) => {
 
     // Update user profile
     await pool.query(`
-      INSERT INTO user_profiles (user_id, answer_history, stats) 
-      VALUES ($1, $2, $3) 
+      INSERT INTO user_profiles (user_id, stats) 
+      VALUES ($1, $2) 
       ON CONFLICT (user_id) 
       DO UPDATE SET 
-        answer_history = $2, 
-        stats = $3, 
+        stats = $2, 
         updated_at = CURRENT_TIMESTAMP
-    `, [req.user.id, JSON.stringify(answerHistory), JSON.stringify(stats)]);
+    `, [req.user.id, JSON.stringify(stats)]);
+
+    // Reschedule answered questions in the spaced-repetition queue (seeding it from history the first time).
+    // Only once per game, so repeated calls do not push the intervals
+    try {
+      const seeded = await reviewScheduler.seedFromHistory(req.user.id);
+      if (!seeded && newAnswers) {
+        await reviewScheduler.recordAnswers(req.user.id, answers);
+      }
+    } catch (reviewError) {
+      console.error('Error updating review queue:', reviewError);
+    }
 
     res.json({ message: 'Stats updated successfully' });
 
@@ -641,17 +660,8 @@ router.put('/me/roles', authenticateToken, async (req, res) => {
 
       await client.query('COMMIT');
 
-      // Generate new JWT token with updated roles
-      const jwt = require('jsonwebtoken');
-      const newToken = jwt.sign(
-        { 
-          id: req.user.id, 
-          nickname: req.user.nickname,
-          roles: roles 
-        },
-        process.env.JWT_SECRET,
-        { expiresIn: '7d' }
-      );
+      // New access token with the updated roles, bound to the same session
+      const newToken = await sessions.issueAccessToken(req.user, req.user.sessionId);
       
       console.log('✅ Generated new token with roles:', roles);
       
@@ -0,0 +1,129 @@
+const runEscalation = require('./escalation-cron');
+const LevelsSetup = require('./levels-setup');
+const LevelsCalculator = require('./levels-calculator');
+const LevelsPaymentSystem = require('./levels-payments');
+const ChallengesSetup = require('./challenges-setup');
+const LuminariasLedger = require('./luminarias-ledger');
+const NotificationDispatcher = require('./notification-dispatcher');
+const supportAutomation = require('./support-automation');
+const LtiService = require('./lti');
+
+// Todas las tareas periódicas del servidor. Los horarios son Europe/Madrid; cada ejecución queda
+// en jobs/job_runs y se administra desde /api/admin/jobs
+function registerScheduledJobs(queue) {
+    const levels = new LevelsSetup();
+    const calculator = new LevelsCalculator();
+    const payments = new LevelsPaymentSystem();
+    const challenges = new ChallengesSetup();
+    const ledger = new LuminariasLedger();
+    const dispatcher = NotificationDispatcher.shared();
+    const lti = new LtiService();
+
+    // ==================== SOPORTE ====================
+
+    queue.register('support.escalate_tickets', async () => ({ escalated: await runEscalation() }), {
+        schedule: '0 * * * *',
+        description: 'Escalado de tickets sin respuesta (escalate_tickets())'
+    });
+
+    for (const [name, task] of Object.entries(supportAutomation.tasks)) {
+        queue.register(`support.${name}`, () => supportAutomation[task.method](), {
+            schedule: task.schedule,
+            description: task.description,
+            paused: true
+        });
+    }
+
+    // ==================== NIVELES ====================
+
+    queue.register('levels.async_calculations', () => levels.processAsyncCalculations(), {
+        schedule: '*/5 * * * *',
+        description: 'Cálculos de nivel pendientes (async_level_calculations)',
+        timeoutSeconds: 4 * 60
+    });
+
+    queue.register('levels.periodic_calculations', () => calculator.runPeriodicLevelCalculations(), {
+        schedule: '0 4 * * *',
+        description: 'Recalcular niveles de los usuarios activos en las últimas 24 horas',
+        timeoutSeconds: 30 * 60
+    });
+
+    queue.register('levels.notifications', () => levels.notificationSystem.runPeriodicNotifications(), {
+        schedule: '*/15 * * * *',
+        description: 'Recordatorios e hitos de niveles'
+    });
+
+    // Sin reintentos automáticos: un fallo a mitad podría duplicar pagos; se revisa y se relanza a mano
+    queue.register('levels.weekly_payments', async () => {
+        const results = await payments.processWeeklyPayments();
+        return results.summary;
+    }, {
+        schedule: '0 2 * * 1',
+        description: 'Pagos semanales de Luminarias por nivel',
+        maxAttempts: 1,
+        timeoutSeconds: 30 * 60
+    });
+
+    queue.register('levels.daily_maintenance', () => levels.runDailyMaintenance(), {
+        schedule: '0 3 * * *',
+        description: 'Limpieza de notificaciones, beneficios y cálculos antiguos'
+    });
+
+    // ==================== RETOS ====================
+
+    queue.register('challenges.validations', () => challenges.validator.runPeriodicValidations(), {
+        schedule: '*/10 * * * *',
+        description: 'Validar el progreso de los participantes activos',
+        timeoutSeconds: 9 * 60
+    });
+
+    queue.register('challenges.notifications', () => challenges.notificationSystem.runPeriodicNotifications(), {
+        schedule: '*/30 * * * *',
+        description: 'Recordatorios, hitos y alertas de retos'
+    });
+
+    queue.register('challenges.daily_metrics', () => challenges.updateDailyMetrics(), {
+        schedule: '0 2 * * *',
+        description: 'Métricas diarias de retos activos'
+    });
+
+    // ==================== LUMINARIAS ====================
+
+    // Solo informa; las correcciones se lanzan desde POST /api/v1/luminarias/admin/ledger/reconcile con repair
+    queue.register('luminarias.ledger_reconciliation', async () => {
+        const { run } = await ledger.reconcile();
+        return { run_id: run.id, issues_found: run.issues_found };
+    }, {
+        schedule: '30 3 * * *',
+        description: 'Conciliación diaria del libro mayor de Luminarias',
+        maxAttempts: 2
+    });
+
+    // ==================== NOTIFICACIONES ====================
+
+    queue.register('notifications.process_queue', () => dispatcher.processQueue(), {
+        schedule: '*/5 * * * *',
+        description: 'Resúmenes de email vencidos y reintentos de push/email',
+        timeoutSeconds: 4 * 60
+    });
+
+    // ==================== LTI ====================
+
+    // Los fallos se guardan por alumno en lti_score_publications; el job solo falla si no llega a la base
+    queue.register('lti.score_passback', () => lti.publishPendingScores(), {
+        schedule: '*/2 * * * *',
+        description: 'Enviar al LMS (AGS) las notas nuevas o cambiadas de las actividades LTI',
+        timeoutSeconds: 90
+    });
+
+    // ==================== MANTENIMIENTO ====================
+
+    queue.register('jobs.prune', () => queue.prune(30), {
+        schedule: '15 4 * * *',
+        description: 'Borrar trabajos terminados de hace más de 30 días'
+    });
+
+    return queue;
+}
+
+module.exports = registerScheduledJobs;
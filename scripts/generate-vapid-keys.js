@@ -0,0 +1,11 @@
+const WebPushSender = require('../web-push');
+
+// Usage: node scripts/generate-vapid-keys.js
+//   prints a new VAPID key pair for Web Push; add both lines to the environment.
+//   Changing the keys invalidates every existing browser subscription.
+const { publicKey, privateKey } = WebPushSender.generateVapidKeys();
+
+console.log('🔑 New VAPID key pair:');
+console.log('');
+console.log(`VAPID_PUBLIC_KEY=${publicKey}`);
+console.log(`VAPID_PRIVATE_KEY=${privateKey}`);
@@ -0,0 +1,260 @@
+require('dotenv').config();
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+// Usage: node scripts/lti-platform-emulator.js
+//   minimal LTI 1.3 platform (LMS) on http://localhost:4000 to try the PlayTest tool locally:
+//   OIDC launches as teacher or student, deep linking and Assignment and Grade Services.
+//   Env: LTI_EMULATOR_PORT (4000), LTI_TOOL_URL (http://localhost:3000/api/v1/lti)
+//   1. Enable the 'lti' feature flag and register the platform with the JSON printed on start
+//      (POST /api/v1/lti/platforms as admin).
+//   2. Open http://localhost:4000 and launch; scores sent by the tool are printed here.
+const PORT = parseInt(process.env.LTI_EMULATOR_PORT) || 4000;
+const PLATFORM_URL = `http://localhost:${PORT}`;
+const TOOL_URL = (process.env.LTI_TOOL_URL || 'http://localhost:3000/api/v1/lti').replace(/\/+$/, '');
+
+const CLIENT_ID = 'playtest-local';
+const DEPLOYMENT_ID = 'deployment-1';
+const CONTEXT = { id: 'course-1', label: 'DEMO', title: 'Curso de prueba LTI' };
+
+const LTI = 'https://purl.imsglobal.org/spec/lti/claim';
+const SCOPES = [
+  'https://purl.imsglobal.org/spec/lti-ags/scope/lineitem',
+  'https://purl.imsglobal.org/spec/lti-ags/scope/score'
+];
+const ROLES = {
+  instructor: ['http://purl.imsglobal.org/vocab/lis/v2/membership#Instructor'],
+  learner: ['http://purl.imsglobal.org/vocab/lis/v2/membership#Learner']
+};
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KID = crypto.randomBytes(8).toString('hex');
+
+// Course state lives in memory: restart the emulator and the course starts empty
+const resourceLinks = new Map();
+const lineItems = new Map();
+const accessTokens = new Set();
+let toolKeys = null;
+
+const app = express();
+app.use(express.urlencoded({ extended: true }));
+app.use(express.json({ type: ['application/json', 'application/*+json'] }));
+
+const escapeHtml = value => String(value ?? '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+function autoPostForm(action, fields) {
+  const inputs = Object.entries(fields)
+    .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+    .join('');
+  return `<!DOCTYPE html><html><body onload="document.forms[0].submit()">
+<form method="POST" action="${escapeHtml(action)}">${inputs}<noscript><button>Continue</button></noscript></form>
+</body></html>`;
+}
+
+async function verifyWithToolKeys(token, options) {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded) throw new Error('Malformed JWT');
+
+  let jwk = toolKeys && toolKeys.find(key => key.kid === decoded.header.kid);
+  if (!jwk) {
+    const response = await fetch(`${TOOL_URL}/jwks`);
+    if (!response.ok) throw new Error(`Tool JWKS returned ${response.status}`);
+    toolKeys = (await response.json()).keys || [];
+    jwk = toolKeys.find(key => key.kid === decoded.header.kid);
+  }
+  if (!jwk) throw new Error(`Unknown tool key ${decoded.header.kid}`);
+
+  return jwt.verify(token, crypto.createPublicKey({ key: jwk, format: 'jwk' }), { algorithms: ['RS256'], ...options });
+}
+
+function requireAccessToken(req, res, next) {
+  const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+  if (!accessTokens.has(token)) return res.status(401).json({ error: 'invalid_token' });
+  next();
+}
+
+// ==================== COURSE PAGE ====================
+
+app.get('/', (req, res) => {
+  const links = [...resourceLinks.values()].map(link => `
+    <li><b>${escapeHtml(link.title)}</b> (block ${escapeHtml(link.custom.block_id)})
+      <a href="/start?user=alumna&role=learner&resource_link=${link.id}">student</a> ·
+      <a href="/start?user=profe&role=instructor&resource_link=${link.id}">teacher</a></li>`).join('');
+
+  res.send(`<!DOCTYPE html><html><body>
+<h1>${escapeHtml(CONTEXT.title)}</h1>
+<p><a href="/start?user=profe&role=instructor&deep_link=1">Add PlayTest activity (deep linking as teacher)</a></p>
+<form action="/start">Launch block <input name="block_id" size="4"> as
+  <select name="role"><option value="learner">student</option><option value="instructor">teacher</option></select>
+  user <input name="user" value="alumna" size="8"> <button>Launch</button></form>
+<h2>Activities</h2><ul>${links || '<li>None yet</li>'}</ul>
+<h2>Gradebook</h2><pre>${escapeHtml(JSON.stringify([...lineItems.values()], null, 2))}</pre>
+</body></html>`);
+});
+
+// Third-party initiated login: the LMS sends the browser to the tool's OIDC login endpoint
+app.get('/start', (req, res) => {
+  let resourceLinkId = req.query.resource_link;
+  if (!req.query.deep_link && !resourceLinkId) {
+    resourceLinkId = `link-block-${req.query.block_id}`;
+    if (!resourceLinks.has(resourceLinkId)) {
+      resourceLinks.set(resourceLinkId, {
+        id: resourceLinkId, title: `Block ${req.query.block_id}`, custom: { block_id: String(req.query.block_id) }
+      });
+    }
+  }
+
+  const hint = { user: req.query.user || 'alumna', role: req.query.role === 'instructor' ? 'instructor' : 'learner' };
+  if (req.query.deep_link) hint.deepLink = true;
+  else hint.resourceLinkId = resourceLinkId;
+
+  const url = new URL(`${TOOL_URL}/login`);
+  url.search = new URLSearchParams({
+    iss: PLATFORM_URL,
+    client_id: CLIENT_ID,
+    lti_deployment_id: DEPLOYMENT_ID,
+    login_hint: hint.user,
+    lti_message_hint: JSON.stringify(hint),
+    target_link_uri: `${TOOL_URL}/launch`
+  }).toString();
+  res.redirect(url.toString());
+});
+
+// ==================== OIDC AUTHORIZATION ====================
+
+app.get('/auth', (req, res) => {
+  const { client_id: clientId, redirect_uri: redirectUri, state, nonce, login_hint: loginHint } = req.query;
+  if (clientId !== CLIENT_ID) return res.status(400).send('Unknown client_id');
+  if (redirectUri !== `${TOOL_URL}/launch`) return res.status(400).send('redirect_uri not registered');
+
+  const hint = JSON.parse(req.query.lti_message_hint || '{}');
+  const claims = {
+    nonce,
+    sub: `user-${loginHint}`,
+    name: loginHint,
+    given_name: loginHint,
+    family_name: 'LTI',
+    email: `${loginHint}@example.test`,
+    [`${LTI}/deployment_id`]: DEPLOYMENT_ID,
+    [`${LTI}/version`]: '1.3.0',
+    [`${LTI}/target_link_uri`]: `${TOOL_URL}/launch`,
+    [`${LTI}/roles`]: ROLES[hint.role] || ROLES.learner,
+    [`${LTI}/context`]: CONTEXT
+  };
+
+  if (hint.deepLink) {
+    claims[`${LTI}/message_type`] = 'LtiDeepLinkingRequest';
+    claims['https://purl.imsglobal.org/spec/lti-dl/claim/deep_linking_settings'] = {
+      deep_link_return_url: `${PLATFORM_URL}/deep-link-return`,
+      accept_types: ['ltiResourceLink'],
+      accept_presentation_document_targets: ['iframe', 'window'],
+      accept_multiple: false,
+      data: crypto.randomBytes(8).toString('hex')
+    };
+  } else {
+    const link = resourceLinks.get(hint.resourceLinkId);
+    if (!link) return res.status(404).send('Unknown resource link');
+
+    claims[`${LTI}/message_type`] = 'LtiResourceLinkRequest';
+    claims[`${LTI}/resource_link`] = { id: link.id, title: link.title };
+    claims[`${LTI}/custom`] = link.custom;
+    claims['https://purl.imsglobal.org/spec/lti-ags/claim/endpoint'] = {
+      scope: SCOPES,
+      lineitems: `${PLATFORM_URL}/lineitems`,
+      ...(link.lineItemId ? { lineitem: `${PLATFORM_URL}/lineitems/${link.lineItemId}` } : {})
+    };
+  }
+
+  const idToken = jwt.sign(claims, privateKey, {
+    algorithm: 'RS256', keyid: KID, issuer: PLATFORM_URL, audience: CLIENT_ID, expiresIn: '5m'
+  });
+  res.send(autoPostForm(redirectUri, { id_token: idToken, state }));
+});
+
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KID, alg: 'RS256', use: 'sig' }] });
+});
+
+// ==================== DEEP LINKING ====================
+
+app.post('/deep-link-return', async (req, res) => {
+  try {
+    const message = await verifyWithToolKeys(req.body.JWT, { issuer: CLIENT_ID, audience: PLATFORM_URL });
+    const items = message['https://purl.imsglobal.org/spec/lti-dl/claim/content_items'] || [];
+
+    for (const item of items.filter(entry => entry.type === 'ltiResourceLink')) {
+      const id = `link-${crypto.randomBytes(4).toString('hex')}`;
+      const link = { id, title: item.title, custom: item.custom || {} };
+
+      if (item.lineItem) {
+        link.lineItemId = String(lineItems.size + 1);
+        lineItems.set(link.lineItemId, { id: link.lineItemId, resourceLinkId: id, ...item.lineItem, scores: [] });
+      }
+      resourceLinks.set(id, link);
+      console.log(`🔗 Deep linking created activity "${link.title}" (${id}) with custom`, link.custom);
+    }
+    res.redirect('/');
+  } catch (error) {
+    console.error('❌ Invalid deep linking response:', error.message);
+    res.status(400).send(`Invalid deep linking response: ${escapeHtml(error.message)}`);
+  }
+});
+
+// ==================== ASSIGNMENT AND GRADE SERVICES ====================
+
+app.post('/token', async (req, res) => {
+  try {
+    if (req.body.grant_type !== 'client_credentials') throw new Error('unsupported grant_type');
+    await verifyWithToolKeys(req.body.client_assertion, {
+      issuer: CLIENT_ID, subject: CLIENT_ID, audience: `${PLATFORM_URL}/token`
+    });
+
+    const token = crypto.randomBytes(16).toString('hex');
+    accessTokens.add(token);
+    res.json({ access_token: token, token_type: 'Bearer', expires_in: 3600, scope: req.body.scope });
+  } catch (error) {
+    console.error('❌ Token request rejected:', error.message);
+    res.status(400).json({ error: 'invalid_client', error_description: error.message });
+  }
+});
+
+app.get('/lineitems', requireAccessToken, (req, res) => {
+  res.json([...lineItems.values()].map(({ scores, ...item }) => ({ ...item, id: `${PLATFORM_URL}/lineitems/${item.id}` })));
+});
+
+app.post('/lineitems', requireAccessToken, (req, res) => {
+  const id = String(lineItems.size + 1);
+  lineItems.set(id, { ...req.body, id, scores: [] });
+
+  const link = resourceLinks.get(req.body.resourceLinkId);
+  if (link) link.lineItemId = id;
+
+  console.log(`📒 Line item ${id} created: ${req.body.label}`);
+  res.status(201).json({ ...req.body, id: `${PLATFORM_URL}/lineitems/${id}` });
+});
+
+app.post('/lineitems/:id/scores', requireAccessToken, (req, res) => {
+  const lineItem = lineItems.get(req.params.id);
+  if (!lineItem) return res.status(404).json({ error: 'Line item not found' });
+
+  lineItem.scores = lineItem.scores.filter(score => score.userId !== req.body.userId).concat(req.body);
+  console.log(`📝 Score for ${req.body.userId} in "${lineItem.label}": ${req.body.scoreGiven}/${req.body.scoreMaximum}`
+    + ` (${req.body.activityProgress}, ${req.body.gradingProgress})`);
+  res.status(204).end();
+});
+
+app.listen(PORT, () => {
+  console.log(`🏫 LTI platform emulator on ${PLATFORM_URL} (tool: ${TOOL_URL})`);
+  console.log('');
+  console.log('Register it in PlayTest with POST /api/v1/lti/platforms:');
+  console.log(JSON.stringify({
+    name: 'LTI emulator',
+    issuer: PLATFORM_URL,
+    client_id: CLIENT_ID,
+    deployment_ids: [DEPLOYMENT_ID],
+    auth_login_url: `${PLATFORM_URL}/auth`,
+    auth_token_url: `${PLATFORM_URL}/token`,
+    jwks_url: `${PLATFORM_URL}/.well-known/jwks.json`
+  }, null, 2));
+});
@@ -1,34 +1,109 @@
-const fs = require('fs');
-const path = require('path');
-const { Pool } = require('pg');
 require('dotenv').config();
+const MigrationRunner = require('../migration-runner');
 
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
-});
+// Usage: node scripts/migrate.js [command] [options]
+//   up (default)      apply pending migrations from migrations/   --to <version>  --dry-run
+//                     --allow-existing  run from 0001 on a database that has tables but no history
+//   down              roll back the last migration                --steps <n> | --to <version>  --dry-run
+//   status            list applied, pending and modified migrations
+//   baseline <ver>    mark migrations up to <ver> as applied without running them
+//                     (databases created with the old setup scripts)
+function parseArgs(argv) {
+  const [command = 'up', ...rest] = argv;
+  const options = {
+    command,
+    dryRun: rest.includes('--dry-run'),
+    allowExisting: rest.includes('--allow-existing'),
+    to: null,
+    steps: 1,
+    version: null
+  };
+
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i] === '--to') options.to = parseInt(rest[++i]);
+    else if (rest[i] === '--steps') options.steps = parseInt(rest[++i]);
+    else if (/^\d+$/.test(rest[i])) options.version = parseInt(rest[i]);
+  }
+
+  if (options.to !== null && isNaN(options.to)) throw new Error('--to expects a migration version');
+  if (isNaN(options.steps) || options.steps < 1) throw new Error('--steps expects a positive number');
+  return options;
+}
+
+function printPlan(result, direction) {
+  if (result.migrations.length === 0) {
+    console.log(`✅ Nothing to ${direction}`);
+    return;
+  }
+
+  for (const migration of result.migrations) {
+    console.log(`\n-- ${String(migration.version).padStart(4, '0')}_${migration.name} (${direction})`);
+    console.log(migration.sql);
+  }
+  console.log(`\n🔍 Dry run: ${result.migrations.length} migration(s) would ${direction === 'up' ? 'be applied' : 'be rolled back'}`);
+}
 
 async function migrate() {
-  const client = await pool.connect();
-  
+  let runner;
+
   try {
-    console.log('🚀 Starting database migration...');
-    
-    // Read and execute schema file
-    const schemaPath = path.join(__dirname, '..', '..', 'database-schema.sql');
-    const schemaSQL = fs.readFileSync(schemaPath, 'utf8');
-    
-    await client.query(schemaSQL);
-    
-    console.log('✅ Database migration completed successfully!');
-    
+    const options = parseArgs(process.argv.slice(2));
+    runner = new MigrationRunner();
+
+    switch (options.command) {
+      case 'up': {
+        console.log('🚀 Applying migrations...');
+        const result = await runner.up({ to: options.to, dryRun: options.dryRun, allowExisting: options.allowExisting });
+        if (options.dryRun) return printPlan(result, 'up');
+        console.log(result.migrations.length > 0
+          ? `✅ ${result.migrations.length} migration(s) applied`
+          : '✅ Database is up to date');
+        break;
+      }
+
+      case 'down': {
+        console.log('⏪ Rolling back migrations...');
+        const result = await runner.down({ to: options.to, steps: options.steps, dryRun: options.dryRun });
+        if (options.dryRun) return printPlan(result, 'down');
+        console.log(`✅ ${result.migrations.length} migration(s) rolled back`);
+        break;
+      }
+
+      case 'status': {
+        const status = await runner.status();
+        for (const migration of status.migrations) {
+          const icon = { applied: '✅', pending: '⏳', modified: '⚠️ ' }[migration.status];
+          const notes = [
+            migration.baseline ? 'baseline' : null,
+            migration.reversible ? null : 'irreversible'
+          ].filter(Boolean).join(', ');
+          console.log(`${icon} ${String(migration.version).padStart(4, '0')}_${migration.name}${notes ? ` (${notes})` : ''}`);
+        }
+        for (const migration of status.missing) {
+          console.log(`❓ ${String(migration.version).padStart(4, '0')}_${migration.name} (applied, file missing)`);
+        }
+        console.log(`\n📊 ${status.pending} pending, ${status.modified} modified, ${status.missing.length} missing`);
+        if (status.modified > 0) process.exitCode = 1;
+        break;
+      }
+
+      case 'baseline': {
+        if (options.version === null) throw new Error('Usage: node scripts/migrate.js baseline <version>');
+        const result = await runner.baseline(options.version);
+        console.log(`✅ ${result.migrations.length} migration(s) marked as applied`);
+        break;
+      }
+
+      default:
+        throw new Error(`Unknown command "${options.command}" (expected up, down, status or baseline)`);
+    }
+
   } catch (error) {
-    console.error('❌ Migration failed:', error);
-    process.exit(1);
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
   } finally {
-    client.release();
-    pool.end();
+    if (runner) await runner.close();
   }
 }
 
-migrate();
\ No newline at end of file
+migrate();
@@ -0,0 +1,30 @@
+require('dotenv').config();
+const LeaderboardService = require('../leaderboards');
+
+// Usage: node scripts/rebuild-leaderboards.js [--reset]
+//   without --reset only scores not yet added to the leaderboards are processed
+//   with --reset leaderboards and duel ratings are emptied and rebuilt from game_scores
+async function rebuildLeaderboards() {
+  const reset = process.argv.includes('--reset');
+  const leaderboards = new LeaderboardService();
+
+  try {
+    console.log(`🏆 ${reset ? 'Rebuilding' : 'Updating'} leaderboards from game_scores...`);
+
+    const { processed } = await leaderboards.rebuild({ reset });
+    console.log(`✅ ${processed} scores processed`);
+
+    const pruned = await leaderboards.pruneDailyBoards();
+    if (pruned > 0) {
+      console.log(`🧹 ${pruned} old daily leaderboards removed`);
+    }
+
+  } catch (error) {
+    console.error('❌ Error rebuilding leaderboards:', error);
+    process.exitCode = 1;
+  } finally {
+    await leaderboards.close();
+  }
+}
+
+rebuildLeaderboards();
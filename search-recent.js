@@ -35,7 +35,7 @@ class RecentSearchSystem {
                     execution_time_ms,
                     created_at
                 ) VALUES ($1, $2, $3, $4, $5, $6, NOW())
-                ON CONFLICT (user_id, search_query, search_context, DATE(created_at))
+                ON CONFLICT (user_id, search_query, search_context)
                 DO UPDATE SET 
                     search_count = user_search_history.search_count + 1,
                     last_searched_at = NOW(),
@@ -124,7 +124,7 @@ class RecentSearchSystem {
                 id: row.id,
                 query: row.search_query,
                 context: row.search_context,
-                filters: include_filters ? JSON.parse(row.search_filters || '{}') : undefined,
+                filters: include_filters ? (row.search_filters || {}) : undefined,
                 results_count: row.results_count,
                 search_count: row.search_count,
                 execution_time_ms: row.execution_time_ms,
@@ -152,25 +152,23 @@ class RecentSearchSystem {
                     search_query,
                     search_context,
                     search_count,
-                    AVG(results_count) as avg_results,
-                    MAX(last_searched_at) as last_used,
-                    COUNT(DISTINCT DATE(created_at)) as days_used
+                    results_count,
+                    last_searched_at
                 FROM user_search_history 
                 WHERE user_id = $1 
-                AND created_at >= NOW() - INTERVAL '90 days'
-                GROUP BY search_query, search_context
-                HAVING search_count >= 2
-                ORDER BY search_count DESC, avg_results DESC
+                AND last_searched_at >= NOW() - INTERVAL '90 days'
+                AND search_count >= 2
+                ORDER BY search_count DESC, last_searched_at DESC
                 LIMIT $2
             `, [user_id, limit]);
 
+            // Una fila por texto y contexto: search_count ya acumula las repeticiones
             return result.rows.map(row => ({
                 query: row.search_query,
                 context: row.search_context,
                 search_count: row.search_count,
-                avg_results: Math.round(row.avg_results),
-                last_used: row.last_used,
-                days_used: row.days_used
+                results_count: row.results_count,
+                last_used: row.last_searched_at
             }));
 
         } catch (error) {
@@ -243,15 +241,16 @@ class RecentSearchSystem {
             const params = [user_id];
 
             if (days_to_keep > 0) {
-                query += ` AND created_at < NOW() - INTERVAL '${days_to_keep} days'`;
+                query += ` AND last_searched_at < NOW() - ($2::int * INTERVAL '1 day')`;
+                params.push(days_to_keep);
             }
 
-            const result = await this.pool.query(query + ' RETURNING COUNT(*)', params);
+            const result = await this.pool.query(query, params);
             
             this.invalidateUserCache(user_id);
             
             return {
-                deleted_count: result.rows.length > 0 ? result.rows[0].count : 0
+                deleted_count: result.rowCount
             };
 
         } catch (error) {
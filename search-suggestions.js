@@ -368,9 +368,9 @@ class SearchSuggestionsSystem {
 
             const result = await this.pool.query(`
                 (
-                    SELECT title as suggestion, 'block' as type, 'Bloque' as category
+                    SELECT name as suggestion, 'block' as type, 'Bloque' as category
                     FROM blocks 
-                    WHERE title ILIKE $1 AND visibility = 'public'
+                    WHERE name ILIKE $1 AND is_public = true
                     LIMIT $2
                 )
                 UNION ALL
@@ -385,12 +385,12 @@ class SearchSuggestionsSystem {
                     SELECT DISTINCT topic as suggestion, 'topic' as type, 'Tema' as category
                     FROM questions q
                     JOIN blocks b ON q.block_id = b.id
-                    WHERE topic ILIKE $1 AND b.visibility = 'public'
+                    WHERE topic ILIKE $1 AND b.is_public = true
                     LIMIT $2
                 )
                 ORDER BY suggestion
                 LIMIT $3
-            `, [`${prefix}%`, Math.floor(limit / 3), limit]);
+            `, [`${prefix.replace(/[\\%_]/g, '\\$&')}%`, Math.max(Math.ceil(limit / 3), 1), limit]);
 
             return result.rows;
 
@@ -3,6 +3,7 @@ const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
+const multer = require('multer');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
 require('dotenv').config();
@@ -29,8 +30,15 @@ const questionLimiter = rateLimit({
   max: 200 // Allow more question uploads in shorter window
 });
 
+// Account recovery sends emails: keep it well below the general limit
+const accountEmailLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10
+});
+
 app.use('/api', generalLimiter);
 app.use('/api/questions', questionLimiter);
+app.use(['/api/auth/forgot-password', '/api/auth/reset-password', '/api/auth/resend-verification'], accountEmailLimiter);
 
 // CORS configuration
 const corsOptions = {
@@ -60,7 +68,10 @@ const corsOptions = {
   optionsSuccessStatus: 200
 };
 
-app.use(cors(corsOptions));
+// LMS platforms post the LTI login and launch forms from their own origin
+const ltiBrowserPaths = ['/api/v1/lti/login', '/api/v1/lti/launch'];
+const corsMiddleware = cors(corsOptions);
+app.use((req, res, next) => ltiBrowserPaths.includes(req.path) ? next() : corsMiddleware(req, res, next));
 
 // Configure Socket.IO with CORS
 const io = new Server(server, {
@@ -69,9 +80,6 @@ const io = new Server(server, {
   allowEIO3: true
 });
 
-// Apply compatibility middlewares before routes
-// (This will be configured after compatibility layer is created)
-
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
@@ -95,6 +103,23 @@ const gameStatesRoutes = require('./routes/game-states');
 const creatorsPanelRoutes = require('./routes/creators-panel');
 const testMetadataRoutes = require('./routes/test-metadata');
 const groupsRoutes = require('./routes/groups');
+const rostersRoutes = require('./routes/rosters');
+const gameSessionsRoutes = require('./routes/game-sessions');
+const reviewRoutes = require('./routes/review');
+const leaderboardsRoutes = require('./routes/leaderboards');
+const searchRoutes = require('./routes/search');
+const notificationsRoutes = require('./routes/notifications');
+const jobsRoutes = require('./routes/jobs');
+const ledgerAdminRoutes = require('./routes/ledger-admin');
+const teachersPanelRoutes = require('./routes/teachers-panel');
+const luminariasRoutes = require('./routes/luminarias');
+const externalIntegrationsRoutes = require('./routes/external-integrations');
+const aiAnalyticsRoutes = require('./routes/ai-analytics');
+const rolesSimpleRoutes = require('./routes/roles-simple');
+const ltiRoutes = require('./routes/lti');
+const { authenticateToken } = require('./middleware/auth');
+const { requireFeature } = require('./middleware/feature-gate');
+const { requireRole, ROLE_GROUPS } = require('./middleware/policy');
 
 // Use routes
 app.use('/api/auth', authRoutes);
@@ -115,6 +140,26 @@ app.use('/api/game-states', gameStatesRoutes);
 app.use('/api/creators-panel', creatorsPanelRoutes);
 app.use('/api/test-metadata', testMetadataRoutes);
 app.use('/api/groups', groupsRoutes);
+app.use('/api/rosters', rostersRoutes);
+app.use('/api/game-sessions', gameSessionsRoutes);
+app.use('/api/review', reviewRoutes);
+app.use('/api/leaderboards', leaderboardsRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/notifications', notificationsRoutes);
+app.use('/api/admin/jobs', jobsRoutes);
+app.use('/api/admin/ledger', ledgerAdminRoutes);
+
+// Subsystems rolled out per school: each router answers only when its feature flag is enabled for the user
+app.use('/api/v1/teachers', authenticateToken, requireFeature('teachers_panel'), teachersPanelRoutes);
+app.use('/api/v1/luminarias', authenticateToken, requireFeature('luminarias'), luminariasRoutes);
+app.use('/api/v1/integrations', authenticateToken, requireFeature('external_integrations'), externalIntegrationsRoutes);
+app.use('/api/v1/ai-analytics', authenticateToken, requireFeature('ai_analytics'), aiAnalyticsRoutes);
+// Admin-only panel (account deletion, secondary admins): the role is checked here as well as on each route
+app.use('/api/v1/roles-simple', authenticateToken, requireFeature('roles_simple'), requireRole(ROLE_GROUPS.ADMIN), rolesSimpleRoutes);
+
+// LTI 1.3 tool: launches come from the LMS without a PlayTest token, so each route authenticates itself
+// and checks the lti flag afterwards (see routes/lti.js)
+app.use('/api/v1/lti', ltiRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -141,6 +186,11 @@ app.get('/api/setup/status', async (req, res) => {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+  // Upload limits (file size, file count, unexpected field) are client errors
+  if (err instanceof multer.MulterError) {
+    return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ error: err.message, code: err.code });
+  }
+
   console.error(err.stack);
   res.status(500).json({ 
     error: 'Something went wrong!',
@@ -153,12 +203,11 @@ app.use('*', (req, res) => {
   res.status(404).json({ error: 'Route not found' });
 });
 
-// Initialize escalation scheduler
-const EscalationScheduler = require('./setup-cron');
-const escalationScheduler = new EscalationScheduler();
-
-// Initialize support automation system (DISABLED - causing SQL errors)
-// const supportAutomation = require('./support-automation');
+// Background job queue: every periodic task (escalation, levels, challenges, ledger
+// reconciliation, notification digests, support automation) is registered in scheduled-jobs.js
+const JobQueue = require('./job-queue');
+const registerScheduledJobs = require('./scheduled-jobs');
+const jobQueue = registerScheduledJobs(new JobQueue());
 
 // Auto-setup system
 const autoSetup = require('./auto-setup');
@@ -170,34 +219,16 @@ const LevelsSetup = require('./levels-setup');
 const RealTimeEvents = require('./realtime-events');
 const realTimeEvents = new RealTimeEvents(io);
 
-// Routes compatibility layer for unified tables
-const RoutesCompatibilityLayer = require('./routes-compatibility-layer');
-const compatibilityLayer = new RoutesCompatibilityLayer();
-
-// Make schedulers globally accessible for API routes
-global.escalationScheduler = escalationScheduler;
-// global.supportAutomation = supportAutomation;
+// Make the job queue globally accessible for API routes
+global.jobQueue = jobQueue;
 global.realTimeEvents = realTimeEvents;
-global.compatibilityLayer = compatibilityLayer;
 
 server.listen(PORT, async () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📱 Environment: ${process.env.NODE_ENV}`);
   console.log(`🔌 WebSocket server enabled`);
   
-  // Apply compatibility middlewares after all systems are initialized
-  compatibilityLayer.applyCompatibilityMiddlewares(app);
-  
-  // Check migration status
-  const migrationStatus = await compatibilityLayer.checkMigrationStatus();
-  if (migrationStatus.migration_complete) {
-    console.log('✅ Sistema de tablas unificadas verificado');
-  } else {
-    console.log('⚠️  Sistema requiere migración de tablas unificadas');
-    console.log('💡 Ejecuta: node critical-fixes-migration.js');
-  }
-  
-  // Run auto-setup (only executes if needed)
+  // Run auto-setup: pending schema migrations (only with MIGRATE_ON_START=true), then the initial admin
   await autoSetup.runAutoSetup();
   
   // Initialize levels system
@@ -206,33 +237,21 @@ server.listen(PORT, async () => {
     const levelsHealth = await levelsSetup.checkSystemHealth();
     if (levelsHealth.status === 'healthy') {
       console.log('🏆 Sistema de niveles verificado y funcionando');
-      
-      // Start periodic calculations
-      setInterval(async () => {
-        try {
-          await levelsSetup.processAsyncCalculations();
-        } catch (error) {
-          console.error('Error en cálculos automáticos de niveles:', error);
-        }
-      }, 5 * 60 * 1000); // Cada 5 minutos
-      
     } else {
       console.log('⚠️  Sistema de niveles requiere configuración inicial');
-      console.log('💡 Ejecuta: node complete-levels-migration.js');
+      console.log('💡 Ejecuta: npm run migrate && node levels-setup.js');
     }
   } catch (levelsError) {
     console.error('❌ Error verificando sistema de niveles:', levelsError);
   }
   
-  // Start escalation scheduler
-  escalationScheduler.start();
-  
-  // Start support automation system (DISABLED - causing SQL errors)
-  // supportAutomation.start().then(() => {
-  //   console.log('🤖 Sistema de automatización de soporte iniciado');
-  // }).catch(err => {
-  //   console.error('❌ Error iniciando sistema de automatización:', err);
-  // });
+  // Start scheduled jobs and the queue worker
+  try {
+    await jobQueue.start();
+  } catch (error) {
+    console.error('❌ Error iniciando la cola de trabajos:', error.message);
+    console.log('💡 Ejecuta: npm run migrate');
+  }
 });
 
 console.log('Deploy timestamp:', new Date().toISOString());
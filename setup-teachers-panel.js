@@ -12,17 +12,19 @@ function setupTeachersPanel(app) {
     const teachersPanelRoutes = require('./routes/teachers-panel');
     const externalIntegrationsRoutes = require('./routes/external-integrations');
     const aiAnalyticsRoutes = require('./routes/ai-analytics');
+    const { authenticateToken } = require('./middleware/auth');
+    const { requireFeature } = require('./middleware/feature-gate');
     
-    // Registrar rutas con prefijos específicos
-    app.use('/api/teachers', teachersPanelRoutes);
-    app.use('/api/integrations', externalIntegrationsRoutes);
-    app.use('/api/ai-analytics', aiAnalyticsRoutes);
+    // Registrar rutas con los mismos prefijos versionados y feature flags que server.js
+    app.use('/api/v1/teachers', authenticateToken, requireFeature('teachers_panel'), teachersPanelRoutes);
+    app.use('/api/v1/integrations', authenticateToken, requireFeature('external_integrations'), externalIntegrationsRoutes);
+    app.use('/api/v1/ai-analytics', authenticateToken, requireFeature('ai_analytics'), aiAnalyticsRoutes);
     
     console.log('✅ Panel de Profesores configurado exitosamente');
     console.log('📚 Rutas disponibles:');
-    console.log('  - /api/teachers/* - Gestión académica y pedagógica');
-    console.log('  - /api/integrations/* - Integraciones con sistemas externos');
-    console.log('  - /api/ai-analytics/* - Analytics predictivos y IA pedagógica');
+    console.log('  - /api/v1/teachers/* - Gestión académica y pedagógica (flag teachers_panel)');
+    console.log('  - /api/v1/integrations/* - Integraciones con sistemas externos (flag external_integrations)');
+    console.log('  - /api/v1/ai-analytics/* - Analytics predictivos y IA pedagógica (flag ai_analytics)');
     
     return {
         teachersPanel: teachersPanelRoutes,
@@ -0,0 +1,295 @@
+const { Pool } = require('pg');
+const AnswerEventStore = require('./answer-events');
+const QuestionTypes = require('./question-types');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FAST_ANSWER_MS = 10 * 1000;
+// Calidad máxima de un acierto cuyo tiempo no mide el servidor (el que envía el cliente no cuenta)
+const UNTIMED_MAX_QUALITY = 4;
+
+function reviewError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Planificador de repaso espaciado (SM-2) sobre el historial de respuestas PLAYTEST
+class SpacedRepetitionScheduler {
+    constructor() {
+        this.pool = new Pool({
+            connectionString: process.env.DATABASE_URL,
+            ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+        });
+        this.answerEvents = new AnswerEventStore();
+        this.questionTypes = new QuestionTypes();
+    }
+
+    // ==================== ALGORITMO SM-2 ====================
+
+    // Calidad 0-5 a partir del resultado registrado (ACIERTO / FALLO / BLANCO)
+    qualityFromResult(result, responseTime) {
+        if (result === 'ACIERTO') {
+            return responseTime && responseTime > FAST_ANSWER_MS ? 4 : 5;
+        }
+        if (result === 'FALLO') return 1;
+        return 0;
+    }
+
+    scheduleNext(item, quality, reviewedAt = new Date()) {
+        let easeFactor = parseFloat(item.ease_factor) || 2.5;
+        let repetitions = item.repetitions || 0;
+        let intervalDays = item.interval_days || 0;
+        let lapses = item.lapses || 0;
+
+        if (quality >= 3) {
+            if (repetitions === 0) intervalDays = 1;
+            else if (repetitions === 1) intervalDays = 6;
+            else intervalDays = Math.round(intervalDays * easeFactor);
+            repetitions++;
+        } else {
+            if (repetitions > 0) lapses++;
+            repetitions = 0;
+            intervalDays = 1;
+        }
+
+        easeFactor = easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+        easeFactor = Math.max(1.3, Math.round(easeFactor * 100) / 100);
+
+        return {
+            ease_factor: easeFactor,
+            repetitions,
+            interval_days: intervalDays,
+            lapses,
+            due_at: new Date(reviewedAt.getTime() + intervalDays * DAY_MS),
+            last_reviewed_at: reviewedAt,
+            last_quality: quality
+        };
+    }
+
+    // ==================== REGISTRO DE RESPUESTAS ====================
+
+    // dueOnly (repaso): la tarjeta tiene que estar vencida; se comprueba con la fila bloqueada para que
+    // dos respuestas a la vez no la reprogramen dos veces
+    async recordAnswer(userId, { questionId, blockId, result, responseTime, dueOnly = false }, reviewedAt = new Date()) {
+        const client = await this.pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const current = await client.query(`
+                SELECT * FROM review_items
+                WHERE user_id = $1 AND question_id = $2
+                FOR UPDATE
+            `, [userId, questionId]);
+
+            if (dueOnly && current.rows[0] && new Date(current.rows[0].due_at) > reviewedAt) {
+                throw reviewError('Esta pregunta todavía no toca repasarla', 409);
+            }
+
+            const quality = dueOnly
+                ? Math.min(this.qualityFromResult(result, null), UNTIMED_MAX_QUALITY)
+                : this.qualityFromResult(result, responseTime);
+            const next = this.scheduleNext(current.rows[0] || {}, quality, reviewedAt);
+
+            const saved = await client.query(`
+                INSERT INTO review_items (
+                    user_id, question_id, block_id, ease_factor, interval_days,
+                    repetitions, lapses, due_at, last_reviewed_at, last_quality
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+                ON CONFLICT (user_id, question_id)
+                DO UPDATE SET
+                    ease_factor = EXCLUDED.ease_factor,
+                    interval_days = EXCLUDED.interval_days,
+                    repetitions = EXCLUDED.repetitions,
+                    lapses = EXCLUDED.lapses,
+                    due_at = EXCLUDED.due_at,
+                    last_reviewed_at = EXCLUDED.last_reviewed_at,
+                    last_quality = EXCLUDED.last_quality,
+                    updated_at = CURRENT_TIMESTAMP
+                RETURNING *
+            `, [
+                userId, questionId, blockId || null, next.ease_factor, next.interval_days,
+                next.repetitions, next.lapses, next.due_at, next.last_reviewed_at, next.last_quality
+            ]);
+
+            await client.query('COMMIT');
+            return saved.rows[0];
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async recordAnswers(userId, answers) {
+        for (const answer of answers) {
+            if (!answer.questionId) continue;
+            try {
+                await this.recordAnswer(userId, answer);
+            } catch (error) {
+                console.error(`Error scheduling review for question ${answer.questionId}:`, error);
+            }
+        }
+    }
+
+    // Primera vez que el usuario abre la cola: reconstruir la planificación desde su historial
+    async seedFromHistory(userId) {
+        const existing = await this.pool.query(
+            'SELECT COUNT(*) as count FROM review_items WHERE user_id = $1',
+            [userId]
+        );
+        if (parseInt(existing.rows[0].count) > 0) return 0;
+
+        // Repetir el historial del más antiguo al más reciente
+        const chronological = await this.answerEvents.getChronologicalHistory(userId);
+        if (chronological.length === 0) return 0;
+
+        const items = new Map();
+
+        for (const entry of chronological) {
+            if (!entry.questionId) continue;
+            const previous = items.get(entry.questionId) || { block_id: entry.blockId };
+            const quality = this.qualityFromResult(entry.result, entry.responseTime);
+            const reviewedAt = entry.timestamp ? new Date(entry.timestamp) : new Date();
+            items.set(entry.questionId, { ...this.scheduleNext(previous, quality, reviewedAt), block_id: previous.block_id });
+        }
+
+        let seeded = 0;
+        for (const [questionId, item] of items) {
+            const inserted = await this.pool.query(`
+                INSERT INTO review_items (
+                    user_id, question_id, block_id, ease_factor, interval_days,
+                    repetitions, lapses, due_at, last_reviewed_at, last_quality
+                )
+                SELECT $1, q.id, q.block_id, $3, $4, $5, $6, $7, $8, $9
+                FROM questions q WHERE q.id = $2
+                ON CONFLICT (user_id, question_id) DO NOTHING
+            `, [
+                userId, questionId, item.ease_factor, item.interval_days, item.repetitions,
+                item.lapses, item.due_at, item.last_reviewed_at, item.last_quality
+            ]);
+            seeded += inserted.rowCount;
+        }
+
+        console.log(`🧠 Review queue seeded for user ${userId}: ${seeded} questions`);
+        return seeded;
+    }
+
+    // ==================== COLA DE REPASO ====================
+
+    async getDueQueue(userId, { blockId = null, limit = 20 } = {}) {
+        await this.seedFromHistory(userId);
+
+        const result = await this.pool.query(`
+            SELECT ri.question_id, ri.block_id, ri.ease_factor, ri.interval_days,
+                ri.repetitions, ri.lapses, ri.due_at, ri.last_reviewed_at,
+                q.text_question, q.topic, q.difficulty, q.question_type,
+                b.name as block_name,
+                json_agg(
+                    json_build_object('id', a.id, 'answerText', a.answer_text, 'matchText', a.match_text)
+                    ORDER BY a.id
+                ) FILTER (WHERE a.id IS NOT NULL) as answers
+            FROM review_items ri
+            JOIN questions q ON ri.question_id = q.id
+            LEFT JOIN blocks b ON q.block_id = b.id
+            LEFT JOIN answers a ON q.id = a.question_id
+            WHERE ri.user_id = $1
+              AND ri.due_at <= CURRENT_TIMESTAMP
+              AND ($2::int IS NULL OR q.block_id = $2)
+            GROUP BY ri.id, q.id, b.name
+            ORDER BY ri.due_at ASC, ri.ease_factor ASC
+            LIMIT $3
+        `, [userId, blockId, limit]);
+
+        const counts = await this.pool.query(`
+            SELECT
+                COUNT(*) FILTER (WHERE due_at <= CURRENT_TIMESTAMP) as due_now,
+                COUNT(*) FILTER (WHERE due_at > CURRENT_TIMESTAMP AND due_at <= CURRENT_TIMESTAMP + INTERVAL '1 day') as due_tomorrow,
+                COUNT(*) as total
+            FROM review_items ri
+            WHERE ri.user_id = $1 AND ($2::int IS NULL OR ri.block_id = $2)
+        `, [userId, blockId]);
+
+        return {
+            items: result.rows.map(row => ({
+                questionId: row.question_id,
+                blockId: row.block_id,
+                blockName: row.block_name,
+                textoPregunta: row.text_question,
+                tema: row.topic,
+                difficulty: row.difficulty,
+                tipoPregunta: row.question_type,
+                ...this.questionTypes.publicView(row.question_type, row.answers || []),
+                easeFactor: parseFloat(row.ease_factor),
+                intervalDays: row.interval_days,
+                repetitions: row.repetitions,
+                lapses: row.lapses,
+                dueAt: row.due_at,
+                lastReviewedAt: row.last_reviewed_at
+            })),
+            dueNow: parseInt(counts.rows[0].due_now),
+            dueTomorrow: parseInt(counts.rows[0].due_tomorrow),
+            totalScheduled: parseInt(counts.rows[0].total)
+        };
+    }
+
+    // Corregir una respuesta de repaso según el tipo de pregunta y reprogramarla. Solo preguntas de la
+    // cola del usuario: la corrección revela la solución
+    async answerReview(userId, questionId, response, responseTime) {
+        await this.seedFromHistory(userId);
+
+        const questionResult = await this.pool.query(`
+            SELECT q.id, q.block_id, q.topic, q.question_type, q.type_config, ri.due_at
+            FROM questions q
+            JOIN review_items ri ON ri.question_id = q.id AND ri.user_id = $2
+            WHERE q.id = $1
+        `, [questionId, userId]);
+        if (questionResult.rows.length === 0) {
+            throw reviewError('Pregunta no encontrada en tu cola de repaso', 404);
+        }
+        // Antes de corregir: la respuesta incluye la solución
+        if (new Date(questionResult.rows[0].due_at) > new Date()) {
+            throw reviewError('Esta pregunta todavía no toca repasarla', 409);
+        }
+
+        const answersResult = await this.pool.query(
+            'SELECT id, answer_text, is_correct, answer_order, match_text FROM answers WHERE question_id = $1 ORDER BY id',
+            [questionId]
+        );
+
+        const question = questionResult.rows[0];
+        const { result, isCorrect, credit } = this.questionTypes.score(
+            question.question_type, question.type_config, answersResult.rows, response
+        );
+        const item = await this.recordAnswer(userId, {
+            questionId,
+            blockId: question.block_id,
+            result,
+            responseTime,
+            dueOnly: true
+        });
+
+        return {
+            questionId,
+            result,
+            isCorrect,
+            credit,
+            ...this.questionTypes.solution(question.question_type, question.type_config, answersResult.rows),
+            nextReview: {
+                dueAt: item.due_at,
+                intervalDays: item.interval_days,
+                easeFactor: parseFloat(item.ease_factor),
+                repetitions: item.repetitions
+            }
+        };
+    }
+
+    async close() {
+        await this.pool.end();
+        await this.answerEvents.close();
+    }
+}
+
+module.exports = SpacedRepetitionScheduler;
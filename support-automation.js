@@ -1,87 +1,22 @@
-const cron = require('node-cron');
-const pool = require('./database/connection');
+const { pool } = require('./database/connection');
 
 // ==================== SISTEMA DE ESCALADO AUTOMÁTICO ====================
 
-class SupportAutomation {
-    constructor() {
-        this.isRunning = false;
-        this.jobs = new Map();
-    }
-
-    // Inicializar todos los trabajos automáticos
-    async start() {
-        if (this.isRunning) {
-            console.log('⚠️ Sistema de automatización ya está ejecutándose');
-            return;
-        }
-
-        console.log('🚀 Iniciando sistema de automatización de soporte...');
-
-        try {
-            // Escalación automática cada 30 minutos
-            this.jobs.set('escalation', cron.schedule('*/30 * * * *', () => {
-                this.processAutomaticEscalations();
-            }, { scheduled: false }));
-
-            // Análisis de agrupación inteligente cada hora
-            this.jobs.set('grouping', cron.schedule('0 * * * *', () => {
-                this.processIntelligentGrouping();
-            }, { scheduled: false }));
-
-            // Categorización automática cada 15 minutos
-            this.jobs.set('categorization', cron.schedule('*/15 * * * *', () => {
-                this.processAutomaticCategorization();
-            }, { scheduled: false }));
-
-            // Cierre automático de tickets resueltos cada día a las 2:00 AM
-            this.jobs.set('autoclose', cron.schedule('0 2 * * *', () => {
-                this.autoCloseResolvedTickets();
-            }, { scheduled: false }));
-
-            // Generación de analytics diarios a las 1:00 AM
-            this.jobs.set('analytics', cron.schedule('0 1 * * *', () => {
-                this.generateDailyAnalytics();
-            }, { scheduled: false }));
-
-            // Notificaciones de SLA en riesgo cada 10 minutos
-            this.jobs.set('sla_alerts', cron.schedule('*/10 * * * *', () => {
-                this.checkSLAAlerts();
-            }, { scheduled: false }));
-
-            // Generar FAQ automático semanalmente (domingos a las 3:00 AM)
-            this.jobs.set('auto_faq', cron.schedule('0 3 * * 0', () => {
-                this.generateAutoFAQ();
-            }, { scheduled: false }));
-
-            // Iniciar todos los trabajos
-            this.jobs.forEach((job, name) => {
-                job.start();
-                console.log(`✅ Trabajo ${name} iniciado`);
-            });
-
-            this.isRunning = true;
-            console.log('🎯 Sistema de automatización iniciado correctamente');
-
-        } catch (error) {
-            console.error('❌ Error iniciando sistema de automatización:', error);
-            throw error;
-        }
-    }
-
-    // Detener todos los trabajos
-    stop() {
-        if (!this.isRunning) return;
+// Tareas periódicas de soporte. scheduled-jobs.js las registra en la cola de trabajos como support.<nombre>;
+// requieren el esquema de database-schema-support.sql (support_tickets...), por eso empiezan pausadas
+const TASKS = {
+    escalation: { schedule: '*/30 * * * *', method: 'processAutomaticEscalations', description: 'Escalación automática de tickets' },
+    grouping: { schedule: '0 * * * *', method: 'processIntelligentGrouping', description: 'Agrupación de tickets similares' },
+    categorization: { schedule: '*/15 * * * *', method: 'processAutomaticCategorization', description: 'Categorización automática' },
+    autoclose: { schedule: '0 2 * * *', method: 'autoCloseResolvedTickets', description: 'Cierre de tickets resueltos hace 7 días' },
+    analytics: { schedule: '0 1 * * *', method: 'generateDailyAnalytics', description: 'Analytics diarios de soporte' },
+    sla_alerts: { schedule: '*/10 * * * *', method: 'checkSLAAlerts', description: 'Alertas de SLA en riesgo' },
+    auto_faq: { schedule: '0 3 * * 0', method: 'generateAutoFAQ', description: 'FAQ automático semanal' }
+};
 
-        console.log('🛑 Deteniendo sistema de automatización...');
-        
-        this.jobs.forEach((job, name) => {
-            job.stop();
-            console.log(`⏹️ Trabajo ${name} detenido`);
-        });
-
-        this.isRunning = false;
-        console.log('✅ Sistema de automatización detenido');
+class SupportAutomation {
+    get tasks() {
+        return TASKS;
     }
 
     // Procesar escalaciones automáticas
@@ -103,6 +38,7 @@ class SupportAutomation {
 
         } catch (error) {
             console.error('❌ Error en escalaciones automáticas:', error);
+            throw error;
         }
     }
 
@@ -154,6 +90,7 @@ class SupportAutomation {
 
         } catch (error) {
             console.error('❌ Error en agrupación inteligente:', error);
+            throw error;
         }
     }
 
@@ -202,6 +139,7 @@ class SupportAutomation {
 
         } catch (error) {
             console.error('❌ Error en categorización automática:', error);
+            throw error;
         }
     }
 
@@ -295,6 +233,7 @@ class SupportAutomation {
 
         } catch (error) {
             console.error('❌ Error en auto-cierre de tickets:', error);
+            throw error;
         }
     }
 
@@ -393,6 +332,7 @@ class SupportAutomation {
 
         } catch (error) {
             console.error('❌ Error generando analytics diarios:', error);
+            throw error;
         }
     }
 
@@ -446,6 +386,7 @@ class SupportAutomation {
 
         } catch (error) {
             console.error('❌ Error verificando alertas de SLA:', error);
+            throw error;
         }
     }
 
@@ -525,6 +466,7 @@ class SupportAutomation {
 
         } catch (error) {
             console.error('❌ Error generando FAQ automático:', error);
+            throw error;
         }
     }
 
@@ -532,9 +474,11 @@ class SupportAutomation {
     async notifyAdminsOfEscalations(escalatedCount) {
         try {
             const admins = await pool.query(`
-                SELECT id, nickname, email FROM users 
-                WHERE role IN ('admin', 'super_admin')
-                  AND is_active = true
+                SELECT DISTINCT u.id, u.nickname, u.email
+                FROM users u
+                JOIN user_roles ur ON ur.user_id = u.id
+                JOIN roles r ON ur.role_id = r.id
+                WHERE r.name IN ('administrador_principal', 'administrador_secundario')
             `);
 
             for (const admin of admins.rows) {
@@ -560,9 +504,11 @@ class SupportAutomation {
     async sendSLAAlerts(firstResponseAtRisk, resolutionAtRisk) {
         try {
             const agents = await pool.query(`
-                SELECT id, nickname, email FROM users 
-                WHERE role IN ('agent', 'admin', 'super_admin')
-                  AND is_active = true
+                SELECT DISTINCT u.id, u.nickname, u.email
+                FROM users u
+                JOIN user_roles ur ON ur.user_id = u.id
+                JOIN roles r ON ur.role_id = r.id
+                WHERE r.name IN ('soporte_tecnico', 'servicio_tecnico', 'administrador_principal', 'administrador_secundario')
             `);
 
             for (const agent of agents.rows) {
@@ -602,10 +548,11 @@ class SupportAutomation {
 
     // Obtener estado del sistema
     getStatus() {
+        const queue = global.jobQueue;
         return {
-            isRunning: this.isRunning,
-            activeJobs: Array.from(this.jobs.keys()),
-            jobCount: this.jobs.size
+            isRunning: !!(queue && queue.isRunning),
+            activeJobs: Object.keys(TASKS).map(name => `support.${name}`),
+            jobCount: Object.keys(TASKS).length
         };
     }
 }
@@ -4,6 +4,7 @@ const path = require('path');
 const { exec } = require('child_process');
 const util = require('util');
 const execAsync = util.promisify(exec);
+const Mailer = require('./mail-transport');
 
 // Sistema avanzado de servicios técnicos para PLAYTEST
 class TechnicalServicesAdvanced {
@@ -213,15 +214,27 @@ class TechnicalServicesAdvanced {
 
     async checkEmailServiceHealth() {
         try {
-            // Verificación simulada del servicio de email
-            // En implementación real, hacer ping al servidor SMTP
+            const mailer = Mailer.shared();
+
+            // Conecta con el transporte configurado (SMTP: saludo, STARTTLS y autenticación)
+            const start = Date.now();
+            const details = await mailer.verify();
+            const status = mailer.getStatus();
+
+            // Sin SMTP los correos no salen del servidor: válido en local, degradado en producción
+            const delivers = status.transport === 'smtp';
             return {
-                status: 'healthy',
-                message: 'Email service operational',
+                status: delivers || process.env.NODE_ENV !== 'production' ? 'healthy' : 'degraded',
+                message: delivers ? 'Email service operational' : `Email transport '${status.transport}' does not deliver emails`,
+                response_time_ms: Date.now() - start,
                 details: {
-                    provider: 'SMTP',
-                    queue_size: 0,
-                    last_email_sent: new Date(Date.now() - 5 * 60 * 1000)
+                    provider: status.transport,
+                    ...details,
+                    emails_sent: status.sent,
+                    emails_failed: status.failed,
+                    last_email_sent: status.lastSentAt,
+                    last_error: status.lastError,
+                    last_error_at: status.lastErrorAt
                 }
             };
         } catch (error) {
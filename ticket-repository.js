@@ -0,0 +1,455 @@
+const { Pool } = require('pg');
+
+const SORT_FIELDS = ['created_at', 'updated_at', 'priority', 'status', 'escalation_level'];
+const SORT_ORDERS = ['ASC', 'DESC'];
+
+function ticketError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Tickets de soporte sobre unified_tickets. Categorías, comentarios, grupos y escalaciones siguen
+// en sus tablas de setup-support-system.js; la agrupación automática la hace su trigger al insertar
+class TicketRepository {
+    constructor() {
+        this.pool = new Pool({
+            connectionString: process.env.DATABASE_URL,
+            ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+        });
+    }
+
+    // ==================== DASHBOARD ====================
+
+    async getDashboard() {
+        const metricsResult = await this.pool.query('SELECT * FROM support_dashboard_metrics');
+
+        // Tendencias de los últimos 7 días
+        const trendsResult = await this.pool.query(`
+            SELECT
+                DATE(created_at) as date,
+                COUNT(*) as tickets_created,
+                COUNT(CASE WHEN status IN ('resolved', 'closed') THEN 1 END) as tickets_resolved
+            FROM unified_tickets
+            WHERE created_at >= NOW() - INTERVAL '7 days'
+            GROUP BY DATE(created_at)
+            ORDER BY date DESC
+        `);
+
+        // Tipos de problemas más frecuentes
+        const categoriesResult = await this.pool.query(`
+            SELECT
+                sc.name as category_name,
+                sc.color,
+                COUNT(t.id) as ticket_count,
+                AVG(CASE WHEN t.resolved_at IS NOT NULL
+                    THEN EXTRACT(EPOCH FROM (t.resolved_at - t.created_at)) / 3600
+                    ELSE NULL END) as avg_resolution_hours
+            FROM support_categories sc
+            LEFT JOIN unified_tickets t ON sc.id = t.category_id
+            WHERE t.created_at >= NOW() - INTERVAL '30 days' OR t.created_at IS NULL
+            GROUP BY sc.id, sc.name, sc.color
+            ORDER BY ticket_count DESC
+            LIMIT 10
+        `);
+
+        // Alertas automáticas
+        const alertsResult = await this.pool.query(`
+            SELECT
+                'escalated' as alert_type,
+                'Tickets Escalados Pendientes' as title,
+                COUNT(*) as count,
+                'critical' as severity
+            FROM unified_tickets
+            WHERE escalation_level > 0 AND status NOT IN ('resolved', 'closed')
+
+            UNION ALL
+
+            SELECT
+                'sla_risk' as alert_type,
+                'Tickets en Riesgo de SLA' as title,
+                COUNT(*) as count,
+                'warning' as severity
+            FROM unified_tickets
+            WHERE status IN ('open', 'in_progress')
+              AND created_at < NOW() - INTERVAL '20 hours'
+              AND escalation_level = 0
+
+            UNION ALL
+
+            SELECT
+                'high_volume' as alert_type,
+                'Pico de Tickets Hoy' as title,
+                COUNT(*) as count,
+                CASE WHEN COUNT(*) > 50 THEN 'critical'
+                     WHEN COUNT(*) > 30 THEN 'warning'
+                     ELSE 'info' END as severity
+            FROM unified_tickets
+            WHERE created_at >= CURRENT_DATE
+        `);
+
+        return {
+            metrics: metricsResult.rows[0],
+            trends: trendsResult.rows,
+            categories: categoriesResult.rows,
+            alerts: alertsResult.rows.filter(alert => alert.count > 0)
+        };
+    }
+
+    // ==================== TICKETS ====================
+
+    // Listado con filtros (status, priority, categoryId, assignedTo, escalationLevel, groupId, search);
+    // devuelve { tickets, total }
+    async list({
+        status, priority, categoryId, assignedTo, escalationLevel, groupId, search,
+        limit = 50, offset = 0, sortBy = 'created_at', sortOrder = 'DESC'
+    } = {}) {
+        const conditions = [];
+        const params = [];
+
+        const filters = [
+            ['t.status', status],
+            ['t.priority', priority],
+            ['t.category_id', categoryId],
+            ['t.assigned_to', assignedTo],
+            ['t.escalation_level', escalationLevel],
+            ['t.group_id', groupId]
+        ];
+        for (const [column, value] of filters) {
+            if (value) {
+                params.push(value);
+                conditions.push(`${column} = $${params.length}`);
+            }
+        }
+
+        // Búsqueda de texto completo
+        if (search) {
+            params.push(`%${search}%`);
+            const p = `$${params.length}`;
+            conditions.push(`(t.subject ILIKE ${p} OR t.description ILIKE ${p} OR t.ticket_number ILIKE ${p} OR u.nickname ILIKE ${p})`);
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const safeSortBy = SORT_FIELDS.includes(sortBy) ? sortBy : 'created_at';
+        const safeSortOrder = SORT_ORDERS.includes(String(sortOrder).toUpperCase()) ? String(sortOrder).toUpperCase() : 'DESC';
+
+        const countResult = await this.pool.query(`
+            SELECT COUNT(*) as total
+            FROM unified_tickets t
+            LEFT JOIN users u ON t.user_id = u.id
+            ${where}
+        `, params);
+
+        const result = await this.pool.query(`
+            SELECT
+                t.*,
+                sc.name as category_name,
+                sc.color as category_color,
+                u.nickname as user_nickname,
+                ua.nickname as assigned_nickname,
+                stg.group_name,
+                stg.total_tickets as group_total_tickets,
+                (SELECT COUNT(*) FROM support_comments WHERE ticket_id = t.id) as comments_count,
+                CASE
+                    WHEN t.due_date IS NOT NULL AND t.due_date < NOW() AND t.status NOT IN ('resolved', 'closed')
+                    THEN true
+                    ELSE false
+                END as is_overdue
+            FROM unified_tickets t
+            LEFT JOIN support_categories sc ON t.category_id = sc.id
+            LEFT JOIN users u ON t.user_id = u.id
+            LEFT JOIN users ua ON t.assigned_to = ua.id
+            LEFT JOIN support_ticket_groups stg ON t.group_id = stg.id
+            ${where}
+            ORDER BY t.${safeSortBy} ${safeSortOrder}
+            LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+        `, [...params, parseInt(limit) || 50, parseInt(offset) || 0]);
+
+        return { tickets: result.rows, total: parseInt(countResult.rows[0].total) };
+    }
+
+    // Crea el ticket con su comentario inicial automático en una transacción
+    async create({ user, subject, description, categoryId = null, priority = 'medium',
+        browserInfo = {}, deviceInfo = {}, errorLogs = null, screenshotUrls = [] }) {
+        const client = await this.pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const ticketResult = await client.query(`
+                INSERT INTO unified_tickets (
+                    user_id, user_email, user_nickname, subject, description,
+                    category_id, priority, browser_info, device_info,
+                    error_logs, screenshot_urls
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+                RETURNING *
+            `, [
+                user.id,
+                user.email,
+                user.nickname,
+                subject,
+                description,
+                categoryId,
+                priority,
+                JSON.stringify(browserInfo),
+                JSON.stringify(deviceInfo),
+                errorLogs,
+                screenshotUrls
+            ]);
+
+            const ticket = ticketResult.rows[0];
+
+            await client.query(`
+                INSERT INTO support_comments (
+                    ticket_id, user_id, user_type, content, is_automated
+                ) VALUES ($1, $2, $3, $4, $5)
+            `, [
+                ticket.id,
+                user.id,
+                'system',
+                `Ticket creado automáticamente. Usuario: ${user.nickname} (${user.email})`,
+                true
+            ]);
+
+            await client.query('COMMIT');
+            return ticket;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async findById(ticketId) {
+        const result = await this.pool.query(`
+            SELECT
+                t.*,
+                sc.name as category_name,
+                sc.color as category_color,
+                u.nickname as user_nickname,
+                ua.nickname as assigned_nickname,
+                stg.group_name,
+                stg.total_tickets as group_total_tickets,
+                stg.id as group_id
+            FROM unified_tickets t
+            LEFT JOIN support_categories sc ON t.category_id = sc.id
+            LEFT JOIN users u ON t.user_id = u.id
+            LEFT JOIN users ua ON t.assigned_to = ua.id
+            LEFT JOIN support_ticket_groups stg ON t.group_id = stg.id
+            WHERE t.id = $1
+        `, [ticketId]);
+        return result.rows[0] || null;
+    }
+
+    async getComments(ticketId) {
+        const result = await this.pool.query(`
+            SELECT
+                sc.*,
+                u.nickname as user_nickname,
+                st.name as template_name
+            FROM support_comments sc
+            LEFT JOIN users u ON sc.user_id = u.id
+            LEFT JOIN support_templates st ON sc.template_id = st.id
+            WHERE sc.ticket_id = $1
+            ORDER BY sc.created_at ASC
+        `, [ticketId]);
+        return result.rows;
+    }
+
+    // Otros tickets del mismo grupo, el principal primero
+    async getRelated(groupId, excludeTicketId, limit = 10) {
+        const result = await this.pool.query(`
+            SELECT
+                id, ticket_number, subject, status, priority,
+                user_nickname, created_at, is_group_master
+            FROM unified_tickets
+            WHERE group_id = $1 AND id != $2
+            ORDER BY is_group_master DESC, created_at ASC
+            LIMIT $3
+        `, [groupId, excludeTicketId, limit]);
+        return result.rows;
+    }
+
+    // ==================== GRUPOS ====================
+
+    async listGroups({ status = 'active', categoryId, priority, assignedTo, limit = 20, offset = 0 } = {}) {
+        const conditions = ['stg.group_status = $1'];
+        const params = [status];
+
+        const filters = [
+            ['stg.common_category_id', categoryId],
+            ['stg.group_priority', priority],
+            ['stg.assigned_to', assignedTo]
+        ];
+        for (const [column, value] of filters) {
+            if (value) {
+                params.push(value);
+                conditions.push(`${column} = $${params.length}`);
+            }
+        }
+
+        const result = await this.pool.query(`
+            SELECT
+                stg.*,
+                sc.name as category_name,
+                sc.color as category_color,
+                ua.nickname as assigned_nickname,
+                COUNT(t.id) as actual_tickets,
+                COUNT(DISTINCT t.user_id) as unique_users,
+                MIN(t.created_at) as first_ticket_date,
+                MAX(t.created_at) as last_ticket_date,
+                AVG(CASE WHEN t.resolved_at IS NOT NULL
+                    THEN EXTRACT(EPOCH FROM (t.resolved_at - t.created_at)) / 3600
+                    ELSE NULL END) as avg_resolution_hours
+            FROM support_ticket_groups stg
+            LEFT JOIN support_categories sc ON stg.common_category_id = sc.id
+            LEFT JOIN users ua ON stg.assigned_to = ua.id
+            LEFT JOIN unified_tickets t ON t.group_id = stg.id
+            WHERE ${conditions.join(' AND ')}
+            GROUP BY stg.id, sc.name, sc.color, ua.nickname
+            ORDER BY last_ticket_date DESC
+            LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+        `, [...params, parseInt(limit) || 20, parseInt(offset) || 0]);
+        return result.rows;
+    }
+
+    // Acción masiva ('assign', 'update_status', 'add_comment', 'close', 'escalate') sobre los tickets
+    // indicados o, si no se indica ninguno, sobre todos los no cerrados del grupo. Devuelve cuántos se procesaron
+    async bulkAction(groupId, { action, assignedTo, status, commentContent, templateId, ticketIds = [], userId }) {
+        const client = await this.pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const ticketsResult = ticketIds.length > 0
+                ? await client.query('SELECT id FROM unified_tickets WHERE group_id = $1 AND id = ANY($2)', [groupId, ticketIds])
+                : await client.query("SELECT id FROM unified_tickets WHERE group_id = $1 AND status NOT IN ('closed')", [groupId]);
+            const targetTickets = ticketsResult.rows.map(row => row.id);
+
+            if (targetTickets.length === 0) {
+                throw ticketError('No se encontraron tickets para procesar');
+            }
+
+            switch (action) {
+                case 'assign':
+                    if (!assignedTo) throw ticketError('assigned_to es requerido para asignar');
+
+                    await client.query(`
+                        UPDATE unified_tickets
+                        SET assigned_to = $1, assigned_at = NOW(), updated_at = NOW()
+                        WHERE id = ANY($2)
+                    `, [assignedTo, targetTickets]);
+
+                    await client.query(`
+                        UPDATE support_ticket_groups
+                        SET assigned_to = $1, assigned_at = NOW(), updated_at = NOW()
+                        WHERE id = $2
+                    `, [assignedTo, groupId]);
+                    break;
+
+                case 'update_status':
+                    if (!status) throw ticketError('status es requerido para actualizar estado');
+
+                    await client.query(`
+                        UPDATE unified_tickets
+                        SET status = $1,
+                            resolved_at = CASE WHEN $1 = 'resolved' THEN NOW() ELSE resolved_at END,
+                            closed_at = CASE WHEN $1 = 'closed' THEN NOW() ELSE closed_at END,
+                            updated_at = NOW()
+                        WHERE id = ANY($2)
+                    `, [status, targetTickets]);
+                    break;
+
+                case 'add_comment':
+                    if (!commentContent) throw ticketError('comment_content es requerido para agregar comentario');
+
+                    for (const ticketId of targetTickets) {
+                        await client.query(`
+                            INSERT INTO support_comments (
+                                ticket_id, user_id, user_type, content, template_id
+                            ) VALUES ($1, $2, $3, $4, $5)
+                        `, [ticketId, userId, 'agent', commentContent, templateId]);
+                    }
+                    break;
+
+                case 'close': {
+                    await client.query(`
+                        UPDATE unified_tickets
+                        SET status = 'closed', closed_at = NOW(), updated_at = NOW()
+                        WHERE id = ANY($1)
+                    `, [targetTickets]);
+
+                    // El grupo se resuelve cuando ya no le quedan tickets abiertos
+                    const remaining = await client.query(`
+                        SELECT COUNT(*) as count
+                        FROM unified_tickets
+                        WHERE group_id = $1 AND status NOT IN ('closed')
+                    `, [groupId]);
+
+                    if (parseInt(remaining.rows[0].count) === 0) {
+                        await client.query(`
+                            UPDATE support_ticket_groups
+                            SET group_status = 'resolved', resolved_at = NOW(), updated_at = NOW()
+                            WHERE id = $1
+                        `, [groupId]);
+                    }
+                    break;
+                }
+
+                case 'escalate':
+                    await client.query(`
+                        UPDATE unified_tickets
+                        SET escalation_level = escalation_level + 1,
+                            escalated_at = NOW(),
+                            escalation_reason = 'Escalación masiva manual',
+                            updated_at = NOW()
+                        WHERE id = ANY($1)
+                    `, [targetTickets]);
+
+                    for (const ticketId of targetTickets) {
+                        await client.query(`
+                            INSERT INTO support_escalations (
+                                ticket_id, escalation_level, escalation_reason,
+                                escalation_type, is_automatic
+                            ) VALUES ($1, 1, 'Escalación masiva manual', 'manual', false)
+                        `, [ticketId]);
+                    }
+                    break;
+
+                default:
+                    throw ticketError('Acción no válida');
+            }
+
+            await client.query('COMMIT');
+            return { updated: targetTickets.length };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // ==================== CATEGORÍAS ====================
+
+    async listCategories() {
+        const result = await this.pool.query(`
+            SELECT
+                sc.*,
+                COUNT(t.id) as ticket_count
+            FROM support_categories sc
+            LEFT JOIN unified_tickets t ON sc.id = t.category_id
+            WHERE sc.is_active = true
+            GROUP BY sc.id
+            ORDER BY sc.sort_order, sc.name
+        `);
+        return result.rows;
+    }
+
+    async close() {
+        await this.pool.end();
+    }
+}
+
+module.exports = TicketRepository;
@@ -0,0 +1,336 @@
+const crypto = require('crypto');
+const { Pool } = require('pg');
+const { ROLE_ALIASES, normalizeRole } = require('./middleware/policy');
+
+// Asignaciones vigentes: activas y sin caducar
+const ACTIVE_ASSIGNMENT = 'ur.is_active AND (ur.expires_at IS NULL OR ur.expires_at > CURRENT_TIMESTAMP)';
+
+function repositoryError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Acceso a usuarios y roles sobre unified_roles / unified_user_roles. Las rutas piden y asignan
+// roles por su nombre canónico (ROLE_GROUPS); los nombres antiguos que sigan guardados se tratan como alias
+class UserRepository {
+    constructor() {
+        this.pool = new Pool({
+            connectionString: process.env.DATABASE_URL,
+            ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+        });
+    }
+
+    // Nombres canónicos más sus alias: namesFor('creador') → ['creador', 'creador_contenido', 'profesor_creador']
+    static namesFor(...roles) {
+        const canonical = [...new Set(roles.flat().map(normalizeRole).filter(Boolean))];
+        const aliases = Object.keys(ROLE_ALIASES).filter(alias => canonical.includes(ROLE_ALIASES[alias]));
+        return [...canonical, ...aliases];
+    }
+
+    static withCanonicalName(row) {
+        return { ...row, name: normalizeRole(row.name) };
+    }
+
+    // ==================== ROLES ====================
+
+    async listRoles() {
+        const result = await this.pool.query(`
+            SELECT id, name, display_name, description, hierarchy_level, permissions
+            FROM unified_roles
+            WHERE is_active
+            ORDER BY hierarchy_level DESC, name
+        `);
+        return result.rows.map(UserRepository.withCanonicalName);
+    }
+
+    // Fila del rol; si conviven el nombre canónico y un alias, gana el canónico
+    async getRole(role, client = null) {
+        const name = normalizeRole(role);
+        const result = await (client || this.pool).query(`
+            SELECT id, name, display_name, description, hierarchy_level
+            FROM unified_roles
+            WHERE name = ANY($1) AND is_active
+            ORDER BY (name = $2) DESC
+            LIMIT 1
+        `, [UserRepository.namesFor(name), name]);
+        return result.rows.length > 0 ? UserRepository.withCanonicalName(result.rows[0]) : null;
+    }
+
+    // ==================== ROLES DE USUARIO ====================
+
+    async getUserRoles(userId, client = null) {
+        const result = await (client || this.pool).query(`
+            SELECT ur.id as user_role_id, r.id as role_id, r.name, r.display_name, r.description,
+                r.hierarchy_level, ur.assigned_at, ur.auto_assigned
+            FROM unified_user_roles ur
+            JOIN unified_roles r ON ur.role_id = r.id
+            WHERE ur.user_id = $1 AND ${ACTIVE_ASSIGNMENT}
+            ORDER BY r.hierarchy_level, ur.id
+        `, [userId]);
+        return result.rows.map(UserRepository.withCanonicalName);
+    }
+
+    async getRoleNames(userId, client = null) {
+        const roles = await this.getUserRoles(userId, client);
+        return [...new Set(roles.map(role => role.name))];
+    }
+
+    // Map userId → nombres de rol, para listados
+    async getRolesByUser(userIds) {
+        const result = await this.pool.query(`
+            SELECT ur.user_id, r.name
+            FROM unified_user_roles ur
+            JOIN unified_roles r ON ur.role_id = r.id
+            WHERE ur.user_id = ANY($1::int[]) AND ${ACTIVE_ASSIGNMENT}
+        `, [userIds]);
+
+        const byUser = new Map(userIds.map(id => [parseInt(id), []]));
+        for (const row of result.rows) {
+            const name = normalizeRole(row.name);
+            const names = byUser.get(row.user_id) || [];
+            if (!names.includes(name)) names.push(name);
+            byUser.set(row.user_id, names);
+        }
+        return byUser;
+    }
+
+    async hasRole(userId, ...roles) {
+        return (await this.getUserRoleIds(userId, ...roles)).length > 0;
+    }
+
+    // Ids de unified_user_roles de un usuario con esos roles (blocks.user_role_id apunta a ellos)
+    async getUserRoleIds(userId, ...roles) {
+        const result = await this.pool.query(`
+            SELECT ur.id
+            FROM unified_user_roles ur
+            JOIN unified_roles r ON ur.role_id = r.id
+            WHERE ur.user_id = $1 AND r.name = ANY($2) AND ${ACTIVE_ASSIGNMENT}
+        `, [userId, UserRepository.namesFor(...roles)]);
+        return result.rows.map(row => row.id);
+    }
+
+    // Una asignación concreta aunque ya no esté vigente (el bloque conserva con qué rol se creó)
+    async getUserRoleById(userRoleId) {
+        const result = await this.pool.query(`
+            SELECT ur.id as user_role_id, ur.user_id, r.name
+            FROM unified_user_roles ur
+            JOIN unified_roles r ON ur.role_id = r.id
+            WHERE ur.id = $1
+        `, [userRoleId]);
+        return result.rows.length > 0 ? UserRepository.withCanonicalName(result.rows[0]) : null;
+    }
+
+    // Asignaciones vigentes de esos roles (todas si no se indica ninguno): [{ user_role_id, user_id, name }]
+    async listUserRoles(...roles) {
+        const names = roles.flat().length > 0 ? UserRepository.namesFor(...roles) : null;
+        const result = await this.pool.query(`
+            SELECT ur.id as user_role_id, ur.user_id, r.name
+            FROM unified_user_roles ur
+            JOIN unified_roles r ON ur.role_id = r.id
+            WHERE ${ACTIVE_ASSIGNMENT} AND ($1::text[] IS NULL OR r.name = ANY($1))
+            ORDER BY ur.user_id, ur.id
+        `, [names]);
+        return result.rows.map(UserRepository.withCanonicalName);
+    }
+
+    async getUserIdsWithRole(...roles) {
+        const userRoles = await this.listUserRoles(...roles);
+        return [...new Set(userRoles.map(userRole => userRole.user_id))];
+    }
+
+    // Un registro por usuario y rol: [{ id, nickname, email, first_name, role_name }]
+    async listUsersWithRole(...roles) {
+        const result = await this.pool.query(`
+            SELECT DISTINCT u.id, u.nickname, COALESCE(u.email, 'Sin email') as email,
+                COALESCE(u.first_name, '') as first_name, r.name as role_name
+            FROM users u
+            JOIN unified_user_roles ur ON u.id = ur.user_id
+            JOIN unified_roles r ON ur.role_id = r.id
+            WHERE r.name = ANY($1) AND ${ACTIVE_ASSIGNMENT}
+            ORDER BY u.id
+        `, [UserRepository.namesFor(...roles)]);
+
+        const seen = new Set();
+        return result.rows
+            .map(row => ({ ...row, role_name: normalizeRole(row.role_name) }))
+            .filter(row => {
+                const key = `${row.id}:${row.role_name}`;
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+    }
+
+    // { administrador_principal: 1, jugador: 120, ... } contando cada usuario una vez por rol
+    async countUsersByRole() {
+        const result = await this.pool.query(`
+            SELECT r.name, ur.user_id
+            FROM unified_roles r
+            JOIN unified_user_roles ur ON r.id = ur.role_id
+            WHERE ${ACTIVE_ASSIGNMENT}
+        `);
+
+        const users = {};
+        for (const row of result.rows) {
+            const name = normalizeRole(row.name);
+            (users[name] = users[name] || new Set()).add(row.user_id);
+        }
+        return Object.fromEntries(Object.entries(users).map(([name, ids]) => [name, ids.size]));
+    }
+
+    // Reactiva la asignación si existía desactivada o caducada
+    async assignRole(userId, role, { assignedBy = null, autoAssigned = false } = {}, client = null) {
+        const db = client || this.pool;
+        const target = await this.getRole(role, db);
+        if (!target) throw repositoryError(`Role '${role}' not found`, 404);
+
+        const result = await db.query(`
+            INSERT INTO unified_user_roles (user_id, role_id, assigned_by, auto_assigned)
+            VALUES ($1, $2, $3, $4)
+            ON CONFLICT (user_id, role_id) DO UPDATE SET
+                is_active = true,
+                expires_at = NULL,
+                assigned_by = COALESCE(EXCLUDED.assigned_by, unified_user_roles.assigned_by),
+                assigned_at = CASE WHEN unified_user_roles.is_active THEN unified_user_roles.assigned_at ELSE CURRENT_TIMESTAMP END
+            RETURNING id, (xmax = 0) as created
+        `, [userId, target.id, assignedBy, autoAssigned]);
+
+        return { userRoleId: result.rows[0].id, created: result.rows[0].created };
+    }
+
+    // Desactiva en lugar de borrar: los bloques creados con ese rol siguen apuntando a la asignación
+    async removeRole(userId, role, client = null) {
+        const result = await (client || this.pool).query(`
+            UPDATE unified_user_roles ur
+            SET is_active = false
+            FROM unified_roles r
+            WHERE ur.role_id = r.id AND ur.user_id = $1 AND r.name = ANY($2) AND ${ACTIVE_ASSIGNMENT}
+        `, [userId, UserRepository.namesFor(role)]);
+        return result.rowCount;
+    }
+
+    // Solo para borrar la cuenta: elimina las filas
+    async removeAllRoles(userId, client = null) {
+        const result = await (client || this.pool).query(
+            'DELETE FROM unified_user_roles WHERE user_id = $1',
+            [userId]
+        );
+        return result.rowCount;
+    }
+
+    // ==================== USUARIOS ====================
+
+    async findById(userId, client = null) {
+        const result = await (client || this.pool).query(
+            'SELECT id, nickname, email, first_name, last_name FROM users WHERE id = $1',
+            [userId]
+        );
+        return result.rows[0] || null;
+    }
+
+    async findByNickname(nickname, client = null) {
+        const result = await (client || this.pool).query(
+            'SELECT id, nickname, email, first_name, last_name FROM users WHERE nickname = $1',
+            [nickname]
+        );
+        return result.rows[0] || null;
+    }
+
+    async findByEmail(email, client = null) {
+        const result = await (client || this.pool).query(
+            'SELECT id, nickname, email, first_name, last_name FROM users WHERE LOWER(email) = LOWER($1) ORDER BY id',
+            [email]
+        );
+        return result.rows[0] || null;
+    }
+
+    // Nickname legible (sin acentos ni espacios) a partir del primer candidato útil: nickname, nombre, email...
+    static nicknameFrom(...candidates) {
+        for (const candidate of candidates) {
+            const base = String(candidate || '').split('@')[0]
+                .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+                .replace(/[^A-Za-z0-9_.-]/g, '');
+            if (base) return base.slice(0, 40);
+        }
+        return 'usuario';
+    }
+
+    // Alta de cuentas que no pasan por el registro (LTI, importación de listas): si el nickname está cogido
+    // se prueba con un sufijo aleatorio. Crea también su user_profiles
+    async createUser({ nickname, passwordHash, email = null, firstName = null, lastName = null }, client = null) {
+        const db = client || this.pool;
+        const base = UserRepository.nicknameFrom(nickname);
+
+        let user = null;
+        for (let attempt = 0; !user && attempt < 5; attempt++) {
+            const candidate = attempt === 0 ? base : `${base}_${crypto.randomBytes(2).toString('hex')}`;
+            const result = await db.query(`
+                INSERT INTO users (nickname, password_hash, email, first_name, last_name)
+                VALUES ($1, $2, $3, $4, $5)
+                ON CONFLICT (nickname) DO NOTHING
+                RETURNING id, nickname, email, first_name, last_name
+            `, [candidate, passwordHash, email, firstName, lastName]);
+            user = result.rows[0];
+        }
+        if (!user) throw repositoryError(`Could not allocate a nickname like '${base}'`, 409);
+
+        await db.query('INSERT INTO user_profiles (user_id) VALUES ($1) ON CONFLICT (user_id) DO NOTHING', [user.id]);
+        return user;
+    }
+
+    async search(term, { limit = 10 } = {}) {
+        const result = await this.pool.query(`
+            SELECT id, nickname, COALESCE(email, 'Sin email') as email
+            FROM users
+            WHERE nickname ILIKE $1
+            ORDER BY nickname
+            LIMIT $2
+        `, [`%${term}%`, Math.min(parseInt(limit) || 10, 100)]);
+        return result.rows;
+    }
+
+    // ==================== CONTENIDO POR ROL ====================
+
+    // Bloques creados por el usuario con ese rol y su alcance: preguntas, temas y usuarios que los cargaron.
+    // topics cuenta temas distintos; block_topics suma los temas de cada bloque
+    async getRoleContentStats(userId, role) {
+        const userRoleIds = await this.getUserRoleIds(userId, role);
+        if (userRoleIds.length === 0) {
+            return { blocks: 0, questions: 0, topics: 0, block_topics: 0, users: 0 };
+        }
+
+        const result = await this.pool.query(`
+            WITH role_blocks AS (
+                SELECT id FROM blocks WHERE user_role_id = ANY($1::int[])
+            ),
+            block_topics AS (
+                SELECT DISTINCT ta.block_id, ta.topic
+                FROM topic_answers ta
+                JOIN role_blocks rb ON ta.block_id = rb.id
+                WHERE ta.topic IS NOT NULL AND ta.topic != ''
+            )
+            SELECT
+                (SELECT COUNT(*) FROM role_blocks) as blocks,
+                (SELECT COALESCE(SUM(ba.total_questions), 0) FROM block_answers ba JOIN role_blocks rb ON ba.block_id = rb.id) as questions,
+                (SELECT COUNT(DISTINCT topic) FROM block_topics) as topics,
+                (SELECT COUNT(*) FROM block_topics) as block_topics,
+                (SELECT COUNT(DISTINCT ulb.user_id) FROM user_loaded_blocks ulb JOIN role_blocks rb ON ulb.block_id = rb.id) as users
+        `, [userRoleIds]);
+
+        const row = result.rows[0];
+        return {
+            blocks: parseInt(row.blocks) || 0,
+            questions: parseInt(row.questions) || 0,
+            topics: parseInt(row.topics) || 0,
+            block_topics: parseInt(row.block_topics) || 0,
+            users: parseInt(row.users) || 0
+        };
+    }
+
+    async close() {
+        await this.pool.end();
+    }
+}
+
+module.exports = UserRepository;
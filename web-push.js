@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const https = require('https');
+
+// Registros de 4096 bytes: una notificación siempre cabe en uno (los servicios push aceptan ~4 KB)
+const RECORD_SIZE = 4096;
+const MAX_PAYLOAD_BYTES = 3800;
+const VAPID_TOKEN_TTL_SECONDS = 12 * 60 * 60;
+
+function pushError(message, statusCode = null) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+function fromBase64Url(value) {
+    return Buffer.from(String(value).replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+// Clave privada VAPID (d en base64url) como KeyObject, reconstruyendo la pública sin comprimir (0x04 || x || y)
+function vapidKeyObject(publicKey, privateKey) {
+    const point = fromBase64Url(publicKey);
+    if (point.length !== 65 || point[0] !== 0x04) throw pushError('VAPID_PUBLIC_KEY must be an uncompressed P-256 point');
+
+    return crypto.createPrivateKey({
+        key: {
+            kty: 'EC',
+            crv: 'P-256',
+            x: point.subarray(1, 33).toString('base64url'),
+            y: point.subarray(33).toString('base64url'),
+            d: privateKey
+        },
+        format: 'jwk'
+    });
+}
+
+// Web Push (RFC 8030) con cifrado aes128gcm (RFC 8291) e identificación VAPID (RFC 8292), sin dependencias
+class WebPushSender {
+    constructor({
+        publicKey = process.env.VAPID_PUBLIC_KEY,
+        privateKey = process.env.VAPID_PRIVATE_KEY,
+        subject = process.env.VAPID_SUBJECT || 'mailto:soporte@playtest.local',
+        timeoutMs = 10000
+    } = {}) {
+        this.publicKey = publicKey;
+        this.subject = subject;
+        this.timeoutMs = timeoutMs;
+        this.signingKey = publicKey && privateKey ? vapidKeyObject(publicKey, privateKey) : null;
+        this.tokens = new Map(); // audience -> { token, expiresAt }
+    }
+
+    // Par de claves para VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY (scripts/generate-vapid-keys.js)
+    static generateVapidKeys() {
+        const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+        const jwk = privateKey.export({ format: 'jwk' });
+
+        return {
+            publicKey: Buffer.concat([Buffer.from([0x04]), fromBase64Url(jwk.x), fromBase64Url(jwk.y)]).toString('base64url'),
+            privateKey: jwk.d
+        };
+    }
+
+    isConfigured() {
+        return this.signingKey !== null;
+    }
+
+    // ==================== VAPID ====================
+
+    vapidToken(audience) {
+        const cached = this.tokens.get(audience);
+        const now = Math.floor(Date.now() / 1000);
+        if (cached && cached.expiresAt - 60 > now) return cached.token;
+
+        const expiresAt = now + VAPID_TOKEN_TTL_SECONDS;
+        const header = Buffer.from(JSON.stringify({ typ: 'JWT', alg: 'ES256' })).toString('base64url');
+        const claims = Buffer.from(JSON.stringify({ aud: audience, exp: expiresAt, sub: this.subject })).toString('base64url');
+        const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), {
+            key: this.signingKey,
+            dsaEncoding: 'ieee-p1363'
+        }).toString('base64url');
+
+        const token = `${header}.${claims}.${signature}`;
+        this.tokens.set(audience, { token, expiresAt });
+        return token;
+    }
+
+    // ==================== CIFRADO ====================
+
+    encrypt(subscription, payload) {
+        const userPublicKey = fromBase64Url(subscription.keys.p256dh);
+        const authSecret = fromBase64Url(subscription.keys.auth);
+        if (userPublicKey.length !== 65 || authSecret.length !== 16) throw pushError('Invalid push subscription keys');
+
+        const ecdh = crypto.createECDH('prime256v1');
+        const serverPublicKey = ecdh.generateKeys();
+        const sharedSecret = ecdh.computeSecret(userPublicKey);
+        const salt = crypto.randomBytes(16);
+
+        const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), userPublicKey, serverPublicKey]);
+        const ikm = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, authSecret, keyInfo, 32));
+        const contentKey = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+        const nonce = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+        // Un único registro: contenido + delimitador 0x02 de último registro
+        const cipher = crypto.createCipheriv('aes-128-gcm', contentKey, nonce);
+        const ciphertext = Buffer.concat([
+            cipher.update(Buffer.concat([payload, Buffer.from([0x02])])),
+            cipher.final(),
+            cipher.getAuthTag()
+        ]);
+
+        const header = Buffer.alloc(21);
+        salt.copy(header, 0);
+        header.writeUInt32BE(RECORD_SIZE, 16);
+        header.writeUInt8(serverPublicKey.length, 20);
+
+        return Buffer.concat([header, serverPublicKey, ciphertext]);
+    }
+
+    // ==================== ENVÍO ====================
+
+    // subscription: { endpoint, keys: { p256dh, auth } } tal como la devuelve PushManager.subscribe()
+    async send(subscription, data, { ttl = 24 * 60 * 60, urgency = 'normal' } = {}) {
+        if (!this.isConfigured()) throw pushError('Web Push is not configured (VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY)');
+        if (!subscription || !subscription.endpoint || !subscription.keys) throw pushError('Invalid push subscription');
+
+        const payload = Buffer.from(typeof data === 'string' ? data : JSON.stringify(data));
+        if (payload.length > MAX_PAYLOAD_BYTES) throw pushError(`Push payload too large (${payload.length} bytes)`);
+
+        const endpoint = new URL(subscription.endpoint);
+        if (endpoint.protocol !== 'https:') throw pushError('Push endpoint must use https');
+
+        const body = this.encrypt(subscription, payload);
+        const headers = {
+            'Content-Type': 'application/octet-stream',
+            'Content-Encoding': 'aes128gcm',
+            'Content-Length': body.length,
+            TTL: ttl,
+            Urgency: urgency,
+            Authorization: `vapid t=${this.vapidToken(endpoint.origin)}, k=${this.publicKey}`
+        };
+
+        return new Promise((resolve, reject) => {
+            const request = https.request(endpoint, { method: 'POST', headers, timeout: this.timeoutMs }, response => {
+                let text = '';
+                response.setEncoding('utf8');
+                response.on('data', chunk => { text += chunk; });
+                response.on('end', () => {
+                    if (response.statusCode >= 200 && response.statusCode < 300) {
+                        resolve({ statusCode: response.statusCode });
+                    } else {
+                        // 404/410: la suscripción ya no existe y debe desactivarse
+                        reject(pushError(`Push service responded ${response.statusCode}: ${text.slice(0, 200)}`, response.statusCode));
+                    }
+                });
+            });
+
+            request.on('timeout', () => request.destroy(pushError('Push service did not respond in time')));
+            request.on('error', reject);
+            request.end(body);
+        });
+    }
+
+    static isSubscriptionGone(error) {
+        return error.statusCode === 404 || error.statusCode === 410;
+    }
+}
+
+module.exports = WebPushSender;
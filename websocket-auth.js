@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const { Pool } = require('pg');
+const SessionManager = require('./auth-sessions');
 
 // Sistema de autenticación para WebSocket
 class WebSocketAuth {
@@ -9,6 +10,7 @@ class WebSocketAuth {
             ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
         });
         
+        this.sessions = new SessionManager();
         this.connectedUsers = new Map(); // userId -> Set of socket ids
         this.userSockets = new Map(); // socketId -> user info
     }
@@ -21,18 +23,27 @@ class WebSocketAuth {
 
             // Verificar JWT
             const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+            // La sesión del token puede haberse cerrado (logout, cerrar todas las sesiones)
+            if (!(await this.sessions.isTokenActive(decoded))) {
+                throw new Error('Sesión revocada');
+            }
             
-            // Verificar usuario en base de datos
-            const result = await this.pool.query(
-                'SELECT u.id, u.nickname, u.role FROM users u WHERE u.id = $1',
-                [decoded.userId]
-            );
+            // Verificar usuario en base de datos (users no tiene columna role: se usa su primer rol asignado)
+            const result = await this.pool.query(`
+                SELECT u.id, u.nickname,
+                    COALESCE((
+                        SELECT r.name FROM user_roles ur JOIN roles r ON ur.role_id = r.id
+                        WHERE ur.user_id = u.id ORDER BY ur.id LIMIT 1
+                    ), 'usuario') as role
+                FROM users u WHERE u.id = $1
+            `, [decoded.userId]);
 
             if (result.rows.length === 0) {
                 throw new Error('Usuario no válido');
             }
 
-            const user = result.rows[0];
+            const user = { ...result.rows[0], sessionId: decoded.sid || null };
             
             // Registrar conexión
             this.registerConnection(socket.id, user);
@@ -161,6 +172,7 @@ class WebSocketAuth {
     }
 
     async close() {
+        await this.sessions.close();
         await this.pool.end();
     }
 }